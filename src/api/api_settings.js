@@ -18,6 +18,33 @@ import {
   getChunksFromSync
 } from '../utils/sync_chunk.js';
 import { cloneResponsesInputItems } from '../utils/responses_input_items.js';
+import { expandMessageFileAttachments } from '../utils/file_attachment.js';
+import { normalizeContextWindowTokens } from '../utils/context_compaction.js';
+import { normalizeModelPriceTable, parseModelPriceTable, formatModelPriceTable } from '../utils/cost_accounting.js';
+import { MAX_FALLBACK_API_CONFIGS, normalizeFallbackConfigIds } from '../utils/api_fallback_chain.js';
+import {
+  createApiKeyHealth,
+  fingerprintApiKey,
+  getApiKeyHealthStatus,
+  maskApiKey,
+  mergeApiKeyHealthMaps,
+  normalizeApiKeyHealthMap,
+  normalizeKeyRotationStrategy,
+  normalizeKeyWeight,
+  parseRetryAfterMs,
+  recordApiKeyFailure,
+  recordApiKeySuccess,
+  reenableApiKey,
+  resetApiKeyHealth,
+  selectApiKeyIndex
+} from '../utils/api_key_health.js';
+import {
+  ANTHROPIC_API_VERSION,
+  ANTHROPIC_DEFAULT_BASE_URL,
+  ANTHROPIC_DEFAULT_MAX_TOKENS,
+  convertMessagesToAnthropicRequest,
+  isAnthropicMessagesEndpoint
+} from '../utils/anthropic_messages.js';
 
 // 用户消息预处理模板的说明与示例，用于“？”提示与“复制角色块”按钮。
 const USER_MESSAGE_TEMPLATE_HELP_TEXT = [
@@ -46,6 +73,7 @@ const USER_MESSAGE_TEMPLATE_INJECT_SNIPPET = [
 const CONNECTION_TYPE_OPENAI = 'openai';
 const CONNECTION_TYPE_OPENAI_RESPONSES = 'openai_responses';
 const CONNECTION_TYPE_GEMINI = 'gemini';
+const CONNECTION_TYPE_ANTHROPIC = 'anthropic';
 const GEMINI_LEGACY_BASE_URL = 'genai';
 const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1/chat/completions';
 const OPENAI_RESPONSES_DEFAULT_BASE_URL = 'https://api.openai.com/v1/responses';
@@ -602,10 +630,14 @@ export function createApiManager(appContext) {
   // 本地 key 文件的运行时缓存（仅内存）：避免每次请求都读磁盘。
   // 设计：首次读取后复用；仅在“当前 key 不可用/无可用 key”时触发一次强制重读。
   const apiKeyFileRuntimeCache = new Map();
-  // API Key 黑名单（本地持久化），结构为 Map<key, expiresAtMs>
-  // 约定：429 时加入黑名单 24 小时；403 与“非 bad request 的 400”写入 -1 表示永久失效
-  const BLACKLIST_STORAGE_KEY = 'apiKeyBlacklist';
-  let apiKeyBlacklist = {};
+  // API Key 健康状态（本地持久化，按 Key 指纹索引，结构见 utils/api_key_health.js）
+  // 约定：429/5xx 临时冷却；403 与“非 bad request 的 400”停用，直到在连接源的 Key 状态面板中重新启用
+  const KEY_HEALTH_STORAGE_KEY = 'apiKeyHealth';
+  // 旧版黑名单 { [key]: expiresAtMs | -1 }，首次加载时迁移为冷却/停用状态后删除
+  const LEGACY_BLACKLIST_STORAGE_KEY = 'apiKeyBlacklist';
+  const KEY_HEALTH_SAVE_DEBOUNCE_MS = 1000;
+  let apiKeyHealth = null;
+  let keyHealthSaveTimer = null;
   // 拖动排序用的临时状态，避免在拖动过程中频繁写入。
   let draggingCardIndex = null;
   // 连接源配置区展开状态：默认折叠，减少设置页初始高度占用。
@@ -949,6 +981,7 @@ export function createApiManager(appContext) {
     const normalized = (typeof rawType === 'string') ? rawType.trim().toLowerCase() : '';
     if (normalized === CONNECTION_TYPE_GEMINI) return CONNECTION_TYPE_GEMINI;
     if (normalized === CONNECTION_TYPE_OPENAI_RESPONSES) return CONNECTION_TYPE_OPENAI_RESPONSES;
+    if (normalized === CONNECTION_TYPE_ANTHROPIC) return CONNECTION_TYPE_ANTHROPIC;
     if (normalized === CONNECTION_TYPE_OPENAI) return CONNECTION_TYPE_OPENAI;
     return '';
   }
@@ -961,6 +994,7 @@ export function createApiManager(appContext) {
     const normalizedBaseUrl = (typeof baseUrl === 'string') ? baseUrl.trim().toLowerCase() : '';
     if (normalizedBaseUrl === GEMINI_LEGACY_BASE_URL) return CONNECTION_TYPE_GEMINI;
     if (normalizedBaseUrl.includes('generativelanguage.googleapis.com')) return CONNECTION_TYPE_GEMINI;
+    if (isAnthropicMessagesEndpoint(baseUrl)) return CONNECTION_TYPE_ANTHROPIC;
     if (isOpenAIResponsesEndpoint(baseUrl)) return CONNECTION_TYPE_OPENAI_RESPONSES;
     return CONNECTION_TYPE_OPENAI;
   }
@@ -977,6 +1011,9 @@ export function createApiManager(appContext) {
     if (normalizedType === CONNECTION_TYPE_OPENAI_RESPONSES) {
       return trimmed || OPENAI_RESPONSES_DEFAULT_BASE_URL;
     }
+    if (normalizedType === CONNECTION_TYPE_ANTHROPIC) {
+      return trimmed || ANTHROPIC_DEFAULT_BASE_URL;
+    }
     return trimmed;
   }
 
@@ -984,6 +1021,7 @@ export function createApiManager(appContext) {
     const normalizedType = normalizeConnectionType(connectionType) || CONNECTION_TYPE_OPENAI;
     if (normalizedType === CONNECTION_TYPE_GEMINI) return 'Gemini';
     if (normalizedType === CONNECTION_TYPE_OPENAI_RESPONSES) return 'OpenAI Responses';
+    if (normalizedType === CONNECTION_TYPE_ANTHROPIC) return 'Anthropic Messages';
     return 'OpenAI 兼容';
   }
 
@@ -1081,7 +1119,8 @@ export function createApiManager(appContext) {
       connectionType: rawConnectionType,
       baseUrl: normalizedBaseUrl,
       apiKey: (typeof sourceApiKey !== 'undefined') ? sourceApiKey : config?.apiKey,
-      apiKeyFilePath: source ? sourceApiKeyFilePath : normalizeApiKeyFilePath(config?.apiKeyFilePath)
+      apiKeyFilePath: source ? sourceApiKeyFilePath : normalizeApiKeyFilePath(config?.apiKeyFilePath),
+      keyRotationStrategy: normalizeKeyRotationStrategy(source ? source.keyRotationStrategy : config?.keyRotationStrategy)
     };
 
     if (options.includeSource !== true) {
@@ -1192,12 +1231,19 @@ export function createApiManager(appContext) {
         displayName: c.displayName,
         temperature: c.temperature,
         useStreaming: (c.useStreaming !== false),
+        clientToolsEnabled: c.clientToolsEnabled === true,
         isFavorite: !!c.isFavorite,
         // 旧字段：单一条数上限（按“消息条目”计数）。保留以便向后兼容与降级回滚。
         maxChatHistory: c.maxChatHistory ?? 500,
         // 新字段：分别限制历史 user / assistant 消息条数（便于长对话压缩 AI 输出）
         maxChatHistoryUser: c.maxChatHistoryUser ?? null,
         maxChatHistoryAssistant: c.maxChatHistoryAssistant ?? null,
+        // 上下文窗口（tokens），0 表示未设置、不自动压缩
+        contextWindowTokens: normalizeContextWindowTokens(c.contextWindowTokens),
+        // 模型价格表（每 1M tokens），用于计算每条回复的费用
+        modelPrices: normalizeModelPriceTable(c.modelPrices),
+        // 故障转移链：自动重试用尽后依次改用的备用配置 id
+        fallbackConfigIds: normalizeFallbackConfigIds(c.fallbackConfigIds, c.id),
         customParams: minifyJsonIfPossible(c.customParams || ''),
         customSystemPrompt: (c.customSystemPrompt || '').trim(),
         userMessagePreprocessorTemplate: (typeof c.userMessagePreprocessorTemplate === 'string') ? c.userMessagePreprocessorTemplate : '',
@@ -1232,7 +1278,8 @@ export function createApiManager(appContext) {
         baseUrl: normalizedBaseUrl,
         // 当配置了本地 key 文件路径时，不把内联 key 同步到 sync，避免长 key 列表撞配额。
         apiKey: apiKeyFilePath ? '' : normalizedApiKey,
-        apiKeyFilePath
+        apiKeyFilePath,
+        keyRotationStrategy: normalizeKeyRotationStrategy(source?.keyRotationStrategy)
       };
     });
   }
@@ -1285,95 +1332,104 @@ export function createApiManager(appContext) {
     (apiSettingsPanel || document).dispatchEvent(new Event('apiConfigsUpdated', { bubbles: true, composed: true }));
   }
 
-  // ---- API Key 黑名单相关函数 ----
-  // 说明：为降低侵入性，黑名单存储在 chrome.storage.local，结构为 { [key: string]: expiresAtMs }
-  async function loadApiKeyBlacklist() {
+  // ---- API Key 健康状态 ----
+  async function loadApiKeyHealth() {
     try {
-      const data = await chrome.storage.local.get([BLACKLIST_STORAGE_KEY]);
-      const stored = data[BLACKLIST_STORAGE_KEY] || {};
-      const now = Date.now();
-      const cleaned = {};
-      for (const k in stored) {
-        const raw = stored[k];
-        const value = Number(raw);
-        if (!Number.isFinite(value) && value !== -1) continue;
-        if (value === -1) {
-          cleaned[k] = -1;
-          continue;
-        }
-        if (value > now) {
-          cleaned[k] = value;
-        }
-      }
-      apiKeyBlacklist = cleaned;
-      if (Object.keys(stored).length !== Object.keys(cleaned).length) {
-        await chrome.storage.local.set({ [BLACKLIST_STORAGE_KEY]: cleaned });
+      const data = await chrome.storage.local.get([KEY_HEALTH_STORAGE_KEY, LEGACY_BLACKLIST_STORAGE_KEY]);
+      const stored = normalizeApiKeyHealthMap(data[KEY_HEALTH_STORAGE_KEY]);
+      const legacy = data[LEGACY_BLACKLIST_STORAGE_KEY];
+      if (legacy && typeof legacy === 'object') {
+        const now = Date.now();
+        Object.keys(legacy).forEach((key) => {
+          const fingerprint = fingerprintApiKey(key);
+          if (!fingerprint) return;
+          const expiresAt = Number(legacy[key]);
+          const health = stored[fingerprint] || createApiKeyHealth();
+          if (expiresAt === -1) {
+            stored[fingerprint] = { ...health, disabled: true, updatedAt: now };
+          } else if (expiresAt > now) {
+            stored[fingerprint] = { ...health, cooldownUntil: expiresAt, updatedAt: now };
+          }
+        });
+        await chrome.storage.local.set({ [KEY_HEALTH_STORAGE_KEY]: stored });
+        await chrome.storage.local.remove(LEGACY_BLACKLIST_STORAGE_KEY);
       }
+      apiKeyHealth = mergeApiKeyHealthMaps(apiKeyHealth, stored);
     } catch (e) {
-      console.warn('加载 API Key 黑名单失败（忽略）：', e);
-      apiKeyBlacklist = {};
+      console.warn('加载 API Key 健康状态失败（忽略）：', e);
+      if (!apiKeyHealth) apiKeyHealth = {};
     }
   }
 
-  async function saveApiKeyBlacklist() {
+  async function saveApiKeyHealth() {
+    clearTimeout(keyHealthSaveTimer);
+    keyHealthSaveTimer = null;
     try {
-      await chrome.storage.local.set({ [BLACKLIST_STORAGE_KEY]: apiKeyBlacklist });
+      await chrome.storage.local.set({ [KEY_HEALTH_STORAGE_KEY]: apiKeyHealth || {} });
     } catch (e) {
-      console.warn('保存 API Key 黑名单失败（忽略）：', e);
-    }
-  }
-
-  function isKeyBlacklisted(key) {
-    const normalizedKey = (key || '').trim();
-    if (!normalizedKey) return false;
-    const expRaw = apiKeyBlacklist[normalizedKey];
-    const exp = Number(expRaw);
-    if (!Number.isFinite(exp) && exp !== -1) return false;
-    if (exp === -1) return true;
-    if (exp <= Date.now()) {
-      // 过期清理（惰性）
-      delete apiKeyBlacklist[normalizedKey];
-      // 异步落盘但不 await，避免阻塞调用方
-      saveApiKeyBlacklist();
-      return false;
+      console.warn('保存 API Key 健康状态失败（忽略）：', e);
     }
-    return true;
   }
 
-  async function blacklistKey(key, durationMs) {
-    const normalizedKey = (key || '').trim();
-    if (!normalizedKey) return;
-    let expiresAt = -1;
-    const durationNumber = Number(durationMs);
-    if (Number.isFinite(durationNumber) && durationNumber >= 0) {
-      expiresAt = Date.now() + durationNumber;
-    } else if (durationNumber === -1) {
-      expiresAt = -1;
-    } else {
-      expiresAt = Date.now();
+  function getApiKeyHealth(key) {
+    const fingerprint = fingerprintApiKey(key);
+    return (fingerprint && apiKeyHealth?.[fingerprint]) || null;
+  }
+
+  /**
+   * 更新某个 Key 的健康记录并刷新状态面板。
+   * 冷却/停用需要尽快被其它标签页看到，立即落盘；成功计数合并写入。
+   * @param {string} key
+   * @param {(health: Object) => Object} updater
+   * @param {{immediate?: boolean}} [options]
+   */
+  async function updateApiKeyHealth(key, updater, { immediate = true } = {}) {
+    const fingerprint = fingerprintApiKey(key);
+    if (!fingerprint) return;
+    if (!apiKeyHealth) apiKeyHealth = {};
+    apiKeyHealth[fingerprint] = updater(apiKeyHealth[fingerprint] || createApiKeyHealth());
+    refreshKeyHealthPanels();
+    if (immediate) {
+      await saveApiKeyHealth();
+      return;
+    }
+    clearTimeout(keyHealthSaveTimer);
+    keyHealthSaveTimer = setTimeout(() => { saveApiKeyHealth(); }, KEY_HEALTH_SAVE_DEBOUNCE_MS);
+  }
+
+  // 读取错误响应中的简短说明，写入 Key 的“最近错误”
+  async function readKeyErrorSummary(response) {
+    const statusText = `HTTP ${response?.status || '?'}`;
+    try {
+      const text = await response.clone().text();
+      let message = '';
+      try {
+        const parsed = JSON.parse(text);
+        message = parsed?.error?.message || parsed?.message || '';
+      } catch (_) {
+        message = text;
+      }
+      message = String(message || '').replace(/\s+/g, ' ').trim();
+      return message ? `${statusText}: ${message.slice(0, 200)}` : statusText;
+    } catch (_) {
+      return statusText;
     }
-    apiKeyBlacklist[normalizedKey] = expiresAt;
-    await saveApiKeyBlacklist();
   }
 
   function getNextUsableKeyIndex(config, startIndex, excluded = new Set()) {
     if (!Array.isArray(config.apiKey) || config.apiKey.length === 0) return -1;
-    const n = config.apiKey.length;
-    let idx = Math.min(Math.max(0, startIndex || 0), n - 1);
-    for (let i = 0; i < n; i++) {
-      const candidateIndex = (idx + i) % n;
-      const candidate = (config.apiKey[candidateIndex] || '').trim();
-      if (!candidate) continue;
-      if (excluded.has(candidate)) continue;
-      if (!isKeyBlacklisted(candidate)) return candidateIndex;
-    }
-    return -1;
+    return selectApiKeyIndex(config.apiKey, {
+      strategy: config.keyRotationStrategy,
+      healthMap: apiKeyHealth || {},
+      startIndex,
+      excluded
+    });
   }
 
   function normalizeApiKeys(apiKey) {
     // 说明：UI 支持「单 Key」或「逗号分隔的多 Key」两种输入形态。
-    // 只有在真正存在多个 Key 时（即拆分后长度 > 1），才启用黑名单筛选/轮换逻辑；
-    // 单 Key 场景下即便曾被加入黑名单，也继续尝试发起请求，避免被“永久/临时不可用”状态卡死。
+    // 只有在真正存在多个 Key 时（即拆分后长度 > 1），才启用冷却/停用筛选与轮换逻辑；
+    // 单 Key 场景下即便处于冷却或已停用，也继续尝试发起请求，避免被“永久/临时不可用”状态卡死。
     if (Array.isArray(apiKey)) {
       return apiKey.map(k => (typeof k === 'string' ? k.trim() : '')).filter(Boolean);
     }
@@ -1412,6 +1468,7 @@ export function createApiManager(appContext) {
       keys: keys.slice(),
       loadedAt: Date.now()
     });
+    refreshKeyHealthPanels();
   }
 
   function clearApiKeyFileCacheEntry(config) {
@@ -1769,7 +1826,8 @@ export function createApiManager(appContext) {
       connectionType: normalizedType,
       baseUrl: normalizedBaseUrl,
       apiKey: normalizeApiKeyValue(source?.apiKey),
-      apiKeyFilePath: normalizeApiKeyFilePath(source?.apiKeyFilePath)
+      apiKeyFilePath: normalizeApiKeyFilePath(source?.apiKeyFilePath),
+      keyRotationStrategy: normalizeKeyRotationStrategy(source?.keyRotationStrategy)
     };
   }
 
@@ -1819,6 +1877,7 @@ export function createApiManager(appContext) {
       displayName: '',
       temperature: 1,
       useStreaming: true,
+      clientToolsEnabled: false,
       isFavorite: false,
       customParams: '',
       customSystemPrompt: '',
@@ -1827,6 +1886,9 @@ export function createApiManager(appContext) {
       maxChatHistory: 500,
       maxChatHistoryUser: 500,
       maxChatHistoryAssistant: 500,
+      contextWindowTokens: 0,
+      modelPrices: [],
+      fallbackConfigIds: [],
       ...overrides
     };
   }
@@ -1921,6 +1983,7 @@ export function createApiManager(appContext) {
       }
       config.temperature = Number.isFinite(Number(config.temperature)) ? Number(config.temperature) : 1;
       config.useStreaming = (config.useStreaming !== false);
+      config.clientToolsEnabled = config.clientToolsEnabled === true;
       config.isFavorite = !!config.isFavorite;
       config.customParams = (typeof config.customParams === 'string') ? config.customParams : '';
       config.customSystemPrompt = (typeof config.customSystemPrompt === 'string') ? config.customSystemPrompt.trim() : '';
@@ -1969,8 +2032,8 @@ export function createApiManager(appContext) {
    */
   async function loadAPIConfigs() {
     try {
-      // 提前加载黑名单，确保首次请求前可用
-      await loadApiKeyBlacklist();
+      // 提前加载 Key 健康状态，确保首次请求前可用
+      await loadApiKeyHealth();
       // 读取顺序统一：sync 分片 → 旧 sync 字段（一次性迁移）
       let result = { apiConfigs: null, connectionSources: null, selectedConfigIndex: 0 };
       const chunked = await loadConfigsFromSyncChunked();
@@ -2082,6 +2145,19 @@ export function createApiManager(appContext) {
             config.userMessagePreprocessorIncludeInHistory = false;
             needResave = true;
           }
+          const normalizedContextWindow = normalizeContextWindowTokens(config.contextWindowTokens);
+          if (config.contextWindowTokens !== normalizedContextWindow) {
+            config.contextWindowTokens = normalizedContextWindow;
+            needResave = true;
+          }
+          if (!Array.isArray(config.modelPrices)) {
+            config.modelPrices = [];
+            needResave = true;
+          }
+          if (!Array.isArray(config.fallbackConfigIds)) {
+            config.fallbackConfigIds = [];
+            needResave = true;
+          }
           // 兼容旧版本：将单一 maxChatHistory 迁移为按角色拆分的双上限
           // 设计目标：尽量保持“总条数”接近旧行为（默认按 50%/50% 拆分）
           const hasUserLimit = Number.isFinite(config.maxChatHistoryUser);
@@ -2278,8 +2354,9 @@ export function createApiManager(appContext) {
     try {
       chrome.storage.onChanged.addListener(async (changes, areaName) => {
         if (areaName === 'local') {
-          if (changes[BLACKLIST_STORAGE_KEY]) {
-            await loadApiKeyBlacklist();
+          if (changes[KEY_HEALTH_STORAGE_KEY]) {
+            apiKeyHealth = mergeApiKeyHealthMaps(apiKeyHealth, changes[KEY_HEALTH_STORAGE_KEY].newValue);
+            refreshKeyHealthPanels();
           }
           return;
         }
@@ -2372,6 +2449,7 @@ export function createApiManager(appContext) {
       .replace(/\/models$/i, '')
       .replace(/\/chat\/completions(?:\/.*)?$/i, '')
       .replace(/\/responses(?:\/.*)?$/i, '')
+      .replace(/\/messages(?:\/.*)?$/i, '')
       .replace(/\/completions(?:\/.*)?$/i, '');
 
     const versionMatch = normalizedBasePath.match(/^(.*\/v\d+(?:alpha|beta)?)(?:\/.*)?$/i);
@@ -2421,7 +2499,9 @@ export function createApiManager(appContext) {
       seen.add(finalUrl);
 
       const headers = { Accept: 'application/json' };
-      if (connectionType !== CONNECTION_TYPE_GEMINI && selectedKey) {
+      if (connectionType === CONNECTION_TYPE_ANTHROPIC) {
+        Object.assign(headers, buildAnthropicAuthHeaders(selectedKey));
+      } else if (connectionType !== CONNECTION_TYPE_GEMINI && selectedKey) {
         headers.Authorization = `Bearer ${selectedKey}`;
       }
       candidates.push({ url: finalUrl, headers });
@@ -2538,6 +2618,18 @@ export function createApiManager(appContext) {
       a.id.localeCompare(b.id, 'en', { sensitivity: 'base' }));
   }
 
+  /**
+   * 为模型请求之外的辅助请求（如聊天记录语义索引的 embeddings）挑选一个 key。
+   * 与拉取模型列表相同：支持本地 key 文件，并在多 key 时跳过已拉黑的 key 轮换使用。
+   * @param {Object} config - API 配置
+   * @returns {Promise<string>} 没有可用 key 时返回空串
+   */
+  async function pickApiKeyForAuxiliaryRequest(config) {
+    const effectiveConfig = resolveEffectiveConfig(config) || config || {};
+    const resolvedKeys = await resolveRuntimeApiKeys(effectiveConfig, () => {});
+    return pickApiKeyForModelListing(effectiveConfig, resolvedKeys?.keys || []);
+  }
+
   // 模型列表接口在不同服务商上的路径风格不一致：
   // - Gemini：固定只请求 v1beta/models（单端点，不探测其它路径）；
   // - OpenAI 兼容 / Responses：固定请求 /v1/models（若 basePath 含前缀，则保留前缀后拼接 v*/models）。
@@ -2745,6 +2837,152 @@ export function createApiManager(appContext) {
     return apiConfigs.filter(config => config?.connectionSourceId === connectionSourceId).length;
   }
 
+  // ---- Key 状态面板 ----
+  const KEY_HEALTH_STATE_LABELS = {
+    available: '可用',
+    cooldown: '冷却中',
+    disabled: '已停用'
+  };
+
+  function formatKeyHealthTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString('zh-CN', { hour12: false });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.getMonth() + 1}/${date.getDate()} ${time}`;
+  }
+
+  // 面板展示的 key 列表与请求时一致：配置了 key 文件且已读取过时用文件中的 key，否则用内联 key
+  function getConnectionSourceKeysForHealth(source) {
+    const fileEntry = getApiKeyFileCacheEntry({ connectionSourceId: source?.id }, source?.apiKeyFilePath);
+    if (fileEntry) return fileEntry.keys;
+    return normalizeApiKeys(source?.apiKey);
+  }
+
+  function createKeyHealthButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * 渲染连接源下每个 Key 的状态：可用/冷却/停用、成功与失败计数、最近错误，
+   * 并提供重新启用、重置统计与（加权策略下的）权重编辑。
+   * @param {HTMLElement} panel
+   * @param {Object} source
+   */
+  function renderKeyHealthPanel(panel, source) {
+    if (!panel) return;
+    const keys = getConnectionSourceKeysForHealth(source);
+    panel.innerHTML = '';
+    if (keys.length === 0) {
+      panel.hidden = true;
+      return;
+    }
+    panel.hidden = false;
+
+    const strategy = normalizeKeyRotationStrategy(source?.keyRotationStrategy);
+    const now = Date.now();
+    const rows = keys.map((key, index) => {
+      const health = getApiKeyHealth(key);
+      return { key, index, health, status: getApiKeyHealthStatus(health, now) };
+    });
+
+    const header = document.createElement('div');
+    header.className = 'connection-source-key-health-header';
+    const title = document.createElement('span');
+    const unavailableCount = rows.filter(row => row.status.state !== 'available').length;
+    title.textContent = unavailableCount > 0
+      ? `Key 状态（${keys.length - unavailableCount}/${keys.length} 可用）`
+      : `Key 状态（${keys.length} 个均可用）`;
+    header.appendChild(title);
+    if (unavailableCount > 0) {
+      header.appendChild(createKeyHealthButton('全部重新启用', () => {
+        rows.forEach((row) => {
+          if (row.status.state !== 'available') updateApiKeyHealth(row.key, reenableApiKey);
+        });
+      }));
+    }
+    panel.appendChild(header);
+
+    const list = document.createElement('div');
+    list.className = 'connection-source-key-health-list';
+    rows.forEach(({ key, index, health, status }) => {
+      const row = document.createElement('div');
+      row.className = 'connection-source-key-row';
+
+      const main = document.createElement('div');
+      main.className = 'connection-source-key-main';
+      const label = document.createElement('span');
+      label.className = 'connection-source-key-label';
+      label.textContent = `#${index + 1} ${maskApiKey(key)}`;
+      const badge = document.createElement('span');
+      badge.className = `connection-source-key-status ${status.state}`;
+      badge.textContent = status.state === 'cooldown'
+        ? `冷却至 ${formatKeyHealthTime(now + status.remainingMs)}`
+        : KEY_HEALTH_STATE_LABELS[status.state];
+      main.append(label, badge);
+
+      const actions = document.createElement('div');
+      actions.className = 'connection-source-key-actions';
+      if (strategy === 'weighted') {
+        const weightInput = document.createElement('input');
+        weightInput.type = 'number';
+        weightInput.min = '0';
+        weightInput.step = '0.5';
+        weightInput.className = 'connection-source-key-weight';
+        weightInput.title = '权重：加权策略下被选中的相对概率；0 表示只在其它 Key 都不可用时才使用';
+        weightInput.value = String(normalizeKeyWeight(health?.weight));
+        weightInput.addEventListener('change', () => {
+          const weight = normalizeKeyWeight(weightInput.value);
+          updateApiKeyHealth(key, current => ({ ...current, weight, updatedAt: Date.now() }));
+        });
+        actions.appendChild(weightInput);
+      }
+      if (status.state !== 'available') {
+        actions.appendChild(createKeyHealthButton('重新启用', () => updateApiKeyHealth(key, reenableApiKey)));
+      }
+      if (health) {
+        actions.appendChild(createKeyHealthButton('重置统计', () => updateApiKeyHealth(key, resetApiKeyHealth)));
+      }
+
+      const stats = document.createElement('div');
+      stats.className = 'connection-source-key-stats';
+      const parts = [
+        `成功 ${health?.successCount || 0}`,
+        `失败 ${health?.errorCount || 0}`,
+        `429 ${health?.rateLimitCount || 0}`
+      ];
+      if (health?.lastSuccessAt) parts.push(`最近成功 ${formatKeyHealthTime(health.lastSuccessAt)}`);
+      stats.textContent = parts.join(' · ');
+
+      row.append(main, actions, stats);
+      if (health?.lastError) {
+        const error = document.createElement('div');
+        error.className = 'connection-source-key-error';
+        const { message, at } = health.lastError;
+        const errorText = message || `HTTP ${health.lastError.status}`;
+        error.textContent = `最近错误：${at ? `${formatKeyHealthTime(at)} ` : ''}${errorText}`;
+        error.title = errorText;
+        row.appendChild(error);
+      }
+      list.appendChild(row);
+    });
+    panel.appendChild(list);
+  }
+
+  function refreshKeyHealthPanels() {
+    const panels = document.querySelectorAll('.connection-source-key-health[data-connection-source-id]');
+    panels.forEach((panel) => {
+      const source = connectionSources.find(item => item.id === panel.dataset.connectionSourceId);
+      if (source) renderKeyHealthPanel(panel, source);
+    });
+  }
+
   function renderConnectionSources() {
     const listContainer = document.getElementById('connection-sources-list');
     const templateItem = listContainer?.querySelector('.connection-source-item.template');
@@ -2776,6 +3014,8 @@ export function createApiManager(appContext) {
     const apiKeyFilePathInput = template.querySelector('.connection-source-api-key-file-path');
     const deleteButton = template.querySelector('.connection-source-delete-btn');
     const refCountElement = template.querySelector('.connection-source-ref-count');
+    const keyStrategySelect = template.querySelector('.connection-source-key-strategy');
+    const keyHealthPanel = template.querySelector('.connection-source-key-health');
 
     const applyConnectionTypeUiState = (rawConnectionType) => {
       const normalizedType = normalizeConnectionType(rawConnectionType) || CONNECTION_TYPE_OPENAI;
@@ -2787,6 +3027,12 @@ export function createApiManager(appContext) {
         if (baseUrlHint) {
           baseUrlHint.textContent = '支持官方地址与代理地址；支持 {model}/{action}/{method}/{key} 占位符。';
         }
+      } else if (normalizedType === CONNECTION_TYPE_ANTHROPIC) {
+        if (baseUrlLabel) baseUrlLabel.textContent = 'Anthropic Messages 端点 URL';
+        baseUrlInput.placeholder = `例如 ${ANTHROPIC_DEFAULT_BASE_URL}`;
+        if (baseUrlHint) {
+          baseUrlHint.textContent = 'Anthropic 模式走 /v1/messages，使用 x-api-key 鉴权；思考与工具调用会分别显示在思考区和工具活动里。';
+        }
       } else if (normalizedType === CONNECTION_TYPE_OPENAI_RESPONSES) {
         if (baseUrlLabel) baseUrlLabel.textContent = 'OpenAI Responses 端点 URL';
         baseUrlInput.placeholder = `例如 ${OPENAI_RESPONSES_DEFAULT_BASE_URL}`;
@@ -2825,6 +3071,13 @@ export function createApiManager(appContext) {
     if (apiKeyFilePathInput) {
       apiKeyFilePathInput.value = source?.apiKeyFilePath || '';
     }
+    if (keyStrategySelect) {
+      keyStrategySelect.value = normalizeKeyRotationStrategy(source?.keyRotationStrategy);
+    }
+    if (keyHealthPanel) {
+      keyHealthPanel.dataset.connectionSourceId = source.id;
+      renderKeyHealthPanel(keyHealthPanel, source);
+    }
     applyConnectionTypeUiState(normalizedType);
 
     const persistSourceChanges = () => {
@@ -2857,7 +3110,8 @@ export function createApiManager(appContext) {
         connectionType: nextType,
         baseUrl: nextBaseUrl,
         apiKey: apiKeyValue,
-        apiKeyFilePath: normalizeApiKeyFilePath(apiKeyFilePathInput?.value)
+        apiKeyFilePath: normalizeApiKeyFilePath(apiKeyFilePathInput?.value),
+        keyRotationStrategy: normalizeKeyRotationStrategy(keyStrategySelect?.value)
       };
       clearApiKeyFileCacheEntry({ connectionSourceId: source.id });
       invalidateModelListCacheForSource(sourceId);
@@ -2899,6 +3153,9 @@ export function createApiManager(appContext) {
       apiKeyFilePathInput.addEventListener('change', persistSourceChanges);
       apiKeyFilePathInput.addEventListener('blur', persistSourceChanges);
     }
+    if (keyStrategySelect) {
+      keyStrategySelect.addEventListener('change', persistSourceChanges);
+    }
 
     if (deleteButton) {
       let deleteConfirmTimer = null;
@@ -2957,6 +3214,97 @@ export function createApiManager(appContext) {
     return template;
   }
 
+  /**
+   * 故障转移链编辑区：按顺序列出备用 API，可上移、移除，并从下拉框追加。
+   * 列表中已被删除的配置不显示，下次修改时一并清理。
+   * @param {number} index - 所属 API 配置的索引
+   * @returns {HTMLElement}
+   */
+  function createFallbackChainGroup(index) {
+    const group = document.createElement('div');
+    group.className = 'form-group fallback-chain-group';
+    const header = document.createElement('div');
+    header.className = 'form-group-header';
+    const label = document.createElement('label');
+    label.textContent = '故障转移（按顺序）';
+    label.title = '自动重试用尽后仍因限流、服务端或网络错误失败时，依次改用这些 API 继续发送';
+    header.appendChild(label);
+    const list = document.createElement('div');
+    list.className = 'fallback-chain-list';
+    const addSelect = document.createElement('select');
+    addSelect.className = 'fallback-chain-add';
+
+    const findConfigById = id => apiConfigs.find(item => item?.id === id) || null;
+    const setChain = (ids) => {
+      const owner = apiConfigs[index];
+      if (!owner) return;
+      owner.fallbackConfigIds = normalizeFallbackConfigIds(ids, owner.id).filter(id => findConfigById(id));
+      saveAPIConfigs();
+      render();
+    };
+
+    function render() {
+      const owner = apiConfigs[index];
+      const chain = normalizeFallbackConfigIds(owner?.fallbackConfigIds, owner?.id).filter(id => findConfigById(id));
+      list.innerHTML = '';
+      chain.forEach((id, position) => {
+        const item = document.createElement('div');
+        item.className = 'fallback-chain-item';
+        const name = document.createElement('span');
+        name.className = 'fallback-chain-name';
+        name.textContent = `${position + 1}. ${getApiConfigDisplayTitle(findConfigById(id))}`;
+        item.appendChild(name);
+        if (position > 0) {
+          const upButton = document.createElement('button');
+          upButton.type = 'button';
+          upButton.textContent = '↑';
+          upButton.title = '上移';
+          upButton.addEventListener('click', () => {
+            const next = chain.slice();
+            [next[position - 1], next[position]] = [next[position], next[position - 1]];
+            setChain(next);
+          });
+          item.appendChild(upButton);
+        }
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.title = '移除';
+        removeButton.addEventListener('click', () => {
+          setChain(chain.filter(item => item !== id));
+        });
+        item.appendChild(removeButton);
+        list.appendChild(item);
+      });
+
+      addSelect.innerHTML = '';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = chain.length > 0 ? '+ 添加备用 API' : '未设置（选择备用 API）';
+      addSelect.appendChild(placeholder);
+      apiConfigs.forEach((candidate) => {
+        if (!candidate?.id || candidate.id === owner?.id || chain.includes(candidate.id)) return;
+        const option = document.createElement('option');
+        option.value = candidate.id;
+        option.textContent = getApiConfigDisplayTitle(candidate);
+        addSelect.appendChild(option);
+      });
+      addSelect.value = '';
+      addSelect.disabled = chain.length >= MAX_FALLBACK_API_CONFIGS || addSelect.options.length <= 1;
+    }
+
+    addSelect.addEventListener('change', () => {
+      if (!addSelect.value) return;
+      setChain([...(apiConfigs[index]?.fallbackConfigIds || []), addSelect.value]);
+    });
+
+    render();
+    group.appendChild(header);
+    group.appendChild(list);
+    group.appendChild(addSelect);
+    return group;
+  }
+
   /**
    * 渲染 API 卡片
    */
@@ -3032,6 +3380,7 @@ export function createApiManager(appContext) {
     const selectBtn = template.querySelector('.select-btn');
     const customParamsInput = template.querySelector('.custom-params');
     const customSystemPromptInput = template.querySelector('.custom-system-prompt');
+    const modelPricesInput = template.querySelector('.model-prices');
     const userMessageTemplateInput = template.querySelector('.user-message-template');
     const userMessageTemplateIncludeHistoryToggle = template.querySelector('.user-message-template-include-history');
     const userMessageTemplateHelpBtn = template.querySelector('.template-help-icon');
@@ -3803,12 +4152,42 @@ export function createApiManager(appContext) {
       setConfigValue: (v) => { apiConfigs[index].maxChatHistoryAssistant = v; }
     });
 
+    // 上下文窗口：填写后发送前估算 token，超过“压缩触发阈值”时自动压缩较早的历史（见聊天设置）
+    const contextWindowGroup = document.createElement('div');
+    contextWindowGroup.className = 'form-group';
+    const contextWindowHeader = document.createElement('div');
+    contextWindowHeader.className = 'form-group-header';
+    const contextWindowLabel = document.createElement('label');
+    contextWindowLabel.textContent = '上下文窗口（tokens）';
+    contextWindowHeader.appendChild(contextWindowLabel);
+    const contextWindowInput = document.createElement('input');
+    contextWindowInput.type = 'number';
+    contextWindowInput.className = 'context-window-tokens responses-setting-input';
+    contextWindowInput.min = '0';
+    contextWindowInput.step = '1000';
+    contextWindowInput.placeholder = '例如 128000，留空不压缩';
+    contextWindowInput.value = normalizeContextWindowTokens(config.contextWindowTokens) || '';
+    contextWindowInput.addEventListener('change', () => {
+      const normalized = normalizeContextWindowTokens(contextWindowInput.value);
+      contextWindowInput.value = normalized || '';
+      apiConfigs[index].contextWindowTokens = normalized;
+      saveAPIConfigs();
+    });
+    contextWindowGroup.appendChild(contextWindowHeader);
+    contextWindowGroup.appendChild(contextWindowInput);
+
+    const fallbackGroup = createFallbackChainGroup(index);
+
     if (formLeft) {
       formLeft.appendChild(userHistoryGroup);
       formLeft.appendChild(assistantHistoryGroup);
+      formLeft.appendChild(contextWindowGroup);
+      formLeft.appendChild(fallbackGroup);
     } else {
       apiForm.appendChild(userHistoryGroup);
       apiForm.appendChild(assistantHistoryGroup);
+      apiForm.appendChild(contextWindowGroup);
+      apiForm.appendChild(fallbackGroup);
     }
 
     // 传输模式：右侧开关（开启=流式 SSE，关闭=非流式 JSON）
@@ -3849,6 +4228,42 @@ export function createApiManager(appContext) {
       apiForm.appendChild(streamingGroup);
     }
 
+    // 客户端工具：Chat Completions / Gemini 连接需手动开启（Responses 默认注入，Anthropic 暂不支持）。
+    // 默认关闭，避免不支持 tools 字段的兼容网关直接返回 400。
+    const clientToolsGroup = document.createElement('div');
+    clientToolsGroup.className = 'form-group';
+    const clientToolsRow = document.createElement('div');
+    clientToolsRow.className = 'switch-row backup-form-row';
+    const clientToolsText = document.createElement('span');
+    clientToolsText.className = 'switch-text';
+    clientToolsText.textContent = '客户端工具调用';
+    const clientToolsSwitchLabel = document.createElement('label');
+    clientToolsSwitchLabel.className = 'switch';
+    const clientToolsToggle = document.createElement('input');
+    clientToolsToggle.type = 'checkbox';
+    clientToolsToggle.id = `client-tools-enabled-${index}`;
+    clientToolsToggle.className = 'client-tools-enabled-toggle';
+    clientToolsToggle.checked = config.clientToolsEnabled === true;
+    clientToolsToggle.title = '向模型提供 js_runtime_execute / page_content_read / pdf_read、自定义工具与 MCP 工具，并在本地执行其工具调用';
+    const clientToolsSlider = document.createElement('span');
+    clientToolsSlider.className = 'slider';
+    clientToolsSwitchLabel.appendChild(clientToolsToggle);
+    clientToolsSwitchLabel.appendChild(clientToolsSlider);
+    clientToolsRow.appendChild(clientToolsText);
+    clientToolsRow.appendChild(clientToolsSwitchLabel);
+    clientToolsGroup.appendChild(clientToolsRow);
+
+    clientToolsToggle.addEventListener('change', () => {
+      apiConfigs[index].clientToolsEnabled = !!clientToolsToggle.checked;
+      saveAPIConfigs();
+    });
+
+    if (formLeft) {
+      formLeft.appendChild(clientToolsGroup);
+    } else {
+      apiForm.appendChild(clientToolsGroup);
+    }
+
     const responsesSettingsSection = createResponsesSettingsSection();
     const responsesSearchToolSection = createResponsesSearchToolSection();
     const responsesCodeInterpreterToolSection = createResponsesCodeInterpreterToolSection();
@@ -3861,6 +4276,11 @@ export function createApiManager(appContext) {
       apiForm.appendChild(providerSettingsHost);
     }
     const refreshProviderSettingsVisibility = () => {
+      const selectedConnectionType = getSelectedConnectionTypeForCard();
+      // .form-group 为 display: contents，hidden 属性对其无效，直接切换开关行的 display
+      const supportsClientTools = selectedConnectionType === CONNECTION_TYPE_OPENAI
+        || selectedConnectionType === CONNECTION_TYPE_GEMINI;
+      clientToolsRow.style.display = supportsClientTools ? '' : 'none';
       if (!providerSettingsHost) return;
       const nextSections = [];
       if (isResponsesConnectionSelected() && responsesSettingsSection) {
@@ -3932,6 +4352,9 @@ export function createApiManager(appContext) {
     if (customSystemPromptInput) {
       customSystemPromptInput.value = config.customSystemPrompt || '';
     }
+    if (modelPricesInput) {
+      modelPricesInput.value = formatModelPriceTable(config.modelPrices);
+    }
     if (userMessageTemplateInput) {
       userMessageTemplateInput.value = config.userMessagePreprocessorTemplate || '';
     }
@@ -4097,6 +4520,23 @@ export function createApiManager(appContext) {
       });
     }
 
+    // 价格表：失焦后解析并回写规范格式，无法解析的行会被丢弃并提示
+    if (modelPricesInput) {
+      modelPricesInput.addEventListener('change', () => {
+        const { entries, invalidLines } = parseModelPriceTable(modelPricesInput.value);
+        apiConfigs[index].modelPrices = entries;
+        modelPricesInput.value = formatModelPriceTable(entries);
+        saveAPIConfigs();
+        if (invalidLines.length > 0) {
+          utils?.showNotification?.({
+            message: `价格表第 ${invalidLines.join('、')} 行格式不正确，已忽略`,
+            type: 'warning',
+            duration: 3200
+          });
+        }
+      });
+    }
+
     if (userMessageTemplateInput) {
       userMessageTemplateInput.addEventListener('input', () => {
         apiConfigs[index].userMessagePreprocessorTemplate = userMessageTemplateInput.value;
@@ -4171,6 +4611,12 @@ export function createApiManager(appContext) {
           resetDeleteConfirm();
 
           const deletedConfig = apiConfigs.splice(index, 1)[0];
+          // 从其它配置的故障转移链中移除被删除的配置
+          apiConfigs.forEach((cfg) => {
+            if (Array.isArray(cfg?.fallbackConfigIds) && cfg.fallbackConfigIds.includes(deletedConfig?.id)) {
+              cfg.fallbackConfigIds = cfg.fallbackConfigIds.filter(id => id !== deletedConfig.id);
+            }
+          });
           const deletedSourceId = deletedConfig?.connectionSourceId || '';
           const stillUsedByOthers = deletedSourceId
             ? apiConfigs.some(cfg => cfg?.connectionSourceId === deletedSourceId)
@@ -4487,6 +4933,22 @@ export function createApiManager(appContext) {
     return /(^|\/)responses(?:\/[^/?#]+)?\/?$/.test(path);
   }
 
+  /**
+   * 构造 Anthropic 接口的鉴权头。
+   * 说明：扩展页直接从浏览器环境调用 api.anthropic.com 时，必须显式声明
+   * `anthropic-dangerous-direct-browser-access`，否则会被 CORS 拒绝。
+   * @param {string} apiKey
+   * @returns {Object<string, string>}
+   */
+  function buildAnthropicAuthHeaders(apiKey) {
+    const headers = {
+      'anthropic-version': ANTHROPIC_API_VERSION,
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+    if (apiKey) headers['x-api-key'] = apiKey;
+    return headers;
+  }
+
   function isOpenAIResponsesConnectionConfig(config) {
     if (!config || typeof config !== 'object') return false;
     const connectionType = getConfigConnectionType(config);
@@ -4705,6 +5167,14 @@ export function createApiManager(appContext) {
             type: 'input_image',
             image_url: resolvedUrl
           });
+          continue;
+        }
+        if (part.type === 'file' && part.file?.data) {
+          contentParts.push({
+            type: 'input_file',
+            filename: part.file.filename,
+            file_data: `data:${part.file.mime_type};base64,${part.file.data}`
+          });
         }
       }
       if (contentParts.length === 0) {
@@ -4854,6 +5324,11 @@ export function createApiManager(appContext) {
       }
     }
 
+    // 文件附件：Gemini 与 Responses 接口以原生文件输入发送 PDF，其余接口或文件类型展开为正文前的文本块
+    normalizedMessages = expandMessageFileAttachments(normalizedMessages, {
+      nativeFileInput: isGeminiConnectionConfig(config) || isOpenAIResponsesConnectionConfig(config)
+    });
+
     // 收集 Gemini systemInstruction 的 parts：
     // - 兼容多条 system 消息（例如“API 消息模板”注入的 {{#system}} 块）；
     // - 保持出现顺序，避免只取首条导致后续系统指令丢失。
@@ -4901,6 +5376,13 @@ export function createApiManager(appContext) {
               if (inlinePart) {
                 parts.push(inlinePart);
               }
+            } else if (item.type === 'file' && item.file?.data) {
+              parts.push({
+                inline_data: {
+                  mime_type: item.file.mime_type,
+                  data: item.file.data
+                }
+              });
             }
           }
         } else if (typeof msg.content === 'string') { // 纯文本消息
@@ -4912,7 +5394,7 @@ export function createApiManager(appContext) {
         // 如果该消息带有 Gemini 思维链签名，则将签名附加到最后一个 part 上
         // - 只在模型消息（assistant/model）上回传，以符合官方文档建议；
         // - 读取历史消息上记录的 Thought Signature，兼容下划线与驼峰命名；
-        // - 重要：若该签名来自 OpenAI 兼容接口（thoughtSignatureSource==='openai'），则不能发给 Gemini。
+        // - 重要：若该签名来自 OpenAI 兼容 / Anthropic 接口（thoughtSignatureSource 为 'openai' 或 'anthropic'），则不能发给 Gemini。
 	        const thoughtSignature =
 	          (typeof msg.thoughtSignature === 'string' && msg.thoughtSignature) ||
 	          (typeof msg.thought_signature === 'string' && msg.thought_signature) ||
@@ -4921,6 +5403,7 @@ export function createApiManager(appContext) {
 	        const canSendGeminiSignature =
 	          shouldSendSignature &&
 	          (thoughtSignatureSource !== 'openai') &&
+	          (thoughtSignatureSource !== 'anthropic') &&
 	          isSignatureCompatibleWithModel(msg.apiModelId, config?.modelName);
 	        if (canSendGeminiSignature && thoughtSignature && parts.length > 0 && (msg.role === 'assistant' || role === 'model')) {
 	          const lastPart = parts[parts.length - 1];
@@ -5011,6 +5494,42 @@ export function createApiManager(appContext) {
         }
       }
 
+    } else if (getConfigConnectionType(config) === CONNECTION_TYPE_ANTHROPIC) {
+      // Anthropic Messages 请求格式：
+      // - system 提升为顶层字段，messages 仅保留 user/assistant 且相邻同角色合并；
+      // - thinking block 仅在签名来源为 anthropic 且模型兼容时原样回传，否则上游会校验失败。
+      const { system, messages: anthropicMessages } = await convertMessagesToAnthropicRequest(normalizedMessages, {
+        resolveImageUrl: normalizeImageUrlForOpenAI,
+        shouldReplayThinking: (msg) => (
+          shouldSendSignature &&
+          msg?.thoughtSignatureSource === 'anthropic' &&
+          isSignatureCompatibleWithModel(msg.apiModelId, config?.modelName)
+        )
+      });
+      requestBody = {
+        model: config.modelName,
+        max_tokens: ANTHROPIC_DEFAULT_MAX_TOKENS,
+        messages: anthropicMessages,
+        stream: (config.useStreaming !== false),
+        ...overrides
+      };
+      if (system) requestBody.system = system;
+
+      if (config.customParams) {
+        try {
+          const extraParams = JSON.parse(config.customParams);
+          requestBody = { ...requestBody, ...extraParams };
+        } catch (e) {
+          console.error("解析自定义参数 JSON 失败 (Anthropic)，请检查格式。", e);
+        }
+      }
+      // Anthropic 的 temperature 取值范围为 0~1，且开启 extended thinking 时不允许设置；
+      // 因此只在用户主动调节且未开启 thinking 时发送（自定义参数中显式给出的 temperature 优先）。
+      const temperature = Number(config.temperature);
+      const isThinkingEnabled = !!requestBody.thinking && requestBody.thinking.type !== 'disabled';
+      if (requestBody.temperature == null && !isThinkingEnabled && Number.isFinite(temperature) && temperature !== 1) {
+        requestBody.temperature = Math.min(1, Math.max(0, temperature));
+      }
     } else {
       // OpenAI 兼容请求格式：
       // - /chat/completions 继续沿用原结构；
@@ -5165,17 +5684,18 @@ export function createApiManager(appContext) {
     const normalizedModelName = (typeof config?.modelName === 'string') ? config.modelName.trim() : '';
     const connectionType = getConfigConnectionType(config);
     const isGeminiConnection = connectionType === CONNECTION_TYPE_GEMINI;
-    const effectiveBaseUrl = isGeminiConnection
-      ? normalizeConfigBaseUrlByConnection(CONNECTION_TYPE_GEMINI, normalizedBaseUrl)
+    const isAnthropicConnection = connectionType === CONNECTION_TYPE_ANTHROPIC;
+    const effectiveBaseUrl = (isGeminiConnection || isAnthropicConnection)
+      ? normalizeConfigBaseUrlByConnection(connectionType, normalizedBaseUrl)
       : normalizedBaseUrl;
     const statusApiBase = effectiveBaseUrl || String(config?.baseUrl || '');
     const statusModelName = normalizedModelName || String(config?.modelName || '');
-    // 确保黑名单已加载（若未调用过 loadAPIConfigs）
-    if (!apiKeyBlacklist || typeof apiKeyBlacklist !== 'object') {
-      try { await loadApiKeyBlacklist(); } catch (_) {}
+    // 确保 Key 健康状态已加载（若未调用过 loadAPIConfigs）
+    if (!apiKeyHealth) {
+      try { await loadApiKeyHealth(); } catch (_) {}
     }
 
-    // 选择可用的 Key：成功不轮换；429 临时黑名单；bad request 的 400 不拉黑；其余 400/403 永久黑名单
+    // 选择可用的 Key（按连接源的轮换策略）：429/5xx 临时冷却并换 Key；bad request 的 400 不处理；其余 400/403 停用该 Key
     const tried = new Set();
     let lastErrorResponse = null;
     const hasApiKeyFilePath = !!normalizeApiKeyFilePath(config?.apiKeyFilePath);
@@ -5239,6 +5759,12 @@ export function createApiManager(appContext) {
       return true;
     };
 
+    // 轮换用的 key 池：keysArray 可能因重读 key 文件而替换，这里用 getter 始终取最新列表
+    const keyPool = {
+      get apiKey() { return keysArray; },
+      keyRotationStrategy: config.keyRotationStrategy
+    };
+
     while (true) {
       let selectedIndex = 0;
       let selectedKey = '';
@@ -5246,9 +5772,9 @@ export function createApiManager(appContext) {
         selectedIndex = -1;
         selectedKey = '';
       } else if (isArrayKeys) {
-        // 从当前索引开始，选择第一个不在黑名单且未尝试过的 key
+        // 按轮换策略选择未冷却/未停用且本轮未尝试过的 key
         const startIndex = Math.min(Math.max(0, apiKeyUsageIndex[configId] || 0), keysArray.length - 1);
-        const idx = getNextUsableKeyIndex({ apiKey: keysArray }, startIndex, tried);
+        const idx = getNextUsableKeyIndex(keyPool, startIndex, tried);
         if (idx === -1) {
           const reloaded = await tryReloadKeysFromFileOnce('no_usable_key_before_request');
           if (reloaded) {
@@ -5256,7 +5782,7 @@ export function createApiManager(appContext) {
           }
           // 无可用 key
           if (lastErrorResponse) return lastErrorResponse; // 返回最后一次错误响应，让上层按原逻辑处理
-          throw new Error('没有可用的 API Key（全部黑名单或被删除）');
+          throw new Error('没有可用的 API Key（全部冷却中、已停用或被删除），可在连接源的 Key 状态中重新启用');
         }
         selectedIndex = idx;
         selectedKey = keysArray[selectedIndex] || '';
@@ -5308,7 +5834,9 @@ export function createApiManager(appContext) {
         if (protocol !== 'http:' && protocol !== 'https:') {
           throw new Error(`API Base URL 协议不受支持：${protocol || 'unknown'}`);
         }
-        if (selectedKey) {
+        if (isAnthropicConnection) {
+          Object.assign(headers, buildAnthropicAuthHeaders(selectedKey));
+        } else if (selectedKey) {
           headers['Authorization'] = `Bearer ${selectedKey}`;
         }
       }
@@ -5362,6 +5890,12 @@ export function createApiManager(appContext) {
         response = await fetchPromise;
       } catch (error) {
         if (error?.name === 'AbortError') throw error;
+        if (selectedKey) {
+          updateApiKeyHealth(selectedKey, health => recordApiKeyFailure(health, {
+            status: 0,
+            message: `网络错误：${error?.message || 'Failed to fetch'}`
+          }), { immediate: false }).catch(() => {});
+        }
         throw new Error(`网络请求失败（${endpointHint}）：${error?.message || 'Failed to fetch'}`);
       }
       emitStatus({
@@ -5372,7 +5906,7 @@ export function createApiManager(appContext) {
         modelName: statusModelName
       });
 
-      // 处理 429：加入黑名单并尝试下一个 key
+      // 处理 429：该 key 进入冷却（优先按 Retry-After）并尝试下一个 key
       if (response.status === 429) {
         emitStatus({
           stage: 'http_429_rate_limited',
@@ -5382,12 +5916,16 @@ export function createApiManager(appContext) {
         });
         lastErrorResponse = response;
         if (selectedKey) {
-          try { await blacklistKey(selectedKey, 24 * 60 * 60 * 1000); } catch (_) {}
+          const message = await readKeyErrorSummary(response);
+          const retryAfterMs = parseRetryAfterMs(response.headers?.get?.('retry-after'));
+          try {
+            await updateApiKeyHealth(selectedKey, health => recordApiKeyFailure(health, { status: 429, message, retryAfterMs }));
+          } catch (_) {}
           tried.add(selectedKey);
         }
         if (isArrayKeys) {
           // 轮换到下一个可用 key（并更新“当前使用”索引）
-          const nextIdx = getNextUsableKeyIndex({ apiKey: keysArray }, (selectedIndex + 1) % keysArray.length, tried);
+          const nextIdx = getNextUsableKeyIndex(keyPool, (selectedIndex + 1) % keysArray.length, tried);
           if (nextIdx === -1) {
             const reloaded = await tryReloadKeysFromFileOnce('rate_limited_no_next_key');
             if (reloaded) {
@@ -5409,7 +5947,7 @@ export function createApiManager(appContext) {
         return response;
       }
 
-      // 处理 400：若明确是 bad request（请求体/参数错误），不拉黑 key。
+      // 处理 400：若明确是 bad request（请求体/参数错误），不停用 key。
       if (response.status === 400) {
         const badRequest = await isBadRequest400(response);
         if (badRequest) {
@@ -5424,7 +5962,7 @@ export function createApiManager(appContext) {
         }
       }
 
-      // 处理“非 bad request 的 400”与 403：标记 key 永久不可用
+      // 处理“非 bad request 的 400”与 403：停用该 key，直到用户手动重新启用
       if (response.status === 400 || response.status === 403) {
         emitStatus({
           stage: 'http_auth_or_bad_request_key_blacklisted',
@@ -5439,9 +5977,14 @@ export function createApiManager(appContext) {
         }
         lastErrorResponse = response;
         tried.add(selectedKey);
-        try { await blacklistKey(selectedKey, -1); } catch (_) {}
+        {
+          const message = await readKeyErrorSummary(response);
+          try {
+            await updateApiKeyHealth(selectedKey, health => recordApiKeyFailure(health, { status: response.status, message }));
+          } catch (_) {}
+        }
         if (isArrayKeys) {
-          const nextIdx = getNextUsableKeyIndex({ apiKey: keysArray }, (selectedIndex + 1) % keysArray.length, tried);
+          const nextIdx = getNextUsableKeyIndex(keyPool, (selectedIndex + 1) % keysArray.length, tried);
           if (nextIdx === -1) {
             const reloaded = await tryReloadKeysFromFileOnce('key_blacklisted_no_next_key');
             if (reloaded) {
@@ -5461,8 +6004,39 @@ export function createApiManager(appContext) {
         return response;
       }
 
-      // 其他错误：直接返回给上层处理（不更改轮换状态）
+      // 处理 5xx：该 key 临时冷却；多 key 时换下一个 key 重试
+      if (response.status >= 500 && response.status <= 599) {
+        const willRetry = !!(isArrayKeys && selectedKey);
+        emitStatus({
+          stage: 'http_5xx_key_cooldown',
+          status: response.status,
+          willRetry,
+          apiBase: statusApiBase,
+          modelName: statusModelName
+        });
+        if (!selectedKey) return response;
+        {
+          const message = await readKeyErrorSummary(response);
+          try {
+            await updateApiKeyHealth(selectedKey, health => recordApiKeyFailure(health, { status: response.status, message }));
+          } catch (_) {}
+        }
+        if (!willRetry) return response;
+        lastErrorResponse = response;
+        tried.add(selectedKey);
+        const nextIdx = getNextUsableKeyIndex(keyPool, (selectedIndex + 1) % keysArray.length, tried);
+        if (nextIdx === -1) return response;
+        apiKeyUsageIndex[configId] = nextIdx;
+        continue;
+      }
+
+      // 其他错误：只计入 key 的失败统计，直接返回给上层处理（不更改轮换状态）
       if (!response.ok) {
+        if (selectedKey) {
+          const message = await readKeyErrorSummary(response);
+          updateApiKeyHealth(selectedKey, health => recordApiKeyFailure(health, { status: response.status, message }), { immediate: false })
+            .catch(() => {});
+        }
         return response;
       }
 
@@ -5470,6 +6044,9 @@ export function createApiManager(appContext) {
       if (isArrayKeys) {
         apiKeyUsageIndex[configId] = selectedIndex;
       }
+      if (selectedKey) {
+        updateApiKeyHealth(selectedKey, health => recordApiKeySuccess(health), { immediate: false }).catch(() => {});
+      }
       return response;
     }
   }
@@ -5641,7 +6218,7 @@ export function createApiManager(appContext) {
   /**
    * 从部分配置信息中获取完整的 API 配置
    * @param {Object} partialConfig - 部分 API 配置信息
-   * @param {'openai'|'openai_responses'|'gemini'} [partialConfig.connectionType] - 连接方式（可选）
+   * @param {'openai'|'openai_responses'|'gemini'|'anthropic'} [partialConfig.connectionType] - 连接方式（可选）
    * @param {string} partialConfig.baseUrl - API 基础 URL
    * @param {string} partialConfig.modelName - 模型名称
    * @param {string} [partialConfig.apiKeyFilePath] - 本地 Key 文件路径（可选）
@@ -5719,6 +6296,7 @@ export function createApiManager(appContext) {
       displayName: partialConfig.displayName || '',
       temperature: partialConfig.temperature ?? 1.0,
       useStreaming: partialConfig.useStreaming !== false,
+      clientToolsEnabled: partialConfig.clientToolsEnabled === true,
       isFavorite: false,
       customParams: partialConfig.customParams || '',
       customSystemPrompt: partialConfig.customSystemPrompt || '',
@@ -5728,7 +6306,9 @@ export function createApiManager(appContext) {
       userMessagePreprocessorIncludeInHistory: !!partialConfig.userMessagePreprocessorIncludeInHistory,
       maxChatHistory: 500,
       maxChatHistoryUser: 500,
-      maxChatHistoryAssistant: 500
+      maxChatHistoryAssistant: 500,
+      contextWindowTokens: normalizeContextWindowTokens(partialConfig.contextWindowTokens),
+      modelPrices: normalizeModelPriceTable(partialConfig.modelPrices)
     };
     const transientResponsesApiSettings = normalizeResponsesApiSettings(partialConfig.responsesApiSettings);
     if (transientResponsesApiSettings) {
@@ -5863,6 +6443,7 @@ export function createApiManager(appContext) {
       displayName: config.displayName || '新配置',
       temperature: config.temperature ?? 1,
       useStreaming: config.useStreaming !== false,
+      clientToolsEnabled: config.clientToolsEnabled === true,
       isFavorite: !!config.isFavorite,
       customParams: config.customParams || '',
       customSystemPrompt: config.customSystemPrompt || '',
@@ -5872,7 +6453,10 @@ export function createApiManager(appContext) {
       userMessagePreprocessorIncludeInHistory: !!config.userMessagePreprocessorIncludeInHistory,
       maxChatHistory: Number.isFinite(config.maxChatHistory) ? config.maxChatHistory : 500,
       maxChatHistoryUser: Number.isFinite(config.maxChatHistoryUser) ? config.maxChatHistoryUser : 500,
-      maxChatHistoryAssistant: Number.isFinite(config.maxChatHistoryAssistant) ? config.maxChatHistoryAssistant : 500
+      maxChatHistoryAssistant: Number.isFinite(config.maxChatHistoryAssistant) ? config.maxChatHistoryAssistant : 500,
+      contextWindowTokens: normalizeContextWindowTokens(config.contextWindowTokens),
+      modelPrices: normalizeModelPriceTable(config.modelPrices),
+      fallbackConfigIds: normalizeFallbackConfigIds(config.fallbackConfigIds, config.id)
     });
     const mergedResponsesApiSettings = normalizeResponsesApiSettings(config.responsesApiSettings);
     if (mergedResponsesApiSettings) {
@@ -5906,6 +6490,7 @@ export function createApiManager(appContext) {
     getModelConfig,
     getApiConfigFromPartial,
     resolveApiParam,
+    pickApiKeyForAuxiliaryRequest,
 
     // 获取和设置配置
     getSelectedConfig: () => {
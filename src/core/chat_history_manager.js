@@ -30,6 +30,8 @@ import { normalizeResponsesPromptCacheKey } from '../utils/responses_prompt_cach
  * @property {string} [apiDisplayName] - 创建消息时记录的 API 显示名称快照 (可选)
  * @property {string} [apiModelId] - 创建消息时记录的模型名（modelName）快照 (可选)
  * @property {{promptTokens:number|null,completionTokens:number|null,totalTokens:number|null,cachedInputTokens?:number|null,reasoningTokens?:number|null}|null} [apiUsage] - API 返回的 token 用量元数据（可选）
+ * @property {{total:number,input:number,cachedInput:number,output:number}|null} [apiCost] - 按 API 配置价格表折算的本次响应费用（可选）
+ * @property {{origin:{apiUuid:string,displayName:string,modelName:string},failures:Array<{apiUuid:string,displayName:string,modelName:string,error:string}>}|null} [apiFallback] - 由故障转移链上的备用配置回答时，记录起始配置与此前依次失败的配置（可选）
  * @property {{startedAtMs:number|null,firstVisibleOutputAtMs:number|null,completedAtMs:number|null,generationDurationMs:number|null,thinkingDurationMs:number|null,outputDurationMs:number|null}|null} [responseTiming] - AI 响应时序元数据（可选）
  * @property {boolean} [hasInlineImages] - 是否包含内联图片 (可选)
  * @property {string|null} [promptType] - 发送时记录的“指令/提示词类型”（如 summary/selection/query 等，可选）
@@ -38,6 +40,11 @@ import { normalizeResponsesPromptCacheKey } from '../utils/responses_prompt_cach
  * @property {string|null} [preprocessRenderedText] - 预处理后的文本快照（可选）
  * @property {{url: string, title: string}|null} [pageMeta] - 首条用户消息发出时的页面元数据快照（仅 url/title，用于固定会话来源）
  * @property {string|Array<any>|null} [outboundContent] - 发送给模型时使用的稳定正文快照（例如已拼接页面内容的用户消息，可选）
+ * @property {Array<Object>|null} [fileAttachments] - 用户消息附加的文件（抽取的文本，PDF 另存 Base64 原文件，可选）
+ * @property {string} [arenaGroupId] - 竞技场发送的分组 ID：同一条用户消息下并行生成的各模型回答共享（可选）
+ * @property {boolean} [arenaKept] - 竞技场中被保留、后续对话从其继续的回答（同组最多一个，可选）
+ * @property {'up'|'down'} [arenaVote] - 用户对该竞技场回答的评价，结合 apiModelId 用于模型统计（可选）
+ * @property {Object} [contextCompaction] - 上下文压缩记录：发送时此前的历史以摘要代替或省略工具输出（见 utils/context_compaction.js，可选）
  */
 
 /**
@@ -87,6 +94,8 @@ function createMessageNode(role, content, parentId = null) {
     apiDisplayName: '',
     apiModelId: '',
     apiUsage: null,
+    apiCost: null,
+    apiFallback: null,
     responseTiming: null,
     hasInlineImages: false,
     // --- 指令元信息（用于“对话标题/摘要”等需要知道指令类型的场景）---
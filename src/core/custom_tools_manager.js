@@ -0,0 +1,480 @@
+/**
+ * 自定义函数工具管理器
+ *
+ * 职责：
+ * - 在 chrome.storage.local 中保存用户定义的工具（JS 函数体可能较长，不占用 sync 配额）；
+ * - 维护“按对话开关”：`{ [conversationId]: { [toolId]: boolean } }`，未设置时沿用工具的默认启用状态；
+ * - 渲染“自定义工具”设置标签页与设置菜单中的“本对话工具”列表；
+ * - 为 message_sender 提供同步可读的当前启用工具（请求构建是同步流程，因此这里常驻内存缓存）。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import {
+  createCustomFunctionToolId,
+  normalizeCustomFunctionTool,
+  normalizeCustomFunctionToolList,
+  validateCustomFunctionTool,
+  resolveActiveCustomFunctionTools
+} from '../utils/custom_function_tools.js';
+
+const CUSTOM_TOOLS_STORAGE_KEY = 'custom_function_tools';
+const CUSTOM_TOOL_TOGGLES_STORAGE_KEY = 'custom_function_tool_toggles';
+const SAVE_DEBOUNCE_MS = 400;
+const DELETE_CONFIRM_TIMEOUT_MS = 2400;
+
+const DEFAULT_PARAMETERS_SCHEMA_TEXT = JSON.stringify({
+  type: 'object',
+  properties: {
+    selector: { type: 'string', description: 'CSS 选择器' }
+  },
+  required: ['selector']
+}, null, 2);
+
+const DEFAULT_TOOL_CODE = 'const el = document.querySelector(args.selector);\nreturn el ? el.textContent.trim() : null;';
+
+function normalizeConversationKey(conversationId) {
+  return (typeof conversationId === 'string') ? conversationId.trim() : '';
+}
+
+function normalizeToggleMap(raw) {
+  const result = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return result;
+  Object.entries(raw).forEach(([conversationId, toggles]) => {
+    const key = normalizeConversationKey(conversationId);
+    if (!key || !toggles || typeof toggles !== 'object' || Array.isArray(toggles)) return;
+    const entry = {};
+    Object.entries(toggles).forEach(([toolId, enabled]) => {
+      if (typeof enabled === 'boolean') entry[toolId] = enabled;
+    });
+    if (Object.keys(entry).length > 0) result[key] = entry;
+  });
+  return result;
+}
+
+/**
+ * 创建自定义工具管理器
+ * @param {Object} appContext - 应用程序上下文对象
+ * @returns {Object} 管理器实例
+ */
+export function createCustomToolsManager(appContext) {
+  const { dom, services } = appContext;
+
+  let tools = [];
+  let conversationToggles = {};
+  // 尚未分配 id 的新对话：开关先保存在内存里，拿到 id 后再落盘
+  let draftConversationToggles = {};
+  let settingsContainer = null;
+  let saveTimer = null;
+
+  function getCurrentConversationKey() {
+    return normalizeConversationKey(
+      services.messageSender?.getCurrentConversationId?.()
+      || services.chatHistoryUI?.getCurrentConversationId?.()
+      || ''
+    );
+  }
+
+  function getConversationOverrides(conversationId) {
+    const key = normalizeConversationKey(conversationId);
+    return key ? (conversationToggles[key] || null) : draftConversationToggles;
+  }
+
+  async function loadFromStorage() {
+    try {
+      const wrap = await chrome.storage.local.get([CUSTOM_TOOLS_STORAGE_KEY, CUSTOM_TOOL_TOGGLES_STORAGE_KEY]);
+      tools = normalizeCustomFunctionToolList(wrap?.[CUSTOM_TOOLS_STORAGE_KEY]);
+      conversationToggles = normalizeToggleMap(wrap?.[CUSTOM_TOOL_TOGGLES_STORAGE_KEY]);
+    } catch (error) {
+      console.error('加载自定义工具失败:', error);
+    }
+  }
+
+  function pruneToggleMap() {
+    const toolIds = new Set(tools.map(tool => tool.id));
+    const next = {};
+    Object.entries(conversationToggles).forEach(([conversationId, toggles]) => {
+      const entry = {};
+      Object.entries(toggles).forEach(([toolId, enabled]) => {
+        if (toolIds.has(toolId)) entry[toolId] = enabled;
+      });
+      if (Object.keys(entry).length > 0) next[conversationId] = entry;
+    });
+    conversationToggles = next;
+  }
+
+  function persistTools() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    pruneToggleMap();
+    return queueStorageSet('local', {
+      [CUSTOM_TOOLS_STORAGE_KEY]: tools,
+      [CUSTOM_TOOL_TOGGLES_STORAGE_KEY]: conversationToggles
+    }, { flush: 'now' });
+  }
+
+  function schedulePersistTools() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      persistTools().catch(error => console.error('保存自定义工具失败:', error));
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  function persistToggles() {
+    return queueStorageSet('local', { [CUSTOM_TOOL_TOGGLES_STORAGE_KEY]: conversationToggles }, { flush: 'now' });
+  }
+
+  /**
+   * 返回全部自定义工具（副本）。
+   * @returns {Array<Object>}
+   */
+  function getTools() {
+    return tools.map(tool => ({ ...tool }));
+  }
+
+  /**
+   * 返回指定对话实际启用、且定义合法的工具。
+   * @param {string|null} conversationId - 为空表示尚未保存的新对话
+   * @returns {Array<Object>}
+   */
+  function getActiveTools(conversationId) {
+    return resolveActiveCustomFunctionTools(tools, getConversationOverrides(conversationId));
+  }
+
+  /**
+   * 按函数名查找指定对话中启用的工具。
+   * @param {string|null} conversationId
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  function findActiveTool(conversationId, name) {
+    const safeName = (typeof name === 'string') ? name.trim() : '';
+    if (!safeName) return null;
+    return getActiveTools(conversationId).find(tool => tool.name === safeName) || null;
+  }
+
+  /**
+   * 设置某个对话里单个工具的开关。
+   * @param {string|null} conversationId
+   * @param {string} toolId
+   * @param {boolean} enabled
+   */
+  async function setConversationToolEnabled(conversationId, toolId, enabled) {
+    const key = normalizeConversationKey(conversationId);
+    if (!key) {
+      draftConversationToggles = { ...draftConversationToggles, [toolId]: !!enabled };
+      return;
+    }
+    conversationToggles = {
+      ...conversationToggles,
+      [key]: { ...(conversationToggles[key] || {}), [toolId]: !!enabled }
+    };
+    try {
+      await persistToggles();
+    } catch (error) {
+      console.error('保存对话工具开关失败:', error);
+    }
+  }
+
+  /**
+   * 当前对话切换时调用：新对话拿到 id 后接管草稿开关；切回新对话时清空草稿。
+   * @param {string|null} previousConversationId
+   * @param {string|null} nextConversationId
+   */
+  function handleConversationChange(previousConversationId, nextConversationId) {
+    const previousKey = normalizeConversationKey(previousConversationId);
+    const nextKey = normalizeConversationKey(nextConversationId);
+    if (!previousKey && nextKey && Object.keys(draftConversationToggles).length > 0) {
+      const adopted = { ...draftConversationToggles, ...(conversationToggles[nextKey] || {}) };
+      draftConversationToggles = {};
+      conversationToggles = { ...conversationToggles, [nextKey]: adopted };
+      persistToggles().catch(error => console.error('保存对话工具开关失败:', error));
+    } else if (previousKey && !nextKey) {
+      draftConversationToggles = {};
+    }
+  }
+
+  // ---- 设置菜单：本对话工具 ----
+
+  /**
+   * 渲染设置菜单中的“本对话工具”列表；没有合法工具时整块隐藏。
+   */
+  function renderConversationToolToggles() {
+    const section = document.getElementById('conversation-tools');
+    const list = section ? section.querySelector('.conversation-tools-list') : null;
+    if (!list) return;
+
+    const conversationId = getCurrentConversationKey();
+    const overrides = getConversationOverrides(conversationId) || {};
+    const candidates = tools.filter(tool => !validateCustomFunctionTool(tool));
+    list.innerHTML = '';
+    if (candidates.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = 'block';
+
+    candidates.forEach((tool) => {
+      const active = (typeof overrides[tool.id] === 'boolean') ? overrides[tool.id] : tool.enabled;
+      const item = document.createElement('div');
+      item.className = 'conversation-tool-item';
+      item.classList.toggle('active', active);
+      item.title = tool.description || tool.name;
+
+      const icon = document.createElement('i');
+      icon.className = active ? 'far fa-square-check' : 'far fa-square';
+      const name = document.createElement('span');
+      name.className = 'tool-name';
+      name.textContent = tool.name;
+      item.appendChild(icon);
+      item.appendChild(name);
+
+      // 点击切换（不关闭设置菜单）
+      item.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await setConversationToolEnabled(conversationId, tool.id, !active);
+        renderConversationToolToggles();
+      });
+      list.appendChild(item);
+    });
+  }
+
+  // ---- 设置标签页：工具编辑 ----
+
+  function createField(labelText, control) {
+    const field = document.createElement('div');
+    field.className = 'custom-tool-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+  }
+
+  function createToolCard(tool) {
+    const card = document.createElement('div');
+    card.className = 'custom-tool-item';
+    card.dataset.toolId = tool.id;
+
+    const header = document.createElement('div');
+    header.className = 'custom-tool-item-header';
+    const title = document.createElement('div');
+    title.className = 'custom-tool-item-title';
+    const meta = document.createElement('div');
+    meta.className = 'custom-tool-item-meta';
+
+    const switchLabel = document.createElement('label');
+    switchLabel.className = 'switch';
+    switchLabel.title = '默认启用（可在设置菜单中按对话切换）';
+    const enabledToggle = document.createElement('input');
+    enabledToggle.type = 'checkbox';
+    enabledToggle.checked = tool.enabled;
+    const slider = document.createElement('span');
+    slider.className = 'slider';
+    switchLabel.appendChild(enabledToggle);
+    switchLabel.appendChild(slider);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'custom-tool-delete-btn';
+    deleteButton.textContent = '删除';
+
+    meta.appendChild(switchLabel);
+    meta.appendChild(deleteButton);
+    header.appendChild(title);
+    header.appendChild(meta);
+    card.appendChild(header);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = '例如 read_selector';
+    nameInput.spellcheck = false;
+    nameInput.value = tool.name;
+
+    const descriptionInput = document.createElement('textarea');
+    descriptionInput.rows = 2;
+    descriptionInput.placeholder = '告诉模型这个工具做什么、何时调用';
+    descriptionInput.value = tool.description;
+
+    const schemaInput = document.createElement('textarea');
+    schemaInput.rows = 6;
+    schemaInput.spellcheck = false;
+    schemaInput.placeholder = '{ "type": "object", "properties": {} }';
+    schemaInput.value = tool.parametersSchema;
+
+    const codeInput = document.createElement('textarea');
+    codeInput.rows = 6;
+    codeInput.spellcheck = false;
+    codeInput.placeholder = 'return document.title;';
+    codeInput.value = tool.code;
+
+    const hint = document.createElement('div');
+    hint.className = 'custom-tool-hint';
+
+    card.appendChild(createField('函数名', nameInput));
+    card.appendChild(createField('描述', descriptionInput));
+    card.appendChild(createField('参数 JSON Schema', schemaInput));
+    card.appendChild(createField('JS 函数体（在绑定网页中执行，可用 args / await / return）', codeInput));
+    card.appendChild(hint);
+
+    const refreshHeader = () => {
+      const current = tools.find(item => item.id === tool.id);
+      if (!current) return;
+      title.textContent = current.name || '未命名工具';
+      // 与 resolveActiveCustomFunctionTools 一致：重名时靠前的条目生效
+      const takenNames = tools
+        .slice(0, tools.indexOf(current))
+        .map(item => item.name)
+        .filter(Boolean);
+      const error = validateCustomFunctionTool(current, { takenNames });
+      hint.textContent = error || '';
+      hint.classList.toggle('warning', !!error);
+      card.classList.toggle('invalid', !!error);
+    };
+
+    const updateTool = (patch) => {
+      tools = tools.map(item => (item.id === tool.id ? normalizeCustomFunctionTool({ ...item, ...patch }) : item));
+      refreshHeader();
+      schedulePersistTools();
+    };
+
+    nameInput.addEventListener('input', () => updateTool({ name: nameInput.value }));
+    descriptionInput.addEventListener('input', () => updateTool({ description: descriptionInput.value }));
+    schemaInput.addEventListener('input', () => updateTool({ parametersSchema: schemaInput.value }));
+    codeInput.addEventListener('input', () => updateTool({ code: codeInput.value }));
+    enabledToggle.addEventListener('change', () => updateTool({ enabled: enabledToggle.checked }));
+
+    let deleteConfirmTimer = null;
+    const resetDeleteConfirm = () => {
+      deleteButton.dataset.confirming = 'false';
+      deleteButton.classList.remove('is-confirming');
+      card.classList.remove('delete-confirming');
+      deleteButton.textContent = '删除';
+      clearTimeout(deleteConfirmTimer);
+      deleteConfirmTimer = null;
+    };
+    deleteButton.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (deleteButton.dataset.confirming !== 'true') {
+        deleteButton.dataset.confirming = 'true';
+        deleteButton.classList.add('is-confirming');
+        card.classList.add('delete-confirming');
+        deleteButton.textContent = '确认删除';
+        deleteConfirmTimer = setTimeout(resetDeleteConfirm, DELETE_CONFIRM_TIMEOUT_MS);
+        return;
+      }
+      resetDeleteConfirm();
+      tools = tools.filter(item => item.id !== tool.id);
+      try {
+        await persistTools();
+      } catch (error) {
+        console.error('删除自定义工具失败:', error);
+      }
+      renderSettingsList();
+    });
+
+    refreshHeader();
+    return card;
+  }
+
+  function renderSettingsList() {
+    const list = settingsContainer?.querySelector('.custom-tools-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (tools.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'custom-tool-hint';
+      empty.textContent = '还没有自定义工具。';
+      list.appendChild(empty);
+      return;
+    }
+    tools.forEach(tool => list.appendChild(createToolCard(tool)));
+  }
+
+  /**
+   * 在给定容器中追加“自定义工具”设置区（重复调用只刷新列表）。
+   * @param {HTMLElement} container
+   */
+  function renderSettingsTab(container) {
+    if (!container) return;
+    if (settingsContainer !== container || !container.querySelector('.custom-tools-panel')) {
+      settingsContainer = container;
+
+      const panel = document.createElement('div');
+      panel.className = 'custom-tools-panel';
+
+      const header = document.createElement('div');
+      header.className = 'custom-tools-header';
+      const title = document.createElement('span');
+      title.className = 'custom-tools-title';
+      title.textContent = '自定义函数工具';
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'custom-tool-add-button';
+      addButton.textContent = '+ 新增工具';
+      addButton.addEventListener('click', async () => {
+        tools = [...tools, normalizeCustomFunctionTool({
+          id: createCustomFunctionToolId(),
+          name: `custom_tool_${tools.length + 1}`,
+          description: '',
+          parametersSchema: DEFAULT_PARAMETERS_SCHEMA_TEXT,
+          code: DEFAULT_TOOL_CODE,
+          enabled: false
+        })];
+        try {
+          await persistTools();
+        } catch (error) {
+          console.error('保存自定义工具失败:', error);
+        }
+        renderSettingsList();
+      });
+      header.appendChild(title);
+      header.appendChild(addButton);
+
+      const intro = document.createElement('div');
+      intro.className = 'custom-tool-hint';
+      intro.textContent = '启用的工具会与内置网页工具一起提供给模型（需 API 支持客户端工具调用），函数体通过 JS Runtime 在侧栏绑定的网页中执行。';
+
+      const list = document.createElement('div');
+      list.className = 'custom-tools-list';
+
+      panel.appendChild(header);
+      panel.appendChild(intro);
+      panel.appendChild(list);
+      container.appendChild(panel);
+    }
+    renderSettingsList();
+  }
+
+  async function init() {
+    await loadFromStorage();
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        const toolsChange = changes?.[CUSTOM_TOOLS_STORAGE_KEY];
+        const togglesChange = changes?.[CUSTOM_TOOL_TOGGLES_STORAGE_KEY];
+        if (!toolsChange && !togglesChange) return;
+        if (togglesChange) conversationToggles = normalizeToggleMap(togglesChange.newValue);
+        if (toolsChange) {
+          tools = normalizeCustomFunctionToolList(toolsChange.newValue);
+          // 正在编辑时不重建卡片，避免打断输入；其它标签页的修改在下次进入标签页时可见
+          const editing = settingsContainer?.contains(document.activeElement);
+          if (settingsContainer && !editing) renderSettingsList();
+        }
+        if (dom.settingsMenu?.classList.contains('visible')) renderConversationToolToggles();
+      });
+    } catch (error) {
+      console.warn('注册自定义工具跨标签同步失败（忽略）：', error);
+    }
+  }
+
+  return {
+    init,
+    getTools,
+    getActiveTools,
+    findActiveTool,
+    setConversationToolEnabled,
+    handleConversationChange,
+    renderConversationToolToggles,
+    renderSettingsTab
+  };
+}
@@ -0,0 +1,432 @@
+/**
+ * 聊天记录语义索引管理器
+ *
+ * 职责：
+ * - 保存语义索引设置（是否启用、使用哪个 API 配置、嵌入模型名）；
+ * - 会话保存后排队做增量索引（只嵌入新增/变化的消息片段），并提供“补建索引”；
+ * - 为聊天记录面板的 scope:semantic 搜索提供相似度排序结果；
+ * - 在“数据统计”标签页渲染设置区。
+ *
+ * 片段切分、请求构造与排序见 utils/history_embedding_index.js。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import {
+  getConversationById,
+  getAllConversationMetadata,
+  getConversationEmbeddingRecords,
+  applyConversationEmbeddingUpdate,
+  deleteConversationEmbeddingRecords,
+  iterateConversationEmbeddingRecords,
+  countConversationEmbeddingRecords,
+  clearConversationEmbeddingRecords
+} from '../storage/indexeddb_helper.js';
+import {
+  buildConversationEmbeddingRecords,
+  createEmbeddingRanker,
+  requestEmbeddings
+} from '../utils/history_embedding_index.js';
+
+const HISTORY_EMBEDDING_SETTINGS_KEY = 'history_embedding_settings';
+const INDEX_DEBOUNCE_MS = 3000;
+const SEARCH_RESULT_LIMIT = 40;
+// 低于该相似度的片段不作为命中（不同模型的分布差异较大，这里只过滤明显无关的结果）
+const SEARCH_MIN_SCORE = 0.2;
+
+function normalizeSettings(raw) {
+  const source = (raw && typeof raw === 'object') ? raw : {};
+  return {
+    enabled: source.enabled === true,
+    apiConfigId: typeof source.apiConfigId === 'string' ? source.apiConfigId.trim() : '',
+    model: typeof source.model === 'string' ? source.model.trim() : ''
+  };
+}
+
+/**
+ * 创建聊天记录语义索引管理器
+ * @param {Object} appContext - 应用程序上下文对象
+ * @returns {Object} 管理器实例
+ */
+export function createHistoryEmbeddingManager(appContext) {
+  const { services } = appContext;
+
+  let settings = normalizeSettings(null);
+  let settingsContainer = null;
+  const pendingConversationIds = new Set();
+  let indexTimer = null;
+  let indexing = false;
+  let backfillState = null;
+  let lastError = '';
+
+  function persistSettings() {
+    return queueStorageSet('local', { [HISTORY_EMBEDDING_SETTINGS_KEY]: settings }, { flush: 'now' });
+  }
+
+  function findApiConfig() {
+    if (!settings.apiConfigId) return null;
+    const configs = services.apiManager?.getAllConfigs?.() || [];
+    return configs.find(config => config?.id === settings.apiConfigId) || null;
+  }
+
+  /**
+   * 是否已启用且配置完整（未就绪时保存会话不会触发索引）。
+   * @returns {boolean}
+   */
+  function isReady() {
+    return settings.enabled && !!settings.model && !!findApiConfig();
+  }
+
+  async function embedTexts(texts, signal) {
+    const config = findApiConfig();
+    if (!config) throw new Error('语义搜索未配置可用的 API');
+    const apiKey = await services.apiManager?.pickApiKeyForAuxiliaryRequest?.(config) || '';
+    return requestEmbeddings({
+      connectionType: config.connectionType,
+      baseUrl: config.baseUrl,
+      apiKey,
+      model: settings.model,
+      texts
+    }, { signal });
+  }
+
+  /**
+   * 立即（增量）索引一个会话；会话已不存在时清理其索引。
+   * @param {string} conversationId
+   * @returns {Promise<{embeddedCount:number, reusedCount:number, deletedCount:number}>}
+   */
+  async function indexConversation(conversationId) {
+    const conversation = await getConversationById(conversationId);
+    if (!conversation) {
+      await deleteConversationEmbeddingRecords(conversationId);
+      return { embeddedCount: 0, reusedCount: 0, deletedCount: 0 };
+    }
+    const existingRecords = await getConversationEmbeddingRecords(conversationId);
+    const result = await buildConversationEmbeddingRecords({
+      conversation,
+      existingRecords,
+      model: settings.model,
+      embedTexts: texts => embedTexts(texts)
+    });
+    await applyConversationEmbeddingUpdate(result.records, result.deleteIds);
+    return {
+      embeddedCount: result.embeddedCount,
+      reusedCount: result.reusedCount,
+      deletedCount: result.deleteIds.length
+    };
+  }
+
+  async function drainPendingConversations() {
+    if (indexing) return;
+    indexing = true;
+    try {
+      while (pendingConversationIds.size > 0 && isReady()) {
+        const [conversationId] = pendingConversationIds;
+        pendingConversationIds.delete(conversationId);
+        try {
+          await indexConversation(conversationId);
+          lastError = '';
+        } catch (error) {
+          lastError = error?.message || String(error);
+          console.warn('更新聊天记录语义索引失败:', conversationId, error);
+        }
+      }
+    } finally {
+      indexing = false;
+      renderStatus();
+    }
+  }
+
+  /**
+   * 会话保存后调用：合并短时间内的多次保存，空闲时再做增量索引。
+   * @param {string} conversationId
+   */
+  function scheduleConversationIndex(conversationId) {
+    if (!conversationId || !isReady()) return;
+    pendingConversationIds.add(conversationId);
+    clearTimeout(indexTimer);
+    indexTimer = setTimeout(() => {
+      indexTimer = null;
+      drainPendingConversations();
+    }, INDEX_DEBOUNCE_MS);
+  }
+
+  /**
+   * 为全部会话补建索引（已索引且内容未变的片段会被跳过）。
+   * @returns {Promise<{processed:number, failed:number, total:number, cancelled:boolean}>}
+   */
+  async function backfillIndex() {
+    if (backfillState) return backfillState.promise;
+    const state = { processed: 0, failed: 0, total: 0, cancelled: false, promise: null };
+    backfillState = state;
+    state.promise = (async () => {
+      try {
+        const metas = await getAllConversationMetadata();
+        state.total = metas.length;
+        renderStatus();
+        for (const meta of metas) {
+          if (state.cancelled || !isReady()) break;
+          try {
+            await indexConversation(meta.id);
+            lastError = '';
+          } catch (error) {
+            state.failed += 1;
+            lastError = error?.message || String(error);
+            console.warn('补建语义索引失败:', meta.id, error);
+          }
+          state.processed += 1;
+          renderStatus();
+        }
+        return { processed: state.processed, failed: state.failed, total: state.total, cancelled: state.cancelled };
+      } finally {
+        backfillState = null;
+        renderStatus();
+      }
+    })();
+    return state.promise;
+  }
+
+  /**
+   * 语义搜索：嵌入查询文本，与索引逐条比较后按会话聚合排序。
+   *
+   * @param {string} queryText
+   * @param {{candidateIds?:Set<string>|null, limit?:number, signal?:AbortSignal}} [options]
+   * @returns {Promise<Array<{conversationId:string, score:number, hits:Array<Object>}>>}
+   */
+  async function search(queryText, options = {}) {
+    const query = typeof queryText === 'string' ? queryText.trim() : '';
+    if (!query) return [];
+    if (!settings.enabled) throw new Error('语义搜索未启用：请在“数据统计”标签页中开启并选择 API');
+    if (!settings.model || !findApiConfig()) throw new Error('语义搜索缺少 API 配置或嵌入模型');
+    const [queryVector] = await embedTexts([query], options.signal);
+    const ranker = createEmbeddingRanker(queryVector, {
+      model: settings.model,
+      candidateIds: options.candidateIds || null,
+      limit: options.limit || SEARCH_RESULT_LIMIT,
+      minScore: SEARCH_MIN_SCORE
+    });
+    await iterateConversationEmbeddingRecords(record => ranker.add(record));
+    return ranker.finish();
+  }
+
+  // ---- 设置区（数据统计标签页） ----
+
+  async function renderStatus() {
+    const status = settingsContainer?.querySelector('.history-embedding-status');
+    if (!status) return;
+    const parts = [];
+    try {
+      parts.push(`已索引 ${await countConversationEmbeddingRecords()} 个片段`);
+    } catch (error) {
+      parts.push('索引读取失败');
+    }
+    if (backfillState) {
+      parts.push(`补建中 ${backfillState.processed}/${backfillState.total || '?'}`);
+    } else if (indexing || pendingConversationIds.size > 0) {
+      parts.push('等待更新');
+    }
+    status.textContent = parts.join(' · ');
+    const errorHint = settingsContainer.querySelector('.history-embedding-error');
+    if (errorHint) errorHint.textContent = lastError ? `最近一次失败：${lastError}` : '';
+    const backfillButton = settingsContainer.querySelector('.history-embedding-backfill');
+    if (backfillButton) backfillButton.textContent = backfillState ? '停止补建' : '补建索引';
+  }
+
+  function createField(labelText, control) {
+    const field = document.createElement('div');
+    field.className = 'custom-tool-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+  }
+
+  function renderApiOptions(select) {
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '选择 API 配置';
+    select.appendChild(placeholder);
+    (services.apiManager?.getAllConfigs?.() || []).forEach((config, index) => {
+      if (!config?.id || config.connectionType === 'anthropic') return;
+      const option = document.createElement('option');
+      option.value = config.id;
+      option.textContent = config.displayName || config.modelName || config.baseUrl || `配置 ${index + 1}`;
+      select.appendChild(option);
+    });
+    select.value = settings.apiConfigId;
+  }
+
+  /**
+   * 在给定容器中追加“语义搜索”设置区（重复调用只刷新内容）。
+   * @param {HTMLElement} container
+   */
+  function renderSettingsSection(container) {
+    if (!container) return;
+    if (settingsContainer !== container || !container.querySelector('.history-embedding-panel')) {
+      settingsContainer = container;
+
+      const panel = document.createElement('div');
+      panel.className = 'custom-tools-panel history-embedding-panel';
+
+      const header = document.createElement('div');
+      header.className = 'custom-tools-header';
+      const title = document.createElement('span');
+      title.className = 'custom-tools-title';
+      title.textContent = '语义搜索';
+      const switchLabel = document.createElement('label');
+      switchLabel.className = 'switch';
+      switchLabel.title = '启用';
+      const enabledToggle = document.createElement('input');
+      enabledToggle.type = 'checkbox';
+      enabledToggle.className = 'history-embedding-enabled';
+      const slider = document.createElement('span');
+      slider.className = 'slider';
+      switchLabel.appendChild(enabledToggle);
+      switchLabel.appendChild(slider);
+      header.appendChild(title);
+      header.appendChild(switchLabel);
+
+      const intro = document.createElement('div');
+      intro.className = 'custom-tool-hint';
+      intro.textContent = '启用后，会话保存时会调用所选 API 的 embeddings 端点为消息建立向量索引（存放在本地 IndexedDB）。在聊天记录搜索框中加上 scope:semantic（或“范围:语义”）即可按语义相似度排序。更换模型后需要重新补建索引。';
+
+      const apiSelect = document.createElement('select');
+      apiSelect.className = 'history-embedding-api';
+      const modelInput = document.createElement('input');
+      modelInput.type = 'text';
+      modelInput.spellcheck = false;
+      modelInput.placeholder = 'text-embedding-3-small / gemini-embedding-001';
+      modelInput.className = 'history-embedding-model';
+
+      const actions = document.createElement('div');
+      actions.className = 'history-embedding-actions';
+      const backfillButton = document.createElement('button');
+      backfillButton.type = 'button';
+      backfillButton.className = 'custom-tool-add-button history-embedding-backfill';
+      backfillButton.textContent = '补建索引';
+      const clearButton = document.createElement('button');
+      clearButton.type = 'button';
+      clearButton.className = 'custom-tool-delete-btn';
+      clearButton.textContent = '清空索引';
+      actions.appendChild(backfillButton);
+      actions.appendChild(clearButton);
+
+      const status = document.createElement('div');
+      status.className = 'custom-tool-hint history-embedding-status';
+      const errorHint = document.createElement('div');
+      errorHint.className = 'custom-tool-hint warning history-embedding-error';
+
+      enabledToggle.addEventListener('change', async () => {
+        settings = normalizeSettings({ ...settings, enabled: enabledToggle.checked });
+        try {
+          await persistSettings();
+        } catch (error) {
+          console.error('保存语义搜索设置失败:', error);
+        }
+      });
+      apiSelect.addEventListener('change', async () => {
+        settings = normalizeSettings({ ...settings, apiConfigId: apiSelect.value });
+        try {
+          await persistSettings();
+        } catch (error) {
+          console.error('保存语义搜索设置失败:', error);
+        }
+      });
+      modelInput.addEventListener('change', async () => {
+        settings = normalizeSettings({ ...settings, model: modelInput.value });
+        try {
+          await persistSettings();
+        } catch (error) {
+          console.error('保存语义搜索设置失败:', error);
+        }
+      });
+      backfillButton.addEventListener('click', () => {
+        if (backfillState) {
+          backfillState.cancelled = true;
+          return;
+        }
+        if (!isReady()) {
+          lastError = '请先启用并选择 API 配置与嵌入模型';
+          renderStatus();
+          return;
+        }
+        backfillIndex().catch((error) => {
+          lastError = error?.message || String(error);
+          renderStatus();
+        });
+      });
+
+      let clearConfirmTimer = null;
+      clearButton.addEventListener('click', async () => {
+        if (!clearButton.classList.contains('is-confirming')) {
+          clearButton.classList.add('is-confirming');
+          clearButton.textContent = '确认清空';
+          clearConfirmTimer = setTimeout(() => {
+            clearButton.classList.remove('is-confirming');
+            clearButton.textContent = '清空索引';
+          }, 2400);
+          return;
+        }
+        clearTimeout(clearConfirmTimer);
+        clearButton.classList.remove('is-confirming');
+        clearButton.textContent = '清空索引';
+        try {
+          await clearConversationEmbeddingRecords();
+        } catch (error) {
+          console.error('清空语义索引失败:', error);
+        }
+        renderStatus();
+      });
+
+      panel.appendChild(header);
+      panel.appendChild(intro);
+      panel.appendChild(createField('API 配置（需支持 embeddings）', apiSelect));
+      panel.appendChild(createField('嵌入模型', modelInput));
+      panel.appendChild(actions);
+      panel.appendChild(status);
+      panel.appendChild(errorHint);
+      container.appendChild(panel);
+    }
+    syncSettingsControls();
+    renderStatus();
+  }
+
+  function syncSettingsControls() {
+    if (!settingsContainer) return;
+    const enabledToggle = settingsContainer.querySelector('.history-embedding-enabled');
+    const apiSelect = settingsContainer.querySelector('.history-embedding-api');
+    const modelInput = settingsContainer.querySelector('.history-embedding-model');
+    if (enabledToggle) enabledToggle.checked = settings.enabled;
+    if (apiSelect) renderApiOptions(apiSelect);
+    if (modelInput && document.activeElement !== modelInput) modelInput.value = settings.model;
+  }
+
+  async function init() {
+    try {
+      const wrap = await chrome.storage.local.get([HISTORY_EMBEDDING_SETTINGS_KEY]);
+      settings = normalizeSettings(wrap?.[HISTORY_EMBEDDING_SETTINGS_KEY]);
+    } catch (error) {
+      console.error('加载语义搜索设置失败:', error);
+    }
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes?.[HISTORY_EMBEDDING_SETTINGS_KEY]) return;
+        settings = normalizeSettings(changes[HISTORY_EMBEDDING_SETTINGS_KEY].newValue);
+        syncSettingsControls();
+      });
+    } catch (error) {
+      console.warn('注册语义搜索设置跨标签同步失败（忽略）：', error);
+    }
+  }
+
+  return {
+    init,
+    isReady,
+    scheduleConversationIndex,
+    indexConversation,
+    backfillIndex,
+    search,
+    renderSettingsSection
+  };
+}
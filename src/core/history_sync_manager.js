@@ -0,0 +1,546 @@
+/**
+ * 聊天记录同步管理器（WebDAV / S3 兼容存储）
+ *
+ * 职责：
+ * - 保存同步设置（服务类型、地址与凭据、自动同步间隔）与上次同步的基线；
+ * - 定时/手动触发一次双向同步，跨标签页用 chrome.storage.local 中的锁避免并发；
+ * - 同步后通知聊天记录面板刷新，并为变化的会话排队语义索引；
+ * - 在“备份与恢复”标签页渲染设置区。
+ *
+ * 三方比较、远端读写与 SigV4 签名见 utils/history_sync.js，会话合并规则见 ui/conversation_state_merge.js。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import {
+  getAllConversationMetadata,
+  getConversationById,
+  putConversation,
+  deleteConversation,
+  computeConversationMessageStats
+} from '../storage/indexeddb_helper.js';
+import {
+  buildConversationSyncFingerprint,
+  hashConversationForSync,
+  runHistorySync,
+  createWebDavSyncStore,
+  createS3SyncStore
+} from '../utils/history_sync.js';
+import { mergeConversationSyncState } from '../ui/conversation_state_merge.js';
+
+const HISTORY_SYNC_SETTINGS_KEY = 'history_sync_settings';
+const HISTORY_SYNC_STATE_KEY = 'history_sync_state';
+const HISTORY_SYNC_LOCK_KEY = 'history_sync_lock';
+const SYNC_LOCK_TTL_MS = 5 * 60 * 1000;
+const INITIAL_SYNC_DELAY_MS = 15 * 1000;
+const INTERVAL_OPTIONS = [0, 5, 15, 30, 60];
+
+function normalizeSettings(raw) {
+  const source = (raw && typeof raw === 'object') ? raw : {};
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const webdav = (source.webdav && typeof source.webdav === 'object') ? source.webdav : {};
+  const s3 = (source.s3 && typeof source.s3 === 'object') ? source.s3 : {};
+  const interval = Number(source.intervalMinutes);
+  return {
+    enabled: source.enabled === true,
+    provider: source.provider === 's3' ? 's3' : 'webdav',
+    webdav: {
+      url: text(webdav.url),
+      username: text(webdav.username),
+      password: typeof webdav.password === 'string' ? webdav.password : ''
+    },
+    s3: {
+      endpoint: text(s3.endpoint),
+      region: text(s3.region),
+      bucket: text(s3.bucket),
+      prefix: text(s3.prefix),
+      accessKeyId: text(s3.accessKeyId),
+      secretAccessKey: typeof s3.secretAccessKey === 'string' ? s3.secretAccessKey.trim() : '',
+      forcePathStyle: s3.forcePathStyle !== false
+    },
+    intervalMinutes: INTERVAL_OPTIONS.includes(interval) ? interval : 15,
+    deviceId: text(source.deviceId)
+  };
+}
+
+function normalizeState(raw) {
+  const source = (raw && typeof raw === 'object') ? raw : {};
+  return {
+    entries: (source.entries && typeof source.entries === 'object') ? source.entries : {},
+    hashCache: (source.hashCache && typeof source.hashCache === 'object') ? source.hashCache : {},
+    syncedAt: Number(source.syncedAt) || 0,
+    lastError: typeof source.lastError === 'string' ? source.lastError : '',
+    lastCounts: (source.lastCounts && typeof source.lastCounts === 'object') ? source.lastCounts : null
+  };
+}
+
+/**
+ * 创建聊天记录同步管理器
+ * @param {Object} appContext - 应用程序上下文对象
+ * @returns {Object} 管理器实例
+ */
+export function createHistorySyncManager(appContext) {
+  const { services, utils } = appContext;
+  const instanceId = `hs_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+  let settings = normalizeSettings(null);
+  let syncState = normalizeState(null);
+  let settingsContainer = null;
+  let intervalTimer = null;
+  let running = null;
+  let progressText = '';
+
+  function persistSettings() {
+    return queueStorageSet('local', { [HISTORY_SYNC_SETTINGS_KEY]: settings }, { flush: 'now' });
+  }
+
+  function persistState() {
+    return queueStorageSet('local', { [HISTORY_SYNC_STATE_KEY]: syncState }, { flush: 'now' });
+  }
+
+  function isConfigured() {
+    if (settings.provider === 's3') {
+      const { endpoint, bucket, accessKeyId, secretAccessKey } = settings.s3;
+      return !!(endpoint && bucket && accessKeyId && secretAccessKey);
+    }
+    return !!settings.webdav.url;
+  }
+
+  function createStore() {
+    if (settings.provider === 's3') return createS3SyncStore(settings.s3);
+    return createWebDavSyncStore(settings.webdav);
+  }
+
+  async function acquireSyncLock() {
+    try {
+      const wrap = await chrome.storage.local.get([HISTORY_SYNC_LOCK_KEY]);
+      const lock = wrap[HISTORY_SYNC_LOCK_KEY];
+      const now = Date.now();
+      if (lock && lock.owner !== instanceId && lock.expiresAt > now) return false;
+      await chrome.storage.local.set({ [HISTORY_SYNC_LOCK_KEY]: { owner: instanceId, expiresAt: now + SYNC_LOCK_TTL_MS } });
+      const confirmWrap = await chrome.storage.local.get([HISTORY_SYNC_LOCK_KEY]);
+      return confirmWrap[HISTORY_SYNC_LOCK_KEY]?.owner === instanceId;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async function releaseSyncLock() {
+    try {
+      const wrap = await chrome.storage.local.get([HISTORY_SYNC_LOCK_KEY]);
+      if (wrap[HISTORY_SYNC_LOCK_KEY]?.owner === instanceId) {
+        await chrome.storage.local.remove([HISTORY_SYNC_LOCK_KEY]);
+      }
+    } catch (_) {}
+  }
+
+  /**
+   * 本地数据库适配：列表阶段只读元数据，指纹未变的会话复用缓存的内容哈希。
+   */
+  function createLocalAdapter(hashCache) {
+    const rememberHash = (conversation, fingerprint = buildConversationSyncFingerprint(conversation)) => {
+      const hash = hashConversationForSync(conversation);
+      hashCache[conversation.id] = { fingerprint, hash };
+      return hash;
+    };
+    return {
+      async listEntries() {
+        const metas = await getAllConversationMetadata();
+        const liveIds = new Set();
+        const entries = [];
+        for (const meta of metas) {
+          if (!meta?.id) continue;
+          liveIds.add(meta.id);
+          const fingerprint = buildConversationSyncFingerprint(meta);
+          let hash = hashCache[meta.id]?.fingerprint === fingerprint ? hashCache[meta.id].hash : '';
+          if (!hash) {
+            const conversation = await getConversationById(meta.id);
+            if (!conversation) continue;
+            hash = rememberHash(conversation, fingerprint);
+          }
+          entries.push({ id: meta.id, hash, endTime: meta.endTime });
+        }
+        Object.keys(hashCache).forEach((id) => { if (!liveIds.has(id)) delete hashCache[id]; });
+        return entries;
+      },
+      getConversation: id => getConversationById(id),
+      async putConversation(conversation) {
+        const stats = computeConversationMessageStats(conversation.messages);
+        const record = {
+          ...conversation,
+          messageCount: stats.totalCount,
+          mainMessageCount: stats.mainMessageCount,
+          threadMessageCount: stats.threadMessageCount,
+          threadCount: stats.threadCount
+        };
+        await putConversation(record);
+        rememberHash(record);
+      },
+      async deleteConversation(id) {
+        await deleteConversation(id);
+        delete hashCache[id];
+      }
+    };
+  }
+
+  async function confirmBulkDelete({ deleteLocal, deleteRemote }) {
+    if (typeof utils?.showConfirm !== 'function') return false;
+    const lines = [];
+    if (deleteLocal) lines.push(`其他设备已删除 ${deleteLocal} 个会话，将同步删除本地副本`);
+    if (deleteRemote) lines.push(`本地缺少 ${deleteRemote} 个已同步的会话，将从远端删除`);
+    return utils.showConfirm({
+      message: '同步将删除较多会话',
+      description: `${lines.join('\n')}\n\n选择“保留”会改为恢复这些会话。`,
+      confirmText: '删除',
+      cancelText: '保留',
+      type: 'warning'
+    });
+  }
+
+  /**
+   * 执行一次双向同步。
+   * @param {{manual?: boolean}} [options] - manual 为 true 时忽略间隔限制并弹出结果提示
+   * @returns {Promise<Object|null>} 同步结果；跳过（未启用/其他标签页正在同步）时返回 null
+   */
+  async function syncNow(options = {}) {
+    if (running) return running;
+    const manual = options.manual === true;
+    if (!isConfigured() || (!manual && !settings.enabled)) {
+      if (manual) utils?.showNotification?.({ message: '请先填写同步服务地址与凭据', type: 'warning' });
+      return null;
+    }
+    running = (async () => {
+      if (!await acquireSyncLock()) {
+        if (manual) utils?.showNotification?.({ message: '其他标签页正在同步，请稍后再试', type: 'info' });
+        return null;
+      }
+      progressText = '正在同步…';
+      renderStatus();
+      try {
+        const stored = await chrome.storage.local.get([HISTORY_SYNC_STATE_KEY]);
+        syncState = normalizeState(stored?.[HISTORY_SYNC_STATE_KEY]);
+        const streamingIds = services.messageSender?.getStreamingConversationIds?.() || [];
+        const result = await runHistorySync({
+          store: createStore(),
+          local: createLocalAdapter(syncState.hashCache),
+          baseState: { entries: syncState.entries },
+          deviceId: settings.deviceId,
+          skipIds: new Set(streamingIds),
+          mergeConversations: mergeConversationSyncState,
+          confirmBulkDelete,
+          onProgress: (done, total) => {
+            progressText = `正在同步 ${done}/${total}`;
+            renderStatus();
+          }
+        });
+        syncState.entries = result.baseState.entries;
+        syncState.syncedAt = result.baseState.syncedAt;
+        syncState.lastCounts = result.counts;
+        syncState.lastError = result.errors.length
+          ? `${result.errors.length} 个会话同步失败：${result.errors[0].message}`
+          : '';
+        await persistState();
+
+        if (result.changedLocalIds.length || result.deletedLocalIds.length) {
+          await services.chatHistoryUI?.applyExternalConversationChanges?.({
+            updatedIds: result.changedLocalIds,
+            deletedIds: result.deletedLocalIds
+          });
+          result.changedLocalIds.forEach(id => services.historyEmbeddingManager?.scheduleConversationIndex?.(id));
+        }
+        if (manual) {
+          utils?.showNotification?.({
+            message: result.errors.length ? syncState.lastError : `同步完成：${formatCounts(result.counts)}`,
+            type: result.errors.length ? 'warning' : 'success',
+            duration: 2600
+          });
+        }
+        return result;
+      } catch (error) {
+        console.error('聊天记录同步失败:', error);
+        syncState.lastError = error?.message || String(error);
+        try { await persistState(); } catch (_) {}
+        if (manual) utils?.showNotification?.({ message: `同步失败：${syncState.lastError}`, type: 'error', duration: 3200 });
+        return null;
+      } finally {
+        await releaseSyncLock();
+      }
+    })();
+    try {
+      return await running;
+    } finally {
+      running = null;
+      progressText = '';
+      renderStatus();
+    }
+  }
+
+  function formatCounts(counts) {
+    if (!counts) return '';
+    const parts = [];
+    if (counts.uploaded) parts.push(`上传 ${counts.uploaded}`);
+    if (counts.downloaded) parts.push(`下载 ${counts.downloaded}`);
+    if (counts.merged) parts.push(`合并 ${counts.merged}`);
+    if (counts.conflicts) parts.push(`冲突副本 ${counts.conflicts}`);
+    if (counts.deletedLocal || counts.deletedRemote) parts.push(`删除 ${counts.deletedLocal + counts.deletedRemote}`);
+    return parts.length ? parts.join('，') : '无变化';
+  }
+
+  function restartScheduler() {
+    clearInterval(intervalTimer);
+    intervalTimer = null;
+    if (!settings.enabled || !settings.intervalMinutes) return;
+    const intervalMs = settings.intervalMinutes * 60 * 1000;
+    intervalTimer = setInterval(() => {
+      // 多个侧边栏各自计时：上次同步距今不足一个间隔（其他标签页刚同步过）时跳过
+      if (Date.now() - syncState.syncedAt < intervalMs * 0.9) return;
+      syncNow().catch(() => {});
+    }, intervalMs);
+  }
+
+  // ---- 设置区（备份与恢复标签页） ----
+
+  function renderStatus() {
+    const status = settingsContainer?.querySelector('.history-sync-status');
+    if (!status) return;
+    if (progressText) {
+      status.textContent = progressText;
+    } else if (syncState.syncedAt) {
+      const time = new Date(syncState.syncedAt).toLocaleString();
+      status.textContent = `上次同步：${time}${syncState.lastCounts ? `（${formatCounts(syncState.lastCounts)}）` : ''}`;
+    } else {
+      status.textContent = '尚未同步';
+    }
+    const errorHint = settingsContainer.querySelector('.history-sync-error');
+    if (errorHint) errorHint.textContent = syncState.lastError ? `最近一次失败：${syncState.lastError}` : '';
+    const syncButton = settingsContainer.querySelector('.history-sync-now');
+    if (syncButton) syncButton.disabled = !!running;
+  }
+
+  function createRow(labelText, control) {
+    const row = document.createElement('div');
+    row.className = 'backup-form-row backup-form-row--inline';
+    const label = document.createElement('label');
+    label.className = 'backup-form-label';
+    label.textContent = labelText;
+    row.appendChild(label);
+    row.appendChild(control);
+    return row;
+  }
+
+  function createTextInput(className, { type = 'text', placeholder = '' } = {}) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = className;
+    input.placeholder = placeholder;
+    input.spellcheck = false;
+    input.autocomplete = 'off';
+    return input;
+  }
+
+  // 输入框 class -> settings 字段路径
+  const FIELD_BINDINGS = [
+    ['history-sync-webdav-url', 'webdav', 'url'],
+    ['history-sync-webdav-username', 'webdav', 'username'],
+    ['history-sync-webdav-password', 'webdav', 'password'],
+    ['history-sync-s3-endpoint', 's3', 'endpoint'],
+    ['history-sync-s3-region', 's3', 'region'],
+    ['history-sync-s3-bucket', 's3', 'bucket'],
+    ['history-sync-s3-prefix', 's3', 'prefix'],
+    ['history-sync-s3-access-key', 's3', 'accessKeyId'],
+    ['history-sync-s3-secret-key', 's3', 'secretAccessKey']
+  ];
+
+  async function updateSettings(patch) {
+    settings = normalizeSettings({ ...settings, ...patch });
+    try {
+      await persistSettings();
+    } catch (error) {
+      console.error('保存同步设置失败:', error);
+    }
+    restartScheduler();
+    syncSettingsControls();
+  }
+
+  /**
+   * 在给定容器中追加“多设备同步”设置区（重复调用只刷新内容）。
+   * @param {HTMLElement} container
+   */
+  function renderSettingsSection(container) {
+    if (!container) return;
+    if (settingsContainer !== container || !container.querySelector('.history-sync-section')) {
+      settingsContainer = container;
+
+      const section = document.createElement('div');
+      section.className = 'backup-section history-sync-section';
+
+      const title = document.createElement('div');
+      title.className = 'backup-panel-subtitle';
+      title.textContent = '多设备同步';
+      section.appendChild(title);
+
+      const enabledRow = document.createElement('div');
+      enabledRow.className = 'switch-row backup-form-row';
+      const enabledText = document.createElement('span');
+      enabledText.className = 'switch-text';
+      enabledText.textContent = '启用自动同步';
+      const switchLabel = document.createElement('label');
+      switchLabel.className = 'switch';
+      const enabledToggle = document.createElement('input');
+      enabledToggle.type = 'checkbox';
+      enabledToggle.className = 'history-sync-enabled';
+      const slider = document.createElement('span');
+      slider.className = 'slider';
+      switchLabel.appendChild(enabledToggle);
+      switchLabel.appendChild(slider);
+      enabledRow.appendChild(enabledText);
+      enabledRow.appendChild(switchLabel);
+      section.appendChild(enabledRow);
+
+      const providerSelect = document.createElement('select');
+      providerSelect.className = 'history-sync-provider';
+      [['webdav', 'WebDAV'], ['s3', 'S3 兼容（AWS / MinIO / R2）']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        providerSelect.appendChild(option);
+      });
+      const providerRow = createRow('服务类型', providerSelect);
+      providerRow.classList.replace('backup-form-row--inline', 'backup-form-row--select');
+      section.appendChild(providerRow);
+
+      const webdavFields = document.createElement('div');
+      webdavFields.className = 'backup-section history-sync-fields';
+      webdavFields.dataset.provider = 'webdav';
+      webdavFields.appendChild(createRow('目录地址', createTextInput('history-sync-webdav-url', { placeholder: 'https://dav.example.com/cerebr/' })));
+      webdavFields.appendChild(createRow('用户名', createTextInput('history-sync-webdav-username')));
+      webdavFields.appendChild(createRow('密码', createTextInput('history-sync-webdav-password', { type: 'password' })));
+      section.appendChild(webdavFields);
+
+      const s3Fields = document.createElement('div');
+      s3Fields.className = 'backup-section history-sync-fields';
+      s3Fields.dataset.provider = 's3';
+      s3Fields.appendChild(createRow('Endpoint', createTextInput('history-sync-s3-endpoint', { placeholder: 'https://s3.us-east-1.amazonaws.com' })));
+      s3Fields.appendChild(createRow('Region', createTextInput('history-sync-s3-region', { placeholder: 'us-east-1' })));
+      s3Fields.appendChild(createRow('Bucket', createTextInput('history-sync-s3-bucket')));
+      s3Fields.appendChild(createRow('路径前缀', createTextInput('history-sync-s3-prefix', { placeholder: 'cerebr/' })));
+      s3Fields.appendChild(createRow('Access Key', createTextInput('history-sync-s3-access-key')));
+      s3Fields.appendChild(createRow('Secret Key', createTextInput('history-sync-s3-secret-key', { type: 'password' })));
+      section.appendChild(s3Fields);
+
+      const intervalSelect = document.createElement('select');
+      intervalSelect.className = 'history-sync-interval';
+      INTERVAL_OPTIONS.forEach((minutes) => {
+        const option = document.createElement('option');
+        option.value = String(minutes);
+        option.textContent = minutes ? `每 ${minutes} 分钟` : '仅手动';
+        intervalSelect.appendChild(option);
+      });
+      const intervalRow = createRow('同步频率', intervalSelect);
+      intervalRow.classList.replace('backup-form-row--inline', 'backup-form-row--select');
+      section.appendChild(intervalRow);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'backup-button-group';
+      const syncButton = document.createElement('button');
+      syncButton.className = 'backup-button history-sync-now';
+      syncButton.textContent = '立即同步';
+      buttons.appendChild(syncButton);
+      section.appendChild(buttons);
+
+      const status = document.createElement('div');
+      status.className = 'backup-panel-hint history-sync-status';
+      const errorHint = document.createElement('div');
+      errorHint.className = 'backup-panel-hint history-sync-error';
+      const hint = document.createElement('div');
+      hint.className = 'backup-panel-hint';
+      hint.textContent = '会话以 JSON 文件保存在远端目录（不含本地图片文件）。两台设备都修改过同一会话时会自动合并；各自续写了不同内容的，另一份保存为“同步冲突副本”分支。凭据仅保存在本机。';
+      section.appendChild(status);
+      section.appendChild(errorHint);
+      section.appendChild(hint);
+
+      enabledToggle.addEventListener('change', () => {
+        updateSettings({ enabled: enabledToggle.checked });
+        if (enabledToggle.checked) syncNow().catch(() => {});
+      });
+      providerSelect.addEventListener('change', () => updateSettings({ provider: providerSelect.value }));
+      intervalSelect.addEventListener('change', () => updateSettings({ intervalMinutes: Number(intervalSelect.value) }));
+      FIELD_BINDINGS.forEach(([className, group, key]) => {
+        const input = section.querySelector(`.${className}`);
+        input?.addEventListener('change', () => {
+          updateSettings({ [group]: { ...settings[group], [key]: input.value } });
+        });
+      });
+      syncButton.addEventListener('click', () => {
+        syncNow({ manual: true }).catch(() => {});
+      });
+
+      container.appendChild(section);
+    }
+    syncSettingsControls();
+    renderStatus();
+  }
+
+  function syncSettingsControls() {
+    const section = settingsContainer?.querySelector('.history-sync-section');
+    if (!section) return;
+    const enabledToggle = section.querySelector('.history-sync-enabled');
+    const providerSelect = section.querySelector('.history-sync-provider');
+    const intervalSelect = section.querySelector('.history-sync-interval');
+    if (enabledToggle) enabledToggle.checked = settings.enabled;
+    if (providerSelect) providerSelect.value = settings.provider;
+    if (intervalSelect) intervalSelect.value = String(settings.intervalMinutes);
+    section.querySelectorAll('.history-sync-fields').forEach((fields) => {
+      fields.hidden = fields.dataset.provider !== settings.provider;
+    });
+    FIELD_BINDINGS.forEach(([className, group, key]) => {
+      const input = section.querySelector(`.${className}`);
+      if (input && document.activeElement !== input) input.value = settings[group][key];
+    });
+  }
+
+  async function init() {
+    try {
+      const wrap = await chrome.storage.local.get([HISTORY_SYNC_SETTINGS_KEY, HISTORY_SYNC_STATE_KEY]);
+      settings = normalizeSettings(wrap?.[HISTORY_SYNC_SETTINGS_KEY]);
+      syncState = normalizeState(wrap?.[HISTORY_SYNC_STATE_KEY]);
+      if (!settings.deviceId) {
+        settings.deviceId = `device_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        await persistSettings();
+      }
+    } catch (error) {
+      console.error('加载同步设置失败:', error);
+    }
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes?.[HISTORY_SYNC_SETTINGS_KEY]) {
+          settings = normalizeSettings(changes[HISTORY_SYNC_SETTINGS_KEY].newValue);
+          restartScheduler();
+          syncSettingsControls();
+        }
+        if (changes?.[HISTORY_SYNC_STATE_KEY] && !running) {
+          syncState = normalizeState(changes[HISTORY_SYNC_STATE_KEY].newValue);
+          renderStatus();
+        }
+      });
+    } catch (error) {
+      console.warn('注册同步设置跨标签同步失败（忽略）：', error);
+    }
+    restartScheduler();
+    if (settings.enabled && isConfigured()) {
+      // 打开侧边栏后补一次错过的定时同步
+      setTimeout(() => {
+        const intervalMs = settings.intervalMinutes * 60 * 1000;
+        if (!intervalMs || Date.now() - syncState.syncedAt < intervalMs) return;
+        syncNow().catch(() => {});
+      }, INITIAL_SYNC_DELAY_MS);
+    }
+  }
+
+  return {
+    init,
+    syncNow,
+    isConfigured,
+    renderSettingsSection
+  };
+}
@@ -0,0 +1,580 @@
+/**
+ * MCP 服务器管理器
+ *
+ * 职责：
+ * - 在 chrome.storage.local 中保存本地 MCP 服务器配置 `{ id, name, url, transport, headersText, enabled }`；
+ * - 为启用的服务器建立连接，缓存 tools/list 与 resources/list 结果；
+ * - 把已连接服务器的工具以 `mcp_<服务器>__<工具>` 函数名提供给 message_sender，并负责执行 tools/call；
+ * - 在“自定义工具”标签页中渲染服务器列表与连接状态。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import {
+  MCP_TRANSPORT_SSE,
+  MCP_TRANSPORT_STREAMABLE_HTTP,
+  buildMcpFunctionToolDefinition,
+  buildMcpFunctionToolName,
+  createMcpClient,
+  isLocalMcpEndpoint,
+  normalizeMcpToolCallResult,
+  normalizeMcpTransport
+} from '../utils/mcp_client.js';
+
+const MCP_SERVERS_STORAGE_KEY = 'mcp_servers';
+const SAVE_DEBOUNCE_MS = 400;
+const RECONNECT_DEBOUNCE_MS = 800;
+const DELETE_CONFIRM_TIMEOUT_MS = 2400;
+const MCP_CLIENT_INFO = Object.freeze({
+  name: 'Cerebr',
+  version: (() => {
+    try { return chrome.runtime.getManifest().version || '0'; } catch (_) { return '0'; }
+  })()
+});
+
+const STATUS_LABELS = {
+  idle: '未连接',
+  connecting: '连接中…',
+  connected: '已连接',
+  error: '连接失败'
+};
+
+function createServerId() {
+  return `mcp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeServer(raw) {
+  const source = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  return {
+    id: (typeof source.id === 'string' && source.id.trim()) ? source.id.trim() : createServerId(),
+    name: (typeof source.name === 'string') ? source.name.trim() : '',
+    url: (typeof source.url === 'string') ? source.url.trim() : '',
+    transport: normalizeMcpTransport(source.transport),
+    headersText: (typeof source.headersText === 'string') ? source.headersText : '',
+    enabled: source.enabled !== false
+  };
+}
+
+/**
+ * 解析“每行一个 `Name: value`”格式的附加请求头。
+ * @param {string} text
+ * @returns {Object<string,string>}
+ */
+function parseHeadersText(text) {
+  const headers = {};
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+    const name = line.slice(0, index).trim();
+    const value = line.slice(index + 1).trim();
+    if (name) headers[name] = value;
+  });
+  return headers;
+}
+
+function getServerDisplayName(server) {
+  if (server.name) return server.name;
+  try {
+    return new URL(server.url).host || 'MCP';
+  } catch (_) {
+    return 'MCP';
+  }
+}
+
+/**
+ * 创建 MCP 服务器管理器（不依赖 appContext 中的其它服务）
+ * @returns {Object} 管理器实例
+ */
+export function createMcpManager() {
+  let servers = [];
+  // serverId -> { status, error, client, tools: [{functionName, tool}], resources, serverInfo }
+  const runtimeByServerId = new Map();
+  let settingsContainer = null;
+  let saveTimer = null;
+  const reconnectTimers = new Map();
+
+  function getRuntime(serverId) {
+    if (!runtimeByServerId.has(serverId)) {
+      runtimeByServerId.set(serverId, {
+        status: 'idle',
+        error: '',
+        client: null,
+        tools: [],
+        resources: [],
+        serverInfo: null
+      });
+    }
+    return runtimeByServerId.get(serverId);
+  }
+
+  function persistServers() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return queueStorageSet('local', { [MCP_SERVERS_STORAGE_KEY]: servers }, { flush: 'now' });
+  }
+
+  function schedulePersistServers() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      persistServers().catch(error => console.error('保存 MCP 服务器失败:', error));
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  async function disconnectServer(serverId) {
+    const runtime = runtimeByServerId.get(serverId);
+    if (!runtime) return;
+    const client = runtime.client;
+    runtime.client = null;
+    runtime.tools = [];
+    runtime.resources = [];
+    runtime.status = 'idle';
+    runtime.error = '';
+    if (client) {
+      try { await client.close(); } catch (_) {}
+    }
+  }
+
+  /**
+   * 连接（或重连）单个服务器，并刷新工具与资源列表。
+   * @param {string} serverId
+   * @returns {Promise<void>}
+   */
+  async function connectServer(serverId) {
+    const server = servers.find(item => item.id === serverId);
+    if (!server) return;
+    await disconnectServer(serverId);
+    const runtime = getRuntime(serverId);
+    if (!server.enabled) {
+      renderServerStatus(serverId);
+      return;
+    }
+    if (!isLocalMcpEndpoint(server.url)) {
+      runtime.status = 'error';
+      runtime.error = '仅支持 localhost / 127.0.0.1 上的 http(s) 地址';
+      renderServerStatus(serverId);
+      return;
+    }
+
+    runtime.status = 'connecting';
+    renderServerStatus(serverId);
+    const client = createMcpClient({
+      url: server.url,
+      transport: server.transport,
+      headers: parseHeadersText(server.headersText),
+      clientInfo: MCP_CLIENT_INFO
+    });
+    runtime.client = client;
+    try {
+      const info = await client.connect();
+      const [tools, resources] = await Promise.all([client.listTools(), client.listResources()]);
+      // 期间若配置被修改并触发重连，丢弃这次过期结果
+      if (runtime.client !== client) return;
+      const serverName = getServerDisplayName(server);
+      runtime.serverInfo = info.serverInfo;
+      runtime.tools = tools.map(tool => ({
+        functionName: buildMcpFunctionToolName(serverName, tool.name),
+        tool
+      }));
+      runtime.resources = resources;
+      runtime.status = 'connected';
+      runtime.error = '';
+    } catch (error) {
+      if (runtime.client !== client) return;
+      runtime.client = null;
+      runtime.status = 'error';
+      runtime.error = error?.message || String(error);
+      try { await client.close(); } catch (_) {}
+    }
+    renderServerStatus(serverId);
+  }
+
+  function scheduleReconnect(serverId) {
+    clearTimeout(reconnectTimers.get(serverId));
+    reconnectTimers.set(serverId, setTimeout(() => {
+      reconnectTimers.delete(serverId);
+      connectServer(serverId);
+    }, RECONNECT_DEBOUNCE_MS));
+  }
+
+  function getConnectedToolEntries() {
+    const entries = [];
+    const seenNames = new Set();
+    servers.forEach((server) => {
+      const runtime = runtimeByServerId.get(server.id);
+      if (!server.enabled || runtime?.status !== 'connected') return;
+      runtime.tools.forEach((entry) => {
+        if (seenNames.has(entry.functionName)) return;
+        seenNames.add(entry.functionName);
+        entries.push({ ...entry, server, runtime });
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * 返回所有已连接服务器的工具定义（Responses function tool 结构）。
+   * @returns {Array<Object>}
+   */
+  function getFunctionTools() {
+    return getConnectedToolEntries().map(entry => buildMcpFunctionToolDefinition(
+      entry.functionName,
+      entry.tool,
+      getServerDisplayName(entry.server)
+    ));
+  }
+
+  /**
+   * @param {string} functionName
+   * @returns {boolean}
+   */
+  function hasFunctionTool(functionName) {
+    return getConnectedToolEntries().some(entry => entry.functionName === functionName);
+  }
+
+  /**
+   * 执行 MCP 工具，返回与内置工具一致的 `{ ok, value, items, error }`。
+   * @param {string} functionName
+   * @param {Object} args
+   * @returns {Promise<Object>}
+   */
+  async function callFunctionTool(functionName, args) {
+    const entry = getConnectedToolEntries().find(item => item.functionName === functionName);
+    if (!entry?.runtime?.client) {
+      return {
+        ok: false,
+        value: null,
+        items: [],
+        error: { message: `MCP 工具 ${functionName} 当前不可用（服务器未连接）。`, name: 'UnavailableError', stack: '' }
+      };
+    }
+    try {
+      const result = await entry.runtime.client.callTool(entry.tool.name, args);
+      return normalizeMcpToolCallResult(result);
+    } catch (error) {
+      return {
+        ok: false,
+        value: null,
+        items: [],
+        error: {
+          message: error?.message || String(error),
+          name: error?.name || 'McpError',
+          stack: ''
+        }
+      };
+    }
+  }
+
+  // ---- 设置界面 ----
+
+  function renderServerStatus(serverId) {
+    const card = settingsContainer?.querySelector(`.mcp-server-item[data-server-id="${serverId}"]`);
+    if (!card) return;
+    const runtime = getRuntime(serverId);
+    const status = card.querySelector('.mcp-server-status');
+    const details = card.querySelector('.mcp-server-details');
+    if (status) {
+      status.textContent = STATUS_LABELS[runtime.status] || runtime.status;
+      status.dataset.status = runtime.status;
+      status.title = runtime.error || '';
+    }
+    if (!details) return;
+    details.innerHTML = '';
+    if (runtime.status === 'error' && runtime.error) {
+      const error = document.createElement('div');
+      error.className = 'custom-tool-hint warning';
+      error.textContent = runtime.error;
+      details.appendChild(error);
+    }
+    if (runtime.status !== 'connected') return;
+
+    const appendList = (titleText, items, describe) => {
+      const title = document.createElement('div');
+      title.className = 'mcp-server-list-title';
+      title.textContent = `${titleText}（${items.length}）`;
+      details.appendChild(title);
+      if (items.length === 0) return;
+      const list = document.createElement('ul');
+      list.className = 'mcp-server-list';
+      items.forEach((item) => {
+        const li = document.createElement('li');
+        const { label, hint } = describe(item);
+        const code = document.createElement('code');
+        code.textContent = label;
+        li.appendChild(code);
+        if (hint) {
+          li.title = hint;
+          const span = document.createElement('span');
+          span.textContent = ` ${hint}`;
+          li.appendChild(span);
+        }
+        list.appendChild(li);
+      });
+      details.appendChild(list);
+    };
+    appendList('工具', runtime.tools, entry => ({
+      label: entry.functionName,
+      hint: entry.tool.description || entry.tool.title || ''
+    }));
+    appendList('资源', runtime.resources, resource => ({
+      label: resource.uri || resource.name || '',
+      hint: resource.name && resource.name !== resource.uri ? resource.name : (resource.description || '')
+    }));
+  }
+
+  function createField(labelText, control) {
+    const field = document.createElement('div');
+    field.className = 'custom-tool-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+  }
+
+  function createServerCard(server) {
+    const card = document.createElement('div');
+    card.className = 'custom-tool-item mcp-server-item';
+    card.dataset.serverId = server.id;
+
+    const header = document.createElement('div');
+    header.className = 'custom-tool-item-header';
+    const title = document.createElement('div');
+    title.className = 'custom-tool-item-title';
+    title.textContent = getServerDisplayName(server);
+    const meta = document.createElement('div');
+    meta.className = 'custom-tool-item-meta';
+
+    const status = document.createElement('span');
+    status.className = 'mcp-server-status';
+
+    const reconnectButton = document.createElement('button');
+    reconnectButton.type = 'button';
+    reconnectButton.className = 'custom-tool-add-button';
+    reconnectButton.textContent = '重新连接';
+    reconnectButton.addEventListener('click', () => connectServer(server.id));
+
+    const switchLabel = document.createElement('label');
+    switchLabel.className = 'switch';
+    switchLabel.title = '启用';
+    const enabledToggle = document.createElement('input');
+    enabledToggle.type = 'checkbox';
+    enabledToggle.checked = server.enabled;
+    const slider = document.createElement('span');
+    slider.className = 'slider';
+    switchLabel.appendChild(enabledToggle);
+    switchLabel.appendChild(slider);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'custom-tool-delete-btn';
+    deleteButton.textContent = '删除';
+
+    meta.appendChild(status);
+    meta.appendChild(reconnectButton);
+    meta.appendChild(switchLabel);
+    meta.appendChild(deleteButton);
+    header.appendChild(title);
+    header.appendChild(meta);
+    card.appendChild(header);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = '例如 docs（用于生成函数名前缀）';
+    nameInput.value = server.name;
+
+    const urlInput = document.createElement('input');
+    urlInput.type = 'text';
+    urlInput.spellcheck = false;
+    urlInput.placeholder = 'http://127.0.0.1:3000/mcp';
+    urlInput.value = server.url;
+
+    const transportSelect = document.createElement('select');
+    [
+      [MCP_TRANSPORT_STREAMABLE_HTTP, 'Streamable HTTP'],
+      [MCP_TRANSPORT_SSE, 'SSE（旧版）']
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      transportSelect.appendChild(option);
+    });
+    transportSelect.value = server.transport;
+
+    const headersInput = document.createElement('textarea');
+    headersInput.rows = 2;
+    headersInput.spellcheck = false;
+    headersInput.placeholder = 'Authorization: Bearer xxx';
+    headersInput.value = server.headersText;
+
+    const details = document.createElement('div');
+    details.className = 'mcp-server-details';
+
+    card.appendChild(createField('名称', nameInput));
+    card.appendChild(createField('端点 URL（仅限本机）', urlInput));
+    card.appendChild(createField('传输方式', transportSelect));
+    card.appendChild(createField('附加请求头（每行一个 Name: value，可选）', headersInput));
+    card.appendChild(details);
+
+    const updateServer = (patch, { reconnect = true } = {}) => {
+      servers = servers.map(item => (item.id === server.id ? normalizeServer({ ...item, ...patch }) : item));
+      const current = servers.find(item => item.id === server.id);
+      if (current) title.textContent = getServerDisplayName(current);
+      schedulePersistServers();
+      if (reconnect) scheduleReconnect(server.id);
+    };
+
+    nameInput.addEventListener('input', () => updateServer({ name: nameInput.value }));
+    urlInput.addEventListener('input', () => updateServer({ url: urlInput.value }));
+    transportSelect.addEventListener('change', () => updateServer({ transport: transportSelect.value }));
+    headersInput.addEventListener('input', () => updateServer({ headersText: headersInput.value }));
+    enabledToggle.addEventListener('change', () => updateServer({ enabled: enabledToggle.checked }));
+
+    let deleteConfirmTimer = null;
+    const resetDeleteConfirm = () => {
+      deleteButton.dataset.confirming = 'false';
+      deleteButton.classList.remove('is-confirming');
+      card.classList.remove('delete-confirming');
+      deleteButton.textContent = '删除';
+      clearTimeout(deleteConfirmTimer);
+      deleteConfirmTimer = null;
+    };
+    deleteButton.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (deleteButton.dataset.confirming !== 'true') {
+        deleteButton.dataset.confirming = 'true';
+        deleteButton.classList.add('is-confirming');
+        card.classList.add('delete-confirming');
+        deleteButton.textContent = '确认删除';
+        deleteConfirmTimer = setTimeout(resetDeleteConfirm, DELETE_CONFIRM_TIMEOUT_MS);
+        return;
+      }
+      resetDeleteConfirm();
+      servers = servers.filter(item => item.id !== server.id);
+      await disconnectServer(server.id);
+      runtimeByServerId.delete(server.id);
+      try {
+        await persistServers();
+      } catch (error) {
+        console.error('删除 MCP 服务器失败:', error);
+      }
+      renderServerList();
+    });
+
+    return card;
+  }
+
+  function renderServerList() {
+    const list = settingsContainer?.querySelector('.mcp-servers-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (servers.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'custom-tool-hint';
+      empty.textContent = '还没有配置 MCP 服务器。';
+      list.appendChild(empty);
+      return;
+    }
+    servers.forEach((server) => {
+      list.appendChild(createServerCard(server));
+      renderServerStatus(server.id);
+    });
+  }
+
+  /**
+   * 在给定容器末尾渲染“MCP 服务器”设置区（重复调用只刷新列表）。
+   * @param {HTMLElement} container
+   */
+  function renderSettingsSection(container) {
+    if (!container) return;
+    if (settingsContainer !== container || !container.querySelector('.mcp-servers-panel')) {
+      settingsContainer = container;
+
+      const panel = document.createElement('div');
+      panel.className = 'custom-tools-panel mcp-servers-panel';
+
+      const header = document.createElement('div');
+      header.className = 'custom-tools-header';
+      const title = document.createElement('span');
+      title.className = 'custom-tools-title';
+      title.textContent = 'MCP 服务器';
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'custom-tool-add-button';
+      addButton.textContent = '+ 新增服务器';
+      addButton.addEventListener('click', async () => {
+        servers = [...servers, normalizeServer({
+          name: `server${servers.length + 1}`,
+          url: 'http://127.0.0.1:3000/mcp',
+          transport: MCP_TRANSPORT_STREAMABLE_HTTP,
+          enabled: false
+        })];
+        try {
+          await persistServers();
+        } catch (error) {
+          console.error('保存 MCP 服务器失败:', error);
+        }
+        renderServerList();
+      });
+      header.appendChild(title);
+      header.appendChild(addButton);
+
+      const intro = document.createElement('div');
+      intro.className = 'custom-tool-hint';
+      intro.textContent = '连接本机运行的 MCP 服务器，已连接服务器的工具会以 mcp_<名称>__<工具> 的函数名提供给模型，调用结果显示在工具活动中。';
+
+      const list = document.createElement('div');
+      list.className = 'mcp-servers-list';
+
+      panel.appendChild(header);
+      panel.appendChild(intro);
+      panel.appendChild(list);
+      container.appendChild(panel);
+    }
+    renderServerList();
+  }
+
+  async function init() {
+    try {
+      const wrap = await chrome.storage.local.get([MCP_SERVERS_STORAGE_KEY]);
+      const rawList = Array.isArray(wrap?.[MCP_SERVERS_STORAGE_KEY]) ? wrap[MCP_SERVERS_STORAGE_KEY] : [];
+      servers = rawList.map(normalizeServer);
+    } catch (error) {
+      console.error('加载 MCP 服务器失败:', error);
+    }
+    // 后台连接，不阻塞侧栏初始化；本地服务未启动时只会标记为连接失败
+    servers.filter(server => server.enabled).forEach(server => { connectServer(server.id); });
+
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes?.[MCP_SERVERS_STORAGE_KEY]) return;
+        const nextServers = (Array.isArray(changes[MCP_SERVERS_STORAGE_KEY].newValue)
+          ? changes[MCP_SERVERS_STORAGE_KEY].newValue
+          : []).map(normalizeServer);
+        const previousById = new Map(servers.map(server => [server.id, server]));
+        servers = nextServers;
+        // 其它标签页修改了配置：只重连发生变化的服务器
+        nextServers.forEach((server) => {
+          const previous = previousById.get(server.id);
+          previousById.delete(server.id);
+          if (!previous || JSON.stringify(previous) !== JSON.stringify(server)) scheduleReconnect(server.id);
+        });
+        previousById.forEach((_, serverId) => {
+          disconnectServer(serverId);
+          runtimeByServerId.delete(serverId);
+        });
+        const editing = settingsContainer?.contains(document.activeElement);
+        if (settingsContainer && !editing) renderServerList();
+      });
+    } catch (error) {
+      console.warn('注册 MCP 服务器跨标签同步失败（忽略）：', error);
+    }
+  }
+
+  return {
+    init,
+    connectServer,
+    getFunctionTools,
+    hasFunctionTool,
+    callFunctionTool,
+    renderSettingsSection
+  };
+}
@@ -11,11 +11,14 @@
  * @property {('user'|'assistant'|'system')} role 角色
  * @property {string} content 文本内容
  * @property {string|null} [thoughtSignature] 推理签名（Thought Signature / thoughtSignature，可选）
- * @property {string|null} [thoughtSignatureSource] 签名来源（'gemini' | 'openai'，可选）
+ * @property {string|null} [thoughtSignatureSource] 签名来源（'gemini' | 'openai' | 'anthropic'，可选）
  * @property {string|null} [reasoning_content] OpenAI 兼容：需要原样回传的推理原文（与 thoughtSignature 配对，可选）
+ * @property {Array<Object>|null} [anthropic_thinking_blocks] Anthropic：按原顺序保存的 thinking / redacted_thinking block（各带签名或 data，可选）
  * @property {Array<any>|null} [tool_calls] OpenAI 兼容：assistant.tool_calls（可能包含 thoughtSignature，可选）
  * @property {Array<any>|null} [response_input_items] Responses API：后续 turn 可直接重放的 input item 历史（可选）
  * @property {string|Array<any>|null} [outboundContent] 当历史节点曾以“不同于显示内容”的正文发送时，这里保存稳定发送快照（可选）
+ * @property {Array<Object>|null} [fileAttachments] 用户消息附加的文件记录（见 utils/file_attachment.js，可选）
+ * @property {Object|null} [contextCompaction] 上下文压缩记录：此前的历史以摘要代替或省略工具输出（见 utils/context_compaction.js，可选）
  */
 
 /**
@@ -67,6 +70,9 @@
  * });
  */
 import { extractThinkingFromText } from '../utils/thoughts_parser.js';
+import { applyContextCompaction } from '../utils/context_compaction.js';
+
+const CONTEXT_SUMMARY_PREFIX = '以下是此前对话的摘要（更早的消息已压缩，不再逐条提供）：';
 
 export function composeMessages(args) {
   const {
@@ -123,12 +129,23 @@ export function composeMessages(args) {
       }
     }
 
+    if (role === 'assistant' && thoughtSignatureSource === 'anthropic' && hasThoughtSignature) {
+      // Anthropic：thinking block 需逐块原样回传（各带签名）；旧历史只有合并后的 reasoning_content
+      if (Array.isArray(node?.anthropic_thinking_blocks) && node.anthropic_thinking_blocks.length > 0) {
+        msg.anthropic_thinking_blocks = node.anthropic_thinking_blocks;
+      }
+      if (typeof node?.reasoning_content === 'string') {
+        msg.reasoning_content = node.reasoning_content;
+      }
+    }
+
     if (Array.isArray(node?.response_input_items) && node.response_input_items.length > 0) {
       // Responses API：这里不做结构改写，只把“可再次放进 input 的 item”挂到消息对象上，
       // 交给下游 buildRequest 在 Responses 模式下直接展开。
       msg.response_input_items = node.response_input_items;
     }
 
+    attachFileAttachments(msg, node);
     return msg;
   };
 
@@ -164,7 +181,13 @@ export function composeMessages(args) {
     }
   }
 
+  let contextSummary = null;
   if (sendChatHistory) {
+    // 上下文压缩：链上的 contextCompaction 记录决定哪些历史以摘要代替、哪些省略工具输出
+    const compacted = applyContextCompaction(effectiveChain);
+    effectiveChain = compacted.chain;
+    contextSummary = compacted.summary;
+
     const normalizedMaxUserHistory = normalizeOptionalNonNegativeInt(maxUserHistory);
     const normalizedMaxAssistantHistory = normalizeOptionalNonNegativeInt(maxAssistantHistory);
     const useRoleBasedLimits = (normalizedMaxUserHistory !== null) || (normalizedMaxAssistantHistory !== null);
@@ -196,7 +219,20 @@ export function composeMessages(args) {
       const lastContent = (mapRole(last.role) === 'user' && last?.outboundContent != null)
         ? last.outboundContent
         : last.content;
-      messages.push({ role: mapRole(last.role), content: sanitizeContentForSend(lastContent) });
+      messages.push(attachFileAttachments(
+        { role: mapRole(last.role), content: sanitizeContentForSend(lastContent) },
+        last
+      ));
+    }
+  }
+
+  // 被压缩的历史以摘要形式并入系统消息，避免在对话中间插入额外的 user/assistant 轮次
+  if (contextSummary) {
+    const summaryBlock = `${CONTEXT_SUMMARY_PREFIX}\n${contextSummary}`;
+    if (messages[0]?.role === 'system') {
+      messages[0].content = `${messages[0].content}\n\n${summaryBlock}`;
+    } else {
+      messages.unshift({ role: 'system', content: summaryBlock });
     }
   }
 
@@ -298,6 +334,19 @@ function selectConversationNodesByRole(chain, limits) {
   return indices.map(i => safeChain[i]);
 }
 
+/**
+ * 用户消息上的文件附件原样挂到 message.file_attachments，由 buildRequest 按接口类型展开。
+ * @param {Object} msg
+ * @param {Object} node
+ * @returns {Object} msg
+ */
+function attachFileAttachments(msg, node) {
+  if (msg.role === 'user' && Array.isArray(node?.fileAttachments) && node.fileAttachments.length > 0) {
+    msg.file_attachments = node.fileAttachments;
+  }
+  return msg;
+}
+
 /**
  * 纯函数：移除消息正文中的 <think> 段落，避免隐式思考内容被重新发送。
  * @param {string|Array} content - 历史消息正文
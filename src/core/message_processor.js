@@ -16,6 +16,7 @@ import { enhanceMermaidDiagrams } from '../utils/mermaid_renderer.js';
 import { extractThinkingFromText, mergeThoughts } from '../utils/thoughts_parser.js';
 import { normalizeResponsesReasoningText } from '../utils/responses_activity_reasoning.js';
 import { buildApiFooterRenderData } from '../utils/api_footer_template.js';
+import { findPdfPageCitations, isPdfPageInfo } from '../utils/pdf_read_tool.js';
 import {
   formatResponsesToolOutputForDisplay,
   hasResponsesToolOutputBody
@@ -81,6 +82,17 @@ function safeParseUrl(value) {
   }
 }
 
+/**
+ * 判断链接是否带视频时间点（?t= / ?start= / #t=），这类同页链接交给页面跳转播放进度。
+ * @param {string} url - 已解析的绝对 URL
+ * @returns {boolean}
+ */
+function hasMediaTimeParam(url) {
+  const parsed = safeParseUrl(url);
+  if (!parsed) return false;
+  return parsed.searchParams.has('t') || parsed.searchParams.has('start') || /^#t=/.test(parsed.hash);
+}
+
 /**
  * 生成“Markdown 链接解析上下文”，提前缓存 base URL，避免重复解析。
  * @param {string} baseUrl - 当前页面 URL（来自 content script 的 pageInfo）
@@ -201,6 +213,7 @@ export function createMessageProcessor(appContext) {
         const rawTextFragment = typeof rawHref === 'string' && rawHref.includes(':~:text=');
         const resolvedTextFragment = typeof policy.resolvedUrl === 'string' && policy.resolvedUrl.includes('#:~:text=');
         const hasTextFragment = rawTextFragment || resolvedTextFragment;
+        const hasMediaTime = isSamePage && hasMediaTimeParam(policy.resolvedUrl);
 
         if (policy.resolvedUrl) {
           link.setAttribute('href', policy.resolvedUrl);
@@ -217,6 +230,51 @@ export function createMessageProcessor(appContext) {
         }
         link.dataset.cerebrSamePage = isSamePage ? 'true' : 'false';
         link.dataset.cerebrTextFragment = hasTextFragment ? 'true' : 'false';
+        link.dataset.cerebrMediaTime = hasMediaTime ? 'true' : 'false';
+      });
+    });
+  }
+
+  /**
+   * 当前页面是 PDF 时，把回答里的 `[p. 12]` / `[pp. 3-5]` 引用包成可点击元素，点击后让页面里的 PDF 查看器跳到该页。
+   * 用 span 而不是 a，避免被 decorateMarkdownLinks 当作普通链接改写。
+   * @param {HTMLElement} rootElement
+   */
+  function decoratePdfPageCitations(rootElement) {
+    if (!rootElement || state?.isStandalone || !isPdfPageInfo(state?.pageInfo)) return;
+    const containers = rootElement.matches?.('.text-content')
+      ? [rootElement]
+      : Array.from(rootElement.querySelectorAll?.('.text-content') || []);
+    containers.forEach((container) => {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (
+          node.parentElement?.closest('a, code, pre, .katex, .pdf-page-citation')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+        )
+      });
+      const textNodes = [];
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+      textNodes.forEach((node) => {
+        const text = node.nodeValue || '';
+        const citations = findPdfPageCitations(text);
+        if (!citations.length) return;
+        const fragment = document.createDocumentFragment();
+        let cursor = 0;
+        citations.forEach((citation) => {
+          fragment.appendChild(document.createTextNode(text.slice(cursor, citation.index)));
+          const chip = document.createElement('span');
+          chip.className = 'pdf-page-citation';
+          chip.setAttribute('role', 'link');
+          chip.tabIndex = 0;
+          chip.dataset.pdfPage = String(citation.page);
+          chip.title = `跳转到 PDF 第 ${citation.page} 页`;
+          chip.textContent = text.slice(citation.index, citation.index + citation.length);
+          fragment.appendChild(chip);
+          cursor = citation.index + citation.length;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(cursor)));
+        node.parentNode.replaceChild(fragment, node);
       });
     });
   }
@@ -225,7 +283,8 @@ export function createMessageProcessor(appContext) {
 
   /**
    * 在侧栏内拦截“同页跳转”链接，交由父页面执行跳转/定位。
-   * 目的：解决 text fragment 在 iframe 内点击无效的问题。
+   * 目的：解决 text fragment 在 iframe 内点击无效的问题；视频时间戳链接也走这里，由页面直接跳转播放进度；
+   * PDF 页码引用则发 JUMP_TO_PDF_PAGE，由 content script 让查看器翻页。
    */
   function installMarkdownLinkInterceptor() {
     if (markdownLinkInterceptorInstalled) return;
@@ -236,10 +295,18 @@ export function createMessageProcessor(appContext) {
 
       const target = event.target;
       if (!target || typeof target.closest !== 'function') return;
+      const citation = target.closest('.pdf-page-citation');
+      if (citation) {
+        if (!window.parent || window.parent === window) return;
+        event.preventDefault();
+        event.stopPropagation();
+        window.parent.postMessage({ type: 'JUMP_TO_PDF_PAGE', page: Number(citation.dataset.pdfPage) }, '*');
+        return;
+      }
       const link = target.closest('a');
       if (!link) return;
       if (link.dataset.cerebrSamePage !== 'true') return;
-      if (link.dataset.cerebrTextFragment !== 'true') return;
+      if (link.dataset.cerebrTextFragment !== 'true' && link.dataset.cerebrMediaTime !== 'true') return;
 
       const url = link.dataset.cerebrResolvedUrl || link.getAttribute('href') || '';
       if (!url) return;
@@ -1045,6 +1112,13 @@ export function createMessageProcessor(appContext) {
     } catch (e) {
       console.warn('应用划词线程高亮失败:', e);
     }
+    try {
+      if (messageDiv && node) {
+        services.fileAttachmentManager?.decorateMessageElement?.(messageDiv, node);
+      }
+    } catch (e) {
+      console.warn('渲染消息文件附件失败:', e);
+    }
     if (shouldRenderDom && messageDiv && targetContainer) {
       messageVirtualizer.scheduleUpdate(targetContainer);
     }
@@ -1149,6 +1223,16 @@ export function createMessageProcessor(appContext) {
       && String(record?.name || '').trim().toLowerCase() === RESPONSE_ACTIVITY_JS_RUNTIME_TOOL_NAME;
   }
 
+  /**
+   * MCP 工具以 `mcp_<服务器>__<工具>` 命名（见 utils/mcp_client.js），这里拆出来用于活动时间线展示。
+   * @returns {{server:string, tool:string}|null}
+   */
+  function parseResponseActivityMcpToolName(record) {
+    if (String(record?.type || '').toLowerCase() !== 'function_call') return null;
+    const match = String(record?.name || '').trim().match(/^mcp_(.+?)__(.+)$/);
+    return match ? { server: match[1], tool: match[2] } : null;
+  }
+
   function getResponseActivityJsRuntimeMeta(record) {
     const parsedArgs = parseResponseToolCallArgumentsObject(record?.arguments);
     const code = (typeof parsedArgs?.code === 'string') ? parsedArgs.code : '';
@@ -1228,11 +1312,137 @@ export function createMessageProcessor(appContext) {
     }
   }
 
+  /**
+   * 在助手消息中插入“工具执行确认”卡片，等待用户允许或拒绝。
+   *
+   * 卡片放在活动时间线之后、正文之前；用户点击、请求被中止或卡片被移除（例如切换对话）时 Promise 结束，
+   * 后两种情况一律视为拒绝，避免代码在用户看不到的情况下执行。
+   *
+   * @param {string} messageId - 助手消息 ID
+   * @param {Object} options
+   * @param {string} options.toolName - 函数名
+   * @param {string} [options.code] - 将要执行的 JS 代码（JS 类工具）
+   * @param {string} [options.argumentsText] - 非 JS 工具展示的参数文本
+   * @param {string} [options.url] - 工具作用的页面 URL
+   * @param {string} [options.reason] - 命中的策略说明
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<boolean>} 用户是否允许执行；找不到消息元素时返回 false
+   */
+  function requestToolExecutionApproval(messageId, options = {}) {
+    const messageWrapperDiv = resolveMessageElement(messageId);
+    if (!messageWrapperDiv) return Promise.resolve(false);
+    const signal = options.signal || null;
+    if (signal?.aborted) return Promise.resolve(false);
+
+    const code = (typeof options.code === 'string') ? options.code : '';
+    const detailText = code || ((typeof options.argumentsText === 'string') ? options.argumentsText : '');
+
+    const card = document.createElement('div');
+    card.className = 'tool-approval-card';
+
+    const header = document.createElement('div');
+    header.className = 'tool-approval-header';
+    const title = document.createElement('span');
+    title.className = 'tool-approval-title';
+    title.textContent = `运行 ${options.toolName || '工具'} 前需要确认`;
+    header.appendChild(title);
+    if (options.reason) {
+      const reason = document.createElement('span');
+      reason.className = 'tool-approval-reason';
+      reason.textContent = options.reason;
+      header.appendChild(reason);
+    }
+    card.appendChild(header);
+
+    if (options.url) {
+      const url = document.createElement('div');
+      url.className = 'tool-approval-url';
+      url.textContent = options.url;
+      url.title = options.url;
+      card.appendChild(url);
+    }
+
+    if (detailText) {
+      const details = document.createElement('details');
+      details.className = 'tool-approval-details';
+      const summary = document.createElement('summary');
+      summary.className = 'tool-approval-preview';
+      summary.textContent = code
+        ? (formatResponseActivityJsCodePreview(code) || 'JavaScript')
+        : formatResponseActivityJsCodePreview(detailText);
+      const pre = document.createElement('pre');
+      pre.className = 'response-activity-tool-code';
+      const codeInner = document.createElement('code');
+      if (code) codeInner.className = 'language-javascript';
+      codeInner.textContent = detailText;
+      pre.appendChild(codeInner);
+      details.appendChild(summary);
+      details.appendChild(pre);
+      card.appendChild(details);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'tool-approval-actions';
+    const denyButton = document.createElement('button');
+    denyButton.type = 'button';
+    denyButton.className = 'tool-approval-deny';
+    denyButton.textContent = '拒绝';
+    const allowButton = document.createElement('button');
+    allowButton.type = 'button';
+    allowButton.className = 'tool-approval-allow';
+    allowButton.textContent = '允许运行';
+    actions.appendChild(denyButton);
+    actions.appendChild(allowButton);
+    card.appendChild(actions);
+
+    const timelineRoot = messageWrapperDiv.querySelector('.response-activity-timeline');
+    const textContent = messageWrapperDiv.querySelector('.text-content');
+    if (timelineRoot?.nextSibling) {
+      messageWrapperDiv.insertBefore(card, timelineRoot.nextSibling);
+    } else if (textContent) {
+      messageWrapperDiv.insertBefore(card, textContent);
+    } else {
+      messageWrapperDiv.appendChild(card);
+    }
+
+    return new Promise((resolve) => {
+      let settled = false;
+      let detachObserver = null;
+      const finish = (approved) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener?.('abort', onAbort);
+        detachObserver?.();
+        card.remove();
+        resolve(approved);
+      };
+      const onAbort = () => finish(false);
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+      allowButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        finish(true);
+      });
+      denyButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        finish(false);
+      });
+      // 消息被重新渲染或对话被切走时，卡片会随之离开文档
+      if (typeof MutationObserver === 'function') {
+        const observer = new MutationObserver(() => {
+          if (!card.isConnected) finish(false);
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+        detachObserver = () => observer.disconnect();
+      }
+    });
+  }
+
   function getResponseToolCallTypeLabel(record) {
     const type = String(record?.type || '').toLowerCase();
     if (type === 'web_search_call') return '搜索';
     if (type === 'code_interpreter_call') return '代码解释器';
     if (isResponseActivityJsRuntimeEntry(record)) return 'JS';
+    if (parseResponseActivityMcpToolName(record)) return 'MCP';
     if (type === 'function_call') return '函数';
     return type || 'tool';
   }
@@ -1277,6 +1487,10 @@ export function createMessageProcessor(appContext) {
       const parts = buildResponseActivityJsRuntimeSummaryParts(record);
       return `${parts.action} ${parts.value}`.trim();
     }
+    const mcpTool = parseResponseActivityMcpToolName(record);
+    if (mcpTool) {
+      return `调用 ${mcpTool.server} ${mcpTool.tool}`;
+    }
     if (type === 'function_call') {
       const name = (typeof record.name === 'string' && record.name.trim()) ? record.name.trim() : '匿名函数';
       return `调用函数 ${name}`;
@@ -1329,6 +1543,14 @@ export function createMessageProcessor(appContext) {
     if (isResponseActivityJsRuntimeEntry(record)) {
       return buildResponseActivityJsRuntimeSummaryParts(record);
     }
+    const mcpTool = parseResponseActivityMcpToolName(record);
+    if (mcpTool) {
+      return {
+        action: `调用 ${mcpTool.server}`,
+        value: mcpTool.tool,
+        valueUrl: ''
+      };
+    }
     if (type === 'function_call') {
       const name = (typeof record.name === 'string' && record.name.trim()) ? record.name.trim() : '匿名函数';
       return {
@@ -2360,6 +2582,7 @@ export function createMessageProcessor(appContext) {
     if (!rootElement) return;
 
     decorateMarkdownLinks(rootElement);
+    decoratePdfPageCitations(rootElement);
 
     rootElement.querySelectorAll('pre code').forEach((block) => {
       if (block.closest('.mermaid-diagram__source')) return;
@@ -2632,6 +2855,7 @@ export function createMessageProcessor(appContext) {
     syncAssistantMessageView,
     syncAssistantMessageMetadata,
     renderAssistantApiFooter,
+    requestToolExecutionApproval,
     processMathAndMarkdown,
     enhanceMarkdownContent,
     decorateMarkdownLinks,
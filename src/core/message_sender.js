@@ -23,7 +23,13 @@ import {
   resolvePendingSteerRestoreDisposition
 } from './conversation_pending_steer.js';
 import { serializeSelectionTextWithMath } from '../utils/math_selection_text.js';
-import { normalizeApiUsageMeta, normalizeApiTimingMeta } from '../utils/api_footer_template.js';
+import { normalizeApiUsageMeta, normalizeApiTimingMeta, sumApiUsageMeta } from '../utils/api_footer_template.js';
+import { computeApiUsageCost } from '../utils/cost_accounting.js';
+import {
+  formatApiFallbackPath,
+  normalizeApiFallbackState,
+  resolveApiFallbackStep
+} from '../utils/api_fallback_chain.js';
 import {
   normalizeResponsesPromptCacheKey,
   buildDefaultResponsesPromptCacheKey
@@ -34,9 +40,47 @@ import {
   stringifyResponsesToolOutputValue
 } from '../utils/responses_tool_output.js';
 import { buildPageContentReadResult } from '../utils/page_content_read_tool.js';
+import { buildPdfReadResult, isPdfPageInfo } from '../utils/pdf_read_tool.js';
+import { buildFileAttachmentsText, normalizeFileAttachments } from '../utils/file_attachment.js';
+import { createArenaGroupId, placeArenaAnswer } from '../utils/arena.js';
+import {
+  createContextCompactionId,
+  estimateMessagesTokens,
+  estimateTextTokens,
+  normalizeContextCompactionThreshold,
+  normalizeContextWindowTokens,
+  planContextCompaction,
+  truncateTextToTokenBudget
+} from '../utils/context_compaction.js';
+import {
+  applyAnthropicStreamEvent,
+  buildAnthropicActivityTimeline,
+  createAnthropicStreamState,
+  extractAnthropicMessageOutput,
+  isAnthropicMessagePayload,
+  isAnthropicMessagesEndpoint,
+  summarizeAnthropicBlocks
+} from '../utils/anthropic_messages.js';
+import {
+  CLIENT_TOOL_PROTOCOL_CHAT_COMPLETIONS,
+  CLIENT_TOOL_PROTOCOL_GEMINI,
+  buildChatCompletionsToolCallRecords,
+  buildChatCompletionsToolFollowUpRequest,
+  buildGeminiToolCallRecords,
+  buildGeminiToolFollowUpRequest,
+  mergeChatCompletionsRequestTools,
+  mergeGeminiRequestTools,
+  stripClientFunctionTools
+} from '../utils/client_function_tools.js';
+import {
+  buildCustomFunctionToolDefinition,
+  buildCustomFunctionToolRuntimeCode
+} from '../utils/custom_function_tools.js';
 
 const RESPONSES_JS_RUNTIME_TOOL_NAME = 'js_runtime_execute';
 const RESPONSES_PAGE_CONTENT_TOOL_NAME = 'page_content_read';
+const RESPONSES_PDF_READ_TOOL_NAME = 'pdf_read';
+const CONTEXT_SUMMARY_PROMPT = '请把下面的对话压缩成一份供后续对话继续使用的摘要：保留用户的目标、约束与偏好，已得出的结论、数据与引用来源，以及尚未解决的问题；省略寒暄与重复内容。若给出了此前的摘要，请把它与新对话合并成一份完整摘要。直接输出摘要正文。';
 
 /**
  * 创建消息发送器
@@ -796,6 +840,7 @@ export function createMessageSender(appContext) {
     const normalized = (typeof value === 'string') ? value.trim().toLowerCase() : '';
     if (normalized === 'gemini') return 'gemini';
     if (normalized === 'openai_responses') return 'openai_responses';
+    if (normalized === 'anthropic') return 'anthropic';
     if (normalized === 'openai') return 'openai';
     return '';
   }
@@ -810,7 +855,7 @@ export function createMessageSender(appContext) {
   function isGeminiApiResponse(response, config) {
     const explicitType = normalizeApiConnectionType(config?.connectionType);
     if (explicitType === 'gemini') return true;
-    if (explicitType === 'openai' || explicitType === 'openai_responses') return false;
+    if (explicitType === 'openai' || explicitType === 'openai_responses' || explicitType === 'anthropic') return false;
     if (isGeminiApiConfig(config)) return true;
     const url = (typeof response?.url === 'string') ? response.url.toLowerCase() : '';
     return url.includes('generativelanguage.googleapis.com') && !url.includes('openai');
@@ -835,12 +880,26 @@ export function createMessageSender(appContext) {
   function isOpenAIResponsesApiConfig(config) {
     const explicitType = normalizeApiConnectionType(config?.connectionType);
     if (explicitType === 'openai_responses') return true;
-    if (explicitType === 'gemini') return false;
+    if (explicitType === 'gemini' || explicitType === 'anthropic') return false;
     if (isGeminiApiConfig(config)) return false;
     return isResponsesApiPath(normalizeApiPathForEndpointDetection(config?.baseUrl));
   }
 
+  function isAnthropicApiConfig(config) {
+    const explicitType = normalizeApiConnectionType(config?.connectionType);
+    if (explicitType) return explicitType === 'anthropic';
+    return isAnthropicMessagesEndpoint(config?.baseUrl);
+  }
+
+  function isAnthropicApiResponse(response, config) {
+    if (isAnthropicApiConfig(config)) return true;
+    const explicitType = normalizeApiConnectionType(config?.connectionType);
+    if (explicitType) return false;
+    return isAnthropicMessagesEndpoint(response?.url);
+  }
+
   function isOpenAIResponsesApiResponse(response, config) {
+    if (isAnthropicApiConfig(config)) return false;
     if (isOpenAIResponsesApiConfig(config)) return true;
     return isResponsesApiPath(normalizeApiPathForEndpointDetection(response?.url));
   }
@@ -1680,13 +1739,18 @@ export function createMessageSender(appContext) {
     };
   }
 
-  async function extractConversationTitleFromResponse(response, apiConfig) {
+  /**
+   * 从非流式响应中取出纯文本回答与 usage（usage 已归一化，缺失时为 null）。
+   * hasToolCalls 表示模型要求调用函数工具（此处不会执行）。
+   * @returns {Promise<{answer:string, usage:Object|null, hasToolCalls:boolean}>}
+   */
+  async function extractPlainAnswerAndUsageFromResponse(response, apiConfig) {
     let payload = null;
     try {
       payload = await response.json();
     } catch (e) {
       const fallbackText = await response.text().catch(() => '');
-      return fallbackText || '';
+      return { answer: fallbackText || '', usage: null, hasToolCalls: false };
     }
 
     if (payload && payload.error) {
@@ -1700,19 +1764,34 @@ export function createMessageSender(appContext) {
       const textParts = parts
         .filter(part => typeof part?.text === 'string' && !part?.thought)
         .map(part => part.text);
-      return textParts.join('');
+      const hasToolCalls = parts.some(part => part?.functionCall || part?.function_call);
+      return { answer: textParts.join(''), usage: null, hasToolCalls };
     }
 
+    if (isAnthropicApiResponse(response, apiConfig) || isAnthropicMessagePayload(payload)) {
+      const extracted = extractAnthropicMessageOutput(payload);
+      const hasToolCalls = payload?.stop_reason === 'tool_use';
+      return { answer: extracted.answer || '', usage: normalizeApiUsageMeta(extracted.usage), hasToolCalls };
+    }
+
+    const usage = normalizeApiUsageMeta(payload?.usage || payload?.response?.usage);
     if (isOpenAIResponsesApiResponse(response, apiConfig) || isOpenAIResponsesPayload(payload)) {
       const extracted = extractOpenAIResponsesOutput(payload);
-      return extracted.answer || '';
+      const hasToolCalls = (extracted.responseToolCalls || [])
+        .some(record => String(record?.type || '').trim().toLowerCase() === 'function_call');
+      return { answer: extracted.answer || '', usage, hasToolCalls };
     }
 
     const choice = Array.isArray(payload?.choices) ? payload.choices[0] : null;
-    if (typeof choice?.message?.content === 'string') return choice.message.content;
-    if (typeof choice?.text === 'string') return choice.text;
-    if (typeof payload?.content === 'string') return payload.content;
-    return '';
+    const hasToolCalls = Array.isArray(choice?.message?.tool_calls) && choice.message.tool_calls.length > 0;
+    if (typeof choice?.message?.content === 'string') return { answer: choice.message.content, usage, hasToolCalls };
+    if (typeof choice?.text === 'string') return { answer: choice.text, usage, hasToolCalls };
+    if (typeof payload?.content === 'string') return { answer: payload.content, usage, hasToolCalls };
+    return { answer: '', usage, hasToolCalls };
+  }
+
+  async function extractPlainAnswerFromResponse(response, apiConfig) {
+    return (await extractPlainAnswerAndUsageFromResponse(response, apiConfig)).answer;
   }
 
   function truncateTextForTitle(text) {
@@ -1784,7 +1863,7 @@ export function createMessageSender(appContext) {
       throw new Error(errorText || `API错误 (${response.status})`);
     }
 
-    const rawTitle = await extractConversationTitleFromResponse(response, configForTitle);
+    const rawTitle = await extractPlainAnswerFromResponse(response, configForTitle);
     return normalizeConversationTitleText(rawTitle);
   }
 
@@ -1944,6 +2023,124 @@ export function createMessageSender(appContext) {
     }
   }
 
+  // 摘要请求里留给待摘要对话的最少 token 数（前文摘要很长时也至少保留这么多）
+  const CONTEXT_SUMMARY_MIN_TRANSCRIPT_TOKENS = 1000;
+
+  function buildConversationTextForContextSummary(nodes, maxTokens) {
+    const text = nodes.map((node) => {
+      const role = String(node?.role || '').toLowerCase() === 'user' ? '用户' : 'AI';
+      const content = (role === '用户' && node?.outboundContent != null) ? node.outboundContent : node?.content;
+      const plain = extractPlainTextFromContent(content, { imagePlaceholder: '[图片]' }).trim();
+      return plain ? `${role}：\n${plain}` : '';
+    }).filter(Boolean).join('\n\n');
+    // 待摘要的部分本身也可能超出窗口：按估算 token 保留首尾，中间截断
+    return truncateTextToTokenBudget(text, maxTokens);
+  }
+
+  async function requestContextSummary({ apiConfig, previousSummary, coveredNodes, budgetTokens, signal }) {
+    const previousSummaryText = previousSummary ? `此前的摘要：\n${previousSummary}` : '';
+    // 摘要请求本身也要落在压缩阈值对应的预算内：扣掉提示词（system 与 user 各一份）和前文摘要
+    const transcriptBudget = Math.max(
+      CONTEXT_SUMMARY_MIN_TRANSCRIPT_TOKENS,
+      budgetTokens - estimateTextTokens(CONTEXT_SUMMARY_PROMPT) * 2 - estimateTextTokens(previousSummaryText)
+    );
+    const conversationText = buildConversationTextForContextSummary(coveredNodes, transcriptBudget);
+    const parts = [CONTEXT_SUMMARY_PROMPT];
+    if (previousSummaryText) parts.push(previousSummaryText);
+    parts.push(`需要并入摘要的对话：\n${conversationText}`);
+    const configForSummary = { ...apiConfig, useStreaming: false };
+    // 摘要请求不走工具调用循环，去掉需要客户端执行的函数工具
+    const requestBody = stripClientFunctionTools(await apiManager.buildRequest({
+      messages: [
+        { role: 'system', content: CONTEXT_SUMMARY_PROMPT },
+        { role: 'user', content: parts.join('\n\n') }
+      ],
+      config: configForSummary
+    }));
+    const startedAtMs = Date.now();
+    const response = await apiManager.sendRequest({ requestBody, config: configForSummary, signal });
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(errorText || `API错误 (${response.status})`);
+    }
+    const { answer, usage } = await extractPlainAnswerAndUsageFromResponse(response, configForSummary);
+    // 摘要调用同样按所用配置的价格表记账，否则不会计入预算
+    const apiCost = computeApiUsageCost(usage, apiConfig);
+    if (apiCost) {
+      services.spendBudgetManager?.recordMessageCost?.(`context_summary_${startedAtMs}@${startedAtMs}`, apiCost, startedAtMs);
+    }
+    return extractThinkingFromText(answer || '').cleanText.trim();
+  }
+
+  /**
+   * 发送前检查上下文是否接近所用 API 的上下文窗口，超过阈值时自动压缩（仅主对话的新消息）：
+   * 先省略较早消息的工具输出，仍不够且设置为“摘要”时再把较早的消息摘要成一条压缩记录。
+   * 压缩记录挂在边界消息的 contextCompaction 上，由 composeMessages 在发送时应用，可随时撤销。
+   *
+   * @param {{attempt: Object, apiConfig: Object, composeArgs: Object, loadingMessage: HTMLElement|null}} options
+   * @returns {Promise<boolean>} 是否新增了压缩记录
+   */
+  async function maybeCompactConversationContext({ attempt, apiConfig, composeArgs, loadingMessage }) {
+    const contextWindowTokens = normalizeContextWindowTokens(apiConfig?.contextWindowTokens);
+    const mode = settingsManager?.getSetting?.('contextCompactionMode') || 'off';
+    if (!contextWindowTokens || (mode !== 'drop_tools' && mode !== 'summarize')) return false;
+
+    const chain = composeArgs.conversationChain;
+    const budgetTokens = Math.floor(contextWindowTokens
+      * normalizeContextCompactionThreshold(settingsManager.getSetting('contextCompactionThreshold')));
+    const tokensBefore = estimateMessagesTokens(composeMessages(composeArgs));
+    const plan = planContextCompaction(chain, { currentTokens: tokensBefore, budgetTokens, mode });
+    if (!plan) return false;
+    const boundaryNode = chain.find(node => node?.id === plan.boundaryId);
+    if (!boundaryNode) return false;
+
+    const record = {
+      id: createContextCompactionId(),
+      mode: plan.mode,
+      createdAt: Date.now(),
+      estimatedTokensBefore: tokensBefore
+    };
+    if (plan.mode === 'summary') {
+      updateLoadingStatus(loadingMessage, '正在压缩较早的对话...', { stage: 'compact_context' });
+      let summary = '';
+      try {
+        summary = await requestContextSummary({
+          apiConfig,
+          previousSummary: plan.previousSummary,
+          coveredNodes: plan.coveredNodes,
+          budgetTokens,
+          signal: attempt?.controller?.signal || null
+        });
+      } catch (error) {
+        if (error?.name === 'AbortError') throw error;
+        console.warn('压缩上下文失败，按原上下文发送:', error);
+      }
+      if (!summary) {
+        showNotification?.({ message: '上下文摘要生成失败，本次按原上下文发送', type: 'warning' });
+        return false;
+      }
+      Object.assign(record, {
+        summary,
+        coveredMessageCount: plan.coveredNodes.length,
+        apiDisplayName: apiConfig?.displayName || '',
+        apiModelId: apiConfig?.modelName || ''
+      });
+    }
+    boundaryNode.contextCompaction = record;
+    record.estimatedTokensAfter = estimateMessagesTokens(composeMessages(composeArgs));
+
+    if (isAttemptMainConversationActive(attempt)) {
+      services.contextCompactionManager?.refreshMessage?.(boundaryNode.id);
+    }
+    showNotification?.({
+      message: plan.mode === 'summary'
+        ? `上下文接近窗口上限，已将较早的 ${record.coveredMessageCount} 条消息压缩为摘要`
+        : '上下文接近窗口上限，较早消息的工具输出将不再发送',
+      type: 'info'
+    });
+    return true;
+  }
+
   /**
    * 解析当前激活的“划词线程上下文”。
    *
@@ -2642,7 +2839,7 @@ export function createMessageSender(appContext) {
     const imageCount = images.length;
     const hasScreenshot = !!(
       payload.inputHasScreenshotSnapshot
-      || images.some((img) => (img.alt || '').trim() === 'page-screenshot.png')
+      || images.some((img) => (img.alt || '').trim().startsWith('page-screenshot'))
     );
     const regenerateMode = normalizedTask.kind === 'regenerate_assistant_turn';
 
@@ -3501,6 +3698,7 @@ export function createMessageSender(appContext) {
     }
 
     currentConversationId = nextConversationId || null;
+    services.customToolsManager?.handleConversationChange?.(previousConversationId, nextConversationId);
     clearBackgroundCompletedConversationMarker(nextConversationId);
     refreshCurrentConversationQueuedSendPreview();
 
@@ -4120,6 +4318,11 @@ export function createMessageSender(appContext) {
     if (!normalizedId) return;
     attemptState.aiMessageId = normalizedId;
     attemptState.aiMessageNode = explicitNode || resolveAttemptAiNode(attemptState, normalizedId) || null;
+    // 竞技场发送：流式主回答与并行回答同组，且默认作为保留的回答（currentNode 指向它）
+    if (attemptState.arenaGroupId && attemptState.aiMessageNode && !attemptState.aiMessageNode.arenaGroupId) {
+      attemptState.aiMessageNode.arenaGroupId = attemptState.arenaGroupId;
+      attemptState.aiMessageNode.arenaKept = true;
+    }
     updateAttemptRuntimeState(attemptState, (draft) => {
       draft.activeTurn.boundAssistantMessageId = normalizedId;
     });
@@ -4606,7 +4809,7 @@ export function createMessageSender(appContext) {
         case 'http_400_bad_request_not_blacklisted': {
           updateLoadingStatus(
             loadingMessage,
-            '请求参数错误 (HTTP 400)，本次不会拉黑 API Key。',
+            '请求参数错误 (HTTP 400)，本次不会停用 API Key。',
             { stage, apiBase: evt.apiBase || '', modelName: evt.modelName || '', httpStatus: 400 }
           );
           break;
@@ -4628,6 +4831,18 @@ export function createMessageSender(appContext) {
           );
           break;
         }
+        case 'http_5xx_key_cooldown': {
+          const httpStatus = Number(evt.status);
+          const statusText = Number.isFinite(httpStatus) ? httpStatus : '5xx';
+          updateLoadingStatus(
+            loadingMessage,
+            evt.willRetry
+              ? `服务器错误 (HTTP ${statusText})，该 API Key 暂时冷却，正在切换 Key 重试...`
+              : `服务器错误 (HTTP ${statusText})...`,
+            { stage, apiBase: evt.apiBase || '', modelName: evt.modelName || '', httpStatus }
+          );
+          break;
+        }
         default:
           // 其他阶段先不做 UI 文案映射，避免过度刷屏；需要时再逐步补充。
           break;
@@ -4797,6 +5012,10 @@ export function createMessageSender(appContext) {
         imageContainer.innerHTML = '';
         appContext.services.uiManager.resetInputHeight();
       }
+      appContext.services.tabContextManager?.clear?.();
+      appContext.services.elementAttachmentManager?.clear?.();
+      appContext.services.localRepoPackManager?.clear?.();
+      appContext.services.fileAttachmentManager?.clear?.();
       try { appContext.services.uiManager?.updateSendButtonState?.(); } catch (_) {}
     } catch (error) {
       console.error('清空消息输入框和图片容器失败:', error);
@@ -5062,6 +5281,20 @@ export function createMessageSender(appContext) {
       },
       requiresArgs: false
     },
+    {
+      name: 'pack',
+      aliases: ['repo'],
+      usage: '/pack [包含的 glob…] [!排除的 glob…]',
+      description: '打包本地文件夹作为附件（不经第三方服务）',
+      handler: async ({ args }) => {
+        const patterns = args.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+        const includePatterns = patterns.filter(item => !item.startsWith('!'));
+        const ignorePatterns = patterns.filter(item => item.startsWith('!')).map(item => item.slice(1)).filter(Boolean);
+        const picked = await services.localRepoPackManager?.pickDirectory?.({ includePatterns, ignorePatterns });
+        return picked ? { ok: true } : { ok: false, keepInput: true };
+      },
+      requiresArgs: false
+    },
     {
       name: 'history',
       aliases: ['hist'],
@@ -5077,17 +5310,59 @@ export function createMessageSender(appContext) {
     }
   ];
 
+  /**
+   * 注册一组外部命令（如提示词库模板），追加在内置命令之后。
+   * 同一 source 再次注册时整体替换旧的一组；与其它命令的名称或别名冲突的条目不注册。
+   *
+   * @param {string} source - 命令来源标识
+   * @param {Array<{name: string, usage?: string, description?: string, aliases?: string[], requiresArgs?: boolean, handler: Function}>} commands
+   * @returns {string[]} 因重名未注册的命令名
+   */
+  function registerSlashCommands(source, commands) {
+    const sourceKey = String(source || '').trim();
+    if (!sourceKey) return [];
+    for (let i = slashCommandRegistry.length - 1; i >= 0; i--) {
+      if (slashCommandRegistry[i].source === sourceKey) slashCommandRegistry.splice(i, 1);
+    }
+    const takenNames = new Set();
+    slashCommandRegistry.forEach((item) => {
+      takenNames.add(item.name);
+      (item.aliases || []).forEach(alias => takenNames.add(alias));
+    });
+    const skipped = [];
+    (Array.isArray(commands) ? commands : []).forEach((command) => {
+      const name = String(command?.name || '').toLowerCase();
+      if (!name || typeof command.handler !== 'function') return;
+      if (takenNames.has(name)) {
+        skipped.push(name);
+        return;
+      }
+      takenNames.add(name);
+      slashCommandRegistry.push({
+        usage: `/${name}`,
+        description: '',
+        aliases: [],
+        requiresArgs: false,
+        ...command,
+        name,
+        source: sourceKey
+      });
+    });
+    return skipped;
+  }
+
   /**
    * 对外暴露的“命令元信息列表”，用于 UI 提示展示。
    * 注意：这里不暴露 handler，避免 UI 误调用业务逻辑。
-   * @returns {Array<{name: string, usage: string, description: string, aliases: string[]}>}
+   * @returns {Array<{name: string, usage: string, description: string, aliases: string[], source: string}>}
    */
   function getSlashCommandList() {
     return slashCommandRegistry.map((item) => ({
       name: item.name,
       usage: item.usage,
       description: item.description,
-      aliases: Array.isArray(item.aliases) ? item.aliases.slice() : []
+      aliases: Array.isArray(item.aliases) ? item.aliases.slice() : [],
+      source: item.source || ''
     }));
   }
 
@@ -5255,6 +5530,11 @@ export function createMessageSender(appContext) {
       return { handled: true, keepInput: true };
     }
 
+    // 命令返回了要发送的正文（如提示词模板）：交回正常发送流程
+    if (result && typeof result.overrideText === 'string') {
+      return { handled: false, overrideText: result.overrideText };
+    }
+
     return { handled: true };
   }
 
@@ -5428,7 +5708,18 @@ export function createMessageSender(appContext) {
     delete timelineRoot.dataset.autoCollapsedToolKeys;
   }
 
-  function applyResponsesActivityTimelineToNode(node, timeline) {
+  /**
+   * 把工具活动时间线写回消息节点。
+   *
+   * Responses 的推理摘要已经并入时间线，因此默认会清空 thoughtsRaw；
+   * Anthropic 的 thinking 独立于工具活动存在，需要传入 preserveThoughts 保留思考区内容。
+   *
+   * @param {Object|null} node
+   * @param {Array<Object>|null|undefined} timeline
+   * @param {{preserveThoughts?: boolean}} [options]
+   * @returns {boolean}
+   */
+  function applyResponsesActivityTimelineToNode(node, timeline, options = {}) {
     if (!node || typeof node !== 'object') return false;
     const normalizedTimeline = mergeResponsesActivityTimeline([], timeline);
     if (normalizedTimeline.length > 0) {
@@ -5447,7 +5738,9 @@ export function createMessageSender(appContext) {
     }
     delete node.response_reasoning_summary;
     delete node.response_tool_calls;
-    node.thoughtsRaw = null;
+    if (options.preserveThoughts !== true) {
+      node.thoughtsRaw = null;
+    }
     return true;
   }
 
@@ -5494,12 +5787,12 @@ export function createMessageSender(appContext) {
    * - 三者虽然来自同一条 Responses turn，但职责不同，拆开更利于未来继续对齐 Codex 的 queue / steer。
    *
    * @param {Object|null} node
-   * @param {{timeline?:Array<Object>|null, phase?:string|null, inputItems?:Array<Object>|null}} meta
+   * @param {{timeline?:Array<Object>|null, phase?:string|null, inputItems?:Array<Object>|null, preserveThoughts?:boolean}} meta
    * @returns {boolean}
    */
   function applyResponsesMetadataToNode(node, meta = {}) {
     if (!node || typeof node !== 'object') return false;
-    applyResponsesActivityTimelineToNode(node, meta.timeline);
+    applyResponsesActivityTimelineToNode(node, meta.timeline, { preserveThoughts: meta.preserveThoughts === true });
     applyResponsesAssistantPhaseToNode(node, meta.phase);
     applyResponsesInputItemsToNode(node, meta.inputItems);
     return true;
@@ -5513,7 +5806,7 @@ export function createMessageSender(appContext) {
    * - 当我们开始把新的生成结果写回到旧消息时，旧签名将不再匹配；
    * - 若本次响应未返回新签名，就必须保持为空，否则后续把历史回传给上游时会触发
    *   “signature required / invalid signature” 等校验错误；
-   * - 这里同时清理 OpenAI 兼容字段（reasoning_content/tool_calls）以及 Responses 元信息
+   * - 这里同时清理 OpenAI 兼容字段（reasoning_content/tool_calls）、Anthropic 的 anthropic_thinking_blocks 以及 Responses 元信息
    *   （response_activity_timeline/response_reasoning_summary/response_tool_calls/response_input_items），
    *   避免旧内容残留导致语义错配。
    *
@@ -5536,6 +5829,7 @@ export function createMessageSender(appContext) {
       node.thoughtSignatureSource = null;
       node.reasoning_content = null;
       node.tool_calls = null;
+      delete node.anthropic_thinking_blocks;
       delete node.phase;
       delete node.response_activity_timeline;
       delete node.response_activity_duration_ms;
@@ -5544,6 +5838,7 @@ export function createMessageSender(appContext) {
       delete node.response_input_items;
       // 原地替换时清空旧的 token 用量，避免本次请求未回传 usage 时显示陈旧数据。
       node.apiUsage = null;
+      node.apiCost = null;
       const safeMessageId = escapeMessageIdForSelector(id);
       const selector = safeMessageId ? `.message[data-message-id="${safeMessageId}"]` : '';
       const element = selector
@@ -5769,20 +6064,58 @@ export function createMessageSender(appContext) {
     }
   }
 
+  // 当前绑定页面命中的 URL 规则汇总（无页面 URL 时为 null）
+  function getCurrentUrlRuleSettings() {
+    return promptSettingsManager?.getUrlRuleSettings?.(state?.pageInfo?.url || '') || null;
+  }
+
+  /**
+   * 按 URL 规则得到本次发送的 API 配置。
+   * - 规则指定的 API 只在没有显式指定/会话固定 API（explicitConfig 为空）时使用；
+   * - 规则的温度与“启用工具”叠加在最终使用的配置副本上，不修改原配置。
+   * @param {Object|null} explicitConfig - api 参数解析结果或会话固定的配置
+   * @returns {Object|null} 无需改动时返回 null，由调用方沿用原有回退链
+   */
+  function resolveUrlRuleApiConfigForSend(explicitConfig) {
+    const settings = getCurrentUrlRuleSettings();
+    if (!settings) return null;
+    let config = explicitConfig || null;
+    if (!config && settings.apiConfig) {
+      config = resolveApiParamForSend(settings.apiConfig);
+    }
+    const hasOverlay = settings.temperature !== null || settings.enableTools;
+    if (!hasOverlay) return explicitConfig ? null : config;
+    config = config || apiManager.getSelectedConfig();
+    if (!config) return null;
+    return {
+      ...config,
+      ...(settings.temperature !== null ? { temperature: settings.temperature } : {}),
+      ...(settings.enableTools ? { clientToolsEnabled: true } : {})
+    };
+  }
+
   /**
    * 获取网页内容
    * @private
+   * @param {{tabId?: number|null}} [options] - 指定 tabId 时读取该标签页（不覆盖侧栏绑定页的 pageInfo）
    * @returns {Promise<Object|null>} 页面内容对象，包含标题、URL和内容文本
    */
-  async function getPageContent() {
+  async function getPageContent({ tabId = null } = {}) {
     try {
       console.log('发送获取网页内容请求');
-      const targetTabId = await utils?.resolveBoundSidebarTargetTabId?.();
+      const boundTabId = await utils?.resolveBoundSidebarTargetTabId?.();
+      const normalizedBoundTabId = Number.isFinite(Number(boundTabId)) ? Number(boundTabId) : null;
+      const targetTabId = Number.isFinite(tabId) ? tabId : normalizedBoundTabId;
+      // URL 规则的提取方式只作用于侧栏绑定的页面
+      const extractionMode = targetTabId === normalizedBoundTabId
+        ? (getCurrentUrlRuleSettings()?.extractionMode || '')
+        : '';
       const response = await chrome.runtime.sendMessage({
         type: 'GET_PAGE_CONTENT_FROM_SIDEBAR',
-        tabId: Number.isFinite(Number(targetTabId)) ? Number(targetTabId) : null
+        tabId: targetTabId,
+        extractionMode
       });
-      if (response) {
+      if (response && targetTabId === normalizedBoundTabId) {
         state.pageInfo = response;
       }
       return response;
@@ -5867,6 +6200,23 @@ export function createMessageSender(appContext) {
     return base ? `${base}\n\n${text}` : text;
   }
 
+  /**
+   * 为非 Responses 协议注入一次性系统上下文：插在开头连续的 system 消息之后，不写入历史。
+   *
+   * @param {Array<Object>} messages
+   * @param {string} content
+   * @returns {Array<Object>}
+   */
+  function insertEphemeralSystemMessage(messages, content) {
+    const list = Array.isArray(messages) ? messages.slice() : [];
+    const text = (typeof content === 'string') ? content.trim() : '';
+    if (!text) return list;
+    let insertIndex = 0;
+    while (insertIndex < list.length && list[insertIndex]?.role === 'system') insertIndex += 1;
+    list.splice(insertIndex, 0, { role: 'system', content: text });
+    return list;
+  }
+
   function buildCurrentPageMetaSnapshot() {
     const url = typeof state?.pageInfo?.url === 'string' ? state.pageInfo.url.trim() : '';
     const title = typeof state?.pageInfo?.title === 'string' ? state.pageInfo.title.trim() : '';
@@ -6102,10 +6452,11 @@ export function createMessageSender(appContext) {
       type: 'function',
       name: RESPONSES_PAGE_CONTENT_TOOL_NAME,
       description: [
-        '快速读取当前侧栏绑定网页标签页的预提取文本内容。',
-        '它会返回页面正文与可访问 iframe 文本的预包装读取结果，并对多行做 trim 与空白折叠，更适合一次快速通读页面内容。',
+        '快速读取当前侧栏绑定网页标签页的预提取文本内容；传入 tab_id 时改为读取用户已附加到对话中的其它标签页（tab_id 取自消息里“标签页 N”上下文块标注的 tab_id）。',
+        '它会返回页面正文与可访问 iframe 文本的预包装读取结果，更适合一次快速通读页面内容。',
+        '当 content_format 为 markdown 时，内容为识别出的页面正文（保留标题、列表、表格、代码块与链接 URL），预览结果附带按标题切分的 sections 大纲；为 text 时则是折叠空白后的整页纯文本。',
         '这不是 DOM 结构化提取工具；若需要按元素、选择器、属性进行结构化定位与提取，请优先使用 js_runtime_execute。',
-        '默认返回中间截断预览；也可通过 skip_chars 与 max_chars 读取指定连续片段。'
+        '默认返回中间截断预览；也可通过 section 读取某个章节，或通过 skip_chars 与 max_chars 读取指定连续片段（指定 section 时偏移相对于该章节）。'
       ].join(' '),
       strict: true,
       parameters: {
@@ -6119,30 +6470,137 @@ export function createMessageSender(appContext) {
           max_chars: {
             type: ['integer', 'null'],
             description: '可选。读取的连续字符长度。若与 skip_chars 一起提供，则返回从 skip_chars 开始的连续片段；若两者都省略，则返回默认中间截断预览。'
+          },
+          section: {
+            type: ['integer', 'null'],
+            description: '可选。要读取的章节编号（取自预览结果 sections 中的 section 字段，仅 Markdown 内容可用）。'
+          },
+          tab_id: {
+            type: ['integer', 'null'],
+            description: '可选。要读取的标签页 id，只能是用户已附加过的标签页；省略时读取侧栏绑定的当前页面。'
+          }
+        },
+        required: ['skip_chars', 'max_chars', 'section', 'tab_id']
+      }
+    };
+  }
+
+  /**
+   * 构造 pdf_read 函数工具定义：按页码区间或书签章节读取当前 PDF，并要求模型用 [p. N] 标注引用页码。
+   * 只在侧栏绑定页面是 PDF 时暴露（见 getResponsesCustomFunctionTools）。
+   *
+   * @returns {Object}
+   */
+  function buildResponsesPdfReadFunctionToolDefinition() {
+    return {
+      type: 'function',
+      name: RESPONSES_PDF_READ_TOOL_NAME,
+      description: [
+        '按页读取当前侧栏绑定的 PDF 文档。',
+        '不带参数调用时返回概览：总页数、书签章节列表（chapter 编号与页码区间）以及从第 1 页开始的正文；',
+        '之后可用 chapter 读取某个章节，或用 start_page / end_page 读取页码区间（页码从 1 开始）。',
+        '返回正文中每页以 [p. N] 开头；回答中引用 PDF 内容时，请在相应句子后用 [p. N]（跨页用 [pp. N-M]）标注出处页码。',
+        '单次返回有字符上限，has_more 为 true 时用 next_start_page 继续读取。'
+      ].join(' '),
+      strict: true,
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          start_page: {
+            type: ['integer', 'null'],
+            description: '可选。起始页码（从 1 开始）。与 chapter 同时提供时表示在该章节内从此页继续读取。'
+          },
+          end_page: {
+            type: ['integer', 'null'],
+            description: '可选。结束页码（含）。省略时读到文档末尾或字符上限为止。'
+          },
+          chapter: {
+            type: ['integer', 'null'],
+            description: '可选。要读取的章节编号（取自概览结果 chapters 中的 chapter 字段）。'
+          },
+          max_chars: {
+            type: ['integer', 'null'],
+            description: '可选。本次最多返回的字符数，默认 12000，上限 20000。'
           }
         },
-        required: ['skip_chars', 'max_chars']
+        required: ['start_page', 'end_page', 'chapter', 'max_chars']
       }
     };
   }
 
   /**
-   * 返回当前这次发送应该暴露给 Responses API 的自定义函数工具列表。
+   * 判断当前 API 配置使用哪种客户端函数工具协议。
+   *
+   * - Responses：始终开放（沿用原有行为）；
+   * - Chat Completions / Gemini：需在 API 卡片上显式开启“客户端工具调用”；
+   * - Anthropic：暂不支持，返回空串。
+   *
+   * @param {Object|null|undefined} usedApiConfig
+   * @returns {'responses'|'chat_completions'|'gemini'|''}
+   */
+  function resolveClientFunctionToolProtocol(usedApiConfig) {
+    if (!usedApiConfig) return '';
+    if (isOpenAIResponsesApiConfig(usedApiConfig)) return 'responses';
+    if (isAnthropicApiConfig(usedApiConfig)) return '';
+    if (usedApiConfig.clientToolsEnabled !== true) return '';
+    return isGeminiApiConfig(usedApiConfig)
+      ? CLIENT_TOOL_PROTOCOL_GEMINI
+      : CLIENT_TOOL_PROTOCOL_CHAT_COMPLETIONS;
+  }
+
+  /**
+   * 解析用户自定义工具应按哪个对话的开关生效：优先取 attempt 绑定的对话，其次是当前对话。
+   * 返回空串表示尚未保存的新对话（由 customToolsManager 使用草稿开关）。
+   *
+   * @param {Object|null|undefined} attemptState
+   * @returns {string}
+   */
+  function resolveCustomToolConversationId(attemptState) {
+    return normalizeConversationId(attemptState?.boundConversationId)
+      || normalizeConversationId(currentConversationId)
+      || normalizeConversationId(chatHistoryUI?.getCurrentConversationId?.())
+      || '';
+  }
+
+  /**
+   * 返回当前这次发送应该暴露给模型的自定义函数工具列表。
    *
-   * 当前开放两个侧栏绑定网页工具：
-   * - 仅在 Responses API 场景下注入；
-   * - 独立页模式下不开放，因为没有稳定的目标网页标签页。
+   * 当前开放两个侧栏绑定网页工具（绑定页是 PDF 时另加 pdf_read），外加用户在“自定义工具”中启用的函数与已连接 MCP 服务器的工具：
+   * - Responses API 默认注入，Chat Completions / Gemini 需按配置开启；
+   * - 独立页模式下不开放网页工具，因为没有稳定的目标网页标签页；MCP 工具不依赖网页，照常开放；
+   * - 用户自定义工具依赖 JS Runtime 执行，入口不可用时不暴露；
+   * - 函数名重复时靠前的定义生效。
+   *
+   * 返回值统一为 Responses function tool 结构，其它协议在注入请求体时再转换。
    *
    * @param {Object|null|undefined} usedApiConfig
+   * @param {string} [conversationId] - 决定自定义工具按哪个对话的开关生效
    * @returns {Array<Object>}
    */
-  function getResponsesCustomFunctionTools(usedApiConfig) {
-    if (!isOpenAIResponsesApiConfig(usedApiConfig)) return [];
-    if (state?.isStandalone) return [];
-    const tools = [buildResponsesPageContentFunctionToolDefinition()];
-    if (typeof utils?.executeJsRuntime === 'function') {
-      tools.unshift(buildResponsesJsRuntimeFunctionToolDefinition());
+  function getResponsesCustomFunctionTools(usedApiConfig, conversationId = '') {
+    if (!resolveClientFunctionToolProtocol(usedApiConfig)) return [];
+    const tools = [];
+    if (!state?.isStandalone) {
+      tools.push(buildResponsesPageContentFunctionToolDefinition());
+      if (isPdfPageInfo(state?.pageInfo)) {
+        tools.push(buildResponsesPdfReadFunctionToolDefinition());
+      }
+      if (typeof utils?.executeJsRuntime === 'function') {
+        tools.unshift(buildResponsesJsRuntimeFunctionToolDefinition());
+        const userTools = services.customToolsManager?.getActiveTools?.(conversationId) || [];
+        userTools.forEach((tool) => {
+          const definition = buildCustomFunctionToolDefinition(tool);
+          if (definition) tools.push(definition);
+        });
+      }
     }
+    const seenNames = new Set(tools.map(tool => tool.name));
+    (services.mcpManager?.getFunctionTools?.() || []).forEach((definition) => {
+      if (!definition?.name || seenNames.has(definition.name)) return;
+      seenNames.add(definition.name);
+      tools.push(definition);
+    });
     return tools;
   }
 
@@ -6192,19 +6650,38 @@ export function createMessageSender(appContext) {
   }
 
   /**
-   * 在真正发请求前，把当前客户端支持的自定义 function tools 注入 Responses 请求体。
+   * 在真正发请求前，把当前客户端支持的自定义 function tools 注入请求体。
+   *
+   * 按协议分别写入：
+   * - Responses：`tools[]`（原生 function tool 结构）；
+   * - Chat Completions：`tools[].function`；
+   * - Gemini：`tools[].functionDeclarations`（生图请求不注入，图片模态不支持函数调用）。
    *
    * @param {Object} requestBody
    * @param {Object|null|undefined} usedApiConfig
+   * @param {string} [conversationId]
    * @returns {Object}
    */
-  function prepareResponsesRequestBodyForCustomTools(requestBody, usedApiConfig) {
-    if (!isOpenAIResponsesApiConfig(usedApiConfig)) return requestBody;
-    const customTools = getResponsesCustomFunctionTools(usedApiConfig);
+  function prepareResponsesRequestBodyForCustomTools(requestBody, usedApiConfig, conversationId = '') {
+    const protocol = resolveClientFunctionToolProtocol(usedApiConfig);
+    if (!protocol) return requestBody;
+    if (protocol === CLIENT_TOOL_PROTOCOL_GEMINI) {
+      const modalities = requestBody?.generationConfig?.responseModalities;
+      if (Array.isArray(modalities) && modalities.some(item => String(item).toUpperCase() === 'IMAGE')) {
+        return requestBody;
+      }
+    }
+    const customTools = getResponsesCustomFunctionTools(usedApiConfig, conversationId);
     if (!Array.isArray(customTools) || customTools.length <= 0) return requestBody;
 
     const nextBody = cloneDataSafely(requestBody) || {};
-    nextBody.tools = mergeResponsesRequestTools(nextBody.tools, customTools);
+    if (protocol === CLIENT_TOOL_PROTOCOL_CHAT_COMPLETIONS) {
+      nextBody.tools = mergeChatCompletionsRequestTools(nextBody.tools, customTools);
+    } else if (protocol === CLIENT_TOOL_PROTOCOL_GEMINI) {
+      nextBody.tools = mergeGeminiRequestTools(nextBody.tools, customTools);
+    } else {
+      nextBody.tools = mergeResponsesRequestTools(nextBody.tools, customTools);
+    }
     return nextBody;
   }
 
@@ -6235,6 +6712,38 @@ export function createMessageSender(appContext) {
     });
   }
 
+  /**
+   * Chat Completions / Gemini 客户端工具循环：把本 hop 的工具调用并入跨 hop 累积的活动时间线。
+   *
+   * - 始终以前几个 hop 的时间线为底重建，流式分片反复调用也不会重复累加；
+   * - commentary 为伴随工具调用输出的正文，仅当本 hop 确有工具调用时才作为说明条目排在其前面；
+   * - 返回的 toolCalls 仅包含本 hop 新出现、需要本地执行的调用。
+   *
+   * @param {Array<Object>} previousTimeline
+   * @param {{protocol:string, toolCalls?:Array<Object>|null, modelParts?:Array<Object>|null, idPrefix:string, commentary?:string}} options
+   * @returns {{timeline:Array<Object>, toolCalls:Array<Object>}}
+   */
+  function buildClientToolLoopTimeline(previousTimeline, options = {}) {
+    const records = options.protocol === CLIENT_TOOL_PROTOCOL_GEMINI
+      ? buildGeminiToolCallRecords(options.modelParts, { idPrefix: options.idPrefix })
+      : buildChatCompletionsToolCallRecords(options.toolCalls, { idPrefix: options.idPrefix });
+    const entries = records
+      .map(record => createResponsesToolTimelineEntry(record))
+      .filter(Boolean);
+    if (options.commentary && entries.length > 0) {
+      const commentaryEntry = createResponsesCommentaryTimelineEntry(options.commentary, {
+        id: `${options.idPrefix}_commentary`,
+        status: 'completed'
+      });
+      if (commentaryEntry) entries.unshift(commentaryEntry);
+    }
+    const timeline = mergeResponsesActivityTimeline(previousTimeline, entries);
+    return {
+      timeline,
+      toolCalls: getNewResponsesToolCalls(previousTimeline, timeline) || []
+    };
+  }
+
   /**
    * 将本地工具执行异常压成稳定 JSON 结构，便于作为 function_call_output 返回给模型。
    *
@@ -6503,9 +7012,39 @@ export function createMessageSender(appContext) {
    * @returns {Promise<Object>}
    */
   async function executeResponsesPageContentFunction(rawArgs) {
+    try {
+      const tabId = resolvePageContentToolTabId(rawArgs);
+      if (tabId !== null && !(await isPageContentTabReadable(tabId))) {
+        return {
+          ok: false,
+          tab_id: tabId,
+          error: {
+            message: `标签页 ${tabId} 未被用户附加到对话中，不能读取。请只使用消息里标注过的 tab_id，或省略 tab_id 读取当前页面。`,
+            name: 'TabNotAttachedError'
+          }
+        };
+      }
+      const pageContent = await getPageContent({ tabId });
+      const result = buildPageContentReadResult(pageContent, rawArgs);
+      return tabId === null ? result : { tab_id: tabId, ...result };
+    } catch (error) {
+      return {
+        ok: false,
+        error: normalizeResponsesCustomToolError(error)
+      };
+    }
+  }
+
+  /**
+   * 执行 pdf_read：读取侧栏绑定页的抽取结果（content script 会缓存同一 PDF 的解析结果），再按页码/章节切片。
+   *
+   * @param {any} rawArgs
+   * @returns {Promise<Object>}
+   */
+  async function executeResponsesPdfReadFunction(rawArgs) {
     try {
       const pageContent = await getPageContent();
-      return buildPageContentReadResult(pageContent, rawArgs);
+      return buildPdfReadResult(pageContent, rawArgs);
     } catch (error) {
       return {
         ok: false,
@@ -6514,17 +7053,155 @@ export function createMessageSender(appContext) {
     }
   }
 
+  /**
+   * 执行用户自定义工具：把参数与函数体拼成一段代码，交给 JS Runtime 在绑定网页中执行。
+   * 结果沿用 js_runtime_execute 的压缩与错误结构。
+   *
+   * @param {Object} tool - customToolsManager 返回的工具条目
+   * @param {any} args
+   * @returns {Promise<Object>}
+   */
+  async function executeResponsesUserDefinedFunction(tool, args) {
+    return executeResponsesJsRuntimeFunction({
+      code: buildCustomFunctionToolRuntimeCode(tool, args),
+      frame_ids: null
+    });
+  }
+
+  /**
+   * 解析 page_content_read 的 tab_id 参数；缺省或非法时返回 null（读取侧栏绑定页）。
+   * @param {any} rawArgs
+   * @returns {number|null}
+   */
+  function resolvePageContentToolTabId(rawArgs) {
+    const raw = (rawArgs && typeof rawArgs === 'object') ? rawArgs.tab_id : null;
+    if (raw === null || raw === undefined || raw === '') return null;
+    const tabId = Number(raw);
+    return Number.isInteger(tabId) && tabId >= 0 ? tabId : null;
+  }
+
+  /**
+   * 按 tab_id 读取只允许两类标签页：侧栏绑定的当前页，以及用户在本次会话中附加过的标签页。
+   * @param {number} tabId
+   * @returns {Promise<boolean>}
+   */
+  async function isPageContentTabReadable(tabId) {
+    if (services.tabContextManager?.isTabGranted?.(tabId)) return true;
+    try {
+      const boundTabId = await utils?.resolveBoundSidebarTargetTabId?.();
+      return Number(boundTabId) === tabId;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * 读取工具将要作用的页面 URL：优先查询侧栏绑定标签页的实时地址，失败时退回最近一次抓取的 pageInfo。
+   * 传入 tabIdOverride（page_content_read 的 tab_id）时改为查询该标签页的地址。
+   * @param {number|null} [tabIdOverride]
+   * @returns {Promise<string>}
+   */
+  async function resolveClientToolPageUrl(tabIdOverride = null) {
+    if (Number.isFinite(tabIdOverride)) {
+      try {
+        const tab = await chrome.tabs.get(tabIdOverride);
+        if (typeof tab?.url === 'string' && tab.url) return tab.url;
+      } catch (_) {}
+      return '';
+    }
+    if (!state?.isStandalone) {
+      try {
+        const targetTabId = await utils?.resolveBoundSidebarTargetTabId?.();
+        if (Number.isFinite(Number(targetTabId))) {
+          const tab = await chrome.tabs.get(Number(targetTabId));
+          if (typeof tab?.url === 'string' && tab.url) return tab.url;
+        }
+      } catch (_) {}
+    }
+    return (typeof state?.pageInfo?.url === 'string') ? state.pageInfo.url.trim() : '';
+  }
+
+  function buildClientToolPolicyError(message, name) {
+    return {
+      ok: false,
+      value: null,
+      items: [],
+      error: { message, name, stack: '' }
+    };
+  }
+
+  /**
+   * 按执行策略决定本次工具调用能否执行。
+   *
+   * - allow：返回 null，调用方继续执行；
+   * - deny：返回拒绝结果，不询问；
+   * - ask：在助手消息里插入确认卡片（JS 类工具展示代码，其它工具展示参数），用户拒绝时返回拒绝结果。
+   *
+   * @param {Object} options
+   * @param {string} options.functionName
+   * @param {Object} options.parsedArgs
+   * @param {Object|null} options.userDefinedTool
+   * @param {Object|null} options.attemptState
+   * @param {AbortSignal|null} options.signal
+   * @returns {Promise<Object|null>} 需要拦截时返回工具结果对象
+   */
+  async function enforceClientToolExecutionPolicy({ functionName, parsedArgs, userDefinedTool, attemptState, signal }) {
+    const toolPolicyManager = services.toolPolicyManager;
+    if (typeof toolPolicyManager?.resolvePolicy !== 'function') return null;
+
+    const pageUrl = await resolveClientToolPageUrl(
+      functionName === RESPONSES_PAGE_CONTENT_TOOL_NAME ? resolvePageContentToolTabId(parsedArgs) : null
+    );
+    const decision = toolPolicyManager.resolvePolicy(functionName, pageUrl);
+    if (decision.policy === 'allow') return null;
+
+    const reason = decision.source === 'url_rule'
+      ? `${decision.rule?.error ? '无效的 ' : ''}URL 规则 ${decision.rule?.pattern || ''}`
+      : '工具策略';
+    if (decision.policy === 'deny') {
+      return buildClientToolPolicyError(
+        `执行策略禁止在当前页面运行 ${functionName}（${reason}），请改用其它方式完成任务。`,
+        'ToolExecutionDeniedError'
+      );
+    }
+
+    let code = '';
+    if (functionName === RESPONSES_JS_RUNTIME_TOOL_NAME) {
+      code = (typeof parsedArgs?.code === 'string') ? parsedArgs.code : '';
+    } else if (userDefinedTool) {
+      code = buildCustomFunctionToolRuntimeCode(userDefinedTool, parsedArgs);
+    }
+    const approved = await messageProcessor.requestToolExecutionApproval?.(attemptState?.aiMessageId || '', {
+      toolName: functionName,
+      code,
+      argumentsText: code ? '' : JSON.stringify(parsedArgs ?? {}, null, 2),
+      url: pageUrl,
+      reason,
+      signal
+    });
+    if (signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+    if (approved) return null;
+    return buildClientToolPolicyError(
+      `用户拒绝运行 ${functionName}。不要重复发起相同的调用，可以询问用户或换一种方式。`,
+      'ToolExecutionDeniedError'
+    );
+  }
+
   /**
    * 执行一个客户端负责落地的 Responses function_call。
    *
    * 当前策略：
-   * - 已知函数：返回真正执行结果；
+   * - 已知函数（内置工具、当前对话启用的自定义工具、已连接 MCP 服务器的工具）：返回真正执行结果；
    * - 未知函数：显式回一个错误对象，而不是静默吞掉，方便模型自我修正。
+   * 已知函数执行前先经过执行策略（enforceClientToolExecutionPolicy），被拒绝时把拒绝原因作为结果回传。
    *
    * @param {Object} toolCallRecord
+   * @param {{conversationId?:string, attemptState?:Object|null, signal?:AbortSignal|null}} [options]
    * @returns {Promise<{type:'function_call_output', call_id:string, output:Array<{type:'input_text', text:string}>}>}
    */
-  async function executeResponsesCustomFunctionToolCall(toolCallRecord) {
+  async function executeResponsesCustomFunctionToolCall(toolCallRecord, options = {}) {
     const callId = (typeof toolCallRecord?.call_id === 'string' && toolCallRecord.call_id.trim())
       ? toolCallRecord.call_id.trim()
       : ((typeof toolCallRecord?.id === 'string') ? toolCallRecord.id.trim() : '');
@@ -6555,10 +7232,36 @@ export function createMessageSender(appContext) {
     }
 
     let outputPayload = null;
-    if (functionName === RESPONSES_JS_RUNTIME_TOOL_NAME) {
+    const isBuiltInFunction = functionName === RESPONSES_JS_RUNTIME_TOOL_NAME
+      || functionName === RESPONSES_PAGE_CONTENT_TOOL_NAME
+      || functionName === RESPONSES_PDF_READ_TOOL_NAME;
+    const userDefinedTool = isBuiltInFunction
+      ? null
+      : (services.customToolsManager?.findActiveTool?.(options.conversationId || '', functionName) || null);
+    const isKnownFunction = isBuiltInFunction
+      || !!userDefinedTool
+      || !!services.mcpManager?.hasFunctionTool?.(functionName);
+    const policyBlockedPayload = isKnownFunction
+      ? await enforceClientToolExecutionPolicy({
+        functionName,
+        parsedArgs,
+        userDefinedTool,
+        attemptState: options.attemptState || null,
+        signal: options.signal || null
+      })
+      : null;
+    if (policyBlockedPayload) {
+      outputPayload = policyBlockedPayload;
+    } else if (functionName === RESPONSES_JS_RUNTIME_TOOL_NAME) {
       outputPayload = await executeResponsesJsRuntimeFunction(parsedArgs);
     } else if (functionName === RESPONSES_PAGE_CONTENT_TOOL_NAME) {
       outputPayload = await executeResponsesPageContentFunction(parsedArgs);
+    } else if (functionName === RESPONSES_PDF_READ_TOOL_NAME) {
+      outputPayload = await executeResponsesPdfReadFunction(parsedArgs);
+    } else if (userDefinedTool) {
+      outputPayload = await executeResponsesUserDefinedFunction(userDefinedTool, parsedArgs);
+    } else if (services.mcpManager?.hasFunctionTool?.(functionName)) {
+      outputPayload = await services.mcpManager.callFunctionTool(functionName, parsedArgs);
     } else {
       outputPayload = {
         ok: false,
@@ -6640,7 +7343,7 @@ export function createMessageSender(appContext) {
     return mergeResponsesActivityTimeline([], nextTimeline);
   }
 
-  function applyResponsesActivityTimelineToAttempt(attemptState, timeline) {
+  function applyResponsesActivityTimelineToAttempt(attemptState, timeline, options = {}) {
     if (!attemptState) return false;
     const normalizedTimeline = mergeResponsesActivityTimeline([], timeline);
     syncAttemptResponsesRuntimeState(attemptState, { timeline: normalizedTimeline });
@@ -6650,7 +7353,7 @@ export function createMessageSender(appContext) {
     if (!node) return false;
 
     attemptState.aiMessageNode = node;
-    applyResponsesActivityTimelineToNode(node, normalizedTimeline);
+    applyResponsesActivityTimelineToNode(node, normalizedTimeline, options);
 
     const wrapper = resolveMessageElementForSender(attemptState.aiMessageId || '');
     syncAttemptAssistantView(
@@ -6790,7 +7493,10 @@ export function createMessageSender(appContext) {
         );
       }
       const error = await response.text();
-      throw new Error(`API错误 (${response.status}): ${error}`);
+      const apiError = new Error(`API错误 (${response.status}): ${error}`);
+      // 供故障转移判断是否为可重试的状态码
+      apiError.httpStatus = response.status;
+      throw apiError;
     }
 
     if (canUpdateLoadingStatus) {
@@ -6805,15 +7511,18 @@ export function createMessageSender(appContext) {
   }
 
   /**
-   * 处理一次“Responses 请求 + 本地自定义 function tool follow-up”生命周期。
+   * 处理一次“模型请求 + 本地自定义 function tool follow-up”生命周期。
    *
    * 流程：
    * 1. 发送初始请求；
    * 2. 渲染当前 hop 的模型输出；
    * 3. 若模型返回 function_call，则本地执行；
-   * 4. 以“完整 input replay + function_call_output”继续下一 hop；
+   * 4. 以“完整 input replay + function_call_output”继续下一 hop
+   *    （Chat Completions 追加 assistant/tool 消息，Gemini 追加 model/functionResponse 轮次）；
    * 5. 直到没有新的 function_call 为止。
    *
+   * steer 仅 Responses 支持，其它协议的 follow-up 不吸收 pending steer。
+   *
    * @param {Object} options
    * @param {Object} options.initialRequestBody
    * @param {HTMLElement|null} options.loadingMessage
@@ -6833,8 +7542,11 @@ export function createMessageSender(appContext) {
     let lastHandleResult = null;
     let pendingSteerIdsAwaitingRequestAcceptance = [];
     let pendingSteerInputItemsAwaitingRequestAcceptance = [];
+    let hopIndex = 0;
 
     while (true) {
+      if (attemptState) attemptState.apiUsageHopIndex = hopIndex;
+      hopIndex += 1;
       const response = await sendApiRequestForAttempt({
         requestBody: currentRequestBody,
         usedApiConfig,
@@ -6896,7 +7608,11 @@ export function createMessageSender(appContext) {
         if (signal?.aborted) {
           throw new DOMException('The operation was aborted.', 'AbortError');
         }
-        functionCallOutputs.push(await executeResponsesCustomFunctionToolCall(toolCall));
+        functionCallOutputs.push(await executeResponsesCustomFunctionToolCall(toolCall, {
+          conversationId: resolveCustomToolConversationId(attemptState),
+          attemptState,
+          signal
+        }));
       }
 
       /**
@@ -6912,7 +7628,10 @@ export function createMessageSender(appContext) {
        * 如果在执行工具前就把 pending steer 提前 drain 掉，第二类 steer 会被错误地延后到再下一轮边界，
        * 表现上就不像 Codex 的真正 steer。
        */
-      const pendingSteersForFollowUp = getConversationPendingSteersForAttempt(attemptState);
+      const clientToolReplay = lastHandleResult?.clientToolReplay || null;
+      const pendingSteersForFollowUp = clientToolReplay
+        ? []
+        : getConversationPendingSteersForAttempt(attemptState);
       const pendingSteerInputItemsForFollowUp = pendingSteersForFollowUp
         .map((steer) => cloneDataSafely(steer?.responseInputItem))
         .filter((item) => item && typeof item === 'object');
@@ -6926,21 +7645,41 @@ export function createMessageSender(appContext) {
           pendingFunctionCalls,
           functionCallOutputs
         );
-        const mergedInputItems = mergeResponsesReplayOutputItems(
-          attemptState.responsesToolLoopAccumulatedInputItems,
-          functionCallOutputs
-        );
-        applyResponsesActivityTimelineToAttempt(attemptState, mergedTimeline);
-        applyResponsesInputItemsToAttempt(attemptState, mergedInputItems);
+        applyResponsesActivityTimelineToAttempt(attemptState, mergedTimeline, {
+          preserveThoughts: !!clientToolReplay
+        });
+        if (!clientToolReplay) {
+          const mergedInputItems = mergeResponsesReplayOutputItems(
+            attemptState.responsesToolLoopAccumulatedInputItems,
+            functionCallOutputs
+          );
+          applyResponsesInputItemsToAttempt(attemptState, mergedInputItems);
+        }
         await persistAttemptConversationSnapshot(attemptState, { force: true });
       }
 
-      currentRequestBody = buildResponsesFunctionToolFollowUpRequest(
-        currentRequestBody,
-        lastHandleResult?.responseOutputItems,
-        functionCallOutputs,
-        pendingSteerInputItemsForFollowUp
-      );
+      if (clientToolReplay?.protocol === CLIENT_TOOL_PROTOCOL_GEMINI) {
+        currentRequestBody = buildGeminiToolFollowUpRequest(currentRequestBody, {
+          modelParts: clientToolReplay.modelParts,
+          toolCalls: pendingFunctionCalls,
+          outputs: functionCallOutputs
+        });
+      } else if (clientToolReplay) {
+        currentRequestBody = buildChatCompletionsToolFollowUpRequest(currentRequestBody, {
+          answer: clientToolReplay.answer,
+          reasoningContent: clientToolReplay.reasoningContent,
+          toolCalls: clientToolReplay.toolCalls,
+          idPrefix: clientToolReplay.idPrefix,
+          outputs: functionCallOutputs
+        });
+      } else {
+        currentRequestBody = buildResponsesFunctionToolFollowUpRequest(
+          currentRequestBody,
+          lastHandleResult?.responseOutputItems,
+          functionCallOutputs,
+          pendingSteerInputItemsForFollowUp
+        );
+      }
       pendingSteerIdsAwaitingRequestAcceptance = pendingSteersForFollowUp
         .map((steer) => String(steer?.id || '').trim())
         .filter(Boolean);
@@ -6950,6 +7689,82 @@ export function createMessageSender(appContext) {
     }
   }
 
+  /**
+   * 竞技场发送：把已组装好的请求消息并行发给其余模型（非流式），回答作为用户消息的兄弟 AI 节点写入历史。
+   *
+   * 不等待结果、不阻塞主回答；每个回答完成后复用 attempt 的落库通道保存，
+   * 因此即使中途切到其它会话，也会写回发起时的会话。
+   *
+   * @param {{attemptState:Object, messages:Array<Object>, userMessageId:string, apiConfigs:Array<Object>, loadingMessage:HTMLElement|null, signal:AbortSignal}} params
+   */
+  function startArenaSiblingAnswers({ attemptState, messages, userMessageId, apiConfigs, loadingMessage, signal }) {
+    const groupId = createArenaGroupId();
+    attemptState.arenaGroupId = groupId;
+    const placeholders = services.arenaManager?.mountPendingGroup?.(groupId, loadingMessage, apiConfigs) || [];
+
+    apiConfigs.forEach((apiConfig, index) => {
+      const placeholder = placeholders[index] || null;
+      const config = { ...apiConfig, useStreaming: false };
+      const startedAtMs = Date.now();
+      void (async () => {
+        try {
+          // 竞技场回答不走工具调用循环，去掉需要客户端执行的函数工具（服务端内置工具保留）
+          const requestBody = stripClientFunctionTools(await apiManager.buildRequest({ messages, config }));
+          const response = await apiManager.sendRequest({ requestBody, config, signal });
+          if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new Error(errorText || `API错误 (${response.status})`);
+          }
+          const { answer, usage, hasToolCalls } = await extractPlainAnswerAndUsageFromResponse(response, config);
+          const completedAtMs = Date.now();
+          // 与主回答一样按所用配置的价格表计费并记账，否则竞技场的并行请求不会计入预算
+          const apiCost = computeApiUsageCost(usage, apiConfig);
+          const recordCost = (ledgerId) => {
+            if (apiCost) services.spendBudgetManager?.recordMessageCost?.(`${ledgerId}@${startedAtMs}`, apiCost, startedAtMs);
+          };
+          if (hasToolCalls && !String(answer || '').trim()) {
+            // 只返回了工具调用：明确标记为不支持，而不是写入一个空白回答
+            recordCost(`${groupId}_${index}`);
+            throw new Error('模型请求调用工具，竞技场回答不支持工具调用');
+          }
+          const node = createThreadAiMessageHistoryOnly({
+            content: answer,
+            historyParentId: userMessageId,
+            historyPatch: {
+              arenaGroupId: groupId,
+              apiUuid: apiConfig?.id || null,
+              apiDisplayName: apiConfig?.displayName || '',
+              apiModelId: apiConfig?.modelName || '',
+              apiUsage: usage,
+              apiCost,
+              timestamp: startedAtMs,
+              responseTiming: normalizeApiTimingMeta({
+                startedAtMs,
+                completedAtMs,
+                generationDurationMs: completedAtMs - startedAtMs
+              })
+            },
+            historyMessagesRef: attemptState.historyMessagesRef,
+            preserveCurrentNode: true
+          });
+          recordCost(node?.id || `${groupId}_${index}`);
+          if (!node) return;
+          placeArenaAnswer(attemptState.historyMessagesRef, node);
+          services.arenaManager?.fillPendingColumn?.(placeholder, node);
+          await persistAttemptConversationSnapshot(attemptState, { force: true });
+        } catch (error) {
+          const aborted = error?.name === 'AbortError';
+          if (!aborted) console.error('竞技场回答失败:', apiConfig?.modelName, error);
+          const label = apiConfig?.displayName || apiConfig?.modelName || 'API';
+          services.arenaManager?.failPendingColumn?.(
+            placeholder,
+            aborted ? `${label}：已停止` : `${label}：${error?.message || '请求失败'}`
+          );
+        }
+      })();
+    });
+  }
+
   /**
    * Core single-request send logic.
    *
@@ -6966,6 +7781,7 @@ export function createMessageSender(appContext) {
    * @param {string|null} [options.inputImagesHtmlSnapshot] - 入队时冻结的图片 HTML 片段
    * @param {boolean|null} [options.inputHasImagesSnapshot] - 入队时冻结的“是否有图”状态
    * @param {boolean|null} [options.inputHasScreenshotSnapshot] - 入队时冻结的“是否含截图”状态
+   * @param {Array<Object>|null} [options.inputFileAttachmentsSnapshot] - 入队时冻结的文件附件记录
    * @param {string} [options.conversationIdOverride] - 强制绑定本次发送所属的会话ID（用于后台队列）
    * @param {Array<Object>|null} [options.historyMessagesSnapshot] - 后台队列使用的会话消息快照（完整列表）
    * @param {Object|null} [options.conversationApiLockSnapshot] - 后台发送时沿用的会话 API 锁快照
@@ -6978,6 +7794,7 @@ export function createMessageSender(appContext) {
    * @param {Object|null} [options.pageContentSnapshot] - 若提供则作为轻量 pageMeta 快照写入历史节点（不再自动读取/注入网页正文）
    * @param {Array<Object>|null} [options.conversationSnapshot] - 若提供则使用该会话历史快照（数组 of nodes）构建消息
    * @param {boolean} [options.omitDefaultSystemPrompt] - 是否跳过“提示词设置”里的默认系统提示词
+   * @param {Array<Object>|null} [options.arenaApiConfigs] - 竞技场发送时并行回答的其余 API 配置（主回答仍按 resolvedApiConfig 流式生成）
    * @returns {Promise<{ ok: true, apiConfig: Object } | { ok: false, error: Error, apiConfig: Object, retryHint: Object, retry: (delayMs?: number, override?: Object) => Promise<any> }>} 结果对象（供外部无状态重试）
    */
   async function sendMessageCore(options = {}) {
@@ -6990,6 +7807,7 @@ export function createMessageSender(appContext) {
       inputImagesHtmlSnapshot = null,
       inputHasImagesSnapshot = null,
       inputHasScreenshotSnapshot = null,
+      inputFileAttachmentsSnapshot = null,
       conversationIdOverride = '',
       historyMessagesSnapshot = null,
       conversationApiLockSnapshot = undefined,
@@ -7004,6 +7822,8 @@ export function createMessageSender(appContext) {
       conversationRevisionSnapshot = null,
       omitDefaultSystemPrompt: externalOmitDefaultSystemPrompt = false,
       aspectRatioOverride: externalAspectRatioOverride = null,
+      arenaApiConfigs = null,
+      apiFallbackState = null,
       __skipClearInputs = false,
       __conversationJobId = '',
       __conversationJobKind = '',
@@ -7023,8 +7843,11 @@ export function createMessageSender(appContext) {
     if (api != null) {
       preferredApiConfig = resolveApiParamForSend(api);
     }
+    // URL 规则：显式传入 resolvedApiConfig（竞技场、排队快照等）时不再叠加
+    const urlRuleApiConfig = resolvedApiConfig ? null : resolveUrlRuleApiConfigForSend(preferredApiConfig || lockConfig);
 
     const effectiveConfigCandidate = resolvedApiConfig
+      || urlRuleApiConfig
       || preferredApiConfig
       || lockConfig
       || apiManager.getSelectedConfig();
@@ -7087,10 +7910,13 @@ export function createMessageSender(appContext) {
       : (inputController ? inputController.getInputText() : messageInput.textContent);
     const imageContainsScreenshot = (typeof inputHasScreenshotSnapshot === 'boolean')
       ? inputHasScreenshotSnapshot
-      : (inputController ? inputController.hasScreenshot() : !!imageContainer.querySelector('img[alt="page-screenshot.png"]'));
+      : (inputController ? inputController.hasScreenshot() : !!imageContainer.querySelector('img[alt^="page-screenshot"]'));
+
+    // 文件附件只随新的用户消息写入历史节点；重新生成时沿用原节点上的附件
+    const fileAttachments = regenerateMode ? [] : normalizeFileAttachments(inputFileAttachmentsSnapshot);
 
     // 输入为空且没有图片时，仍可能由模板生成结构化消息；是否早退需在模板解析后再判断。
-    const isEmptyMessageRaw = !messageText && !hasImagesInInput;
+    const isEmptyMessageRaw = !messageText && !hasImagesInInput && fileAttachments.length === 0;
 
     let activeThreadContext = null;
     // 获取当前提示词设置
@@ -7098,6 +7924,7 @@ export function createMessageSender(appContext) {
     const currentPromptType = specificPromptType || messageProcessor.getPromptTypeFromContent(messageText, promptsConfig);
 
     const preprocessorConfig = resolvedApiConfig
+      || urlRuleApiConfig
       || preferredApiConfig
       || lockConfig
       || apiManager.getSelectedConfig();
@@ -7154,6 +7981,10 @@ export function createMessageSender(appContext) {
     const isEffectivelyEmpty = isEmptyMessageRaw && !templateHasContent;
     if (isEffectivelyEmpty && !regenerateMode && !forceSendFullHistory) return;
 
+    if (fileAttachments.length > 0) {
+      preprocessHistoryPatch = { ...(preprocessHistoryPatch || {}), fileAttachments };
+    }
+
     const threadContextCandidate = resolveActiveThreadContext();
     if (threadContextCandidate && threadContainer) {
       // 重新生成时，仅当目标消息属于当前线程才启用线程上下文
@@ -7229,6 +8060,9 @@ export function createMessageSender(appContext) {
         responsesToolLoopAccumulatedInputItems: null,
         responsesToolLoopAssistantPhase: null,
         responsesToolLoopLastResponseId: null,
+        // 工具调用循环中每一跳请求的 usage（下标为跳序号），消息上展示与记账的是它们的合计
+        apiUsageHops: [],
+        apiUsageHopIndex: 0,
         runtimeConversationKey: normalizedConversationQueueKey || getCurrentActiveConversationQueueKey(),
         historyPromptCacheKey: normalizeResponsesPromptCacheKey(
           chatHistoryManager?.getConversationPromptCacheKey?.()
@@ -7371,6 +8205,8 @@ export function createMessageSender(appContext) {
       if (conversationApiLockSnapshot !== undefined) {
         attempt.boundApiLock = cloneDataSafely(conversationApiLockSnapshot);
       }
+      // 故障转移续发时带上此前失败的配置，回答落库时写入 apiFallback
+      attempt.apiFallback = normalizeApiFallbackState(apiFallbackState);
       // 固定本次请求绑定的会话上下文，后续即使切到其它会话也可继续后台落库。
       captureAttemptConversationContext(attempt);
       const signal = attempt.controller.signal;
@@ -7626,7 +8462,7 @@ export function createMessageSender(appContext) {
 
       const filteredConversationChain = conversationChain;
 
-      const messages = composeMessages({
+      const composeArgs = {
         prompts: promptsConfig,
         injectedSystemMessages,
         pageContent: null,
@@ -7642,7 +8478,16 @@ export function createMessageSender(appContext) {
         // 新字段：按角色分别裁剪（超长对话更易控）
         maxUserHistory: configForMaxHistory?.maxChatHistoryUser,
         maxAssistantHistory: configForMaxHistory?.maxChatHistoryAssistant
-      });
+      };
+      if (!activeThreadContext && !regenerateMode && sendChatHistoryFlag) {
+        await maybeCompactConversationContext({
+          attempt,
+          apiConfig: configForMaxHistory,
+          composeArgs,
+          loadingMessage
+        });
+      }
+      const messages = composeMessages(composeArgs);
 
       // 在真正发给模型前，统一清理所有用户消息末尾的控制标记
       // Strip only ratio markers like [16:9]/[Auto] before model request.
@@ -7680,10 +8525,12 @@ export function createMessageSender(appContext) {
         });
       }
 
-      // 获取API配置：仅使用外部提供（resolvedApiConfig / api 解析）或当前选中。不再做任何内部推断
+      // 获取API配置：仅使用外部提供（resolvedApiConfig / api 解析）、URL 规则或当前选中。不再做任何内部推断
       let config;
       if (resolvedApiConfig) {
         config = resolvedApiConfig;
+      } else if (urlRuleApiConfig) {
+        config = urlRuleApiConfig;
       } else if (preferredApiConfig) {
         config = preferredApiConfig;
       } else if (lockConfig) {
@@ -7701,7 +8548,7 @@ export function createMessageSender(appContext) {
         typeof utils?.executeJsRuntime === 'function'
         && typeof utils?.getJsRuntimeFrames === 'function'
         && !state?.isStandalone
-        && isOpenAIResponsesApiConfig(effectiveApiConfig)
+        && !!resolveClientFunctionToolProtocol(effectiveApiConfig)
       );
       if (shouldInjectJsRuntimeFrameContext) {
         updateLoadingStatus(loadingMessage, '正在获取 JS Runtime frame 上下文...', { stage: 'get_js_runtime_frames' });
@@ -7752,8 +8599,12 @@ export function createMessageSender(appContext) {
         };
       }
 
+      // Chat Completions / Gemini 没有 instructions 字段，frame 上下文以一次性 system 消息注入
+      const requestMessages = (ephemeralResponsesInstructions && !isOpenAIResponsesApiConfig(effectiveApiConfig))
+        ? insertEphemeralSystemMessage(finalMessages, ephemeralResponsesInstructions)
+        : finalMessages;
       const requestBody = await apiManager.buildRequest({
-        messages: finalMessages,
+        messages: requestMessages,
         config: config,
         overrides: requestOverrides
       });
@@ -7776,7 +8627,24 @@ export function createMessageSender(appContext) {
           requestBody.prompt_cache_key = autoPromptCacheKey;
         }
       }
-      const preparedRequestBody = prepareResponsesRequestBodyForCustomTools(requestBody, effectiveApiConfig);
+      const preparedRequestBody = prepareResponsesRequestBodyForCustomTools(
+        requestBody,
+        effectiveApiConfig,
+        resolveCustomToolConversationId(attempt)
+      );
+
+      const arenaUserMessageId = userMessageDiv?.getAttribute?.('data-message-id') || detachedUserMessageNode?.id || '';
+      if (Array.isArray(arenaApiConfigs) && arenaApiConfigs.length > 0
+        && !regenerateMode && !activeThreadContext && arenaUserMessageId && attempt) {
+        startArenaSiblingAnswers({
+          attemptState: attempt,
+          messages: finalMessages,
+          userMessageId: arenaUserMessageId,
+          apiConfigs: arenaApiConfigs,
+          loadingMessage,
+          signal
+        });
+      }
 
       await executeApiRequestLifecycle({
         initialRequestBody: preparedRequestBody,
@@ -7862,7 +8730,8 @@ export function createMessageSender(appContext) {
         __skipUserMessagePreprocess: skipNextPreprocess,
         // 透传外部策略决定的API（若有）
         resolvedApiConfig,
-        api
+        api,
+        apiFallbackState
       };
       const retry = async (override = {}) => {
         const mergedHint = { ...retryHint, ...override };
@@ -7941,6 +8810,56 @@ export function createMessageSender(appContext) {
         return { ok: false, error, retryScheduled: true };
       }
 
+      // 故障转移：当前配置的自动重试已用尽（或未开启自动重试）且错误可重试时，改用起始配置链上的下一个备用配置
+      const failedApiConfig = effectiveApiConfig || resolvedApiConfig || preferredApiConfig || lockConfig || null;
+      const fallbackStep = normalizedConversationJobKind === 'append_user_message'
+        ? resolveApiFallbackStep({
+          state: apiFallbackState,
+          failedConfig: failedApiConfig,
+          error,
+          configs: apiManager.getAllConfigs?.() || []
+        })
+        : null;
+      if (fallbackStep) {
+        if (loadingMessage && loadingMessage.parentNode) {
+          loadingMessage.remove();
+        }
+        if (typeof showNotification === 'function') {
+          const failedName = failedApiConfig.displayName || failedApiConfig.modelName || 'API';
+          const nextName = fallbackStep.config.displayName || fallbackStep.config.modelName || 'API';
+          showNotification({
+            message: `${failedName} 请求失败，改用备用 API：${nextName}`,
+            type: 'warning'
+          });
+        }
+        upsertConversationQueuedTask(normalizedConversationQueueKey, {
+          id: normalizedConversationJobId || createQueuedConversationTaskId(),
+          kind: normalizedConversationJobKind,
+          status: 'delayed_retry',
+          paused: false,
+          conversationId: normalizeConversationId(attempt?.boundConversationId)
+            || normalizeConversationId(currentConversationId)
+            || normalizeConversationId(chatHistoryUI?.getCurrentConversationId?.()),
+          conversationRevisionAtEnqueue: normalizedConversationRevisionAtStart,
+          anchorMessageId: normalizeConversationId(messageId),
+          targetAiMessageId: normalizedTargetAiMessageId,
+          retryPolicy: normalizedConversationRetryPolicy,
+          // 备用配置重新计算自己的自动重试次数
+          retryCount: 0,
+          availableAt: Date.now() + AUTO_RETRY_BASE_DELAY_MS,
+          failureMessage: (typeof error?.message === 'string' && error.message.trim())
+            ? error.message.trim()
+            : '',
+          payload: {
+            ...retryHint,
+            resolvedApiConfig: fallbackStep.config,
+            apiFallbackState: fallbackStep.state
+          }
+        });
+        return { ok: false, error, retryScheduled: true, fallbackApiConfig: fallbackStep.config };
+      }
+
+      const fallbackPath = formatApiFallbackPath(apiFallbackState);
       const detail = (typeof error?.message === 'string' && error.message.trim().length > 0)
         ? error.message.trim()
         : '发生未知错误';
@@ -7949,7 +8868,9 @@ export function createMessageSender(appContext) {
         : isAbortError
           ? '请求中断: '
           : '发送失败: ';
-      const errorMessageText = `${prefix}${detail}`;
+      const errorMessageText = fallbackPath
+        ? `${prefix}${detail}（故障转移已用尽，此前依次失败：${fallbackPath}）`
+        : `${prefix}${detail}`;
 
       let messageElement = null;
       if (loadingMessage && loadingMessage.parentNode) {
@@ -8116,10 +9037,14 @@ export function createMessageSender(appContext) {
     const activeConversationApiInfo = (typeof chatHistoryUI?.resolveActiveConversationApiConfig === 'function')
       ? chatHistoryUI.resolveActiveConversationApiConfig()
       : null;
+    const queueExplicitApiConfig = resolveApiParamForSend(normalizedBaseOptions.api)
+      || activeConversationApiInfo?.lockConfig
+      || null;
+    // 排队时按入队那一刻的页面 URL 冻结规则结果
     const queueResolvedApiConfig = cloneDataSafely(
       normalizedBaseOptions.resolvedApiConfig
-      || resolveApiParamForSend(normalizedBaseOptions.api)
-      || activeConversationApiInfo?.lockConfig
+      || resolveUrlRuleApiConfigForSend(queueExplicitApiConfig)
+      || queueExplicitApiConfig
       || apiManager.getSelectedConfig()
       || null
     );
@@ -8138,6 +9063,7 @@ export function createMessageSender(appContext) {
         : '',
       inputHasImagesSnapshot: !!normalizedSnapshot.hasImages,
       inputHasScreenshotSnapshot: !!normalizedSnapshot.hasScreenshot,
+      inputFileAttachmentsSnapshot: normalizeFileAttachments(normalizedSnapshot.fileAttachments),
       __skipClearInputs: true,
       resolvedApiConfig: queueResolvedApiConfig || normalizedBaseOptions.resolvedApiConfig || null,
       conversationApiLockSnapshot: queueConversationApiLockSnapshot,
@@ -8163,7 +9089,8 @@ export function createMessageSender(appContext) {
    *   conversationId?: string,
    *   imagesHtmlSnapshot?: string,
    *   hasImagesInInput?: boolean,
-   *   hasScreenshotSnapshot?: boolean
+   *   hasScreenshotSnapshot?: boolean,
+   *   fileAttachments?: Array<Object>
    * }} [snapshot]
    * @returns {Promise<Object>}
    */
@@ -8182,14 +9109,15 @@ export function createMessageSender(appContext) {
       ? normalizedSnapshot.hasScreenshotSnapshot
       : (inputController
         ? inputController.hasScreenshot()
-        : !!imageContainer.querySelector('img[alt="page-screenshot.png"]'));
+        : !!imageContainer.querySelector('img[alt^="page-screenshot"]'));
     const queuedOptions = await buildQueuedSendOptions(baseOptions, {
       baseText: typeof normalizedSnapshot.baseText === 'string'
         ? normalizedSnapshot.baseText
         : (baseOptions?.originalMessageText ?? ''),
       imagesHtml: imagesHtmlSnapshot,
       hasImages: hasImagesInInput,
-      hasScreenshot: hasScreenshotSnapshot
+      hasScreenshot: hasScreenshotSnapshot,
+      fileAttachments: normalizedSnapshot.fileAttachments
     });
 
     return normalizeConversationQueuedTask({
@@ -8225,7 +9153,7 @@ export function createMessageSender(appContext) {
       ? normalizedSnapshot.hasScreenshotSnapshot
       : (inputController
         ? inputController.hasScreenshot()
-        : !!imageContainer.querySelector('img[alt="page-screenshot.png"]'));
+        : !!imageContainer.querySelector('img[alt^="page-screenshot"]'));
     const payload = await buildQueuedSendOptions(baseOptions, {
       baseText: typeof normalizedSnapshot.baseText === 'string'
         ? normalizedSnapshot.baseText
@@ -8331,10 +9259,46 @@ export function createMessageSender(appContext) {
       }
     }
 
+    // 花费预算：在清空输入框之前检查，阻止模式下保留用户输入
+    const hasSendableInput = opts.regenerateMode || opts.forceSendFullHistory || !!rawText.trim() || hasImagesInInput;
+    if (hasSendableInput && services.spendBudgetManager?.checkBeforeSend?.() === false) {
+      return { ok: false, type: 'spend_budget_exceeded' };
+    }
+
     const markerInfo = extractTrailingControlMarkers(rawText);
-    const baseText = markerInfo.baseText;
+    let baseText = markerInfo.baseText;
     const aspectRatio = markerInfo.aspectRatio;
 
+    // 用户在输入区附加的其它标签页、选取的页面元素与本地打包的文件夹：以带标签的上下文块放在本条消息正文之前，随消息一起落库
+    if (!opts.regenerateMode && !opts.forceSendFullHistory) {
+      const contextParts = [];
+      try {
+        contextParts.push(await services.tabContextManager?.buildContextText?.() || '');
+      } catch (error) {
+        console.warn('构建多标签页上下文失败:', error);
+      }
+      contextParts.push(services.elementAttachmentManager?.buildContextText?.() || '');
+      try {
+        contextParts.push(await services.localRepoPackManager?.buildContextText?.() || '');
+      } catch (error) {
+        console.warn('构建本地打包上下文失败:', error);
+      }
+      const attachedContextText = contextParts.filter(Boolean).join('\n\n');
+      if (attachedContextText) {
+        baseText = baseText ? `${attachedContextText}\n\n${baseText}` : attachedContextText;
+      }
+    }
+
+    // 文件附件不拼进正文：写入用户消息节点，构造请求时再按接口决定发送原文件还是抽取的文本
+    let fileAttachmentsSnapshot = [];
+    if (!opts.regenerateMode && !opts.forceSendFullHistory) {
+      try {
+        fileAttachmentsSnapshot = await services.fileAttachmentManager?.getAttachments?.() || [];
+      } catch (error) {
+        console.warn('读取文件附件失败:', error);
+      }
+    }
+
     const singleOpts = { ...opts };
     if (baseText !== rawText) {
       singleOpts.originalMessageText = baseText;
@@ -8359,6 +9323,7 @@ export function createMessageSender(appContext) {
       || singleOpts.forceSendFullHistory
       || baseText
       || hasImagesInInput
+      || fileAttachmentsSnapshot.length > 0
     );
     const requestedSteer = submissionBehavior === 'steer';
     const shouldSendAsSteer = requestedSteer && hasRunningAttemptInCurrentConversation;
@@ -8398,11 +9363,15 @@ export function createMessageSender(appContext) {
     const imagesHtmlSnapshot = inputController ? inputController.getImagesHTML() : imageContainer.innerHTML;
     const hasScreenshotSnapshot = inputController
       ? inputController.hasScreenshot()
-      : !!imageContainer.querySelector('img[alt="page-screenshot.png"]');
+      : !!imageContainer.querySelector('img[alt^="page-screenshot"]');
 
     if (shouldSendAsSteer) {
+      // steer 输入直接并入当前 turn 的 Responses input，无法携带原生文件，附件以文本块随正文提交
+      const steerAttachmentText = buildFileAttachmentsText(fileAttachmentsSnapshot);
       const pendingSteer = await buildPendingConversationSteer(singleOpts, {
-        baseText,
+        baseText: steerAttachmentText
+          ? (baseText ? `${steerAttachmentText}\n\n${baseText}` : steerAttachmentText)
+          : baseText,
         imagesHtmlSnapshot,
         hasImagesInInput,
         hasScreenshotSnapshot
@@ -8433,12 +9402,20 @@ export function createMessageSender(appContext) {
       return result;
     }
 
+    // 竞技场模式：第一个配置流式生成主回答，其余配置并行回答；划词线程内仍按普通发送处理
+    const arenaApiConfigs = services.arenaManager?.getSendApiConfigs?.() || null;
+    if (arenaApiConfigs && !singleOpts.forceSendFullHistory && !services.selectionThreadManager?.getActiveThreadId?.()) {
+      singleOpts.resolvedApiConfig = arenaApiConfigs[0];
+      singleOpts.arenaApiConfigs = arenaApiConfigs.slice(1);
+    }
+
     const nextJob = await buildAppendConversationJob(singleOpts, {
       baseText,
       conversationId: currentConversationIdForSend,
       imagesHtmlSnapshot,
       hasImagesInInput,
-      hasScreenshotSnapshot
+      hasScreenshotSnapshot,
+      fileAttachments: fileAttachmentsSnapshot
     });
 
     clearInputs();
@@ -8499,6 +9476,7 @@ export function createMessageSender(appContext) {
           node.apiUuid = apiConfig?.id || null;
           node.apiDisplayName = apiConfig?.displayName || '';
           node.apiModelId = apiConfig?.modelName || '';
+          node.apiFallback = attemptState?.apiFallback || null;
         }
         const safeMessageId = escapeMessageIdForSelector(messageId);
         const selector = safeMessageId ? `.message[data-message-id="${safeMessageId}"]` : '';
@@ -8518,12 +9496,28 @@ export function createMessageSender(appContext) {
 
     function applyUsageMetaToMessage(messageId, rawUsage, messageDiv) {
       try {
+        const hopUsage = normalizeApiUsageMeta(rawUsage);
+        if (!hopUsage) return;
+        // 同一跳内（流式多次回传）只覆盖该跳；工具调用循环的各跳分别计费，需要累加。
+        // 先记到 attempt 上：只含工具调用、尚未创建消息的跳也要计入之后的合计
+        let usageMeta = hopUsage;
+        if (attemptState) {
+          if (!Array.isArray(attemptState.apiUsageHops)) attemptState.apiUsageHops = [];
+          attemptState.apiUsageHops[Number(attemptState.apiUsageHopIndex) || 0] = hopUsage;
+          usageMeta = sumApiUsageMeta(attemptState.apiUsageHops) || hopUsage;
+        }
         if (!messageId) return;
-        const usageMeta = normalizeApiUsageMeta(rawUsage);
-        if (!usageMeta) return;
         const node = resolveAttemptAiNode(attemptState, messageId);
+        // 按所用 API 配置的价格表折算费用；未配置价格时为 null
+        const apiCost = computeApiUsageCost(usageMeta, usedApiConfig);
         if (node) {
           node.apiUsage = usageMeta;
+          node.apiCost = apiCost;
+        }
+        if (apiCost) {
+          // 账本按“消息 + 本次尝试”记录：写入的是各跳合计，多次回传只覆盖；重新生成则计为新的花费
+          const attemptTimestamp = node?.timestamp || attemptState?.startedAt || Date.now();
+          services.spendBudgetManager?.recordMessageCost?.(`${messageId}@${attemptTimestamp}`, apiCost, attemptTimestamp);
         }
         const safeMessageId = escapeMessageIdForSelector(messageId);
         const selector = safeMessageId ? `.message[data-message-id="${safeMessageId}"]` : '';
@@ -8609,6 +9603,7 @@ export function createMessageSender(appContext) {
         if (node) {
           node.timestamp = startedAtMs;
           node.apiUsage = null;
+          node.apiCost = null;
           node.responseTiming = buildAttemptTimingMeta({ startedAtMs });
           delete node.response_activity_duration_ms;
         }
@@ -8684,7 +9679,7 @@ export function createMessageSender(appContext) {
    * @param {HTMLElement} loadingMessage
    * @param {Object} usedApiConfig
    * @param {Object} attemptState
-   * @returns {Promise<{answer:string, responseId:string|null, responseOutputItems:Array<Object>|null, responseInputItems:Array<Object>|null, responseActivityTimeline:Array<Object>|null, responseToolCalls:Array<Object>|null, assistantPhase:string|null, isResponsesApi:boolean}>}
+   * @returns {Promise<{answer:string, responseId:string|null, responseOutputItems:Array<Object>|null, responseInputItems:Array<Object>|null, responseActivityTimeline:Array<Object>|null, responseToolCalls:Array<Object>|null, clientToolReplay:Object|null, assistantPhase:string|null, isResponsesApi:boolean}>}
    */
   async function handleStreamResponse(response, loadingMessage, usedApiConfig, attemptState) {
     captureAttemptConversationContext(attemptState);
@@ -8778,6 +9773,20 @@ export function createMessageSender(appContext) {
     // 标记是否为 Gemini 流式接口
     const isGeminiApi = isGeminiApiResponse(response, usedApiConfig);
     const isOpenAIResponsesStream = !isGeminiApi && isOpenAIResponsesApiResponse(response, usedApiConfig);
+    // Anthropic Messages：thinking 走思考区，工具块复用 Responses 的活动时间线渲染。
+    const isAnthropicStream = !isGeminiApi && !isOpenAIResponsesStream && isAnthropicApiResponse(response, usedApiConfig);
+    // Chat Completions / Gemini 开启客户端工具后：本地工具调用同样写入活动时间线，由生命周期循环执行并回传结果。
+    const clientToolProtocol = resolveClientFunctionToolProtocol(usedApiConfig);
+    const isClientToolLoopStream = !isOpenAIResponsesStream && !isAnthropicStream && (
+      isGeminiApi
+        ? clientToolProtocol === CLIENT_TOOL_PROTOCOL_GEMINI
+        : clientToolProtocol === CLIENT_TOOL_PROTOCOL_CHAT_COMPLETIONS
+    );
+    const usesResponsesActivityTimeline = isOpenAIResponsesStream || isAnthropicStream || isClientToolLoopStream;
+    // 只有 Responses 把推理摘要并入时间线，其余协议的思考区需与时间线并存。
+    const preserveTimelineThoughts = !isOpenAIResponsesStream;
+    // 本 hop 内合成工具调用 id 的前缀：上游未返回 id 时使用，避免与前几个 hop 的条目撞 key。
+    const clientToolIdPrefix = `client_call_${Date.now().toString(36)}`;
     // SSE 行缓冲
     let incomingDataBuffer = ''; 
     const decoder = new TextDecoder();
@@ -8801,6 +9810,10 @@ export function createMessageSender(appContext) {
 	    let latestOpenAIReasoningContent = '';
 	    // OpenAI 兼容：累积 tool_calls（流式增量会把 function.arguments 分片输出）
 	    let latestOpenAIToolCalls = [];
+      // Gemini 客户端工具：原样保存本 hop 的 model parts（含 functionCall 与签名），follow-up 时整体回放。
+      const latestGeminiModelParts = [];
+      // Anthropic Messages：按 content block 索引累积正文 / thinking（含签名）/ 工具块。
+      const anthropicStreamState = isAnthropicStream ? createAnthropicStreamState() : null;
       // Responses API：按事件顺序保存 reasoning summary / 工具调用的活动时间线。
       const previousResponsesActivityTimeline = Array.isArray(attemptState?.responsesToolLoopAccumulatedTimeline)
         ? cloneResponsesActivityTimeline(attemptState.responsesToolLoopAccumulatedTimeline)
@@ -8818,6 +9831,16 @@ export function createMessageSender(appContext) {
       const latestResponsesOutputTextState = new Map();
       // OpenAI 兼容：记录末尾 usage 分片（通常出现在 finish_reason=stop 的最后一个 chunk）。
       let latestOpenAIUsage = null;
+      const rebuildClientToolLoopTimeline = (commentary = '') => buildClientToolLoopTimeline(
+        previousResponsesActivityTimeline,
+        {
+          protocol: clientToolProtocol,
+          toolCalls: latestOpenAIToolCalls,
+          modelParts: latestGeminiModelParts,
+          idPrefix: clientToolIdPrefix,
+          commentary
+        }
+      );
 		    // 当前流对应的 AI 消息 ID：
 		    // - 普通发送：首个 token 到达时新建消息并赋值；
 		    // - “原地替换”重新生成：sendMessageCore 会预先把 attempt.aiMessageId 设为目标消息ID，这里直接复用。
@@ -8840,7 +9863,8 @@ export function createMessageSender(appContext) {
               applyResponsesMetadataToNode(boundNode, {
                 timeline: payload.responsesActivityTimeline,
                 phase: latestResponsesAssistantPhase,
-                inputItems: payload.responsesInputItems
+                inputItems: payload.responsesInputItems,
+                preserveThoughts: preserveTimelineThoughts
               });
               syncAttemptResponsesRuntimeState(attemptState, {
                 timeline: payload.responsesActivityTimeline,
@@ -8904,11 +9928,12 @@ export function createMessageSender(appContext) {
         const boundNode = resolveAttemptAiNode(attemptState, currentAiMessageId);
         if (boundNode) {
           attemptState.aiMessageNode = boundNode;
-          if (isOpenAIResponsesStream) {
+          if (usesResponsesActivityTimeline) {
             applyResponsesMetadataToNode(boundNode, {
               timeline: latestResponsesActivityTimeline,
               phase: latestResponsesAssistantPhase,
-              inputItems: latestResponsesInputItems
+              inputItems: latestResponsesInputItems,
+              preserveThoughts: preserveTimelineThoughts
             });
             syncAttemptResponsesRuntimeState(attemptState, {
               timeline: latestResponsesActivityTimeline,
@@ -8933,11 +9958,12 @@ export function createMessageSender(appContext) {
           if (!hasClearedBoundSignatureForRegenerate) {
             hasClearedBoundSignatureForRegenerate = clearBoundSignatureForRegenerate(currentAiMessageId, attemptState);
           }
-          if (isOpenAIResponsesStream && boundNode) {
+          if (usesResponsesActivityTimeline && boundNode) {
             applyResponsesMetadataToNode(boundNode, {
               timeline: latestResponsesActivityTimeline,
               phase: latestResponsesAssistantPhase,
-              inputItems: latestResponsesInputItems
+              inputItems: latestResponsesInputItems,
+              preserveThoughts: preserveTimelineThoughts
             });
             syncAttemptAssistantView(currentAiMessageId, {
               attemptState,
@@ -8967,13 +9993,14 @@ export function createMessageSender(appContext) {
         if (promotedId) {
           currentAiMessageId = promotedId;
           bindAttemptAiMessage(attemptState, currentAiMessageId);
-          if (isOpenAIResponsesStream) {
+          if (usesResponsesActivityTimeline) {
             const promotedNode = resolveAttemptAiNode(attemptState, currentAiMessageId);
             if (promotedNode) {
               applyResponsesMetadataToNode(promotedNode, {
                 timeline: latestResponsesActivityTimeline,
                 phase: latestResponsesAssistantPhase,
-                inputItems: latestResponsesInputItems
+                inputItems: latestResponsesInputItems,
+                preserveThoughts: preserveTimelineThoughts
               });
               syncAttemptResponsesRuntimeState(attemptState, {
                 timeline: latestResponsesActivityTimeline,
@@ -9012,11 +10039,12 @@ export function createMessageSender(appContext) {
             currentAiMessageId = createdNode.id;
             bindAttemptAiMessage(attemptState, currentAiMessageId, createdNode);
             resetAssistantResponseMetaForAttempt(currentAiMessageId, null);
-            if (isOpenAIResponsesStream) {
+            if (usesResponsesActivityTimeline) {
               applyResponsesMetadataToNode(createdNode, {
                 timeline: latestResponsesActivityTimeline,
                 phase: latestResponsesAssistantPhase,
-                inputItems: latestResponsesInputItems
+                inputItems: latestResponsesInputItems,
+                preserveThoughts: preserveTimelineThoughts
               });
             }
             applyApiMetaToMessage(currentAiMessageId, usedApiConfig);
@@ -9047,13 +10075,14 @@ export function createMessageSender(appContext) {
             currentAiMessageId = newAiMessageDiv.getAttribute('data-message-id');
             bindAttemptAiMessage(attemptState, currentAiMessageId);
             resetAssistantResponseMetaForAttempt(currentAiMessageId, newAiMessageDiv);
-            if (isOpenAIResponsesStream) {
+            if (usesResponsesActivityTimeline) {
               const createdNode = resolveAttemptAiNode(attemptState, currentAiMessageId);
               if (createdNode) {
                 applyResponsesMetadataToNode(createdNode, {
                   timeline: latestResponsesActivityTimeline,
                   phase: latestResponsesAssistantPhase,
-                  inputItems: latestResponsesInputItems
+                  inputItems: latestResponsesInputItems,
+                  preserveThoughts: preserveTimelineThoughts
                 });
                 syncAttemptResponsesRuntimeState(attemptState, {
                   timeline: latestResponsesActivityTimeline,
@@ -9128,10 +10157,10 @@ export function createMessageSender(appContext) {
             messageId: currentAiMessageId,
             answer: aiResponse,
             thoughts: isOpenAIResponsesStream ? null : aiThoughtsRaw,
-            responsesActivityTimeline: isOpenAIResponsesStream
+            responsesActivityTimeline: usesResponsesActivityTimeline
               ? cloneResponsesActivityTimeline(latestResponsesActivityTimeline)
               : null,
-            responsesInputItems: isOpenAIResponsesStream
+            responsesInputItems: usesResponsesActivityTimeline
               ? cloneResponsesReplayOutputItems(latestResponsesInputItems)
               : null
           },
@@ -9184,13 +10213,21 @@ export function createMessageSender(appContext) {
           null
         );
       }
-      if (currentAiMessageId && latestOpenAIUsage) {
+      if (latestOpenAIUsage) {
+        // 没有创建消息的跳（只有工具调用）也要记入 attempt 的用量合计
         applyUsageMetaToMessage(currentAiMessageId, latestOpenAIUsage);
       }
-      const hasResponsesMetadata = isOpenAIResponsesStream
+      // 本 hop 结束：伴随工具调用的正文同时记入时间线，下一 hop 的正文会覆盖消息内容。
+      const clientToolLoop = isClientToolLoopStream ? rebuildClientToolLoopTimeline(aiResponse) : null;
+      const clientToolCalls = clientToolLoop ? clientToolLoop.toolCalls : [];
+      if (clientToolLoop) {
+        latestResponsesActivityTimeline = clientToolLoop.timeline;
+      }
+      const hasResponsesMetadata = usesResponsesActivityTimeline
         && Array.isArray(latestResponsesActivityTimeline)
         && latestResponsesActivityTimeline.length > 0;
-		    if (currentAiMessageId && (latestGeminiThoughtSignature || latestOpenAIThoughtSignature || (Array.isArray(latestOpenAIToolCalls) && latestOpenAIToolCalls.length > 0) || hasResponsesMetadata)) {
+      const anthropicSummary = isAnthropicStream ? summarizeAnthropicBlocks(anthropicStreamState.blocks) : null;
+		    if (currentAiMessageId && (latestGeminiThoughtSignature || latestOpenAIThoughtSignature || (Array.isArray(latestOpenAIToolCalls) && latestOpenAIToolCalls.length > 0) || hasResponsesMetadata || anthropicSummary?.thinkingSignature)) {
 		      try {
 	        const node = resolveAttemptAiNode(attemptState, currentAiMessageId);
           if (node) {
@@ -9203,32 +10240,44 @@ export function createMessageSender(appContext) {
 	            node.thoughtSignatureSource = 'gemini';
 	          }
 
-	          if (!isGeminiApi) {
-              if (isOpenAIResponsesStream) {
-                applyResponsesMetadataToNode(node, {
-                  timeline: latestResponsesActivityTimeline,
-                  phase: latestResponsesAssistantPhase,
-                  inputItems: latestResponsesInputItems
-                });
-              } else {
-	              // OpenAI 兼容：推理签名与推理原文、tool_calls 原样落库，供后续历史消息回传
-	              if (latestOpenAIThoughtSignature) {
-	                node.thoughtSignature = latestOpenAIThoughtSignature;
-	                node.thoughtSignatureSource = 'openai';
-	              } else if (Array.isArray(latestOpenAIToolCalls) && latestOpenAIToolCalls.length > 0) {
-	                // 仅有 tool_calls 签名/结构时，也标记来源，避免后续误发给 Gemini
-	                if (!node.thoughtSignatureSource) node.thoughtSignatureSource = 'openai';
-	              }
-
-	              if (typeof latestOpenAIReasoningContent === 'string' && latestOpenAIReasoningContent) {
-	                // 与 OpenAI 兼容字段保持一致：使用 reasoning_content 命名，便于 buildRequest 直接透传
-	                node.reasoning_content = latestOpenAIReasoningContent;
-	              }
-
-	              if (Array.isArray(latestOpenAIToolCalls) && latestOpenAIToolCalls.length > 0) {
-	                node.tool_calls = latestOpenAIToolCalls;
-	              }
+            if (usesResponsesActivityTimeline) {
+              applyResponsesMetadataToNode(node, {
+                timeline: latestResponsesActivityTimeline,
+                phase: latestResponsesAssistantPhase,
+                inputItems: latestResponsesInputItems,
+                preserveThoughts: preserveTimelineThoughts
+              });
+              // Anthropic：每个 thinking / redacted_thinking block 连同各自的签名逐块原样保存，后续轮次才能回传。
+              if (anthropicSummary?.thinkingSignature) {
+                node.thoughtSignature = anthropicSummary.thinkingSignature;
+                node.thoughtSignatureSource = 'anthropic';
+                node.reasoning_content = anthropicSummary.thinking;
+                node.anthropic_thinking_blocks = anthropicSummary.thinkingBlocks;
               }
+            }
+
+	          if (!isGeminiApi && !isOpenAIResponsesStream && !isAnthropicStream) {
+	            // OpenAI 兼容：推理签名与推理原文、tool_calls 原样落库，供后续历史消息回传
+	            if (latestOpenAIThoughtSignature) {
+	              node.thoughtSignature = latestOpenAIThoughtSignature;
+	              node.thoughtSignatureSource = 'openai';
+	            } else if (Array.isArray(latestOpenAIToolCalls) && latestOpenAIToolCalls.length > 0) {
+	              // 仅有 tool_calls 签名/结构时，也标记来源，避免后续误发给 Gemini
+	              if (!node.thoughtSignatureSource) node.thoughtSignatureSource = 'openai';
+	            }
+
+	            if (typeof latestOpenAIReasoningContent === 'string' && latestOpenAIReasoningContent) {
+	              // 与 OpenAI 兼容字段保持一致：使用 reasoning_content 命名，便于 buildRequest 直接透传
+	              node.reasoning_content = latestOpenAIReasoningContent;
+	            }
+
+	            if (isClientToolLoopStream) {
+	              // 客户端工具调用已在本轮 follow-up 中闭环，不能留在节点上：
+	              // 否则下一轮回放会出现“有 tool_calls 却没有对应 tool 消息”的非法历史。
+	              delete node.tool_calls;
+	            } else if (Array.isArray(latestOpenAIToolCalls) && latestOpenAIToolCalls.length > 0) {
+	              node.tool_calls = latestOpenAIToolCalls;
+	            }
 	          }
 
           const safeMessageId = escapeMessageIdForSelector(currentAiMessageId);
@@ -9250,7 +10299,7 @@ export function createMessageSender(appContext) {
 	      }
 	    }
 
-      if (isOpenAIResponsesStream && attemptState) {
+      if ((isOpenAIResponsesStream || isClientToolLoopStream) && attemptState) {
         syncAttemptResponsesRuntimeState(attemptState, {
           timeline: latestResponsesActivityTimeline,
           inputItems: latestResponsesInputItems,
@@ -9275,6 +10324,16 @@ export function createMessageSender(appContext) {
           : null,
         responseToolCalls: isOpenAIResponsesStream
           ? getNewResponsesToolCalls(previousResponsesActivityTimeline, latestResponsesActivityTimeline)
+          : (clientToolCalls.length > 0 ? clientToolCalls : null),
+        clientToolReplay: clientToolCalls.length > 0
+          ? {
+            protocol: clientToolProtocol,
+            idPrefix: clientToolIdPrefix,
+            answer: aiResponse || '',
+            reasoningContent: latestOpenAIReasoningContent || '',
+            toolCalls: cloneDataSafely(latestOpenAIToolCalls) || [],
+            modelParts: cloneDataSafely(latestGeminiModelParts) || []
+          }
           : null,
         assistantPhase: latestResponsesAssistantPhase || null,
         isResponsesApi: isOpenAIResponsesStream
@@ -9325,11 +10384,56 @@ export function createMessageSender(appContext) {
 
       if (isGeminiApi) {
         await handleGeminiEvent(jsonData);
+      } else if (isAnthropicStream) {
+        handleAnthropicEvent(jsonData);
       } else {
         handleOpenAIEvent(jsonData);
       }
     }
 
+    /**
+     * 处理 Anthropic Messages SSE 事件：
+     * - text_delta 追加到正文，thinking_delta 追加到思考区；
+     * - tool_use / server_tool_use 及其结果块映射为活动时间线条目；
+     * - message_start / message_delta 中的 usage 实时写入 footer。
+     * @param {Object} data - 从SSE事件中解析出的JSON对象
+     */
+    function handleAnthropicEvent(data) {
+      const applied = applyAnthropicStreamEvent(anthropicStreamState, data);
+      if (applied.error) {
+        const msg = buildStreamApiErrorMessage(applied.error, 'Unknown Anthropic error');
+        console.error('Anthropic API error:', data);
+        const streamApiError = new Error(msg);
+        streamApiError.name = 'StreamApiError';
+        throw streamApiError;
+      }
+
+      if (applied.usageChanged && anthropicStreamState.usage) {
+        latestOpenAIUsage = normalizeApiUsageMeta(anthropicStreamState.usage);
+        if (currentAiMessageId && latestOpenAIUsage) {
+          applyUsageMetaToMessage(currentAiMessageId, latestOpenAIUsage);
+        }
+      }
+
+      if (applied.timelineChanged) {
+        latestResponsesActivityTimeline = mergeResponsesActivityTimeline(
+          previousResponsesActivityTimeline,
+          buildAnthropicActivityTimeline(anthropicStreamState.blocks)
+        );
+      }
+
+      const hasAnyDelta = !!(applied.answerDelta || applied.thinkingDelta || applied.timelineChanged);
+      if (!hasAnyDelta) return;
+
+      if (applied.answerDelta) {
+        aiResponse += applied.answerDelta;
+      }
+      if (applied.thinkingDelta) {
+        aiThoughtsRaw = mergeStreamingThoughts(aiThoughtsRaw, applied.thinkingDelta);
+      }
+      applyStreamingRenderTransition({ hasDelta: hasAnyDelta });
+    }
+
     /**
      * 处理 Gemini SSE 事件（包括文本、思考过程、代码执行与图片）
      * @param {Object} data - 从SSE事件中解析出的JSON对象
@@ -9357,6 +10461,7 @@ export function createMessageSender(appContext) {
       // 本事件的增量内容
       let currentEventAnswerDelta = '';
       let currentEventThoughtsDelta = '';
+      let hasFunctionCallDelta = false;
       const newInlineImages = [];
 
       if (data.candidates && data.candidates.length > 0) {
@@ -9385,6 +10490,15 @@ export function createMessageSender(appContext) {
               latestGeminiThoughtSignature = extractedSignature;
             }
 
+            // 客户端工具循环：除图片外的 part 原样留存，functionCall 只进时间线、不进正文
+            if (isClientToolLoopStream && !(part.inlineData || part.inline_data)) {
+              latestGeminiModelParts.push(cloneDataSafely(part));
+            }
+            if (part.functionCall || part.function_call) {
+              if (isClientToolLoopStream) hasFunctionCallDelta = true;
+              continue;
+            }
+
             // 1) 普通文本与思考过程
             if (typeof part.text === 'string') {
               const split = splitDeltaByThinkTags(part.text, !!part.thought);
@@ -9445,9 +10559,12 @@ export function createMessageSender(appContext) {
       }
 
       const hasTextDelta = !!(currentEventAnswerDelta || currentEventThoughtsDelta);
+      if (hasFunctionCallDelta) {
+        latestResponsesActivityTimeline = rebuildClientToolLoopTimeline().timeline;
+      }
 
       // 没有任何可见增量内容时直接返回
-      if (!hasTextDelta) return;
+      if (!hasTextDelta && !hasFunctionCallDelta) return;
 
       // 累积主回答与思考过程
       aiResponse += currentEventAnswerDelta;
@@ -9463,7 +10580,7 @@ export function createMessageSender(appContext) {
       }
 
       // Gemini 事件也走统一状态机，避免与 OpenAI 分支出现“首帧/增量”行为偏差。
-      applyStreamingRenderTransition({ hasDelta: hasTextDelta });
+      applyStreamingRenderTransition({ hasDelta: true });
     }
 
     /**
@@ -9822,6 +10939,9 @@ export function createMessageSender(appContext) {
       // 2) OpenAI 兼容：捕获 tool_calls（含 thoughtSignature / function.arguments 分片）
       if (Array.isArray(delta?.tool_calls) && delta.tool_calls.length > 0) {
         latestOpenAIToolCalls = mergeOpenAIToolCallsDelta(latestOpenAIToolCalls, delta.tool_calls);
+        if (isClientToolLoopStream) {
+          latestResponsesActivityTimeline = rebuildClientToolLoopTimeline().timeline;
+        }
       }
 
       // 3) 从事件数据中提取内容增量 (delta)
@@ -9872,7 +10992,7 @@ export function createMessageSender(appContext) {
    * @param {HTMLElement} loadingMessage - 加载状态消息元素
    * @param {Object} usedApiConfig - 本次使用的 API 配置
    * @param {{id:string, aiMessageId?:string}|null} attemptState - 当前请求的 attempt 状态对象
-   * @returns {Promise<{answer:string, responseId:string|null, responseOutputItems:Array<Object>|null, responseInputItems:Array<Object>|null, responseActivityTimeline:Array<Object>|null, responseToolCalls:Array<Object>|null, assistantPhase:string|null, isResponsesApi:boolean}>}
+   * @returns {Promise<{answer:string, responseId:string|null, responseOutputItems:Array<Object>|null, responseInputItems:Array<Object>|null, responseActivityTimeline:Array<Object>|null, responseToolCalls:Array<Object>|null, clientToolReplay:Object|null, assistantPhase:string|null, isResponsesApi:boolean}>}
    */
   async function handleNonStreamResponse(response, loadingMessage, usedApiConfig, attemptState) {
     const canUpdateLoadingStatus = !!(
@@ -9916,6 +11036,8 @@ export function createMessageSender(appContext) {
     let thoughtSignatureSource = null;
     // OpenAI 兼容：必须原样保存的 reasoning_content（不要与 thoughts 混用，避免 UI 合并逻辑改变文本导致签名失效）
     let reasoningContentRaw = '';
+    // Anthropic：逐块原样保存的 thinking / redacted_thinking（各自带签名或 data），供后续轮次回传
+    let anthropicThinkingBlocks = null;
     // OpenAI 兼容：工具调用（若存在则与 thoughtSignature 一并回传）
     let toolCalls = null;
     // Responses API：按顺序保存 reasoning summary / 工具调用活动。
@@ -9939,7 +11061,7 @@ export function createMessageSender(appContext) {
       const text = await response.text().catch(() => '');
       throw new Error(text || '解析响应失败');
     }
-    const responseUsageMeta = normalizeApiUsageMeta(json?.usage || json?.response?.usage);
+    let responseUsageMeta = normalizeApiUsageMeta(json?.usage || json?.response?.usage);
 
     // 错误处理（通用）
     if (json && json.error) {
@@ -9948,8 +11070,21 @@ export function createMessageSender(appContext) {
     }
 
     const isGeminiApi = isGeminiApiResponse(response, usedApiConfig);
-    const isResponsesApi = !isGeminiApi
+    const isAnthropicApi = !isGeminiApi
+      && (isAnthropicApiResponse(response, usedApiConfig) || isAnthropicMessagePayload(json));
+    const isResponsesApi = !isGeminiApi && !isAnthropicApi
       && (isOpenAIResponsesApiResponse(response, usedApiConfig) || isOpenAIResponsesPayload(json));
+    const clientToolProtocol = resolveClientFunctionToolProtocol(usedApiConfig);
+    const isClientToolLoopResponse = !isResponsesApi && !isAnthropicApi && (
+      isGeminiApi
+        ? clientToolProtocol === CLIENT_TOOL_PROTOCOL_GEMINI
+        : clientToolProtocol === CLIENT_TOOL_PROTOCOL_CHAT_COMPLETIONS
+    );
+    // Anthropic 与客户端工具循环只写活动时间线，不涉及 Responses 的 phase / input items。
+    const usesTimelineOnlyMeta = isAnthropicApi || isClientToolLoopResponse;
+    const clientToolIdPrefix = `client_call_${Date.now().toString(36)}`;
+    let geminiModelParts = [];
+    let clientToolCalls = [];
     const markNonStreamCompletion = (messageId, messageDiv = null) => {
       if (!messageId) return;
       const completedAtMs = Date.now();
@@ -9971,7 +11106,7 @@ export function createMessageSender(appContext) {
       );
     };
     const finalizeNonStreamResult = () => {
-      if (isResponsesApi && attemptState) {
+      if ((isResponsesApi || isClientToolLoopResponse) && attemptState) {
         syncAttemptResponsesRuntimeState(attemptState, {
           timeline: responseActivityTimeline,
           inputItems: responsesInputItems,
@@ -9993,6 +11128,16 @@ export function createMessageSender(appContext) {
           : null,
         responseToolCalls: isResponsesApi
           ? getNewResponsesToolCalls(previousResponsesActivityTimeline, responseActivityTimeline)
+          : (clientToolCalls.length > 0 ? clientToolCalls : null),
+        clientToolReplay: clientToolCalls.length > 0
+          ? {
+            protocol: clientToolProtocol,
+            idPrefix: clientToolIdPrefix,
+            answer: answer || '',
+            reasoningContent: reasoningContentRaw || '',
+            toolCalls: cloneDataSafely(toolCalls) || [],
+            modelParts: cloneDataSafely(geminiModelParts) || []
+          }
           : null,
         assistantPhase: responsesAssistantPhase || null,
         isResponsesApi
@@ -10011,6 +11156,11 @@ export function createMessageSender(appContext) {
       const candidate = candidates[0] || null;
       const parts = candidate?.content?.parts || [];
       const inlineImages = [];
+      if (isClientToolLoopResponse) {
+        geminiModelParts = parts
+          .filter(part => part && typeof part === 'object' && !(part.inlineData || part.inline_data))
+          .map(part => cloneDataSafely(part));
+      }
 
       for (const part of parts) {
         // 捕获非函数调用场景下的 Thought Signature：通常位于最后一个 part
@@ -10115,6 +11265,21 @@ export function createMessageSender(appContext) {
       if (typeof extracted.assistantPhase === 'string' && extracted.assistantPhase) {
         responsesAssistantPhase = extracted.assistantPhase;
       }
+    } else if (isAnthropicApi) {
+      // Anthropic Messages 非流式：thinking 进入思考区，工具块进入活动时间线
+      const extracted = extractAnthropicMessageOutput(json);
+      answer = extracted.answer;
+      thoughts = extracted.thinking;
+      if (extracted.thinkingSignature) {
+        reasoningContentRaw = extracted.thinking;
+        thoughtSignature = extracted.thinkingSignature;
+        thoughtSignatureSource = 'anthropic';
+        anthropicThinkingBlocks = extracted.thinkingBlocks;
+      }
+      if (extracted.timeline.length > 0 || previousResponsesActivityTimeline.length > 0) {
+        responseActivityTimeline = mergeResponsesActivityTimeline(previousResponsesActivityTimeline, extracted.timeline);
+      }
+      responseUsageMeta = normalizeApiUsageMeta(extracted.usage);
     } else {
       // OpenAI Chat Completions 兼容 非流式
       const choice = Array.isArray(json?.choices) ? json.choices[0] : null;
@@ -10153,6 +11318,17 @@ export function createMessageSender(appContext) {
       answer = thinkExtraction.cleanText;
       thoughts = mergeThoughts(thoughts, thinkExtraction.thoughtText);
     }
+    if (isClientToolLoopResponse) {
+      const clientToolLoop = buildClientToolLoopTimeline(previousResponsesActivityTimeline, {
+        protocol: clientToolProtocol,
+        toolCalls,
+        modelParts: geminiModelParts,
+        idPrefix: clientToolIdPrefix,
+        commentary: answer
+      });
+      clientToolCalls = clientToolLoop.toolCalls;
+      responseActivityTimeline = clientToolLoop.timeline;
+    }
     const displayThoughts = isResponsesApi ? null : (thoughts || '');
 
     // 优先复用 loading 占位，避免占位升级与新建消息交错导致顺序异常
@@ -10201,6 +11377,7 @@ export function createMessageSender(appContext) {
               try {
                 existingNode.thoughtSignature = thoughtSignature;
                 if (thoughtSignatureSource) existingNode.thoughtSignatureSource = thoughtSignatureSource;
+                if (anthropicThinkingBlocks) existingNode.anthropic_thinking_blocks = anthropicThinkingBlocks;
                 syncAttemptAssistantView(existingMessageId, {
                   attemptState,
                   node: existingNode,
@@ -10227,12 +11404,22 @@ export function createMessageSender(appContext) {
                 console.warn('记录 Responses 元信息失败（非流式，原地替换）:', e);
               }
             // OpenAI 兼容：保存 reasoning_content / tool_calls，供下次请求回传（避免签名校验失败）
-            } else if (!isGeminiApi) {
+            } else if (!isGeminiApi || isClientToolLoopResponse) {
               try {
+                if (usesTimelineOnlyMeta) {
+                  applyResponsesActivityTimelineToNode(existingNode, responseActivityTimeline, { preserveThoughts: true });
+                  syncAttemptAssistantView(existingMessageId, {
+                    attemptState,
+                    node: existingNode,
+                    fallbackElement: existingEl
+                  });
+                }
                 if (typeof reasoningContentRaw === 'string' && reasoningContentRaw) {
                   existingNode.reasoning_content = reasoningContentRaw;
                 }
-                if (Array.isArray(toolCalls) && toolCalls.length > 0) {
+                if (isClientToolLoopResponse) {
+                  delete existingNode.tool_calls;
+                } else if (Array.isArray(toolCalls) && toolCalls.length > 0) {
                   existingNode.tool_calls = toolCalls;
                   // 即使没有 message-level thoughtSignature，只要有 tool_calls（含 tool thoughtSignature），也必须标记来源为 openai，确保后续能回传 tool_calls
                   existingNode.thoughtSignatureSource = 'openai';
@@ -10269,6 +11456,7 @@ export function createMessageSender(appContext) {
         if (node && thoughtSignature) {
           node.thoughtSignature = thoughtSignature;
           if (thoughtSignatureSource) node.thoughtSignatureSource = thoughtSignatureSource;
+          if (anthropicThinkingBlocks) node.anthropic_thinking_blocks = anthropicThinkingBlocks;
           syncAttemptAssistantView(promotedId, {
             attemptState,
             node,
@@ -10286,11 +11474,21 @@ export function createMessageSender(appContext) {
             node,
             fallbackElement: loadingMessage
           });
-        } else if (!isGeminiApi && node) {
+        } else if ((!isGeminiApi || isClientToolLoopResponse) && node) {
+          if (usesTimelineOnlyMeta) {
+            applyResponsesActivityTimelineToNode(node, responseActivityTimeline, { preserveThoughts: true });
+            syncAttemptAssistantView(promotedId, {
+              attemptState,
+              node,
+              fallbackElement: loadingMessage
+            });
+          }
           if (typeof reasoningContentRaw === 'string' && reasoningContentRaw) {
             node.reasoning_content = reasoningContentRaw;
           }
-          if (Array.isArray(toolCalls) && toolCalls.length > 0) {
+          if (isClientToolLoopResponse) {
+            delete node.tool_calls;
+          } else if (Array.isArray(toolCalls) && toolCalls.length > 0) {
             node.tool_calls = toolCalls;
             node.thoughtSignatureSource = 'openai';
           }
@@ -10330,6 +11528,7 @@ export function createMessageSender(appContext) {
           try {
             createdNode.thoughtSignature = thoughtSignature;
             if (thoughtSignatureSource) createdNode.thoughtSignatureSource = thoughtSignatureSource;
+            if (anthropicThinkingBlocks) createdNode.anthropic_thinking_blocks = anthropicThinkingBlocks;
             syncAttemptAssistantView(messageId, {
               attemptState,
               node: createdNode
@@ -10350,12 +11549,17 @@ export function createMessageSender(appContext) {
             console.warn('记录 Responses 元信息失败（非流式，后台线程）:', e);
           }
         // OpenAI 兼容：保存 reasoning_content / tool_calls（仅在非 Gemini 场景）
-        } else if (!isGeminiApi) {
+        } else if (!isGeminiApi || isClientToolLoopResponse) {
           try {
+            if (usesTimelineOnlyMeta) {
+              applyResponsesActivityTimelineToNode(createdNode, responseActivityTimeline, { preserveThoughts: true });
+            }
             if (typeof reasoningContentRaw === 'string' && reasoningContentRaw) {
               createdNode.reasoning_content = reasoningContentRaw;
             }
-            if (Array.isArray(toolCalls) && toolCalls.length > 0) {
+            if (isClientToolLoopResponse) {
+              delete createdNode.tool_calls;
+            } else if (Array.isArray(toolCalls) && toolCalls.length > 0) {
               createdNode.tool_calls = toolCalls;
               createdNode.thoughtSignatureSource = 'openai';
             }
@@ -10402,6 +11606,7 @@ export function createMessageSender(appContext) {
           if (node) {
             node.thoughtSignature = thoughtSignature;
             if (thoughtSignatureSource) node.thoughtSignatureSource = thoughtSignatureSource;
+            if (anthropicThinkingBlocks) node.anthropic_thinking_blocks = anthropicThinkingBlocks;
             syncAttemptAssistantView(messageId, {
               attemptState,
               node,
@@ -10432,14 +11637,24 @@ export function createMessageSender(appContext) {
 	          console.warn('记录 Responses 元信息失败（非流式）:', e);
 	        }
 	      // OpenAI 兼容：保存 reasoning_content / tool_calls（仅在非 Gemini 场景）
-	      } else if (!isGeminiApi) {
+	      } else if (!isGeminiApi || isClientToolLoopResponse) {
 	        try {
 	          const node = resolveAttemptAiNode(attemptState, messageId);
 	          if (node) {
+	            if (usesTimelineOnlyMeta) {
+	              applyResponsesActivityTimelineToNode(node, responseActivityTimeline, { preserveThoughts: true });
+	              syncAttemptAssistantView(messageId, {
+	                attemptState,
+	                node,
+	                fallbackElement: newAiMessageDiv
+	              });
+	            }
 	            if (typeof reasoningContentRaw === 'string' && reasoningContentRaw) {
 	              node.reasoning_content = reasoningContentRaw;
 	            }
-	            if (Array.isArray(toolCalls) && toolCalls.length > 0) {
+	            if (isClientToolLoopResponse) {
+	              delete node.tool_calls;
+	            } else if (Array.isArray(toolCalls) && toolCalls.length > 0) {
 	              node.tool_calls = toolCalls;
 	              node.thoughtSignatureSource = 'openai';
 	            }
@@ -10514,7 +11729,7 @@ export function createMessageSender(appContext) {
 
         const promptType = 'summary';
         messageInput.textContent = prompts[promptType].prompt;
-        // 发送消息时指定提示词类型并传入 API 偏好
+        // 发送消息时指定提示词类型并传入 API 偏好（视频字幕随页面内容经 page_content_read 读取）
         await sendMessage({ specificPromptType: promptType, api: prompts[promptType]?.model });
       }
     } catch (error) {
@@ -10733,6 +11948,8 @@ export function createMessageSender(appContext) {
     setShouldAutoScroll,
     getSlashCommandList,
     getSlashCommandHints,
+    registerSlashCommands,
+    getPageContent,
     getStreamingConversationIds,
     getBackgroundCompletedConversationIds,
     subscribeStreamingConversationState,
@@ -0,0 +1,637 @@
+/**
+ * 提示词库管理器
+ *
+ * 职责：
+ * - 在 chrome.storage.local 中保存用户的命名模板（正文可能较长，不占用 sync 配额）；
+ * - 在“提示词设置”面板渲染提示词库：新增/编辑/删除、标签与搜索、“使用”按钮；
+ * - 把每个合法模板注册为斜杠命令 /命令名，执行时取内置变量、弹出变量表单，再把填好的正文交给发送流程。
+ *
+ * 模板变量的解析与填充见 utils/prompt_library.js。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import { serializeSelectionTextWithMath } from '../utils/math_selection_text.js';
+import { replacePlaceholders } from './prompt_resolver.js';
+import {
+  collectPromptTemplateTags,
+  createPromptTemplateId,
+  extractPromptTemplateVariables,
+  fillPromptTemplate,
+  normalizePromptTemplate,
+  normalizePromptTemplateList,
+  searchPromptTemplates,
+  validatePromptTemplate
+} from '../utils/prompt_library.js';
+
+const PROMPT_LIBRARY_STORAGE_KEY = 'prompt_library_templates';
+const SLASH_COMMAND_SOURCE = 'prompt-library';
+const SAVE_DEBOUNCE_MS = 400;
+const DELETE_CONFIRM_TIMEOUT_MS = 2400;
+
+const BUILTIN_VARIABLE_LABELS = {
+  selection: '选中文本',
+  'page.title': '页面标题',
+  'page.url': '页面地址',
+  clipboard: '剪贴板'
+};
+
+const DEFAULT_TEMPLATE_CONTENT = '请把下面的内容翻译成{{语言}}：\n\n{{selection}}';
+
+/**
+ * 创建提示词库管理器
+ * @param {Object} appContext - 应用程序上下文对象
+ * @returns {Object} 管理器实例
+ */
+export function createPromptLibraryManager(appContext) {
+  const { dom, services, state } = appContext;
+  const showNotification = (...args) => appContext.utils?.showNotification?.(...args);
+
+  let templates = [];
+  let container = null;
+  let searchQuery = '';
+  let saveTimer = null;
+
+  async function loadFromStorage() {
+    try {
+      const wrap = await chrome.storage.local.get([PROMPT_LIBRARY_STORAGE_KEY]);
+      templates = normalizePromptTemplateList(wrap?.[PROMPT_LIBRARY_STORAGE_KEY]);
+    } catch (error) {
+      console.error('加载提示词库失败:', error);
+    }
+  }
+
+  function persistTemplates() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return queueStorageSet('local', { [PROMPT_LIBRARY_STORAGE_KEY]: templates }, { flush: 'now' });
+  }
+
+  function schedulePersistTemplates() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      persistTemplates().catch(error => console.error('保存提示词库失败:', error));
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  /**
+   * 返回全部模板（副本）。
+   * @returns {Array<Object>}
+   */
+  function getTemplates() {
+    return templates.map(template => ({ ...template, tags: template.tags.slice() }));
+  }
+
+  /** 内置斜杠命令的名称与别名，模板不能与之重名 */
+  function getBuiltinCommandNames() {
+    const names = [];
+    (services.messageSender?.getSlashCommandList?.() || []).forEach((item) => {
+      if (item.source === SLASH_COMMAND_SOURCE) return;
+      names.push(item.name, ...(item.aliases || []));
+    });
+    return names;
+  }
+
+  /**
+   * 按列表顺序校验：与内置命令或更靠前的模板重名时，靠后的模板不注册。
+   * @returns {Map<string, string>} 模板 id -> 问题说明（合法为空串）
+   */
+  function validateAllTemplates() {
+    const taken = getBuiltinCommandNames();
+    const results = new Map();
+    templates.forEach((template) => {
+      const error = validatePromptTemplate(template, { takenCommands: taken });
+      results.set(template.id, error);
+      if (!error) taken.push(template.command);
+    });
+    return results;
+  }
+
+  // ---- 变量取值与表单 ----
+
+  async function readSelectionText() {
+    const sidebarSelection = serializeSelectionTextWithMath(window.getSelection(), { trim: true });
+    if (sidebarSelection) return sidebarSelection;
+    if (state.isStandalone) return '';
+    const pageContent = await services.messageSender?.getPageContent?.();
+    return (pageContent?.selectedText || '').trim();
+  }
+
+  /**
+   * clipboardRead 是可选权限：首次用到 {{clipboard}} 时才申请（已授权时直接返回 true，不会再弹窗）。
+   * 申请需要用户手势，所以要在其它 await 之前调用。
+   * @returns {Promise<boolean>}
+   */
+  async function requestClipboardReadPermission() {
+    if (typeof chrome?.permissions?.request !== 'function') return true;
+    try {
+      return await chrome.permissions.request({ permissions: ['clipboardRead'] });
+    } catch (error) {
+      console.warn('申请剪贴板权限失败:', error);
+      return false;
+    }
+  }
+
+  async function readClipboardText() {
+    try {
+      return await navigator.clipboard.readText();
+    } catch (error) {
+      console.warn('读取剪贴板失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 取模板用到的内置变量；读取失败的变量（如剪贴板无权限）返回 null，交给表单手动填写。
+   * @param {string[]} builtins
+   * @returns {Promise<Object<string, string|null>>}
+   */
+  async function resolveBuiltinValues(builtins) {
+    const values = {};
+    // 先申请剪贴板权限，趁用户手势还在；拒绝时剪贴板变量留给表单手动填写
+    const clipboardAllowed = builtins.includes('clipboard') && await requestClipboardReadPermission();
+    if (builtins.includes('clipboard') && !clipboardAllowed) {
+      showNotification({ message: '未授予剪贴板权限，请在表单中手动填写剪贴板内容', type: 'warning' });
+    }
+    if (builtins.includes('selection')) values.selection = await readSelectionText();
+    if (builtins.includes('page.title') || builtins.includes('page.url')) {
+      let pageInfo = state.pageInfo;
+      if (!pageInfo?.url && !state.isStandalone) {
+        pageInfo = await services.messageSender?.getPageContent?.() || pageInfo;
+      }
+      values['page.title'] = pageInfo?.title || '';
+      values['page.url'] = pageInfo?.url || '';
+    }
+    if (builtins.includes('clipboard')) values.clipboard = clipboardAllowed ? await readClipboardText() : null;
+    return values;
+  }
+
+  /**
+   * 变量填写表单（样式沿用统一输入弹窗）。
+   * @param {{title: string, fields: Array<{name: string, label: string, value: string, multiline: boolean}>}} options
+   * @returns {Promise<Object<string, string>|null>} 取消时返回 null
+   */
+  function openVariablesForm({ title, fields }) {
+    return new Promise((resolve) => {
+      const root = document.createElement('div');
+      root.className = 'cerebr-input-dialog-mask';
+
+      const panel = document.createElement('div');
+      panel.className = 'cerebr-input-dialog prompt-template-form';
+      panel.setAttribute('role', 'dialog');
+      panel.setAttribute('aria-modal', 'true');
+      panel.setAttribute('aria-label', title);
+      root.appendChild(panel);
+
+      const titleEl = document.createElement('div');
+      titleEl.className = 'cerebr-input-dialog-title';
+      titleEl.textContent = title;
+      panel.appendChild(titleEl);
+
+      const messageEl = document.createElement('div');
+      messageEl.className = 'cerebr-input-dialog-message';
+      messageEl.textContent = 'Ctrl/Cmd+Enter 确认，Esc 取消';
+      panel.appendChild(messageEl);
+
+      const controls = fields.map((field) => {
+        const label = document.createElement('label');
+        label.className = 'prompt-template-form__label';
+        label.textContent = field.label;
+        const control = field.multiline ? document.createElement('textarea') : document.createElement('input');
+        control.className = 'cerebr-input-dialog-control';
+        if (field.multiline) {
+          control.rows = 3;
+        } else {
+          control.type = 'text';
+        }
+        control.value = field.value || '';
+        label.appendChild(control);
+        panel.appendChild(label);
+        return { name: field.name, control };
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'cerebr-input-dialog-actions';
+      const cancelButton = document.createElement('button');
+      cancelButton.type = 'button';
+      cancelButton.className = 'cerebr-input-dialog-button cerebr-input-dialog-button--cancel';
+      cancelButton.textContent = '取消';
+      const confirmButton = document.createElement('button');
+      confirmButton.type = 'button';
+      confirmButton.className = 'cerebr-input-dialog-button cerebr-input-dialog-button--confirm';
+      confirmButton.textContent = '确定';
+      actions.append(cancelButton, confirmButton);
+      panel.appendChild(actions);
+
+      const finish = (result) => {
+        document.removeEventListener('keydown', handleKeydown, true);
+        root.remove();
+        resolve(result);
+      };
+      const confirm = () => {
+        const values = {};
+        controls.forEach(({ name, control }) => { values[name] = control.value; });
+        finish(values);
+      };
+      const handleKeydown = (event) => {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          event.stopPropagation();
+          finish(null);
+          return;
+        }
+        if (event.key !== 'Enter' || event.isComposing) return;
+        const multiline = event.target instanceof HTMLTextAreaElement;
+        if (!multiline || event.ctrlKey || event.metaKey) {
+          event.preventDefault();
+          event.stopPropagation();
+          confirm();
+        }
+      };
+
+      cancelButton.addEventListener('click', () => finish(null));
+      confirmButton.addEventListener('click', confirm);
+      root.addEventListener('mousedown', (event) => {
+        event.stopPropagation();
+        if (event.target === root) finish(null);
+      });
+      root.addEventListener('click', event => event.stopPropagation());
+      document.addEventListener('keydown', handleKeydown, true);
+      document.body.appendChild(root);
+      requestAnimationFrame(() => controls[0]?.control.focus());
+    });
+  }
+
+  /**
+   * 生成模板的最终正文：取内置变量，必要时弹出表单填写用户变量，再替换日期时间占位符。
+   *
+   * argsText 是斜杠命令后面的文本：模板只有一个用户变量时直接作为它的值（不再弹表单），
+   * 没有用户变量时追加在正文末尾。
+   *
+   * @param {Object} template
+   * @param {{argsText?: string}} [options]
+   * @returns {Promise<string|null>} 用户取消或结果为空时返回 null
+   */
+  async function renderTemplate(template, { argsText = '' } = {}) {
+    const { variables, builtins } = extractPromptTemplateVariables(template.content);
+    const values = await resolveBuiltinValues(builtins);
+    const args = String(argsText || '').trim();
+
+    const fields = variables.map((name, index) => ({
+      name,
+      label: name,
+      value: index === 0 ? args : '',
+      multiline: true
+    }));
+    // 读不到的内置变量也放进表单，允许手动补上
+    builtins
+      .filter(name => values[name] == null || (name === 'selection' && !values[name]))
+      .forEach((name) => {
+        fields.push({ name, label: BUILTIN_VARIABLE_LABELS[name] || name, value: values[name] || '', multiline: true });
+      });
+
+    const canSkipForm = fields.length === 0 || (fields.length === 1 && variables.length === 1 && args);
+    if (canSkipForm) {
+      if (variables.length === 1) values[variables[0]] = args;
+    } else {
+      const filled = await openVariablesForm({ title: template.name || `/${template.command}`, fields });
+      if (!filled) return null;
+      Object.assign(values, filled);
+    }
+
+    let text = fillPromptTemplate(template.content, values);
+    if (!variables.length && args) text = `${text.trimEnd()}\n\n${args}`;
+    text = replacePlaceholders(text).trim();
+    return text || null;
+  }
+
+  // ---- 斜杠命令 ----
+
+  function buildSlashCommand(template) {
+    const { variables } = extractPromptTemplateVariables(template.content);
+    const tagText = template.tags.length ? ` #${template.tags.join(' #')}` : '';
+    return {
+      name: template.command,
+      usage: variables.length === 1 ? `/${template.command} [${variables[0]}]` : `/${template.command}`,
+      description: `${template.name || '提示词模板'}${tagText}`,
+      requiresArgs: false,
+      handler: async ({ argsText }) => {
+        const current = templates.find(item => item.id === template.id);
+        if (!current) return { ok: false, keepInput: true };
+        const text = await renderTemplate(current, { argsText });
+        if (!text) return { ok: false, keepInput: true };
+        return { ok: true, overrideText: text };
+      }
+    };
+  }
+
+  function syncSlashCommands() {
+    const sender = services.messageSender;
+    if (typeof sender?.registerSlashCommands !== 'function') return;
+    const errors = validateAllTemplates();
+    sender.registerSlashCommands(
+      SLASH_COMMAND_SOURCE,
+      templates.filter(template => !errors.get(template.id)).map(buildSlashCommand)
+    );
+  }
+
+  /**
+   * 填好模板后放进输入框，供用户继续编辑再发送。
+   * @param {string} templateId
+   */
+  async function insertTemplateIntoInput(templateId) {
+    const template = templates.find(item => item.id === templateId);
+    if (!template) return;
+    const text = await renderTemplate(template);
+    if (!text) return;
+    services.chatHistoryUI?.closeChatHistoryPanel?.();
+    const inputController = services.inputController;
+    if (inputController) {
+      inputController.setInputText(text);
+      inputController.focusToEnd?.();
+    } else if (dom.messageInput) {
+      dom.messageInput.textContent = text;
+    }
+    try { services.uiManager?.updateSendButtonState?.(); } catch (_) {}
+  }
+
+  // ---- 设置面板 ----
+
+  function createField(labelText, control) {
+    const field = document.createElement('div');
+    field.className = 'custom-tool-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+  }
+
+  function describeTemplateVariables(template) {
+    const { variables, builtins } = extractPromptTemplateVariables(template.content);
+    const parts = [];
+    if (variables.length) parts.push(`填写：${variables.join('、')}`);
+    if (builtins.length) parts.push(`自动：${builtins.map(name => BUILTIN_VARIABLE_LABELS[name] || name).join('、')}`);
+    return parts.join(' · ');
+  }
+
+  function createTemplateCard(template, error) {
+    const card = document.createElement('div');
+    card.className = 'custom-tool-item prompt-library-item';
+    card.dataset.templateId = template.id;
+
+    const header = document.createElement('div');
+    header.className = 'custom-tool-item-header';
+    const title = document.createElement('div');
+    title.className = 'custom-tool-item-title';
+    const meta = document.createElement('div');
+    meta.className = 'custom-tool-item-meta';
+
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'custom-tool-add-button prompt-library-use-btn';
+    useButton.textContent = '使用';
+    useButton.title = '填写变量后放入输入框';
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'custom-tool-delete-btn';
+    deleteButton.textContent = '删除';
+    meta.append(useButton, deleteButton);
+    header.append(title, meta);
+    card.appendChild(header);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = '例如 翻译选中内容';
+    nameInput.value = template.name;
+
+    const commandInput = document.createElement('input');
+    commandInput.type = 'text';
+    commandInput.placeholder = '例如 tr';
+    commandInput.spellcheck = false;
+    commandInput.value = template.command;
+
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.placeholder = '用逗号或空格分隔，例如 写作, 翻译';
+    tagsInput.value = template.tags.join(', ');
+
+    const contentInput = document.createElement('textarea');
+    contentInput.rows = 5;
+    contentInput.placeholder = '支持 {{变量}}、{{selection}}、{{page.title}}、{{page.url}}、{{clipboard}}';
+    contentInput.value = template.content;
+
+    const hint = document.createElement('div');
+    hint.className = 'custom-tool-hint';
+
+    card.appendChild(createField('名称', nameInput));
+    card.appendChild(createField('斜杠命令', commandInput));
+    card.appendChild(createField('标签', tagsInput));
+    card.appendChild(createField('模板内容', contentInput));
+    card.appendChild(hint);
+
+    const refreshHeader = (currentError) => {
+      const current = templates.find(item => item.id === template.id);
+      if (!current) return;
+      title.textContent = [current.command ? `/${current.command}` : '', current.name].filter(Boolean).join(' · ') || '未命名模板';
+      hint.textContent = currentError || describeTemplateVariables(current);
+      hint.classList.toggle('warning', !!currentError);
+      card.classList.toggle('invalid', !!currentError);
+    };
+
+    const updateTemplate = (patch) => {
+      templates = templates.map(item => (item.id === template.id ? normalizePromptTemplate({ ...item, ...patch }) : item));
+      refreshHeader(validateAllTemplates().get(template.id));
+      syncSlashCommands();
+      schedulePersistTemplates();
+    };
+
+    nameInput.addEventListener('input', () => updateTemplate({ name: nameInput.value }));
+    commandInput.addEventListener('input', () => updateTemplate({ command: commandInput.value }));
+    commandInput.addEventListener('change', () => {
+      commandInput.value = templates.find(item => item.id === template.id)?.command || '';
+    });
+    tagsInput.addEventListener('change', () => {
+      updateTemplate({ tags: tagsInput.value });
+      renderTagFilters();
+    });
+    contentInput.addEventListener('input', () => updateTemplate({ content: contentInput.value }));
+    useButton.addEventListener('click', () => {
+      insertTemplateIntoInput(template.id).catch((err) => {
+        console.error('使用提示词模板失败:', err);
+        showNotification({ message: '使用模板失败', type: 'warning' });
+      });
+    });
+
+    let deleteConfirmTimer = null;
+    const resetDeleteConfirm = () => {
+      deleteButton.dataset.confirming = 'false';
+      deleteButton.classList.remove('is-confirming');
+      card.classList.remove('delete-confirming');
+      deleteButton.textContent = '删除';
+      clearTimeout(deleteConfirmTimer);
+      deleteConfirmTimer = null;
+    };
+    deleteButton.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (deleteButton.dataset.confirming !== 'true') {
+        deleteButton.dataset.confirming = 'true';
+        deleteButton.classList.add('is-confirming');
+        card.classList.add('delete-confirming');
+        deleteButton.textContent = '确认删除';
+        deleteConfirmTimer = setTimeout(resetDeleteConfirm, DELETE_CONFIRM_TIMEOUT_MS);
+        return;
+      }
+      resetDeleteConfirm();
+      templates = templates.filter(item => item.id !== template.id);
+      syncSlashCommands();
+      try {
+        await persistTemplates();
+      } catch (err) {
+        console.error('删除提示词模板失败:', err);
+      }
+      renderSettingsList();
+    });
+
+    refreshHeader(error);
+    return card;
+  }
+
+  function renderTagFilters() {
+    const tagBar = container?.querySelector('.prompt-library-tags');
+    if (!tagBar) return;
+    tagBar.innerHTML = '';
+    const activeTerms = searchQuery.toLowerCase().split(/\s+/);
+    collectPromptTemplateTags(templates).forEach(({ tag, count }) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'prompt-library-tag';
+      chip.textContent = `#${tag} ${count}`;
+      const term = `#${tag}`;
+      chip.classList.toggle('active', activeTerms.includes(term.toLowerCase()));
+      chip.addEventListener('click', () => {
+        const terms = searchQuery.split(/\s+/).filter(Boolean);
+        const index = terms.findIndex(item => item.toLowerCase() === term.toLowerCase());
+        if (index >= 0) {
+          terms.splice(index, 1);
+        } else {
+          terms.push(term);
+        }
+        searchQuery = terms.join(' ');
+        const searchInput = container.querySelector('.prompt-library-search');
+        if (searchInput) searchInput.value = searchQuery;
+        renderSettingsList();
+      });
+      tagBar.appendChild(chip);
+    });
+  }
+
+  function renderSettingsList() {
+    const list = container?.querySelector('.prompt-library-list');
+    if (!list) return;
+    list.innerHTML = '';
+    renderTagFilters();
+    if (templates.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'custom-tool-hint';
+      empty.textContent = '还没有模板。';
+      list.appendChild(empty);
+      return;
+    }
+    const matched = searchPromptTemplates(templates, searchQuery);
+    if (matched.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'custom-tool-hint';
+      empty.textContent = '没有匹配的模板。';
+      list.appendChild(empty);
+      return;
+    }
+    const errors = validateAllTemplates();
+    matched.forEach(template => list.appendChild(createTemplateCard(template, errors.get(template.id))));
+  }
+
+  function buildSettingsSection() {
+    const panel = document.createElement('div');
+    panel.className = 'custom-tools-panel prompt-library-panel';
+
+    const header = document.createElement('div');
+    header.className = 'custom-tools-header';
+    const title = document.createElement('span');
+    title.className = 'custom-tools-title';
+    title.textContent = '提示词库';
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'custom-tool-add-button';
+    addButton.textContent = '+ 新增模板';
+    addButton.addEventListener('click', async () => {
+      const template = normalizePromptTemplate({
+        id: createPromptTemplateId(),
+        name: `模板 ${templates.length + 1}`,
+        command: `prompt${templates.length + 1}`,
+        content: DEFAULT_TEMPLATE_CONTENT
+      });
+      templates = [template, ...templates];
+      searchQuery = '';
+      const searchInput = container.querySelector('.prompt-library-search');
+      if (searchInput) searchInput.value = '';
+      syncSlashCommands();
+      try {
+        await persistTemplates();
+      } catch (error) {
+        console.error('保存提示词库失败:', error);
+      }
+      renderSettingsList();
+    });
+    header.append(title, addButton);
+
+    const intro = document.createElement('div');
+    intro.className = 'custom-tool-hint';
+    intro.textContent = '每个模板可在输入框用 /命令名 直接发送（命令后的文字填入唯一的变量）；{{变量}} 会弹出表单填写，{{selection}}、{{page.title}}、{{page.url}}、{{clipboard}} 自动取值。';
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'prompt-library-search';
+    searchInput.placeholder = '搜索名称、命令或内容，#标签 按标签筛选';
+    searchInput.value = searchQuery;
+    searchInput.addEventListener('input', () => {
+      searchQuery = searchInput.value;
+      renderSettingsList();
+    });
+
+    const tagBar = document.createElement('div');
+    tagBar.className = 'prompt-library-tags';
+
+    const list = document.createElement('div');
+    list.className = 'custom-tools-list prompt-library-list';
+
+    panel.append(header, intro, searchInput, tagBar, list);
+    return panel;
+  }
+
+  async function init() {
+    await loadFromStorage();
+    container = document.getElementById('prompt-library');
+    if (container) {
+      container.appendChild(buildSettingsSection());
+      renderSettingsList();
+    }
+    syncSlashCommands();
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes?.[PROMPT_LIBRARY_STORAGE_KEY]) return;
+        templates = normalizePromptTemplateList(changes[PROMPT_LIBRARY_STORAGE_KEY].newValue);
+        syncSlashCommands();
+        // 正在编辑时不重建卡片，避免打断输入
+        if (container && !container.contains(document.activeElement)) renderSettingsList();
+      });
+    } catch (error) {
+      console.warn('注册提示词库跨标签同步失败（忽略）：', error);
+    }
+  }
+
+  return {
+    init,
+    getTemplates,
+    renderTemplate,
+    insertTemplateIntoInput
+  };
+}
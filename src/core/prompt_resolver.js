@@ -1,7 +1,7 @@
 /**
  * 提示词解析模块（纯函数，无副作用）
  * - 占位符替换
- * - URL 规则匹配
+ * - URL 规则匹配（通配/正则、优先级，以及提示词之外的 API、提取方式、温度与工具开关）
  * @since 1.1.0
  */
 
@@ -33,10 +33,147 @@ export function replacePlaceholders(text) {
         .replace(/{{\s*time\s*}}/g, now.toLocaleTimeString());
 }
 
+/**
+ * 判断 URL 是否匹配通配模式（`*` 匹配任意串，`?` 匹配单个字符，整串匹配）
+ * 模式非法时抛出异常，由调用方决定如何提示
+ * @param {string} url 待匹配的 URL
+ * @param {string} pattern 通配模式，例如 "https://example.com/*"
+ * @returns {boolean}
+ */
+export function matchesUrlPattern(url, pattern) {
+    if (!url || !pattern) return false;
+    const source = pattern
+        .replace(/\./g, '\\.')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp('^' + source + '$').test(url);
+}
+
+export const URL_RULE_EXTRACTION_MODES = Object.freeze(['markdown', 'markdown_page', 'text']);
+
+/**
+ * 规范化 URL 规则，兼容只有 pattern/type/prompt 的旧规则
+ * - patternType: 'glob' 为整串通配匹配；'regex' 为正则，在 URL 中任意位置命中即可（需要整串时自行加 ^ 与 $）
+ * - priority: 数值越大越优先；同优先级时后添加的规则优先（与旧版“后者覆盖前者”一致）
+ * - prompt 为空时该规则不覆盖提示词，只提供其它字段
+ * - apiConfig 为 API 配置 id；temperature 为 null 表示不覆盖；extractionMode 为空表示跟随设置
+ * @param {Object} raw 原始规则
+ * @returns {{pattern: string, patternType: 'glob'|'regex', priority: number, type: 'system'|'summary', prompt: string, apiConfig: string, extractionMode: string, temperature: number|null, enableTools: boolean}}
+ */
+export function normalizeUrlRule(raw) {
+    const item = (raw && typeof raw === 'object') ? raw : {};
+    const priority = Number(item.priority);
+    const temperature = (item.temperature === '' || item.temperature == null) ? NaN : Number(item.temperature);
+    return {
+        pattern: (typeof item.pattern === 'string') ? item.pattern.trim() : '',
+        patternType: item.patternType === 'regex' ? 'regex' : 'glob',
+        priority: Number.isFinite(priority) ? Math.trunc(priority) : 0,
+        type: item.type === 'summary' ? 'summary' : 'system',
+        prompt: (typeof item.prompt === 'string') ? item.prompt : '',
+        apiConfig: (typeof item.apiConfig === 'string') ? item.apiConfig.trim() : '',
+        extractionMode: URL_RULE_EXTRACTION_MODES.includes(item.extractionMode) ? item.extractionMode : '',
+        temperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : null,
+        enableTools: item.enableTools === true
+    };
+}
+
+// 规则填写了哪些字段：systemPrompt/summaryPrompt、apiConfig、extractionMode、temperature、enableTools
+function getUrlRuleFields(rule) {
+    const fields = [];
+    if (rule.prompt.trim()) fields.push(rule.type === 'summary' ? 'summaryPrompt' : 'systemPrompt');
+    if (rule.apiConfig) fields.push('apiConfig');
+    if (rule.extractionMode) fields.push('extractionMode');
+    if (rule.temperature !== null) fields.push('temperature');
+    if (rule.enableTools) fields.push('enableTools');
+    return fields;
+}
+
+/**
+ * 测试单条规则，返回是否命中及原因
+ * @param {string} url
+ * @param {Object} rule 已规范化的规则
+ * @returns {{matched: boolean, reason: string, error: string}}
+ */
+function testUrlRule(url, rule) {
+    if (!rule.pattern) return { matched: false, reason: '未填写匹配模式', error: '' };
+    try {
+        if (rule.patternType === 'regex') {
+            const match = new RegExp(rule.pattern).exec(url);
+            if (!match) return { matched: false, reason: '正则未命中', error: '' };
+            const fragment = match[0].length > 60 ? `${match[0].slice(0, 60)}…` : match[0];
+            return { matched: true, reason: fragment ? `正则命中“${fragment}”` : '正则命中（空匹配）', error: '' };
+        }
+        return matchesUrlPattern(url, rule.pattern)
+            ? { matched: true, reason: '通配模式匹配整个 URL', error: '' }
+            : { matched: false, reason: '通配模式未匹配整个 URL', error: '' };
+    } catch (e) {
+        return { matched: false, reason: `模式无效：${e?.message || e}`, error: String(e?.message || e) };
+    }
+}
+
+/**
+ * 按生效顺序逐条说明规则对 URL 的匹配情况，供设置页的“测试 URL”展示
+ * applied 为该规则实际生效的字段；shadowed 为该规则填写了、但已被更优先的规则占用的字段
+ * @param {string} url
+ * @param {Array<Object>} rules 原始规则数组
+ * @returns {Array<{index: number, rule: Object, matched: boolean, reason: string, error: string, applied: string[], shadowed: string[]}>}
+ */
+export function explainUrlRuleMatches(url, rules) {
+    if (!Array.isArray(rules)) return [];
+    const ordered = rules
+        .map((rule, index) => ({ index, rule: normalizeUrlRule(rule) }))
+        .sort((a, b) => (b.rule.priority - a.rule.priority) || (b.index - a.index));
+    const taken = new Set();
+    return ordered.map(({ index, rule }) => {
+        const result = url ? testUrlRule(url, rule) : { matched: false, reason: 'URL 为空', error: '' };
+        const applied = [];
+        const shadowed = [];
+        if (result.matched) {
+            getUrlRuleFields(rule).forEach((field) => {
+                if (taken.has(field)) {
+                    shadowed.push(field);
+                } else {
+                    taken.add(field);
+                    applied.push(field);
+                }
+            });
+        }
+        return { index, rule, ...result, applied, shadowed };
+    });
+}
+
+/**
+ * 汇总 URL 命中的规则得到最终设置，每个字段取生效顺序中第一条提供该字段的规则
+ * @param {string} url 当前页面 URL
+ * @param {Array<Object>} rules 规则数组
+ * @returns {{systemPrompt: string|null, summaryPrompt: string|null, apiConfig: string, extractionMode: string, temperature: number|null, enableTools: boolean}}
+ */
+export function resolveUrlRuleSettings(url, rules) {
+    const settings = {
+        systemPrompt: null,
+        summaryPrompt: null,
+        apiConfig: '',
+        extractionMode: '',
+        temperature: null,
+        enableTools: false
+    };
+    explainUrlRuleMatches(url, rules).forEach((entry) => {
+        if (entry.error) console.error(`URL 规则无效: ${entry.rule.pattern}`, entry.error);
+        entry.applied.forEach((field) => {
+            if (field === 'systemPrompt' || field === 'summaryPrompt') {
+                settings[field] = entry.rule.prompt;
+            } else {
+                settings[field] = entry.rule[field];
+            }
+        });
+    });
+    return settings;
+}
+
 /**
  * 根据 URL 与类型匹配规则并返回提示词
  * 规则示例: { pattern: "https://example.com/*", type: "system" | "summary", prompt: "..." }
- * 后添加的规则优先级更高
+ * 优先级见 normalizeUrlRule
  * @param {string} url 当前页面 URL
  * @param {('system'|'summary')} type 规则类型
  * @param {Array<Object>} rules 规则数组
@@ -44,21 +181,6 @@ export function replacePlaceholders(text) {
  */
 export function getMatchingUrlRule(url, type, rules) {
     if (!url || !Array.isArray(rules)) return null;
-    for (let i = rules.length - 1; i >= 0; i--) {
-        const rule = rules[i];
-        if (!rule || rule.type !== type || !rule.pattern) continue;
-        try {
-            const pattern = rule.pattern
-                .replace(/\./g, '\\.')
-                .replace(/\*/g, '.*')
-                .replace(/\?/g, '.');
-            const regex = new RegExp('^' + pattern + '$');
-            if (regex.test(url)) return rule.prompt || '';
-        } catch (e) {
-            console.error(`URL 规则无效: ${rule.pattern}`, e);
-        }
-    }
-    return null;
+    const settings = resolveUrlRuleSettings(url, rules);
+    return type === 'summary' ? settings.summaryPrompt : (type === 'system' ? settings.systemPrompt : null);
 }
-
-
@@ -1,5 +1,10 @@
 import { migrateOldPromptSettings, loadAllPromptSettings, savePromptSettingsBulk } from './prompt_store.js';
-import { replacePlaceholders as resolvePlaceholders, getMatchingUrlRule as resolveUrlRule } from './prompt_resolver.js';
+import {
+    replacePlaceholders as resolvePlaceholders,
+    normalizeUrlRule,
+    explainUrlRuleMatches,
+    resolveUrlRuleSettings
+} from './prompt_resolver.js';
 
 /**
  * 规范化加载到的提示词项，确保包含 prompt 与 model 字段
@@ -14,6 +19,37 @@ function normalizePromptItem(loaded, fallback) {
     return { prompt, model };
 }
 
+const URL_RULE_EXTRACTION_OPTIONS = [
+    { value: '', label: '提取方式：跟随设置' },
+    { value: 'markdown', label: 'Markdown（识别正文）' },
+    { value: 'markdown_page', label: 'Markdown（整页）' },
+    { value: 'text', label: '纯文本（整页）' }
+];
+
+// “测试 URL”结果里各字段的名称
+const URL_RULE_FIELD_LABELS = {
+    systemPrompt: '系统提示词',
+    summaryPrompt: '快速总结提示词',
+    apiConfig: 'API',
+    extractionMode: '提取方式',
+    temperature: '温度',
+    enableTools: '工具'
+};
+
+function createUrlRuleSelect(className, ariaLabel, options, value) {
+    const select = document.createElement('select');
+    select.className = className;
+    select.setAttribute('aria-label', ariaLabel);
+    options.forEach((item) => {
+        const option = document.createElement('option');
+        option.value = item.value;
+        option.textContent = item.label;
+        select.appendChild(option);
+    });
+    select.value = options.some(item => item.value === value) ? value : options[0].value;
+    return select;
+}
+
 // 默认提示词
 const DEFAULT_PROMPTS = {
     system: {
@@ -77,7 +113,7 @@ const DEFAULT_PROMPTS = {
         model: 'follow_current'
     },
     urlRules: {
-        prompt: '[]',  // 存储为JSON字符串，格式为[{pattern: string, type: 'summary'|'system', prompt: string}]
+        prompt: '[]',  // 存储为JSON字符串，规则字段见 prompt_resolver.js 的 normalizeUrlRule
         model: 'follow_current'
     }
 };
@@ -121,10 +157,16 @@ class PromptSettings {
         this.urlRulesList = this.promptSettings?.querySelector('#url-rules-list');
         this.urlRulesComposer = this.promptSettings?.querySelector('.url-rules-composer');
         this.urlRulesComposerBound = false;
+        this.urlRuleTestInput = this.promptSettings?.querySelector('.url-rule-test-input');
+        this.urlRuleTestResult = this.promptSettings?.querySelector('.url-rule-test-result');
 
         this.bindUrlRulesComposer();
+        this.bindUrlRuleTester();
         this.renderUrlRules();
 
+        // 规则卡片里的 API 下拉框依赖配置列表，配置变化时重新渲染
+        window.addEventListener('apiConfigsUpdated', () => this.renderUrlRules());
+
     // 跨标签页同步：监听提示词键的变更并增量刷新 UI
     try {
       const PREFIX = 'prompt_';
@@ -541,48 +583,86 @@ class PromptSettings {
     }
 
     /**
-     * 根据URL获取匹配的规则提示词
-     * @param {string} url - 要匹配的URL
-     * @param {string} type - 提示词类型 ('summary'|'system')
-     * @returns {string|null} 匹配的提示词或null
+     * 读取并规范化全部 URL 规则（保持存储顺序）
+     * @returns {Array<Object>}
      */
-    getMatchingUrlRule(url, type) {
-        if (!this.urlRulesPrompt) return null;
+    getUrlRules() {
+        if (!this.urlRulesPrompt) return [];
         try {
             const rules = JSON.parse(this.urlRulesPrompt.value || '[]');
-            return resolveUrlRule(url, type, rules);
+            return Array.isArray(rules) ? rules.map(normalizeUrlRule) : [];
         } catch (e) {
             console.error('解析URL规则失败:', e);
-            return null;
+            return [];
         }
     }
 
+    /**
+     * 汇总 URL 命中的规则：提示词、API 配置、提取方式、温度与工具开关
+     * @param {string} url
+     * @returns {ReturnType<typeof resolveUrlRuleSettings>|null} URL 为空时返回 null
+     */
+    getUrlRuleSettings(url) {
+        if (!url) return null;
+        return resolveUrlRuleSettings(url, this.getUrlRules());
+    }
+
+    /**
+     * 根据URL获取匹配的规则提示词
+     * @param {string} url - 要匹配的URL
+     * @param {string} type - 提示词类型 ('summary'|'system')
+     * @returns {string|null} 匹配的提示词或null
+     */
+    getMatchingUrlRule(url, type) {
+        const settings = this.getUrlRuleSettings(url);
+        if (!settings) return null;
+        return type === 'summary' ? settings.summaryPrompt : settings.systemPrompt;
+    }
+
+    getUrlRuleApiOptions() {
+        const apiManager = this.appContext.services.apiManager;
+        const configs = apiManager ? apiManager.getAllConfigs() : (window.apiConfigs || []);
+        const options = [{ value: '', label: 'API：不指定' }];
+        (Array.isArray(configs) ? configs : []).forEach((cfg) => {
+            if (!cfg?.id) return;
+            options.push({
+                value: cfg.id,
+                label: (cfg.displayName && String(cfg.displayName).trim()) || cfg.modelName || cfg.id
+            });
+        });
+        return options;
+    }
+
     bindUrlRulesComposer() {
         if (this.urlRulesComposerBound || !this.urlRulesComposer || !this.urlRulesPrompt) return;
 
         const patternInput = this.urlRulesComposer.querySelector('.url-rule-pattern-input');
+        const patternTypeSelect = this.urlRulesComposer.querySelector('.url-rule-pattern-type-select');
         const typeSelect = this.urlRulesComposer.querySelector('.url-rule-type-select');
         const promptTextarea = this.urlRulesComposer.querySelector('.url-rule-prompt');
         const confirmBtn = this.urlRulesComposer.querySelector('.confirm-rule');
 
         if (!patternInput || !typeSelect || !promptTextarea || !confirmBtn) return;
 
+        // 提示词可以留空：规则添加后可在卡片里只设置 API、提取方式等
         const tryAddRule = () => {
             const pattern = patternInput.value.trim();
             const type = typeSelect.value;
             const prompt = promptTextarea.value.trim();
 
-            if (!pattern || !prompt) return;
+            if (!pattern) return;
 
-            this.addUrlRule({
+            this.addUrlRule(normalizeUrlRule({
                 pattern,
+                patternType: patternTypeSelect?.value,
                 type,
                 prompt
-            });
+            }));
 
             patternInput.value = '';
             promptTextarea.value = '';
             typeSelect.value = 'system';
+            if (patternTypeSelect) patternTypeSelect.value = 'glob';
         };
 
         confirmBtn.addEventListener('click', tryAddRule);
@@ -602,6 +682,66 @@ class PromptSettings {
         this.urlRulesComposerBound = true;
     }
 
+    bindUrlRuleTester() {
+        const testButton = this.promptSettings?.querySelector('.url-rule-test-button');
+        if (!this.urlRuleTestInput || !this.urlRuleTestResult || !testButton) return;
+        testButton.addEventListener('click', () => this.runUrlRuleTest());
+        this.urlRuleTestInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.runUrlRuleTest();
+            }
+        });
+    }
+
+    /**
+     * 测试 URL：按生效顺序列出每条规则是否命中、原因，以及它实际提供或被覆盖的字段
+     * 输入框留空时使用当前页面 URL
+     */
+    runUrlRuleTest() {
+        if (!this.urlRuleTestResult) return;
+        const url = this.urlRuleTestInput?.value.trim() || this.appContext.state.pageInfo?.url || '';
+        const result = this.urlRuleTestResult;
+        result.innerHTML = '';
+        result.dataset.tested = 'true';
+        if (!url) {
+            result.textContent = '请输入要测试的 URL';
+            return;
+        }
+
+        const entries = explainUrlRuleMatches(url, this.getUrlRules());
+        const summary = document.createElement('div');
+        summary.className = 'url-rule-test-summary';
+        const appliedParts = [];
+        entries.forEach((entry) => {
+            entry.applied.forEach((field) => appliedParts.push(`${URL_RULE_FIELD_LABELS[field]} ← #${entry.index + 1}`));
+        });
+        summary.textContent = appliedParts.length
+            ? `测试 ${url}：${appliedParts.join('；')}`
+            : `测试 ${url}：没有规则生效`;
+        result.appendChild(summary);
+
+        entries.forEach((entry) => {
+            const line = document.createElement('div');
+            line.className = 'url-rule-test-line';
+            line.classList.add(entry.error ? 'is-error' : (entry.matched ? 'is-matched' : 'is-unmatched'));
+            const parts = [
+                `#${entry.index + 1}`,
+                `优先级 ${entry.rule.priority}`,
+                entry.rule.patternType === 'regex' ? `正则 ${entry.rule.pattern}` : (entry.rule.pattern || '（空）'),
+                `${entry.matched ? '命中' : '未命中'}：${entry.reason}`
+            ];
+            if (entry.applied.length) {
+                parts.push(`生效：${entry.applied.map(field => URL_RULE_FIELD_LABELS[field]).join('、')}`);
+            }
+            if (entry.shadowed.length) {
+                parts.push(`已被更优先的规则覆盖：${entry.shadowed.map(field => URL_RULE_FIELD_LABELS[field]).join('、')}`);
+            }
+            line.textContent = parts.join(' · ');
+            result.appendChild(line);
+        });
+    }
+
     /**
      * 渲染URL规则列表
      */
@@ -622,6 +762,7 @@ class PromptSettings {
         } catch (error) {
             console.error('渲染URL规则失败:', error);
         }
+        if (this.urlRuleTestResult?.dataset.tested === 'true') this.runUrlRuleTest();
     }
 
     /**
@@ -647,34 +788,38 @@ class PromptSettings {
      * @returns {HTMLElement} 规则元素
      */
     createUrlRuleElement(rule, index) {
+        let currentRule = normalizeUrlRule(rule);
+        const commit = (patch) => {
+            currentRule = { ...currentRule, ...patch };
+            this.updateUrlRule(index, currentRule);
+        };
+
         const ruleElement = document.createElement('div');
         ruleElement.className = 'url-rule-item';
 
         const row = document.createElement('div');
         row.className = 'url-rule-row';
 
+        const indexLabel = document.createElement('span');
+        indexLabel.className = 'url-rule-index';
+        indexLabel.textContent = `#${index + 1}`;
+
         const patternInput = document.createElement('input');
         patternInput.type = 'text';
         patternInput.className = 'url-rule-pattern-input';
-        patternInput.placeholder = '匹配 URL（支持 * 通配符）';
-        patternInput.value = rule.pattern || '';
+        patternInput.placeholder = '匹配 URL（通配 * 或正则）';
+        patternInput.value = currentRule.pattern;
         patternInput.setAttribute('aria-label', 'URL 匹配模式');
 
-        const typeSelect = document.createElement('select');
-        typeSelect.className = 'url-rule-type-select';
-        typeSelect.setAttribute('aria-label', '规则类型');
+        const patternTypeSelect = createUrlRuleSelect('url-rule-pattern-type-select', '匹配方式', [
+            { value: 'glob', label: '通配' },
+            { value: 'regex', label: '正则' }
+        ], currentRule.patternType);
 
-        const systemOption = document.createElement('option');
-        systemOption.value = 'system';
-        systemOption.textContent = '系统提示词';
-
-        const summaryOption = document.createElement('option');
-        summaryOption.value = 'summary';
-        summaryOption.textContent = '快速总结提示词';
-
-        typeSelect.appendChild(systemOption);
-        typeSelect.appendChild(summaryOption);
-        typeSelect.value = rule.type === 'summary' ? 'summary' : 'system';
+        const typeSelect = createUrlRuleSelect('url-rule-type-select', '规则类型', [
+            { value: 'system', label: '系统提示词' },
+            { value: 'summary', label: '快速总结提示词' }
+        ], currentRule.type);
 
         const actions = document.createElement('div');
         actions.className = 'url-rule-actions';
@@ -687,25 +832,73 @@ class PromptSettings {
 
         actions.appendChild(deleteBtn);
 
+        row.appendChild(indexLabel);
         row.appendChild(patternInput);
+        row.appendChild(patternTypeSelect);
         row.appendChild(typeSelect);
         row.appendChild(actions);
 
+        // 第二行：优先级与提示词之外的规则目标
+        const optionsRow = document.createElement('div');
+        optionsRow.className = 'url-rule-options';
+
+        const priorityInput = document.createElement('input');
+        priorityInput.type = 'number';
+        priorityInput.step = '1';
+        priorityInput.className = 'url-rule-priority-input';
+        priorityInput.title = '优先级：数值越大越优先，相同时后添加的规则优先';
+        priorityInput.placeholder = '优先级';
+        priorityInput.value = String(currentRule.priority);
+        priorityInput.setAttribute('aria-label', '优先级');
+
+        const apiSelect = createUrlRuleSelect('url-rule-api-select', '使用的 API', this.getUrlRuleApiOptions(), currentRule.apiConfig);
+        // 指定的配置已被删除时保留原值，避免一次渲染就把规则改掉
+        if (currentRule.apiConfig && apiSelect.value !== currentRule.apiConfig) {
+            const missingOption = document.createElement('option');
+            missingOption.value = currentRule.apiConfig;
+            missingOption.textContent = 'API：已失效';
+            apiSelect.appendChild(missingOption);
+            apiSelect.value = currentRule.apiConfig;
+        }
+
+        const extractionSelect = createUrlRuleSelect('url-rule-extraction-select', '网页内容提取方式', URL_RULE_EXTRACTION_OPTIONS, currentRule.extractionMode);
+
+        const temperatureInput = document.createElement('input');
+        temperatureInput.type = 'number';
+        temperatureInput.min = '0';
+        temperatureInput.max = '2';
+        temperatureInput.step = '0.1';
+        temperatureInput.className = 'url-rule-temperature-input';
+        temperatureInput.placeholder = '温度';
+        temperatureInput.title = '温度：留空则使用 API 配置中的值';
+        temperatureInput.value = currentRule.temperature === null ? '' : String(currentRule.temperature);
+        temperatureInput.setAttribute('aria-label', '温度');
+
+        const toolsLabel = document.createElement('label');
+        toolsLabel.className = 'url-rule-tools-toggle';
+        toolsLabel.title = '命中时为本次发送开启工具调用';
+        const toolsCheckbox = document.createElement('input');
+        toolsCheckbox.type = 'checkbox';
+        toolsCheckbox.checked = currentRule.enableTools;
+        toolsLabel.appendChild(toolsCheckbox);
+        toolsLabel.appendChild(document.createTextNode('启用工具'));
+
+        optionsRow.appendChild(priorityInput);
+        optionsRow.appendChild(apiSelect);
+        optionsRow.appendChild(extractionSelect);
+        optionsRow.appendChild(temperatureInput);
+        optionsRow.appendChild(toolsLabel);
+
         const promptTextarea = document.createElement('textarea');
         promptTextarea.className = 'url-rule-prompt';
-        promptTextarea.placeholder = '输入提示词内容...';
-        promptTextarea.value = rule.prompt || '';
+        promptTextarea.placeholder = '输入提示词内容（留空则不覆盖提示词）...';
+        promptTextarea.value = currentRule.prompt;
         promptTextarea.setAttribute('aria-label', '规则提示词');
 
         ruleElement.appendChild(row);
+        ruleElement.appendChild(optionsRow);
         ruleElement.appendChild(promptTextarea);
 
-        let currentRule = {
-            pattern: patternInput.value,
-            type: typeSelect.value,
-            prompt: promptTextarea.value
-        };
-
         deleteBtn.addEventListener('click', () => {
             this.deleteUrlRule(index);
         });
@@ -716,18 +909,26 @@ class PromptSettings {
                 patternInput.value = currentRule.pattern || '';
                 return;
             }
-            currentRule = { ...currentRule, pattern: nextPattern };
-            this.updateUrlRule(index, currentRule);
+            commit({ pattern: nextPattern });
         });
 
-        typeSelect.addEventListener('change', () => {
-            currentRule = { ...currentRule, type: typeSelect.value };
-            this.updateUrlRule(index, currentRule);
+        patternTypeSelect.addEventListener('change', () => commit({ patternType: patternTypeSelect.value }));
+        typeSelect.addEventListener('change', () => commit({ type: typeSelect.value }));
+        promptTextarea.addEventListener('change', () => commit({ prompt: promptTextarea.value }));
+        apiSelect.addEventListener('change', () => commit({ apiConfig: apiSelect.value }));
+        extractionSelect.addEventListener('change', () => commit({ extractionMode: extractionSelect.value }));
+        toolsCheckbox.addEventListener('change', () => commit({ enableTools: toolsCheckbox.checked }));
+
+        priorityInput.addEventListener('change', () => {
+            const { priority } = normalizeUrlRule({ priority: priorityInput.value });
+            priorityInput.value = String(priority);
+            commit({ priority });
         });
 
-        promptTextarea.addEventListener('change', () => {
-            currentRule = { ...currentRule, prompt: promptTextarea.value };
-            this.updateUrlRule(index, currentRule);
+        temperatureInput.addEventListener('change', () => {
+            const { temperature } = normalizeUrlRule({ temperature: temperatureInput.value });
+            temperatureInput.value = temperature === null ? '' : String(temperature);
+            commit({ temperature });
         });
 
         return ruleElement;
@@ -783,6 +984,7 @@ class PromptSettings {
             rules[index] = newRule;
             this.urlRulesPrompt.value = JSON.stringify(rules);
             this.autoSavePromptSettings();
+            if (this.urlRuleTestResult?.dataset.tested === 'true') this.runUrlRuleTest();
         } catch (error) {
             console.error('更新URL规则失败:', error);
         }
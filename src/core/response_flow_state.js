@@ -17,6 +17,7 @@ function normalizeConnectionType(value) {
   const normalized = (typeof value === 'string') ? value.trim().toLowerCase() : '';
   if (normalized === 'gemini') return 'gemini';
   if (normalized === 'openai_responses') return 'openai_responses';
+  if (normalized === 'anthropic') return 'anthropic';
   if (normalized === 'openai') return 'openai';
   return '';
 }
@@ -26,7 +27,7 @@ function normalizeConnectionType(value) {
  *
  * @param {{
  *   apiBase?: string,
- *   connectionType?: 'openai'|'openai_responses'|'gemini',
+ *   connectionType?: 'openai'|'openai_responses'|'gemini'|'anthropic',
  *   geminiUseStreaming?: boolean,
  *   requestBodyStream?: boolean
  * }} [input]
@@ -42,7 +43,7 @@ export function resolveResponseHandlingMode(input = {}) {
   if (connectionType === 'gemini') {
     return geminiUseStreaming ? 'stream' : 'non_stream';
   }
-  if (connectionType === 'openai' || connectionType === 'openai_responses') {
+  if (connectionType === 'openai' || connectionType === 'openai_responses' || connectionType === 'anthropic') {
     return requestBodyStream ? 'stream' : 'non_stream';
   }
   if (apiBase === 'genai') {
@@ -0,0 +1,140 @@
+/**
+ * 花费预算管理器
+ *
+ * 职责：
+ * - 在 chrome.storage.local 中维护近两个月的花费账本（按日期、消息 id 记录费用，结构见 utils/cost_accounting.js）；
+ * - 发送前按设置中的每日/每月预算检查：提醒模式只提示一次，阻止模式拒绝发送。
+ *
+ * 账本与会话历史分开保存：删除会话不会“退回”已经花掉的钱。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import {
+  evaluateSpendBudget,
+  formatCostAmount,
+  getSpendDayKey,
+  mergeSpendLedgers,
+  normalizeSpendLedger,
+  recordSpendLedgerEntry,
+  summarizeSpendLedger
+} from '../utils/cost_accounting.js';
+
+const SPEND_LEDGER_STORAGE_KEY = 'api_spend_ledger';
+const SAVE_DEBOUNCE_MS = 1000;
+
+const PERIOD_LABELS = {
+  daily: '今日',
+  monthly: '本月'
+};
+
+/**
+ * 创建花费预算管理器
+ * @param {Object} appContext - 应用程序上下文对象
+ * @returns {Object} 管理器实例
+ */
+export function createSpendBudgetManager(appContext) {
+  const { services, utils } = appContext;
+
+  let ledger = normalizeSpendLedger(null);
+  let saveTimer = null;
+  // 提醒模式下每个周期（如 "daily:2026-10-19"）只提示一次
+  const warnedPeriods = new Set();
+
+  function persistLedger() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return queueStorageSet('local', { [SPEND_LEDGER_STORAGE_KEY]: ledger }, { flush: 'now' });
+  }
+
+  function schedulePersistLedger() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      persistLedger().catch(error => console.error('保存花费账本失败:', error));
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  /**
+   * 记录一条消息的费用；同一消息重复记录时覆盖旧值。
+   * @param {string} messageId
+   * @param {{total: number}|null} cost
+   * @param {number} [timestamp]
+   */
+  function recordMessageCost(messageId, cost, timestamp) {
+    if (!messageId || !cost) return;
+    ledger = recordSpendLedgerEntry(ledger, { messageId, amount: cost.total, timestamp: timestamp || Date.now() });
+    schedulePersistLedger();
+  }
+
+  /**
+   * @returns {{today: number, month: number}}
+   */
+  function getSpendSummary() {
+    return summarizeSpendLedger(ledger);
+  }
+
+  function getBudgetSettings() {
+    const settingsManager = services.settingsManager;
+    return {
+      daily: settingsManager?.getSetting?.('dailySpendBudget') || 0,
+      monthly: settingsManager?.getSetting?.('monthlySpendBudget') || 0,
+      mode: settingsManager?.getSetting?.('spendBudgetMode') || 'warn'
+    };
+  }
+
+  /**
+   * 发送前检查预算。
+   * @returns {boolean} false 表示应阻止本次发送
+   */
+  function checkBeforeSend() {
+    const result = evaluateSpendBudget(getSpendSummary(), getBudgetSettings());
+    if (!result.exceeded) return true;
+    const periodLabel = PERIOD_LABELS[result.period] || '';
+    const description = `${periodLabel}已花费 ${formatCostAmount(result.spent)}，预算 ${formatCostAmount(result.limit)}`;
+    if (result.block) {
+      utils.showNotification?.({
+        message: `${periodLabel}花费已超出预算，已阻止发送`,
+        description: `${description}。可在设置中调高预算或改为“提醒”。`,
+        type: 'error',
+        duration: 5000
+      });
+      return false;
+    }
+    const dayKey = getSpendDayKey(Date.now());
+    const periodKey = `${result.period}:${result.period === 'monthly' ? dayKey.slice(0, 7) : dayKey}`;
+    if (!warnedPeriods.has(periodKey)) {
+      warnedPeriods.add(periodKey);
+      utils.showNotification?.({
+        message: `${periodLabel}花费已超出预算`,
+        description,
+        type: 'warning',
+        duration: 5000
+      });
+    }
+    return true;
+  }
+
+  async function init() {
+    try {
+      const wrap = await chrome.storage.local.get([SPEND_LEDGER_STORAGE_KEY]);
+      ledger = mergeSpendLedgers(wrap?.[SPEND_LEDGER_STORAGE_KEY], ledger);
+    } catch (error) {
+      console.error('加载花费账本失败:', error);
+    }
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes?.[SPEND_LEDGER_STORAGE_KEY]) return;
+        // 其它标签页写入的账本与本页尚未落盘的记录合并，避免互相覆盖
+        ledger = mergeSpendLedgers(changes[SPEND_LEDGER_STORAGE_KEY].newValue, ledger);
+      });
+    } catch (error) {
+      console.warn('注册花费账本跨标签同步失败（忽略）：', error);
+    }
+  }
+
+  return {
+    init,
+    recordMessageCost,
+    getSpendSummary,
+    checkBeforeSend
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * 客户端工具执行策略（纯函数，无副作用）
+ *
+ * 每次模型请求调用客户端工具（js_runtime_execute、自定义工具、MCP 工具等）前，
+ * 先按“工具名 + 当前页面 URL”解析出一个策略：
+ * - allow：直接执行；
+ * - ask：在助手消息里展示确认卡片，用户同意后才执行；
+ * - deny：不执行，把拒绝原因作为工具结果回给模型。
+ *
+ * 设置结构：
+ * {
+ *   tools: { [toolName | '*']: 'allow' | 'ask' | 'deny' },
+ *   urlRules: [{ pattern: 'https://bank.example.com/*', tool: '*' | toolName, policy: 'deny' }]
+ * }
+ *
+ * 解析顺序：匹配的 URL 规则（与提示词 URL 规则一致，后添加的优先）→ 工具默认策略 → `*` 默认策略 → allow。
+ * 模式无法编译的 URL 规则按“失败即收紧”处理：deny 规则仍为 deny，其余视为 ask，不会回落到 allow。
+ */
+
+import { matchesUrlPattern } from './prompt_resolver.js';
+
+export const TOOL_EXECUTION_POLICY_ALLOW = 'allow';
+export const TOOL_EXECUTION_POLICY_ASK = 'ask';
+export const TOOL_EXECUTION_POLICY_DENY = 'deny';
+export const TOOL_EXECUTION_POLICIES = Object.freeze([
+  TOOL_EXECUTION_POLICY_ALLOW,
+  TOOL_EXECUTION_POLICY_ASK,
+  TOOL_EXECUTION_POLICY_DENY
+]);
+
+// 通配工具名：作为 tools 的键表示“其它所有工具”，作为 urlRules[].tool 表示“该 URL 下所有工具”
+export const TOOL_EXECUTION_POLICY_ANY_TOOL = '*';
+
+/**
+ * @param {any} value
+ * @returns {'allow'|'ask'|'deny'|''}
+ */
+export function normalizeToolExecutionPolicy(value) {
+  const normalized = (typeof value === 'string') ? value.trim().toLowerCase() : '';
+  return TOOL_EXECUTION_POLICIES.includes(normalized) ? normalized : '';
+}
+
+/**
+ * 规范化存储中的策略设置；非法策略值的条目会被丢弃，URL 规则保留空 pattern 以便编辑。
+ * @param {any} raw
+ * @returns {{tools:Object<string,string>, urlRules:Array<{pattern:string, tool:string, policy:string}>}}
+ */
+export function normalizeToolExecutionPolicySettings(raw) {
+  const source = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  const tools = {};
+  if (source.tools && typeof source.tools === 'object' && !Array.isArray(source.tools)) {
+    Object.entries(source.tools).forEach(([toolName, policy]) => {
+      const name = String(toolName || '').trim();
+      const normalizedPolicy = normalizeToolExecutionPolicy(policy);
+      if (name && normalizedPolicy) tools[name] = normalizedPolicy;
+    });
+  }
+  const urlRules = [];
+  (Array.isArray(source.urlRules) ? source.urlRules : []).forEach((rule) => {
+    if (!rule || typeof rule !== 'object') return;
+    const policy = normalizeToolExecutionPolicy(rule.policy);
+    if (!policy) return;
+    urlRules.push({
+      pattern: (typeof rule.pattern === 'string') ? rule.pattern.trim() : '',
+      tool: (typeof rule.tool === 'string' && rule.tool.trim()) ? rule.tool.trim() : TOOL_EXECUTION_POLICY_ANY_TOOL,
+      policy
+    });
+  });
+  return { tools, urlRules };
+}
+
+/**
+ * 校验 URL 规则模式能否编译（空模式视为合法，只是不参与匹配）。
+ * @param {string} pattern
+ * @returns {string} 错误信息，合法时为空串
+ */
+export function validateToolPolicyUrlPattern(pattern) {
+  const value = (typeof pattern === 'string') ? pattern.trim() : '';
+  if (!value) return '';
+  try {
+    matchesUrlPattern('about:blank', value);
+    return '';
+  } catch (e) {
+    return e?.message || String(e);
+  }
+}
+
+/**
+ * 解析某次工具调用应采用的策略。
+ *
+ * @param {string} toolName - 模型调用的函数名
+ * @param {string} url - 工具将要作用的页面 URL（未知时传空串，URL 规则不参与匹配）
+ * @param {any} settings - normalizeToolExecutionPolicySettings 可接受的设置
+ * @returns {{policy:'allow'|'ask'|'deny', source:'url_rule'|'tool'|'default', rule:Object|null}}
+ */
+export function resolveToolExecutionPolicy(toolName, url, settings) {
+  const name = (typeof toolName === 'string') ? toolName.trim() : '';
+  const { tools, urlRules } = normalizeToolExecutionPolicySettings(settings);
+  const pageUrl = (typeof url === 'string') ? url.trim() : '';
+
+  if (pageUrl) {
+    for (let i = urlRules.length - 1; i >= 0; i--) {
+      const rule = urlRules[i];
+      if (!rule.pattern) continue;
+      if (rule.tool !== TOOL_EXECUTION_POLICY_ANY_TOOL && rule.tool !== name) continue;
+      try {
+        if (matchesUrlPattern(pageUrl, rule.pattern)) {
+          return { policy: rule.policy, source: 'url_rule', rule: { ...rule } };
+        }
+      } catch (e) {
+        console.error(`工具策略 URL 规则无效: ${rule.pattern}`, e);
+        return {
+          policy: rule.policy === TOOL_EXECUTION_POLICY_DENY ? TOOL_EXECUTION_POLICY_DENY : TOOL_EXECUTION_POLICY_ASK,
+          source: 'url_rule',
+          rule: { ...rule, error: e?.message || String(e) }
+        };
+      }
+    }
+  }
+
+  if (name && tools[name]) {
+    return { policy: tools[name], source: 'tool', rule: null };
+  }
+  return {
+    policy: tools[TOOL_EXECUTION_POLICY_ANY_TOOL] || TOOL_EXECUTION_POLICY_ALLOW,
+    source: 'default',
+    rule: null
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * 工具执行策略管理器
+ *
+ * 职责：
+ * - 在 chrome.storage.local 中保存执行策略（结构见 core/tool_execution_policy.js）；
+ * - 为 message_sender 提供同步的策略解析（工具调用循环里逐个调用，不希望每次都读存储）；
+ * - 在“自定义工具”标签页中渲染按工具的默认策略与按 URL 的规则。
+ */
+
+import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
+import { RESERVED_CUSTOM_FUNCTION_TOOL_NAMES, validateCustomFunctionTool } from '../utils/custom_function_tools.js';
+import {
+  TOOL_EXECUTION_POLICY_ALLOW,
+  TOOL_EXECUTION_POLICY_ASK,
+  TOOL_EXECUTION_POLICY_DENY,
+  TOOL_EXECUTION_POLICY_ANY_TOOL,
+  normalizeToolExecutionPolicySettings,
+  resolveToolExecutionPolicy,
+  validateToolPolicyUrlPattern
+} from './tool_execution_policy.js';
+
+const TOOL_POLICY_STORAGE_KEY = 'tool_execution_policy';
+const SAVE_DEBOUNCE_MS = 400;
+const DELETE_CONFIRM_TIMEOUT_MS = 2400;
+
+const POLICY_OPTIONS = [
+  [TOOL_EXECUTION_POLICY_ALLOW, '直接执行'],
+  [TOOL_EXECUTION_POLICY_ASK, '每次询问'],
+  [TOOL_EXECUTION_POLICY_DENY, '禁止']
+];
+
+function createPolicySelect(value) {
+  const select = document.createElement('select');
+  POLICY_OPTIONS.forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * 创建工具执行策略管理器
+ * @param {Object} appContext - 应用程序上下文对象
+ * @returns {Object} 管理器实例
+ */
+export function createToolPolicyManager(appContext) {
+  const { services } = appContext;
+
+  let settings = normalizeToolExecutionPolicySettings(null);
+  let settingsContainer = null;
+  let saveTimer = null;
+
+  function persistSettings() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return queueStorageSet('local', { [TOOL_POLICY_STORAGE_KEY]: settings }, { flush: 'now' });
+  }
+
+  function schedulePersistSettings() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      persistSettings().catch(error => console.error('保存工具执行策略失败:', error));
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  /**
+   * 解析某次工具调用的策略。
+   * @param {string} toolName
+   * @param {string} url - 工具作用的页面 URL
+   * @returns {{policy:'allow'|'ask'|'deny', source:string, rule:Object|null}}
+   */
+  function resolvePolicy(toolName, url) {
+    return resolveToolExecutionPolicy(toolName, url, settings);
+  }
+
+  // ---- 设置标签页 ----
+
+  function getPolicyToolNames() {
+    const customNames = (services.customToolsManager?.getTools?.() || [])
+      .filter(tool => !validateCustomFunctionTool(tool))
+      .map(tool => tool.name);
+    const names = [...RESERVED_CUSTOM_FUNCTION_TOOL_NAMES, ...customNames];
+    // 已删除工具的策略仍然保留并展示，避免同名工具重新创建后策略“消失”
+    Object.keys(settings.tools).forEach((name) => {
+      if (name !== TOOL_EXECUTION_POLICY_ANY_TOOL && !names.includes(name)) names.push(name);
+    });
+    return names;
+  }
+
+  function renderToolDefaults() {
+    const list = settingsContainer?.querySelector('.tool-policy-defaults');
+    if (!list) return;
+    list.innerHTML = '';
+    const rows = [
+      [TOOL_EXECUTION_POLICY_ANY_TOOL, '其它工具（含 MCP）'],
+      ...getPolicyToolNames().map(name => [name, name])
+    ];
+    rows.forEach(([toolName, label]) => {
+      const row = document.createElement('div');
+      row.className = 'tool-policy-row';
+      const name = document.createElement('span');
+      name.className = 'tool-policy-name';
+      name.textContent = label;
+      const select = createPolicySelect(
+        settings.tools[toolName]
+          || (toolName === TOOL_EXECUTION_POLICY_ANY_TOOL ? TOOL_EXECUTION_POLICY_ALLOW : '')
+      );
+      if (toolName !== TOOL_EXECUTION_POLICY_ANY_TOOL) {
+        // 空值表示跟随“其它工具”
+        const inherit = document.createElement('option');
+        inherit.value = '';
+        inherit.textContent = '跟随默认';
+        select.insertBefore(inherit, select.firstChild);
+        select.value = settings.tools[toolName] || '';
+      }
+      select.addEventListener('change', () => {
+        const nextTools = { ...settings.tools };
+        if (select.value) {
+          nextTools[toolName] = select.value;
+        } else {
+          delete nextTools[toolName];
+        }
+        settings = normalizeToolExecutionPolicySettings({ ...settings, tools: nextTools });
+        schedulePersistSettings();
+      });
+      row.appendChild(name);
+      row.appendChild(select);
+      list.appendChild(row);
+    });
+  }
+
+  function createUrlRuleRow(rule, index) {
+    const row = document.createElement('div');
+    row.className = 'tool-policy-rule';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.spellcheck = false;
+    patternInput.placeholder = 'https://bank.example.com/*';
+    patternInput.value = rule.pattern;
+
+    const toolInput = document.createElement('input');
+    toolInput.type = 'text';
+    toolInput.spellcheck = false;
+    toolInput.placeholder = '* 表示全部工具';
+    toolInput.value = rule.tool === TOOL_EXECUTION_POLICY_ANY_TOOL ? '' : rule.tool;
+
+    const policySelect = createPolicySelect(rule.policy);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'custom-tool-delete-btn';
+    deleteButton.textContent = '删除';
+
+    const updateRule = (patch) => {
+      const urlRules = settings.urlRules.map((item, itemIndex) => (itemIndex === index ? { ...item, ...patch } : item));
+      settings = normalizeToolExecutionPolicySettings({ ...settings, urlRules });
+      schedulePersistSettings();
+    };
+    // 模式无法编译时就地提示；解析时这类规则会收紧为询问/禁止
+    const patternHint = document.createElement('div');
+    patternHint.className = 'custom-tool-hint warning tool-policy-rule-hint';
+    const refreshPatternHint = () => {
+      const error = validateToolPolicyUrlPattern(patternInput.value);
+      patternHint.textContent = error ? `模式无效：${error}（修正前该规则对所有页面生效，至少按“每次询问”处理）` : '';
+    };
+    refreshPatternHint();
+    patternInput.addEventListener('input', () => {
+      refreshPatternHint();
+      updateRule({ pattern: patternInput.value });
+    });
+    toolInput.addEventListener('input', () => updateRule({ tool: toolInput.value }));
+    policySelect.addEventListener('change', () => updateRule({ policy: policySelect.value }));
+
+    let deleteConfirmTimer = null;
+    const resetDeleteConfirm = () => {
+      deleteButton.dataset.confirming = 'false';
+      deleteButton.classList.remove('is-confirming');
+      deleteButton.textContent = '删除';
+      clearTimeout(deleteConfirmTimer);
+      deleteConfirmTimer = null;
+    };
+    deleteButton.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (deleteButton.dataset.confirming !== 'true') {
+        deleteButton.dataset.confirming = 'true';
+        deleteButton.classList.add('is-confirming');
+        deleteButton.textContent = '确认删除';
+        deleteConfirmTimer = setTimeout(resetDeleteConfirm, DELETE_CONFIRM_TIMEOUT_MS);
+        return;
+      }
+      resetDeleteConfirm();
+      settings = normalizeToolExecutionPolicySettings({
+        ...settings,
+        urlRules: settings.urlRules.filter((_, itemIndex) => itemIndex !== index)
+      });
+      try {
+        await persistSettings();
+      } catch (error) {
+        console.error('删除工具策略规则失败:', error);
+      }
+      renderUrlRules();
+    });
+
+    row.appendChild(patternInput);
+    row.appendChild(toolInput);
+    row.appendChild(policySelect);
+    row.appendChild(deleteButton);
+    row.appendChild(patternHint);
+    return row;
+  }
+
+  function renderUrlRules() {
+    const list = settingsContainer?.querySelector('.tool-policy-rules');
+    if (!list) return;
+    list.innerHTML = '';
+    if (settings.urlRules.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'custom-tool-hint';
+      empty.textContent = '还没有 URL 规则。';
+      list.appendChild(empty);
+      return;
+    }
+    settings.urlRules.forEach((rule, index) => list.appendChild(createUrlRuleRow(rule, index)));
+  }
+
+  function createSubHeader(text) {
+    const title = document.createElement('div');
+    title.className = 'mcp-server-list-title';
+    title.textContent = text;
+    return title;
+  }
+
+  /**
+   * 在给定容器中追加“工具执行策略”设置区（重复调用只刷新内容）。
+   * @param {HTMLElement} container
+   */
+  function renderSettingsSection(container) {
+    if (!container) return;
+    if (settingsContainer !== container || !container.querySelector('.tool-policy-panel')) {
+      settingsContainer = container;
+
+      const panel = document.createElement('div');
+      panel.className = 'custom-tools-panel tool-policy-panel';
+
+      const header = document.createElement('div');
+      header.className = 'custom-tools-header';
+      const title = document.createElement('span');
+      title.className = 'custom-tools-title';
+      title.textContent = '工具执行策略';
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'custom-tool-add-button';
+      addButton.textContent = '+ 新增 URL 规则';
+      addButton.addEventListener('click', async () => {
+        settings = normalizeToolExecutionPolicySettings({
+          ...settings,
+          urlRules: [...settings.urlRules, {
+            pattern: '',
+            tool: TOOL_EXECUTION_POLICY_ANY_TOOL,
+            policy: TOOL_EXECUTION_POLICY_ASK
+          }]
+        });
+        try {
+          await persistSettings();
+        } catch (error) {
+          console.error('保存工具执行策略失败:', error);
+        }
+        renderUrlRules();
+      });
+      header.appendChild(title);
+      header.appendChild(addButton);
+
+      const intro = document.createElement('div');
+      intro.className = 'custom-tool-hint';
+      intro.textContent = '模型调用客户端工具前先检查策略：“每次询问”会在回复中显示待运行的代码并等待确认，“禁止”会直接把拒绝结果返回给模型。URL 规则按侧栏绑定网页的地址匹配（支持 * 与 ?），后添加的规则优先，且优先于按工具的默认策略。';
+
+      const defaults = document.createElement('div');
+      defaults.className = 'tool-policy-defaults';
+      const rules = document.createElement('div');
+      rules.className = 'tool-policy-rules';
+
+      panel.appendChild(header);
+      panel.appendChild(intro);
+      panel.appendChild(createSubHeader('按工具'));
+      panel.appendChild(defaults);
+      panel.appendChild(createSubHeader('按 URL（网址模式 / 工具名 / 策略）'));
+      panel.appendChild(rules);
+      container.appendChild(panel);
+    }
+    renderToolDefaults();
+    renderUrlRules();
+  }
+
+  async function init() {
+    try {
+      const wrap = await chrome.storage.local.get([TOOL_POLICY_STORAGE_KEY]);
+      settings = normalizeToolExecutionPolicySettings(wrap?.[TOOL_POLICY_STORAGE_KEY]);
+    } catch (error) {
+      console.error('加载工具执行策略失败:', error);
+    }
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes?.[TOOL_POLICY_STORAGE_KEY]) return;
+        settings = normalizeToolExecutionPolicySettings(changes[TOOL_POLICY_STORAGE_KEY].newValue);
+        const editing = settingsContainer?.contains(document.activeElement);
+        if (settingsContainer && !editing) {
+          renderToolDefaults();
+          renderUrlRules();
+        }
+      });
+    } catch (error) {
+      console.warn('注册工具执行策略跨标签同步失败（忽略）：', error);
+    }
+  }
+
+  return {
+    init,
+    resolvePolicy,
+    renderSettingsSection
+  };
+}
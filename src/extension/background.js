@@ -298,6 +298,8 @@ chrome.commands.onCommand.addListener(async (command) => {
     await handleTabCommand('TOGGLE_TEMP_MODE');
   } else if (command === 'capture_screenshot') {
     await handleTabCommand('CAPTURE_SCREENSHOT');
+  } else if (command === 'capture_full_page_screenshot') {
+    await handleTabCommand('CAPTURE_FULL_PAGE_SCREENSHOT');
   } else if (command === 'toggle_fullscreen') {
     await handleTabCommand('TOGGLE_FULLSCREEN_FROM_BACKGROUND');
   } else if (command === 'add_page_content_to_context') {
@@ -478,53 +480,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // 处理来自 sidebar 的网页内容请求
   if (message.type === 'GET_PAGE_CONTENT_FROM_SIDEBAR') {
     (async () => {
-      let retryCount = 0;
-      const maxRetries = 3;
-      const retryDelay = 1000; // 1秒延迟
-
-      async function tryGetContent() {
-        try {
-          const targetTabId = resolveSidebarRequestTargetTabId({
-            explicitTabId: message?.tabId,
-            senderTabId: sender?.tab?.id
-          });
-          if (!Number.isFinite(targetTabId)) {
-            return null;
-          }
-
-          if (!sender.url || !sender.url.includes('src/ui/sidebar/sidebar.html')) {
-            return null;
-          }
-
-          if (await isTabConnected(targetTabId)) {
-            return await chrome.tabs.sendMessage(targetTabId, {
-              type: 'GET_PAGE_CONTENT_INTERNAL'
-            });
-          }
-          return null;
-        } catch (error) {
-          console.error(`获取页面内容失败 (尝试 ${retryCount + 1}/${maxRetries}):`, error);
-          return null;
-        }
+      const targetTabId = resolveSidebarRequestTargetTabId({
+        explicitTabId: message?.tabId,
+        senderTabId: sender?.tab?.id
+      });
+      if (!Number.isFinite(targetTabId) || !isSidebarSender(sender)) {
+        sendResponse(null);
+        return;
       }
+      sendResponse(await getContentWithRetry(targetTabId, {
+        extractionMode: typeof message?.extractionMode === 'string' ? message.extractionMode : ''
+      }));
+    })();
+    return true;
+  }
 
-      async function getContentWithRetry() {
-        while (retryCount < maxRetries) {
-          const content = await tryGetContent();
-          if (content) {
-            return content;
-          }
-          retryCount++;
-          if (retryCount < maxRetries) {
-            console.log(`等待 ${retryDelay}ms 后进行第 ${retryCount + 1} 次重试...`);
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-          }
-        }
-        return null;
+  // 多标签页上下文：列出可附加内容的网页标签页
+  if (message.type === 'LIST_CONTEXT_TABS_FROM_SIDEBAR') {
+    (async () => {
+      if (!isSidebarSender(sender)) {
+        sendResponse({ success: false, error: 'Unauthorized sender' });
+        return;
+      }
+      try {
+        sendResponse({ success: true, tabs: await listContextTabs(sender?.tab) });
+      } catch (error) {
+        sendResponse({ success: false, error: error?.message || String(error) });
       }
-
-      const content = await getContentWithRetry();
-      sendResponse(content);
     })();
     return true;
   }
@@ -663,6 +645,71 @@ async function sendMessageToTab(tabId, message) {
     return null;
 }
 
+// ---- 侧栏读取页面内容与标签页列表 ----
+
+/**
+ * 判断消息是否来自侧栏页面（侧栏 iframe 或独立聊天页）。
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {boolean}
+ */
+function isSidebarSender(sender) {
+    return typeof sender?.url === 'string' && sender.url.includes('src/ui/sidebar/sidebar.html');
+}
+
+/**
+ * 向指定标签页的 content script 请求页面内容，失败时按固定间隔重试。
+ * 页面刚加载或 content script 尚未就绪时，首次请求常会失败。
+ *
+ * @param {number} tabId
+ * @param {{maxRetries?: number, retryDelay?: number, extractionMode?: string}} [options] - extractionMode 来自 URL 规则，空串表示跟随设置
+ * @returns {Promise<Object|null>}
+ */
+async function getContentWithRetry(tabId, { maxRetries = 3, retryDelay = 1000, extractionMode = '' } = {}) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+            if (await isTabConnected(tabId)) {
+                const content = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_CONTENT_INTERNAL', extractionMode });
+                if (content) return content;
+            }
+        } catch (error) {
+            console.error(`获取页面内容失败 (尝试 ${attempt + 1}/${maxRetries}):`, error);
+        }
+        if (attempt + 1 < maxRetries) {
+            console.log(`等待 ${retryDelay}ms 后进行第 ${attempt + 2} 次重试...`);
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+        }
+    }
+    return null;
+}
+
+/**
+ * 列出可作为上下文附加的网页标签页：仅 http(s)/file 页面；
+ * 侧栏所在窗口的标签页排在前面，其余按最近访问时间倒序。
+ *
+ * @param {chrome.tabs.Tab|undefined} senderTab - 发起请求的侧栏宿主标签页（独立聊天页时为其自身）
+ * @returns {Promise<Array<{tabId:number, windowId:number, title:string, url:string, favIconUrl:string, active:boolean, isSidebarHost:boolean}>>}
+ */
+async function listContextTabs(senderTab) {
+    const tabs = await chrome.tabs.query({});
+    const senderWindowId = senderTab?.windowId;
+    return tabs
+        .filter(tab => Number.isFinite(tab.id) && /^(https?|file):/i.test(tab.url || ''))
+        .sort((a, b) => {
+            const windowRank = Number(b.windowId === senderWindowId) - Number(a.windowId === senderWindowId);
+            if (windowRank !== 0) return windowRank;
+            return (b.lastAccessed || 0) - (a.lastAccessed || 0);
+        })
+        .map(tab => ({
+            tabId: tab.id,
+            windowId: tab.windowId,
+            title: tab.title || tab.url || '',
+            url: tab.url || '',
+            favIconUrl: tab.favIconUrl || '',
+            active: tab.active === true,
+            isSidebarHost: tab.id === senderTab?.id
+        }));
+}
+
 /**
  * 后台统一执行“可见区域截图”。
  * 抽成独立函数后，供现有截图能力统一复用。
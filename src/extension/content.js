@@ -221,6 +221,13 @@ function openMarkdownLinkInPage(url) {
     return;
   }
 
+  // 视频时间戳（?t= / #t=）：同一视频内直接跳转播放进度，不重新加载页面
+  const transcriptApi = globalThis.CerebrVideoTranscript;
+  const seekSeconds = transcriptApi?.resolveMediaSeekTarget(resolved.href, current.href) ?? null;
+  if (seekSeconds !== null && transcriptApi.seekMediaToTime(document, seekSeconds)) {
+    return;
+  }
+
   const sameOrigin = resolved.origin === current.origin;
   const samePath = normalizePathname(resolved.pathname) === normalizePathname(current.pathname);
 
@@ -706,7 +713,8 @@ class CerebrSidebar {
       const iframe = document.createElement('iframe');
       iframe.className = 'cerebr-sidebar__iframe';
       iframe.src = chrome.runtime.getURL('src/ui/sidebar/sidebar.html');
-      iframe.allow = 'clipboard-write';
+      // clipboard-read 供提示词模板的 {{clipboard}} 变量读取剪贴板
+      iframe.allow = 'clipboard-write; clipboard-read';
 
       // 重要：当用户在 DevTools 中对 iframe 执行「重新加载框架」时，iframe 内部状态会被重置；
       // 但父页面仍持有全屏/临时模式状态，因此需要在 iframe 每次 load 完成后同步一次，
@@ -877,11 +885,24 @@ class CerebrSidebar {
           this.toggleFullscreen();
           break;
         case 'CAPTURE_SCREENSHOT':
-          captureAndDropScreenshot();
+          if (event.data.fullPage === true) {
+            captureFullPageAndDropScreenshot();
+          } else {
+            captureAndDropScreenshot();
+          }
+          break;
+        case 'START_ELEMENT_PICKING':
+          startElementPicking({ includeScreenshot: event.data.includeScreenshot === true });
+          break;
+        case 'STOP_ELEMENT_PICKING':
+          picker.stopPicking();
           break;
         case 'OPEN_MARKDOWN_LINK':
           openMarkdownLinkInPage(event.data.url);
           break;
+        case 'JUMP_TO_PDF_PAGE':
+          jumpToPdfPage(event.data.page);
+          break;
         case 'REQUEST_PAGE_INFO':
           // console.log('收到请求页面信息消息');
           const iframe = this.sidebar?.querySelector('.cerebr-sidebar__iframe');
@@ -1264,7 +1285,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log('收到获取页面内容请求');
     isProcessing = true;
 
-    extractPageContent().then(content => {
+    extractPageContent({ extractionMode: message.extractionMode }).then(content => {
       isProcessing = false;
       sendResponse(content);
     }).catch(error => {
@@ -1333,6 +1354,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'CAPTURE_SCREENSHOT':
         captureAndDropScreenshot();
         break;
+      case 'CAPTURE_FULL_PAGE_SCREENSHOT':
+        captureFullPageAndDropScreenshot();
+        break;
       case 'ADD_PAGE_CONTENT_TO_CONTEXT':
         try {
           // 确保侧边栏已打开
@@ -1479,7 +1503,10 @@ function extractImportantDOM() {
   return clone.outerHTML;
 }
 
-async function extractPageContent() {
+/**
+ * @param {{extractionMode?: string}} [options] - URL 规则指定的提取方式，见 extractPageMarkdownContent
+ */
+async function extractPageContent({ extractionMode = '' } = {}) {
   console.log('extractPageContent 开始提取页面内容');
 
   // 在提取开始时冻结页面元数据快照，保证 URL/标题 与本次内容抓取使用同一时间点。
@@ -1522,14 +1549,17 @@ async function extractPageContent() {
     }
 
     console.log('缓存中没有找到PDF内容或缓存无效，开始提取');
-    const pdfResult = await extractTextFromPDF(pdfUrl); // pdfResult 是 { fullText, chapters } 或 null
+    const pdfResult = await extractTextFromPDF(pdfUrl); // pdfResult 是 { fullText, pageTexts, chapters } 或 null
     if (pdfResult && typeof pdfResult.fullText === 'string') {
       console.log('将PDF内容存入缓存');
       const resultToCache = {
         title: snapshotTitle || pdfUrl,
         url: pdfUrl,
         content: pdfResult.fullText, // 已知为字符串
-        chapters: pdfResult.chapters || [], // 为章节提供备用值
+        // 逐页文本供侧栏的 pdf_read 工具按页码/章节读取，回答里的 [p. N] 引用也以此为准
+        pageTexts: pdfResult.pageTexts || [],
+        // 章节只保留标题与起始页（正文可由 pageTexts 还原），避免整本文本在消息里重复传输
+        chapters: stripPdfChapterContent(pdfResult.chapters || []),
         isPDF: true
       };
       pdfContentCache.set(pdfUrl, resultToCache);
@@ -1542,6 +1572,18 @@ async function extractPageContent() {
   }
 
   // 执行HTML页面内容提取逻辑
+  const markdownResult = await extractPageMarkdownContent(extractionMode);
+  if (markdownResult) {
+    return attachVideoTranscript({
+      title: snapshotTitle,
+      url: snapshotUrl,
+      content: markdownResult.content,
+      selectedText: currentSelection,
+      format: 'markdown',
+      extractionScope: markdownResult.scope
+    });
+  }
+
   console.log('非PDF，执行HTML页面内容提取逻辑（包含Shadow DOM支持）');
 
 
@@ -1673,9 +1715,129 @@ async function extractPageContent() {
   };
   
   // console.log('最终提取的内容 (前200字符):', result.content.substring(0,200));
-  return result;
+  return attachVideoTranscript(result);
+}
+
+// 视频字幕缓存：同一视频的字幕不随页面滚动变化，避免每次读取页面都重新下载
+const videoTranscriptCache = new Map();
+const VIDEO_TRANSCRIPT_CACHE_LIMIT = 8;
+
+/**
+ * 若页面包含可提取字幕的视频（YouTube / HTML5 <track>），把带时间戳链接的字幕追加到页面内容末尾，
+ * 并在结果上挂 transcript 元信息。无字幕时原样返回。
+ * @param {Object} result - extractPageContent 的 HTML 提取结果
+ * @returns {Promise<Object>}
+ */
+async function attachVideoTranscript(result) {
+  const transcriptApi = globalThis.CerebrVideoTranscript;
+  if (!transcriptApi || !result) return result;
+
+  let transcript = videoTranscriptCache.get(result.url);
+  if (transcript === undefined) {
+    try {
+      transcript = await transcriptApi.extractVideoTranscript({
+        document,
+        url: result.url,
+        preferredLanguages: [document.documentElement?.lang, ...(navigator.languages || [])]
+      });
+    } catch (e) {
+      console.warn('提取视频字幕失败:', e);
+      transcript = null;
+    }
+    // 失败结果不缓存：播放器可能还没加载完字幕
+    if (transcript) {
+      videoTranscriptCache.set(result.url, transcript);
+      if (videoTranscriptCache.size > VIDEO_TRANSCRIPT_CACHE_LIMIT) {
+        videoTranscriptCache.delete(videoTranscriptCache.keys().next().value);
+      }
+    }
+  }
+  if (!transcript) return result;
+
+  const sourceLabel = [
+    transcript.source === 'youtube' ? 'YouTube' : 'HTML5 字幕轨道',
+    transcript.autoGenerated ? '自动生成' : '',
+    transcript.label || transcript.language
+  ].filter(Boolean).join(' · ');
+  const heading = result.format === 'markdown' ? '## 视频字幕' : '--- Video Transcript ---';
+  // 字幕只随页面内容发送一次；引用说明写在章节开头，一键总结与普通提问读到的是同一份
+  const section = [
+    heading,
+    `（${sourceLabel}；点击时间戳可跳转视频。总结或引用字幕时请以字幕为主要依据，`
+      + '并在要点后用同样的 Markdown 链接格式（如 [1:23](链接)）标注出处时间点。）',
+    transcript.markdown
+  ].join('\n\n');
+  return {
+    ...result,
+    content: result.content ? `${result.content}\n\n${section}` : section,
+    transcript: {
+      source: transcript.source,
+      language: transcript.language,
+      label: transcript.label,
+      autoGenerated: transcript.autoGenerated,
+      lineCount: transcript.lines.length
+    }
+  };
+}
+
+
+/**
+ * Markdown 抽取器的公共选项：按计算样式判断隐藏节点，展开同源 iframe（跳过侧边栏自身）。
+ * @returns {Object}
+ */
+function createPageMarkdownOptions() {
+  return {
+    baseUrl: window.location.href,
+    isHidden: (element) => {
+      const view = element.ownerDocument?.defaultView || window;
+      const computedStyle = view.getComputedStyle(element);
+      return computedStyle.display === 'none' || computedStyle.visibility === 'hidden';
+    },
+    getFrameDocument: (frame) => {
+      if (frame.classList?.contains('cerebr-sidebar__iframe')) return null;
+      try {
+        return frame.contentDocument || null;
+      } catch (_) {
+        return null; // 跨域 iframe
+      }
+    }
+  };
 }
 
+/**
+ * 按设置（pageContentFormat）以 Markdown 形式提取页面正文；Markdown 需在设置或 URL 规则中开启，默认仍走纯文本。
+ * 设置为纯文本、抽取器不可用、抽取失败或结果为空时返回 null，由调用方回退到纯文本提取。
+ * @param {string} [extractionMode] - URL 规则的覆盖：markdown（识别正文）/ markdown_page（Markdown 整页）/ text；空串跟随设置
+ * @returns {Promise<{content: string, scope: string}|null>}
+ */
+async function extractPageMarkdownContent(extractionMode = '') {
+  const extractor = globalThis.CerebrPageMarkdownExtractor;
+  if (!extractor) return null;
+  let format = 'text';
+  if (['markdown', 'markdown_page', 'text'].includes(extractionMode)) {
+    format = extractionMode;
+  } else {
+    try {
+      const stored = await chrome.storage.sync.get('pageContentFormat');
+      if (stored?.pageContentFormat === 'markdown') format = 'markdown';
+    } catch (e) {
+      console.warn('读取网页内容提取格式失败，使用默认的纯文本:', e);
+    }
+  }
+  if (format === 'text') return null;
+
+  try {
+    const result = extractor.extractPageMarkdown(document, {
+      ...createPageMarkdownOptions(),
+      detectMainContent: format !== 'markdown_page'
+    });
+    if (!result?.content) return null;
+    return result;
+  } catch (e) {
+    console.warn('Markdown 提取失败，回退为纯文本提取:', e);
+    return null;
+  }
+}
 
 function sendPlaceholderUpdate(message, timeout = 0) {
   console.log('发送placeholder更新:', message);
@@ -1742,27 +1904,6 @@ async function downloadPDFData(url) {
   return completeData;
 }
 
-async function parsePDFData(completeData) {
-  console.log('开始解析PDF文件');
-  const loadingTask = pdfjsLib.getDocument({ data: completeData });
-  const pdf = await loadingTask.promise;
-  console.log('PDF加载成功，总页数:', pdf.numPages);
-
-  let fullText = '';
-  // 遍历所有页面
-  for (let i = 1; i <= pdf.numPages; i++) {
-    sendPlaceholderUpdate(`正在提取文本 (${i}/${pdf.numPages})...`);
-    console.log(`开始处理第 ${i}/${pdf.numPages} 页`);
-    const page = await pdf.getPage(i);
-    const textContent = await page.getTextContent();
-    const pageText = textContent.items.map(item => item.str).join(' ');
-    console.log(`第 ${i} 页提取的文本长度:`, pageText.length);
-    fullText += pageText + '\n';
-  }
-
-  return fullText;
-}
-
 async function extractTextFromPDF(url) {
   try {
     // 下载PDF文件
@@ -1771,19 +1912,19 @@ async function extractTextFromPDF(url) {
     console.log('PDF下载完成');
 
     // 克隆 PDF 数据，避免后续调用因 ArrayBuffer 被转移而失败
-    const dataForText = new Uint8Array(completeData.buffer.slice(0));
     const dataForChapters = new Uint8Array(completeData.buffer.slice(0));
 
-    // 解析PDF文本
+    // 逐页解析一次，全文由页文本拼接，章节切分复用同一份页文本
     sendPlaceholderUpdate('正在解析PDF文件...');
-    const fullText = await parsePDFData(dataForText);
+    const pageTexts = await parsePDFToPageTexts(completeData);
+    const fullText = pageTexts.map(pageText => `${pageText}\n`).join('');
 
     // 解析PDF章节
-    const chapters = await extractChaptersFromPDFData(dataForChapters);
+    const chapters = await extractChaptersFromPDFData(dataForChapters, pageTexts);
 
     console.log('PDF文本提取完成，总文本长度:', fullText.length);
     sendPlaceholderUpdate('PDF处理完成', 2000);
-    return { fullText, chapters };
+    return { fullText, pageTexts, chapters };
   } catch (error) {
     console.error('PDF处理过程中出错:', error);
     console.error('错误堆栈:', error.stack);
@@ -1801,10 +1942,10 @@ async function extractTextFromPDF(url) {
   }
 }
 
-// 新增：从PDF数据解析章节内容的辅助函数
-async function extractChaptersFromPDFData(completeData) {
+// 新增：从PDF数据解析章节内容的辅助函数；已有逐页文本时直接复用，避免重复解析整份 PDF
+async function extractChaptersFromPDFData(completeData, pageTexts = null) {
   console.log('开始解析PDF章节内容');
-  const fullPageTexts = await parsePDFToPageTexts(completeData);
+  const fullPageTexts = Array.isArray(pageTexts) ? pageTexts : await parsePDFToPageTexts(completeData);
   console.log('成功提取每页文本, 页数:', fullPageTexts.length);
   
   // 克隆数据用于获取目录(书签)，不影响后续使用
@@ -1869,6 +2010,190 @@ function captureAndDropScreenshot() {
   waitCaptureWithAnimationFrame(5); // 初始调用，设置递归层级为 5，实现等待五帧的效果
 }
 
+let fullPageScreenshotRunning = false;
+
+/**
+ * 整页滚动截图：隐藏侧边栏后逐屏滚动截取并拼接（见 CerebrFullPageScreenshot），
+ * 按设置 fullPageScreenshotOutput 输出一张长图或多张分块图，逐张发送到侧边栏，并回报结果供侧栏提示。
+ */
+async function captureFullPageAndDropScreenshot() {
+  const iframe = sidebar.sidebar?.querySelector('.cerebr-sidebar__iframe');
+  const postResult = (result) => {
+    iframe?.contentWindow?.postMessage({ type: 'FULL_PAGE_SCREENSHOT_RESULT', ...result }, '*');
+  };
+  const api = globalThis.CerebrFullPageScreenshot;
+  if (!api) {
+    postResult({ success: false, error: '整页截图模块未加载' });
+    return;
+  }
+  if (fullPageScreenshotRunning) return;
+  fullPageScreenshotRunning = true;
+
+  let output = 'single';
+  try {
+    const stored = await chrome.storage.sync.get('fullPageScreenshotOutput');
+    if (stored?.fullPageScreenshotOutput === 'tiles') output = 'tiles';
+  } catch (_) {}
+
+  const sidebarVisibility = sidebar.sidebar.style.visibility;
+  sidebar.sidebar.style.transition = 'none';
+  sidebar.sidebar.style.visibility = 'hidden';
+  try {
+    const result = await api.captureFullPage({
+      document,
+      window,
+      output,
+      exclude: [sidebar.sidebar],
+      captureVisible: () => chrome.runtime.sendMessage({ action: 'capture_visible_tab' })
+    });
+    result.images.forEach((image) => {
+      iframe?.contentWindow?.postMessage({
+        type: 'DROP_IMAGE',
+        imageData: { data: image.dataURL, name: image.name }
+      }, '*');
+    });
+    postResult({
+      success: true,
+      imageCount: result.images.length,
+      frameCount: result.frameCount,
+      truncated: result.truncated,
+      autoTiled: result.autoTiled
+    });
+  } catch (error) {
+    console.error('整页截图失败:', error);
+    postResult({ success: false, error: error?.message || String(error) });
+  } finally {
+    sidebar.sidebar.style.visibility = sidebarVisibility;
+    sidebar.sidebar.style.transition = '';
+    fullPageScreenshotRunning = false;
+  }
+}
+
+// ====================== 元素选取附件 ======================
+
+/**
+ * 等待若干帧，让样式变更（隐藏侧边栏、高亮层）真正绘制后再截图。
+ * @param {number} count
+ * @returns {Promise<void>}
+ */
+function waitAnimationFrames(count) {
+  return new Promise((resolve) => {
+    const step = (remaining) => requestAnimationFrame(() => (remaining > 0 ? step(remaining - 1) : resolve()));
+    step(count);
+  });
+}
+
+/**
+ * 截取可见区域后裁剪出元素所在矩形（只保留视口内的部分）。
+ * 截图期间隐藏侧边栏与选取高亮层。
+ * @param {Element} element
+ * @returns {Promise<string|null>} PNG dataURL
+ */
+async function captureElementScreenshot(element) {
+  const rect = element.getBoundingClientRect();
+  const left = Math.max(0, rect.left);
+  const top = Math.max(0, rect.top);
+  const width = Math.min(window.innerWidth, rect.right) - left;
+  const height = Math.min(window.innerHeight, rect.bottom) - top;
+  if (width < 2 || height < 2) return null;
+
+  const restoreOverlay = picker.hideOverlayTemporarily();
+  const sidebarVisibility = sidebar.sidebar.style.visibility;
+  sidebar.sidebar.style.transition = 'none';
+  sidebar.sidebar.style.visibility = 'hidden';
+  let response = null;
+  try {
+    await waitAnimationFrames(2);
+    response = await chrome.runtime.sendMessage({ action: 'capture_visible_tab' });
+  } finally {
+    sidebar.sidebar.style.visibility = sidebarVisibility;
+    sidebar.sidebar.style.transition = '';
+    restoreOverlay();
+  }
+  if (!response?.success || !response.dataURL) {
+    console.warn('元素截图失败:', response?.error);
+    return null;
+  }
+
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('截图解码失败'));
+    img.src = response.dataURL;
+  });
+  const scale = image.naturalWidth / window.innerWidth;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext('2d').drawImage(
+    image,
+    left * scale, top * scale, width * scale, height * scale,
+    0, 0, canvas.width, canvas.height
+  );
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * 把选中的元素整理为附件：Markdown 文本、CSS 选择器，以及可选的元素截图。
+ * @param {{element: Element, selector: string}} picked
+ * @param {{includeScreenshot: boolean}} options
+ */
+async function buildElementAttachment({ element, selector }, { includeScreenshot }) {
+  let markdown = '';
+  try {
+    markdown = globalThis.CerebrPageMarkdownExtractor?.renderElementMarkdown(element, createPageMarkdownOptions()) || '';
+  } catch (error) {
+    console.warn('元素 Markdown 提取失败，回退为纯文本:', error);
+  }
+  if (!markdown) {
+    markdown = (element.innerText || element.getAttribute?.('alt') || element.getAttribute?.('aria-label') || '').trim();
+  }
+  let screenshot = null;
+  if (includeScreenshot) {
+    try {
+      screenshot = await captureElementScreenshot(element);
+    } catch (error) {
+      console.warn('元素截图失败:', error);
+    }
+  }
+  return {
+    selector,
+    tagName: element.tagName.toLowerCase(),
+    markdown,
+    screenshot,
+    pageTitle: document.title,
+    pageUrl: window.location.href
+  };
+}
+
+/**
+ * 进入连续选取模式：每点击一个页面区域就把它作为附件发给侧边栏，按 Esc 或侧边栏再次点击按钮结束。
+ * @param {{includeScreenshot: boolean}} options
+ */
+function startElementPicking(options) {
+  const iframe = sidebar.sidebar?.querySelector('.cerebr-sidebar__iframe');
+  const post = (message) => iframe?.contentWindow?.postMessage(message, '*');
+  picker.startPicking(async (picked) => {
+    try {
+      const attachment = await buildElementAttachment(picked, options);
+      if (!attachment.markdown && !attachment.screenshot) {
+        post({ type: 'ELEMENT_PICK_FAILED', error: '所选区域没有可提取的内容' });
+        return;
+      }
+      post({ type: 'ELEMENT_PICKED', attachment });
+    } catch (error) {
+      console.error('处理选中元素失败:', error);
+      post({ type: 'ELEMENT_PICK_FAILED', error: error?.message || String(error) });
+    }
+  }, {
+    continuous: true,
+    hint: '点击页面区域添加为消息附件，按 Esc 结束选取',
+    // 侧边栏挂在 <cerebr-root> 的 closed shadow root 里，页面侧只能命中宿主元素
+    ignore: element => !!element.closest?.('cerebr-root'),
+    onStop: () => post({ type: 'ELEMENT_PICKING_STOPPED' })
+  });
+}
+
 // ====================== 临时调试用 ======================
 
 // 调试功能：暴露几个调试函数方便查看PDF提取和DOM提取结果
@@ -2289,6 +2614,50 @@ function splitPdfTextByChapters(fullPageTexts, outline) {
   return chapters;
 }
 
+/**
+ * 去掉章节树中的正文，仅保留标题、起始页与子章节。
+ * @param {Array<{chapterTitle: string, pageNumber: number, content?: string, children?: Array}>} chapters
+ * @returns {Array<{chapterTitle: string, pageNumber: number, children: Array}>}
+ */
+function stripPdfChapterContent(chapters) {
+  return (Array.isArray(chapters) ? chapters : []).map(chapter => ({
+    chapterTitle: chapter.chapterTitle,
+    pageNumber: chapter.pageNumber,
+    children: stripPdfChapterContent(chapter.children)
+  }));
+}
+
+/**
+ * 让当前页面里的 PDF 查看器跳到指定页（侧栏里点击 [p. N] 引用时调用）。
+ * - pdf.js 等内嵌查看器：改写 iframe 的 #page= 片段；
+ * - 浏览器内置查看器：改写顶层文档的 #page= 片段，查看器会响应片段变化。
+ * @param {number} page - 从 1 开始的页码
+ * @returns {boolean} 是否找到可跳转的 PDF 查看器
+ */
+function jumpToPdfPage(page) {
+  const pageNumber = Math.trunc(Number(page));
+  if (!Number.isFinite(pageNumber) || pageNumber < 1) return false;
+
+  const pdfIframe = document.querySelector('iframe[src*="pdf.js"]') || document.querySelector('iframe[src*=".pdf"]');
+  if (pdfIframe) {
+    try {
+      const frameUrl = new URL(pdfIframe.src, window.location.href);
+      frameUrl.hash = `page=${pageNumber}`;
+      pdfIframe.src = frameUrl.href;
+      return true;
+    } catch (error) {
+      console.warn('跳转 PDF 页码失败:', error);
+      return false;
+    }
+  }
+
+  if (document.contentType === 'application/pdf' || window.location.href.includes('.pdf')) {
+    window.location.hash = `page=${pageNumber}`;
+    return true;
+  }
+  return false;
+}
+
 // ====================== 新增：从PDF数据解析每页文本 ======================
 /**
  * 解析完整的PDF数据，返回每一页的文本数组，数组索引0对应第1页
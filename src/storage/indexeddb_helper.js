@@ -2,6 +2,11 @@
  * IndexedDB 工具模块，用于存储聊天记录
  */
 
+import { accumulateConversationCost, createCostSummary, finalizeCostSummary } from '../utils/cost_accounting.js';
+
+// 语义搜索索引：每条记录是一个消息片段的向量（结构见 utils/history_embedding_index.js）
+const EMBEDDING_STORE_NAME = 'conversation_embeddings';
+
 /**
  * 打开或创建 "ChatHistoryDB" 数据库以及 "conversations" 对象存储
  * @returns {Promise<IDBDatabase>}
@@ -18,7 +23,8 @@ export function openChatHistoryDB() {
     // v3: 为性能优化新增 conversations.endTime 与 conversations.url 索引
     // - endTime：用于快速按“最近对话”分页加载（避免全量扫描 + 排序）
     // - url：用于“按当前 URL 快速筛选历史会话”（按前缀范围查询）
-    const request = indexedDB.open('ChatHistoryDB', 3);
+    // v4: 新增 conversation_embeddings（语义搜索索引，按 conversationId 建索引）
+    const request = indexedDB.open('ChatHistoryDB', 4);
     request.onerror = () => {
       cachedDbPromise = null;
       reject(request.error);
@@ -62,6 +68,11 @@ export function openChatHistoryDB() {
         }
       }
       
+      if (!db.objectStoreNames.contains(EMBEDDING_STORE_NAME)) {
+        const embeddingStore = db.createObjectStore(EMBEDDING_STORE_NAME, { keyPath: 'id' });
+        embeddingStore.createIndex('conversationId', 'conversationId', { unique: false });
+      }
+      
       if (event.oldVersion < 3) {
         console.log('升级数据库：为 conversations 增加 endTime/url 索引（提升历史列表与 URL 筛选性能）');
       }
@@ -81,7 +92,7 @@ export function openChatHistoryDB() {
  * @param {Array<Object>} messages
  * @returns {{totalCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number}}
  */
-function computeConversationMessageStats(messages) {
+export function computeConversationMessageStats(messages) {
   const list = Array.isArray(messages) ? messages : [];
   let totalCount = 0;
   let mainMessageCount = 0;
@@ -134,6 +145,7 @@ function compactConversationApiLock(rawLock) {
     const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
     if (normalized === 'gemini') return 'gemini';
     if (normalized === 'openai_responses') return 'openai_responses';
+    if (normalized === 'anthropic') return 'anthropic';
     if (normalized === 'openai') return 'openai';
     return '';
   };
@@ -146,6 +158,8 @@ function compactConversationApiLock(rawLock) {
   const normalizedBaseUrl = baseUrl.toLowerCase();
   if (!connectionType && (normalizedBaseUrl === 'genai' || normalizedBaseUrl.includes('generativelanguage.googleapis.com'))) {
     connectionType = 'gemini';
+  } else if (!connectionType && normalizedBaseUrl.includes('api.anthropic.com')) {
+    connectionType = 'anthropic';
   } else if (!connectionType && /(^|\/)responses(?:\/[^/?#]+)?\/?$/.test(normalizedBaseUrl)) {
     connectionType = 'openai_responses';
   }
@@ -188,11 +202,15 @@ function compactConversationToMetadata(conv) {
   const forkedFromMessageId = typeof conv?.forkedFromMessageId === 'string' && conv.forkedFromMessageId.trim()
     ? conv.forkedFromMessageId.trim()
     : null;
+  const summarySource = typeof conv?.summarySource === 'string' ? conv.summarySource : '';
+  const conversationRevision = Math.max(0, Math.floor(Number(conv?.conversationRevision) || 0));
   return {
     id,
     url,
     title,
     summary,
+    summarySource,
+    conversationRevision,
     startTime,
     endTime,
     messageCount,
@@ -212,7 +230,7 @@ function compactConversationToMetadata(conv) {
  * - 由于 conversations 记录本身包含 messages 大数组，IndexedDB 在读取时仍会结构化克隆整条记录；
  * - 这里的“轻量化”主要是为了减少上层长期保留的 JS 对象体积（避免把 messages/messageIds 留在内存里）。
  *
- * @returns {Promise<Array<{id:string, url:string, title:string, summary:string, startTime:number, endTime:number, messageCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number, parentConversationId:string|null, forkedFromMessageId:string|null, apiLock:Object|null}>>}
+ * @returns {Promise<Array<{id:string, url:string, title:string, summary:string, summarySource:string, conversationRevision:number, startTime:number, endTime:number, messageCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number, parentConversationId:string|null, forkedFromMessageId:string|null, apiLock:Object|null}>>}
  */
 export async function getAllConversationMetadata() {
   const db = await openChatHistoryDB();
@@ -245,7 +263,7 @@ export async function getAllConversationMetadata() {
 /**
  * 批量按 id 读取会话“轻量元数据”。
  * @param {string[]} ids
- * @returns {Promise<Array<{id:string, url:string, title:string, summary:string, startTime:number, endTime:number, messageCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number, parentConversationId:string|null, forkedFromMessageId:string|null, apiLock:Object|null}>>}
+ * @returns {Promise<Array<{id:string, url:string, title:string, summary:string, summarySource:string, conversationRevision:number, startTime:number, endTime:number, messageCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number, parentConversationId:string|null, forkedFromMessageId:string|null, apiLock:Object|null}>>}
  */
 export async function getConversationMetadataByIds(ids) {
   const idList = Array.isArray(ids) ? ids.filter(Boolean) : [];
@@ -414,7 +432,7 @@ export async function getConversationMetadataPageByEndTimeDesc(options = {}) {
  * - 同一会话只会分配到最严格的那个等级（去重逻辑：先处理更严格的 candidate）。
  *
  * @param {string[]} candidateUrls
- * @returns {Promise<Array<{id:string, url:string, title:string, summary:string, startTime:number, endTime:number, messageCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number, parentConversationId:string|null, forkedFromMessageId:string|null, urlMatchLevel:number, urlMatchPrefix:string}>>}
+ * @returns {Promise<Array<{id:string, url:string, title:string, summary:string, summarySource:string, conversationRevision:number, startTime:number, endTime:number, messageCount:number, mainMessageCount:number, threadMessageCount:number, threadCount:number, parentConversationId:string|null, forkedFromMessageId:string|null, urlMatchLevel:number, urlMatchPrefix:string}>>}
  */
 export async function listConversationMetadataByUrlCandidates(candidateUrls) {
   const candidates = Array.isArray(candidateUrls)
@@ -686,9 +704,12 @@ export async function putConversation(conversation, separateContent = false) {
 export async function deleteConversation(conversationId) {
   const db = await openChatHistoryDB();
   
-  const transaction = db.transaction('conversations', 'readwrite');
+  const transaction = db.transaction(['conversations', EMBEDDING_STORE_NAME], 'readwrite');
   const conversationStore = transaction.objectStore('conversations');
   
+  // 同一事务内一并删除该会话的语义索引，避免残留孤立向量
+  deleteEmbeddingRecordsInStore(transaction.objectStore(EMBEDDING_STORE_NAME), conversationId);
+
   // 删除会话记录
   return new Promise((resolve, reject) => {
     const request = conversationStore.delete(conversationId);
@@ -768,6 +789,126 @@ export async function getConversationsByIds(ids, loadFullContent = true) {
   return Array.isArray(conversations) ? conversations.filter(Boolean) : [];
 }
 
+function deleteEmbeddingRecordsInStore(store, conversationId) {
+  const request = store.index('conversationId').openKeyCursor(IDBKeyRange.only(conversationId));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    store.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+}
+
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB 事务已中止'));
+  });
+}
+
+/**
+ * 读取某个会话的全部语义索引记录。
+ * @param {string} conversationId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getConversationEmbeddingRecords(conversationId) {
+  if (!conversationId) return [];
+  const db = await openChatHistoryDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(EMBEDDING_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(EMBEDDING_STORE_NAME)
+      .index('conversationId')
+      .getAll(IDBKeyRange.only(conversationId));
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 在一个事务内写入新记录并删除过期记录（单个会话的增量更新）。
+ * @param {Array<Object>} putRecords
+ * @param {string[]} deleteIds
+ * @returns {Promise<void>}
+ */
+export async function applyConversationEmbeddingUpdate(putRecords, deleteIds) {
+  const records = Array.isArray(putRecords) ? putRecords : [];
+  const ids = Array.isArray(deleteIds) ? deleteIds : [];
+  if (records.length === 0 && ids.length === 0) return;
+  const db = await openChatHistoryDB();
+  const transaction = db.transaction(EMBEDDING_STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(EMBEDDING_STORE_NAME);
+  ids.forEach(id => store.delete(id));
+  records.forEach(record => store.put(record));
+  return waitForTransaction(transaction);
+}
+
+/**
+ * 删除某个会话的全部语义索引记录。
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+export async function deleteConversationEmbeddingRecords(conversationId) {
+  if (!conversationId) return;
+  const db = await openChatHistoryDB();
+  const transaction = db.transaction(EMBEDDING_STORE_NAME, 'readwrite');
+  deleteEmbeddingRecordsInStore(transaction.objectStore(EMBEDDING_STORE_NAME), conversationId);
+  return waitForTransaction(transaction);
+}
+
+/**
+ * 用游标逐条遍历语义索引（不一次性 getAll，避免向量数据全部驻留内存）。
+ * @param {(record:Object) => void} onRecord
+ * @returns {Promise<void>}
+ */
+export async function iterateConversationEmbeddingRecords(onRecord) {
+  const db = await openChatHistoryDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(EMBEDDING_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(EMBEDDING_STORE_NAME).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      try {
+        onRecord(cursor.value);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 统计语义索引的片段数。
+ * @returns {Promise<number>}
+ */
+export async function countConversationEmbeddingRecords() {
+  const db = await openChatHistoryDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(EMBEDDING_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(EMBEDDING_STORE_NAME).count();
+    request.onsuccess = () => resolve(Number(request.result) || 0);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 清空语义索引（例如切换嵌入模型后重建）。
+ * @returns {Promise<void>}
+ */
+export async function clearConversationEmbeddingRecords() {
+  const db = await openChatHistoryDB();
+  const transaction = db.transaction(EMBEDDING_STORE_NAME, 'readwrite');
+  transaction.objectStore(EMBEDDING_STORE_NAME).clear();
+  return waitForTransaction(transaction);
+}
+
 /**
  * 释放指定会话的内存（兼容接口）。
  *
@@ -811,6 +952,7 @@ export async function getDatabaseStats() {
       reasoning_content: 0,
       response_activity_timeline: 0,
       response_input_items: 0,
+      fileAttachments: 0,
       response_reasoning_summary: 0,
       preprocessOriginalText: 0,
       preprocessRenderedText: 0,
@@ -860,6 +1002,11 @@ export async function getDatabaseStats() {
         size += bytes;
         addMetaSize('response_input_items', bytes);
       }
+      if (msg.fileAttachments) {
+        const bytes = calcJsonBytes(msg.fileAttachments);
+        size += bytes;
+        addMetaSize('fileAttachments', bytes);
+      }
       if (typeof msg.response_reasoning_summary === 'string' && msg.response_reasoning_summary) {
         const bytes = encoder.encode(msg.response_reasoning_summary).length;
         size += bytes;
@@ -960,10 +1107,12 @@ export async function getDatabaseStats() {
     let newestMessageDate = 0;
     let conversationCount = 0;
     const domainCounts = new Map();
+    const costSummary = createCostSummary();
     
     // 分析会话数据
     conversations.forEach(conv => {
       conversationCount++;
+      accumulateConversationCost(costSummary, conv);
       // 统计域名
       if (conv.url) {
         try {
@@ -1071,7 +1220,8 @@ export async function getDatabaseStats() {
       avgTextBytesPerMessageFormatted: formatSize(Math.round(avgTextBytesPerMessage)),
       topDomains,
       metaFieldSizes,
-      metaTopItems
+      metaTopItems,
+      costSummary: finalizeCostSummary(costSummary)
     };
   } catch (error) {
     console.error('获取数据库统计信息失败:', error);
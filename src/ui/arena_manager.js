@@ -0,0 +1,394 @@
+/**
+ * 竞技场发送（多模型并排回答）
+ *
+ * 输入区的“竞技场”按钮弹出 API 选择列表，选中两个及以上配置后进入竞技场模式：
+ * 每条消息由 messageSender 以第一个配置作为主回答正常流式生成，其余配置并行请求，
+ * 回答作为同一条用户消息下的兄弟节点落库（见 utils/arena.js）。
+ *
+ * 这里负责竞技场的界面部分：
+ * - 把同组回答包进 .arena-group 并排成列，每列保留原有的 API footer；
+ * - 每列提供“保留此回答”（切换后续对话的上文）与 👍/👎 评价，评价写入历史节点供模型统计使用。
+ */
+import {
+  MAX_ARENA_API_CONFIGS,
+  keepArenaAnswer,
+  toggleArenaVote
+} from '../utils/arena.js';
+
+function getApiLabel(config) {
+  const displayName = (typeof config?.displayName === 'string') ? config.displayName.trim() : '';
+  if (displayName) return displayName;
+  const modelName = (typeof config?.modelName === 'string') ? config.modelName.trim() : '';
+  return modelName || (config?.baseUrl || 'API');
+}
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   init: () => void,
+ *   togglePicker: () => void,
+ *   closePicker: () => void,
+ *   getSendApiConfigs: () => Array<Object>|null,
+ *   mountPendingGroup: (groupId: string, primaryElement: HTMLElement|null, apiConfigs: Array<Object>) => Array<HTMLElement|null>,
+ *   fillPendingColumn: (placeholder: HTMLElement|null, node: Object) => void,
+ *   failPendingColumn: (placeholder: HTMLElement|null, errorText: string) => void,
+ *   decorateMessageElement: (messageElement: HTMLElement, node: Object) => void
+ * }}
+ */
+export function createArenaManager(appContext) {
+  const { dom, services } = appContext;
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  /** 选中的 API 配置 id，按勾选顺序排列；第一个作为流式主回答 */
+  let selectedConfigIds = [];
+  let pickerElement = null;
+  let pickerOpen = false;
+
+  function getButton() {
+    return document.getElementById('arena-button');
+  }
+
+  function getAllConfigs() {
+    const configs = services.apiManager?.getAllConfigs?.();
+    return Array.isArray(configs) ? configs.filter(config => config?.id) : [];
+  }
+
+  function getMessageNode(messageId) {
+    if (!messageId) return null;
+    const messages = services.chatHistoryManager?.chatHistory?.messages || [];
+    return messages.find(msg => msg?.id === messageId) || null;
+  }
+
+  /**
+   * 竞技场模式下本次发送使用的配置；未开启（少于两个有效配置）时返回 null。
+   * @returns {Array<Object>|null}
+   */
+  function getSendApiConfigs() {
+    const configs = selectedConfigIds
+      .map(id => services.apiManager?.resolveApiParam?.({ id }) || null)
+      .filter(config => config && selectedConfigIds.includes(config.id));
+    return configs.length >= 2 ? configs : null;
+  }
+
+  function updateButtonState() {
+    const button = getButton();
+    if (!button) return;
+    const active = !!getSendApiConfigs();
+    button.classList.toggle('is-active', active);
+    button.title = active
+      ? `竞技场：同时发送给 ${selectedConfigIds.length} 个模型`
+      : '竞技场：同时发送给多个模型并排比较';
+  }
+
+  function ensurePickerElement() {
+    if (pickerElement) return pickerElement;
+    pickerElement = document.createElement('div');
+    // 与“附加标签页”共用输入区弹出列表的样式
+    pickerElement.className = 'tab-context-picker arena-picker';
+    pickerElement.hidden = true;
+    (dom.inputContainer || document.body).appendChild(pickerElement);
+    return pickerElement;
+  }
+
+  function toggleConfig(configId) {
+    if (selectedConfigIds.includes(configId)) {
+      selectedConfigIds = selectedConfigIds.filter(id => id !== configId);
+    } else if (selectedConfigIds.length >= MAX_ARENA_API_CONFIGS) {
+      showNotification({ message: `竞技场最多同时比较 ${MAX_ARENA_API_CONFIGS} 个模型`, type: 'warning' });
+      return;
+    } else {
+      selectedConfigIds = [...selectedConfigIds, configId];
+    }
+    renderPicker();
+    updateButtonState();
+  }
+
+  function renderPicker() {
+    const picker = ensurePickerElement();
+    picker.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'tab-context-picker__header arena-picker__header';
+    const headerText = document.createElement('span');
+    headerText.textContent = selectedConfigIds.length
+      ? `已选 ${selectedConfigIds.length} 个，第一个为流式主回答`
+      : `选择 2～${MAX_ARENA_API_CONFIGS} 个模型并排回答`;
+    header.appendChild(headerText);
+    if (selectedConfigIds.length) {
+      const clearButton = document.createElement('button');
+      clearButton.type = 'button';
+      clearButton.className = 'arena-picker__clear';
+      clearButton.textContent = '退出竞技场';
+      clearButton.addEventListener('click', (event) => {
+        // 列表会整体重绘，阻止冒泡以免文档级监听把“点到已移除节点”当成点在外面而关闭列表
+        event.stopPropagation();
+        selectedConfigIds = [];
+        renderPicker();
+        updateButtonState();
+      });
+      header.appendChild(clearButton);
+    }
+    picker.appendChild(header);
+
+    // 收藏的配置排在前面，与“重新生成”子菜单的常用列表一致
+    const configs = getAllConfigs();
+    const sorted = [...configs.filter(config => config.isFavorite), ...configs.filter(config => !config.isFavorite)];
+    if (!sorted.length) {
+      const empty = document.createElement('div');
+      empty.className = 'tab-context-picker__empty';
+      empty.textContent = '还没有可用的 API 配置';
+      picker.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'tab-context-picker__list';
+    sorted.forEach((config) => {
+      const order = selectedConfigIds.indexOf(config.id);
+      const item = document.createElement('div');
+      item.className = 'tab-context-picker__item';
+      item.classList.toggle('is-selected', order >= 0);
+
+      const check = document.createElement('i');
+      check.className = 'far fa-check tab-context-picker__check';
+      const text = document.createElement('div');
+      text.className = 'tab-context-picker__text';
+      const title = document.createElement('div');
+      title.className = 'tab-context-picker__title';
+      title.textContent = getApiLabel(config);
+      const model = document.createElement('div');
+      model.className = 'tab-context-picker__host';
+      model.textContent = config.isFavorite ? `★ ${config.modelName || ''}` : (config.modelName || '');
+      text.append(title, model);
+      const badge = document.createElement('span');
+      badge.className = 'tab-context-picker__tokens';
+      badge.textContent = order >= 0 ? `#${order + 1}` : '';
+
+      item.append(check, text, badge);
+      item.addEventListener('click', (event) => {
+        event.stopPropagation();
+        toggleConfig(config.id);
+      });
+      list.appendChild(item);
+    });
+    picker.appendChild(list);
+  }
+
+  function openPicker() {
+    const picker = ensurePickerElement();
+    pickerOpen = true;
+    renderPicker();
+    picker.hidden = false;
+  }
+
+  function closePicker() {
+    pickerOpen = false;
+    if (pickerElement) pickerElement.hidden = true;
+  }
+
+  function togglePicker() {
+    if (pickerOpen) {
+      closePicker();
+    } else {
+      openPicker();
+    }
+  }
+
+  function findGroupElement(root, groupId) {
+    if (!root || !groupId) return null;
+    return Array.from(root.querySelectorAll('.arena-group'))
+      .find(el => el.dataset.arenaGroupId === groupId) || null;
+  }
+
+  function createGroupElement(groupId) {
+    const group = document.createElement('div');
+    group.className = 'arena-group';
+    group.dataset.arenaGroupId = groupId;
+    return group;
+  }
+
+  function createActionButton(className, iconClass, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `arena-column__action ${className}`;
+    button.title = title;
+    button.innerHTML = `<i class="${iconClass}"></i>`;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const column = button.closest('.arena-column');
+      const messageId = column?.querySelector('.message')?.getAttribute('data-message-id') || '';
+      Promise.resolve(onClick(messageId, column)).catch((error) => {
+        console.error('竞技场操作失败:', error);
+        showNotification({ message: '操作失败，请稍后重试', type: 'warning' });
+      });
+    });
+    return button;
+  }
+
+  function createColumnElement() {
+    const column = document.createElement('div');
+    column.className = 'arena-column';
+    const actions = document.createElement('div');
+    actions.className = 'arena-column__actions';
+    const keep = createActionButton('arena-column__keep', 'far fa-check', '保留此回答，后续对话从这里继续', keepAnswer);
+    keep.insertAdjacentText('beforeend', ' 保留');
+    actions.append(
+      keep,
+      createActionButton('arena-column__vote', 'far fa-thumbs-up', '这个回答更好', (id, column) => voteAnswer(id, column, 'up')),
+      createActionButton('arena-column__vote', 'far fa-thumbs-down', '这个回答较差', (id, column) => voteAnswer(id, column, 'down'))
+    );
+    column.appendChild(actions);
+    return column;
+  }
+
+  /** 按历史节点刷新各列的“已保留 / 评价”状态 */
+  function refreshGroup(group) {
+    if (!group) return;
+    group.querySelectorAll('.arena-column').forEach((column) => {
+      const messageId = column.querySelector('.message')?.getAttribute('data-message-id') || '';
+      const node = getMessageNode(messageId);
+      if (!node) return;
+      column.classList.toggle('is-kept', !!node.arenaKept);
+      const [up, down] = column.querySelectorAll('.arena-column__vote');
+      up?.classList.toggle('is-active', node.arenaVote === 'up');
+      down?.classList.toggle('is-active', node.arenaVote === 'down');
+    });
+  }
+
+  function isGroupPending(group) {
+    return !!group?.querySelector('.arena-column__pending, .loading-message, .message.updating');
+  }
+
+  async function keepAnswer(messageId, column) {
+    const group = column?.closest('.arena-group');
+    if (!messageId || isGroupPending(group)) {
+      showNotification({ message: '请等待所有回答生成完成', type: 'warning' });
+      return;
+    }
+    const chatHistory = services.chatHistoryManager?.chatHistory;
+    const result = keepArenaAnswer(chatHistory, messageId);
+    if (!result) {
+      showNotification({ message: '对话已在其它回答之后继续，无法再切换保留的回答', type: 'warning' });
+      return;
+    }
+    refreshGroup(group);
+    await services.chatHistoryUI?.saveCurrentConversation?.(true);
+    showNotification({ message: '已保留此回答，后续对话将从这里继续', type: 'info' });
+  }
+
+  async function voteAnswer(messageId, column, vote) {
+    const chatHistory = services.chatHistoryManager?.chatHistory;
+    if (toggleArenaVote(chatHistory, messageId, vote) === undefined) return;
+    refreshGroup(column?.closest('.arena-group'));
+    await services.chatHistoryUI?.saveCurrentConversation?.(true);
+  }
+
+  function wrapIntoColumn(group, element) {
+    const column = createColumnElement();
+    group.appendChild(column);
+    column.insertBefore(element, column.firstChild);
+    return column;
+  }
+
+  /**
+   * 竞技场发送开始时，把主回答的占位消息包进新的分组，并为其余模型各放一个等待中的列。
+   * @param {string} groupId
+   * @param {HTMLElement|null} primaryElement - 主回答的 loading 消息
+   * @param {Array<Object>} apiConfigs - 其余模型的配置
+   * @returns {Array<HTMLElement|null>} 与 apiConfigs 一一对应的占位元素
+   */
+  function mountPendingGroup(groupId, primaryElement, apiConfigs) {
+    const configs = Array.isArray(apiConfigs) ? apiConfigs : [];
+    if (!primaryElement?.parentNode) return configs.map(() => null);
+    const group = createGroupElement(groupId);
+    primaryElement.parentNode.insertBefore(group, primaryElement);
+    wrapIntoColumn(group, primaryElement).classList.add('is-kept');
+    return configs.map((config) => {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'arena-column__pending';
+      placeholder.textContent = `${getApiLabel(config)} 正在回答…`;
+      wrapIntoColumn(group, placeholder);
+      return placeholder;
+    });
+  }
+
+  /**
+   * 并行请求完成后，用回答节点替换占位列（会话已切走、占位不在页面上时只落库不渲染）。
+   * @param {HTMLElement|null} placeholder
+   * @param {Object} node
+   */
+  function fillPendingColumn(placeholder, node) {
+    if (!placeholder?.isConnected || !node) return;
+    const messageProcessor = services.messageProcessor;
+    const column = placeholder.closest('.arena-column');
+    const messageElement = messageProcessor?.appendMessage?.(
+      typeof node.content === 'string' ? node.content : '',
+      'ai',
+      true,
+      document.createDocumentFragment(),
+      null,
+      node.thoughtsRaw || null
+    );
+    if (!messageElement) return;
+    messageElement.classList.remove('batch-load');
+    messageElement.setAttribute('data-message-id', node.id);
+    placeholder.replaceWith(messageElement);
+    messageProcessor?.syncAssistantMessageView?.(node.id, { node, fallbackElement: messageElement });
+    refreshGroup(column.closest('.arena-group'));
+  }
+
+  function failPendingColumn(placeholder, errorText) {
+    if (!placeholder?.isConnected) return;
+    placeholder.classList.add('arena-column__pending--failed');
+    placeholder.textContent = errorText;
+    placeholder.title = errorText;
+    // 失败的列不会落库，因此不提供保留/评价
+    placeholder.closest('.arena-column')?.querySelector('.arena-column__actions')?.remove();
+    placeholder.classList.remove('arena-column__pending');
+  }
+
+  /**
+   * 渲染历史或新消息后调用：竞技场回答按 arenaGroupId 归入同一分组的列中。
+   * messageElement 可能仍在批量加载用的 DocumentFragment 里，分组元素会一起随 fragment 插入。
+   * @param {HTMLElement} messageElement
+   * @param {Object} node
+   */
+  function decorateMessageElement(messageElement, node) {
+    const groupId = node?.arenaGroupId;
+    if (!groupId || !messageElement?.parentNode || node.threadId) return;
+    if (messageElement.closest('.arena-column')) return;
+    const root = messageElement.parentNode;
+    let group = findGroupElement(root, groupId);
+    if (!group) {
+      group = createGroupElement(groupId);
+      root.insertBefore(group, messageElement);
+    }
+    wrapIntoColumn(group, messageElement);
+    refreshGroup(group);
+  }
+
+  function init() {
+    const button = getButton();
+    if (!button) return;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      togglePicker();
+    });
+    document.addEventListener('click', (event) => {
+      if (!pickerOpen) return;
+      if (pickerElement?.contains(event.target) || button.contains(event.target)) return;
+      closePicker();
+    });
+    updateButtonState();
+  }
+
+  return {
+    init,
+    togglePicker,
+    closePicker,
+    getSendApiConfigs,
+    mountPendingGroup,
+    fillPendingColumn,
+    failPendingColumn,
+    decorateMessageElement
+  };
+}
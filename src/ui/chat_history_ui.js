@@ -23,6 +23,25 @@ import { buildConversationSummaryFromMessages } from '../utils/conversation_titl
 import { normalizeStoredMessageContent, splitStoredMessageContent } from '../utils/message_content.js';
 import { buildApiFooterRenderData } from '../utils/api_footer_template.js';
 import { normalizeResponsesPromptCacheKey } from '../utils/responses_prompt_cache.js';
+import {
+  parseHistorySearchQuery,
+  isSimpleHistorySearchConjunction,
+  listHistorySearchConjuncts,
+  collectHistorySearchTerms,
+  findHistorySearchFilters,
+  evaluateHistorySearchExpression
+} from '../utils/history_search_query.js';
+import {
+  CONVERSATION_EXPORT_THEME_VARIABLES,
+  buildConversationExportDocument,
+  buildConversationExportBaseName,
+  renderConversationExportMarkdown,
+  renderConversationExportHtml,
+  serializeConversationExportJson
+} from '../utils/conversation_export.js';
+import { EXTERNAL_CHAT_IMPORT_SOURCES, convertExternalChatExport } from '../utils/external_chat_import.js';
+import { resolveArenaCurrentNodeId } from '../utils/arena.js';
+import { formatCostAmount } from '../utils/cost_accounting.js';
 import {
   normalizeConversationApiLock,
   mergeConversationApiLockState,
@@ -189,6 +208,7 @@ export function createChatHistoryUI(appContext) {
     const normalized = (typeof value === 'string') ? value.trim().toLowerCase() : '';
     if (normalized === 'gemini') return 'gemini';
     if (normalized === 'openai_responses') return 'openai_responses';
+    if (normalized === 'anthropic') return 'anthropic';
     if (normalized === 'openai') return 'openai';
     return '';
   }
@@ -198,6 +218,7 @@ export function createChatHistoryUI(appContext) {
     if (explicit) return explicit;
     const baseUrl = typeof config?.baseUrl === 'string' ? config.baseUrl.trim().toLowerCase() : '';
     if (baseUrl === 'genai' || baseUrl.includes('generativelanguage.googleapis.com')) return 'gemini';
+    if (baseUrl.includes('api.anthropic.com')) return 'anthropic';
     if (/(^|\/)responses(?:\/[^/?#]+)?\/?$/.test(baseUrl)) return 'openai_responses';
     return 'openai';
   }
@@ -1132,6 +1153,11 @@ export function createChatHistoryUI(appContext) {
         delete msg.thoughtSignatureSource;
         changed = true;
       }
+      // Anthropic 逐块保存的 thinking block 自带签名，失去 thoughtSignatureSource 后不会再回传
+      if (msg.anthropic_thinking_blocks !== undefined) {
+        delete msg.anthropic_thinking_blocks;
+        changed = true;
+      }
       if (hasSignature) removedMessages += 1;
     }
     return { changed, removedMessages };
@@ -1788,6 +1814,169 @@ export function createChatHistoryUI(appContext) {
     };
   }
 
+  function messageHasSearchableImage(message) {
+    if (message?.hasInlineImages === true) return true;
+    return Array.isArray(message?.content) && message.content.some(part => part?.type === 'image_url');
+  }
+
+  /**
+   * 表达式查询中的叶子求值（会话级）。
+   *
+   * facets 为 null 表示尚未读取消息正文：此时只能判断元数据字段，
+   * 关键词未在元数据命中、以及 model/api/has:image 等消息级条件返回 null（未知）。
+   *
+   * @param {Object} leaf - 语法树叶子
+   * @param {Object} meta - 会话元数据
+   * @param {Object} searchPlan
+   * @param {{pinnedIdSet?:Set<string>}} context
+   * @param {{texts:string[], models:string[], apis:string[], hasImage:boolean}|null} facets
+   * @returns {boolean|null}
+   */
+  function resolveChatHistorySearchLeaf(leaf, meta, searchPlan, context, facets) {
+    if (leaf.type === 'term') {
+      if (searchPlan.scope !== 'message' && buildMetaSearchText(meta).includes(leaf.lower)) return true;
+      if (!facets) return null;
+      return facets.texts.some(text => text.includes(leaf.lower));
+    }
+    const filter = leaf.filter;
+    if (!filter || filter.key === 'scope' || filter.key === 'role') return true;
+    if (!isMessageLevelSearchFilter(filter)) {
+      return evaluateChatHistoryFilters(meta, [filter], context);
+    }
+    if (!facets) {
+      // api:xxx 可以先用会话锁定的 API 快速命中
+      if (filter.key === 'api' && matchesSearchApiLock(meta?.apiLock, filter.valueLower)) return true;
+      return null;
+    }
+    if (filter.key === 'model') return facets.models.some(model => model.includes(filter.valueLower));
+    if (filter.key === 'api') {
+      return facets.apis.some(api => api.includes(filter.valueLower))
+        || matchesSearchApiLock(meta?.apiLock, filter.valueLower);
+    }
+    if (filter.key === 'has' && filter.value === 'image') return facets.hasImage;
+    return true;
+  }
+
+  function matchesSearchApiLock(apiLock, valueLower) {
+    const displayName = typeof apiLock?.displayName === 'string' ? apiLock.displayName.toLowerCase() : '';
+    return !!valueLower && displayName.includes(valueLower);
+  }
+
+  /**
+   * 仅凭元数据对表达式查询求值：true/false 表示已可判定，null 表示需要读取消息。
+   */
+  function evaluateChatHistoryExpressionOnMeta(meta, searchPlan, context) {
+    return evaluateHistorySearchExpression(
+      searchPlan.expression,
+      leaf => resolveChatHistorySearchLeaf(leaf, meta, searchPlan, context, null)
+    );
+  }
+
+  /**
+   * 全文搜索（表达式查询）：读取会话消息后对完整语法树求值。
+   *
+   * - 会话范围：关键词在任意（符合 role: 的）消息或元数据中出现即为真；
+   * - 消息范围（scope:message）：逐条消息求值，至少一条消息满足整个表达式才算命中；
+   * - 摘录沿用旧路径的高亮规则，只取非否定的关键词。
+   *
+   * 返回值结构与 scanConversationInlineMessagesForMatch 一致，便于复用搜索循环。
+   */
+  function scanConversationForSearchExpression(conversation, meta, searchPlan, textPlan, context, isCancelled) {
+    const matchInfo = { messageId: null, excerpts: [], reason: 'message', totalHitCount: 0, matchedMessageCount: 0 };
+    const result = { cancelled: false, matched: false, blocked: false, matchInfo, remainingTerms: [] };
+    if (!conversation || !Array.isArray(conversation.messages)) return result;
+
+    const roleSet = Array.isArray(searchPlan.roles) ? new Set(searchPlan.roles) : null;
+    const highlightTerms = Array.isArray(textPlan?.highlightLower) ? textPlan.highlightLower : [];
+    const highlightRegex = buildHighlightRegex(highlightTerms);
+    const entries = [];
+    for (let index = 0; index < conversation.messages.length; index += 1) {
+      if (isCancelled()) return { ...result, cancelled: true };
+      const message = conversation.messages[index];
+      if (!message) continue;
+      const plainText = extractMessagePlainText(message);
+      entries.push({
+        index,
+        message,
+        plainText,
+        // role: 只限定“关键词在哪些消息里找”，模型/API/图片等条件仍看整段会话
+        lowerText: (!roleSet || roleSet.has(message.role)) ? plainText.toLowerCase() : '',
+        model: typeof message.apiModelId === 'string' ? message.apiModelId.toLowerCase() : '',
+        api: typeof message.apiDisplayName === 'string' ? message.apiDisplayName.toLowerCase() : '',
+        hasImage: messageHasSearchableImage(message)
+      });
+    }
+
+    const buildFacets = list => ({
+      texts: list.map(entry => entry.lowerText).filter(Boolean),
+      models: list.map(entry => entry.model).filter(Boolean),
+      apis: list.map(entry => entry.api).filter(Boolean),
+      hasImage: list.some(entry => entry.hasImage)
+    });
+
+    const evaluate = facets => evaluateHistorySearchExpression(
+      searchPlan.expression,
+      leaf => resolveChatHistorySearchLeaf(leaf, meta, searchPlan, context, facets)
+    ) === true;
+
+    let excerptSources = [];
+    if (resolveSearchScope(textPlan) === 'message') {
+      excerptSources = entries.filter(entry => entry.lowerText && evaluate(buildFacets([entry])));
+      result.matched = excerptSources.length > 0;
+    } else {
+      result.matched = evaluate(buildFacets(entries));
+      excerptSources = result.matched ? entries.filter(entry => entry.lowerText) : [];
+    }
+    if (!result.matched) return result;
+
+    const matchedMessageKeySet = new Set();
+    excerptSources.forEach((entry) => {
+      if (!highlightRegex) return;
+      const hitCount = countRegexMatches(entry.plainText, highlightRegex);
+      if (hitCount <= 0) return;
+      const messageId = typeof entry.message.id === 'string' ? entry.message.id : '';
+      matchInfo.totalHitCount += hitCount;
+      matchedMessageKeySet.add(messageId || `__message_${entry.index}`);
+      const preview = buildMessagePreviewExcerpt(entry.plainText, highlightTerms, SEARCH_RESULT_SNIPPET_CONTEXT_LENGTH);
+      if (!preview) return;
+      preview.messageId = messageId || null;
+      preview.messageIndex = entry.index;
+      preview.hitCount = hitCount;
+      matchInfo.excerpts.push(preview);
+    });
+    matchInfo.matchedMessageCount = matchedMessageKeySet.size;
+    sortSearchSnippetExcerptsByCoverage(matchInfo.excerpts, highlightTerms);
+    matchInfo.messageId = matchInfo.excerpts[0]?.messageId || null;
+    return result;
+  }
+
+  /**
+   * 把语义索引的排序结果转成与全文搜索一致的 matchInfo：
+   * 每条命中消息取索引里保存的片段开头作为摘要（没有关键词高亮），点击跳转到相似度最高的消息。
+   * @param {{score:number, hits:Array<{messageId:string, score:number, preview:string}>}} entry
+   * @returns {{messageId:string|null, excerpts:Array<Object>, reason:string, totalHitCount:number, matchedMessageCount:number}}
+   */
+  function buildSemanticSearchMatchInfo(entry) {
+    const hits = Array.isArray(entry?.hits) ? entry.hits : [];
+    const excerpts = hits
+      .filter(hit => hit?.preview)
+      .map((hit, index) => ({
+        segments: [{ type: 'text', value: `${hit.score.toFixed(2)} · ${hit.preview.replace(/\s+/g, ' ').trim()}` }],
+        prefixEllipsis: false,
+        suffixEllipsis: false,
+        messageId: hit.messageId.startsWith('__message_') ? null : hit.messageId,
+        messageIndex: index,
+        hitCount: 0
+      }));
+    return {
+      messageId: excerpts[0]?.messageId || null,
+      excerpts,
+      reason: 'semantic',
+      totalHitCount: 0,
+      matchedMessageCount: hits.length
+    };
+  }
+
   /**
    * 全文搜索：按需从 IndexedDB 读取会话并扫描消息内容，返回匹配信息。
    *
@@ -2268,6 +2457,7 @@ export function createChatHistoryUI(appContext) {
     // 使用 IndexedDB 存储对话记录
     await putConversation(conversation);
     invalidateMetadataCache();
+    services.historyEmbeddingManager?.scheduleConversationIndex?.(conversation.id);
     
     // 根据调用方意图决定是否同步“当前激活会话”上下文。
     if (updateActiveState) {
@@ -2644,7 +2834,8 @@ export function createChatHistoryUI(appContext) {
       const textPlan = buildChatHistoryTextPlan(searchPlan);
       const hasActiveQuery = (Array.isArray(searchPlan.filters) && searchPlan.filters.length > 0)
         || textPlan.hasPositive
-        || textPlan.hasNegative;
+        || textPlan.hasNegative
+        || searchPlan.useExpression;
       const emptyMsg = document.createElement('div');
       emptyMsg.textContent = hasActiveQuery ? '没有匹配的聊天记录' : '暂无聊天记录';
       listContainer.appendChild(emptyMsg);
@@ -3571,6 +3762,17 @@ export function createChatHistoryUI(appContext) {
       try {
         services.selectionThreadManager?.decorateMessageElement?.(messageElem, msg);
       } catch (_) {}
+      try {
+        services.fileAttachmentManager?.decorateMessageElement?.(messageElem, msg);
+      } catch (_) {}
+      // 竞技场：同组回答归入并排的列
+      try {
+        services.arenaManager?.decorateMessageElement?.(messageElem, msg);
+      } catch (_) {}
+      // 上下文压缩：在边界消息下补回压缩标记
+      try {
+        services.contextCompactionManager?.decorateMessageElement?.(messageElem, msg);
+      } catch (_) {}
     }
 
     // 批量插入：一次性提交到 DOM，显著降低大对话恢复时的卡顿/延迟
@@ -3580,8 +3782,9 @@ export function createChatHistoryUI(appContext) {
     services.chatHistoryManager.chatHistory.messages = fullConversation.messages.slice();
     services.chatHistoryManager.chatHistory.root = fullConversation.messages.length > 0 ? fullConversation.messages[0].id : null;
     const lastMainMessage = [...fullConversation.messages].reverse().find(m => !m?.threadId && !m?.threadHiddenSelection) || null;
+    // 最后一轮是竞技场时，后续对话应接在用户保留的回答之后，而不是数组里排在最后的那个
     services.chatHistoryManager.chatHistory.currentNode = lastMainMessage
-      ? lastMainMessage.id
+      ? resolveArenaCurrentNodeId(fullConversation.messages, lastMainMessage.id)
       : (fullConversation.messages.length > 0 ? fullConversation.messages[fullConversation.messages.length - 1].id : null);
     services.chatHistoryManager.chatHistory.conversationRevision = Number.isFinite(Number(fullConversation?.conversationRevision))
       ? Math.max(0, Math.floor(Number(fullConversation.conversationRevision)))
@@ -3736,7 +3939,7 @@ export function createChatHistoryUI(appContext) {
     if (reused) metaParts.push('缓存结果');
 
     // 搜索词已在输入框中可见，这里不重复回显原始查询文本，避免信息冗余。
-    const summaryTitle = '搜索结果';
+    const summaryTitle = info.title || '搜索结果';
     summary.textContent = '';
     const titleSpan = document.createElement('span');
     titleSpan.className = 'summary-title';
@@ -4510,6 +4713,39 @@ export function createChatHistoryUI(appContext) {
       closeMenu();
     });
 
+    // 导出选项：Markdown / HTML / JSON；属于分支树的会话额外提供“导出范围”切换（点击不关闭菜单）
+    const exportOptions = [];
+    let exportScope = 'chain';
+    const exportScopeOption = (await isConversationInBranchTree(conversationId))
+      ? document.createElement('div')
+      : null;
+    const syncExportScopeLabel = () => {
+      if (!exportScopeOption) return;
+      exportScopeOption.textContent = exportScope === 'tree' ? '导出范围：整棵分支树' : '导出范围：当前对话';
+    };
+    if (exportScopeOption) {
+      exportScopeOption.classList.add('chat-history-context-menu-option');
+      exportScopeOption.title = '切换导出当前对话的主链，或包含父/子分支的整棵树';
+      syncExportScopeLabel();
+      exportScopeOption.addEventListener(HISTORY_MENU_ACTIVATE_EVENT, (e) => {
+        e.stopPropagation();
+        exportScope = exportScope === 'tree' ? 'chain' : 'tree';
+        syncExportScopeLabel();
+      });
+      exportOptions.push(exportScopeOption);
+    }
+    ['markdown', 'html', 'json'].forEach((format) => {
+      const option = document.createElement('div');
+      option.textContent = `导出为 ${CONVERSATION_EXPORT_FORMATS[format].label}`;
+      option.classList.add('chat-history-context-menu-option');
+      option.addEventListener(HISTORY_MENU_ACTIVATE_EVENT, async (e) => {
+        e.stopPropagation();
+        closeMenu();
+        await exportConversation(conversationId, { format, scope: exportScope });
+      });
+      exportOptions.push(option);
+    });
+
     // 删除选项
     const deleteOption = document.createElement('div');
     deleteOption.textContent = '删除聊天记录';
@@ -4711,6 +4947,7 @@ export function createChatHistoryUI(appContext) {
     menuCleanupCallbacks.push(() => deleteOption.removeEventListener('click', onDeleteClick));
 
     menu.appendChild(copyOption);
+    exportOptions.forEach(option => menu.appendChild(option));
     appendMenuSeparator();
     menu.appendChild(deleteOption);
     document.body.appendChild(menu);
@@ -4763,7 +5000,19 @@ export function createChatHistoryUI(appContext) {
     ['to', 'date'],
     ['结束', 'date'],
     ['scope', 'scope'],
-    ['范围', 'scope']
+    ['范围', 'scope'],
+    ['model', 'model'],
+    ['模型', 'model'],
+    ['api', 'api'],
+    ['role', 'role'],
+    ['角色', 'role'],
+    ['has', 'has'],
+    ['包含', 'has'],
+    ['pinned', 'pinned'],
+    ['pin', 'pinned'],
+    ['置顶', 'pinned'],
+    ['title', 'title'],
+    ['标题', 'title']
   ]);
 
   const CHAT_HISTORY_SEARCH_SCOPE_VALUES = new Map([
@@ -4774,43 +5023,56 @@ export function createChatHistoryUI(appContext) {
     ['session', 'session'],
     ['conversation', 'session'],
     ['conv', 'session'],
-    ['会话', 'session']
+    ['会话', 'session'],
+    ['semantic', 'semantic'],
+    ['sem', 'semantic'],
+    ['语义', 'semantic']
   ]);
 
-  function tokenizeSearchQuery(rawInput) {
-    const input = typeof rawInput === 'string' ? rawInput : '';
-    const tokens = [];
-    let buffer = '';
-    let inQuotes = false;
-    let escapeNext = false;
-
-    for (let i = 0; i < input.length; i++) {
-      const ch = input[i];
-      if (escapeNext) {
-        buffer += ch;
-        escapeNext = false;
-        continue;
-      }
-      if (ch === '\\') {
-        escapeNext = true;
-        continue;
-      }
-      if (ch === '"') {
-        inQuotes = !inQuotes;
-        continue;
-      }
-      if (!inQuotes && /\s/.test(ch)) {
-        if (buffer) {
-          tokens.push(buffer);
-          buffer = '';
-        }
-        continue;
-      }
-      buffer += ch;
-    }
+  // role: 取值与消息节点的 role 字段对应（助手消息存为 'ai'）
+  const CHAT_HISTORY_SEARCH_ROLE_VALUES = new Map([
+    ['user', 'user'],
+    ['me', 'user'],
+    ['用户', 'user'],
+    ['ai', 'ai'],
+    ['assistant', 'ai'],
+    ['bot', 'ai'],
+    ['助手', 'ai'],
+    ['system', 'system'],
+    ['系统', 'system']
+  ]);
+
+  const CHAT_HISTORY_SEARCH_HAS_VALUES = new Map([
+    ['image', 'image'],
+    ['images', 'image'],
+    ['img', 'image'],
+    ['图片', 'image'],
+    ['thread', 'thread'],
+    ['threads', 'thread'],
+    ['线程', 'thread'],
+    ['划词', 'thread']
+  ]);
+
+  const CHAT_HISTORY_SEARCH_BOOLEAN_VALUES = new Map([
+    ['true', true],
+    ['yes', true],
+    ['1', true],
+    ['是', true],
+    ['false', false],
+    ['no', false],
+    ['0', false],
+    ['否', false]
+  ]);
 
-    if (buffer) tokens.push(buffer);
-    return tokens;
+  /**
+   * 需要读取消息内容才能判断的筛选条件（其余条件只看会话元数据）。
+   * @param {Object} filter
+   * @returns {boolean}
+   */
+  function isMessageLevelSearchFilter(filter) {
+    if (!filter) return false;
+    if (filter.key === 'model' || filter.key === 'api' || filter.key === 'role') return true;
+    return filter.key === 'has' && filter.value === 'image';
   }
 
   function normalizeSearchTerms(rawTerms) {
@@ -5050,7 +5312,7 @@ export function createChatHistoryUI(appContext) {
     const key = CHAT_HISTORY_SEARCH_FILTER_KEYS.get(rawKey);
     if (!key) return null;
 
-    if (key === 'url') {
+    if (key === 'url' || key === 'model' || key === 'api' || key === 'title') {
       return {
         key,
         value: rawValue,
@@ -5058,6 +5320,15 @@ export function createChatHistoryUI(appContext) {
       };
     }
 
+    if (key === 'role' || key === 'has' || key === 'pinned') {
+      const valueMap = key === 'role'
+        ? CHAT_HISTORY_SEARCH_ROLE_VALUES
+        : (key === 'has' ? CHAT_HISTORY_SEARCH_HAS_VALUES : CHAT_HISTORY_SEARCH_BOOLEAN_VALUES);
+      const normalized = valueMap.get(rawValue.toLowerCase());
+      if (normalized === undefined) return null;
+      return { key, value: normalized };
+    }
+
     if (key === 'scope') {
       const rawScope = rawValue.trim();
       if (!rawScope) return null;
@@ -5093,44 +5364,85 @@ export function createChatHistoryUI(appContext) {
     return null;
   }
 
+  /**
+   * 解析搜索框文本为搜索计划。
+   *
+   * - 语法树由 utils/history_search_query.js 解析（AND / OR / 否定 / 括号 / 短语）；
+   * - scope: 与 role: 是整条查询的修饰符，只在顶层 AND 中生效并从语法树里摘掉；
+   * - 能用旧语法表达的查询（词条与元数据筛选的 AND）继续走原有的快速路径（positiveTerms / negativeTerms / filters），
+   *   其余情况 useExpression=true，由搜索循环对完整语法树求值；
+   * - scope:semantic 时关键词按原顺序拼成 semanticQuery 交给语义索引，只保留顶层的会话级筛选。
+   *
+   * @param {string} rawFilter
+   * @returns {Object}
+   */
   function buildChatHistorySearchPlan(rawFilter) {
     const raw = typeof rawFilter === 'string' ? rawFilter : '';
     const normalized = raw.trim().toLowerCase();
-    const tokens = tokenizeSearchQuery(raw);
-    const terms = [];
-    const negativeTerms = [];
-    const filters = [];
+    const parsed = parseHistorySearchQuery(raw, { parseFilter: parseSearchFilterToken });
     let scope = 'session';
-
-    tokens.forEach((token) => {
-      let working = token.trim();
-      if (!working) return;
-      let negated = false;
-      while (working.startsWith('!')) {
-        negated = !negated;
-        working = working.slice(1);
-      }
-      if (!working) return;
-
-      const filter = parseSearchFilterToken(working);
-      if (filter) {
-        if (filter.key === 'scope') {
-          if (!negated && filter.value) {
-            scope = filter.value;
-          }
-          return;
-        }
-        filter.negated = negated;
-        filters.push(filter);
-        return;
+    const includedRoles = new Set();
+    const excludedRoles = new Set();
+
+    const remaining = listHistorySearchConjuncts(parsed).filter((node) => {
+      const negated = node.type === 'not';
+      const leaf = negated ? node.child : node;
+      if (leaf.type !== 'filter') return true;
+      if (leaf.filter.key === 'scope') {
+        if (!negated) scope = leaf.filter.value;
+        return false;
       }
-
-      if (negated) {
-        negativeTerms.push(working);
-      } else {
-        terms.push(working);
+      if (leaf.filter.key === 'role') {
+        (negated ? excludedRoles : includedRoles).add(leaf.filter.value);
+        return false;
       }
+      return true;
     });
+    const expression = remaining.length === 0
+      ? null
+      : (remaining.length === 1 ? remaining[0] : { type: 'and', children: remaining });
+
+    // null 表示不限角色；数组（可能为空）表示关键词只在这些角色的消息里查找
+    let roles = null;
+    if (includedRoles.size > 0 || excludedRoles.size > 0) {
+      const base = includedRoles.size > 0 ? Array.from(includedRoles) : ['user', 'ai', 'system'];
+      roles = base.filter(role => !excludedRoles.has(role));
+    }
+
+    const isSemantic = scope === 'semantic';
+    const useExpression = !isSemantic && (
+      roles !== null
+      || !isSimpleHistorySearchConjunction(expression)
+      || findHistorySearchFilters(expression, isMessageLevelSearchFilter).length > 0
+    );
+
+    const terms = [];
+    const negativeTerms = [];
+    const filters = [];
+    if (useExpression) {
+      collectHistorySearchTerms(expression).positive.forEach(term => terms.push(term.value));
+    } else if (isSemantic) {
+      collectHistorySearchTerms(expression).positive.forEach(term => terms.push(term.value));
+      listHistorySearchConjuncts(expression).forEach((node) => {
+        const negated = node.type === 'not';
+        const leaf = negated ? node.child : node;
+        if (leaf.type === 'filter' && !isMessageLevelSearchFilter(leaf.filter)) {
+          filters.push({ ...leaf.filter, negated });
+        }
+      });
+    } else {
+      listHistorySearchConjuncts(expression).forEach((node) => {
+        const negated = node.type === 'not';
+        const leaf = negated ? node.child : node;
+        if (leaf.type === 'filter') {
+          filters.push({ ...leaf.filter, negated });
+        } else if (negated) {
+          negativeTerms.push(leaf.value);
+        } else {
+          terms.push(leaf.value);
+        }
+      });
+    }
 
     const positive = normalizeSearchTerms(terms);
     const negative = normalizeSearchTerms(negativeTerms);
@@ -5144,6 +5456,10 @@ export function createChatHistoryUI(appContext) {
       negativeTermsLower: negative.lower,
       filters,
       scope,
+      roles,
+      expression,
+      useExpression,
+      semanticQuery: isSemantic ? terms.join(' ').trim() : '',
       hasText: positive.lower.length > 0 || negative.lower.length > 0,
       hasPositiveText: positive.lower.length > 0,
       hasNegativeText: negative.lower.length > 0
@@ -5205,7 +5521,14 @@ export function createChatHistoryUI(appContext) {
     }
   }
 
-  function evaluateChatHistoryFilters(meta, filters) {
+  /**
+   * 对会话元数据求值筛选条件（全部满足才返回 true）。
+   * @param {Object} meta
+   * @param {Array<Object>} filters
+   * @param {{pinnedIdSet?:Set<string>}} [context] - pinned: 需要当前置顶列表
+   * @returns {boolean}
+   */
+  function evaluateChatHistoryFilters(meta, filters, context = {}) {
     const list = Array.isArray(filters) ? filters : [];
     if (!list.length) return true;
     for (const filter of list) {
@@ -5219,6 +5542,17 @@ export function createChatHistoryUI(appContext) {
         matched = compareNumericRange(meta?.messageCount, filter.operator, filter.rangeStart, filter.rangeEnd);
       } else if (filter.key === 'date') {
         matched = compareMessageDateRange(meta?.startTime, meta?.endTime, filter.operator, filter.rangeStart, filter.rangeEnd);
+      } else if (filter.key === 'title') {
+        const title = `${meta?.title || ''}\n${meta?.summary || ''}`.toLowerCase();
+        matched = title.includes(filter.valueLower || '');
+      } else if (filter.key === 'pinned') {
+        const isPinned = !!(meta?.id && context?.pinnedIdSet?.has(meta.id));
+        matched = isPinned === filter.value;
+      } else if (filter.key === 'has' && filter.value === 'thread') {
+        matched = (Number(meta?.threadCount) || 0) > 0;
+      } else {
+        // 消息级条件（model/api/has:image）只在表达式路径中求值
+        continue;
       }
 
       if (filter.negated) matched = !matched;
@@ -5647,8 +5981,10 @@ export function createChatHistoryUI(appContext) {
     };
 
     const hasFilterRules = Array.isArray(searchPlan.filters) && searchPlan.filters.length > 0;
-    const hasTextQuery = textPlan.hasPositive || textPlan.hasNegative;
+    // 表达式查询（OR / 分组 / 消息级条件）即使没有关键词也要逐个会话求值，因此同样走全文搜索循环
+    const hasTextQuery = textPlan.hasPositive || textPlan.hasNegative || searchPlan.useExpression;
     const hasActiveQuery = hasFilterRules || hasTextQuery;
+    const isSemanticSearch = !!searchPlan.semanticQuery;
     const resolvedScope = resolveSearchScope(textPlan);
     const shouldUseMetaMatch = resolvedScope === 'session';
 
@@ -5683,6 +6019,7 @@ export function createChatHistoryUI(appContext) {
     const pinnedIds = await getPinnedIds();
     // 任务可能已被新一轮加载替换
     if (panel.dataset.runId !== runId) return;
+    const searchFilterContext = { pinnedIdSet: new Set(pinnedIds) };
 
     // 记录本轮“列表数据源模式”，供 renderMoreItems 继续分页追加
     // - paged：默认视图（置顶 + 最近 N 条），后续按需加载更多
@@ -5757,7 +6094,7 @@ export function createChatHistoryUI(appContext) {
     const applyMetaFilters = (list) => {
       const items = Array.isArray(list) ? list : [];
       if (!hasFilterRules) return items;
-      return items.filter((meta) => evaluateChatHistoryFilters(meta, searchPlan.filters));
+      return items.filter((meta) => evaluateChatHistoryFilters(meta, searchPlan.filters, searchFilterContext));
     };
 
     let sourceHistories = [];
@@ -5790,7 +6127,69 @@ export function createChatHistoryUI(appContext) {
           excerptCount: meta.excerptCount,
           scannedCount: meta.scannedCount,
           reused: true,
-          highlightPlan
+          highlightPlan,
+          title: isSemanticSearch ? '语义搜索结果' : ''
+        });
+      } else if (isSemanticSearch) {
+        removeSearchSummary(panel);
+        const searchStartTime = performance.now();
+        const searchProgressIndicator = upsertSearchProgressIndicator();
+        setSearchProgressStage(searchProgressIndicator, '正在计算语义相似度…');
+
+        const candidateMetas = applyMetaFilters(allHistoriesMeta);
+        const metaById = new Map(candidateMetas.filter(meta => meta?.id).map(meta => [meta.id, meta]));
+        let ranked = [];
+        try {
+          ranked = await services.historyEmbeddingManager?.search?.(searchPlan.semanticQuery, {
+            candidateIds: new Set(metaById.keys())
+          }) || [];
+        } catch (error) {
+          console.error('语义搜索失败:', error);
+          showNotification?.({ message: error?.message || '语义搜索失败', type: 'warning', duration: 2600 });
+        }
+        setSearchProgressVisible(searchProgressIndicator, false);
+        if (panel.dataset.runId !== runId) return;
+
+        const matchInfoMap = new Map();
+        const finalResults = [];
+        ranked.forEach((entry) => {
+          const meta = metaById.get(entry.conversationId);
+          if (!meta) return;
+          finalResults.push(meta);
+          matchInfoMap.set(meta.id, buildSemanticSearchMatchInfo(entry));
+        });
+        const durationMs = performance.now() - searchStartTime;
+        const excerptCount = Array.from(matchInfoMap.values()).reduce((acc, info) => acc + info.excerpts.length, 0);
+        const nextSearchCache = {
+          query: filterText,
+          normalized: normalizedFilter,
+          key: searchCacheKey,
+          contextKey: searchCacheContextKey,
+          // 相似度排序的结果不能作为后续输入的前缀候选集
+          usesExpression: true,
+          results: finalResults.slice(),
+          matchMap: matchInfoMap,
+          timestamp: Date.now(),
+          meta: {
+            durationMs,
+            resultCount: finalResults.length,
+            excerptCount,
+            scannedCount: metaById.size
+          }
+        };
+        setSearchCacheEntry(nextSearchCache);
+        searchCache = nextSearchCache;
+        sourceHistories = nextSearchCache.results.slice();
+        renderSearchSummary(panel, {
+          query: filterText,
+          normalized: normalizedFilter,
+          durationMs,
+          resultCount: finalResults.length,
+          excerptCount,
+          scannedCount: metaById.size,
+          reused: false,
+          highlightPlan,
+          title: '语义搜索结果'
         });
       } else {
         removeSearchSummary(panel);
@@ -5799,8 +6198,11 @@ export function createChatHistoryUI(appContext) {
         const matchInfoMap = new Map();
         // 连续输入优化：若本次查询是“上次查询的前缀扩展”，则只需要在上次结果集合里继续筛即可。
         // 典型场景：用户从 "http" 继续输入到 "https://..."，无需每次都从全量会话重扫。
+        // OR 会让结果集变大，因此前后两次只要有一次是表达式查询就不复用。
         const previousNormalized = (typeof searchCache?.normalized === 'string') ? searchCache.normalized : '';
         const canReusePrefixCache = (
+          !searchPlan.useExpression &&
+          !searchCache?.usesExpression &&
           !!previousNormalized &&
           previousNormalized !== normalizedFilter &&
           normalizedFilter.startsWith(previousNormalized) &&
@@ -5876,6 +6278,28 @@ export function createChatHistoryUI(appContext) {
                 break;
               }
 
+              if (searchPlan.useExpression) {
+                const metaDecision = evaluateChatHistoryExpressionOnMeta(historyMeta, searchPlan, searchFilterContext);
+                if (metaDecision === false) {
+                  processedCount++;
+                  updateProgress();
+                } else if (metaDecision === true) {
+                  matchedEntries.push({ index: batchStart + offset, data: historyMeta });
+                  matchInfoMap.set(historyMeta.id, {
+                    messageId: null,
+                    excerpts: [],
+                    reason: 'meta',
+                    totalHitCount: 0,
+                    matchedMessageCount: 0
+                  });
+                  processedCount++;
+                  updateProgress();
+                } else {
+                  batchToScan.push({ index: batchStart + offset, meta: historyMeta, remainingTerms: null });
+                }
+                continue;
+              }
+
               if (!shouldUseMetaMatch) {
                 batchToScan.push({ index: batchStart + offset, meta: historyMeta, remainingTerms: null });
                 continue;
@@ -5944,12 +6368,14 @@ export function createChatHistoryUI(appContext) {
                   continue;
                 }
 
-                const inlineScan = scanConversationInlineMessagesForMatch(
-                  conv,
-                  textPlan,
-                  item.remainingTerms,
-                  isCancelled
-                );
+                const inlineScan = searchPlan.useExpression
+                  ? scanConversationForSearchExpression(conv, item.meta, searchPlan, textPlan, searchFilterContext, isCancelled)
+                  : scanConversationInlineMessagesForMatch(
+                    conv,
+                    textPlan,
+                    item.remainingTerms,
+                    isCancelled
+                  );
                 if (inlineScan.cancelled) {
                   cancelled = true;
                   break;
@@ -6009,6 +6435,7 @@ export function createChatHistoryUI(appContext) {
           normalized: normalizedFilter,
           key: searchCacheKey,
           contextKey: searchCacheContextKey,
+          usesExpression: searchPlan.useExpression,
           results: finalResults.slice(),
           matchMap: matchInfoMap,
           timestamp: Date.now(),
@@ -6077,7 +6504,8 @@ export function createChatHistoryUI(appContext) {
           if (aLevel !== bLevel) return aLevel - bLevel;
           return (Number(b?.endTime) || 0) - (Number(a?.endTime) || 0);
         });
-      } else {
+      } else if (!isSemanticSearch) {
+        // 语义搜索保持相似度顺序，其余情况按最近对话排序
         unpinnedItems.sort((a, b) => (Number(b?.endTime) || 0) - (Number(a?.endTime) || 0));
       }
 
@@ -7244,6 +7672,61 @@ export function createChatHistoryUI(appContext) {
     }
   }
 
+  /**
+   * 定位到指定会话的某条消息：当前会话内直接跳转（线程消息则打开线程），其它会话先加载再定位。
+   * @param {string} conversationId
+   * @param {string|null} [messageId] - 为空时只切换会话并滚动到最新消息
+   */
+  async function openConversationAtMessage(conversationId, messageId = null) {
+    if (!conversationId) return;
+    if (conversationId !== currentConversationId) {
+      await openConversationFromSearchResult(conversationId, messageId);
+      return;
+    }
+    if (!messageId) return;
+    const threadInfo = resolveThreadInfoFromMessage(services.chatHistoryManager.chatHistory, messageId);
+    if (threadInfo?.threadId && services.selectionThreadManager?.enterThread) {
+      await services.selectionThreadManager.enterThread(threadInfo.threadId, {
+        focusMessageId: threadInfo.focusMessageId || messageId
+      });
+      return;
+    }
+    if (services.selectionThreadManager?.isThreadModeActive?.()) {
+      services.selectionThreadManager.exitThread();
+    }
+    highlightMessageInChat(messageId);
+  }
+
+  /**
+   * 用已保存的当前会话重新渲染主聊天（消息树被整体改写后使用，例如合并线程）。
+   * @returns {Promise<boolean>}
+   */
+  async function reloadCurrentConversation() {
+    if (!currentConversationId || activeConversation?.id !== currentConversationId) return false;
+    await loadConversationIntoChat(activeConversation, { skipMessageAnimation: true });
+    return true;
+  }
+
+  /**
+   * 读取会话的父会话与直接子分支会话（元数据），供对话分支图绘制跨会话的分支。
+   * @param {string} conversationId
+   * @returns {Promise<{parent: Object|null, forkedFromMessageId: string|null, children: Array<Object>}>}
+   */
+  async function getConversationBranchLinks(conversationId) {
+    if (!conversationId) return { parent: null, forkedFromMessageId: null, children: [] };
+    const metas = await getAllConversationMetadataWithCache();
+    const list = Array.isArray(metas) ? metas : [];
+    const self = list.find(meta => meta?.id === conversationId) || null;
+    const parentId = self?.parentConversationId || activeConversation?.parentConversationId || null;
+    return {
+      parent: parentId ? (list.find(meta => meta?.id === parentId) || null) : null,
+      forkedFromMessageId: self?.forkedFromMessageId || activeConversation?.forkedFromMessageId || null,
+      children: list
+        .filter(meta => meta?.parentConversationId === conversationId)
+        .sort((a, b) => (Number(a.startTime) || 0) - (Number(b.startTime) || 0))
+    };
+  }
+
   function bindSearchSnippetLineJump(line, conversationId, messageId) {
     if (!line || !messageId) return;
     line.dataset.messageId = messageId;
@@ -9107,6 +9590,8 @@ export function createChatHistoryUI(appContext) {
       ${domainsListHtml}
     `;
 
+    const costCard = renderCostStatsCard(stats.costSummary);
+
     // 第四行卡片：技术信息
     const techCard = document.createElement('div');
     techCard.className = 'db-stats-card tech-card';
@@ -9132,6 +9617,7 @@ export function createChatHistoryUI(appContext) {
     statsContent.appendChild(domainsCard);
     statsContent.appendChild(timeCard);
     statsContent.appendChild(techCard);
+    statsContent.appendChild(costCard);
     
     // 添加饼图显示数据比例
     if ((stats.totalTextSize + (stats.totalMetaSize || 0) > 0) || stats.totalImageSize > 0) {
@@ -9188,6 +9674,87 @@ export function createChatHistoryUI(appContext) {
     return statsPanel;
   }
 
+  /**
+   * 费用统计卡片：累计费用来自历史消息上记录的 apiCost，今日/本月来自花费账本（删除会话不影响账本）。
+   * @param {Object|null} costSummary - getDatabaseStats 返回的 costSummary
+   * @returns {HTMLElement}
+   */
+  function renderCostStatsCard(costSummary) {
+    const card = document.createElement('div');
+    card.className = 'db-stats-card cost-card';
+    const header = document.createElement('div');
+    header.className = 'db-stats-card-header';
+    header.textContent = '费用统计';
+    card.appendChild(header);
+
+    const spend = services.spendBudgetManager?.getSpendSummary?.() || { today: 0, month: 0 };
+    const metrics = document.createElement('div');
+    metrics.className = 'db-stats-metrics';
+    [
+      [formatCostAmount(costSummary?.total), '历史累计', true],
+      [formatCostAmount(spend.today), '今日花费', false],
+      [formatCostAmount(spend.month), '本月花费', false],
+      [String(costSummary?.pricedMessages || 0), '计费消息', false]
+    ].forEach(([value, label, highlight]) => {
+      const metric = document.createElement('div');
+      metric.className = 'db-stats-metric';
+      const valueEl = document.createElement('div');
+      valueEl.className = highlight ? 'db-stats-metric-value highlight' : 'db-stats-metric-value';
+      valueEl.textContent = value;
+      const labelEl = document.createElement('div');
+      labelEl.className = 'db-stats-metric-label';
+      labelEl.textContent = label;
+      metric.appendChild(valueEl);
+      metric.appendChild(labelEl);
+      metrics.appendChild(metric);
+    });
+    card.appendChild(metrics);
+
+    if (!costSummary?.pricedMessages) {
+      const empty = document.createElement('div');
+      empty.className = 'db-stats-empty';
+      empty.innerHTML = '<div class="db-stats-empty-text">暂无费用记录：在 API 设置中填写模型价格后，新的回复会按用量计费</div>';
+      card.appendChild(empty);
+      return card;
+    }
+
+    const groups = document.createElement('div');
+    groups.className = 'cost-groups';
+    [
+      ['按模型', costSummary.byModel],
+      ['按 API', costSummary.byApi],
+      ['按日期', costSummary.byDay],
+      ['按对话', costSummary.byConversation]
+    ].forEach(([title, items]) => {
+      if (!Array.isArray(items) || items.length === 0) return;
+      const group = document.createElement('div');
+      group.className = 'cost-group';
+      const groupTitle = document.createElement('div');
+      groupTitle.className = 'cost-group-title';
+      groupTitle.textContent = title;
+      const list = document.createElement('ul');
+      list.className = 'cost-list';
+      items.forEach((item) => {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.className = 'cost-label';
+        label.textContent = item.label;
+        label.title = `${item.label}（${item.count} 条）`;
+        const amount = document.createElement('span');
+        amount.className = 'cost-amount';
+        amount.textContent = formatCostAmount(item.total);
+        li.appendChild(label);
+        li.appendChild(amount);
+        list.appendChild(li);
+      });
+      group.appendChild(groupTitle);
+      group.appendChild(list);
+      groups.appendChild(group);
+    });
+    card.appendChild(groups);
+    return card;
+  }
+
   function renderStatsEntry(targetContent, trendSection) {
     const entry = document.createElement('div');
     entry.className = 'db-stats-entry';
@@ -9477,11 +10044,21 @@ export function createChatHistoryUI(appContext) {
 
     if (resolvedTabName === 'stats') {
       ensureStatsTabInitialized(panel);
+      services.historyEmbeddingManager?.renderSettingsSection?.(targetContent);
       return;
     }
 
     if (resolvedTabName === 'backup-settings') {
       ensureBackupTabInitialized(panel);
+      const backupPanel = targetContent?.querySelector('.backup-settings-panel');
+      services.historySyncManager?.renderSettingsSection?.(backupPanel);
+      return;
+    }
+
+    if (resolvedTabName === 'custom-tools') {
+      services.customToolsManager?.renderSettingsTab?.(targetContent);
+      services.mcpManager?.renderSettingsSection?.(targetContent);
+      services.toolPolicyManager?.renderSettingsSection?.(targetContent);
       return;
     }
 
@@ -9935,14 +10512,18 @@ export function createChatHistoryUI(appContext) {
       syntaxPopover.innerHTML = `
         <div class="search-syntax-title">搜索语法</div>
         <ul>
-          <li>空格：AND（同时包含）</li>
-          <li>!关键词：NOT（排除）</li>
-          <li>"短语"：完整短语匹配</li>
-          <li>url:xxx：按 URL 筛选</li>
+          <li>空格：AND（同时包含）；a OR b：任一满足</li>
+          <li>-关键词 / !关键词：NOT（排除），可作用于括号：-(a OR b)</li>
+          <li>"短语"：完整短语匹配；( )：分组</li>
+          <li>url:xxx / title:xxx：按 URL / 标题筛选</li>
+          <li>model:gpt / api:名称：按回复所用模型 / API 配置筛选</li>
+          <li>role:user / role:ai：只在用户 / 助手消息中查找关键词</li>
+          <li>has:image / has:thread：含图片 / 划词线程；pinned:true：已置顶</li>
           <li>count:>10：按消息条数筛选</li>
           <li>date:&lt;5d / date:&lt;1m：最近 5 天/1 个月（d/w/m/y）</li>
           <li>date:&gt;20250402：晚于指定日期</li>
           <li>scope:message：仅检索消息内容（默认会话）</li>
+          <li>scope:semantic：按语义相似度排序（需在“数据统计”中开启语义搜索）</li>
         </ul>
       `;
 
@@ -10077,6 +10658,11 @@ export function createChatHistoryUI(appContext) {
       statsTab.textContent = '数据统计';
       statsTab.dataset.tab = 'stats';
 
+      const customToolsTab = document.createElement('div');
+      customToolsTab.className = 'history-tab';
+      customToolsTab.textContent = '自定义工具';
+      customToolsTab.dataset.tab = 'custom-tools';
+
       const backupTab = document.createElement('div');
       backupTab.className = 'history-tab';
       backupTab.textContent = '备份与恢复';
@@ -10085,6 +10671,7 @@ export function createChatHistoryUI(appContext) {
       tabBar.appendChild(historyTab);
       tabBar.appendChild(promptTab);
       tabBar.appendChild(apiTab);
+      tabBar.appendChild(customToolsTab);
       tabBar.appendChild(settingsTab);
       tabBar.appendChild(galleryTab);
       tabBar.appendChild(statsTab);
@@ -10105,7 +10692,7 @@ export function createChatHistoryUI(appContext) {
       filterContainer.className = 'filter-container';
       filterInput = document.createElement('input');
       filterInput.type = 'text';
-      filterInput.placeholder = '搜索（URL+消息）：空格=AND，!否定，url:xxx，count:>10，date:<5d';
+      filterInput.placeholder = '搜索（URL+消息）：空格=AND，OR，-否定，url:xxx，model:xxx，date:<5d';
       
       // 改为输入防抖实时搜索，且输入法构词期间不触发
       let filterDebounceTimer = null;
@@ -10160,8 +10747,8 @@ export function createChatHistoryUI(appContext) {
         const isUrlMode = panel.dataset.urlFilterMode === 'currentUrl';
         const isTreeMode = panel.dataset.branchViewMode === 'tree';
         const base = isUrlMode
-          ? '本页会话搜索：空格=AND，!否定，count:>10，date:<5d'
-          : '搜索（URL+消息）：空格=AND，!否定，url:xxx，count:>10，date:<5d';
+          ? '本页会话搜索：空格=AND，OR，-否定，model:xxx，date:<5d'
+          : '搜索（URL+消息）：空格=AND，OR，-否定，url:xxx，model:xxx，date:<5d';
         // 树状视图本身只在“无筛选”时改变排序；这里仅提示用户当前处于该模式
         filterInput.placeholder = isTreeMode ? `${base}（树状）` : base;
       };
@@ -10257,6 +10844,11 @@ export function createChatHistoryUI(appContext) {
         apiSettingsContent.classList.remove('visible');
       }
       
+      // 自定义工具标签内容（切换到该标签时由 customToolsManager / mcpManager / toolPolicyManager 渲染）
+      const customToolsContent = document.createElement('div');
+      customToolsContent.className = 'history-tab-content';
+      customToolsContent.dataset.tab = 'custom-tools';
+
       // 图片相册标签内容
       const galleryContent = document.createElement('div');
       galleryContent.className = 'history-tab-content';
@@ -10278,6 +10870,7 @@ export function createChatHistoryUI(appContext) {
       tabContents.appendChild(historyContent);
       if (promptSettingsContent) tabContents.appendChild(promptSettingsContent);
       if (apiSettingsContent) tabContents.appendChild(apiSettingsContent);
+      tabContents.appendChild(customToolsContent);
       tabContents.appendChild(settingsContent);
       tabContents.appendChild(galleryContent);
       tabContents.appendChild(statsContent);
@@ -10336,8 +10929,8 @@ export function createChatHistoryUI(appContext) {
         const isUrlMode = panel.dataset.urlFilterMode === 'currentUrl';
         const isTreeMode = panel.dataset.branchViewMode === 'tree';
         const base = isUrlMode
-          ? '本页会话搜索：空格=AND，!否定，count:>10，date:<5d'
-          : '搜索（URL+消息）：空格=AND，!否定，url:xxx，count:>10，date:<5d';
+          ? '本页会话搜索：空格=AND，OR，-否定，model:xxx，date:<5d'
+          : '搜索（URL+消息）：空格=AND，OR，-否定，url:xxx，model:xxx，date:<5d';
         filterInput.placeholder = isTreeMode ? `${base}（树状）` : base;
       }
     }
@@ -10739,6 +11332,207 @@ export function createChatHistoryUI(appContext) {
     return Array.from(map.values());
   }
 
+  // 导入预览阶段图片只记录引用，确认写入时才读取文件内容
+  const IMPORT_ASSET_URL_PREFIX = 'cerebr-import-asset://';
+
+  /**
+   * 为导出包里的图片文件建立索引，供 convertExternalChatExport 的 resolveAsset 使用。
+   * - ChatGPT：文件名以资源 ID 开头（file-XXXX-原名.png / file_XXXX-uuid.png）；
+   * - Claude / Gemini：按文件名精确匹配。
+   * @param {File[]} files
+   * @returns {{resolveAsset: Function, filesByKey: Map<string, File>}}
+   */
+  function buildImportAssetIndex(files) {
+    const filesByKey = new Map();
+    const byName = new Map();
+    files.forEach((file) => {
+      const name = String(file.name || '').toLowerCase();
+      if (name && !byName.has(name)) byName.set(name, file);
+    });
+    const resolveAsset = (ref) => {
+      const assetId = String(ref?.assetId || '').toLowerCase();
+      const fileName = String(ref?.fileName || '').toLowerCase();
+      let file = fileName ? byName.get(fileName) : null;
+      if (!file && assetId) {
+        for (const [name, candidate] of byName) {
+          if (name.startsWith(assetId)) {
+            file = candidate;
+            break;
+          }
+        }
+      }
+      if (!file) return null;
+      const key = `${filesByKey.size}:${file.name}`;
+      filesByKey.set(key, file);
+      return { url: `${IMPORT_ASSET_URL_PREFIX}${key}` };
+    };
+    return { resolveAsset, filesByKey };
+  }
+
+  /**
+   * 写库前把图片占位引用换成 data URL（同一文件只读一次）。
+   * @param {Object} conversation
+   * @param {Map<string, File>} filesByKey
+   * @param {Map<File, string>} dataUrlCache
+   */
+  async function materializeImportedAssets(conversation, filesByKey, dataUrlCache) {
+    for (const message of conversation.messages || []) {
+      if (!Array.isArray(message.content)) continue;
+      for (const part of message.content) {
+        const url = part?.type === 'image_url' ? String(part.image_url?.url || '') : '';
+        if (!url.startsWith(IMPORT_ASSET_URL_PREFIX)) continue;
+        const file = filesByKey.get(url.slice(IMPORT_ASSET_URL_PREFIX.length));
+        if (!file) {
+          part.image_url.url = '';
+          continue;
+        }
+        if (!dataUrlCache.has(file)) {
+          const base64 = await blobToBase64(file);
+          dataUrlCache.set(file, `data:${file.type || 'image/png'};base64,${base64}`);
+        }
+        part.image_url.url = dataUrlCache.get(file);
+      }
+    }
+  }
+
+  /**
+   * 从 ChatGPT / Claude / Gemini 的导出文件导入聊天记录。
+   * 先完整转换并展示预览（试运行，不写库），用户确认后才写入 IndexedDB。
+   */
+  function importExternalChatExports() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = '.json,application/json,.gz,application/gzip,image/*';
+    input.addEventListener('change', async (e) => {
+      const files = Array.from(e.target.files || []);
+      if (!files.length) return;
+      const jsonFiles = files.filter(file => /\.json(\.gz)?$/i.test(file.name));
+      const assetFiles = files.filter(file => !jsonFiles.includes(file));
+      if (!jsonFiles.length) {
+        showNotification({ message: '请至少选择一个导出的 JSON 文件', type: 'warning' });
+        return;
+      }
+
+      const { resolveAsset, filesByKey } = buildImportAssetIndex(assetFiles);
+      const converted = [];
+      const sourceCounts = {};
+      const totals = { conversations: 0, branches: 0, messages: 0, images: 0, missingImages: 0 };
+      const warnings = [];
+      for (const file of jsonFiles) {
+        try {
+          const data = JSON.parse(await readBackupFileAsText(file));
+          const result = convertExternalChatExport(data, {
+            fileName: file.name,
+            fileTime: file.lastModified,
+            resolveAsset
+          });
+          if (!result.source) {
+            warnings.push(`${file.name}：无法识别的格式，已忽略`);
+            continue;
+          }
+          converted.push(...result.conversations);
+          const label = EXTERNAL_CHAT_IMPORT_SOURCES[result.source] || result.source;
+          sourceCounts[label] = (sourceCounts[label] || 0) + result.conversations.length;
+          Object.keys(totals).forEach((key) => { totals[key] += Number(result.stats[key]) || 0; });
+          result.warnings.forEach(message => warnings.push(`${file.name}：${message}`));
+        } catch (error) {
+          console.error('解析导出文件失败:', file.name, error);
+          warnings.push(`${file.name}：解析失败（${error?.message || error}）`);
+        }
+      }
+      const conversations = mergeConversationsById(converted);
+      if (!conversations.length) {
+        showNotification({
+          message: '未从所选文件识别到可导入的会话',
+          description: warnings.slice(0, 3).join('\n'),
+          type: 'warning'
+        });
+        return;
+      }
+
+      let existingCount = 0;
+      for (const conv of conversations) {
+        try {
+          if (await getConversationById(conv.id, false)) existingCount++;
+        } catch (_) {}
+      }
+
+      // 预览 / 试运行：此时尚未写入任何数据
+      const sampleTitles = conversations
+        .filter(conv => !conv.parentConversationId)
+        .slice(0, 5)
+        .map(conv => `· ${conv.summary}`);
+      const previewLines = [
+        `来源：${Object.entries(sourceCounts).map(([label, count]) => `${label} ${count}`).join('，')}`,
+        `会话 ${conversations.length}（其中分支 ${totals.branches}），消息 ${totals.messages}`,
+        `图片：找到 ${totals.images}，缺失 ${totals.missingImages}${totals.missingImages ? '（可连同导出包里的图片文件一起选择）' : ''}`,
+        existingCount ? `已存在 ${existingCount} 个同 ID 会话（此前导入过）` : '',
+        ...sampleTitles,
+        conversations.length > sampleTitles.length ? '· …' : '',
+        ...warnings.slice(0, 3)
+      ].filter(Boolean);
+      const confirmed = await appContext.utils.showConfirm({
+        message: '导入预览（尚未写入）',
+        description: previewLines.join('\n'),
+        confirmText: '导入',
+        cancelText: '取消',
+        type: 'info'
+      });
+      if (!confirmed) {
+        showNotification({ message: '已取消导入，未写入任何数据', duration: 2000 });
+        return;
+      }
+      const overwrite = existingCount > 0 && await appContext.utils.showConfirm({
+        message: '是否覆盖已导入过的会话？',
+        description: '选择“确定”会用本次文件覆盖同 ID 的会话；选择“取消”仅导入新增会话。',
+        confirmText: '确定',
+        cancelText: '取消',
+        type: 'warning'
+      });
+
+      const sp = utils.createStepProgress({ steps: ['写入会话', '刷新界面', '完成'], type: 'info' });
+      sp.setStep(0);
+      const dataUrlCache = new Map();
+      let countAdded = 0;
+      let countOverwritten = 0;
+      let countSkipped = 0;
+      let countFailed = 0;
+      for (const conv of conversations) {
+        try {
+          const existing = await getConversationById(conv.id, false);
+          if (existing && !overwrite) {
+            countSkipped++;
+          } else {
+            await materializeImportedAssets(conv, filesByKey, dataUrlCache);
+            applyConversationMessageStats(conv);
+            await putConversation(conv);
+            services.historyEmbeddingManager?.scheduleConversationIndex?.(conv.id);
+            if (existing) countOverwritten++;
+            else countAdded++;
+          }
+        } catch (error) {
+          countFailed++;
+          console.error(`导入会话 ${conv?.id || '-'} 失败:`, error);
+        }
+        const done = countAdded + countOverwritten + countSkipped + countFailed;
+        sp.updateSub(done, conversations.length, `写入会话 (${done}/${conversations.length})`);
+      }
+      sp.next('刷新界面');
+      invalidateMetadataCache();
+      refreshChatHistory();
+      sp.next('完成');
+      sp.complete('导入完成', true);
+      showNotification({
+        message: '导入完成',
+        description: `新增 ${countAdded}，覆盖 ${countOverwritten}，跳过 ${countSkipped}${countFailed ? `，失败 ${countFailed}` : ''}`,
+        type: countFailed ? 'warning' : 'success',
+        duration: 3000
+      });
+    });
+    input.click();
+  }
+
   // ==== 图片重扫与本地化（用于清理最近会话中的 base64） ====
   const DATA_URL_REGEX = /data:image\/[a-zA-Z0-9.+-]+;base64,[A-Za-z0-9+/=]+=*/gi;
 
@@ -10944,6 +11738,7 @@ export function createChatHistoryUI(appContext) {
     'thoughtSignature',
     'thoughtSignatureSource',
     'reasoning_content',
+    'anthropic_thinking_blocks',
     'response_activity_timeline',
     'response_reasoning_summary',
     'tool_calls',
@@ -11112,6 +11907,193 @@ export function createChatHistoryUI(appContext) {
     return { blob: new Blob([jsonStr], { type: 'application/json' }), usedStripFallback };
   }
 
+  const CONVERSATION_EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+    html: { label: 'HTML', extension: 'html', mimeType: 'text/html;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' }
+  };
+
+  /**
+   * 收集某会话所在的整棵分支树（沿 parentConversationId 向上找根，再向下收集所有后代）。
+   * @param {string} conversationId
+   * @returns {Promise<string[]>} 会话 ID 列表（含自身）
+   */
+  async function collectConversationTreeIds(conversationId) {
+    const metas = await getAllConversationMetadataWithCache();
+    const metaById = new Map((Array.isArray(metas) ? metas : []).map(meta => [meta.id, meta]));
+    const readParentId = (meta) => (typeof meta?.parentConversationId === 'string' ? meta.parentConversationId.trim() : '');
+
+    let rootId = conversationId;
+    const climbed = new Set([rootId]);
+    while (true) {
+      const parentId = readParentId(metaById.get(rootId));
+      if (!parentId || !metaById.has(parentId) || climbed.has(parentId)) break;
+      climbed.add(parentId);
+      rootId = parentId;
+    }
+
+    const childrenByParent = new Map();
+    metaById.forEach((meta) => {
+      const parentId = readParentId(meta);
+      if (!parentId) return;
+      if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+      childrenByParent.get(parentId).push(meta.id);
+    });
+    const ids = [];
+    const queue = [rootId];
+    const seen = new Set();
+    while (queue.length) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      ids.push(id);
+      queue.push(...(childrenByParent.get(id) || []));
+    }
+    return ids;
+  }
+
+  /**
+   * 判断会话是否属于某棵分支树（有父会话或子会话），用于决定是否提供“整棵树”导出范围。
+   * @param {string} conversationId
+   * @returns {Promise<boolean>}
+   */
+  async function isConversationInBranchTree(conversationId) {
+    try {
+      return (await collectConversationTreeIds(conversationId)).length > 1;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * 读取图片内容：本地图片按下载根目录还原为 file://，再统一 fetch 成 Blob。
+   * @param {{url:string, path:string}} image - 导出文档中的图片条目
+   * @returns {Promise<{blob: Blob|null, resolvedUrl: string}>}
+   */
+  async function loadExportImageBlob(image) {
+    const resolvedUrl = await resolveImageUrlForDisplay({ url: image.url, path: image.path });
+    if (!resolvedUrl) return { blob: null, resolvedUrl: '' };
+    try {
+      const response = await fetch(resolvedUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return { blob: await response.blob(), resolvedUrl };
+    } catch (error) {
+      console.warn('导出时读取图片失败，将保留原始链接:', resolvedUrl.slice(0, 120), error);
+      return { blob: null, resolvedUrl };
+    }
+  }
+
+  async function blobToDataUrl(blob) {
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(typeof reader.result === 'string' ? reader.result : '');
+      reader.onerror = (e) => reject(e);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * HTML 导出的额外样式：KaTeX 样式（去掉依赖扩展内字体文件的 @font-face）。
+   * @returns {Promise<string>}
+   */
+  async function loadConversationExportExtraCss() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('lib/katex.min.css'));
+      if (!response.ok) return '';
+      const css = await response.text();
+      return css.replace(/@font-face\s*\{[^}]*\}/g, '');
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function readConversationExportThemeVariables() {
+    const computed = getComputedStyle(document.documentElement);
+    const variables = {};
+    Object.keys(CONVERSATION_EXPORT_THEME_VARIABLES).forEach((name) => {
+      const value = computed.getPropertyValue(name).trim();
+      if (value) variables[name] = value;
+    });
+    return variables;
+  }
+
+  /**
+   * 导出会话为 Markdown / HTML / JSON（下载到 Cerebr/Exports/）。
+   * - Markdown：图片另存到同目录的 images/ 下并以相对路径引用；
+   * - HTML：单文件，图片内联为 data URL，主题取自当前侧栏；
+   * - JSON：conversation_export.js 中定义的文档格式。
+   * @param {string} conversationId
+   * @param {{format?: 'markdown'|'html'|'json', scope?: 'chain'|'tree'}} [options]
+   * @returns {Promise<void>}
+   */
+  async function exportConversation(conversationId, options = {}) {
+    const formatKey = CONVERSATION_EXPORT_FORMATS[options.format] ? options.format : 'markdown';
+    const format = CONVERSATION_EXPORT_FORMATS[formatKey];
+    const scope = options.scope === 'tree' ? 'tree' : 'chain';
+    try {
+      const ids = scope === 'tree' ? await collectConversationTreeIds(conversationId) : [conversationId];
+      const conversations = [];
+      for (const id of ids) {
+        const conversation = await getConversationFromCacheOrLoad(id);
+        if (conversation) conversations.push(conversation);
+      }
+      if (!conversations.length) {
+        showNotification({ message: '找不到要导出的对话', type: 'error', duration: 2200 });
+        return;
+      }
+      // 导出当前打开的会话时，以界面上的当前节点作为主链叶子
+      const isCurrent = conversationId === currentConversationId;
+      const leafMessageId = isCurrent ? (services.chatHistoryManager.chatHistory?.currentNode || '') : '';
+
+      const doc = buildConversationExportDocument({
+        conversations,
+        scope,
+        leafMessageId,
+        rootConversationId: ids[0]
+      });
+      const baseName = buildConversationExportBaseName(doc);
+
+      if (formatKey === 'json') {
+        const blob = new Blob([serializeConversationExportJson(doc)], { type: format.mimeType });
+        await triggerBlobDownload(blob, `Exports/${baseName}.${format.extension}`);
+      } else if (formatKey === 'html') {
+        const imageSources = new Map();
+        for (const image of doc.images) {
+          const { blob } = await loadExportImageBlob(image);
+          if (blob) imageSources.set(image.id, await blobToDataUrl(blob));
+        }
+        const html = renderConversationExportHtml(doc, {
+          renderMarkdown: text => services.messageProcessor?.processMathAndMarkdown?.(text) ?? text,
+          imageSources,
+          themeVariables: readConversationExportThemeVariables(),
+          colorScheme: document.documentElement.classList.contains('dark-theme') ? 'dark' : 'light',
+          extraCss: await loadConversationExportExtraCss()
+        });
+        await triggerBlobDownload(new Blob([html], { type: format.mimeType }), `Exports/${baseName}.${format.extension}`);
+      } else {
+        let markdown = renderConversationExportMarkdown(doc);
+        for (const image of doc.images) {
+          const { blob, resolvedUrl } = await loadExportImageBlob(image);
+          if (blob) {
+            await triggerBlobDownload(blob, `Exports/${baseName}/${image.fileName}`);
+          } else if (resolvedUrl && !resolvedUrl.startsWith('data:')) {
+            // 图片读不到时退回原始链接，至少保证引用不丢
+            markdown = markdown.split(`](${image.fileName})`).join(`](<${resolvedUrl}>)`);
+          }
+        }
+        await triggerBlobDownload(
+          new Blob([markdown], { type: format.mimeType }),
+          `Exports/${baseName}/${baseName}.${format.extension}`
+        );
+      }
+      const scopeLabel = scope === 'tree' ? `分支树（${doc.conversations.length} 个会话）` : '对话';
+      showNotification({ message: `已导出${scopeLabel}为 ${format.label}`, duration: 2200 });
+    } catch (error) {
+      console.error('导出对话失败:', error);
+      showNotification({ message: `导出失败：${error?.message || error}`, type: 'error', duration: 3000 });
+    }
+  }
+
   async function triggerBlobDownload(blob, filename) {
     // 尝试使用 chrome.downloads 以便指定子目录（如 Cerebr/），失败再回退为 <a download>
     const useDownloadsApi = !!(chrome && chrome.downloads && chrome.downloads.download);
@@ -11864,7 +12846,8 @@ export function createChatHistoryUI(appContext) {
     { value: 'totalBytes', label: '总数据量', type: 'bytes' },
     { value: 'textBytes', label: '文本数据量', type: 'bytes' },
     { value: 'messageCount', label: '消息数量', type: 'count' },
-    { value: 'conversationCount', label: '对话数量', type: 'count' }
+    { value: 'conversationCount', label: '对话数量', type: 'count' },
+    { value: 'cost', label: '费用', type: 'cost' }
   ];
   const TREND_GRANULARITY_OPTIONS = [
     { value: 'month', label: '按月' },
@@ -11877,7 +12860,8 @@ export function createChatHistoryUI(appContext) {
       totalBytes: 0,
       textBytes: 0,
       messageCount: 0,
-      conversationCount: 0
+      conversationCount: 0,
+      cost: 0
     };
   }
 
@@ -11887,6 +12871,7 @@ export function createChatHistoryUI(appContext) {
     target.textBytes += Number(source.textBytes) || 0;
     target.messageCount += Number(source.messageCount) || 0;
     target.conversationCount += Number(source.conversationCount) || 0;
+    target.cost += Number(source.cost) || 0;
   }
 
   function calcJsonBytes(value, encoder) {
@@ -11972,13 +12957,15 @@ export function createChatHistoryUI(appContext) {
     return { textBytes, imageBytes };
   }
 
-  // 统计单条会话中“文本/总量/消息数”体积，用于趋势图汇总
+  // 统计单条会话中“文本/总量/消息数”体积与费用，用于趋势图汇总
   function measureConversationTotals(conversation, encoder) {
     const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
     let textBytes = 0;
     let imageBytes = 0;
     let metaBytes = 0;
+    let cost = 0;
     for (const msg of messages) {
+      cost += Number(msg?.apiCost?.total) || 0;
       const contentSizes = measureMessageContentBytes(msg?.content, encoder);
       textBytes += contentSizes.textBytes;
       imageBytes += contentSizes.imageBytes;
@@ -11988,7 +12975,8 @@ export function createChatHistoryUI(appContext) {
       totalBytes: textBytes + imageBytes + metaBytes,
       textBytes,
       messageCount: messages.length,
-      conversationCount: conversation ? 1 : 0
+      conversationCount: conversation ? 1 : 0,
+      cost
     };
   }
 
@@ -12021,6 +13009,7 @@ export function createChatHistoryUI(appContext) {
 
   function formatTrendValue(metric, value) {
     if (metric?.type === 'bytes') return formatByteSize(value);
+    if (metric?.type === 'cost') return formatCostAmount(value);
     return Number(value || 0).toLocaleString();
   }
 
@@ -12857,6 +13846,12 @@ export function createChatHistoryUI(appContext) {
     importButton.title = '从剪贴板导入一条新的聊天记录';
     quickButtons.appendChild(importButton);
 
+    const externalImportButton = document.createElement('button');
+    externalImportButton.className = 'backup-button';
+    externalImportButton.textContent = '导入其他平台记录';
+    externalImportButton.title = '导入 ChatGPT / Claude 的 conversations.json 或 Gemini 导出文件；可同时选择导出包中的图片';
+    quickButtons.appendChild(externalImportButton);
+
     const restoreButton = document.createElement('button');
     restoreButton.className = 'backup-button';
     restoreButton.textContent = '从备份恢复';
@@ -13187,6 +14182,10 @@ export function createChatHistoryUI(appContext) {
       importConversationFromClipboard();
     });
 
+    externalImportButton.addEventListener('click', () => {
+      importExternalChatExports();
+    });
+
     restoreButton.addEventListener('click', () => {
       restoreConversations();
     });
@@ -13384,6 +14383,38 @@ export function createChatHistoryUI(appContext) {
     // console.log('内存缓存已清理');
   }
 
+  /**
+   * 数据库中的会话被外部流程（多设备同步等）改写后调用：丢弃相应缓存并刷新列表；
+   * 当前打开的会话被更新且未在生成回复时，重新载入以显示合并后的内容。
+   * @param {{updatedIds?: string[], deletedIds?: string[]}} changes
+   * @returns {Promise<void>}
+   */
+  async function applyExternalConversationChanges(changes = {}) {
+    const updatedIds = Array.isArray(changes.updatedIds) ? changes.updatedIds.filter(Boolean) : [];
+    const deletedIds = Array.isArray(changes.deletedIds) ? changes.deletedIds.filter(Boolean) : [];
+    if (!updatedIds.length && !deletedIds.length) return;
+    [...updatedIds, ...deletedIds].forEach(id => loadedConversations.delete(id));
+    if (activeConversation && deletedIds.includes(activeConversation.id)) {
+      activeConversation = null;
+      activeConversationApiLock = null;
+    }
+    invalidateMetadataCache();
+    refreshChatHistory({ keepExistingList: true });
+
+    const activeId = currentConversationId;
+    if (!activeId || !updatedIds.includes(activeId)) return;
+    const streamingIds = services.messageSender?.getStreamingConversationIds?.() || [];
+    if (streamingIds.includes(activeId)) return;
+    try {
+      const conversation = await getConversationFromCacheOrLoad(activeId, true);
+      if (conversation && currentConversationId === activeId) {
+        await loadConversationIntoChat(conversation, { skipMessageAnimation: true, skipScrollToBottom: true });
+      }
+    } catch (error) {
+      console.error('重新载入已同步的会话失败:', error);
+    }
+  }
+
   /**
    * 移除 JSON 中末尾的多余逗号（仅处理字符串外的结构符号）。
    * 说明：用户从脚本中复制 request.json 时，常见尾逗号会导致 JSON.parse 失败。
@@ -13959,6 +14990,7 @@ export function createChatHistoryUI(appContext) {
       // 保存新会话到数据库
       await putConversation(newConversation);
       invalidateMetadataCache();
+      services.historyEmbeddingManager?.scheduleConversationIndex?.(newConversation.id);
       
       // 清空当前会话并加载新创建的会话
       services.chatHistoryManager.chatHistory.messages = [];
@@ -14018,9 +15050,14 @@ export function createChatHistoryUI(appContext) {
     getActiveConversationSummary,
     updateConversationSummary,
     clearMemoryCache,
+    applyExternalConversationChanges,
     getConversationSnapshotById,
     formatRelativeTime,
     createForkConversation,
+    openConversationAtMessage,
+    reloadCurrentConversation,
+    getConversationBranchLinks,
+    deleteConversationRecord,
     restartAutoBackupScheduler,
     repairRecentImages,
     migrateImagePathsToRelative,
@@ -0,0 +1,118 @@
+/**
+ * 上下文压缩标记
+ *
+ * 自动压缩（见 utils/context_compaction.js 与 messageSender）把压缩记录挂在边界消息的 contextCompaction 上。
+ * 这里在边界消息下方渲染一条固定的标记：说明此前的消息以摘要发送或省略了工具输出，可展开查看摘要，
+ * 也可一键撤销——删除记录后下一次发送即恢复完整历史（更早的压缩记录会重新生效）。
+ */
+
+function formatTokenCount(value) {
+  const n = Number(value) || 0;
+  return n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+}
+
+/**
+ * 压缩记录的单行说明。
+ * @param {Object} record - contextCompaction
+ * @returns {string}
+ */
+function describeContextCompaction(record) {
+  const tokens = (record?.estimatedTokensBefore && record?.estimatedTokensAfter)
+    ? `（约 ${formatTokenCount(record.estimatedTokensBefore)} → ${formatTokenCount(record.estimatedTokensAfter)} tokens）`
+    : '';
+  if (record?.mode === 'summary') {
+    return `上下文已压缩：此前 ${record.coveredMessageCount || 0} 条消息以摘要发送${tokens}`;
+  }
+  return `上下文已压缩：此前消息的工具输出不再发送${tokens}`;
+}
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   decorateMessageElement: (messageElement: HTMLElement, node: Object) => void,
+ *   refreshMessage: (messageId: string) => void,
+ *   revertCompaction: (messageId: string) => Promise<boolean>
+ * }}
+ */
+export function createContextCompactionManager(appContext) {
+  const { dom, services } = appContext;
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  function getMessageNode(messageId) {
+    if (!messageId) return null;
+    const messages = services.chatHistoryManager?.chatHistory?.messages || [];
+    return messages.find(msg => msg?.id === messageId) || null;
+  }
+
+  function createMarkerElement(node) {
+    const record = node.contextCompaction;
+    const marker = document.createElement('details');
+    marker.className = 'context-compaction-marker';
+    marker.dataset.compactionId = record.id || '';
+
+    const summaryLine = document.createElement('summary');
+    const icon = document.createElement('i');
+    icon.className = 'far fa-thumbtack';
+    const text = document.createElement('span');
+    text.className = 'context-compaction-marker__text';
+    text.textContent = describeContextCompaction(record);
+    const revertButton = document.createElement('button');
+    revertButton.type = 'button';
+    revertButton.className = 'context-compaction-marker__revert';
+    revertButton.textContent = '撤销';
+    revertButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      revertCompaction(node.id).catch((error) => {
+        console.error('撤销上下文压缩失败:', error);
+        showNotification({ message: '撤销失败，请稍后重试', type: 'warning' });
+      });
+    });
+    summaryLine.append(icon, text, revertButton);
+    marker.appendChild(summaryLine);
+
+    if (record.mode === 'summary' && record.summary) {
+      const body = document.createElement('div');
+      body.className = 'context-compaction-marker__summary';
+      body.textContent = record.summary;
+      marker.appendChild(body);
+    } else {
+      marker.classList.add('context-compaction-marker--plain');
+    }
+    return marker;
+  }
+
+  function decorateMessageElement(messageElement, node) {
+    if (!messageElement) return;
+    messageElement.querySelector(':scope > .context-compaction-marker')?.remove();
+    if (!node?.contextCompaction || node.threadId) return;
+    messageElement.appendChild(createMarkerElement(node));
+  }
+
+  function refreshMessage(messageId) {
+    const messageElement = dom.chatContainer?.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (messageElement) decorateMessageElement(messageElement, getMessageNode(messageId));
+  }
+
+  /**
+   * 撤销边界消息上的压缩记录并保存会话。
+   * @param {string} messageId
+   * @returns {Promise<boolean>}
+   */
+  async function revertCompaction(messageId) {
+    const node = getMessageNode(messageId);
+    if (!node?.contextCompaction) return false;
+    delete node.contextCompaction;
+    refreshMessage(messageId);
+    await services.chatHistoryUI?.saveCurrentConversation?.(true);
+    services.conversationTreeView?.refresh?.();
+    showNotification({ message: '已撤销上下文压缩，之后发送将恢复这部分历史', type: 'info' });
+    return true;
+  }
+
+  return {
+    decorateMessageElement,
+    refreshMessage,
+    revertCompaction
+  };
+}
@@ -55,6 +55,9 @@ export function createContextMenuManager(appContext) {
   const regenerateSubmenu = regenerateButton?.querySelector('.context-menu-submenu');
   const regenerateSubmenuList = regenerateSubmenu?.querySelector('.context-menu-submenu-list');
   const regenerateApiHint = document.getElementById('regenerate-message-api-hint');
+  const compareMessageMenu = document.getElementById('compare-message-menu');
+  const compareMessageSubmenu = compareMessageMenu?.querySelector('.context-menu-submenu');
+  const compareMessageSubmenuList = compareMessageSubmenu?.querySelector('.context-menu-submenu-list');
 
   // Services from appContext.services
   const messageSender = services.messageSender;
@@ -389,6 +392,10 @@ export function createContextMenuManager(appContext) {
       while (el && el.nextElementSibling) {
         el = el.nextElementSibling;
         if (el.classList && el.classList.contains('ai-message')) return el;
+        // 竞技场的并排回答：以保留的那一列为准
+        if (el.classList && el.classList.contains('arena-group')) {
+          return el.querySelector('.arena-column.is-kept .ai-message') || el.querySelector('.ai-message');
+        }
       }
       return null;
     };
@@ -409,7 +416,10 @@ export function createContextMenuManager(appContext) {
       return lastUser || start;
     };
 
-    const baseUserElement = isAi ? findPrevUser(messageElement) : messageElement;
+    // 竞技场回答包在 .arena-group 的列里，向上找用户消息要从整组开始
+    const baseUserElement = isAi
+      ? findPrevUser(messageElement.closest('.arena-group') || messageElement)
+      : messageElement;
     // 说明：连续 user 消息时，把“最后一条 user”视为真正触发重生成的消息。
     const userMessageElement = (!isAi && baseUserElement) ? findLastUserInBlock(baseUserElement) : baseUserElement;
     if (!userMessageElement) return null;
@@ -608,6 +618,47 @@ export function createContextMenuManager(appContext) {
     });
   }
 
+  /**
+   * “对比差异”子菜单：先列出同一父消息下的兄弟消息，最后是“选择另一条消息…”进入选取模式。
+   * @param {string} messageId
+   */
+  function renderCompareSubmenu(messageId) {
+    if (!compareMessageSubmenuList) return;
+    compareMessageSubmenuList.innerHTML = '';
+    const siblings = services.messageDiffView?.getSiblingCandidates?.(messageId) || [];
+    if (siblings.length) {
+      const title = document.createElement('div');
+      title.className = 'context-menu-submenu-section-title';
+      title.textContent = '与同级消息对比';
+      compareMessageSubmenuList.appendChild(title);
+      siblings.forEach((candidate) => {
+        const item = document.createElement('div');
+        item.className = 'context-menu-submenu-item';
+        item.textContent = candidate.label;
+        item.title = candidate.label;
+        item.dataset.compareMessageId = candidate.id;
+        compareMessageSubmenuList.appendChild(item);
+      });
+    }
+    const pickItem = document.createElement('div');
+    pickItem.className = 'context-menu-submenu-item';
+    pickItem.textContent = '选择另一条消息…';
+    pickItem.dataset.compareAction = 'pick';
+    compareMessageSubmenuList.appendChild(pickItem);
+  }
+
+  function compareCurrentMessageWith(otherMessageId) {
+    const messageId = currentMessageElement?.getAttribute?.('data-message-id') || '';
+    const messageDiffView = services.messageDiffView;
+    hideContextMenu();
+    if (!messageId || !messageDiffView) return;
+    if (otherMessageId) {
+      messageDiffView.open(otherMessageId, messageId);
+    } else {
+      messageDiffView.startPick(messageId);
+    }
+  }
+
   function clearSubmenuHideTimer() {
     if (!submenuHoverHideTimer) return;
     clearTimeout(submenuHoverHideTimer);
@@ -749,6 +800,7 @@ export function createContextMenuManager(appContext) {
     if (regenerateSubmenu && regenerateSubmenu.contains(target)) return true;
     if (insertMessageSubmenu && insertMessageSubmenu.contains(target)) return true;
     if (forkConversationSubmenu && forkConversationSubmenu.contains(target)) return true;
+    if (compareMessageSubmenu && compareMessageSubmenu.contains(target)) return true;
     return false;
   }
 
@@ -768,6 +820,7 @@ export function createContextMenuManager(appContext) {
     ensureSubmenuPortal(regenerateSubmenu);
     ensureSubmenuPortal(insertMessageSubmenu);
     ensureSubmenuPortal(forkConversationSubmenu);
+    ensureSubmenuPortal(compareMessageSubmenu);
 
     // 设置菜单位置
     contextMenu.style.display = 'block';
@@ -849,6 +902,16 @@ export function createContextMenuManager(appContext) {
     }
     const messageId = messageElement?.getAttribute?.('data-message-id') || '';
     const isLoadingMessage = !!messageElement?.classList?.contains?.('loading-message');
+    const canCompare = !!(messageId && !isLoadingMessage && services.messageDiffView);
+    if (compareMessageMenu) {
+      compareMessageMenu.style.display = canCompare ? 'flex' : 'none';
+      if (canCompare) {
+        renderCompareSubmenu(messageId);
+        updateSubmenuDirection(compareMessageMenu, compareMessageSubmenu, null);
+      } else {
+        closeContextSubmenu(compareMessageSubmenu, compareMessageMenu);
+      }
+    }
     const selectionThreadManager = services.selectionThreadManager;
     let canFork = false;
     if (activeContainer === threadContainer) {
@@ -908,6 +971,7 @@ export function createContextMenuManager(appContext) {
     closeContextSubmenu(regenerateSubmenu, regenerateButton);
     closeContextSubmenu(insertMessageSubmenu, insertMessageMenu);
     closeContextSubmenu(forkConversationSubmenu, forkConversationButton);
+    closeContextSubmenu(compareMessageSubmenu, compareMessageMenu);
     currentMessageElement = null;
     currentMessageContainer = null;
   }
@@ -1700,7 +1764,7 @@ export function createContextMenuManager(appContext) {
       event.preventDefault();
     };
 
-    [contextMenu, regenerateSubmenu, insertMessageSubmenu, forkConversationSubmenu].forEach((menuLikeEl) => {
+    [contextMenu, regenerateSubmenu, insertMessageSubmenu, forkConversationSubmenu, compareMessageSubmenu].forEach((menuLikeEl) => {
       if (!menuLikeEl) return;
       menuLikeEl.addEventListener('pointerup', dispatchMenuActivateOnRelease);
       menuLikeEl.addEventListener('click', preventNativeClickOnActionable, true);
@@ -1748,9 +1812,11 @@ export function createContextMenuManager(appContext) {
     ensureSubmenuPortal(regenerateSubmenu);
     ensureSubmenuPortal(insertMessageSubmenu);
     ensureSubmenuPortal(forkConversationSubmenu);
+    ensureSubmenuPortal(compareMessageSubmenu);
     bindPortalSubmenuHover(regenerateButton, regenerateSubmenu);
     bindPortalSubmenuHover(insertMessageMenu, insertMessageSubmenu, INSERT_SUBMENU_PLACEMENT_OPTIONS);
     bindPortalSubmenuHover(forkConversationButton, forkConversationSubmenu);
+    bindPortalSubmenuHover(compareMessageMenu, compareMessageSubmenu);
 
     window.addEventListener('resize', () => {
       if (contextMenu.style.display !== 'block') return;
@@ -1853,6 +1919,25 @@ export function createContextMenuManager(appContext) {
       });
     }
 
+    if (compareMessageMenu) {
+      compareMessageMenu.addEventListener(MENU_ACTIVATE_EVENT, (event) => {
+        const target = event?.target instanceof Element ? event.target : null;
+        if (target && target.closest('.context-menu-submenu')) return;
+        compareCurrentMessageWith(null);
+      });
+    }
+    if (compareMessageSubmenuList) {
+      compareMessageSubmenuList.addEventListener(MENU_ACTIVATE_EVENT, (event) => {
+        const target = event?.target instanceof Element ? event.target : null;
+        const item = target ? target.closest('.context-menu-submenu-item') : null;
+        if (!item) return;
+        event.preventDefault();
+        event.stopPropagation();
+        if (item.dataset.disabled === 'true') return;
+        compareCurrentMessageWith(item.dataset.compareMessageId || null);
+      });
+    }
+
     clearChatContextButton.addEventListener(MENU_ACTIVATE_EVENT, async () => {
       await clearChatHistory();
       hideContextMenu();
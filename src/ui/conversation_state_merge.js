@@ -18,6 +18,7 @@ export function normalizeConversationApiLock(rawLock) {
     const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
     if (normalized === 'gemini') return 'gemini';
     if (normalized === 'openai_responses') return 'openai_responses';
+    if (normalized === 'anthropic') return 'anthropic';
     if (normalized === 'openai') return 'openai';
     return '';
   };
@@ -30,6 +31,8 @@ export function normalizeConversationApiLock(rawLock) {
   const normalizedBaseUrl = baseUrl.toLowerCase();
   if (!connectionType && (normalizedBaseUrl === 'genai' || normalizedBaseUrl.includes('generativelanguage.googleapis.com'))) {
     connectionType = 'gemini';
+  } else if (!connectionType && normalizedBaseUrl.includes('api.anthropic.com')) {
+    connectionType = 'anthropic';
   } else if (!connectionType && /(^|\/)responses(?:\/[^/?#]+)?\/?$/.test(normalizedBaseUrl)) {
     connectionType = 'openai_responses';
   }
@@ -165,3 +168,178 @@ export function mergeConversationSaveMetadataState(input = {}) {
     forkedFromMessageIdToSave
   };
 }
+
+/**
+ * 规范化会话历史版本号（conversationRevision）：非负整数，非法值视为 0。
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeConversationHistoryRevision(value) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0) return 0;
+  return Math.floor(numeric);
+}
+
+function isThreadMessageNode(message) {
+  return !!(message?.threadId || message?.threadHiddenSelection);
+}
+
+function findMainChainLeaf(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i] && !isThreadMessageNode(messages[i])) return messages[i];
+  }
+  return null;
+}
+
+function mergeThreadAnnotationLists(primaryList, secondaryList, messageById) {
+  const result = Array.isArray(primaryList) ? primaryList.slice() : [];
+  const timestampOf = id => Number(messageById.get(id)?.timestamp) || 0;
+  (Array.isArray(secondaryList) ? secondaryList : []).forEach((annotation) => {
+    if (!annotation?.id) return;
+    const index = result.findIndex(item => item?.id === annotation.id);
+    if (index < 0) {
+      result.push(annotation);
+    } else if (timestampOf(annotation.lastMessageId) > timestampOf(result[index].lastMessageId)) {
+      // 同一线程两边都有追问：保留最后一条消息更新的那份
+      result[index] = annotation;
+    }
+  });
+  return result;
+}
+
+/**
+ * 合并两台设备上同一会话的不同版本（历史同步场景，纯函数）。
+ *
+ * 规则：
+ * 1) conversationRevision 更高的一方为主版本（版本号只在改写历史时递增，高版本包含对方没有的编辑/删除）；
+ *    版本号相同则取 endTime 更新的一方；
+ * 2) 次版本独有的消息：时间不晚于上次同步（baseEndTime）的视为已被主版本删除，丢弃；
+ *    之后新增的线程消息挂回原父节点；新增的主链消息若正好接在主版本主链末尾则直接续上，
+ *    否则说明两边各自续写了对话，次版本另存为“同步冲突副本”分支会话，避免静默丢失；
+ * 3) 手动重命名的标题优先保留；API 锁定沿用 mergeConversationApiLockState 的优先级。
+ *
+ * @param {{ local?: any, remote?: any, baseEndTime?: number }} [input]
+ * @returns {{
+ *   conversation: any,
+ *   conflictCopy: any|null,
+ *   winner: 'local'|'remote',
+ *   appendedCount: number,
+ *   droppedCount: number
+ * }}
+ */
+export function mergeConversationSyncState(input = {}) {
+  const local = input?.local || null;
+  const remote = input?.remote || null;
+  if (!local || !remote) {
+    return { conversation: local || remote, conflictCopy: null, winner: local ? 'local' : 'remote', appendedCount: 0, droppedCount: 0 };
+  }
+  const baseEndTime = Number(input?.baseEndTime) || 0;
+  const localRevision = normalizeConversationHistoryRevision(local.conversationRevision);
+  const remoteRevision = normalizeConversationHistoryRevision(remote.conversationRevision);
+  let winner = 'local';
+  if (localRevision !== remoteRevision) {
+    winner = localRevision > remoteRevision ? 'local' : 'remote';
+  } else if ((Number(remote.endTime) || 0) > (Number(local.endTime) || 0)) {
+    winner = 'remote';
+  }
+  const primary = winner === 'local' ? local : remote;
+  const secondary = winner === 'local' ? remote : local;
+
+  const messages = (Array.isArray(primary.messages) ? primary.messages : [])
+    .filter(Boolean)
+    .map(message => ({ ...message, children: Array.isArray(message.children) ? message.children.slice() : [] }));
+  const messageById = new Map(messages.map(message => [message.id, message]));
+  const linkChild = (message) => {
+    const parent = message.parentId ? messageById.get(message.parentId) : null;
+    if (parent && !parent.children.includes(message.id)) parent.children.push(message.id);
+  };
+
+  const secondaryMessages = (Array.isArray(secondary.messages) ? secondary.messages : []).filter(Boolean);
+  const secondaryOnly = secondaryMessages.filter(message => message.id && !messageById.has(message.id));
+  const fresh = secondaryOnly.filter(message => !(baseEndTime > 0 && (Number(message.timestamp) || 0) <= baseEndTime));
+  let droppedCount = secondaryOnly.length - fresh.length;
+  let appendedCount = 0;
+  let conflictCopy = null;
+
+  const freshMain = fresh.filter(message => !isThreadMessageNode(message));
+  if (freshMain.length) {
+    const primaryLeaf = findMainChainLeaf(messages);
+    const fastForward = freshMain.every((message, index) => (index === 0
+      ? (message.parentId || null) === (primaryLeaf?.id || null)
+      : message.parentId === freshMain[index - 1].id));
+    if (fastForward) {
+      freshMain.forEach((message) => {
+        const copy = { ...message, children: [] };
+        messages.push(copy);
+        messageById.set(copy.id, copy);
+        linkChild(copy);
+        appendedCount += 1;
+      });
+    } else {
+      const forkPoint = secondaryMessages
+        .filter(message => !isThreadMessageNode(message) && messageById.has(message.id))
+        .pop();
+      conflictCopy = {
+        ...secondary,
+        id: `${secondary.id}_conflict_${freshMain[0].id}`,
+        summary: `${secondary.summary || secondary.title || ''}（同步冲突副本）`,
+        summarySource: 'manual',
+        conversationRevision: 0
+      };
+      delete conflictCopy.parentConversationId;
+      delete conflictCopy.forkedFromMessageId;
+      if (forkPoint) {
+        conflictCopy.parentConversationId = primary.id;
+        conflictCopy.forkedFromMessageId = forkPoint.id;
+      }
+    }
+  }
+
+  // 线程消息可能互相依赖（根 -> 追问 -> 回复），反复尝试直到没有可挂载的消息
+  let pendingThread = fresh.filter(isThreadMessageNode);
+  let progressed = true;
+  while (pendingThread.length && progressed) {
+    progressed = false;
+    pendingThread = pendingThread.filter((message) => {
+      if (!messageById.has(message.parentId)) return true;
+      const copy = { ...message, children: [] };
+      messages.push(copy);
+      messageById.set(copy.id, copy);
+      linkChild(copy);
+      appendedCount += 1;
+      progressed = true;
+      return false;
+    });
+  }
+  droppedCount += pendingThread.length;
+
+  secondaryMessages.forEach((message) => {
+    if (!Array.isArray(message.threadAnnotations) || !message.threadAnnotations.length) return;
+    const target = messageById.get(message.id);
+    if (!target) return;
+    target.threadAnnotations = mergeThreadAnnotationLists(target.threadAnnotations, message.threadAnnotations, messageById);
+  });
+
+  const conversation = { ...primary, messages };
+  if (secondary.summarySource === 'manual' && primary.summarySource !== 'manual' && secondary.summary) {
+    conversation.summary = secondary.summary;
+    conversation.summarySource = 'manual';
+  }
+  const apiLock = mergeConversationApiLockState({
+    memoryApiLock: primary.apiLock,
+    storedApiLock: secondary.apiLock,
+    preserveExistingApiLock: true
+  }).apiLock;
+  if (apiLock) conversation.apiLock = apiLock;
+  else delete conversation.apiLock;
+  if (!conversation.parentConversationId && secondary.parentConversationId) {
+    conversation.parentConversationId = secondary.parentConversationId;
+    conversation.forkedFromMessageId = secondary.forkedFromMessageId || null;
+  }
+  const startTimes = [primary.startTime, secondary.startTime].map(Number).filter(value => Number.isFinite(value) && value > 0);
+  if (startTimes.length) conversation.startTime = Math.min(...startTimes);
+  conversation.endTime = Math.max(Number(primary.endTime) || 0, Number(secondary.endTime) || 0);
+  conversation.conversationRevision = Math.max(localRevision, remoteRevision);
+
+  return { conversation, conflictCopy, winner, appendedCount, droppedCount };
+}
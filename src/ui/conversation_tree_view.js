@@ -0,0 +1,352 @@
+/**
+ * 对话分支图
+ *
+ * 从设置菜单打开的浮层：用随扩展打包的 cytoscape + dagre 把当前会话画成分支图，支持缩放与拖拽平移。
+ * - 主对话是一条主干，划词线程与分支对话（fork 出的独立会话）画成侧枝，父会话画在主干顶端；
+ * - 点击节点即切换过去：主对话消息滚动定位，线程消息打开线程，分支/父对话直接切换会话；
+ * - 选中侧枝后可在底部操作栏删除（剪枝），划词线程还可合并回主对话末尾；
+ * - 选中主对话里的非根消息可删除它及其后续分支（例如不要的重新生成回答）；
+ * - 上下文压缩画成挂在边界消息上的摘要节点，选中后可撤销压缩。
+ *
+ * 图元素的构建与合并的树操作都在 utils/conversation_tree.js，这里只负责加载库、渲染与交互。
+ */
+import { buildConversationTreeElements, pruneMessageSubtree } from '../utils/conversation_tree.js';
+
+// cytoscape-dagre 加载时若发现全局 cytoscape 会自动注册布局，因此三个脚本需按顺序注入
+const TREE_LIBRARY_SCRIPT_PATHS = ['/lib/cytoscape.min.js', '/lib/dagre.min.js', '/lib/cytoscape-dagre.js'];
+let treeLibrariesLoadPromise = null;
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`${src} 加载失败`));
+    document.head.appendChild(script);
+  });
+}
+
+/** cytoscape 与 dagre 体积较大，首次打开分支图时才注入到侧栏页面 */
+function loadTreeLibraries() {
+  if (globalThis.cytoscape && globalThis.cytoscapeDagre) return Promise.resolve(globalThis.cytoscape);
+  if (!treeLibrariesLoadPromise) {
+    treeLibrariesLoadPromise = TREE_LIBRARY_SCRIPT_PATHS
+      .reduce((chain, src) => chain.then(() => loadScript(src)), Promise.resolve())
+      .then(() => {
+        if (!globalThis.cytoscape) throw new Error('cytoscape 加载失败');
+        return globalThis.cytoscape;
+      })
+      .catch((error) => {
+        treeLibrariesLoadPromise = null;
+        throw error;
+      });
+  }
+  return treeLibrariesLoadPromise;
+}
+
+function readCssColor(name, fallback) {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  return value || fallback;
+}
+
+function buildTreeStyles() {
+  const text = readCssColor('--cerebr-text-color', '#333');
+  const border = readCssColor('--cerebr-border-color', '#ccc');
+  const highlight = readCssColor('--cerebr-highlight', '#4a90d9');
+  const userBg = readCssColor('--cerebr-message-user-bg', '#e8f0fe');
+  const aiBg = readCssColor('--cerebr-message-ai-bg', '#f5f5f5');
+  return [
+    {
+      selector: 'node',
+      style: {
+        shape: 'round-rectangle',
+        label: 'data(label)',
+        'font-size': 10,
+        color: text,
+        'text-valign': 'center',
+        'text-halign': 'center',
+        'text-wrap': 'ellipsis',
+        'text-max-width': 160,
+        width: 172,
+        height: 28,
+        'background-color': aiBg,
+        'border-width': 1,
+        'border-color': border
+      }
+    },
+    { selector: 'node[role = "user"]', style: { 'background-color': userBg } },
+    { selector: 'node[branch = "thread"]', style: { 'border-style': 'dashed', 'border-color': highlight } },
+    {
+      selector: 'node[kind = "fork"], node[kind = "parent"]',
+      style: { shape: 'tag', 'border-style': 'double', 'border-width': 3 }
+    },
+    { selector: 'node[?current]', style: { 'border-width': 2, 'border-color': highlight } },
+    { selector: 'node[?active]', style: { 'border-width': 2, 'border-style': 'solid' } },
+    { selector: 'node:selected', style: { 'overlay-color': highlight, 'overlay-opacity': 0.18 } },
+    {
+      selector: 'edge',
+      style: {
+        width: 1.5,
+        'line-color': border,
+        'target-arrow-color': border,
+        'target-arrow-shape': 'triangle',
+        'curve-style': 'bezier'
+      }
+    },
+    { selector: 'edge[branch = "thread"]', style: { 'line-style': 'dashed', 'line-color': highlight, 'target-arrow-color': highlight } },
+    { selector: 'edge[branch = "fork"]', style: { 'line-style': 'dotted' } },
+    {
+      selector: 'node[kind = "compaction"]',
+      style: { shape: 'cut-rectangle', 'border-style': 'dashed', 'background-color': userBg, 'font-style': 'italic' }
+    },
+    { selector: 'edge[branch = "compaction"]', style: { 'line-style': 'dashed', 'target-arrow-shape': 'none' } }
+  ];
+}
+
+export function createConversationTreeView(appContext) {
+  const { services } = appContext;
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  let panel = null;
+  let canvas = null;
+  let details = null;
+  let cy = null;
+  let branchLinks = { parent: null, forkedFromMessageId: null, children: [] };
+  let renderToken = 0;
+  let refreshScheduled = false;
+
+  function isOpen() {
+    return !!panel?.classList.contains('visible');
+  }
+
+  function getCurrentConversationId() {
+    return services.chatHistoryUI?.getCurrentConversationId?.() || '';
+  }
+
+  function hideDetails() {
+    if (!details) return;
+    details.hidden = true;
+    details.innerHTML = '';
+  }
+
+  function createActionButton(label, onClick, { danger = false } = {}) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'conversation-tree-panel__action';
+    button.classList.toggle('conversation-tree-panel__action--danger', danger);
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      Promise.resolve(onClick()).catch((error) => {
+        console.error('对话分支图操作失败:', error);
+        showNotification({ message: '操作失败，请稍后重试', type: 'warning' });
+      });
+    });
+    return button;
+  }
+
+  async function pruneThread(threadId) {
+    if (!window.confirm('删除这个划词线程及其全部消息？')) return;
+    await services.selectionThreadManager?.deleteThreadById?.(threadId);
+    await render();
+  }
+
+  async function mergeThread(threadId) {
+    const merged = await services.selectionThreadManager?.mergeThreadIntoMainConversation?.(threadId);
+    if (merged) await render();
+  }
+
+  async function pruneForkConversation(conversationId) {
+    if (!window.confirm('删除这个分支对话？删除后无法恢复。')) return;
+    await services.chatHistoryUI?.deleteConversationRecord?.(conversationId);
+    showNotification({ message: '已删除分支对话', type: 'info' });
+    await render();
+  }
+
+  async function pruneMessageBranch(messageId) {
+    const conversationId = getCurrentConversationId();
+    const streamingIds = services.messageSender?.getStreamingConversationIds?.() || [];
+    if (conversationId && Array.from(streamingIds).includes(conversationId)) {
+      showNotification({ message: '当前对话正在生成回复，请完成后再删除', type: 'warning' });
+      return;
+    }
+    if (!window.confirm('删除这条消息及其后续的全部分支？删除后无法恢复。')) return;
+    const result = pruneMessageSubtree(services.chatHistoryManager?.chatHistory, messageId);
+    if (!result) return;
+    await services.chatHistoryUI?.saveCurrentConversation?.(true);
+    await services.chatHistoryUI?.reloadCurrentConversation?.();
+    showNotification({ message: `已删除 ${result.removedMessageIds.length} 条消息`, type: 'info' });
+    await render();
+  }
+
+  async function revertCompaction(messageId) {
+    const reverted = await services.contextCompactionManager?.revertCompaction?.(messageId);
+    if (reverted) await render();
+  }
+
+  /**
+   * 切换到节点对应的位置；跨会话切换后会触发 CONVERSATION_API_CONTEXT_CHANGED，由监听器重绘分支图。
+   */
+  async function switchToNode(data) {
+    const chatHistoryUI = services.chatHistoryUI;
+    if (data.kind === 'message' || data.kind === 'compaction') {
+      await chatHistoryUI?.openConversationAtMessage?.(getCurrentConversationId(), data.messageId);
+      return;
+    }
+    // 回到父对话时定位到分支点消息
+    const forkedFromMessageId = data.kind === 'parent' ? (branchLinks.forkedFromMessageId || null) : null;
+    await chatHistoryUI?.openConversationAtMessage?.(data.conversationId, forkedFromMessageId);
+  }
+
+  function showDetails(data) {
+    if (!details) return;
+    details.innerHTML = '';
+    const text = document.createElement('div');
+    text.className = 'conversation-tree-panel__details-text';
+    text.textContent = data.label || '';
+    text.title = data.label || '';
+    const actions = document.createElement('div');
+    actions.className = 'conversation-tree-panel__details-actions';
+    if (data.branch === 'thread' && data.threadId) {
+      actions.append(
+        createActionButton('合并到主对话', () => mergeThread(data.threadId)),
+        createActionButton('删除线程', () => pruneThread(data.threadId), { danger: true })
+      );
+    } else if (data.kind === 'fork') {
+      actions.append(createActionButton('删除分支对话', () => pruneForkConversation(data.conversationId), { danger: true }));
+    } else if (data.kind === 'compaction') {
+      actions.append(createActionButton('撤销压缩', () => revertCompaction(data.messageId), { danger: true }));
+    } else if (data.kind === 'message' && data.branch === 'main' && data.hasParent) {
+      actions.append(createActionButton('删除此分支', () => pruneMessageBranch(data.messageId), { danger: true }));
+    }
+    details.append(text, actions);
+    details.hidden = false;
+  }
+
+  async function render() {
+    if (!canvas) return;
+    const token = ++renderToken;
+    hideDetails();
+    const chatHistory = services.chatHistoryManager?.chatHistory;
+    const messages = Array.isArray(chatHistory?.messages) ? chatHistory.messages : [];
+    const conversationId = getCurrentConversationId();
+
+    const emptyLinks = { parent: null, forkedFromMessageId: null, children: [] };
+    let cytoscape = null;
+    let links = emptyLinks;
+    try {
+      [cytoscape, links] = await Promise.all([
+        loadTreeLibraries(),
+        conversationId
+          ? services.chatHistoryUI?.getConversationBranchLinks?.(conversationId) || emptyLinks
+          : emptyLinks
+      ]);
+    } catch (error) {
+      console.error('加载对话分支图失败:', error);
+      if (token === renderToken) canvas.textContent = '分支图组件加载失败';
+      return;
+    }
+    if (token !== renderToken) return;
+    branchLinks = links || emptyLinks;
+
+    cy?.destroy();
+    cy = null;
+    canvas.innerHTML = '';
+    if (!messages.length) {
+      canvas.textContent = '当前没有对话';
+      return;
+    }
+
+    cy = cytoscape({
+      container: canvas,
+      elements: buildConversationTreeElements(messages, {
+        currentNodeId: chatHistory.currentNode,
+        activeThreadId: services.selectionThreadManager?.getActiveThreadId?.() || null,
+        parentConversation: branchLinks.parent,
+        childConversations: branchLinks.children
+      }),
+      style: buildTreeStyles(),
+      layout: { name: 'dagre', rankDir: 'TB', nodeSep: 24, rankSep: 36 },
+      minZoom: 0.2,
+      maxZoom: 2.5,
+      wheelSensitivity: 0.3,
+      boxSelectionEnabled: false
+    });
+    cy.on('tap', 'node', (event) => {
+      const data = event.target.data();
+      showDetails(data);
+      switchToNode(data).catch((error) => {
+        console.error('切换分支失败:', error);
+      });
+    });
+    cy.on('tap', (event) => {
+      if (event.target === cy) hideDetails();
+    });
+    // 默认聚焦到主干末尾，长对话时不必先缩小再找最新消息
+    const currentNode = chatHistory.currentNode ? cy.getElementById(chatHistory.currentNode) : null;
+    if (currentNode?.nonempty?.() && cy.nodes().length > 12) {
+      cy.zoom(1);
+      cy.center(currentNode);
+    }
+  }
+
+  function scheduleRefresh() {
+    if (!isOpen() || refreshScheduled) return;
+    refreshScheduled = true;
+    requestAnimationFrame(() => {
+      refreshScheduled = false;
+      if (isOpen()) render();
+    });
+  }
+
+  function open() {
+    if (!panel) return;
+    panel.classList.add('visible');
+    panel.setAttribute('aria-hidden', 'false');
+    render();
+  }
+
+  function close() {
+    if (!panel) return;
+    panel.classList.remove('visible');
+    panel.setAttribute('aria-hidden', 'true');
+    renderToken++;
+    cy?.destroy();
+    cy = null;
+    hideDetails();
+  }
+
+  function toggle() {
+    if (isOpen()) {
+      close();
+    } else {
+      open();
+    }
+  }
+
+  function init() {
+    panel = document.getElementById('conversation-tree-panel');
+    if (!panel) return;
+    canvas = panel.querySelector('.conversation-tree-panel__canvas');
+    details = panel.querySelector('.conversation-tree-panel__details');
+    panel.addEventListener('click', (event) => {
+      const action = event.target.closest('[data-tree-action]')?.dataset.treeAction;
+      if (action === 'close') close();
+      if (action === 'refresh') render();
+      if (action === 'fit') cy?.fit(undefined, 24);
+    });
+    document.getElementById('conversation-tree-toggle')?.addEventListener('click', () => {
+      services.uiManager?.toggleSettingsMenu?.(false);
+      toggle();
+    });
+    document.addEventListener('CONVERSATION_API_CONTEXT_CHANGED', scheduleRefresh);
+  }
+
+  return {
+    init,
+    open,
+    close,
+    toggle,
+    isOpen,
+    refresh: scheduleRefresh
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * 元素选取附件管理器
+ *
+ * 输入区的“选取页面元素”按钮让 content script 进入连续选取模式（ElementPicker），
+ * 用户在页面上每点一个区域（表格、代码块、评论串……），content script 就回传该元素的 Markdown、CSS 选择器
+ * 以及可选的元素截图；这里把它们显示为可移除的小标签，截图同时放进图片区随消息发送。
+ * 发送时由 messageSender 调用 buildContextText() 把文本部分拼到消息正文前面。
+ */
+import { buildElementAttachmentText, describeElementAttachment } from '../utils/element_attachment.js';
+import { estimateTabContextTokens, formatTokenEstimate } from '../utils/tab_context.js';
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   init: () => void,
+ *   togglePicking: () => void,
+ *   handlePicked: (attachment: Object) => void,
+ *   handlePickFailed: (error: string) => void,
+ *   handlePickingStopped: () => void,
+ *   removeAttachment: (id: string) => void,
+ *   buildContextText: () => string,
+ *   hasAttachments: () => boolean,
+ *   clear: () => void
+ * }}
+ */
+export function createElementAttachmentManager(appContext) {
+  const { dom, state } = appContext;
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  /** @type {Array<{id:string, selector:string, tagName:string, markdown:string, pageTitle:string, pageUrl:string, tokens:number, hasScreenshot:boolean, imageTag:HTMLElement|null}>} */
+  let attachments = [];
+  let picking = false;
+  let nextId = 1;
+
+  function getButton() {
+    return document.getElementById('element-pick-button');
+  }
+
+  function getChipContainer() {
+    return document.getElementById('element-attachment-container');
+  }
+
+  function setPicking(value) {
+    picking = value;
+    getButton()?.classList.toggle('is-active', picking);
+  }
+
+  function renderChips() {
+    const container = getChipContainer();
+    if (!container) return;
+    container.innerHTML = '';
+    attachments.forEach((entry) => {
+      const chip = document.createElement('div');
+      chip.className = 'context-chip';
+      chip.title = entry.selector;
+
+      const icon = document.createElement('i');
+      icon.className = entry.hasScreenshot ? 'far fa-camera' : 'far fa-crosshairs';
+      const title = document.createElement('span');
+      title.className = 'context-chip__title';
+      title.textContent = describeElementAttachment(entry);
+      const tokens = document.createElement('span');
+      tokens.className = 'context-chip__tokens';
+      tokens.textContent = `${formatTokenEstimate(entry.tokens)} tokens`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'context-chip__remove';
+      remove.title = '移除';
+      remove.innerHTML = '<i class="far fa-times"></i>';
+      remove.addEventListener('click', (event) => {
+        event.stopPropagation();
+        removeAttachment(entry.id);
+      });
+
+      chip.append(icon, title, tokens, remove);
+      container.appendChild(chip);
+    });
+    const button = getButton();
+    if (button) {
+      button.classList.toggle('has-attachments', attachments.length > 0);
+    }
+  }
+
+  function postToPage(message) {
+    window.parent.postMessage(message, '*');
+  }
+
+  function togglePicking() {
+    if (state.isStandalone) {
+      showNotification({ message: '独立聊天页面不支持选取网页元素', type: 'warning' });
+      return;
+    }
+    if (picking) {
+      postToPage({ type: 'STOP_ELEMENT_PICKING' });
+      setPicking(false);
+      return;
+    }
+    const includeScreenshot = appContext.services.settingsManager?.getSetting?.('elementPickScreenshot') === true;
+    postToPage({ type: 'START_ELEMENT_PICKING', includeScreenshot });
+    setPicking(true);
+    showNotification({ message: '在页面上点击要附加的区域，按 Esc 或再次点击按钮结束', type: 'info', duration: 2400 });
+  }
+
+  /**
+   * content script 回传的选中元素。
+   * @param {{selector:string, tagName:string, markdown:string, screenshot:string|null, pageTitle:string, pageUrl:string}} attachment
+   */
+  function handlePicked(attachment) {
+    if (!attachment || typeof attachment !== 'object') return;
+    const id = `element-${nextId++}`;
+    const markdown = typeof attachment.markdown === 'string' ? attachment.markdown : '';
+    let imageTag = null;
+    if (typeof attachment.screenshot === 'string' && attachment.screenshot) {
+      imageTag = appContext.services.imageHandler.createImageTag(attachment.screenshot, `${id}.png`);
+      dom.imageContainer.appendChild(imageTag);
+      dom.messageInput.dispatchEvent(new Event('input'));
+    }
+    attachments.push({
+      id,
+      selector: typeof attachment.selector === 'string' ? attachment.selector : '',
+      tagName: typeof attachment.tagName === 'string' ? attachment.tagName : '',
+      markdown,
+      pageTitle: typeof attachment.pageTitle === 'string' ? attachment.pageTitle : '',
+      pageUrl: typeof attachment.pageUrl === 'string' ? attachment.pageUrl : '',
+      tokens: estimateTabContextTokens(markdown),
+      hasScreenshot: !!imageTag,
+      imageTag
+    });
+    renderChips();
+  }
+
+  function handlePickFailed(error) {
+    showNotification({ message: `无法附加该区域：${error || '未知错误'}`, type: 'warning' });
+  }
+
+  function handlePickingStopped() {
+    setPicking(false);
+  }
+
+  function removeAttachment(id) {
+    const entry = attachments.find(item => item.id === id);
+    if (!entry) return;
+    attachments = attachments.filter(item => item !== entry);
+    if (entry.imageTag?.isConnected) {
+      entry.imageTag.remove();
+      dom.messageInput.dispatchEvent(new Event('input'));
+    }
+    renderChips();
+  }
+
+  /**
+   * 拼好的元素上下文块（没有附件时为空串）。
+   * @returns {string}
+   */
+  function buildContextText() {
+    return buildElementAttachmentText(attachments);
+  }
+
+  function hasAttachments() {
+    return attachments.length > 0;
+  }
+
+  /** 发送后清空附件（截图所在的图片区由输入控制器一并清空） */
+  function clear() {
+    if (!attachments.length) return;
+    attachments = [];
+    renderChips();
+  }
+
+  function init() {
+    const button = getButton();
+    if (!button) return;
+    button.addEventListener('click', togglePicking);
+  }
+
+  return {
+    init,
+    togglePicking,
+    handlePicked,
+    handlePickFailed,
+    handlePickingStopped,
+    removeAttachment,
+    buildContextText,
+    hasAttachments,
+    clear
+  };
+}
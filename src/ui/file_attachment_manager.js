@@ -0,0 +1,459 @@
+/**
+ * 文件附件管理器
+ *
+ * 负责 PDF、Word、CSV、Markdown 与源码等文档的附加：拖入侧栏或点击空状态的“附加文件”后，在侧栏内本地解析
+ * （PDF 用随扩展打包的 lib/pdf.js，Word 解压 document.xml，其余直接按文本读取），
+ * 结果以小标签显示在输入框上方，CSV 小标签可展开预览表格。
+ *
+ * 发送时由 messageSender 通过 getAttachments() 取走附件记录，写入用户消息节点的 fileAttachments，
+ * 随会话一起存入 IndexedDB；构造请求时再按接口类型决定发送原文件还是抽取的文本（见 utils/file_attachment.js）。
+ */
+import {
+  MAX_FILE_ATTACHMENT_BYTES,
+  MAX_NATIVE_FILE_BYTES,
+  MAX_TEXT_FILE_BYTES,
+  getFileAttachmentKind,
+  detectCsvDelimiter,
+  parseCsv,
+  buildCsvPreview,
+  extractDocxText,
+  buildPdfAttachmentText,
+  estimateFileAttachmentTokens,
+  normalizeFileAttachments
+} from '../utils/file_attachment.js';
+import { formatTokenEstimate } from '../utils/tab_context.js';
+
+const KIND_ICONS = {
+  pdf: 'far fa-file-pdf',
+  docx: 'far fa-file-word',
+  csv: 'far fa-file-csv',
+  text: 'far fa-file-lines'
+};
+
+const PDFJS_SCRIPT_PATH = '/lib/pdf.js';
+const PDFJS_WORKER_PATH = '/lib/pdf.worker.js';
+let pdfJsLoadPromise = null;
+
+/** pdf.js 体积较大，首次附加 PDF 时才注入到侧栏页面 */
+function loadPdfJs() {
+  if (globalThis.pdfjsLib) return Promise.resolve(globalThis.pdfjsLib);
+  if (!pdfJsLoadPromise) {
+    pdfJsLoadPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = PDFJS_SCRIPT_PATH;
+      script.onload = () => {
+        const pdfjsLib = globalThis.pdfjsLib;
+        if (!pdfjsLib) {
+          reject(new Error('pdf.js 加载失败'));
+          return;
+        }
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_PATH;
+        resolve(pdfjsLib);
+      };
+      script.onerror = () => reject(new Error('pdf.js 加载失败'));
+      document.head.appendChild(script);
+    }).catch((error) => {
+      pdfJsLoadPromise = null;
+      throw error;
+    });
+  }
+  return pdfJsLoadPromise;
+}
+
+function bytesToBase64(bytes) {
+  const chunkSize = 0x8000; // 分片编码，避免参数过长导致栈溢出
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+async function extractPdfPageTexts(bytes, onProgress) {
+  const pdfjsLib = await loadPdfJs();
+  // pdf.js 会转移传入的 buffer，这里传副本，保留原数据用于原生文件输入
+  const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+  const pageTexts = [];
+  try {
+    for (let i = 1; i <= pdf.numPages; i++) {
+      onProgress?.(i, pdf.numPages);
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      pageTexts.push(textContent.items.map(item => item.str).join(' '));
+    }
+  } finally {
+    pdf.destroy?.();
+  }
+  return pageTexts;
+}
+
+function formatFileSize(bytes) {
+  const value = Number(bytes) || 0;
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 把 CSV 预览渲染成表格元素。
+ * @param {Object} attachment
+ * @returns {HTMLElement}
+ */
+function createCsvPreviewElement(attachment) {
+  const rows = parseCsv(attachment.text, detectCsvDelimiter(attachment.text, attachment.name));
+  const preview = buildCsvPreview(rows);
+  const wrapper = document.createElement('div');
+  wrapper.className = 'file-attachment-preview';
+
+  const table = document.createElement('table');
+  const headRow = table.createTHead().insertRow();
+  preview.header.forEach((cell) => {
+    const th = document.createElement('th');
+    th.textContent = cell;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  preview.rows.forEach((cells) => {
+    const tr = body.insertRow();
+    cells.forEach((cell) => {
+      tr.insertCell().textContent = cell;
+    });
+  });
+  wrapper.appendChild(table);
+
+  const caption = document.createElement('div');
+  caption.className = 'file-attachment-preview__caption';
+  caption.textContent = preview.truncated
+    ? `共 ${preview.totalRows} 行 × ${preview.totalColumns} 列，仅预览前 ${preview.rows.length} 行 × ${preview.header.length} 列`
+    : `共 ${preview.totalRows} 行 × ${preview.totalColumns} 列`;
+  wrapper.appendChild(caption);
+  return wrapper;
+}
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   init: () => void,
+ *   addFiles: (files: File[]) => File[],
+ *   pickFiles: () => Promise<boolean>,
+ *   handleDrop: (event: DragEvent) => boolean,
+ *   removeAttachment: (id: string) => void,
+ *   getAttachments: () => Promise<Array<Object>>,
+ *   hasAttachments: () => boolean,
+ *   clear: () => void,
+ *   decorateMessageElement: (messageElement: HTMLElement, node: Object) => void
+ * }}
+ */
+export function createFileAttachmentManager(appContext) {
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  /** @type {Array<{id:string, status:'loading'|'ready', progress:string, attachment:Object|null, file:File, promise:Promise<void>|null}>} */
+  let entries = [];
+  let nextId = 1;
+  let previewEntryId = '';
+
+  function getChipContainer() {
+    return document.getElementById('file-attachment-container');
+  }
+
+  function createChip(attachment, { loading = false, progress = '', onRemove = null, onPreview = null } = {}) {
+    const chip = document.createElement('div');
+    chip.className = 'context-chip';
+    chip.classList.toggle('context-chip--loading', loading);
+    chip.title = loading
+      ? `正在解析 ${attachment.name}`
+      : `${attachment.name}（${formatFileSize(attachment.size)}${attachment.pageCount ? `，${attachment.pageCount} 页` : ''}）`;
+
+    const icon = document.createElement('i');
+    icon.className = loading ? 'far fa-spinner fa-spin' : (KIND_ICONS[attachment.kind] || 'far fa-file');
+    const title = document.createElement('span');
+    title.className = 'context-chip__title';
+    title.textContent = attachment.name;
+    const tokens = document.createElement('span');
+    tokens.className = 'context-chip__tokens';
+    tokens.textContent = loading
+      ? (progress || '解析中…')
+      : `${formatTokenEstimate(attachment.tokens)} tokens`;
+    chip.append(icon, title, tokens);
+
+    if (onPreview) {
+      chip.classList.add('context-chip--clickable');
+      chip.addEventListener('click', onPreview);
+    }
+    if (onRemove) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'context-chip__remove';
+      remove.title = '移除';
+      remove.innerHTML = '<i class="far fa-times"></i>';
+      remove.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onRemove();
+      });
+      chip.appendChild(remove);
+    }
+    return chip;
+  }
+
+  function renderChips() {
+    const container = getChipContainer();
+    if (!container) return;
+    container.innerHTML = '';
+    entries.forEach((entry) => {
+      const attachment = entry.attachment || { name: entry.file.name, size: entry.file.size, kind: '' };
+      const canPreview = entry.status === 'ready' && attachment.kind === 'csv';
+      container.appendChild(createChip(attachment, {
+        loading: entry.status === 'loading',
+        progress: entry.progress,
+        onRemove: () => removeAttachment(entry.id),
+        onPreview: canPreview
+          ? () => {
+            previewEntryId = previewEntryId === entry.id ? '' : entry.id;
+            renderChips();
+          }
+          : null
+      }));
+    });
+    const previewEntry = entries.find(entry => entry.id === previewEntryId && entry.status === 'ready');
+    if (previewEntry) {
+      container.appendChild(createCsvPreviewElement(previewEntry.attachment));
+    }
+    appContext.services.uiManager?.updateSendButtonState?.();
+  }
+
+  /**
+   * 按类型解析单个文件，得到可落库的附件记录。
+   * @param {File} file
+   * @param {string} kind
+   * @param {(progress: string) => void} onProgress
+   * @returns {Promise<Object>}
+   */
+  async function parseFile(file, kind, onProgress) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const attachment = {
+      id: `file_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+      name: file.name,
+      kind,
+      mimeType: file.type || (kind === 'pdf' ? 'application/pdf' : 'text/plain'),
+      size: file.size,
+      text: ''
+    };
+
+    if (kind === 'pdf') {
+      const pageTexts = await extractPdfPageTexts(bytes, (page, total) => onProgress(`${page}/${total} 页`));
+      attachment.text = buildPdfAttachmentText(pageTexts);
+      attachment.pageCount = pageTexts.length;
+      attachment.mimeType = 'application/pdf';
+      // 过大的 PDF 不保存原文件，发送时退回抽取的文本
+      if (bytes.length <= MAX_NATIVE_FILE_BYTES) {
+        attachment.data = bytesToBase64(bytes);
+      }
+    } else if (kind === 'docx') {
+      attachment.text = await extractDocxText(bytes);
+    } else {
+      if (bytes.length > MAX_TEXT_FILE_BYTES) {
+        throw new Error(`文本文件超过 ${formatFileSize(MAX_TEXT_FILE_BYTES)}`);
+      }
+      attachment.text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+    }
+    attachment.tokens = estimateFileAttachmentTokens(attachment.text);
+    return attachment;
+  }
+
+  function addEntry(file, kind) {
+    const entry = {
+      id: `file-attachment-${nextId++}`,
+      status: 'loading',
+      progress: '',
+      attachment: null,
+      file,
+      promise: null
+    };
+    entries.push(entry);
+
+    let lastRender = 0;
+    entry.promise = parseFile(file, kind, (progress) => {
+      const now = Date.now();
+      if (now - lastRender < 200) return;
+      lastRender = now;
+      entry.progress = progress;
+      renderChips();
+    }).then((attachment) => {
+      if (!entries.includes(entry)) return;
+      if (!attachment.text.trim() && !attachment.data) {
+        entries = entries.filter(item => item !== entry);
+        showNotification({ message: `${file.name} 中没有可提取的文本`, type: 'warning' });
+        return;
+      }
+      entry.attachment = attachment;
+      entry.status = 'ready';
+    }).catch((error) => {
+      console.error('解析文件附件失败:', error);
+      entries = entries.filter(item => item !== entry);
+      showNotification({ message: `无法附加 ${file.name}：${error?.message || '未知错误'}`, type: 'error' });
+    }).finally(() => {
+      entry.promise = null;
+      renderChips();
+    });
+  }
+
+  /**
+   * 附加一组文件；图片与无法识别的二进制文件原样返回，交给调用方处理。
+   * @param {File[]} files
+   * @returns {File[]} 未处理的文件
+   */
+  function addFiles(files) {
+    const rest = [];
+    (Array.isArray(files) ? files : []).forEach((file) => {
+      const kind = getFileAttachmentKind(file);
+      if (!kind) {
+        rest.push(file);
+        return;
+      }
+      if (file.size > MAX_FILE_ATTACHMENT_BYTES) {
+        showNotification({ message: `${file.name} 超过 ${formatFileSize(MAX_FILE_ATTACHMENT_BYTES)}，已跳过`, type: 'warning' });
+        return;
+      }
+      addEntry(file, kind);
+    });
+    renderChips();
+    return rest;
+  }
+
+  /**
+   * 打开文件选择框并附加所选文件。
+   * @returns {Promise<boolean>} 用户取消时为 false
+   */
+  function pickFiles() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.multiple = true;
+      input.style.display = 'none';
+      input.addEventListener('change', () => {
+        const files = input.files ? Array.from(input.files) : [];
+        input.remove();
+        const rest = addFiles(files);
+        rest.forEach((file) => {
+          showNotification({ message: `暂不支持附加 ${file.name}`, type: 'warning' });
+        });
+        resolve(files.length > rest.length);
+      }, { once: true });
+      input.addEventListener('cancel', () => {
+        input.remove();
+        resolve(false);
+      }, { once: true });
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  /**
+   * 拖放入口：文档类文件在这里附加，其中夹带的图片转给图片标签；只有图片或网页内拖拽时返回 false。
+   * @param {DragEvent} event
+   * @returns {boolean} 是否已处理
+   */
+  function handleDrop(event) {
+    const files = Array.from(event?.dataTransfer?.files || []);
+    if (!files.some(file => getFileAttachmentKind(file))) return false;
+    event.preventDefault();
+    event.stopPropagation();
+    const rest = addFiles(files);
+    const imageHandler = appContext.services.imageHandler;
+    rest.forEach((file) => {
+      if (!file.type.startsWith('image/') || !imageHandler?.addImageToContainer) return;
+      const reader = new FileReader();
+      reader.onload = () => imageHandler.addImageToContainer(reader.result, file.name);
+      reader.readAsDataURL(file);
+    });
+    return true;
+  }
+
+  function removeAttachment(id) {
+    const before = entries.length;
+    entries = entries.filter(entry => entry.id !== id);
+    if (previewEntryId === id) previewEntryId = '';
+    if (entries.length !== before) renderChips();
+  }
+
+  /**
+   * 已解析完成的附件记录；仍在解析的文件会先等待完成。
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getAttachments() {
+    const pending = entries.map(entry => entry.promise).filter(Boolean);
+    if (pending.length) await Promise.allSettled(pending);
+    return entries
+      .filter(entry => entry.status === 'ready' && entry.attachment)
+      .map(entry => ({ ...entry.attachment }));
+  }
+
+  function hasAttachments() {
+    return entries.length > 0;
+  }
+
+  function clear() {
+    if (!entries.length) return;
+    entries = [];
+    previewEntryId = '';
+    renderChips();
+  }
+
+  /**
+   * 在已发送的用户消息上显示附件小标签（发送时与从历史加载时都会调用）。
+   * @param {HTMLElement} messageElement
+   * @param {Object} node - 历史消息节点
+   */
+  function decorateMessageElement(messageElement, node) {
+    if (!messageElement || node?.role !== 'user') return;
+    messageElement.querySelector('.message-file-attachments')?.remove();
+    const attachments = normalizeFileAttachments(node.fileAttachments);
+    if (!attachments.length) return;
+
+    const container = document.createElement('div');
+    container.className = 'message-file-attachments';
+    let previewElement = null;
+    attachments.forEach((attachment) => {
+      const onPreview = attachment.kind === 'csv'
+        ? (event) => {
+          event.stopPropagation();
+          if (previewElement) {
+            previewElement.remove();
+            previewElement = null;
+            return;
+          }
+          previewElement = createCsvPreviewElement(attachment);
+          container.appendChild(previewElement);
+        }
+        : null;
+      container.appendChild(createChip({
+        ...attachment,
+        tokens: attachment.tokens ?? estimateFileAttachmentTokens(attachment.text)
+      }, { onPreview }));
+    });
+    const textContent = messageElement.querySelector('.text-content');
+    messageElement.insertBefore(container, textContent || null);
+  }
+
+  function init() {
+    const button = document.getElementById('empty-state-attach-file');
+    if (!button) return;
+    button.addEventListener('click', () => {
+      pickFiles().catch((error) => {
+        console.error('选择文件失败:', error);
+      });
+    });
+  }
+
+  return {
+    init,
+    addFiles,
+    pickFiles,
+    handleDrop,
+    removeAttachment,
+    getAttachments,
+    hasAttachments,
+    clear,
+    decorateMessageElement
+  };
+}
@@ -17,7 +17,7 @@
  * @property {(text: string) => void} setInputText 设置输入框文本内容
  * @property {() => boolean} hasImages 输入区域是否包含图片
  * @property {() => string} getImagesHTML 获取输入区域图片的 HTML 片段
- * @property {() => boolean} hasScreenshot 是否包含页面截图图片（alt="page-screenshot.png"）
+ * @property {() => boolean} hasScreenshot 是否包含页面截图图片（alt 以 page-screenshot 开头，含整页截图）
  * @property {() => void} clear 清空输入与图片，并重置输入高度
  * @property {() => void} focusToEnd 聚焦输入框并将光标移动到末尾
  */
@@ -80,7 +80,7 @@ export function createInputController(appContext) {
    */
   function hasScreenshot() {
     try {
-      return !!imageContainer?.querySelector('img[alt="page-screenshot.png"]');
+      return !!imageContainer?.querySelector('img[alt^="page-screenshot"]');
     } catch (_) {
       return false;
     }
@@ -0,0 +1,286 @@
+/**
+ * 本地仓库打包管理器
+ *
+ * 入口有三个：空状态的“打包本地文件夹”、`/pack` 斜杠命令，以及把文件夹或 zip 拖进侧栏。
+ * 打包在侧栏内完成（见 utils/local_repo_packer.js），结果以小标签显示在输入框上方（含文件数与 token 估算），
+ * 发送时由 messageSender 调用 buildContextText() 把打包文本放到消息正文前面。
+ *
+ * 侧栏嵌在网页里时属于跨源子框架，不能调用 showDirectoryPicker，此时退回 `<input webkitdirectory>`；
+ * 独立聊天页面则优先使用 File System Access API，便于按 .gitignore 剪枝跳过 node_modules 等大目录。
+ */
+import { packLocalRepository, fileListToEntries, zipToEntries, parseGlobList } from '../utils/local_repo_packer.js';
+import { formatTokenEstimate } from '../utils/tab_context.js';
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   init: () => void,
+ *   pickDirectory: (options?: {includePatterns?: string[], ignorePatterns?: string[]}) => Promise<boolean>,
+ *   handleDrop: (event: DragEvent) => boolean,
+ *   removePack: (id: string) => void,
+ *   buildContextText: () => Promise<string>,
+ *   hasAttachments: () => boolean,
+ *   clear: () => void
+ * }}
+ */
+export function createLocalRepoPackManager(appContext) {
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  /** @type {Array<{id:string, name:string, status:'loading'|'ready', progress:string, text:string, fileCount:number, totalTokens:number, skippedCount:number, promise:Promise<void>|null}>} */
+  let packs = [];
+  let nextId = 1;
+
+  function getChipContainer() {
+    return document.getElementById('repo-pack-container');
+  }
+
+  function renderChips() {
+    const container = getChipContainer();
+    if (!container) return;
+    container.innerHTML = '';
+    packs.forEach((entry) => {
+      const chip = document.createElement('div');
+      chip.className = 'context-chip';
+      chip.classList.toggle('context-chip--loading', entry.status === 'loading');
+      chip.title = entry.status === 'loading'
+        ? `正在打包 ${entry.name}`
+        : `${entry.name}：${entry.fileCount} 个文件${entry.skippedCount ? `，跳过 ${entry.skippedCount} 个` : ''}`;
+
+      const icon = document.createElement('i');
+      icon.className = entry.status === 'loading' ? 'far fa-spinner fa-spin' : 'far fa-folder-tree';
+      const title = document.createElement('span');
+      title.className = 'context-chip__title';
+      title.textContent = entry.name;
+      const tokens = document.createElement('span');
+      tokens.className = 'context-chip__tokens';
+      tokens.textContent = entry.status === 'loading'
+        ? (entry.progress || '打包中…')
+        : `${entry.fileCount} 个文件 · ${formatTokenEstimate(entry.totalTokens)} tokens`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'context-chip__remove';
+      remove.title = '移除';
+      remove.innerHTML = '<i class="far fa-times"></i>';
+      remove.addEventListener('click', (event) => {
+        event.stopPropagation();
+        removePack(entry.id);
+      });
+
+      chip.append(icon, title, tokens, remove);
+      container.appendChild(chip);
+    });
+  }
+
+  /** 设置中追加的排除模式（每行或逗号分隔） */
+  function getConfiguredIgnorePatterns() {
+    return parseGlobList(appContext.services.settingsManager?.getSetting?.('localRepoPackIgnorePatterns'));
+  }
+
+  /**
+   * 打包一个来源并显示为附件小标签。来源可能需要异步准备（zip 要先读入内存），因此传入的是取来源的函数。
+   * @param {string} name - 小标签上显示的名称
+   * @param {() => Promise<{directoryHandle?: FileSystemDirectoryHandle, entries?: Array<Object>, name?: string}>} resolveSource
+   * @param {{includePatterns?: string[], ignorePatterns?: string[]}} [options]
+   * @returns {Promise<void>}
+   */
+  function addPack(name, resolveSource, options = {}) {
+    const entry = {
+      id: `repo-pack-${nextId++}`,
+      name: name || '本地文件夹',
+      status: 'loading',
+      progress: '',
+      text: '',
+      fileCount: 0,
+      totalTokens: 0,
+      skippedCount: 0,
+      promise: null
+    };
+    packs.push(entry);
+    renderChips();
+
+    let lastRender = 0;
+    entry.promise = resolveSource().then(source => packLocalRepository(source, {
+      includePatterns: options.includePatterns || [],
+      ignorePatterns: [...getConfiguredIgnorePatterns(), ...(options.ignorePatterns || [])],
+      onProgress: (done, total) => {
+        const now = Date.now();
+        if (now - lastRender < 200) return;
+        lastRender = now;
+        entry.progress = `${done}/${total}`;
+        renderChips();
+      }
+    })).then((result) => {
+      if (!packs.includes(entry)) return;
+      if (!result.files.length) {
+        packs = packs.filter(item => item !== entry);
+        showNotification({ message: `${entry.name} 中没有可打包的文本文件（检查 include/exclude 规则）`, type: 'warning' });
+        return;
+      }
+      Object.assign(entry, {
+        status: 'ready',
+        text: result.text,
+        fileCount: result.files.length,
+        totalTokens: result.totalTokens,
+        skippedCount: result.skipped.length
+      });
+      showNotification({
+        message: `已打包 ${entry.name}：${result.files.length} 个文件，${formatTokenEstimate(result.totalTokens)} tokens`,
+        type: 'success',
+        duration: 2400
+      });
+    }).catch((error) => {
+      console.error('本地打包失败:', error);
+      packs = packs.filter(item => item !== entry);
+      showNotification({ message: `打包失败：${error?.message || '未知错误'}`, type: 'error' });
+    }).finally(() => {
+      entry.promise = null;
+      renderChips();
+    });
+    return entry.promise;
+  }
+
+  function canUseDirectoryPicker() {
+    if (typeof window.showDirectoryPicker !== 'function') return false;
+    try {
+      return window.self === window.top;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /** 退回方案：用隐藏的 webkitdirectory 文件框让用户选择文件夹 */
+  function pickDirectoryFiles() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.webkitdirectory = true;
+      input.multiple = true;
+      input.style.display = 'none';
+      input.addEventListener('change', () => {
+        const files = input.files ? Array.from(input.files) : [];
+        input.remove();
+        resolve(files);
+      }, { once: true });
+      input.addEventListener('cancel', () => {
+        input.remove();
+        resolve([]);
+      }, { once: true });
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  /**
+   * 让用户选择一个本地文件夹并打包。
+   * @param {{includePatterns?: string[], ignorePatterns?: string[]}} [options]
+   * @returns {Promise<boolean>} 用户取消时为 false
+   */
+  async function pickDirectory(options = {}) {
+    if (canUseDirectoryPicker()) {
+      try {
+        const directoryHandle = await window.showDirectoryPicker({ mode: 'read' });
+        addPack(directoryHandle.name, async () => ({ directoryHandle }), options);
+        return true;
+      } catch (error) {
+        if (error?.name === 'AbortError') return false;
+        console.warn('showDirectoryPicker 不可用，改用文件夹选择框:', error);
+      }
+    }
+    const files = await pickDirectoryFiles();
+    if (!files.length) return false;
+    const { name, entries } = fileListToEntries(files);
+    addPack(name, async () => ({ name, entries }), options);
+    return true;
+  }
+
+  function isZipFile(file) {
+    return !!file && (/\.zip$/i.test(file.name || '') || /^application\/(x-)?zip(-compressed)?$/i.test(file.type || ''));
+  }
+
+  /**
+   * 拖放入口：zip 文件或文件夹交给打包器处理，其余（图片等）返回 false 交回原有拖放逻辑。
+   * 注意 DataTransferItem 只在事件同步阶段有效，句柄需在这里立即取出。
+   * @param {DragEvent} event
+   * @returns {boolean} 是否已处理
+   */
+  function handleDrop(event) {
+    const transfer = event?.dataTransfer;
+    if (!transfer) return false;
+
+    const zipFile = Array.from(transfer.files || []).find(isZipFile);
+    if (zipFile) {
+      event.preventDefault();
+      event.stopPropagation();
+      const fallbackName = zipFile.name.replace(/\.zip$/i, '');
+      addPack(fallbackName, async () => {
+        const { name, entries } = zipToEntries(await zipFile.arrayBuffer());
+        return { name: name || fallbackName, entries };
+      });
+      return true;
+    }
+
+    const folderItem = Array.from(transfer.items || []).find((item) => (
+      item.kind === 'file'
+      && typeof item.getAsFileSystemHandle === 'function'
+      && item.webkitGetAsEntry?.()?.isDirectory
+    ));
+    if (folderItem) {
+      event.preventDefault();
+      event.stopPropagation();
+      const folderName = folderItem.webkitGetAsEntry()?.name || '';
+      const handlePromise = folderItem.getAsFileSystemHandle();
+      addPack(folderName, async () => ({ directoryHandle: await handlePromise }));
+      return true;
+    }
+    return false;
+  }
+
+  function removePack(id) {
+    const before = packs.length;
+    packs = packs.filter(item => item.id !== id);
+    if (packs.length !== before) renderChips();
+  }
+
+  /**
+   * 拼好的打包文本；仍在打包的条目会先等待完成。
+   * @returns {Promise<string>}
+   */
+  async function buildContextText() {
+    const pending = packs.map(entry => entry.promise).filter(Boolean);
+    if (pending.length) await Promise.allSettled(pending);
+    return packs
+      .filter(entry => entry.status === 'ready' && entry.text)
+      .map(entry => entry.text)
+      .join('\n\n');
+  }
+
+  function hasAttachments() {
+    return packs.length > 0;
+  }
+
+  function clear() {
+    if (!packs.length) return;
+    packs = [];
+    renderChips();
+  }
+
+  function init() {
+    const button = document.getElementById('empty-state-local-repo');
+    if (!button) return;
+    button.addEventListener('click', () => {
+      pickDirectory().catch((error) => {
+        console.error('选择本地文件夹失败:', error);
+      });
+    });
+  }
+
+  return {
+    init,
+    pickDirectory,
+    handleDrop,
+    removePack,
+    buildContextText,
+    hasAttachments,
+    clear
+  };
+}
@@ -0,0 +1,306 @@
+/**
+ * 消息对比（差异视图）
+ *
+ * 从消息右键菜单的“对比差异”进入：可直接选同一父消息下的兄弟消息（重新生成/竞技场留下的其它回答），
+ * 也可进入“选取模式”再点击对话或线程中的任意一条消息作为另一侧。
+ * 浮层左右两栏分别渲染两条消息的 Markdown，并在渲染结果上做词级比较：
+ * 左侧标出被删除的词，右侧标出新增的词；栏头显示与消息 footer 相同的 API/模型信息。
+ *
+ * 分词与比较算法在 utils/word_diff.js，这里只负责取节点、渲染与高亮。
+ */
+import { splitStoredMessageContent } from '../utils/message_content.js';
+import { summarizeTreeNodeText } from '../utils/conversation_tree.js';
+import {
+  diffTokenLists,
+  groupDiffRuns,
+  isDiffWhitespace,
+  tokenizeDiffText
+} from '../utils/word_diff.js';
+
+/** 这些渲染结果的文本不适合逐词比较（公式、图表、样式），跳过高亮 */
+const DIFF_SKIP_SELECTOR = '.katex, .mermaid-diagram, svg, style, script';
+
+function isAssistantNode(node) {
+  const role = String(node?.role || '').toLowerCase();
+  return role === 'assistant' || role === 'ai';
+}
+
+/**
+ * 收集渲染结果中参与比较的文本节点及其 token。
+ * @param {HTMLElement} root
+ * @returns {{entries: Array<{node: Text, tokens: string[], wordCount: number}>, words: string[]}}
+ */
+function collectDiffTextNodes(root) {
+  const entries = [];
+  const words = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(textNode) {
+      if (!textNode.nodeValue || !/\S/.test(textNode.nodeValue)) return NodeFilter.FILTER_REJECT;
+      return textNode.parentElement?.closest(DIFF_SKIP_SELECTOR)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  while (walker.nextNode()) {
+    const tokens = tokenizeDiffText(walker.currentNode.nodeValue);
+    const nodeWords = tokens.filter(token => !isDiffWhitespace(token));
+    words.push(...nodeWords);
+    entries.push({ node: walker.currentNode, tokens, wordCount: nodeWords.length });
+  }
+  return { entries, words };
+}
+
+/** 把差异词包进 <mark>，未变化的部分保持为普通文本 */
+function applyDiffMarks(entries, changedFlags, markClassName) {
+  let offset = 0;
+  entries.forEach(({ node, tokens, wordCount }) => {
+    const flags = changedFlags.slice(offset, offset + wordCount);
+    offset += wordCount;
+    if (!flags.some(Boolean)) return;
+    const fragment = document.createDocumentFragment();
+    groupDiffRuns(tokens, flags).forEach((run) => {
+      if (!run.changed) {
+        fragment.appendChild(document.createTextNode(run.text));
+        return;
+      }
+      const mark = document.createElement('mark');
+      mark.className = `message-diff-panel__mark ${markClassName}`;
+      mark.textContent = run.text;
+      fragment.appendChild(mark);
+    });
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   init: () => void,
+ *   open: (leftMessageId: string, rightMessageId: string) => boolean,
+ *   close: () => void,
+ *   isOpen: () => boolean,
+ *   startPick: (baseMessageId: string) => void,
+ *   cancelPick: () => void,
+ *   getSiblingCandidates: (messageId: string) => Array<{id: string, label: string}>
+ * }}
+ */
+export function createMessageDiffView(appContext) {
+  const { dom, services } = appContext;
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  let panel = null;
+  let summary = null;
+  let columns = null;
+  /** 当前左右两侧的消息 id，供“交换左右”重绘 */
+  let currentPair = null;
+  /** 选取模式下作为左侧的消息 id；为空表示不在选取模式 */
+  let pickBaseMessageId = null;
+
+  function getMessages() {
+    const messages = services.chatHistoryManager?.chatHistory?.messages;
+    return Array.isArray(messages) ? messages : [];
+  }
+
+  function getMessageNode(messageId) {
+    if (!messageId) return null;
+    return getMessages().find(msg => msg?.id === messageId) || null;
+  }
+
+  function isOpen() {
+    return !!panel?.classList.contains('visible');
+  }
+
+  function describeNode(node) {
+    const summaryText = summarizeTreeNodeText(node.content, 24);
+    if (!isAssistantNode(node)) return summaryText;
+    const apiLabel = (node.apiDisplayName || node.apiModelId || '').trim();
+    return apiLabel ? `${apiLabel} · ${summaryText}` : summaryText;
+  }
+
+  /**
+   * 同一父消息下、同角色的其它消息（重新生成或竞技场留下的兄弟回答），按历史顺序排列。
+   * @param {string} messageId
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function getSiblingCandidates(messageId) {
+    const node = getMessageNode(messageId);
+    if (!node?.parentId) return [];
+    const role = isAssistantNode(node) ? 'assistant' : 'user';
+    return getMessages()
+      .filter(msg => msg && msg.id !== node.id
+        && msg.parentId === node.parentId
+        && !msg.threadHiddenSelection
+        && (isAssistantNode(msg) ? 'assistant' : 'user') === role)
+      .map(msg => ({ id: msg.id, label: describeNode(msg) }));
+  }
+
+  function renderSideHeader(node, label) {
+    const header = document.createElement('div');
+    header.className = 'message-diff-panel__side-header';
+    const title = document.createElement('span');
+    title.className = 'message-diff-panel__side-title';
+    title.textContent = `${label} · ${isAssistantNode(node) ? 'AI' : '用户'}`;
+    header.appendChild(title);
+    if (isAssistantNode(node)) {
+      services.messageProcessor?.renderAssistantApiFooter?.(header, node);
+    }
+    if (node.timestamp) {
+      const time = document.createElement('span');
+      time.className = 'message-diff-panel__side-time';
+      time.textContent = new Date(node.timestamp).toLocaleString();
+      header.appendChild(time);
+    }
+    return header;
+  }
+
+  function renderSideContent(node) {
+    const content = document.createElement('div');
+    content.className = 'message message-diff-panel__message';
+    const { text, images } = splitStoredMessageContent(node.content);
+    const messageProcessor = services.messageProcessor;
+    content.innerHTML = messageProcessor.processMathAndMarkdown(text || '');
+    // 高亮会重写代码块文本，必须在打差异标记之前完成
+    messageProcessor.enhanceMarkdownContent?.(content, { updateLayout: false });
+    if (!text && images.length) {
+      content.textContent = `[图片 ×${images.length}]`;
+    }
+    return content;
+  }
+
+  function render() {
+    if (!columns || !currentPair) return false;
+    const leftNode = getMessageNode(currentPair.left);
+    const rightNode = getMessageNode(currentPair.right);
+    if (!leftNode || !rightNode) return false;
+
+    columns.innerHTML = '';
+    const sides = [
+      { node: leftNode, label: '左', markClassName: 'message-diff-panel__mark--removed' },
+      { node: rightNode, label: '右', markClassName: 'message-diff-panel__mark--added' }
+    ].map(({ node, label, markClassName }) => {
+      const side = document.createElement('div');
+      side.className = 'message-diff-panel__side';
+      const content = renderSideContent(node);
+      side.append(renderSideHeader(node, label), content);
+      columns.appendChild(side);
+      return { content, markClassName };
+    });
+
+    const [left, right] = sides.map(side => ({ ...side, ...collectDiffTextNodes(side.content) }));
+    const result = diffTokenLists(left.words, right.words);
+    applyDiffMarks(left.entries, result.left, left.markClassName);
+    applyDiffMarks(right.entries, result.right, right.markClassName);
+
+    if (summary) {
+      const parts = [`删除 ${result.removed} 词`, `新增 ${result.added} 词`];
+      if (!result.removed && !result.added) parts.splice(0, 2, '内容相同');
+      if (result.approximate) parts.push('内容较长，中间部分按整段标记');
+      summary.textContent = parts.join(' · ');
+    }
+    return true;
+  }
+
+  /**
+   * 打开差异视图：左侧视为旧版本，右侧视为新版本。
+   * @param {string} leftMessageId
+   * @param {string} rightMessageId
+   * @returns {boolean} 任一消息不存在时返回 false
+   */
+  function open(leftMessageId, rightMessageId) {
+    if (!panel) return false;
+    cancelPick();
+    currentPair = { left: leftMessageId, right: rightMessageId };
+    if (!render()) {
+      currentPair = null;
+      showNotification({ message: '找不到要对比的消息', type: 'warning' });
+      return false;
+    }
+    panel.classList.add('visible');
+    panel.setAttribute('aria-hidden', 'false');
+    return true;
+  }
+
+  function close() {
+    if (!panel) return;
+    panel.classList.remove('visible');
+    panel.setAttribute('aria-hidden', 'true');
+    currentPair = null;
+    if (columns) columns.innerHTML = '';
+  }
+
+  function swapSides() {
+    if (!currentPair) return;
+    currentPair = { left: currentPair.right, right: currentPair.left };
+    render();
+  }
+
+  /**
+   * 进入选取模式：下一次点击对话或线程中的消息即与 baseMessageId 对比，Esc 取消。
+   * @param {string} baseMessageId
+   */
+  function startPick(baseMessageId) {
+    if (!getMessageNode(baseMessageId)) return;
+    pickBaseMessageId = baseMessageId;
+    document.body.classList.add('message-diff-picking');
+    showNotification({ message: '点击另一条消息进行对比，按 Esc 取消', type: 'info', duration: 2400 });
+  }
+
+  function cancelPick() {
+    if (!pickBaseMessageId) return;
+    pickBaseMessageId = null;
+    document.body.classList.remove('message-diff-picking');
+  }
+
+  function handlePickClick(event) {
+    if (!pickBaseMessageId) return;
+    const target = event.target instanceof Element ? event.target : null;
+    const messageElement = target?.closest('.message[data-message-id]');
+    const inConversation = messageElement
+      && (dom.chatContainer?.contains(messageElement) || dom.threadContainer?.contains(messageElement));
+    if (!inConversation) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const messageId = messageElement.getAttribute('data-message-id');
+    if (messageId === pickBaseMessageId) {
+      showNotification({ message: '请选择另一条消息', type: 'warning' });
+      return;
+    }
+    open(pickBaseMessageId, messageId);
+  }
+
+  function init() {
+    panel = document.getElementById('message-diff-panel');
+    if (!panel) return;
+    summary = panel.querySelector('.message-diff-panel__summary');
+    columns = panel.querySelector('.message-diff-panel__columns');
+    panel.addEventListener('click', (event) => {
+      const action = event.target.closest('[data-diff-action]')?.dataset.diffAction;
+      if (action === 'close') close();
+      if (action === 'swap') swapSides();
+    });
+    document.addEventListener('click', handlePickClick, true);
+    document.addEventListener('keydown', (event) => {
+      if (event.key !== 'Escape') return;
+      if (pickBaseMessageId) {
+        cancelPick();
+      } else if (isOpen()) {
+        close();
+      }
+    });
+    // 切换会话后旧的消息 id 不再有效；同一会话重新加载时消息仍在，保持打开
+    document.addEventListener('CONVERSATION_API_CONTEXT_CHANGED', () => {
+      if (pickBaseMessageId && !getMessageNode(pickBaseMessageId)) cancelPick();
+      if (currentPair && !(getMessageNode(currentPair.left) && getMessageNode(currentPair.right))) close();
+    });
+  }
+
+  return {
+    init,
+    open,
+    close,
+    isOpen,
+    startPick,
+    cancelPick,
+    getSiblingCandidates
+  };
+}
@@ -1,6 +1,7 @@
 import { normalizeStoredMessageContent, splitStoredMessageContent } from '../utils/message_content.js';
 import { queueStorageSet } from '../utils/storage_write_queue_bridge.js';
 import { buildApiFooterRenderData } from '../utils/api_footer_template.js';
+import { mergeThreadIntoMainChain } from '../utils/conversation_tree.js';
 
 /**
  * 划词线程管理器
@@ -641,7 +642,11 @@ export function createSelectionThreadManager(appContext) {
     if (!threadPanel || !chatContainer || !anchorElement) return;
     threadPanel.classList.add('thread-panel-inline');
     threadPanel.setAttribute('aria-hidden', 'false');
-    const expectedNextSibling = anchorElement.nextSibling;
+    // 竞技场回答被包在并排的列里，线程面板放到整组之后
+    const placementAnchor = anchorElement.parentNode === chatContainer
+      ? anchorElement
+      : (anchorElement.closest('.arena-group') || anchorElement);
+    const expectedNextSibling = placementAnchor.nextSibling;
     // 线程面板已经在锚点后方时不再重复插入，避免设置切换时滚动条意外回跳。
     const alreadyInline = threadPanel.parentNode === chatContainer
       && (
@@ -2520,6 +2525,36 @@ export function createSelectionThreadManager(appContext) {
     await deleteThreadById(threadId);
   }
 
+  /**
+   * 把线程当前链路接到主对话末尾并移除线程（对话分支图的“合并”操作），随后保存并重新渲染主聊天。
+   * @param {string} threadId
+   * @returns {Promise<boolean>}
+   */
+  async function mergeThreadIntoMainConversation(threadId) {
+    if (!threadId) return false;
+    const conversationId = chatHistoryUI?.getCurrentConversationId?.() || '';
+    const streamingIds = messageSender?.getStreamingConversationIds?.() || [];
+    if (conversationId && Array.from(streamingIds).includes(conversationId)) {
+      showNotification?.({ message: '当前对话正在生成回复，请完成后再合并', type: 'warning' });
+      return false;
+    }
+    repairThreadAnnotation(threadId);
+    if (state.activeThreadId === threadId) {
+      exitThread({ skipDraftCleanup: true, preserveAnchorViewport: false });
+    }
+    const result = mergeThreadIntoMainChain(chatHistoryManager?.chatHistory, threadId);
+    if (!result) {
+      showNotification?.({ message: '未找到可合并的线程消息', type: 'warning' });
+      return false;
+    }
+    if (chatHistoryUI?.saveCurrentConversation) {
+      await chatHistoryUI.saveCurrentConversation(true);
+    }
+    await chatHistoryUI?.reloadCurrentConversation?.();
+    showNotification?.({ message: `已将 ${result.mergedMessageIds.length} 条线程消息合并到主对话`, type: 'info' });
+    return true;
+  }
+
   function cleanupDraftThreadIfNeeded(threadId) {
     const info = findThreadById(threadId);
     if (!info || !info.annotation) return false;
@@ -3226,6 +3261,8 @@ export function createSelectionThreadManager(appContext) {
     decorateMessageElement,
     forkThreadFromMessage,
     flattenThreadToMainConversation,
+    mergeThreadIntoMainConversation,
+    deleteThreadById,
     enterThread,
     exitThread,
     resetForClearChat,
@@ -10,6 +10,7 @@ import {
   DEFAULT_AI_FOOTER_TOOLTIP_TEMPLATE,
   AI_FOOTER_TEMPLATE_VARIABLES
 } from '../utils/api_footer_template.js';
+import { normalizeSpendBudget } from '../utils/cost_accounting.js';
 
 /**
  * 创建设置管理器
@@ -101,6 +102,14 @@ export function createSettingsManager(appContext) {
     chatWidth: 100, // Percentage of sidebar width
     autoScroll: true,
     shouldSendChatHistory: true,
+    // 上下文自动压缩：API 配置了上下文窗口时，估算超过阈值（窗口比例）即压缩较早的历史
+    // off：不压缩；drop_tools：只省略较早消息的工具输出；summarize：先省略工具输出，仍超出再摘要较早的消息
+    contextCompactionMode: 'summarize',
+    contextCompactionThreshold: 0.8,
+    // 花费预算（按 API 配置的价格表计算，0 表示不限制）；warn：超出后提醒一次，block：超出后阻止发送
+    dailySpendBudget: 0,
+    monthlySpendBudget: 0,
+    spendBudgetMode: 'warn',
     // 对话标题生成：默认关闭，避免未配置时触发额外请求
     autoGenerateConversationTitle: false,
     // 对话标题生成：是否覆盖总结类标题（保留[总结]前缀）
@@ -118,6 +127,14 @@ export function createSettingsManager(appContext) {
     // 同一会话内若已有流式回复，后续发送默认进入 FIFO 队列；
     // 关闭后恢复为“中断当前会话生成并立即发送下一条”。
     queueCurrentConversationMessages: true,
+    // 网页内容提取格式：text（整页纯文本，默认）/ markdown（正文识别 + 结构保留，需手动开启）
+    pageContentFormat: 'text',
+    // 整页截图输出方式：single（一张长图）/ tiles（按高度切成多张，适配有图片尺寸限制的模型）
+    fullPageScreenshotOutput: 'single',
+    // 选取页面元素作为附件时，是否同时附带该元素的截图
+    elementPickScreenshot: false,
+    // 本地打包文件夹时额外排除的路径（glob，每行或逗号分隔），在内置忽略列表与 .gitignore 之外生效
+    localRepoPackIgnorePatterns: '',
     sidebarPosition: 'right', // 'left' 或 'right'
     stopAtTop: true, // 滚动到顶部时停止
     scaleFactor: 1, // Added default scaleFactor
@@ -605,6 +622,65 @@ export function createSettingsManager(appContext) {
       defaultValue: DEFAULT_SETTINGS.shouldSendChatHistory,
       apply: (v) => applySendChatHistory(v)
     },
+    {
+      key: 'contextCompactionMode',
+      type: 'select',
+      id: 'context-compaction-mode',
+      label: '上下文自动压缩',
+      group: 'behavior',
+      options: [
+        { label: '摘要较早的消息', value: 'summarize' },
+        { label: '仅省略工具输出', value: 'drop_tools' },
+        { label: '关闭', value: 'off' }
+      ],
+      defaultValue: DEFAULT_SETTINGS.contextCompactionMode
+    },
+    {
+      key: 'contextCompactionThreshold',
+      type: 'range',
+      id: 'context-compaction-threshold',
+      label: '压缩触发阈值',
+      group: 'behavior',
+      min: 0.5,
+      max: 0.95,
+      step: 0.05,
+      defaultValue: DEFAULT_SETTINGS.contextCompactionThreshold,
+      formatValue: (value) => `${Math.round((Number(value) || 0) * 100)}%`
+    },
+    {
+      key: 'dailySpendBudget',
+      type: 'text',
+      id: 'daily-spend-budget',
+      label: '每日花费预算',
+      group: 'behavior',
+      placeholder: '例如 1.5，留空表示不限制',
+      defaultValue: DEFAULT_SETTINGS.dailySpendBudget,
+      readFromUI: (el) => normalizeSpendBudget(String(el?.value || '').trim()),
+      writeToUI: (el, value) => { if (el) el.value = value > 0 ? String(value) : ''; }
+    },
+    {
+      key: 'monthlySpendBudget',
+      type: 'text',
+      id: 'monthly-spend-budget',
+      label: '每月花费预算',
+      group: 'behavior',
+      placeholder: '例如 30，留空表示不限制',
+      defaultValue: DEFAULT_SETTINGS.monthlySpendBudget,
+      readFromUI: (el) => normalizeSpendBudget(String(el?.value || '').trim()),
+      writeToUI: (el, value) => { if (el) el.value = value > 0 ? String(value) : ''; }
+    },
+    {
+      key: 'spendBudgetMode',
+      type: 'select',
+      id: 'spend-budget-mode',
+      label: '超出预算时',
+      group: 'behavior',
+      options: [
+        { label: '提醒', value: 'warn' },
+        { label: '阻止发送', value: 'block' }
+      ],
+      defaultValue: DEFAULT_SETTINGS.spendBudgetMode
+    },
     {
       key: 'autoGenerateConversationTitle',
       type: 'toggle',
@@ -677,6 +753,50 @@ export function createSettingsManager(appContext) {
       defaultValue: DEFAULT_SETTINGS.queueCurrentConversationMessages,
       apply: (v) => applyQueueCurrentConversationMessages(v)
     },
+    {
+      key: 'pageContentFormat',
+      type: 'select',
+      id: 'page-content-format',
+      label: '网页内容提取格式',
+      group: 'behavior',
+      options: [
+        { label: '纯文本（整页）', value: 'text' },
+        { label: 'Markdown（识别正文）', value: 'markdown' }
+      ],
+      defaultValue: DEFAULT_SETTINGS.pageContentFormat
+    },
+    {
+      key: 'fullPageScreenshotOutput',
+      type: 'select',
+      id: 'full-page-screenshot-output',
+      label: '整页截图输出',
+      group: 'behavior',
+      options: [
+        { label: '单张长图', value: 'single' },
+        { label: '分块多张图', value: 'tiles' }
+      ],
+      defaultValue: DEFAULT_SETTINGS.fullPageScreenshotOutput
+    },
+    {
+      key: 'elementPickScreenshot',
+      type: 'toggle',
+      id: 'element-pick-screenshot',
+      label: '选取页面元素时附带截图',
+      group: 'behavior',
+      defaultValue: DEFAULT_SETTINGS.elementPickScreenshot
+    },
+    {
+      key: 'localRepoPackIgnorePatterns',
+      type: 'textarea',
+      id: 'local-repo-pack-ignore-patterns',
+      label: '本地打包额外排除',
+      placeholder: '每行一个 glob，例如 dist、**/*.snap、docs/generated/**',
+      rows: 3,
+      group: 'behavior',
+      defaultValue: DEFAULT_SETTINGS.localRepoPackIgnorePatterns,
+      readFromUI: (el) => (el?.value || '').trim(),
+      writeToUI: (el, value) => { if (el) el.value = value || ''; }
+    },
     {
       key: 'showModelNameInPlaceholder',
       type: 'toggle',
@@ -49,6 +49,7 @@ export function createSidebarAppContext(isStandalone) {
     imageContainer: document.getElementById('image-container'),
     promptSettingsToggle: document.getElementById('prompt-settings-toggle'),
     preferencesSettingsToggle,
+    customToolsSettingsToggle: document.getElementById('custom-tools-settings-toggle'),
     promptSettingsPanel: document.getElementById('prompt-settings'),
     inputContainer: document.getElementById('input-container'),
     regenerateButton: document.getElementById('regenerate-message'),
@@ -634,13 +635,20 @@ export function registerSidebarUtilities(appContext) {
     return handle;
   };
 
-  appContext.utils.requestScreenshot = () => {
+  /**
+   * 请求页面截图。
+   * @param {{fullPage?: boolean}} [options] - fullPage 为 true 时滚动截取整页
+   */
+  appContext.utils.requestScreenshot = ({ fullPage = false } = {}) => {
     if (appContext.state.isStandalone) {
       // 警告：独立页面不支持截图
       appContext.utils.showNotification({ message: '独立聊天页面不支持网页截图', type: 'warning' });
       return;
     }
-    window.parent.postMessage({ type: 'CAPTURE_SCREENSHOT' }, '*');
+    if (fullPage) {
+      appContext.utils.showNotification({ message: '正在滚动截取整页，请勿操作页面…', type: 'info', duration: 2000 });
+    }
+    window.parent.postMessage({ type: 'CAPTURE_SCREENSHOT', fullPage: fullPage === true }, '*');
   };
 
   /**
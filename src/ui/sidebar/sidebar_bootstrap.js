@@ -6,11 +6,26 @@ import { createImageHandler } from '../../utils/image_handler.js';
 import { createChatHistoryUI } from '../chat_history_ui.js';
 import { createApiManager } from '../../api/api_settings.js';
 import { createMessageSender } from '../../core/message_sender.js';
+import { createCustomToolsManager } from '../../core/custom_tools_manager.js';
+import { createPromptLibraryManager } from '../../core/prompt_library_manager.js';
+import { createMcpManager } from '../../core/mcp_manager.js';
+import { createToolPolicyManager } from '../../core/tool_policy_manager.js';
+import { createSpendBudgetManager } from '../../core/spend_budget_manager.js';
+import { createHistoryEmbeddingManager } from '../../core/history_embedding_manager.js';
+import { createHistorySyncManager } from '../../core/history_sync_manager.js';
 import { createSettingsManager } from '../settings_manager.js';
 import { createContextMenuManager } from '../context_menu_manager.js';
 import { createUIManager } from '../ui_manager.js';
 import { createInputController } from '../input_controller.js';
 import { createSelectionThreadManager } from '../selection_thread_manager.js';
+import { createTabContextManager } from '../tab_context_manager.js';
+import { createElementAttachmentManager } from '../element_attachment_manager.js';
+import { createLocalRepoPackManager } from '../local_repo_pack_manager.js';
+import { createFileAttachmentManager } from '../file_attachment_manager.js';
+import { createConversationTreeView } from '../conversation_tree_view.js';
+import { createArenaManager } from '../arena_manager.js';
+import { createMessageDiffView } from '../message_diff_view.js';
+import { createContextCompactionManager } from '../context_compaction_manager.js';
 import { createConversationPresence } from '../../utils/conversation_presence.js';
 import { applyStandaloneAdjustments } from './sidebar_app_context.js';
 
@@ -46,6 +61,13 @@ export async function initializeSidebarServices(appContext) {
   appContext.services.imageHandler = createImageHandler(appContext);
   appContext.services.apiManager = createApiManager(appContext);
   appContext.services.conversationRuntimeStore = createConversationRuntimeStore();
+  appContext.services.customToolsManager = createCustomToolsManager(appContext);
+  appContext.services.promptLibraryManager = createPromptLibraryManager(appContext);
+  appContext.services.mcpManager = createMcpManager();
+  appContext.services.toolPolicyManager = createToolPolicyManager(appContext);
+  appContext.services.spendBudgetManager = createSpendBudgetManager(appContext);
+  appContext.services.historyEmbeddingManager = createHistoryEmbeddingManager(appContext);
+  appContext.services.historySyncManager = createHistorySyncManager(appContext);
 
   appContext.services.messageProcessor = createMessageProcessor(appContext);
 
@@ -55,6 +77,11 @@ export async function initializeSidebarServices(appContext) {
 
   appContext.services.chatHistoryUI = createChatHistoryUI(appContext);
   appContext.services.inputController = createInputController(appContext);
+  appContext.services.tabContextManager = createTabContextManager(appContext);
+  appContext.services.elementAttachmentManager = createElementAttachmentManager(appContext);
+  appContext.services.localRepoPackManager = createLocalRepoPackManager(appContext);
+  appContext.services.fileAttachmentManager = createFileAttachmentManager(appContext);
+  appContext.services.arenaManager = createArenaManager(appContext);
 
   appContext.services.messageSender = createMessageSender(appContext);
   appContext.services.messageSender.setCurrentConversationId(appContext.services.chatHistoryUI.getCurrentConversationId());
@@ -69,13 +96,30 @@ export async function initializeSidebarServices(appContext) {
   appContext.services.uiManager = createUIManager(appContext);
   appContext.services.contextMenuManager = createContextMenuManager(appContext);
   appContext.services.selectionThreadManager = createSelectionThreadManager(appContext);
+  appContext.services.conversationTreeView = createConversationTreeView(appContext);
+  appContext.services.messageDiffView = createMessageDiffView(appContext);
+  appContext.services.contextCompactionManager = createContextCompactionManager(appContext);
 
   // 初始化 UI/上下文菜单管理器，确保后续事件注册时可立即使用。
   appContext.services.contextMenuManager.init();
   appContext.services.uiManager.init();
   appContext.services.selectionThreadManager.init();
+  appContext.services.tabContextManager.init();
+  appContext.services.elementAttachmentManager.init();
+  appContext.services.localRepoPackManager.init();
+  appContext.services.fileAttachmentManager.init();
+  appContext.services.arenaManager.init();
+  appContext.services.conversationTreeView.init();
+  appContext.services.messageDiffView.init();
 
   await appContext.services.settingsManager.init();
+  await appContext.services.customToolsManager.init();
+  await appContext.services.promptLibraryManager.init();
+  await appContext.services.mcpManager.init();
+  await appContext.services.toolPolicyManager.init();
+  await appContext.services.spendBudgetManager.init();
+  await appContext.services.historyEmbeddingManager.init();
+  await appContext.services.historySyncManager.init();
   applyStandaloneAdjustments(appContext);
 
   appContext.services.apiManager.setupUIEventHandlers(appContext);
@@ -403,7 +403,9 @@ function setupEmptyStateHandlers(appContext) {
           try {
             chrome.runtime.sendMessage({
               type: 'GET_PAGE_CONTENT_FROM_SIDEBAR',
-              tabId: Number.isFinite(Number(targetTabId)) ? Number(targetTabId) : null
+              tabId: Number.isFinite(Number(targetTabId)) ? Number(targetTabId) : null,
+              extractionMode: appContext.services.promptSettingsManager
+                ?.getUrlRuleSettings?.(appContext.state.pageInfo?.url || '')?.extractionMode || ''
             }, (response) => {
               const runtimeError = chrome.runtime.lastError;
               if (runtimeError) {
@@ -849,7 +851,8 @@ function setupClickAwayHandler(appContext) {
           appContext.dom.emptyStateHistory,
           appContext.dom.apiSettingsToggle,
           appContext.dom.promptSettingsToggle,
-          appContext.dom.preferencesSettingsToggle
+          appContext.dom.preferencesSettingsToggle,
+          appContext.dom.customToolsSettingsToggle
         ]
       }
     ];
@@ -1039,8 +1042,9 @@ function setupDockModeToggle(appContext) {
 
 function setupScreenshotButton(appContext) {
   if (!appContext.dom.screenshotButton) return;
-  appContext.dom.screenshotButton.addEventListener('click', () => {
-    appContext.utils.requestScreenshot();
+  // Shift + 点击：滚动截取整页
+  appContext.dom.screenshotButton.addEventListener('click', (event) => {
+    appContext.utils.requestScreenshot({ fullPage: event.shiftKey });
   });
 }
 
@@ -1094,6 +1098,25 @@ function setupWindowMessageHandlers(appContext) {
           appContext.services.messageSender.sendMessage();
         }
         break;
+      case 'ELEMENT_PICKED':
+        appContext.services.elementAttachmentManager?.handlePicked(data.attachment);
+        break;
+      case 'ELEMENT_PICK_FAILED':
+        appContext.services.elementAttachmentManager?.handlePickFailed(data.error);
+        break;
+      case 'ELEMENT_PICKING_STOPPED':
+        appContext.services.elementAttachmentManager?.handlePickingStopped();
+        break;
+      case 'FULL_PAGE_SCREENSHOT_RESULT':
+        if (!data.success) {
+          appContext.utils.showNotification({ message: `整页截图失败：${data.error || '未知错误'}`, type: 'error' });
+        } else if (data.truncated || data.autoTiled) {
+          const notes = [];
+          if (data.truncated) notes.push(`页面过长，只截取了前 ${data.frameCount} 屏`);
+          if (data.autoTiled) notes.push(`长图超出尺寸上限，已切分为 ${data.imageCount} 张`);
+          appContext.utils.showNotification({ message: notes.join('；'), type: 'warning' });
+        }
+        break;
       case 'FOCUS_INPUT':
         appContext.services.inputController.focusToEnd();
         break;
@@ -0,0 +1,321 @@
+/**
+ * 多标签页上下文管理器
+ *
+ * 输入区的“附加标签页”按钮会列出当前打开的网页标签页（由 background 通过 chrome.tabs 提供），
+ * 勾选后立即抓取该标签页内容并以小标签显示在输入框上方（含 token 估算）；
+ * 发送时由 messageSender 调用 buildContextText() 把它们拼成带标签的上下文块放在消息前面。
+ *
+ * 附加过的标签页会记入 grantedTabIds：page_content_read 工具只允许按 tab_id 读取这些标签页，
+ * 避免模型自行读取用户没有主动分享的页面。
+ */
+import {
+  buildTabContextText,
+  estimateTabContextTokens,
+  formatTokenEstimate
+} from '../utils/tab_context.js';
+
+/**
+ * @param {Object} appContext
+ * @returns {{
+ *   init: () => void,
+ *   togglePicker: () => Promise<void>,
+ *   closePicker: () => void,
+ *   attachTab: (tab: Object) => Promise<void>,
+ *   detachTab: (tabId: number) => void,
+ *   buildContextText: () => Promise<string>,
+ *   hasAttachments: () => boolean,
+ *   clear: () => void,
+ *   isTabGranted: (tabId: any) => boolean
+ * }}
+ */
+export function createTabContextManager(appContext) {
+  const { dom } = appContext;
+  const showNotification = (...args) => appContext.utils.showNotification?.(...args);
+
+  /** @type {Map<number, {tabId:number, title:string, url:string, content:string, tokens:number, status:'loading'|'ready', promise:Promise<void>|null}>} */
+  const attachedTabs = new Map();
+  const grantedTabIds = new Set();
+  let pickerElement = null;
+  let pickerOpen = false;
+
+  function getButton() {
+    return document.getElementById('tab-context-button');
+  }
+
+  function getChipContainer() {
+    return document.getElementById('tab-context-container');
+  }
+
+  function hostnameOf(url) {
+    try {
+      return new URL(url).hostname || url;
+    } catch (_) {
+      return url || '';
+    }
+  }
+
+  async function requestTabList() {
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_CONTEXT_TABS_FROM_SIDEBAR' });
+    if (!response?.success) {
+      throw new Error(response?.error || '无法获取标签页列表');
+    }
+    return Array.isArray(response.tabs) ? response.tabs : [];
+  }
+
+  async function requestTabContent(tabId) {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PAGE_CONTENT_FROM_SIDEBAR', tabId });
+    const content = typeof response?.content === 'string' ? response.content.trim() : '';
+    if (!content) throw new Error('未能提取到页面内容');
+    return {
+      title: typeof response.title === 'string' ? response.title : '',
+      url: typeof response.url === 'string' ? response.url : '',
+      content
+    };
+  }
+
+  function renderChips() {
+    const container = getChipContainer();
+    if (!container) return;
+    container.innerHTML = '';
+    attachedTabs.forEach((entry) => {
+      const chip = document.createElement('div');
+      chip.className = 'context-chip';
+      chip.classList.toggle('context-chip--loading', entry.status === 'loading');
+      chip.title = `${entry.title}\n${entry.url}`;
+
+      const icon = document.createElement('i');
+      icon.className = entry.status === 'loading' ? 'far fa-spinner fa-spin' : 'far fa-window-maximize';
+      const title = document.createElement('span');
+      title.className = 'context-chip__title';
+      title.textContent = entry.title || hostnameOf(entry.url);
+      const tokens = document.createElement('span');
+      tokens.className = 'context-chip__tokens';
+      tokens.textContent = entry.status === 'loading' ? '读取中…' : `${formatTokenEstimate(entry.tokens)} tokens`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'context-chip__remove';
+      remove.title = '移除';
+      remove.innerHTML = '<i class="far fa-times"></i>';
+      remove.addEventListener('click', (event) => {
+        event.stopPropagation();
+        detachTab(entry.tabId);
+      });
+
+      chip.append(icon, title, tokens, remove);
+      container.appendChild(chip);
+    });
+    const total = Array.from(attachedTabs.values()).reduce((sum, entry) => sum + (entry.tokens || 0), 0);
+    const button = getButton();
+    if (button) {
+      button.classList.toggle('has-attachments', attachedTabs.size > 0);
+      button.title = attachedTabs.size
+        ? `已附加 ${attachedTabs.size} 个标签页（${formatTokenEstimate(total)} tokens）`
+        : '附加其它标签页内容';
+    }
+  }
+
+  /**
+   * 附加一个标签页：先占位显示，再抓取内容；抓取失败时移除并提示。
+   * @param {{tabId:number, title?:string, url?:string}} tab
+   * @returns {Promise<void>}
+   */
+  function attachTab(tab) {
+    const tabId = Number(tab?.tabId);
+    if (!Number.isFinite(tabId)) return Promise.resolve();
+    if (attachedTabs.has(tabId)) return attachedTabs.get(tabId).promise || Promise.resolve();
+
+    const entry = {
+      tabId,
+      title: tab.title || '',
+      url: tab.url || '',
+      content: '',
+      tokens: 0,
+      status: 'loading',
+      promise: null
+    };
+    entry.promise = requestTabContent(tabId)
+      .then((result) => {
+        if (attachedTabs.get(tabId) !== entry) return;
+        entry.title = result.title || entry.title;
+        entry.url = result.url || entry.url;
+        entry.content = result.content;
+        entry.tokens = estimateTabContextTokens(result.content);
+        entry.status = 'ready';
+        grantedTabIds.add(tabId);
+      })
+      .catch((error) => {
+        if (attachedTabs.get(tabId) !== entry) return;
+        attachedTabs.delete(tabId);
+        showNotification({ message: `附加标签页失败：${entry.title || hostnameOf(entry.url)}（${error?.message || error}）`, type: 'warning' });
+      })
+      .finally(() => {
+        entry.promise = null;
+        renderChips();
+        if (pickerOpen) renderPickerSelection();
+      });
+    attachedTabs.set(tabId, entry);
+    renderChips();
+    return entry.promise;
+  }
+
+  function detachTab(tabId) {
+    if (!attachedTabs.delete(Number(tabId))) return;
+    renderChips();
+    if (pickerOpen) renderPickerSelection();
+  }
+
+  function renderPickerSelection() {
+    if (!pickerElement) return;
+    pickerElement.querySelectorAll('.tab-context-picker__item').forEach((item) => {
+      const entry = attachedTabs.get(Number(item.dataset.tabId));
+      item.classList.toggle('is-selected', !!entry);
+      const meta = item.querySelector('.tab-context-picker__tokens');
+      if (meta) {
+        meta.textContent = !entry ? '' : (entry.status === 'loading' ? '读取中…' : `${formatTokenEstimate(entry.tokens)} tokens`);
+      }
+    });
+  }
+
+  function ensurePickerElement() {
+    if (pickerElement) return pickerElement;
+    pickerElement = document.createElement('div');
+    pickerElement.className = 'tab-context-picker';
+    pickerElement.hidden = true;
+    (dom.inputContainer || document.body).appendChild(pickerElement);
+    return pickerElement;
+  }
+
+  function renderPickerList(tabs) {
+    const picker = ensurePickerElement();
+    picker.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'tab-context-picker__header';
+    header.textContent = '选择要附加到消息的标签页';
+    picker.appendChild(header);
+
+    if (!tabs.length) {
+      const empty = document.createElement('div');
+      empty.className = 'tab-context-picker__empty';
+      empty.textContent = '没有可附加的网页标签页';
+      picker.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'tab-context-picker__list';
+    tabs.forEach((tab) => {
+      const item = document.createElement('div');
+      item.className = 'tab-context-picker__item';
+      item.dataset.tabId = String(tab.tabId);
+      item.title = tab.url;
+
+      const check = document.createElement('i');
+      check.className = 'far fa-check tab-context-picker__check';
+      const text = document.createElement('div');
+      text.className = 'tab-context-picker__text';
+      const title = document.createElement('div');
+      title.className = 'tab-context-picker__title';
+      title.textContent = tab.title || tab.url;
+      const host = document.createElement('div');
+      host.className = 'tab-context-picker__host';
+      host.textContent = tab.isSidebarHost ? `${hostnameOf(tab.url)} · 当前页` : hostnameOf(tab.url);
+      text.append(title, host);
+      const tokens = document.createElement('span');
+      tokens.className = 'tab-context-picker__tokens';
+
+      item.append(check, text, tokens);
+      item.addEventListener('click', () => {
+        if (attachedTabs.has(tab.tabId)) {
+          detachTab(tab.tabId);
+        } else {
+          attachTab(tab);
+          renderPickerSelection();
+        }
+      });
+      list.appendChild(item);
+    });
+    picker.appendChild(list);
+    renderPickerSelection();
+  }
+
+  async function openPicker() {
+    const picker = ensurePickerElement();
+    pickerOpen = true;
+    picker.hidden = false;
+    picker.innerHTML = '<div class="tab-context-picker__empty">正在读取标签页…</div>';
+    try {
+      renderPickerList(await requestTabList());
+    } catch (error) {
+      picker.innerHTML = '';
+      const failed = document.createElement('div');
+      failed.className = 'tab-context-picker__empty';
+      failed.textContent = `读取标签页失败：${error?.message || error}`;
+      picker.appendChild(failed);
+    }
+  }
+
+  function closePicker() {
+    pickerOpen = false;
+    if (pickerElement) pickerElement.hidden = true;
+  }
+
+  async function togglePicker() {
+    if (pickerOpen) {
+      closePicker();
+      return;
+    }
+    await openPicker();
+  }
+
+  /**
+   * 等待仍在抓取的标签页完成，返回拼好的上下文块（没有附加时为空串）。
+   * @returns {Promise<string>}
+   */
+  async function buildContextText() {
+    const pending = Array.from(attachedTabs.values()).map(entry => entry.promise).filter(Boolean);
+    if (pending.length) await Promise.allSettled(pending);
+    return buildTabContextText(Array.from(attachedTabs.values()).filter(entry => entry.status === 'ready'));
+  }
+
+  function hasAttachments() {
+    return attachedTabs.size > 0;
+  }
+
+  /** 发送后清空附加的标签页（已授权的 tab id 保留，供后续工具回读） */
+  function clear() {
+    if (!attachedTabs.size) return;
+    attachedTabs.clear();
+    renderChips();
+    if (pickerOpen) renderPickerSelection();
+  }
+
+  function isTabGranted(tabId) {
+    return grantedTabIds.has(Number(tabId));
+  }
+
+  function init() {
+    const button = getButton();
+    if (!button || !chrome?.runtime?.sendMessage) return;
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      togglePicker();
+    });
+    document.addEventListener('click', (event) => {
+      if (!pickerOpen) return;
+      if (pickerElement?.contains(event.target) || button.contains(event.target)) return;
+      closePicker();
+    });
+  }
+
+  return {
+    init,
+    togglePicker,
+    closePicker,
+    attachTab,
+    detachTab,
+    buildContextText,
+    hasAttachments,
+    clear,
+    isTabGranted
+  };
+}
@@ -18,6 +18,7 @@
  * @param {Object} appContext.services.imageHandler - 图片处理器对象
  * @param {Function} appContext.services.messageSender.setShouldAutoScroll - 设置是否自动滚动的函数
  * @param {Function} appContext.services.apiManager.renderFavoriteApis - 渲染收藏API列表的函数
+ * @param {Object} [appContext.services.customToolsManager] - 自定义工具管理器（渲染“本对话工具”列表）
  * @returns {Object} UI管理器实例
  */
 export function createUIManager(appContext) {
@@ -201,7 +202,8 @@ export function createUIManager(appContext) {
   function updateSendButtonState() {
     const hasText = messageInput.textContent.trim();
     const hasImage = dom.imageContainer?.querySelector('.image-tag');
-    const hasInput = !!hasText || !!hasImage;
+    const hasFile = services.fileAttachmentManager?.hasAttachments?.();
+    const hasInput = !!hasText || !!hasImage || !!hasFile;
     sendButton.disabled = !hasInput;
     if (inputContainer) {
       inputContainer.classList.toggle('has-input', hasInput);
@@ -239,6 +241,7 @@ export function createUIManager(appContext) {
     if (appContext.dom.settingsMenu.classList.contains('visible')) {
       positionSettingsMenu();
       apiManager.renderFavoriteApis();
+      services.customToolsManager?.renderConversationToolToggles?.();
       requestAnimationFrame(() => positionSettingsMenu());
     }
   }
@@ -309,9 +312,14 @@ export function createUIManager(appContext) {
       adjustTextareaHeight(this);
     });
 
-    // 修改拖放处理
-    messageInput.addEventListener('drop', (e) => imageHandler.handleImageDrop(e, messageInput));
-    chatContainer.addEventListener('drop', (e) => imageHandler.handleImageDrop(e, chatContainer));
+    // 修改拖放处理：zip 与文件夹交给本地打包，文档交给文件附件，其余按图片处理
+    const handleDrop = (e, target) => {
+      if (services.localRepoPackManager?.handleDrop?.(e)) return;
+      if (services.fileAttachmentManager?.handleDrop?.(e)) return;
+      imageHandler.handleImageDrop(e, target);
+    };
+    messageInput.addEventListener('drop', (e) => handleDrop(e, messageInput));
+    chatContainer.addEventListener('drop', (e) => handleDrop(e, chatContainer));
   }
 
   /**
@@ -334,6 +342,7 @@ export function createUIManager(appContext) {
             dom.settingsMenu.classList.add('visible');
             positionSettingsMenu();
             apiManager.renderFavoriteApis();
+            services.customToolsManager?.renderConversationToolToggles?.();
             requestAnimationFrame(() => positionSettingsMenu());
         };
 
@@ -391,6 +400,30 @@ export function createUIManager(appContext) {
           });
         }
 
+        if (appContext.dom.customToolsSettingsToggle) {
+          appContext.dom.customToolsSettingsToggle.addEventListener('click', async (e) => {
+            e.stopPropagation();
+
+            const chatHistoryUI = services.chatHistoryUI;
+            const targetTab = 'custom-tools';
+
+            const isPanelOpen = !!chatHistoryUI?.isChatHistoryPanelOpen?.();
+            const activeTab = chatHistoryUI?.getActiveTabName?.();
+
+            if (isPanelOpen && activeTab === targetTab) {
+              closeExclusivePanels();
+              return;
+            }
+
+            if (!isPanelOpen) {
+              closeExclusivePanels();
+              await chatHistoryUI?.showChatHistoryPanel?.(targetTab);
+            } else {
+              await chatHistoryUI?.activateTab?.(targetTab);
+            }
+          });
+        }
+
         const scheduleCloseSettingsMenu = () => {
             clearTimeout(settingsMenuTimeout);
             settingsMenuTimeout = setTimeout(() => {
@@ -0,0 +1,506 @@
+/**
+ * Anthropic Messages API 的纯函数适配层。
+ *
+ * 设计边界：
+ * - 请求侧：把 Cerebr 内部统一使用的 OpenAI 风格 messages（含 image_url 片段）转换为 `/v1/messages` 结构；
+ * - 响应侧：把流式 SSE 事件 / 非流式 content blocks 归并为“正文 + 思考 + 工具活动时间线”三部分；
+ * - 工具活动时间线沿用 Responses 路线的 entry 结构（kind: 'tool_call'），因此侧栏可以直接复用同一套渲染；
+ * - 这里不做网络请求，也不触碰 DOM，方便在 node:test 中直接验证。
+ */
+
+export const ANTHROPIC_API_VERSION = '2023-06-01';
+export const ANTHROPIC_DEFAULT_MAX_TOKENS = 8192;
+export const ANTHROPIC_DEFAULT_BASE_URL = 'https://api.anthropic.com/v1/messages';
+
+const ANTHROPIC_SUPPORTED_IMAGE_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+function normalizeText(value) {
+  return (typeof value === 'string') ? value : '';
+}
+
+function stringifyToolInput(input) {
+  if (input == null) return '';
+  if (typeof input === 'string') return input;
+  try {
+    return JSON.stringify(input);
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * 判断一个端点 URL 是否为 Anthropic Messages 接口。
+ *
+ * 规则：
+ * - 官方域名 api.anthropic.com 一律视为 Anthropic；
+ * - 其余地址仅在路径以 `/v1/messages` 结尾时识别（避免把任意 `/messages` 误判）。
+ *
+ * @param {string} baseUrl
+ * @returns {boolean}
+ */
+export function isAnthropicMessagesEndpoint(baseUrl) {
+  const raw = (typeof baseUrl === 'string') ? baseUrl.trim().toLowerCase() : '';
+  if (!raw) return false;
+  if (raw.includes('api.anthropic.com')) return true;
+  let path = '';
+  try {
+    path = new URL(raw).pathname || '';
+  } catch (_) {
+    path = raw.split('?')[0].split('#')[0];
+  }
+  return /(^|\/)v1\/messages\/?$/.test(path);
+}
+
+/**
+ * 把图片 URL（dataURL / http(s)）转换为 Anthropic image block 的 source。
+ *
+ * @param {string} url
+ * @returns {{type:'base64', media_type:string, data:string}|{type:'url', url:string}|null}
+ */
+export function buildAnthropicImageSource(url) {
+  const value = (typeof url === 'string') ? url.trim() : '';
+  if (!value) return null;
+  if (value.startsWith('data:')) {
+    const match = value.match(/^data:([^;,]+);base64,(.*)$/i);
+    if (!match) return null;
+    const mediaType = match[1].toLowerCase();
+    if (!ANTHROPIC_SUPPORTED_IMAGE_MIME_TYPES.has(mediaType)) return null;
+    return { type: 'base64', media_type: mediaType, data: match[2] };
+  }
+  if (/^https?:\/\//i.test(value)) {
+    return { type: 'url', url: value };
+  }
+  return null;
+}
+
+function extractSystemText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part && part.type === 'text' && typeof part.text === 'string' && part.text.trim())
+    .map(part => part.text.trim())
+    .join('\n');
+}
+
+/**
+ * 规范化一个待回传的 thinking / redacted_thinking block；缺少签名或 data 的无法通过上游校验，返回 null。
+ * @param {any} block
+ * @returns {Object|null}
+ */
+function normalizeThinkingBlockForReplay(block) {
+  if (block?.type === 'thinking') {
+    const thinking = normalizeText(block.thinking);
+    const signature = normalizeText(block.signature);
+    return (thinking && signature) ? { type: 'thinking', thinking, signature } : null;
+  }
+  if (block?.type === 'redacted_thinking') {
+    const data = normalizeText(block.data);
+    return data ? { type: 'redacted_thinking', data } : null;
+  }
+  return null;
+}
+
+/**
+ * 取 assistant 历史中要原样回传的 thinking block。
+ * 优先使用逐块保存的 anthropic_thinking_blocks；旧历史只存了思考原文与签名，退回单个 block。
+ * @param {Object} msg
+ * @returns {Array<Object>}
+ */
+function buildReplayThinkingBlocks(msg) {
+  if (Array.isArray(msg.anthropic_thinking_blocks) && msg.anthropic_thinking_blocks.length > 0) {
+    return msg.anthropic_thinking_blocks.map(normalizeThinkingBlockForReplay).filter(Boolean);
+  }
+  const legacyBlock = normalizeThinkingBlockForReplay({
+    type: 'thinking',
+    thinking: msg.reasoning_content,
+    signature: msg.thoughtSignature || msg.thought_signature
+  });
+  return legacyBlock ? [legacyBlock] : [];
+}
+
+/**
+ * 将 OpenAI 风格消息数组转换为 Anthropic Messages 请求里的 `system` + `messages`。
+ *
+ * 规则：
+ * - 所有 system 消息按出现顺序合并为顶层 system 字符串；
+ * - 相邻同角色消息合并为一条（Anthropic 要求 user/assistant 交替）；
+ * - 图片统一经 resolveImageUrl 解析为 dataURL / http(s) 后再转换，失败时用占位文本代替；
+ * - assistant 历史若带有 Anthropic 思考签名且调用方允许回传，则在首位按原顺序补回保存的
+ *   thinking / redacted_thinking block（anthropic_thinking_blocks），各自带原签名或 data。
+ *
+ * @param {Array<Object>} messages
+ * @param {{
+ *   resolveImageUrl?: (rawUrl: string) => Promise<string|null>,
+ *   shouldReplayThinking?: (msg: Object) => boolean
+ * }} [options]
+ * @returns {Promise<{system: string|undefined, messages: Array<{role:'user'|'assistant', content: Array<Object>}>}>}
+ */
+export async function convertMessagesToAnthropicRequest(messages, options = {}) {
+  const source = Array.isArray(messages) ? messages : [];
+  const resolveImageUrl = (typeof options.resolveImageUrl === 'function')
+    ? options.resolveImageUrl
+    : async (rawUrl) => rawUrl;
+  const shouldReplayThinking = (typeof options.shouldReplayThinking === 'function')
+    ? options.shouldReplayThinking
+    : () => false;
+
+  const systemParts = [];
+  const result = [];
+
+  for (const msg of source) {
+    if (!msg || typeof msg !== 'object') continue;
+    const rawRole = (typeof msg.role === 'string') ? msg.role.trim() : '';
+    if (rawRole === 'system') {
+      const text = extractSystemText(msg.content);
+      if (text) systemParts.push(text);
+      continue;
+    }
+    const role = rawRole === 'assistant' ? 'assistant' : 'user';
+    const blocks = [];
+
+    if (role === 'assistant' && shouldReplayThinking(msg)) {
+      blocks.push(...buildReplayThinkingBlocks(msg));
+    }
+
+    if (Array.isArray(msg.content)) {
+      let hasDroppedImage = false;
+      for (const part of msg.content) {
+        if (!part || typeof part !== 'object') continue;
+        if (part.type === 'text') {
+          const text = normalizeText(part.text);
+          if (text) blocks.push({ type: 'text', text });
+          continue;
+        }
+        if (part.type === 'image_url' && part.image_url) {
+          const rawUrl = part.image_url.url || part.image_url.path || '';
+          const resolvedUrl = await resolveImageUrl(rawUrl);
+          const imageSource = buildAnthropicImageSource(resolvedUrl || '');
+          if (imageSource) {
+            blocks.push({ type: 'image', source: imageSource });
+          } else {
+            hasDroppedImage = true;
+          }
+        }
+      }
+      if (hasDroppedImage && !blocks.some(block => block.type === 'text' || block.type === 'image')) {
+        blocks.push({ type: 'text', text: '[图片无法读取]' });
+      }
+    } else if (typeof msg.content === 'string' && msg.content) {
+      blocks.push({ type: 'text', text: msg.content });
+    }
+
+    if (!blocks.some(block => block.type !== 'thinking')) continue;
+
+    const previous = result[result.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...blocks.filter(block => block.type !== 'thinking'));
+    } else {
+      result.push({ role, content: blocks });
+    }
+  }
+
+  return {
+    system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    messages: result
+  };
+}
+
+/**
+ * 把 Anthropic usage 映射为 normalizeApiUsageMeta 能识别的字段。
+ *
+ * Anthropic 的 input_tokens 不含缓存命中/写入部分，这里把三者相加作为总输入，
+ * 并单独保留 cache_read_input_tokens 作为 cached_input_tokens。
+ *
+ * @param {any} rawUsage
+ * @returns {{input_tokens?:number, output_tokens?:number, cached_input_tokens?:number}|null}
+ */
+export function normalizeAnthropicUsage(rawUsage) {
+  if (!rawUsage || typeof rawUsage !== 'object') return null;
+  const toCount = (value) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= 0 ? Math.trunc(numeric) : null;
+  };
+  const inputTokens = toCount(rawUsage.input_tokens);
+  const cacheReadTokens = toCount(rawUsage.cache_read_input_tokens);
+  const cacheCreationTokens = toCount(rawUsage.cache_creation_input_tokens);
+  const outputTokens = toCount(rawUsage.output_tokens);
+  const normalized = {};
+  if (inputTokens != null || cacheReadTokens != null || cacheCreationTokens != null) {
+    normalized.input_tokens = (inputTokens || 0) + (cacheReadTokens || 0) + (cacheCreationTokens || 0);
+  }
+  if (cacheReadTokens != null) normalized.cached_input_tokens = cacheReadTokens;
+  if (outputTokens != null) normalized.output_tokens = outputTokens;
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * 创建一次 Anthropic 流式响应的累积状态。
+ * @returns {{blocks: Array<Object>, usage: Object|null, stopReason: string, messageId: string, model: string}}
+ */
+export function createAnthropicStreamState() {
+  return {
+    blocks: [],
+    usage: null,
+    stopReason: '',
+    messageId: '',
+    model: ''
+  };
+}
+
+function createBlockRecord(block, status) {
+  const type = (typeof block?.type === 'string') ? block.type : '';
+  const record = { type, status };
+  if (type === 'text') {
+    record.text = normalizeText(block.text);
+  } else if (type === 'thinking') {
+    record.thinking = normalizeText(block.thinking);
+    record.signature = normalizeText(block.signature);
+  } else if (type === 'redacted_thinking') {
+    record.data = normalizeText(block.data);
+  } else if (type === 'tool_use' || type === 'server_tool_use' || type === 'mcp_tool_use') {
+    record.id = normalizeText(block.id);
+    record.name = normalizeText(block.name);
+    const hasInput = block.input && typeof block.input === 'object' && Object.keys(block.input).length > 0;
+    record.inputJson = hasInput ? stringifyToolInput(block.input) : '';
+  } else if (type.endsWith('_tool_result')) {
+    record.toolUseId = normalizeText(block.tool_use_id);
+    record.content = block.content ?? null;
+    record.isError = block.is_error === true;
+  }
+  return record;
+}
+
+function mergeUsage(state, rawUsage) {
+  const normalized = normalizeAnthropicUsage(rawUsage);
+  if (!normalized) return false;
+  state.usage = { ...(state.usage || {}), ...normalized };
+  return true;
+}
+
+/**
+ * 将单个 SSE 事件合并进流式状态，并返回本事件带来的可见增量。
+ *
+ * @param {ReturnType<typeof createAnthropicStreamState>} state
+ * @param {any} event - 解析后的 SSE data JSON
+ * @returns {{answerDelta:string, thinkingDelta:string, timelineChanged:boolean, usageChanged:boolean, error:Object|null}}
+ */
+export function applyAnthropicStreamEvent(state, event) {
+  const result = {
+    answerDelta: '',
+    thinkingDelta: '',
+    timelineChanged: false,
+    usageChanged: false,
+    error: null
+  };
+  if (!state || !event || typeof event !== 'object') return result;
+  const type = (typeof event.type === 'string') ? event.type : '';
+
+  if (type === 'error') {
+    result.error = event.error || event;
+    return result;
+  }
+
+  if (type === 'message_start') {
+    const message = event.message || {};
+    state.messageId = normalizeText(message.id);
+    state.model = normalizeText(message.model);
+    result.usageChanged = mergeUsage(state, message.usage);
+    return result;
+  }
+
+  if (type === 'message_delta') {
+    if (typeof event.delta?.stop_reason === 'string') {
+      state.stopReason = event.delta.stop_reason;
+    }
+    result.usageChanged = mergeUsage(state, event.usage);
+    return result;
+  }
+
+  const index = Number.isInteger(event.index) ? event.index : state.blocks.length;
+
+  if (type === 'content_block_start') {
+    const record = createBlockRecord(event.content_block, 'streaming');
+    state.blocks[index] = record;
+    if (record.type === 'text' && record.text) result.answerDelta = record.text;
+    if (record.type === 'thinking' && record.thinking) result.thinkingDelta = record.thinking;
+    result.timelineChanged = isTimelineBlockType(record.type);
+    return result;
+  }
+
+  if (type === 'content_block_delta') {
+    const record = state.blocks[index] || (state.blocks[index] = { type: '', status: 'streaming' });
+    const delta = event.delta || {};
+    if (delta.type === 'text_delta') {
+      const text = normalizeText(delta.text);
+      record.text = normalizeText(record.text) + text;
+      result.answerDelta = text;
+    } else if (delta.type === 'thinking_delta') {
+      const thinking = normalizeText(delta.thinking);
+      record.thinking = normalizeText(record.thinking) + thinking;
+      result.thinkingDelta = thinking;
+    } else if (delta.type === 'signature_delta') {
+      record.signature = normalizeText(record.signature) + normalizeText(delta.signature);
+    } else if (delta.type === 'input_json_delta') {
+      record.inputJson = normalizeText(record.inputJson) + normalizeText(delta.partial_json);
+      result.timelineChanged = true;
+    }
+    return result;
+  }
+
+  if (type === 'content_block_stop') {
+    const record = state.blocks[index];
+    if (record) {
+      record.status = 'completed';
+      result.timelineChanged = isTimelineBlockType(record.type);
+    }
+    return result;
+  }
+
+  return result;
+}
+
+function isTimelineBlockType(type) {
+  return type === 'tool_use'
+    || type === 'server_tool_use'
+    || type === 'mcp_tool_use'
+    || (typeof type === 'string' && type.endsWith('_tool_result'));
+}
+
+function stringifyToolResultContent(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    const texts = content
+      .filter(item => item && item.type === 'text' && typeof item.text === 'string')
+      .map(item => item.text);
+    if (texts.length > 0) return texts.join('\n');
+  }
+  return stringifyToolInput(content);
+}
+
+function parseToolInputObject(inputJson) {
+  const text = normalizeText(inputJson).trim();
+  if (!text) return null;
+  try {
+    const parsed = JSON.parse(text);
+    return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 把累积的 content blocks 转换为 response_activity_timeline 条目。
+ *
+ * 映射规则：
+ * - tool_use / mcp_tool_use / 非搜索类 server_tool_use -> function_call 条目（arguments 为 JSON 字符串）；
+ * - server_tool_use(web_search) -> web_search_call 条目，query 取自 input.query；
+ * - *_tool_result -> 回填到对应 tool_use_id 的条目上（搜索结果写入 sources，其余写入 output）。
+ *
+ * @param {Array<Object>} blocks
+ * @returns {Array<Object>}
+ */
+export function buildAnthropicActivityTimeline(blocks) {
+  const timeline = [];
+  const entryById = new Map();
+  (Array.isArray(blocks) ? blocks : []).forEach((record) => {
+    if (!record || typeof record !== 'object') return;
+    const type = record.type;
+    if (type === 'tool_use' || type === 'server_tool_use' || type === 'mcp_tool_use') {
+      const input = parseToolInputObject(record.inputJson);
+      let entry = null;
+      if (type === 'server_tool_use' && record.name === 'web_search') {
+        entry = {
+          kind: 'tool_call',
+          type: 'web_search_call',
+          id: record.id,
+          status: record.status,
+          action_type: 'search',
+          query: (typeof input?.query === 'string') ? input.query : ''
+        };
+      } else {
+        entry = {
+          kind: 'tool_call',
+          type: 'function_call',
+          id: record.id,
+          call_id: record.id,
+          status: record.status,
+          name: record.name,
+          arguments: normalizeText(record.inputJson)
+        };
+      }
+      timeline.push(entry);
+      if (record.id) entryById.set(record.id, entry);
+      return;
+    }
+    if (typeof type === 'string' && type.endsWith('_tool_result')) {
+      const target = entryById.get(record.toolUseId);
+      if (!target) return;
+      target.status = 'completed';
+      if (type === 'web_search_tool_result' && Array.isArray(record.content)) {
+        target.sources = record.content
+          .filter(item => item && typeof item === 'object' && typeof item.url === 'string')
+          .map(item => ({ type: 'url', title: normalizeText(item.title), url: item.url }));
+      } else {
+        target.output = stringifyToolResultContent(record.content);
+      }
+    }
+  });
+  return timeline;
+}
+
+/**
+ * 汇总累积 blocks 中的正文、思考与签名。
+ * thinking 仅用于展示；回传上游要用 thinkingBlocks：每个 thinking / redacted_thinking block 按原顺序原样保存，
+ * 各自带签名或 data（合并成一个 block 会让除最后一个以外的签名失效）。
+ *
+ * @param {Array<Object>} blocks
+ * @returns {{answer:string, thinking:string, thinkingSignature:string, thinkingBlocks:Array<Object>}}
+ */
+export function summarizeAnthropicBlocks(blocks) {
+  let answer = '';
+  let thinking = '';
+  let thinkingSignature = '';
+  const thinkingBlocks = [];
+  (Array.isArray(blocks) ? blocks : []).forEach((record) => {
+    if (!record || typeof record !== 'object') return;
+    if (record.type === 'text') {
+      answer += normalizeText(record.text);
+    } else if (record.type === 'thinking') {
+      thinking += normalizeText(record.thinking);
+      if (record.signature) thinkingSignature = record.signature;
+    }
+    const replayBlock = normalizeThinkingBlockForReplay(record);
+    if (replayBlock) thinkingBlocks.push(replayBlock);
+  });
+  return { answer, thinking, thinkingSignature, thinkingBlocks };
+}
+
+/**
+ * 解析非流式 `/v1/messages` 响应。
+ *
+ * @param {any} payload
+ * @returns {{answer:string, thinking:string, thinkingSignature:string, thinkingBlocks:Array<Object>, timeline:Array<Object>, usage:Object|null, stopReason:string}}
+ */
+export function extractAnthropicMessageOutput(payload) {
+  const blocks = (Array.isArray(payload?.content) ? payload.content : [])
+    .map(block => createBlockRecord(block, 'completed'));
+  const summary = summarizeAnthropicBlocks(blocks);
+  return {
+    ...summary,
+    timeline: buildAnthropicActivityTimeline(blocks),
+    usage: normalizeAnthropicUsage(payload?.usage),
+    stopReason: normalizeText(payload?.stop_reason)
+  };
+}
+
+/**
+ * 判断 JSON 是否为 Anthropic Messages 响应体（非流式）。
+ * @param {any} payload
+ * @returns {boolean}
+ */
+export function isAnthropicMessagePayload(payload) {
+  return !!(payload && typeof payload === 'object'
+    && payload.type === 'message'
+    && Array.isArray(payload.content));
+}
@@ -0,0 +1,140 @@
+/**
+ * API 故障转移链的纯函数。
+ *
+ * 每个 API 配置可以按顺序声明若干备用配置（fallbackConfigIds）。一次发送因可重试的错误失败、
+ * 且当前配置不再自动重试（已用尽或未开启）时，改用链上下一个尚未尝试过的配置继续，直到成功或链耗尽。
+ * 是否切换只取决于链与错误，与自动重试设置无关。
+ *
+ * 链只读取“最初发送所用配置”的列表，不再展开备用配置自身的列表，避免环与意外变长。
+ */
+
+export const MAX_FALLBACK_API_CONFIGS = 5;
+
+// 这些状态码说明服务端暂时不可用或限流，换一个提供方有意义；其余 4xx 多为请求本身的问题
+const RETRYABLE_HTTP_STATUSES = new Set([408, 409, 425, 429]);
+const FAILURE_MESSAGE_MAX_LENGTH = 300;
+
+/**
+ * @param {any} value - 配置里保存的备用配置 id 列表
+ * @param {string} [selfId] - 当前配置 id，不允许把自己设为备用
+ * @returns {string[]}
+ */
+export function normalizeFallbackConfigIds(value, selfId = '') {
+  const list = Array.isArray(value) ? value : [];
+  const result = [];
+  list.forEach((item) => {
+    const id = (typeof item === 'string') ? item.trim() : '';
+    if (!id || id === selfId || result.includes(id)) return;
+    if (result.length >= MAX_FALLBACK_API_CONFIGS) return;
+    result.push(id);
+  });
+  return result;
+}
+
+/**
+ * 读取错误对应的 HTTP 状态：优先 error.httpStatus，其次解析 “API错误 (503)” 形式的消息。
+ * @param {any} error
+ * @returns {number|null}
+ */
+export function getErrorHttpStatus(error) {
+  const direct = Number(error?.httpStatus);
+  if (Number.isInteger(direct) && direct >= 100 && direct <= 599) return direct;
+  const match = /API错误 \((\d{3})\)/.exec(String(error?.message || ''));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 判断一次失败是否应切换到备用配置。
+ * - 手动停止（AbortError）不切换；
+ * - 有 HTTP 状态时只对 408/409/425/429 与 5xx 切换；
+ * - 没有状态的错误（网络中断、流中断、没有可用 Key 等）视为可重试。
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isFallbackEligibleError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  const status = getErrorHttpStatus(error);
+  if (status == null) return true;
+  return RETRYABLE_HTTP_STATUSES.has(status) || status >= 500;
+}
+
+function describeConfig(config) {
+  return {
+    apiUuid: (typeof config?.id === 'string') ? config.id : '',
+    displayName: String(config?.displayName || '').trim(),
+    modelName: String(config?.modelName || '').trim()
+  };
+}
+
+/**
+ * @param {any} raw
+ * @returns {{origin: {apiUuid: string, displayName: string, modelName: string}, failures: Array<{apiUuid: string, displayName: string, modelName: string, error: string}>}|null}
+ */
+export function normalizeApiFallbackState(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.origin) return null;
+  const origin = describeConfig({ id: raw.origin.apiUuid, ...raw.origin });
+  if (!origin.apiUuid) return null;
+  const failures = (Array.isArray(raw.failures) ? raw.failures : [])
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      ...describeConfig({ id: item.apiUuid, ...item }),
+      error: String(item.error || '').slice(0, FAILURE_MESSAGE_MAX_LENGTH)
+    }));
+  return { origin, failures };
+}
+
+/**
+ * 记录一次失败，并在链上找出下一个可用的备用配置。
+ * @param {Object} params
+ * @param {Object|null} params.state - 之前的故障转移状态（首次失败时为空）
+ * @param {Object} params.failedConfig - 本次失败所用的配置
+ * @param {any} params.error
+ * @param {Object[]} params.configs - 当前全部 API 配置
+ * @returns {{config: Object, state: Object}|null} 链已耗尽（或未配置）时返回 null
+ */
+export function resolveNextFallbackConfig({ state, failedConfig, error, configs }) {
+  const allConfigs = Array.isArray(configs) ? configs : [];
+  const previous = normalizeApiFallbackState(state);
+  const failed = describeConfig(failedConfig);
+  const origin = previous?.origin || failed;
+  if (!origin.apiUuid) return null;
+
+  const originConfig = allConfigs.find(config => config?.id === origin.apiUuid) || (previous ? null : failedConfig);
+  const chain = normalizeFallbackConfigIds(originConfig?.fallbackConfigIds, origin.apiUuid);
+  if (chain.length === 0) return null;
+
+  const failures = [
+    ...(previous?.failures || []),
+    { ...failed, error: String(error?.message || error || '').slice(0, FAILURE_MESSAGE_MAX_LENGTH) }
+  ];
+  const attempted = new Set(failures.map(item => item.apiUuid).filter(Boolean));
+  const nextId = chain.find(id => !attempted.has(id) && allConfigs.some(config => config?.id === id));
+  if (!nextId) return null;
+  return {
+    config: allConfigs.find(config => config?.id === nextId),
+    state: { origin, failures }
+  };
+}
+
+/**
+ * 一次发送最终失败后决定是否故障转移：错误可重试且链上还有未尝试的配置时返回下一步，否则返回 null。
+ * @param {Object} params - 同 resolveNextFallbackConfig
+ * @returns {{config: Object, state: Object}|null}
+ */
+export function resolveApiFallbackStep({ state, failedConfig, error, configs }) {
+  if (!failedConfig || !isFallbackEligibleError(error)) return null;
+  return resolveNextFallbackConfig({ state, failedConfig, error, configs });
+}
+
+/**
+ * 生成“故障转移”说明：按顺序列出失败的配置名。
+ * @param {any} state
+ * @returns {string} 例如 “GPT-4o → Claude”，未发生故障转移时为空串
+ */
+export function formatApiFallbackPath(state) {
+  const normalized = normalizeApiFallbackState(state);
+  if (!normalized || normalized.failures.length === 0) return '';
+  return normalized.failures
+    .map(item => item.displayName || item.modelName || item.apiUuid)
+    .join(' → ');
+}
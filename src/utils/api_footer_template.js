@@ -5,12 +5,15 @@
  * - 输出 footer 文本与 tooltip 标题，避免多处重复实现。
  */
 
+import { formatCostAmount, normalizeApiCost } from './cost_accounting.js';
+import { formatApiFallbackPath } from './api_fallback_chain.js';
+
 export const DEFAULT_AI_FOOTER_TEMPLATE = '{{display_label}}';
-export const DEFAULT_AI_FOOTER_TOOLTIP_TEMPLATE = '{{tooltip_api_line}}\n{{tooltip_signature_line}}\n{{tooltip_usage_lines}}{{#tooltip_usage_detail_lines}}\n{{tooltip_usage_detail_lines}}{{/tooltip_usage_detail_lines}}{{#tooltip_timing_lines}}\n{{tooltip_timing_lines}}{{/tooltip_timing_lines}}';
+export const DEFAULT_AI_FOOTER_TOOLTIP_TEMPLATE = '{{tooltip_api_line}}{{#tooltip_fallback_line}}\n{{tooltip_fallback_line}}{{/tooltip_fallback_line}}\n{{tooltip_signature_line}}\n{{tooltip_usage_lines}}{{#tooltip_usage_detail_lines}}\n{{tooltip_usage_detail_lines}}{{/tooltip_usage_detail_lines}}{{#tooltip_timing_lines}}\n{{tooltip_timing_lines}}{{/tooltip_timing_lines}}';
 
 // AI footer 可配置模板变量（去重后的“主变量”清单，供设置界面展示/复制）。
 export const AI_FOOTER_TEMPLATE_VARIABLES = Object.freeze([
-  { key: 'display_label', group: '常用', description: '默认显示文案（含 signatured 前缀）' },
+  { key: 'display_label', group: '常用', description: '默认显示文案（含 signatured / 故障转移前缀）' },
   { key: 'display_with_total_tokens_k', group: '常用', description: '默认文案 + 总 tokens（k/m/b）' },
   { key: 'display_with_usage_k', group: '常用', description: '默认文案 + in/out/total（k/m/b）' },
   { key: 'apiname', group: '模型信息', description: 'API 显示名（displayName 优先，回退 model）' },
@@ -20,6 +23,7 @@ export const AI_FOOTER_TEMPLATE_VARIABLES = Object.freeze([
   { key: 'signature', group: '模型信息', description: '有推理签名时为 signatured，否则为空' },
   { key: 'signature_prefix', group: '模型信息', description: '有签名时为 signatured · ' },
   { key: 'signature_source', group: '模型信息', description: '签名来源（gemini/openai）' },
+  { key: 'fallback_from', group: '模型信息', description: '故障转移前依次失败的 API（未发生时为空）' },
   { key: 'input_tokens', group: 'Tokens', description: '输入 tokens（原始数值）' },
   { key: 'output_tokens', group: 'Tokens', description: '输出 tokens（原始数值）' },
   { key: 'total_tokens', group: 'Tokens', description: '总 tokens（原始数值）' },
@@ -32,15 +36,18 @@ export const AI_FOOTER_TEMPLATE_VARIABLES = Object.freeze([
   { key: 'cached_input_tokens_k', group: 'Tokens', description: '缓存命中的输入 tokens（k/m/b）' },
   { key: 'reasoning_tokens', group: 'Tokens', description: '推理/思考输出 tokens（原始数值）' },
   { key: 'reasoning_tokens_k', group: 'Tokens', description: '推理/思考输出 tokens（k/m/b）' },
+  { key: 'cost', group: 'Tokens', description: '按 API 价格表折算的费用（未配置价格时为空）' },
   { key: 'tooltip_api_line', group: 'Tooltip 快捷行', description: 'API uuid/displayName/model 的整行文案' },
   { key: 'tooltip_signature_line', group: 'Tooltip 快捷行', description: '有签名时输出 thought_signature: stored' },
+  { key: 'tooltip_fallback_line', group: 'Tooltip 快捷行', description: '故障转移时输出 fallback_from 行' },
   { key: 'tooltip_usage_lines', group: 'Tooltip 快捷行', description: '按可用项拼接的 token 多行（prompt/completion/total）' },
-  { key: 'tooltip_usage_detail_lines', group: 'Tooltip 快捷行', description: '按可用项拼接的缓存/推理 token 多行' },
+  { key: 'tooltip_usage_detail_lines', group: 'Tooltip 快捷行', description: '按可用项拼接的缓存/推理 token 与费用多行' },
   { key: 'tooltip_prompt_tokens_line', group: 'Tooltip 快捷行', description: 'prompt_tokens 行（无值为空）' },
   { key: 'tooltip_completion_tokens_line', group: 'Tooltip 快捷行', description: 'completion_tokens 行（无值为空）' },
   { key: 'tooltip_total_tokens_line', group: 'Tooltip 快捷行', description: 'total_tokens 行（无值为空）' },
   { key: 'tooltip_cached_input_tokens_line', group: 'Tooltip 快捷行', description: 'cached_input_tokens 行（无值为空）' },
   { key: 'tooltip_reasoning_tokens_line', group: 'Tooltip 快捷行', description: 'reasoning_tokens 行（无值为空）' },
+  { key: 'tooltip_cost_line', group: 'Tooltip 快捷行', description: 'cost 行（无值为空）' },
   { key: 'generation_duration_ms', group: '时长', description: '本次回复总耗时（毫秒）' },
   { key: 'generation_duration', group: '时长', description: '本次回复总耗时（格式化）' },
   { key: 'thinking_duration_ms', group: '时长', description: '思考/工具阶段耗时（毫秒）' },
@@ -255,6 +262,37 @@ export function normalizeApiUsageMeta(rawUsage) {
   };
 }
 
+/**
+ * 累加多次请求的 usage（工具调用循环每一跳都是单独计费的请求）。
+ * 某个字段在所有条目里都缺失时保持 null，不会被当成 0 显示。
+ * @param {any[]} usageList
+ * @returns {{promptTokens:number|null,completionTokens:number|null,totalTokens:number|null,cachedInputTokens:number|null,reasoningTokens:number|null}|null}
+ */
+export function sumApiUsageMeta(usageList) {
+  const normalizedList = (Array.isArray(usageList) ? usageList : [])
+    .map(normalizeApiUsageMeta)
+    .filter(Boolean);
+  if (normalizedList.length === 0) return null;
+  const sumField = (field, list = normalizedList) => list.reduce(
+    (total, usage) => (usage[field] == null ? total : (total ?? 0) + usage[field]),
+    null
+  );
+  // 个别跳没回传 total 时用输入 + 输出补齐，避免合计只算了一部分
+  const hasTotal = normalizedList.some(usage => usage.totalTokens != null);
+  const totalList = hasTotal
+    ? normalizedList.map(usage => ({
+      totalTokens: usage.totalTokens ?? ((usage.promptTokens ?? 0) + (usage.completionTokens ?? 0))
+    }))
+    : [];
+  return {
+    promptTokens: sumField('promptTokens'),
+    completionTokens: sumField('completionTokens'),
+    totalTokens: sumField('totalTokens', totalList),
+    cachedInputTokens: sumField('cachedInputTokens'),
+    reasoningTokens: sumField('reasoningTokens')
+  };
+}
+
 /**
  * 统一归一化响应时序元信息。
  * @param {any} rawTiming
@@ -315,6 +353,8 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
   const reasoningTokensK = formatTokenCompact(usage?.reasoningTokens);
   const usageLine = buildUsageLine(usage, value => formatTokenWithThousands(value));
   const usageLineK = buildUsageLine(usage, value => formatTokenCompact(value));
+  const apiCost = normalizeApiCost(nodeLike?.apiCost);
+  const costLabel = apiCost ? formatCostAmount(apiCost.total) : '';
   const thinkingDurationMs = normalizeTokenValue(timing?.thinkingDurationMs ?? nodeLike?.response_activity_duration_ms);
   const outputDurationMs = normalizeTokenValue(timing?.outputDurationMs);
   const generationDurationMs = normalizeTokenValue(timing?.generationDurationMs);
@@ -327,11 +367,15 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
   const fullDateTimeLabel = formatFullDateTime(date);
   const tooltipApiLine = `API uuid: ${apiUuid || '-'} | displayName: ${displayName || '-'} | model: ${modelName || '-'}`;
   const tooltipSignatureLine = hasThoughtSignature ? 'thought_signature: stored' : '';
+  // 由备用配置回答时，记录此前依次失败的配置
+  const fallbackFrom = formatApiFallbackPath(nodeLike?.apiFallback);
+  const tooltipFallbackLine = fallbackFrom ? `fallback_from: ${fallbackFrom}` : '';
   const tooltipPromptTokensLine = (usage?.promptTokens != null) ? `prompt_tokens: ${usage.promptTokens}` : '';
   const tooltipCompletionTokensLine = (usage?.completionTokens != null) ? `completion_tokens: ${usage.completionTokens}` : '';
   const tooltipTotalTokensLine = (usage?.totalTokens != null) ? `total_tokens: ${usage.totalTokens}` : '';
   const tooltipCachedInputTokensLine = (usage?.cachedInputTokens != null) ? `cached_input_tokens: ${usage.cachedInputTokens}` : '';
   const tooltipReasoningTokensLine = (usage?.reasoningTokens != null) ? `reasoning_tokens: ${usage.reasoningTokens}` : '';
+  const tooltipCostLine = costLabel ? `cost: ${costLabel}` : '';
   const tooltipUsageLines = [
     tooltipPromptTokensLine,
     tooltipCompletionTokensLine,
@@ -339,7 +383,8 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
   ].filter(Boolean).join('\n');
   const tooltipUsageDetailLines = [
     tooltipCachedInputTokensLine,
-    tooltipReasoningTokensLine
+    tooltipReasoningTokensLine,
+    tooltipCostLine
   ].filter(Boolean).join('\n');
   const tooltipGenerationDurationLine = generationDuration ? `generation_duration: ${generationDuration}` : '';
   const tooltipThinkingDurationLine = thinkingDuration ? `thinking_duration: ${thinkingDuration}` : '';
@@ -350,9 +395,11 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
     tooltipOutputDurationLine
   ].filter(Boolean).join('\n');
 
-  const displayLabel = hasThoughtSignature
-    ? (apiName ? `signatured · ${apiName}` : 'signatured')
-    : apiName;
+  const labelPrefixes = [
+    hasThoughtSignature ? 'signatured' : '',
+    fallbackFrom ? '故障转移' : ''
+  ].filter(Boolean);
+  const displayLabel = [...labelPrefixes, apiName].filter(Boolean).join(' · ');
   const displayWithTotalTokensK = displayLabel
     ? (totalTokensK ? `${displayLabel} · ${totalTokensK} tok` : displayLabel)
     : (totalTokensK ? `${totalTokensK} tok` : '');
@@ -371,6 +418,7 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
     signature: hasThoughtSignature ? 'signatured' : '',
     signature_prefix: hasThoughtSignature ? 'signatured · ' : '',
     signature_source: toTrimmedText(nodeLike?.thoughtSignatureSource),
+    fallback_from: fallbackFrom,
     input_tokens: promptTokens,
     output_tokens: completionTokens,
     total_tokens: totalTokens,
@@ -383,12 +431,14 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
     cached_input_tokens_k: cachedInputTokensK,
     reasoning_tokens: reasoningTokens,
     reasoning_tokens_k: reasoningTokensK,
+    cost: costLabel,
     prompt_tokens_k: promptTokensK,
     completion_tokens_k: completionTokensK,
     usage_line: usageLine,
     usage_line_k: usageLineK,
     tooltip_api_line: tooltipApiLine,
     tooltip_signature_line: tooltipSignatureLine,
+    tooltip_fallback_line: tooltipFallbackLine,
     tooltip_usage_lines: tooltipUsageLines,
     tooltip_usage_detail_lines: tooltipUsageDetailLines,
     tooltip_prompt_tokens_line: tooltipPromptTokensLine,
@@ -396,6 +446,7 @@ export function buildApiFooterContext(nodeLike, matchedConfig = null) {
     tooltip_total_tokens_line: tooltipTotalTokensLine,
     tooltip_cached_input_tokens_line: tooltipCachedInputTokensLine,
     tooltip_reasoning_tokens_line: tooltipReasoningTokensLine,
+    tooltip_cost_line: tooltipCostLine,
     generation_duration_ms: generationDurationMs ?? '',
     generation_duration: generationDuration,
     thinking_duration_ms: thinkingDurationMs ?? '',
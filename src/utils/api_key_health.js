@@ -0,0 +1,331 @@
+/**
+ * API Key 池健康状态的纯函数：每个 Key 的成功/失败计数、冷却与停用、轮换策略选择。
+ *
+ * 健康记录按 Key 指纹保存（不落盘明文 Key）：
+ * - 429 与 5xx 进入临时冷却，时长随连续失败次数指数增长（429 优先使用 Retry-After）；
+ * - 鉴权类失败（403、非参数错误的 400）视为 Key 失效，停用直到用户在面板中重新启用；
+ * - 冷却/停用只在多 Key 轮换时参与筛选，单 Key 始终照常请求。
+ */
+
+export const API_KEY_ROTATION_STRATEGIES = Object.freeze(['round_robin', 'weighted', 'least_recently_failed']);
+
+const RATE_LIMIT_BASE_COOLDOWN_MS = 60 * 1000;
+const RATE_LIMIT_MAX_COOLDOWN_MS = 60 * 60 * 1000;
+const SERVER_ERROR_BASE_COOLDOWN_MS = 15 * 1000;
+const SERVER_ERROR_MAX_COOLDOWN_MS = 10 * 60 * 1000;
+const RETRY_AFTER_MAX_MS = 24 * 60 * 60 * 1000;
+const LAST_ERROR_MESSAGE_MAX_LENGTH = 300;
+const MAX_KEY_WEIGHT = 100;
+
+export function normalizeKeyRotationStrategy(value) {
+  return API_KEY_ROTATION_STRATEGIES.includes(value) ? value : 'round_robin';
+}
+
+function fnv1a32(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Key 指纹：两轮不同种子的 FNV-1a 拼成 16 位十六进制，仅用于在本地区分 Key。
+ * @param {string} key
+ * @returns {string}
+ */
+export function fingerprintApiKey(key) {
+  const text = String(key ?? '').trim();
+  if (!text) return '';
+  return `${fnv1a32(text, 0x811c9dc5)}${fnv1a32(text, 0x01234567)}`;
+}
+
+/**
+ * 界面展示用的打码 Key：保留前 4 位与后 4 位。
+ * @param {string} key
+ * @returns {string}
+ */
+export function maskApiKey(key) {
+  const text = String(key ?? '').trim();
+  if (text.length <= 10) return text ? `${text.slice(0, 2)}…` : '';
+  return `${text.slice(0, 4)}…${text.slice(-4)}`;
+}
+
+function toCount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.floor(numeric) : 0;
+}
+
+function toTimestamp(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
+export function normalizeKeyWeight(value) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0) return 1;
+  return Math.min(MAX_KEY_WEIGHT, Math.round(numeric * 100) / 100);
+}
+
+export function createApiKeyHealth() {
+  return {
+    successCount: 0,
+    errorCount: 0,
+    rateLimitCount: 0,
+    consecutiveFailures: 0,
+    lastError: null,
+    lastSuccessAt: 0,
+    lastFailureAt: 0,
+    cooldownUntil: 0,
+    disabled: false,
+    weight: 1,
+    updatedAt: 0
+  };
+}
+
+export function normalizeApiKeyHealth(raw) {
+  const item = (raw && typeof raw === 'object') ? raw : {};
+  const lastError = (item.lastError && typeof item.lastError === 'object')
+    ? {
+        status: toCount(item.lastError.status),
+        message: String(item.lastError.message ?? '').slice(0, LAST_ERROR_MESSAGE_MAX_LENGTH),
+        at: toTimestamp(item.lastError.at)
+      }
+    : null;
+  return {
+    successCount: toCount(item.successCount),
+    errorCount: toCount(item.errorCount),
+    rateLimitCount: toCount(item.rateLimitCount),
+    consecutiveFailures: toCount(item.consecutiveFailures),
+    lastError,
+    lastSuccessAt: toTimestamp(item.lastSuccessAt),
+    lastFailureAt: toTimestamp(item.lastFailureAt),
+    cooldownUntil: toTimestamp(item.cooldownUntil),
+    disabled: item.disabled === true,
+    weight: item.weight == null ? 1 : normalizeKeyWeight(item.weight),
+    updatedAt: toTimestamp(item.updatedAt)
+  };
+}
+
+/**
+ * @param {any} raw - { [fingerprint]: health }
+ * @returns {Object<string, Object>}
+ */
+export function normalizeApiKeyHealthMap(raw) {
+  const map = {};
+  if (!raw || typeof raw !== 'object') return map;
+  Object.keys(raw).forEach((fingerprint) => {
+    if (!/^[0-9a-f]{16}$/.test(fingerprint)) return;
+    map[fingerprint] = normalizeApiKeyHealth(raw[fingerprint]);
+  });
+  return map;
+}
+
+/**
+ * 合并多个标签页各自更新的健康记录：同一 Key 取 updatedAt 较新的一份。
+ * @param {Object} base
+ * @param {Object} incoming
+ * @returns {Object<string, Object>}
+ */
+export function mergeApiKeyHealthMaps(base, incoming) {
+  const merged = normalizeApiKeyHealthMap(base);
+  const next = normalizeApiKeyHealthMap(incoming);
+  Object.keys(next).forEach((fingerprint) => {
+    const current = merged[fingerprint];
+    if (!current || next[fingerprint].updatedAt >= current.updatedAt) {
+      merged[fingerprint] = next[fingerprint];
+    }
+  });
+  return merged;
+}
+
+/**
+ * 失败类型：rate_limit（429）、server（5xx）、auth（403 与非参数错误的 400）、其余为空串（只计数）。
+ * @param {number} status
+ * @returns {''|'rate_limit'|'server'|'auth'}
+ */
+export function classifyKeyFailure(status) {
+  const code = Number(status);
+  if (code === 429) return 'rate_limit';
+  if (code >= 500 && code <= 599) return 'server';
+  if (code === 400 || code === 403) return 'auth';
+  return '';
+}
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期）。
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null} 毫秒，无法解析时为 null
+ */
+export function parseRetryAfterMs(value, now = Date.now()) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  if (!Number.isFinite(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * @param {'rate_limit'|'server'} kind
+ * @param {number} consecutiveFailures - 含本次在内的连续失败次数
+ * @param {number|null} [retryAfterMs]
+ * @returns {number}
+ */
+export function computeKeyCooldownMs(kind, consecutiveFailures, retryAfterMs = null) {
+  const exponent = Math.max(0, Math.min(10, toCount(consecutiveFailures) - 1));
+  if (kind === 'rate_limit') {
+    if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+      return Math.min(RETRY_AFTER_MAX_MS, Math.max(1000, retryAfterMs));
+    }
+    return Math.min(RATE_LIMIT_MAX_COOLDOWN_MS, RATE_LIMIT_BASE_COOLDOWN_MS * (2 ** exponent));
+  }
+  if (kind === 'server') {
+    return Math.min(SERVER_ERROR_MAX_COOLDOWN_MS, SERVER_ERROR_BASE_COOLDOWN_MS * (2 ** exponent));
+  }
+  return 0;
+}
+
+export function recordApiKeySuccess(health, now = Date.now()) {
+  const next = normalizeApiKeyHealth(health);
+  next.successCount += 1;
+  next.consecutiveFailures = 0;
+  next.lastSuccessAt = now;
+  next.cooldownUntil = 0;
+  next.updatedAt = now;
+  return next;
+}
+
+/**
+ * 记录一次失败，并按失败类型设置冷却或停用。
+ * @param {Object} health
+ * @param {{status?: number, message?: string, retryAfterMs?: number|null, now?: number}} failure - status 为 0 表示网络错误
+ * @returns {Object}
+ */
+export function recordApiKeyFailure(health, { status = 0, message = '', retryAfterMs = null, now = Date.now() } = {}) {
+  const next = normalizeApiKeyHealth(health);
+  const kind = classifyKeyFailure(status);
+  next.errorCount += 1;
+  next.consecutiveFailures += 1;
+  next.lastFailureAt = now;
+  next.lastError = {
+    status: toCount(status),
+    message: String(message ?? '').slice(0, LAST_ERROR_MESSAGE_MAX_LENGTH),
+    at: now
+  };
+  if (kind === 'rate_limit') next.rateLimitCount += 1;
+  if (kind === 'rate_limit' || kind === 'server') {
+    next.cooldownUntil = Math.max(next.cooldownUntil, now + computeKeyCooldownMs(kind, next.consecutiveFailures, retryAfterMs));
+  } else if (kind === 'auth') {
+    next.disabled = true;
+  }
+  next.updatedAt = now;
+  return next;
+}
+
+/**
+ * 手动重新启用：清除停用与冷却，保留历史计数。
+ */
+export function reenableApiKey(health, now = Date.now()) {
+  const next = normalizeApiKeyHealth(health);
+  next.disabled = false;
+  next.cooldownUntil = 0;
+  next.consecutiveFailures = 0;
+  next.updatedAt = now;
+  return next;
+}
+
+/**
+ * 清空统计，仅保留权重。
+ */
+export function resetApiKeyHealth(health, now = Date.now()) {
+  return {
+    ...createApiKeyHealth(),
+    weight: normalizeApiKeyHealth(health).weight,
+    updatedAt: now
+  };
+}
+
+/**
+ * @param {Object|null} health
+ * @param {number} [now]
+ * @returns {{state: 'available'|'cooldown'|'disabled', remainingMs: number}}
+ */
+export function getApiKeyHealthStatus(health, now = Date.now()) {
+  if (!health) return { state: 'available', remainingMs: 0 };
+  if (health.disabled) return { state: 'disabled', remainingMs: 0 };
+  const remainingMs = (Number(health.cooldownUntil) || 0) - now;
+  if (remainingMs > 0) return { state: 'cooldown', remainingMs };
+  return { state: 'available', remainingMs: 0 };
+}
+
+export function isApiKeyAvailable(health, now = Date.now()) {
+  return getApiKeyHealthStatus(health, now).state === 'available';
+}
+
+/**
+ * 加权策略的权重：手动权重 ×（成功 + 1）/（总次数 + 2），新 Key 默认 0.5 的成功率。
+ * @param {Object|null} health
+ * @returns {number}
+ */
+export function getKeySelectionWeight(health) {
+  const normalized = normalizeApiKeyHealth(health);
+  const successRate = (normalized.successCount + 1) / (normalized.successCount + normalized.errorCount + 2);
+  return normalized.weight * successRate;
+}
+
+/**
+ * 按策略从 Key 列表中选出下一个可用 Key。
+ * - round_robin：从 startIndex 开始顺序找第一个可用 Key（成功时不切换，出错后由调用方推进 startIndex）；
+ * - weighted：在可用 Key 中按 getKeySelectionWeight 随机抽取；
+ * - least_recently_failed：选最久没失败过的 Key（从未失败的优先），相同时按 startIndex 起的顺序。
+ * @param {string[]} keys
+ * @param {{strategy?: string, healthMap?: Object, startIndex?: number, excluded?: Set<string>, now?: number, random?: () => number}} options
+ * @returns {number} 无可用 Key 时返回 -1
+ */
+export function selectApiKeyIndex(keys, {
+  strategy = 'round_robin',
+  healthMap = {},
+  startIndex = 0,
+  excluded = new Set(),
+  now = Date.now(),
+  random = Math.random
+} = {}) {
+  const list = Array.isArray(keys) ? keys : [];
+  const n = list.length;
+  if (n === 0) return -1;
+  const start = Math.min(Math.max(0, Number(startIndex) || 0), n - 1);
+  const candidates = [];
+  for (let i = 0; i < n; i++) {
+    const index = (start + i) % n;
+    const key = String(list[index] ?? '').trim();
+    if (!key || excluded.has(key)) continue;
+    const health = healthMap[fingerprintApiKey(key)] || null;
+    if (!isApiKeyAvailable(health, now)) continue;
+    candidates.push({ index, health });
+  }
+  if (candidates.length === 0) return -1;
+
+  const normalizedStrategy = normalizeKeyRotationStrategy(strategy);
+  if (normalizedStrategy === 'weighted') {
+    const weights = candidates.map(item => getKeySelectionWeight(item.health));
+    const total = weights.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) return candidates[0].index;
+    let threshold = random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      threshold -= weights[i];
+      if (threshold < 0) return candidates[i].index;
+    }
+    return candidates[candidates.length - 1].index;
+  }
+  if (normalizedStrategy === 'least_recently_failed') {
+    let best = candidates[0];
+    candidates.forEach((item) => {
+      if ((item.health?.lastFailureAt || 0) < (best.health?.lastFailureAt || 0)) best = item;
+    });
+    return best.index;
+  }
+  return candidates[0].index;
+}
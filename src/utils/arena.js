@@ -0,0 +1,118 @@
+/**
+ * 竞技场（多模型并排回答）的纯函数。
+ *
+ * 一次竞技场发送会把同一条用户消息发给多个 API，每个回答都是该用户消息下的兄弟 AI 节点，
+ * 共享同一个 arenaGroupId：
+ * - arenaKept：组内“保留”的回答，后续对话从它继续（currentNode 指向它），同组最多一个；
+ * - arenaVote：可选的逐模型评价（'up' / 'down'），连同 apiModelId 一起落库，供日后统计模型表现。
+ * 主对话按 messages 顺序线性渲染，所以同组回答在数组里保持相邻，界面再把它们包成并排的列。
+ */
+
+export const MAX_ARENA_API_CONFIGS = 4;
+
+const ARENA_VOTES = new Set(['up', 'down']);
+
+export function createArenaGroupId() {
+  return `arena_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isThreadNode(node) {
+  return !!(node?.threadId || node?.threadHiddenSelection);
+}
+
+/**
+ * 同组的全部回答（按 messages 顺序）。
+ * @param {Array<Object>} messages
+ * @param {string} groupId
+ * @returns {Array<Object>}
+ */
+export function getArenaGroupMembers(messages, groupId) {
+  if (!groupId || !Array.isArray(messages)) return [];
+  return messages.filter(msg => msg?.arenaGroupId === groupId && !isThreadNode(msg));
+}
+
+/**
+ * 把刚追加到末尾的竞技场回答移到同组最后一个回答之后，保证同组回答在线性渲染时相邻。
+ * 并行请求完成得有先有后，期间用户可能已经继续对话，直接 push 会让回答落到后续消息之后。
+ * @param {Array<Object>} messages
+ * @param {Object} node - 已在 messages 中的回答节点
+ */
+export function placeArenaAnswer(messages, node) {
+  if (!Array.isArray(messages) || !node?.arenaGroupId) return;
+  const index = messages.indexOf(node);
+  if (index < 0) return;
+  messages.splice(index, 1);
+  let insertAt = -1;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (msg?.arenaGroupId === node.arenaGroupId || msg?.id === node.parentId) {
+      insertAt = i + 1;
+      break;
+    }
+  }
+  messages.splice(insertAt < 0 ? messages.length : insertAt, 0, node);
+}
+
+/**
+ * 恢复会话时默认把 currentNode 设为最后一条主对话消息；若它是未被保留的竞技场回答，改用同组保留的那条。
+ * @param {Array<Object>} messages
+ * @param {string|null} messageId
+ * @returns {string|null}
+ */
+export function resolveArenaCurrentNodeId(messages, messageId) {
+  if (!messageId || !Array.isArray(messages)) return messageId || null;
+  const node = messages.find(msg => msg?.id === messageId);
+  if (!node?.arenaGroupId || node.arenaKept) return messageId;
+  const kept = getArenaGroupMembers(messages, node.arenaGroupId)
+    .find(msg => msg.arenaKept && msg.parentId === node.parentId);
+  return kept ? kept.id : messageId;
+}
+
+/**
+ * 保留竞技场中的某个回答：标记为 arenaKept，并把 currentNode 切到它，下一轮对话以它为上文。
+ * 若对话已经在同组其它回答之后继续，切换会让后续消息失去上文，此时不做修改。
+ * @param {{messages:Array<Object>, currentNode:string|null}} chatHistory
+ * @param {string} messageId
+ * @returns {{groupId:string, keptMessageId:string}|null}
+ */
+export function keepArenaAnswer(chatHistory, messageId) {
+  const messages = Array.isArray(chatHistory?.messages) ? chatHistory.messages : [];
+  const target = messages.find(msg => msg?.id === messageId);
+  if (!target?.arenaGroupId) return null;
+  const byId = new Map(messages.map(msg => [msg.id, msg]));
+  const members = getArenaGroupMembers(messages, target.arenaGroupId)
+    .filter(msg => msg.parentId === target.parentId);
+  const continuedElsewhere = members.some(msg => msg !== target
+    && (msg.children || []).some(childId => byId.has(childId) && !isThreadNode(byId.get(childId))));
+  if (continuedElsewhere) return null;
+
+  members.forEach((msg) => {
+    if (msg === target) {
+      msg.arenaKept = true;
+    } else {
+      delete msg.arenaKept;
+    }
+  });
+  chatHistory.currentNode = target.id;
+  return { groupId: target.arenaGroupId, keptMessageId: target.id };
+}
+
+/**
+ * 写入或清除某个回答的评价；再次提交相同评价视为取消。
+ * @param {{messages:Array<Object>}} chatHistory
+ * @param {string} messageId
+ * @param {'up'|'down'|null} vote
+ * @returns {'up'|'down'|null|undefined} 写入后的评价；消息不存在或不属于竞技场时返回 undefined
+ */
+export function toggleArenaVote(chatHistory, messageId, vote) {
+  const messages = Array.isArray(chatHistory?.messages) ? chatHistory.messages : [];
+  const target = messages.find(msg => msg?.id === messageId);
+  if (!target?.arenaGroupId) return undefined;
+  const nextVote = ARENA_VOTES.has(vote) && target.arenaVote !== vote ? vote : null;
+  if (nextVote) {
+    target.arenaVote = nextVote;
+  } else {
+    delete target.arenaVote;
+  }
+  return nextVote;
+}
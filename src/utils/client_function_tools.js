@@ -0,0 +1,379 @@
+/**
+ * 客户端函数工具（js_runtime_execute / page_content_read 等）在非 Responses 协议上的适配层。
+ *
+ * 设计边界：
+ * - 工具注册表统一以 Responses function tool 结构定义（{type:'function', name, description, parameters}）；
+ * - 这里负责把它转换为 Chat Completions `tools[].function` 与 Gemini `functionDeclarations`；
+ * - 同时负责把两种协议返回的工具调用归一为 Responses 时间线使用的 function_call 记录，
+ *   并构造“回传工具结果”的 follow-up 请求体；
+ * - 纯函数、无 DOM / 网络依赖，便于在 node:test 中直接验证。
+ */
+
+export const CLIENT_TOOL_PROTOCOL_CHAT_COMPLETIONS = 'chat_completions';
+export const CLIENT_TOOL_PROTOCOL_GEMINI = 'gemini';
+
+function cloneJson(value) {
+  if (value == null) return value;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (_) {
+    return null;
+  }
+}
+
+function normalizeName(value) {
+  return (typeof value === 'string') ? value.trim() : '';
+}
+
+/**
+ * 将 Responses function tool 定义转换为 Chat Completions tools[] 条目。
+ *
+ * 说明：不少 OpenAI 兼容网关不认识 `strict`，这里统一去掉，保留参数 schema 原样。
+ *
+ * @param {Object} tool
+ * @returns {{type:'function', function:{name:string, description?:string, parameters?:Object}}|null}
+ */
+export function convertFunctionToolToChatCompletions(tool) {
+  const name = normalizeName(tool?.name);
+  if (!name || tool?.type !== 'function') return null;
+  const fn = { name };
+  if (typeof tool.description === 'string' && tool.description) fn.description = tool.description;
+  if (tool.parameters && typeof tool.parameters === 'object') fn.parameters = cloneJson(tool.parameters);
+  return { type: 'function', function: fn };
+}
+
+/**
+ * 把 JSON Schema 收敛为 Gemini functionDeclarations 接受的 OpenAPI 子集。
+ *
+ * 处理规则：
+ * - `type: ['x', 'null']` -> `type: 'x', nullable: true`；
+ * - 丢弃 additionalProperties / $schema 等 Gemini 不认识的关键字；
+ * - nullable 字段从 required 中移除，避免模型被迫输出 null。
+ *
+ * @param {any} schema
+ * @returns {Object}
+ */
+export function convertJsonSchemaToGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return {};
+  const result = {};
+  let nullable = schema.nullable === true;
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => typeof type === 'string');
+    if (types.includes('null')) nullable = true;
+    const concrete = types.filter(type => type !== 'null');
+    if (concrete.length > 0) result.type = concrete[0];
+  } else if (typeof schema.type === 'string') {
+    result.type = schema.type;
+  }
+  if (nullable) result.nullable = true;
+  ['description', 'format', 'enum', 'minimum', 'maximum', 'minItems', 'maxItems'].forEach((key) => {
+    if (schema[key] !== undefined) result[key] = cloneJson(schema[key]);
+  });
+  if (schema.items && typeof schema.items === 'object') {
+    result.items = convertJsonSchemaToGeminiSchema(schema.items);
+  }
+  if (schema.properties && typeof schema.properties === 'object') {
+    result.properties = {};
+    const nullableKeys = new Set();
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      const converted = convertJsonSchemaToGeminiSchema(value);
+      if (converted.nullable) nullableKeys.add(key);
+      result.properties[key] = converted;
+    });
+    if (Array.isArray(schema.required)) {
+      const required = schema.required.filter(key => typeof key === 'string' && !nullableKeys.has(key));
+      if (required.length > 0) result.required = required;
+    }
+  }
+  return result;
+}
+
+/**
+ * 将 Responses function tool 定义转换为 Gemini functionDeclaration。
+ *
+ * @param {Object} tool
+ * @returns {{name:string, description?:string, parameters?:Object}|null}
+ */
+export function convertFunctionToolToGeminiDeclaration(tool) {
+  const name = normalizeName(tool?.name);
+  if (!name || tool?.type !== 'function') return null;
+  const declaration = { name };
+  if (typeof tool.description === 'string' && tool.description) declaration.description = tool.description;
+  if (tool.parameters && typeof tool.parameters === 'object') {
+    declaration.parameters = convertJsonSchemaToGeminiSchema(tool.parameters);
+  }
+  return declaration;
+}
+
+/**
+ * 合并 Chat Completions 请求体中的 tools：同名 function 以客户端定义覆盖。
+ *
+ * @param {Array<any>} existingTools
+ * @param {Array<Object>} functionTools - Responses 结构的 function tool 列表
+ * @returns {Array<Object>}
+ */
+export function mergeChatCompletionsRequestTools(existingTools, functionTools) {
+  const merged = Array.isArray(existingTools)
+    ? existingTools.filter(item => item && typeof item === 'object' && !Array.isArray(item)).map(cloneJson)
+    : [];
+  (Array.isArray(functionTools) ? functionTools : []).forEach((tool) => {
+    const converted = convertFunctionToolToChatCompletions(tool);
+    if (!converted) return;
+    const index = merged.findIndex(item => normalizeName(item?.function?.name) === converted.function.name);
+    if (index >= 0) {
+      merged[index] = converted;
+    } else {
+      merged.push(converted);
+    }
+  });
+  return merged;
+}
+
+/**
+ * 合并 Gemini 请求体中的 tools。
+ *
+ * Gemini 的 tools 是“工具组”数组：googleSearch / codeExecution 等内置工具各占一项，
+ * 函数声明集中放在带 functionDeclarations 的那一项里；这里复用已有的那一项，同名声明覆盖。
+ *
+ * @param {Array<any>} existingTools
+ * @param {Array<Object>} functionTools - Responses 结构的 function tool 列表
+ * @returns {Array<Object>}
+ */
+export function mergeGeminiRequestTools(existingTools, functionTools) {
+  const merged = Array.isArray(existingTools)
+    ? existingTools.filter(item => item && typeof item === 'object' && !Array.isArray(item)).map(cloneJson)
+    : [];
+  const declarations = (Array.isArray(functionTools) ? functionTools : [])
+    .map(convertFunctionToolToGeminiDeclaration)
+    .filter(Boolean);
+  if (declarations.length <= 0) return merged;
+
+  let group = merged.find(item => Array.isArray(item.functionDeclarations) || Array.isArray(item.function_declarations));
+  if (!group) {
+    group = { functionDeclarations: [] };
+    merged.push(group);
+  }
+  const key = Array.isArray(group.functionDeclarations) ? 'functionDeclarations' : 'function_declarations';
+  declarations.forEach((declaration) => {
+    const index = group[key].findIndex(item => normalizeName(item?.name) === declaration.name);
+    if (index >= 0) {
+      group[key][index] = declaration;
+    } else {
+      group[key].push(declaration);
+    }
+  });
+  return merged;
+}
+
+function resolveChatToolCallId(call, index, idPrefix) {
+  return normalizeName(call?.id) || `${idPrefix || 'call'}_${index}`;
+}
+
+/**
+ * 把 Chat Completions 的 tool_calls 归一为 function_call 记录。
+ *
+ * 个别网关不返回 tool_call.id，此时按“idPrefix + 原始下标”补齐；
+ * 构造 follow-up 时需传入同一个 idPrefix，保证 tool 消息能对上号。
+ *
+ * @param {Array<Object>} toolCalls
+ * @param {{status?:string, idPrefix?:string}} [options]
+ * @returns {Array<{type:'function_call', id:string, call_id:string, name:string, arguments:string, status:string}>}
+ */
+export function buildChatCompletionsToolCallRecords(toolCalls, options = {}) {
+  const status = options.status || 'in_progress';
+  return (Array.isArray(toolCalls) ? toolCalls : [])
+    .map((call, index) => {
+      if (!call || typeof call !== 'object' || !normalizeName(call.function?.name)) return null;
+      const callId = resolveChatToolCallId(call, index, options.idPrefix);
+      return {
+        type: 'function_call',
+        id: callId,
+        call_id: callId,
+        name: normalizeName(call.function.name),
+        arguments: (typeof call.function.arguments === 'string') ? call.function.arguments : '',
+        status
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 把 Gemini functionCall parts 归一为 function_call 记录。
+ *
+ * Gemini 旧模型不返回 functionCall.id，此时用 idPrefix + 序号补一个稳定 id，
+ * 仅用于本地时间线与结果回填，回传给 Gemini 时不会带上这个合成 id。
+ *
+ * @param {Array<Object>} parts
+ * @param {{idPrefix?:string, status?:string}} [options]
+ * @returns {Array<{type:'function_call', id:string, call_id:string, name:string, arguments:string, status:string}>}
+ */
+export function buildGeminiToolCallRecords(parts, options = {}) {
+  const status = options.status || 'in_progress';
+  const idPrefix = options.idPrefix || 'gemini_call';
+  return (Array.isArray(parts) ? parts : [])
+    .map(part => part?.functionCall || part?.function_call || null)
+    .filter(call => call && normalizeName(call.name))
+    .map((call, index) => {
+      const callId = normalizeName(call.id) || `${idPrefix}_${index}`;
+      let args = '';
+      try {
+        args = JSON.stringify(call.args && typeof call.args === 'object' ? call.args : {});
+      } catch (_) {
+        args = '{}';
+      }
+      return {
+        type: 'function_call',
+        id: callId,
+        call_id: callId,
+        name: normalizeName(call.name),
+        arguments: args,
+        status
+      };
+    });
+}
+
+/**
+ * 把 function_call_output.output（字符串或 content items）压成纯文本。
+ * 非文本片段（例如图片）以占位说明代替，避免目标协议不接受时整体报错。
+ *
+ * @param {any} output
+ * @returns {string}
+ */
+export function stringifyFunctionToolOutputText(output) {
+  if (typeof output === 'string') return output;
+  if (!Array.isArray(output)) {
+    if (output == null) return '';
+    try {
+      return JSON.stringify(output);
+    } catch (_) {
+      return String(output);
+    }
+  }
+  return output.map((item) => {
+    if (!item || typeof item !== 'object') return '';
+    if (typeof item.text === 'string') return item.text;
+    if (item.type === 'input_image') return '[图片输出已省略]';
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * 基于上一轮 Chat Completions 请求体构造工具结果 follow-up 请求。
+ *
+ * 追加顺序：assistant(tool_calls) -> tool(tool_call_id) x N。
+ * reasoning_content 与 tool_calls 上的签名字段原样带回，兼容要求同轮回传推理内容的网关。
+ *
+ * @param {Object} previousRequestBody
+ * @param {{answer?:string, reasoningContent?:string, toolCalls:Array<Object>, idPrefix?:string, outputs:Array<{call_id:string, output:any}>}} replay
+ * @returns {Object}
+ */
+export function buildChatCompletionsToolFollowUpRequest(previousRequestBody, replay = {}) {
+  const nextBody = cloneJson(previousRequestBody) || {};
+  const messages = Array.isArray(nextBody.messages) ? nextBody.messages : [];
+  const toolCalls = (Array.isArray(replay.toolCalls) ? replay.toolCalls : [])
+    .map((call, index) => {
+      if (!call || typeof call !== 'object' || !normalizeName(call.function?.name)) return null;
+      return {
+        ...cloneJson(call),
+        id: resolveChatToolCallId(call, index, replay.idPrefix),
+        type: 'function'
+      };
+    })
+    .filter(Boolean);
+  const assistantMessage = {
+    role: 'assistant',
+    content: (typeof replay.answer === 'string' && replay.answer) ? replay.answer : null,
+    tool_calls: toolCalls
+  };
+  if (typeof replay.reasoningContent === 'string' && replay.reasoningContent) {
+    assistantMessage.reasoning_content = replay.reasoningContent;
+  }
+  messages.push(assistantMessage);
+  (Array.isArray(replay.outputs) ? replay.outputs : []).forEach((output) => {
+    const callId = normalizeName(output?.call_id);
+    if (!callId) return;
+    messages.push({
+      role: 'tool',
+      tool_call_id: callId,
+      content: stringifyFunctionToolOutputText(output.output)
+    });
+  });
+  nextBody.messages = messages;
+  return nextBody;
+}
+
+/**
+ * 基于上一轮 Gemini 请求体构造 functionResponse follow-up 请求。
+ *
+ * 追加顺序：model(原样回放本轮 parts，含 functionCall 与 thought_signature) -> user(functionResponse x N)。
+ * Gemini 3 要求 functionCall 所在 part 的签名原样回传，因此 modelParts 不做任何改写。
+ *
+ * @param {Object} previousRequestBody
+ * @param {{modelParts:Array<Object>, toolCalls:Array<{call_id:string, name:string}>, outputs:Array<{call_id:string, output:any}>}} replay
+ * @returns {Object}
+ */
+export function buildGeminiToolFollowUpRequest(previousRequestBody, replay = {}) {
+  const nextBody = cloneJson(previousRequestBody) || {};
+  const contents = Array.isArray(nextBody.contents) ? nextBody.contents : [];
+  const modelParts = (Array.isArray(replay.modelParts) ? replay.modelParts : []).map(cloneJson).filter(Boolean);
+  if (modelParts.length > 0) {
+    contents.push({ role: 'model', parts: modelParts });
+  }
+  const callById = new Map(
+    (Array.isArray(replay.toolCalls) ? replay.toolCalls : []).map(call => [normalizeName(call?.call_id), call])
+  );
+  const nativeIds = new Set(
+    modelParts
+      .map(part => normalizeName((part?.functionCall || part?.function_call)?.id))
+      .filter(Boolean)
+  );
+  const responseParts = [];
+  (Array.isArray(replay.outputs) ? replay.outputs : []).forEach((output) => {
+    const callId = normalizeName(output?.call_id);
+    const call = callById.get(callId);
+    if (!call) return;
+    const functionResponse = {
+      name: normalizeName(call.name),
+      response: { output: stringifyFunctionToolOutputText(output.output) }
+    };
+    if (nativeIds.has(callId)) functionResponse.id = callId;
+    responseParts.push({ functionResponse });
+  });
+  if (responseParts.length > 0) {
+    contents.push({ role: 'user', parts: responseParts });
+  }
+  nextBody.contents = contents;
+  return nextBody;
+}
+
+/**
+ * 去掉请求体里需要客户端执行的函数工具，只保留服务端内置工具（web_search、googleSearch 等）。
+ *
+ * 用于不走工具调用循环的旁路请求（例如竞技场的并行回答）：
+ * 这类请求无法执行函数调用，带着函数工具只会得到一个没有正文的回答。
+ * - Responses / Chat Completions：去掉 type 为 function 的条目；
+ * - Anthropic：去掉带 input_schema 的自定义工具；
+ * - Gemini：去掉 functionDeclarations 工具组。
+ * 若函数工具被去掉，同时移除 tool_choice / toolConfig，避免它们指向已不存在的工具。
+ *
+ * @param {Object} requestBody
+ * @returns {Object} 新的请求体（没有函数工具时原样返回）
+ */
+export function stripClientFunctionTools(requestBody) {
+  if (!requestBody || typeof requestBody !== 'object' || !Array.isArray(requestBody.tools)) return requestBody;
+  const isFunctionTool = (tool) => {
+    if (!tool || typeof tool !== 'object') return false;
+    if (tool.type === 'function') return true;
+    if (tool.input_schema && typeof tool.input_schema === 'object') return true;
+    return Array.isArray(tool.functionDeclarations) || Array.isArray(tool.function_declarations);
+  };
+  if (!requestBody.tools.some(isFunctionTool)) return requestBody;
+
+  const nextBody = cloneJson(requestBody) || {};
+  nextBody.tools = nextBody.tools.filter(tool => !isFunctionTool(tool));
+  if (nextBody.tools.length <= 0) delete nextBody.tools;
+  delete nextBody.tool_choice;
+  delete nextBody.toolConfig;
+  delete nextBody.tool_config;
+  return nextBody;
+}
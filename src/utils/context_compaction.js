@@ -0,0 +1,239 @@
+/**
+ * 上下文自动压缩的纯函数：token 估算、压缩记录的应用与压缩方案的规划。
+ *
+ * 压缩结果以 contextCompaction 记录挂在会话链的某个“边界”消息上，不改动消息本身，撤销时删掉记录即可：
+ * - mode: 'drop_tools'：边界及之前的消息发送时不再附带工具输出（response_input_items 重放项），只发正文；
+ * - mode: 'summary'：边界及之前的消息整体由 summary 代替，作为系统消息中的“此前对话摘要”发送。
+ * 链上可能先后出现多条记录，发送时以最靠后的摘要为截断点、最靠后的工具输出记录为省略范围。
+ *
+ * token 只做粗略估算（不依赖具体模型的分词器）：中日韩文字约 1 字 1 token，其余约 4 字符 1 token，
+ * 图片按固定值计，足以判断“是否接近上下文窗口”。
+ */
+import { splitStoredMessageContent } from './message_content.js';
+
+export const DEFAULT_CONTEXT_COMPACTION_THRESHOLD = 0.8;
+/** 摘要压缩后保留的最近消息最多占用阈值预算的比例，给后续几轮对话留出空间 */
+export const CONTEXT_COMPACTION_KEEP_RECENT_RATIO = 0.5;
+
+const MAX_CONTEXT_WINDOW_TOKENS = 100_000_000;
+const IMAGE_TOKEN_ESTIMATE = 800;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const CJK_CHAR_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+export function createContextCompactionId() {
+  return `compaction_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 规范化 API 配置里的上下文窗口大小；0 表示未设置（不自动压缩）。
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeContextWindowTokens(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(MAX_CONTEXT_WINDOW_TOKENS, Math.floor(n));
+}
+
+/**
+ * 规范化触发阈值（占上下文窗口的比例），超出 [0.3, 0.95] 时取边界值。
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeContextCompactionThreshold(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_CONTEXT_COMPACTION_THRESHOLD;
+  return Math.min(0.95, Math.max(0.3, n));
+}
+
+export function estimateTextTokens(text) {
+  const input = String(text || '');
+  if (!input) return 0;
+  const cjkCount = (input.match(CJK_CHAR_PATTERN) || []).length;
+  const otherCount = input.replace(CJK_CHAR_PATTERN, '').replace(/\s+/g, ' ').length;
+  return cjkCount + Math.ceil(otherCount / 4);
+}
+
+/** 在 token 预算内能保留的最长前缀（fromEnd 为 true 时是最长后缀）的字符数，二分查找 */
+function findTextLengthWithinTokens(text, maxTokens, fromEnd) {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const piece = fromEnd ? text.slice(text.length - mid) : text.slice(0, mid);
+    if (estimateTextTokens(piece) <= maxTokens) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * 把文本截到估算 token 数不超过 maxTokens：保留首尾各约一半，中间以省略标记代替。
+ * 按 token 而不是字符计，中日韩文本不会因“1 字约 1 token”而超出预算。
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} [omittedMarker]
+ * @returns {string}
+ */
+export function truncateTextToTokenBudget(text, maxTokens, omittedMarker = '\n\n……（中间内容过长已省略）……\n\n') {
+  const input = String(text || '');
+  const budget = Math.max(0, Math.floor(Number(maxTokens) || 0));
+  if (estimateTextTokens(input) <= budget) return input;
+  const half = Math.max(0, Math.floor((budget - estimateTextTokens(omittedMarker)) / 2));
+  const headLength = findTextLengthWithinTokens(input, half, false);
+  const tailLength = findTextLengthWithinTokens(input.slice(headLength), half, true);
+  return `${input.slice(0, headLength)}${omittedMarker}${tailLength > 0 ? input.slice(input.length - tailLength) : ''}`;
+}
+
+function estimateJsonTokens(value) {
+  if (value == null) return 0;
+  try {
+    return estimateTextTokens(JSON.stringify(value));
+  } catch (_) {
+    return 0;
+  }
+}
+
+function estimateContentTokens(content) {
+  const { text, images } = splitStoredMessageContent(content);
+  return estimateTextTokens(text) + images.length * IMAGE_TOKEN_ESTIMATE;
+}
+
+function estimateFileAttachmentTokens(attachments) {
+  if (!Array.isArray(attachments)) return 0;
+  return attachments.reduce((sum, attachment) => {
+    const text = typeof attachment?.text === 'string' ? attachment.text : '';
+    return sum + estimateTextTokens(text);
+  }, 0);
+}
+
+/**
+ * 估算一条待发送消息（composeMessages 的输出项）的 token 数。
+ * @param {{content?: any, response_input_items?: Array<any>, tool_calls?: Array<any>, file_attachments?: Array<Object>}} message
+ * @returns {number}
+ */
+export function estimateMessageTokens(message) {
+  if (!message || typeof message !== 'object') return 0;
+  return MESSAGE_OVERHEAD_TOKENS
+    + estimateContentTokens(message.content)
+    + estimateJsonTokens(message.response_input_items)
+    + estimateJsonTokens(message.tool_calls)
+    + estimateFileAttachmentTokens(message.file_attachments);
+}
+
+export function estimateMessagesTokens(messages) {
+  return (Array.isArray(messages) ? messages : []).reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+}
+
+/** 历史节点本身（而非发送消息）的估算，用户消息以实际发送过的 outboundContent 为准 */
+function estimateNodeTokens(node, { dropToolOutputs = false } = {}) {
+  if (!node) return 0;
+  const content = (node.role === 'user' && node.outboundContent != null) ? node.outboundContent : node.content;
+  return MESSAGE_OVERHEAD_TOKENS
+    + estimateContentTokens(content)
+    + (dropToolOutputs ? 0 : estimateJsonTokens(node.response_input_items))
+    + estimateFileAttachmentTokens(node.fileAttachments);
+}
+
+function hasToolOutputs(node) {
+  return Array.isArray(node?.response_input_items) && node.response_input_items.length > 0;
+}
+
+/**
+ * 找出会话链上生效的压缩记录位置；最后一条消息（当前发送的消息）上的记录不生效。
+ * @param {Array<Object>} chain
+ * @returns {{summaryIndex: number, toolsIndex: number}}
+ */
+export function findActiveCompactionIndexes(chain) {
+  const list = Array.isArray(chain) ? chain : [];
+  let summaryIndex = -1;
+  let toolsIndex = -1;
+  for (let i = 0; i < list.length - 1; i++) {
+    const mode = list[i]?.contextCompaction?.mode;
+    if (mode === 'summary' && typeof list[i].contextCompaction.summary === 'string') summaryIndex = i;
+    if (mode === 'drop_tools') toolsIndex = i;
+  }
+  return { summaryIndex, toolsIndex };
+}
+
+/**
+ * 按链上的压缩记录生成实际发送的会话链。被省略工具输出的节点会浅拷贝，不修改历史记录。
+ * @param {Array<Object>} chain
+ * @returns {{chain: Array<Object>, summary: string|null}}
+ */
+export function applyContextCompaction(chain) {
+  const list = Array.isArray(chain) ? chain : [];
+  const { summaryIndex, toolsIndex } = findActiveCompactionIndexes(list);
+  const summary = summaryIndex >= 0 ? list[summaryIndex].contextCompaction.summary : null;
+  const compacted = list.slice(summaryIndex + 1).map((node, offset) => {
+    const index = summaryIndex + 1 + offset;
+    if (index > toolsIndex || !hasToolOutputs(node)) return node;
+    return { ...node, response_input_items: null };
+  });
+  return { chain: compacted, summary };
+}
+
+/**
+ * 规划一次压缩：先尝试省略较早消息的工具输出；仍超出预算且允许摘要时，再把较早的消息整体摘要。
+ *
+ * - 边界总在最后一条用户消息（当前发送的消息）之前，摘要边界之后保留的部分以用户消息开头；
+ * - 摘要只覆盖上一次摘要之后的新消息，previousSummary 交给调用方一并并入新摘要。
+ *
+ * @param {Array<Object>} chain - 即将发送的会话链（按时间顺序，最后一条是当前用户消息）
+ * @param {{
+ *   currentTokens: number,
+ *   budgetTokens: number,
+ *   mode: 'drop_tools'|'summarize',
+ *   keepRecentRatio?: number
+ * }} options
+ * @returns {null|{mode: 'drop_tools', boundaryId: string}
+ *   |{mode: 'summary', boundaryId: string, coveredNodes: Array<Object>, previousSummary: string|null}}
+ */
+export function planContextCompaction(chain, options = {}) {
+  const list = Array.isArray(chain) ? chain : [];
+  const currentTokens = Number(options.currentTokens) || 0;
+  const budgetTokens = Number(options.budgetTokens) || 0;
+  if (!list.length || budgetTokens <= 0 || currentTokens <= budgetTokens) return null;
+
+  let lastUserIndex = -1;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i]?.role === 'user') {
+      lastUserIndex = i;
+      break;
+    }
+  }
+  if (lastUserIndex <= 0) return null;
+
+  const { summaryIndex, toolsIndex } = findActiveCompactionIndexes(list);
+  const toolsBoundary = lastUserIndex - 1;
+  let toolSavings = 0;
+  for (let i = Math.max(summaryIndex, toolsIndex) + 1; i <= toolsBoundary; i++) {
+    if (!hasToolOutputs(list[i])) continue;
+    toolSavings += estimateJsonTokens(list[i].response_input_items);
+  }
+  const afterDroppingTools = currentTokens - toolSavings;
+  const dropToolsPlan = toolSavings > 0 ? { mode: 'drop_tools', boundaryId: list[toolsBoundary].id } : null;
+  if (afterDroppingTools <= budgetTokens || options.mode !== 'summarize') return dropToolsPlan;
+
+  // 从末尾向前累计要保留的最近消息，超出保留预算即停；当前用户消息无论多长都保留
+  const ratio = Number.isFinite(options.keepRecentRatio) ? options.keepRecentRatio : CONTEXT_COMPACTION_KEEP_RECENT_RATIO;
+  const keepBudget = budgetTokens * ratio;
+  let keptTokens = 0;
+  let firstKeptIndex = list.length;
+  for (let i = list.length - 1; i > summaryIndex; i--) {
+    const tokens = estimateNodeTokens(list[i], { dropToolOutputs: i <= toolsIndex });
+    if (i < lastUserIndex && keptTokens + tokens > keepBudget) break;
+    keptTokens += tokens;
+    firstKeptIndex = i;
+  }
+  while (firstKeptIndex < lastUserIndex && list[firstKeptIndex]?.role !== 'user') firstKeptIndex++;
+  const boundaryIndex = firstKeptIndex - 1;
+  if (boundaryIndex <= summaryIndex) return dropToolsPlan;
+
+  return {
+    mode: 'summary',
+    boundaryId: list[boundaryIndex].id,
+    coveredNodes: list.slice(summaryIndex + 1, boundaryIndex + 1),
+    previousSummary: summaryIndex >= 0 ? list[summaryIndex].contextCompaction.summary : null
+  };
+}
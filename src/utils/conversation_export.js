@@ -0,0 +1,632 @@
+/**
+ * 会话导出（纯函数）：把会话记录整理成可读的 Markdown / HTML / JSON。
+ *
+ * 与“备份”的区别：
+ * - 备份（backupConversations）导出的是数据库原始记录，用于恢复；
+ * - 这里导出的是“给人看/给其他工具读”的文档：只保留主链（或整棵分支树）与划词线程，去掉内部字段。
+ *
+ * 导出范围：
+ * - `chain`：单个会话从根消息到当前节点的主链；
+ * - `tree`：以 parentConversationId 串起来的整棵分支树。分支会话复制了父会话的前缀消息，
+ *   导出时按 forkedFromMessageId 省略这段共有前缀，只保留分叉之后的内容。
+ *
+ * 划词线程（selection_thread_manager）挂在锚点消息的 threadAnnotations 上，导出为锚点消息下的嵌套小节；
+ * 线程里隐藏的“> 选中文本”根节点不作为消息输出，而是作为小节的引用文本。
+ *
+ * JSON 格式（format = CONVERSATION_EXPORT_FORMAT，version = CONVERSATION_EXPORT_VERSION）：
+ *
+ * @typedef {Object} ConversationExportDocument
+ * @property {string} format - 固定为 'cerebr.conversation-export'
+ * @property {number} version - 格式版本，结构出现不兼容变化时递增
+ * @property {'chain'|'tree'} scope - 导出范围
+ * @property {string} exportedAt - 导出时间（ISO 8601）
+ * @property {string} title - 文档标题（树导出时取根会话标题）
+ * @property {ExportConversation[]} conversations - chain 时只有一项；tree 时按先序排列（父会话在前）
+ * @property {ExportImage[]} images - 文档内所有图片（按首次出现顺序去重）
+ *
+ * @typedef {Object} ExportConversation
+ * @property {string} id
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} url - 会话来源页面
+ * @property {string|null} startTime - ISO 8601
+ * @property {string|null} endTime - ISO 8601
+ * @property {string|null} parentConversationId - 分支来源会话
+ * @property {string|null} forkedFromMessageId - 分支点（父会话中的消息 ID）
+ * @property {number} depth - 在分支树中的深度，根为 0
+ * @property {number} omittedPrefixCount - 省略的与父会话共有的前缀消息数（chain 导出恒为 0）
+ * @property {{displayName:string, modelName:string}|null} api - 会话锁定的 API（若有）
+ * @property {ExportMessage[]} messages - 主链消息（已省略共有前缀）
+ *
+ * @typedef {Object} ExportMessage
+ * @property {string} id
+ * @property {'user'|'assistant'|'system'} role
+ * @property {string|null} createdAt - ISO 8601
+ * @property {string} model - 生成该消息的模型名（用户消息为空串）
+ * @property {string} apiDisplayName - 生成该消息的 API 显示名
+ * @property {string} text - Markdown 原文（LaTeX 保持 `$...$` / `\(...\)` 原样）
+ * @property {string} reasoning - 思考过程原文（无则空串）
+ * @property {string[]} imageIds - 引用 images[].id
+ * @property {ExportThread[]} threads - 以该消息为锚点的划词线程
+ *
+ * @typedef {Object} ExportThread
+ * @property {string} id
+ * @property {string} selectionText - 划选的原文
+ * @property {string|null} createdAt - ISO 8601
+ * @property {ExportMessage[]} messages - 线程内消息（不含隐藏的选区根节点），可继续嵌套线程
+ *
+ * @typedef {Object} ExportImage
+ * @property {string} id - 形如 img-001
+ * @property {string} fileName - Markdown 导出时的相对路径，形如 images/img-001.png
+ * @property {string} mimeType
+ * @property {string} url - 原始 image_url.url（可能是 data: / http(s): / file:）
+ * @property {string} path - 原始 image_url.path（本地图片相对下载目录的路径）
+ */
+
+import { splitStoredMessageContent } from './message_content.js';
+
+export const CONVERSATION_EXPORT_FORMAT = 'cerebr.conversation-export';
+export const CONVERSATION_EXPORT_VERSION = 1;
+
+/**
+ * HTML 导出会从侧栏读取的主题变量；未提供时回落到浅色主题默认值。
+ */
+export const CONVERSATION_EXPORT_THEME_VARIABLES = Object.freeze({
+  '--cerebr-bg-color': '#ffffff',
+  '--cerebr-text-color': '#222',
+  '--cerebr-message-user-bg': 'rgb(227, 242, 253)',
+  '--cerebr-message-ai-bg': 'rgb(245, 245, 245)',
+  '--cerebr-border-color': '#e1e4e8',
+  '--cerebr-highlight': 'rgb(0, 105, 255)',
+  '--cerebr-icon-color': '#666',
+  '--cerebr-code-bg': '#f6f8fa',
+  '--cerebr-code-color': '#24292e',
+  '--cerebr-code-border': '#e1e4e8',
+  '--cerebr-inline-code-bg': 'rgba(0, 0, 0, 0.1)',
+  '--cerebr-font-size': '14px'
+});
+
+const ROLE_LABELS = { user: '用户', assistant: '助手', system: '系统' };
+
+const IMAGE_MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/avif': 'avif'
+};
+
+function safeString(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+function toIsoTime(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num <= 0) return null;
+  try {
+    return new Date(num).toISOString();
+  } catch (_) {
+    return null;
+  }
+}
+
+function normalizeRole(role) {
+  if (role === 'user' || role === 'system') return role;
+  return 'assistant';
+}
+
+function isMainChainMessage(message) {
+  return !!message && !message.threadId && !message.threadHiddenSelection;
+}
+
+function buildMessageIndex(conversation) {
+  const byId = new Map();
+  (Array.isArray(conversation?.messages) ? conversation.messages : []).forEach((message) => {
+    if (message && typeof message.id === 'string' && message.id) byId.set(message.id, message);
+  });
+  return byId;
+}
+
+/**
+ * 取会话主链：从叶子节点沿 parentId 回溯到根。
+ * 未指定叶子时与加载会话一致：取最后一条非线程消息作为当前节点。
+ * @param {Object} conversation
+ * @param {string} [leafMessageId]
+ * @returns {Object[]} 从根到叶的消息节点
+ */
+export function collectConversationMainChain(conversation, leafMessageId = '') {
+  const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
+  const byId = buildMessageIndex(conversation);
+  let leaf = leafMessageId ? byId.get(leafMessageId) : null;
+  if (!isMainChainMessage(leaf)) {
+    leaf = null;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (isMainChainMessage(messages[i])) {
+        leaf = messages[i];
+        break;
+      }
+    }
+  }
+  const chain = [];
+  const seen = new Set();
+  let node = leaf;
+  while (node && !seen.has(node.id)) {
+    seen.add(node.id);
+    chain.unshift(node);
+    node = node.parentId ? byId.get(node.parentId) : null;
+  }
+  return chain;
+}
+
+/**
+ * 与 selection_thread_manager 的 collectThreadChain 相同：从 lastMessageId 回溯到 rootMessageId。
+ */
+function collectThreadChain(annotation, byId) {
+  const rootId = safeString(annotation?.rootMessageId);
+  if (!rootId) return [];
+  const chain = [];
+  const seen = new Set();
+  let currentId = safeString(annotation.lastMessageId) || rootId;
+  while (currentId && !seen.has(currentId)) {
+    seen.add(currentId);
+    const node = byId.get(currentId);
+    if (!node) break;
+    chain.unshift(node);
+    if (currentId === rootId) break;
+    currentId = node.parentId;
+  }
+  if (chain.length && chain[0].id !== rootId && byId.has(rootId)) {
+    chain.unshift(byId.get(rootId));
+  }
+  return chain;
+}
+
+function guessImageMimeType(imageUrl) {
+  const url = safeString(imageUrl?.url).trim();
+  const dataMatch = url.match(/^data:([^;,]+)[;,]/i);
+  if (dataMatch) return dataMatch[1].toLowerCase();
+  const candidate = safeString(imageUrl?.path).trim() || url;
+  const extMatch = candidate.match(/\.([a-z0-9]+)(?:[?#].*)?$/i);
+  const ext = extMatch ? extMatch[1].toLowerCase() : '';
+  const found = Object.entries(IMAGE_MIME_EXTENSIONS).find(([, value]) => value === ext || (ext === 'jpeg' && value === 'jpg'));
+  return found ? found[0] : 'image/png';
+}
+
+function createImageRegistry() {
+  const images = [];
+  const idByKey = new Map();
+  return {
+    images,
+    register(imageUrl) {
+      const url = safeString(imageUrl?.url).trim();
+      const path = safeString(imageUrl?.path).trim();
+      const key = path || url;
+      if (!key) return '';
+      if (idByKey.has(key)) return idByKey.get(key);
+      const id = `img-${String(images.length + 1).padStart(3, '0')}`;
+      const mimeType = guessImageMimeType(imageUrl);
+      images.push({
+        id,
+        fileName: `images/${id}.${IMAGE_MIME_EXTENSIONS[mimeType] || 'png'}`,
+        mimeType,
+        url,
+        path
+      });
+      idByKey.set(key, id);
+      return id;
+    }
+  };
+}
+
+function buildExportMessage(message, context) {
+  context.visited.add(message.id);
+  const { text, images } = splitStoredMessageContent(message.content);
+  const role = normalizeRole(message.role);
+  const threads = [];
+  const annotations = Array.isArray(message.threadAnnotations) ? message.threadAnnotations : [];
+  annotations.forEach((annotation) => {
+    const chain = collectThreadChain(annotation, context.byId)
+      .filter(node => !context.visited.has(node.id));
+    const hiddenRoot = chain.find(node => node.threadHiddenSelection);
+    const threadMessages = chain
+      .filter(node => !node.threadHiddenSelection)
+      .map(node => buildExportMessage(node, context));
+    if (!threadMessages.length) return;
+    threads.push({
+      id: safeString(annotation.id),
+      selectionText: safeString(annotation.selectionText) || safeString(hiddenRoot?.threadSelectionText),
+      createdAt: toIsoTime(annotation.createdAt),
+      messages: threadMessages
+    });
+  });
+  return {
+    id: message.id,
+    role,
+    createdAt: toIsoTime(message.timestamp),
+    model: role === 'assistant' ? safeString(message.apiModelId) : '',
+    apiDisplayName: role === 'assistant' ? safeString(message.apiDisplayName) : '',
+    text: text || '',
+    reasoning: safeString(message.thoughtsRaw),
+    imageIds: images.map(image => context.images.register(image)).filter(Boolean),
+    threads
+  };
+}
+
+function buildExportConversation(conversation, chain, { depth, omittedPrefixCount, images }) {
+  const context = { byId: buildMessageIndex(conversation), visited: new Set(), images };
+  const apiLock = conversation.apiLock && typeof conversation.apiLock === 'object' ? conversation.apiLock : null;
+  return {
+    id: safeString(conversation.id),
+    title: safeString(conversation.title),
+    summary: safeString(conversation.summary),
+    url: safeString(conversation.url),
+    startTime: toIsoTime(conversation.startTime),
+    endTime: toIsoTime(conversation.endTime),
+    parentConversationId: safeString(conversation.parentConversationId) || null,
+    forkedFromMessageId: safeString(conversation.forkedFromMessageId) || null,
+    depth,
+    omittedPrefixCount,
+    api: apiLock
+      ? { displayName: safeString(apiLock.displayName), modelName: safeString(apiLock.modelName) }
+      : null,
+    messages: chain.slice(omittedPrefixCount).map(message => buildExportMessage(message, context))
+  };
+}
+
+function pickConversationTitle(conversation) {
+  return safeString(conversation?.title).trim()
+    || safeString(conversation?.summary).trim()
+    || '未命名对话';
+}
+
+/**
+ * 构建导出文档（即 JSON 导出的内容，Markdown/HTML 也由它渲染）。
+ * @param {Object} options
+ * @param {Object[]} options.conversations - 完整会话记录；chain 只用第一项，tree 传整棵树的所有会话
+ * @param {'chain'|'tree'} [options.scope='chain']
+ * @param {string} [options.leafMessageId] - chain 导出时的叶子节点（默认取最后一条主链消息）
+ * @param {string} [options.rootConversationId] - tree 导出时优先作为根的会话
+ * @param {number} [options.exportedAt] - 时间戳，默认 Date.now()
+ * @returns {ConversationExportDocument}
+ */
+export function buildConversationExportDocument(options = {}) {
+  const conversations = (Array.isArray(options.conversations) ? options.conversations : [])
+    .filter(conv => conv && typeof conv.id === 'string' && conv.id);
+  const scope = options.scope === 'tree' ? 'tree' : 'chain';
+  const images = createImageRegistry();
+  const exported = [];
+
+  if (scope === 'chain') {
+    const conversation = conversations[0];
+    if (conversation) {
+      const chain = collectConversationMainChain(conversation, options.leafMessageId);
+      exported.push(buildExportConversation(conversation, chain, { depth: 0, omittedPrefixCount: 0, images }));
+    }
+  } else {
+    const byId = new Map(conversations.map(conv => [conv.id, conv]));
+    const childrenByParent = new Map();
+    const roots = [];
+    conversations.forEach((conv) => {
+      const parentId = safeString(conv.parentConversationId).trim();
+      if (parentId && parentId !== conv.id && byId.has(parentId)) {
+        if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+        childrenByParent.get(parentId).push(conv);
+      } else {
+        roots.push(conv);
+      }
+    });
+    const byStartTime = (a, b) => (Number(a.startTime) || 0) - (Number(b.startTime) || 0);
+    roots.sort(byStartTime);
+    const preferredRootIndex = roots.findIndex(conv => conv.id === options.rootConversationId);
+    if (preferredRootIndex > 0) roots.unshift(...roots.splice(preferredRootIndex, 1));
+
+    const visited = new Set();
+    const visit = (conv, depth, parentChain) => {
+      if (visited.has(conv.id)) return;
+      visited.add(conv.id);
+      const chain = collectConversationMainChain(conv);
+      let omittedPrefixCount = 0;
+      if (parentChain && conv.forkedFromMessageId) {
+        const forkIndex = parentChain.findIndex(message => message.id === conv.forkedFromMessageId);
+        if (forkIndex >= 0) omittedPrefixCount = Math.min(forkIndex + 1, chain.length);
+      }
+      exported.push(buildExportConversation(conv, chain, { depth, omittedPrefixCount, images }));
+      (childrenByParent.get(conv.id) || []).sort(byStartTime).forEach(child => visit(child, depth + 1, chain));
+    };
+    roots.forEach(root => visit(root, 0, null));
+  }
+
+  return {
+    format: CONVERSATION_EXPORT_FORMAT,
+    version: CONVERSATION_EXPORT_VERSION,
+    scope,
+    exportedAt: toIsoTime(options.exportedAt ?? Date.now()) || new Date().toISOString(),
+    title: pickConversationTitle(exported[0]),
+    conversations: exported,
+    images: images.images
+  };
+}
+
+/**
+ * 本地时间的简短格式：YYYY-MM-DD HH:mm
+ * @param {string|null} iso
+ * @returns {string}
+ */
+export function formatConversationExportTime(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad2 = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function describeMessageHeading(message) {
+  const parts = [ROLE_LABELS[message.role] || message.role];
+  const modelLabel = message.model || message.apiDisplayName;
+  if (modelLabel) parts.push(modelLabel);
+  const time = formatConversationExportTime(message.createdAt);
+  if (time) parts.push(time);
+  return parts.join(' · ');
+}
+
+function summarizeSelection(text, maxLength = 40) {
+  const flat = safeString(text).replace(/\s+/g, ' ').trim();
+  return flat.length > maxLength ? `${flat.slice(0, maxLength)}…` : flat;
+}
+
+function findForkParentTitle(doc, conversation) {
+  const parent = doc.conversations.find(conv => conv.id === conversation.parentConversationId);
+  return parent ? (parent.title || parent.summary || '未命名对话') : '';
+}
+
+function quoteMarkdown(text) {
+  return safeString(text).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * 渲染为 Markdown：正文保持原样（含 LaTeX），图片写成相对路径 images/xxx。
+ * @param {ConversationExportDocument} doc
+ * @returns {string}
+ */
+export function renderConversationExportMarkdown(doc) {
+  const imageById = new Map((doc?.images || []).map(image => [image.id, image]));
+  const isTree = doc?.scope === 'tree';
+  const lines = [];
+  const heading = (level, text) => `${'#'.repeat(Math.min(6, level))} ${text}`;
+
+  const pushMessage = (message, level) => {
+    lines.push(heading(level, describeMessageHeading(message)), '');
+    if (message.reasoning.trim()) {
+      lines.push('<details>', '<summary>思考过程</summary>', '', message.reasoning.trim(), '', '</details>', '');
+    }
+    if (message.text.trim()) {
+      lines.push(message.text.trim(), '');
+    }
+    message.imageIds.forEach((imageId) => {
+      const image = imageById.get(imageId);
+      if (image) lines.push(`![${image.id}](${image.fileName})`, '');
+    });
+    message.threads.forEach((thread) => {
+      lines.push(heading(level + 1, `划词线程：${summarizeSelection(thread.selectionText) || '（无选区）'}`), '');
+      if (thread.selectionText.trim()) lines.push(quoteMarkdown(thread.selectionText.trim()), '');
+      thread.messages.forEach(child => pushMessage(child, level + 2));
+    });
+  };
+
+  lines.push(heading(1, doc?.title || '未命名对话'), '');
+  const exportedAt = formatConversationExportTime(doc?.exportedAt);
+  if (exportedAt) lines.push(`- 导出时间：${exportedAt}`);
+  if (!isTree) {
+    const conversation = doc?.conversations?.[0];
+    if (conversation?.url) lines.push(`- 来源：<${conversation.url}>`);
+    if (conversation?.api?.displayName) lines.push(`- API：${conversation.api.displayName}`);
+  }
+  lines.push('');
+
+  (doc?.conversations || []).forEach((conversation) => {
+    let messageLevel = 2;
+    if (isTree) {
+      const prefix = conversation.depth > 0 ? `${'↳ '.repeat(conversation.depth)}分支：` : '';
+      lines.push(heading(2, `${prefix}${conversation.title || conversation.summary || '未命名对话'}`), '');
+      if (conversation.url) lines.push(`来源：<${conversation.url}>`, '');
+      if (conversation.omittedPrefixCount > 0) {
+        const parentTitle = findForkParentTitle(doc, conversation);
+        lines.push(`> 从「${parentTitle}」第 ${conversation.omittedPrefixCount} 条消息处分出，此前的消息见父会话。`, '');
+      }
+      messageLevel = 3;
+    }
+    conversation.messages.forEach(message => pushMessage(message, messageLevel));
+  });
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+/**
+ * JSON 导出：即文档本身，缩进两格。
+ * @param {ConversationExportDocument} doc
+ * @returns {string}
+ */
+export function serializeConversationExportJson(doc) {
+  return `${JSON.stringify(doc, null, 2)}\n`;
+}
+
+/**
+ * HTML 转义。
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeExportHtml(text) {
+  return safeString(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 侧栏背景色多为带透明度的 rgba（受 --cerebr-opacity 影响），独立页面里需要不透明的底色。
+ * @param {string} value
+ * @returns {string}
+ */
+export function toOpaqueExportColor(value) {
+  const raw = safeString(value).trim();
+  const match = raw.match(/^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*[\d.]+%?\s*\)$/i);
+  return match ? `rgb(${match[1]}, ${match[2]}, ${match[3]})` : raw;
+}
+
+const HTML_BASE_CSS = `
+* { box-sizing: border-box; }
+html { background: var(--cerebr-bg-color); color-scheme: var(--cerebr-export-color-scheme, light); }
+body { margin: 0; color: var(--cerebr-text-color); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; font-size: var(--cerebr-font-size); line-height: 1.6; }
+main { max-width: 880px; margin: 0 auto; padding: 32px 20px 64px; }
+a { color: var(--cerebr-highlight); }
+.export-header h1 { margin: 0 0 6px; font-size: 1.6em; }
+.export-meta { margin: 0 0 24px; color: var(--cerebr-icon-color); font-size: 0.9em; }
+.export-conversation { margin-bottom: 32px; }
+.export-conversation > h2 { font-size: 1.2em; border-bottom: 1px solid var(--cerebr-border-color); padding-bottom: 6px; }
+.export-fork-note { color: var(--cerebr-icon-color); font-size: 0.9em; }
+.message { padding: 12px; border-radius: 8px; margin: 12px 0; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1); word-wrap: break-word; }
+.user-message { background-color: var(--cerebr-message-user-bg); margin-left: 15%; border-bottom-right-radius: 4px; }
+.ai-message, .system-message { background-color: var(--cerebr-message-ai-bg); border-bottom-left-radius: 4px; }
+.message-meta { font-size: 0.8em; color: var(--cerebr-icon-color); margin-bottom: 6px; }
+.message-images img { max-width: 100%; border-radius: 4px; display: block; margin-top: 8px; }
+.thoughts { margin-bottom: 8px; padding: 6px 10px; border-left: 3px solid var(--cerebr-border-color); font-size: 0.92em; }
+.thoughts summary { cursor: pointer; color: var(--cerebr-icon-color); }
+.thread { margin: 12px 0 0 12px; padding: 4px 0 4px 12px; border-left: 2px solid var(--cerebr-highlight); }
+.thread-title { font-size: 0.85em; color: var(--cerebr-highlight); margin: 4px 0; }
+.thread-selection { margin: 4px 0 8px; }
+blockquote { margin: 8px 0; padding: 2px 12px; border-left: 3px solid var(--cerebr-border-color); color: var(--cerebr-icon-color); }
+pre { background: var(--cerebr-code-bg); color: var(--cerebr-code-color); border: 1px solid var(--cerebr-code-border); border-radius: 6px; padding: 10px; overflow-x: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+:not(pre) > code { background: var(--cerebr-inline-code-bg); border-radius: 4px; padding: 0 4px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid var(--cerebr-border-color); padding: 4px 8px; }
+.message-text > :first-child { margin-top: 0; }
+.message-text > :last-child { margin-bottom: 0; }
+`;
+
+/**
+ * 渲染为独立 HTML 文件（样式内联，主题取自侧栏的 --cerebr-* 变量）。
+ * @param {ConversationExportDocument} doc
+ * @param {Object} [options]
+ * @param {(markdown:string) => string} [options.renderMarkdown] - Markdown -> 安全 HTML；缺省时按纯文本输出
+ * @param {Map<string,string>|Object} [options.imageSources] - images[].id -> 可直接嵌入的 src（通常是 data URL）
+ * @param {Object<string,string>} [options.themeVariables] - 覆盖主题变量
+ * @param {'light'|'dark'} [options.colorScheme='light']
+ * @param {string} [options.extraCss] - 额外样式（如 KaTeX / 代码高亮）
+ * @returns {string}
+ */
+export function renderConversationExportHtml(doc, options = {}) {
+  const renderMarkdown = typeof options.renderMarkdown === 'function'
+    ? options.renderMarkdown
+    : (markdown => `<pre>${escapeExportHtml(markdown)}</pre>`);
+  const imageSources = options.imageSources instanceof Map
+    ? options.imageSources
+    : new Map(Object.entries(options.imageSources || {}));
+  const imageById = new Map((doc?.images || []).map(image => [image.id, image]));
+  const isTree = doc?.scope === 'tree';
+
+  const theme = { ...CONVERSATION_EXPORT_THEME_VARIABLES };
+  Object.entries(options.themeVariables || {}).forEach(([name, value]) => {
+    if (name.startsWith('--cerebr-') && safeString(value).trim()) theme[name] = safeString(value).trim();
+  });
+  theme['--cerebr-bg-color'] = toOpaqueExportColor(theme['--cerebr-bg-color']);
+  theme['--cerebr-export-color-scheme'] = options.colorScheme === 'dark' ? 'dark' : 'light';
+  // 变量值来自 getComputedStyle，去掉可能破坏 <style> 的字符
+  const themeCss = `:root {\n${Object.entries(theme)
+    .map(([name, value]) => `  ${name}: ${value.replace(/[<>{};]/g, '')};`)
+    .join('\n')}\n}`;
+
+  const renderMessage = (message) => {
+    const roleClass = message.role === 'user' ? 'user-message' : (message.role === 'system' ? 'system-message' : 'ai-message');
+    const parts = [`<section class="message ${roleClass}" id="msg-${escapeExportHtml(message.id)}">`];
+    parts.push(`<div class="message-meta">${escapeExportHtml(describeMessageHeading(message))}</div>`);
+    if (message.reasoning.trim()) {
+      parts.push(`<details class="thoughts"><summary>思考过程</summary>${renderMarkdown(message.reasoning)}</details>`);
+    }
+    if (message.text.trim()) {
+      parts.push(`<div class="message-text">${renderMarkdown(message.text)}</div>`);
+    }
+    if (message.imageIds.length) {
+      const imgs = message.imageIds.map((imageId) => {
+        const image = imageById.get(imageId);
+        const src = imageSources.get(imageId) || image?.url || image?.path || '';
+        return src ? `<img src="${escapeExportHtml(src)}" alt="${escapeExportHtml(imageId)}">` : '';
+      }).join('');
+      if (imgs) parts.push(`<div class="message-images">${imgs}</div>`);
+    }
+    message.threads.forEach((thread) => {
+      parts.push('<div class="thread">');
+      parts.push(`<div class="thread-title">划词线程：${escapeExportHtml(summarizeSelection(thread.selectionText) || '（无选区）')}</div>`);
+      if (thread.selectionText.trim()) {
+        parts.push(`<blockquote class="thread-selection">${escapeExportHtml(thread.selectionText.trim()).replace(/\n/g, '<br>')}</blockquote>`);
+      }
+      thread.messages.forEach(child => parts.push(renderMessage(child)));
+      parts.push('</div>');
+    });
+    parts.push('</section>');
+    return parts.join('\n');
+  };
+
+  const body = [];
+  const title = doc?.title || '未命名对话';
+  const metaParts = [];
+  const exportedAt = formatConversationExportTime(doc?.exportedAt);
+  if (exportedAt) metaParts.push(`导出时间：${escapeExportHtml(exportedAt)}`);
+  const firstConversation = doc?.conversations?.[0];
+  if (!isTree && firstConversation?.url) {
+    metaParts.push(`来源：<a href="${escapeExportHtml(firstConversation.url)}">${escapeExportHtml(firstConversation.url)}</a>`);
+  }
+  body.push(`<header class="export-header"><h1>${escapeExportHtml(title)}</h1><p class="export-meta">${metaParts.join(' · ')}</p></header>`);
+
+  (doc?.conversations || []).forEach((conversation) => {
+    body.push(`<article class="export-conversation" id="conv-${escapeExportHtml(conversation.id)}">`);
+    if (isTree) {
+      const prefix = conversation.depth > 0 ? `${'↳ '.repeat(conversation.depth)}分支：` : '';
+      body.push(`<h2>${escapeExportHtml(prefix + (conversation.title || conversation.summary || '未命名对话'))}</h2>`);
+      if (conversation.omittedPrefixCount > 0) {
+        const parentTitle = findForkParentTitle(doc, conversation);
+        body.push(`<p class="export-fork-note">从<a href="#conv-${escapeExportHtml(conversation.parentConversationId || '')}">「${escapeExportHtml(parentTitle)}」</a>第 ${conversation.omittedPrefixCount} 条消息处分出，此前的消息见父会话。</p>`);
+      }
+    }
+    conversation.messages.forEach(message => body.push(renderMessage(message)));
+    body.push('</article>');
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="zh-CN">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<meta name="generator" content="Cerebr ${CONVERSATION_EXPORT_FORMAT}/${CONVERSATION_EXPORT_VERSION}">`,
+    `<title>${escapeExportHtml(title)}</title>`,
+    `<style>\n${themeCss}\n${HTML_BASE_CSS}\n${safeString(options.extraCss).replace(/<\/style/gi, '<\\/style')}\n</style>`,
+    '</head>',
+    '<body>',
+    '<main>',
+    body.join('\n'),
+    '</main>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * 导出文件的基础名（不含扩展名）：标题 + 时间，去掉文件系统不允许的字符。
+ * @param {ConversationExportDocument} doc
+ * @returns {string}
+ */
+export function buildConversationExportBaseName(doc) {
+  const rawTitle = safeString(doc?.title).replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim();
+  const title = (rawTitle || 'conversation').slice(0, 60).trim();
+  const date = new Date(doc?.exportedAt || Date.now());
+  const pad2 = n => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}_${pad2(date.getHours())}${pad2(date.getMinutes())}${pad2(date.getSeconds())}`;
+  return `${title}${doc?.scope === 'tree' ? '_tree' : ''}_${stamp}`;
+}
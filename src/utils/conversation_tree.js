@@ -0,0 +1,349 @@
+/**
+ * 对话分支图的纯函数：把 chatHistory 的消息树整理成 cytoscape 元素，以及“把划词线程合并进主对话”“剪掉消息子树”的树操作。
+ *
+ * 本仓库里的“分支”有两类：
+ * - 划词线程：挂在主对话某条消息（锚点）下的旁支，线程首个节点是隐藏的引用节点（threadHiddenSelection），
+ *   锚点消息的 threadAnnotations 记录线程的 rootMessageId / lastMessageId；
+ * - 分支对话：createForkConversation 从某条消息处复制出的独立会话，用 parentConversationId / forkedFromMessageId 关联。
+ * 主对话按 messages 顺序线性渲染，所以图里主对话是一条主干，线程与分支对话都画成侧枝。
+ */
+import { splitStoredMessageContent } from './message_content.js';
+
+export const CONVERSATION_TREE_LABEL_MAX_LENGTH = 36;
+
+const THREAD_FIELD_KEYS = [
+  'threadId',
+  'threadAnchorId',
+  'threadSelectionText',
+  'threadRootId',
+  'threadHiddenSelection',
+  'threadMatchIndex'
+];
+
+function isThreadNode(node) {
+  return !!(node?.threadId || node?.threadHiddenSelection);
+}
+
+/**
+ * 取消息正文的单行摘要（图片消息显示为“[图片]”）。
+ * @param {any} content
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function summarizeTreeNodeText(content, maxLength = CONVERSATION_TREE_LABEL_MAX_LENGTH) {
+  const { text, images } = splitStoredMessageContent(content);
+  const plain = String(text || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const summary = plain || (images.length ? '[图片]' : '（空消息）');
+  return summary.length > maxLength ? `${summary.slice(0, maxLength)}…` : summary;
+}
+
+/**
+ * 构建对话分支图的 cytoscape 元素。
+ *
+ * - 隐藏的线程引用节点不单独显示，线程首条消息直接连到锚点消息；
+ * - current 标记从根到 currentNode 的主干，active 标记当前打开的线程；
+ * - 子分支对话挂在 forkedFromMessageId 对应的消息下（该消息已删除时不连线），父会话画在根消息之上；
+ * - 带 contextCompaction 记录的主对话消息下挂一个摘要节点（kind: 'compaction'），表示此处发生过上下文压缩。
+ *
+ * @param {Array<Object>} messages - chatHistory.messages
+ * @param {{
+ *   currentNodeId?: string|null,
+ *   activeThreadId?: string|null,
+ *   parentConversation?: {id: string, summary?: string}|null,
+ *   childConversations?: Array<{id: string, summary?: string, forkedFromMessageId?: string|null}>
+ * }} [options]
+ * @returns {Array<{group: 'nodes'|'edges', data: Object}>}
+ */
+export function buildConversationTreeElements(messages, options = {}) {
+  const list = Array.isArray(messages) ? messages.filter(msg => msg && typeof msg.id === 'string' && msg.id) : [];
+  const byId = new Map(list.map(msg => [msg.id, msg]));
+  const activeThreadId = options.activeThreadId || null;
+
+  const onCurrentPath = new Set();
+  let cursor = options.currentNodeId ? byId.get(options.currentNodeId) : null;
+  while (cursor && !onCurrentPath.has(cursor.id)) {
+    onCurrentPath.add(cursor.id);
+    cursor = cursor.parentId ? byId.get(cursor.parentId) : null;
+  }
+
+  // 线程首条消息的父节点是隐藏引用节点，连线时改挂到锚点上
+  const resolveVisibleParentId = (msg) => {
+    let parent = msg.parentId ? byId.get(msg.parentId) : null;
+    if (parent?.threadHiddenSelection) {
+      const anchorId = parent.threadAnchorId || parent.parentId || null;
+      parent = anchorId ? byId.get(anchorId) : null;
+    }
+    return parent ? parent.id : null;
+  };
+
+  const nodes = [];
+  const edges = [];
+  let rootMessageId = null;
+  for (const msg of list) {
+    if (msg.threadHiddenSelection) continue;
+    const branch = msg.threadId ? 'thread' : 'main';
+    const role = String(msg.role || '').toLowerCase() === 'assistant' ? 'ai' : String(msg.role || 'user').toLowerCase();
+    const parentId = resolveVisibleParentId(msg);
+    nodes.push({
+      group: 'nodes',
+      data: {
+        id: msg.id,
+        kind: 'message',
+        messageId: msg.id,
+        role,
+        branch,
+        threadId: msg.threadId || null,
+        label: summarizeTreeNodeText(msg.content),
+        current: onCurrentPath.has(msg.id),
+        active: !!(activeThreadId && msg.threadId === activeThreadId),
+        hasParent: !!parentId
+      }
+    });
+    if (parentId) {
+      edges.push({
+        group: 'edges',
+        data: { id: `${parentId}->${msg.id}`, source: parentId, target: msg.id, branch }
+      });
+    } else if (!rootMessageId && branch === 'main') {
+      rootMessageId = msg.id;
+    }
+    // 上下文压缩记录画成挂在边界消息上的摘要节点
+    if (msg.contextCompaction && !msg.threadId) {
+      const compactionNodeId = `compaction:${msg.id}`;
+      const record = msg.contextCompaction;
+      nodes.push({
+        group: 'nodes',
+        data: {
+          id: compactionNodeId,
+          kind: 'compaction',
+          messageId: msg.id,
+          branch: 'compaction',
+          label: record.mode === 'summary'
+            ? `摘要：${summarizeTreeNodeText(record.summary || '')}`
+            : '已省略此前的工具输出'
+        }
+      });
+      edges.push({
+        group: 'edges',
+        data: { id: `${msg.id}->${compactionNodeId}`, source: msg.id, target: compactionNodeId, branch: 'compaction' }
+      });
+    }
+  }
+
+  const parentConversation = options.parentConversation;
+  if (parentConversation?.id) {
+    const nodeId = `conversation:${parentConversation.id}`;
+    nodes.unshift({
+      group: 'nodes',
+      data: {
+        id: nodeId,
+        kind: 'parent',
+        conversationId: parentConversation.id,
+        branch: 'fork',
+        label: `父对话：${summarizeTreeNodeText(parentConversation.summary || '未命名对话')}`
+      }
+    });
+    if (rootMessageId) {
+      edges.push({
+        group: 'edges',
+        data: { id: `${nodeId}->${rootMessageId}`, source: nodeId, target: rootMessageId, branch: 'fork' }
+      });
+    }
+  }
+
+  const childConversations = Array.isArray(options.childConversations) ? options.childConversations : [];
+  for (const child of childConversations) {
+    if (!child?.id) continue;
+    const nodeId = `conversation:${child.id}`;
+    nodes.push({
+      group: 'nodes',
+      data: {
+        id: nodeId,
+        kind: 'fork',
+        conversationId: child.id,
+        branch: 'fork',
+        label: `分支对话：${summarizeTreeNodeText(child.summary || '未命名对话')}`
+      }
+    });
+    const sourceId = child.forkedFromMessageId && byId.has(child.forkedFromMessageId)
+      ? resolveVisibleParentId({ parentId: child.forkedFromMessageId })
+      : null;
+    if (sourceId) {
+      edges.push({
+        group: 'edges',
+        data: { id: `${sourceId}->${nodeId}`, source: sourceId, target: nodeId, branch: 'fork' }
+      });
+    }
+  }
+
+  return [...nodes, ...edges];
+}
+
+function quoteSelectionText(selectionText) {
+  return String(selectionText || '')
+    .split('\n')
+    .map(line => `> ${line}`)
+    .join('\n');
+}
+
+function prependTextToContent(content, prefix) {
+  if (typeof content === 'string') return `${prefix}${content}`;
+  if (!Array.isArray(content)) return prefix;
+  const parts = content.slice();
+  const textIndex = parts.findIndex(part => part?.type === 'text' && typeof part.text === 'string');
+  if (textIndex === -1) {
+    parts.push({ type: 'text', text: prefix.trimEnd() });
+  } else {
+    parts[textIndex] = { ...parts[textIndex], text: `${prefix}${parts[textIndex].text}` };
+  }
+  return parts;
+}
+
+/**
+ * 把划词线程当前链路（rootMessageId → lastMessageId）合并到主对话末尾，并移除该线程。
+ *
+ * - 线程消息去掉 thread* 字段后依次接在主对话最后一条消息之后，currentNode 指向合并后的末尾；
+ * - 隐藏引用节点不再保留，划词原文以引用块形式前置到线程首条用户消息（含 outboundContent），保证上下文不丢；
+ * - 线程内不在当前链路上的其它旁支一并舍弃；锚点上的线程注解同时删除。
+ *
+ * @param {{messages: Array<Object>, currentNode: string|null}} chatHistory
+ * @param {string} threadId
+ * @returns {{anchorMessageId: string, mergedMessageIds: string[], removedMessageIds: string[]}|null} 找不到线程或线程无可见消息时返回 null
+ */
+export function mergeThreadIntoMainChain(chatHistory, threadId) {
+  const messages = Array.isArray(chatHistory?.messages) ? chatHistory.messages : null;
+  if (!messages || !threadId) return null;
+
+  let anchorNode = null;
+  let annotation = null;
+  for (const msg of messages) {
+    const found = Array.isArray(msg?.threadAnnotations)
+      ? msg.threadAnnotations.find(item => item?.id === threadId)
+      : null;
+    if (found) {
+      anchorNode = msg;
+      annotation = found;
+      break;
+    }
+  }
+  if (!anchorNode || !annotation) return null;
+
+  const byId = new Map(messages.map(msg => [msg.id, msg]));
+  const threadNodeIds = new Set(messages
+    .filter(msg => msg.threadId === threadId || (annotation.rootMessageId && msg.id === annotation.rootMessageId))
+    .map(msg => msg.id));
+
+  const chain = [];
+  let cursor = annotation.lastMessageId ? byId.get(annotation.lastMessageId) : null;
+  while (cursor && threadNodeIds.has(cursor.id) && !chain.includes(cursor)) {
+    chain.unshift(cursor);
+    cursor = cursor.parentId ? byId.get(cursor.parentId) : null;
+  }
+  const visibleChain = chain.filter(node => !node.threadHiddenSelection);
+  if (!visibleChain.length) return null;
+
+  const mainMessages = messages.filter(msg => !threadNodeIds.has(msg.id) && !isThreadNode(msg));
+  const currentMain = chatHistory.currentNode ? byId.get(chatHistory.currentNode) : null;
+  const mainTail = (currentMain && !isThreadNode(currentMain) && !threadNodeIds.has(currentMain.id))
+    ? currentMain
+    : (mainMessages[mainMessages.length - 1] || null);
+
+  const removedMessageIds = [];
+  const remaining = [];
+  for (const msg of messages) {
+    if (threadNodeIds.has(msg.id)) {
+      if (!visibleChain.includes(msg)) removedMessageIds.push(msg.id);
+      continue;
+    }
+    if (Array.isArray(msg.children)) {
+      msg.children = msg.children.filter(childId => !threadNodeIds.has(childId));
+    }
+    remaining.push(msg);
+  }
+
+  const prefix = `${quoteSelectionText(annotation.selectionText)}\n\n`;
+  const firstUserNode = annotation.selectionText
+    ? visibleChain.find(node => String(node.role || '').toLowerCase() === 'user')
+    : null;
+  if (firstUserNode) {
+    firstUserNode.content = prependTextToContent(firstUserNode.content, prefix);
+    if (typeof firstUserNode.outboundContent === 'string' && firstUserNode.outboundContent) {
+      firstUserNode.outboundContent = `${prefix}${firstUserNode.outboundContent}`;
+    }
+  }
+
+  visibleChain.forEach((node, index) => {
+    THREAD_FIELD_KEYS.forEach((key) => {
+      if (key in node) delete node[key];
+    });
+    node.parentId = index === 0 ? (mainTail?.id || null) : visibleChain[index - 1].id;
+    node.children = index < visibleChain.length - 1 ? [visibleChain[index + 1].id] : [];
+  });
+  if (mainTail) {
+    mainTail.children = Array.isArray(mainTail.children) ? mainTail.children : [];
+    mainTail.children.push(visibleChain[0].id);
+  }
+
+  anchorNode.threadAnnotations = anchorNode.threadAnnotations.filter(item => item?.id !== threadId);
+  messages.splice(0, messages.length, ...remaining, ...visibleChain);
+  chatHistory.currentNode = visibleChain[visibleChain.length - 1].id;
+  if (!chatHistory.root && messages.length) chatHistory.root = messages[0].id;
+
+  return {
+    anchorMessageId: anchorNode.id,
+    mergedMessageIds: visibleChain.map(node => node.id),
+    removedMessageIds
+  };
+}
+
+/**
+ * 删除一条主对话消息及其全部后代（含挂在这些消息下的划词线程），用于在分支图里剪掉不要的重新生成分支。
+ *
+ * - 根消息不能剪（那等于清空对话），线程内消息走线程自己的删除；
+ * - 若 currentNode 落在被删除的子树里，改指向父节点下剩余的最新分支末端（沿最后一个非线程子节点走到底），
+ *   父节点已没有其它子节点时指向父节点本身。
+ *
+ * @param {{messages: Array<Object>, currentNode: string|null}} chatHistory
+ * @param {string} messageId
+ * @returns {{parentId: string, removedMessageIds: string[], currentNode: string|null}|null} 无法剪除时返回 null
+ */
+export function pruneMessageSubtree(chatHistory, messageId) {
+  const messages = Array.isArray(chatHistory?.messages) ? chatHistory.messages : null;
+  if (!messages || !messageId) return null;
+  const byId = new Map(messages.map(msg => [msg.id, msg]));
+  const target = byId.get(messageId);
+  if (!target || isThreadNode(target)) return null;
+  const parent = target.parentId ? byId.get(target.parentId) : null;
+  if (!parent) return null;
+
+  const removed = new Set();
+  const stack = [target.id];
+  while (stack.length) {
+    const id = stack.pop();
+    if (removed.has(id) || !byId.has(id)) continue;
+    removed.add(id);
+    const children = byId.get(id).children;
+    if (Array.isArray(children)) stack.push(...children);
+  }
+
+  parent.children = (Array.isArray(parent.children) ? parent.children : []).filter(childId => !removed.has(childId));
+  const removedMessageIds = messages.filter(msg => removed.has(msg.id)).map(msg => msg.id);
+  messages.splice(0, messages.length, ...messages.filter(msg => !removed.has(msg.id)));
+
+  if (chatHistory.currentNode && removed.has(chatHistory.currentNode)) {
+    let cursor = parent;
+    const visited = new Set();
+    while (cursor && !visited.has(cursor.id)) {
+      visited.add(cursor.id);
+      const nextId = (cursor.children || [])
+        .filter(childId => byId.has(childId) && !isThreadNode(byId.get(childId)))
+        .pop();
+      if (!nextId) break;
+      cursor = byId.get(nextId);
+    }
+    chatHistory.currentNode = cursor ? cursor.id : parent.id;
+  }
+
+  return { parentId: parent.id, removedMessageIds, currentNode: chatHistory.currentNode };
+}
+
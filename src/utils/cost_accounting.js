@@ -0,0 +1,357 @@
+/**
+ * 费用统计与预算的纯函数：模型价格表、单条消息费用、每日/每月花费账本与预算判断、统计汇总。
+ *
+ * 价格表挂在每个 API 配置上（modelPrices），单价按“每 1M tokens”填写，币种由用户自行约定，展示时统一用 "$"。
+ * 约定 usage 的 promptTokens 已包含缓存命中部分（OpenAI 原生如此，Anthropic 在 normalizeAnthropicUsage 中已相加），
+ * reasoningTokens 包含在 completionTokens 内，按输出单价计费。
+ */
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+// 账本只需要覆盖“今天”和“本月”，多留一个月避免跨月时丢数据
+const SPEND_LEDGER_KEEP_DAYS = 62;
+export const SPEND_BUDGET_MODES = Object.freeze(['warn', 'block']);
+
+function toNonNegativeNumber(value) {
+  if (value === '' || value == null) return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 1e8) / 1e8;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {any} raw
+ * @returns {{model: string, input: number, cachedInput: number|null, output: number}|null} 输入/输出单价缺失时返回 null
+ */
+export function normalizeModelPriceEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const input = toNonNegativeNumber(raw.input);
+  const output = toNonNegativeNumber(raw.output);
+  if (input == null || output == null) return null;
+  return {
+    model: (typeof raw.model === 'string') ? raw.model.trim() : '',
+    input,
+    cachedInput: toNonNegativeNumber(raw.cachedInput),
+    output
+  };
+}
+
+export function normalizeModelPriceTable(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.map(normalizeModelPriceEntry).filter(Boolean);
+}
+
+/**
+ * 解析价格表文本：每行 "模型 = 输入, 缓存输入, 输出" 或 "模型 = 输入, 输出"；省略 "模型 =" 的行作为该配置的默认价格。
+ * 模型名支持 * 通配；空行与 # 开头的注释行忽略。
+ * @param {string} text
+ * @returns {{entries: Array<Object>, invalidLines: number[]}} invalidLines 为无法解析的行号（从 1 开始）
+ */
+export function parseModelPriceTable(text) {
+  const entries = [];
+  const invalidLines = [];
+  String(text ?? '').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const eqIndex = trimmed.indexOf('=');
+    const model = eqIndex >= 0 ? trimmed.slice(0, eqIndex).trim() : '';
+    const prices = (eqIndex >= 0 ? trimmed.slice(eqIndex + 1) : trimmed)
+      .split(/[,，\/\s]+/)
+      .filter(Boolean);
+    let entry = null;
+    if (prices.length === 2) {
+      entry = normalizeModelPriceEntry({ model, input: prices[0], output: prices[1] });
+    } else if (prices.length === 3) {
+      entry = normalizeModelPriceEntry({ model, input: prices[0], cachedInput: prices[1], output: prices[2] });
+    }
+    if (entry) {
+      entries.push(entry);
+    } else {
+      invalidLines.push(index + 1);
+    }
+  });
+  return { entries, invalidLines };
+}
+
+export function formatModelPriceTable(table) {
+  return normalizeModelPriceTable(table).map((entry) => {
+    const prices = entry.cachedInput == null
+      ? [entry.input, entry.output]
+      : [entry.input, entry.cachedInput, entry.output];
+    return entry.model ? `${entry.model} = ${prices.join(', ')}` : prices.join(', ');
+  }).join('\n');
+}
+
+function matchesModelPattern(modelName, pattern) {
+  const source = pattern
+    .toLowerCase()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`).test(modelName.toLowerCase());
+}
+
+/**
+ * 查找模型对应的价格：精确模型名（不区分大小写）优先，其次是通配行，最后是默认行。
+ * @param {Array<Object>} table
+ * @param {string} modelName
+ * @returns {Object|null}
+ */
+export function findModelPrice(table, modelName) {
+  const entries = normalizeModelPriceTable(table);
+  const name = String(modelName ?? '').trim();
+  if (name) {
+    const exact = entries.find(entry => entry.model && !/[*?]/.test(entry.model) && entry.model.toLowerCase() === name.toLowerCase());
+    if (exact) return exact;
+    const wildcard = entries.find(entry => /[*?]/.test(entry.model) && matchesModelPattern(name, entry.model));
+    if (wildcard) return wildcard;
+  }
+  return entries.find(entry => !entry.model) || null;
+}
+
+/**
+ * 按价格计算一次响应的费用。
+ * @param {{promptTokens?: number|null, completionTokens?: number|null, totalTokens?: number|null, cachedInputTokens?: number|null}|null} usage - normalizeApiUsageMeta 的结果
+ * @param {Object|null} price - findModelPrice 的结果
+ * @returns {{total: number, input: number, cachedInput: number, output: number}|null} 缺少用量或价格时返回 null
+ */
+export function computeUsageCost(usage, price) {
+  const entry = normalizeModelPriceEntry(price);
+  if (!usage || !entry) return null;
+  const promptTokens = Number(usage.promptTokens) || 0;
+  let completionTokens = Number(usage.completionTokens) || 0;
+  if (usage.completionTokens == null && usage.totalTokens != null) {
+    completionTokens = Math.max(0, (Number(usage.totalTokens) || 0) - promptTokens);
+  }
+  if (!promptTokens && !completionTokens) return null;
+  const cachedTokens = Math.min(promptTokens, Number(usage.cachedInputTokens) || 0);
+  const cachedPrice = entry.cachedInput ?? entry.input;
+  const input = ((promptTokens - cachedTokens) * entry.input) / TOKENS_PER_PRICE_UNIT;
+  const cachedInput = (cachedTokens * cachedPrice) / TOKENS_PER_PRICE_UNIT;
+  const output = (completionTokens * entry.output) / TOKENS_PER_PRICE_UNIT;
+  return {
+    total: roundAmount(input + cachedInput + output),
+    input: roundAmount(input),
+    cachedInput: roundAmount(cachedInput),
+    output: roundAmount(output)
+  };
+}
+
+/**
+ * 用 API 配置上的价格表计算费用。
+ * @param {Object|null} usage
+ * @param {Object|null} apiConfig
+ * @returns {{total: number, input: number, cachedInput: number, output: number}|null}
+ */
+export function computeApiUsageCost(usage, apiConfig) {
+  if (!apiConfig) return null;
+  return computeUsageCost(usage, findModelPrice(apiConfig.modelPrices, apiConfig.modelName));
+}
+
+export function normalizeApiCost(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const total = toNonNegativeNumber(raw.total);
+  if (total == null) return null;
+  return {
+    total,
+    input: toNonNegativeNumber(raw.input) ?? 0,
+    cachedInput: toNonNegativeNumber(raw.cachedInput) ?? 0,
+    output: toNonNegativeNumber(raw.output) ?? 0
+  };
+}
+
+export function formatCostAmount(value) {
+  const amount = Number(value) || 0;
+  if (amount <= 0) return '$0';
+  if (amount < 0.0001) return '<$0.0001';
+  if (amount < 1) return `$${amount.toFixed(4)}`;
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * 本地日期键（YYYY-MM-DD），预算按用户所在时区的自然日/自然月计算。
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function getSpendDayKey(timestamp) {
+  const date = new Date(Number(timestamp) || Date.now());
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+export function normalizeSpendLedger(raw) {
+  const days = {};
+  const source = (raw && typeof raw === 'object' && raw.days && typeof raw.days === 'object') ? raw.days : {};
+  Object.keys(source).forEach((dayKey) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) return;
+    const entries = source[dayKey];
+    if (!entries || typeof entries !== 'object') return;
+    const normalized = {};
+    Object.keys(entries).forEach((messageId) => {
+      const amount = toNonNegativeNumber(entries[messageId]);
+      if (amount != null) normalized[messageId] = amount;
+    });
+    days[dayKey] = normalized;
+  });
+  return { days };
+}
+
+/**
+ * 记录（或覆盖）一条消息的费用，并清理过期的日期。
+ * 同一消息在流式过程中会多次更新用量，按消息 id 覆盖可避免重复累计。
+ * @param {Object} ledger
+ * @param {{messageId: string, amount: number, timestamp?: number}} entry
+ * @returns {{days: Object}} 新的账本
+ */
+export function recordSpendLedgerEntry(ledger, { messageId, amount, timestamp = Date.now() } = {}) {
+  const next = normalizeSpendLedger(ledger);
+  const normalizedAmount = toNonNegativeNumber(amount);
+  if (!messageId || normalizedAmount == null) return next;
+  const dayKey = getSpendDayKey(timestamp);
+  Object.keys(next.days).forEach((key) => {
+    if (key !== dayKey) delete next.days[key][messageId];
+  });
+  next.days[dayKey] = { ...(next.days[dayKey] || {}), [messageId]: normalizedAmount };
+
+  const oldestKept = getSpendDayKey(Number(timestamp) - SPEND_LEDGER_KEEP_DAYS * 24 * 60 * 60 * 1000);
+  Object.keys(next.days).forEach((key) => {
+    if (key < oldestKept || Object.keys(next.days[key]).length === 0) delete next.days[key];
+  });
+  return next;
+}
+
+/**
+ * 合并两份账本（多个标签页各自记录时使用）：按日期与消息 id 取并集，同一条目以 incoming 为准。
+ * @param {Object} base
+ * @param {Object} incoming
+ * @returns {{days: Object}}
+ */
+export function mergeSpendLedgers(base, incoming) {
+  const merged = normalizeSpendLedger(base);
+  const { days } = normalizeSpendLedger(incoming);
+  Object.keys(days).forEach((dayKey) => {
+    merged.days[dayKey] = { ...(merged.days[dayKey] || {}), ...days[dayKey] };
+  });
+  return merged;
+}
+
+/**
+ * @param {Object} ledger
+ * @param {number} [now]
+ * @returns {{today: number, month: number}}
+ */
+export function summarizeSpendLedger(ledger, now = Date.now()) {
+  const { days } = normalizeSpendLedger(ledger);
+  const todayKey = getSpendDayKey(now);
+  const monthKey = todayKey.slice(0, 7);
+  let today = 0;
+  let month = 0;
+  Object.keys(days).forEach((dayKey) => {
+    if (!dayKey.startsWith(monthKey)) return;
+    const dayTotal = Object.values(days[dayKey]).reduce((sum, value) => sum + value, 0);
+    month += dayTotal;
+    if (dayKey === todayKey) today += dayTotal;
+  });
+  return { today: roundAmount(today), month: roundAmount(month) };
+}
+
+export function normalizeSpendBudget(value) {
+  return toNonNegativeNumber(value) ?? 0;
+}
+
+/**
+ * 判断当前花费是否超出预算；预算为 0 表示不限制。每日预算优先报告。
+ * @param {{today: number, month: number}} spend
+ * @param {{daily?: number, monthly?: number, mode?: 'warn'|'block'}} budget
+ * @returns {{exceeded: boolean, period: ''|'daily'|'monthly', spent: number, limit: number, block: boolean}}
+ */
+export function evaluateSpendBudget(spend, { daily = 0, monthly = 0, mode = 'warn' } = {}) {
+  const dailyLimit = normalizeSpendBudget(daily);
+  const monthlyLimit = normalizeSpendBudget(monthly);
+  const block = mode === 'block';
+  if (dailyLimit > 0 && (Number(spend?.today) || 0) >= dailyLimit) {
+    return { exceeded: true, period: 'daily', spent: Number(spend.today), limit: dailyLimit, block };
+  }
+  if (monthlyLimit > 0 && (Number(spend?.month) || 0) >= monthlyLimit) {
+    return { exceeded: true, period: 'monthly', spent: Number(spend.month), limit: monthlyLimit, block };
+  }
+  return { exceeded: false, period: '', spent: 0, limit: 0, block: false };
+}
+
+/**
+ * 创建费用汇总累加器，配合 accumulateConversationCost / finalizeCostSummary 使用。
+ * @returns {Object}
+ */
+export function createCostSummary() {
+  return {
+    total: 0,
+    pricedMessages: 0,
+    byModel: new Map(),
+    byApi: new Map(),
+    byDay: new Map(),
+    byConversation: new Map()
+  };
+}
+
+function addCostToGroup(map, key, label, amount) {
+  const entry = map.get(key) || { key, label, total: 0, count: 0 };
+  entry.total += amount;
+  entry.count += 1;
+  map.set(key, entry);
+}
+
+/**
+ * 把一个会话中已记录费用的消息累加进汇总（按模型、API、日期与会话分组）。
+ * @param {Object} summary - createCostSummary 的结果
+ * @param {Object} conversation
+ */
+export function accumulateConversationCost(summary, conversation) {
+  const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
+  const conversationLabel = conversation?.title || conversation?.summary || conversation?.id || '未命名对话';
+  messages.forEach((msg) => {
+    const cost = normalizeApiCost(msg?.apiCost);
+    if (!cost || cost.total <= 0) return;
+    summary.total += cost.total;
+    summary.pricedMessages += 1;
+    const model = msg.apiModelId || '未知模型';
+    addCostToGroup(summary.byModel, model, model, cost.total);
+    const apiKey = msg.apiUuid || msg.apiDisplayName || model;
+    addCostToGroup(summary.byApi, apiKey, msg.apiDisplayName || model, cost.total);
+    if (msg.timestamp) {
+      const day = getSpendDayKey(msg.timestamp);
+      addCostToGroup(summary.byDay, day, day, cost.total);
+    }
+    if (conversation?.id) {
+      addCostToGroup(summary.byConversation, conversation.id, conversationLabel, cost.total);
+    }
+  });
+}
+
+/**
+ * 输出可序列化的汇总：模型/API/会话按金额降序，日期按时间倒序，各取前 limit 项。
+ * @param {Object} summary
+ * @param {{limit?: number}} [options]
+ * @returns {{total: number, pricedMessages: number, byModel: Array, byApi: Array, byDay: Array, byConversation: Array}}
+ */
+export function finalizeCostSummary(summary, { limit = 10 } = {}) {
+  const byAmount = map => Array.from(map.values())
+    .map(item => ({ ...item, total: roundAmount(item.total) }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+  return {
+    total: roundAmount(summary.total),
+    pricedMessages: summary.pricedMessages,
+    byModel: byAmount(summary.byModel),
+    byApi: byAmount(summary.byApi),
+    byDay: Array.from(summary.byDay.values())
+      .map(item => ({ ...item, total: roundAmount(item.total) }))
+      .sort((a, b) => b.key.localeCompare(a.key))
+      .slice(0, limit),
+    byConversation: byAmount(summary.byConversation)
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * 用户自定义函数工具（纯函数）
+ *
+ * 职责：
+ * - 规范化设置中保存的工具条目 `{ id, name, description, parametersSchema, code, enabled }`；
+ * - 校验函数名与参数 JSON Schema，生成与内置工具一致的 Responses function tool 定义；
+ * - 结合“按对话开关”计算本次请求真正启用的工具集合；
+ * - 把模型给出的参数与用户的 JS 函数体拼装成可交给 JS Runtime 执行的代码。
+ *
+ * 说明：
+ * - 本模块不访问 chrome.storage 与 DOM，便于在 node:test 中直接加载；
+ * - 存储与界面由 core/custom_tools_manager.js 负责。
+ */
+
+export const CUSTOM_FUNCTION_TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// 内置客户端工具名（与 core/message_sender.js 中的定义保持一致），自定义工具不得占用
+export const RESERVED_CUSTOM_FUNCTION_TOOL_NAMES = Object.freeze(['js_runtime_execute', 'page_content_read', 'pdf_read']);
+
+const DEFAULT_PARAMETERS_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {}
+});
+
+function normalizeText(value) {
+  return (typeof value === 'string') ? value : '';
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 生成工具条目 id（仅用于本地区分条目，不会发给模型）。
+ * @returns {string}
+ */
+export function createCustomFunctionToolId() {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `ctool_${Date.now().toString(36)}_${random}`;
+}
+
+/**
+ * 规范化单个自定义工具条目。
+ *
+ * - name 仅做 trim，合法性交给 validateCustomFunctionTool 判断，避免用户输入被静默改写；
+ * - parametersSchema 以原始 JSON 文本保存，编辑到一半的非法 JSON 也不会丢失；
+ * - enabled 表示“默认启用”，对话级开关可以覆盖它。
+ *
+ * @param {any} raw
+ * @returns {{id:string, name:string, description:string, parametersSchema:string, code:string, enabled:boolean}}
+ */
+export function normalizeCustomFunctionTool(raw) {
+  const source = isPlainObject(raw) ? raw : {};
+  const id = normalizeText(source.id).trim() || createCustomFunctionToolId();
+  let parametersSchema = normalizeText(source.parametersSchema);
+  if (!parametersSchema && isPlainObject(source.parameters)) {
+    parametersSchema = JSON.stringify(source.parameters, null, 2);
+  }
+  return {
+    id,
+    name: normalizeText(source.name).trim(),
+    description: normalizeText(source.description),
+    parametersSchema,
+    code: normalizeText(source.code),
+    enabled: source.enabled !== false
+  };
+}
+
+/**
+ * 规范化工具列表，并丢弃重复 id 的条目。
+ * @param {any} rawList
+ * @returns {Array<ReturnType<typeof normalizeCustomFunctionTool>>}
+ */
+export function normalizeCustomFunctionToolList(rawList) {
+  const seenIds = new Set();
+  const result = [];
+  (Array.isArray(rawList) ? rawList : []).forEach((raw) => {
+    if (!isPlainObject(raw)) return;
+    const tool = normalizeCustomFunctionTool(raw);
+    if (seenIds.has(tool.id)) return;
+    seenIds.add(tool.id);
+    result.push(tool);
+  });
+  return result;
+}
+
+/**
+ * 解析参数 JSON Schema 文本。
+ *
+ * 空文本视为“无参数”；否则顶层必须是 `type: "object"` 的对象，
+ * 这是 Responses / Chat Completions / Gemini 三种协议对函数参数的共同要求。
+ *
+ * @param {string} schemaText
+ * @returns {{ok:true, parameters:Object}|{ok:false, error:string}}
+ */
+export function parseCustomFunctionToolParameters(schemaText) {
+  const text = normalizeText(schemaText).trim();
+  if (!text) {
+    return { ok: true, parameters: JSON.parse(JSON.stringify(DEFAULT_PARAMETERS_SCHEMA)) };
+  }
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { ok: false, error: `参数 Schema 不是合法 JSON：${error?.message || error}` };
+  }
+  if (!isPlainObject(parsed)) {
+    return { ok: false, error: '参数 Schema 顶层必须是对象。' };
+  }
+  if (parsed.type !== 'object') {
+    return { ok: false, error: '参数 Schema 顶层 type 必须为 "object"。' };
+  }
+  if (parsed.properties !== undefined && !isPlainObject(parsed.properties)) {
+    return { ok: false, error: '参数 Schema 的 properties 必须是对象。' };
+  }
+  return { ok: true, parameters: parsed };
+}
+
+/**
+ * 校验工具条目，返回第一条错误信息；合法时返回空串。
+ *
+ * @param {Object} tool - normalizeCustomFunctionTool 的结果
+ * @param {{reservedNames?:Array<string>, takenNames?:Array<string>}} [options]
+ *   reservedNames：内置工具名（默认 RESERVED_CUSTOM_FUNCTION_TOOL_NAMES）；takenNames：列表中其它条目已占用的名字
+ * @returns {string}
+ */
+export function validateCustomFunctionTool(tool, options = {}) {
+  const name = normalizeText(tool?.name).trim();
+  if (!name) return '函数名不能为空。';
+  if (!CUSTOM_FUNCTION_TOOL_NAME_PATTERN.test(name)) {
+    return '函数名只能包含字母、数字、下划线与连字符，且不超过 64 个字符。';
+  }
+  const reservedNames = Array.isArray(options.reservedNames)
+    ? options.reservedNames
+    : RESERVED_CUSTOM_FUNCTION_TOOL_NAMES;
+  if (reservedNames.includes(name)) return `函数名 ${name} 与内置工具冲突。`;
+  const takenNames = Array.isArray(options.takenNames) ? options.takenNames : [];
+  if (takenNames.includes(name)) return `函数名 ${name} 已被其它自定义工具使用。`;
+  if (!normalizeText(tool?.code).trim()) return 'JS 函数体不能为空。';
+  const parsed = parseCustomFunctionToolParameters(tool?.parametersSchema);
+  return parsed.ok ? '' : parsed.error;
+}
+
+/**
+ * 生成 Responses function tool 定义（其它协议在注入请求体时再转换）。
+ *
+ * 用户手写的 Schema 未必满足 strict 模式的约束（全部字段 required、禁止额外属性），
+ * 因此这里固定 strict:false。
+ *
+ * @param {Object} tool
+ * @returns {{type:'function', name:string, description:string, strict:false, parameters:Object}|null}
+ */
+export function buildCustomFunctionToolDefinition(tool) {
+  const parsed = parseCustomFunctionToolParameters(tool?.parametersSchema);
+  const name = normalizeText(tool?.name).trim();
+  if (!parsed.ok || !CUSTOM_FUNCTION_TOOL_NAME_PATTERN.test(name)) return null;
+  return {
+    type: 'function',
+    name,
+    description: normalizeText(tool?.description).trim() || `用户自定义工具 ${name}`,
+    strict: false,
+    parameters: parsed.parameters
+  };
+}
+
+/**
+ * 计算某个对话实际启用的工具。
+ *
+ * - overrides 为 `{ [toolId]: boolean }`，缺省时沿用工具自身的 enabled；
+ * - 不合法的条目、与内置工具或前面条目重名的条目会被跳过。
+ *
+ * @param {Array<Object>} tools
+ * @param {Object<string, boolean>|null|undefined} overrides
+ * @param {{reservedNames?:Array<string>}} [options]
+ * @returns {Array<Object>}
+ */
+export function resolveActiveCustomFunctionTools(tools, overrides, options = {}) {
+  const toggles = isPlainObject(overrides) ? overrides : {};
+  const takenNames = [];
+  const result = [];
+  normalizeCustomFunctionToolList(tools).forEach((tool) => {
+    const active = (typeof toggles[tool.id] === 'boolean') ? toggles[tool.id] : tool.enabled;
+    if (!active) return;
+    const error = validateCustomFunctionTool(tool, {
+      reservedNames: options.reservedNames,
+      takenNames
+    });
+    if (error) return;
+    takenNames.push(tool.name);
+    result.push(tool);
+  });
+  return result;
+}
+
+/**
+ * 拼装交给 JS Runtime 执行的代码。
+ *
+ * JS Runtime 会把代码作为 async 函数体执行；这里再包一层以 `args` 为形参的 async 函数，
+ * 用户函数体里可以直接读取 `args`、使用 await 与 return，也不会和外层变量名冲突。
+ *
+ * @param {Object} tool
+ * @param {any} args - 模型给出的参数对象
+ * @returns {string}
+ */
+export function buildCustomFunctionToolRuntimeCode(tool, args) {
+  const serializedArgs = JSON.stringify(isPlainObject(args) ? args : {});
+  return `return await (async (args) => {\n${normalizeText(tool?.code)}\n})(${serializedArgs});`;
+}
@@ -8,28 +8,56 @@ class ElementPicker {
       };
       
       // 临时状态(仅在picking过程中使用)
-      this._state = {
+      this._state = this._createIdleState();
+  }
+
+  _createIdleState() {
+      return {
           isPickingEnabled: false,
           highlightedElement: null,
           overlay: null,
-          selectedCallback: null
+          hint: null,
+          selectedCallback: null,
+          continuous: false,
+          ignore: null,
+          onStop: null
       };
   }
 
-  // 开始选择
-  startPicking(callback) {
+  get isPicking() {
+      return this._state.isPickingEnabled;
+  }
+
+  /**
+   * 开始选择
+   * @param {(result: {element: Element, selector: string}) => void} callback
+   * @param {Object} [pickOptions]
+   * @param {boolean} [pickOptions.continuous=false] 连续模式：选中后不退出，直到按 Esc 或调用 stopPicking
+   * @param {(element: Element) => boolean} [pickOptions.ignore] 返回 true 的元素不参与高亮与选择（如侧边栏）
+   * @param {string} [pickOptions.hint] 选择期间在页面顶部显示的提示文字
+   * @param {() => void} [pickOptions.onStop] 选择结束（含按 Esc 取消）时回调
+   */
+  startPicking(callback, pickOptions = {}) {
       if (this._state.isPickingEnabled) return;
       
       this._state.isPickingEnabled = true;
       this._state.selectedCallback = callback;
+      this._state.continuous = pickOptions.continuous === true;
+      this._state.ignore = typeof pickOptions.ignore === 'function' ? pickOptions.ignore : null;
+      this._state.onStop = typeof pickOptions.onStop === 'function' ? pickOptions.onStop : null;
       
       // 创建高亮层
       this._state.overlay = this._createOverlay();
       document.body.appendChild(this._state.overlay);
+      if (pickOptions.hint) {
+          this._state.hint = this._createHint(pickOptions.hint);
+          document.body.appendChild(this._state.hint);
+      }
       
-      // 添加事件监听
-      document.addEventListener('mousemove', this._handleMouseMove);
-      document.addEventListener('click', this._handleClick);
+      // 添加事件监听（捕获阶段，避免页面自身的点击逻辑先执行）
+      document.addEventListener('mousemove', this._handleMouseMove, true);
+      document.addEventListener('click', this._handleClick, true);
+      document.addEventListener('keydown', this._handleKeyDown, true);
       
       // 修改鼠标样式
       document.body.style.cursor = 'crosshair';
@@ -40,23 +68,37 @@ class ElementPicker {
       if (!this._state.isPickingEnabled) return;
       
       // 移除事件监听
-      document.removeEventListener('mousemove', this._handleMouseMove);
-      document.removeEventListener('click', this._handleClick);
+      document.removeEventListener('mousemove', this._handleMouseMove, true);
+      document.removeEventListener('click', this._handleClick, true);
+      document.removeEventListener('keydown', this._handleKeyDown, true);
       
       // 清理DOM
       if (this._state.overlay) {
           this._state.overlay.remove();
       }
+      if (this._state.hint) {
+          this._state.hint.remove();
+      }
       
       // 恢复鼠标样式
       document.body.style.cursor = '';
       
+      const onStop = this._state.onStop;
       // 重置状态
-      this._state = {
-          isPickingEnabled: false,
-          highlightedElement: null,
-          overlay: null,
-          selectedCallback: null
+      this._state = this._createIdleState();
+      onStop?.();
+  }
+
+  /**
+   * 临时隐藏高亮层与提示条（例如对选中元素截图时），返回恢复函数。
+   * @returns {() => void}
+   */
+  hideOverlayTemporarily() {
+      const layers = [this._state.overlay, this._state.hint].filter(Boolean);
+      const previous = layers.map(layer => layer.style.visibility);
+      layers.forEach(layer => { layer.style.visibility = 'hidden'; });
+      return () => {
+          layers.forEach((layer, index) => { layer.style.visibility = previous[index]; });
       };
   }
 
@@ -75,9 +117,34 @@ class ElementPicker {
       return overlay;
   }
 
+  // 创建提示条
+  _createHint(text) {
+      const hint = document.createElement('div');
+      hint.textContent = text;
+      Object.assign(hint.style, {
+          position: 'fixed',
+          top: '12px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          zIndex: this.options.zIndex + 1,
+          padding: '6px 14px',
+          borderRadius: '999px',
+          background: 'rgba(20, 20, 20, 0.85)',
+          color: '#fff',
+          font: '13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+          pointerEvents: 'none',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.25)'
+      });
+      return hint;
+  }
+
   // 更新高亮层位置
   _updateOverlay(element) {
-      if (!element || !this._state.overlay) return;
+      if (!this._state.overlay) return;
+      if (!element) {
+          this._state.overlay.style.display = 'none';
+          return;
+      }
       
       const rect = element.getBoundingClientRect();
       Object.assign(this._state.overlay.style, {
@@ -91,20 +158,21 @@ class ElementPicker {
 
   // 生成选择器
   _generateSelector(element) {
+      const escape = (value) => (globalThis.CSS?.escape ? CSS.escape(value) : value);
       const path = [];
       while (element && element.nodeType === Node.ELEMENT_NODE) {
           let selector = element.tagName.toLowerCase();
           
           // 添加id
           if (element.id) {
-              selector += '#' + element.id;
+              selector += '#' + escape(element.id);
               path.unshift(selector);
               break;
           }
           
           // 添加类名
-          if (element.className) {
-              selector += '.' + Array.from(element.classList).join('.');
+          if (element.classList && element.classList.length) {
+              selector += '.' + Array.from(element.classList).map(escape).join('.');
           }
           
           // 添加nth-child
@@ -124,7 +192,8 @@ class ElementPicker {
 
   // 事件处理器
   _handleMouseMove = (e) => {
-      const element = document.elementFromPoint(e.clientX, e.clientY);
+      let element = document.elementFromPoint(e.clientX, e.clientY);
+      if (element && this._state.ignore?.(element)) element = null;
       if (element === this._state.highlightedElement) return;
       
       this._state.highlightedElement = element;
@@ -132,17 +201,29 @@ class ElementPicker {
   }
 
   _handleClick = (e) => {
+      const target = this._state.highlightedElement;
+      // 点在被忽略的区域（如侧边栏）上时不拦截
+      if (!target && this._state.ignore?.(e.target)) return;
       e.preventDefault();
       e.stopPropagation();
       
-      if (this._state.highlightedElement && this._state.selectedCallback) {
-          const selector = this._generateSelector(this._state.highlightedElement);
+      if (target && this._state.selectedCallback) {
+          const selector = this._generateSelector(target);
           this._state.selectedCallback({
-              element: this._state.highlightedElement,
+              element: target,
               selector: selector
           });
       }
       
+      if (!this._state.continuous) {
+          this.stopPicking();
+      }
+  }
+
+  _handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      e.stopPropagation();
       this.stopPicking();
   }
 }
\ No newline at end of file
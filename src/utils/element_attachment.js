@@ -0,0 +1,60 @@
+/**
+ * 元素选取附件：把用户在页面上点选的区域拼成带标签的上下文块（纯函数）。
+ *
+ * 块头带序号、标签名、CSS 选择器与 token 估算；选择器让模型能在后续用 js_runtime_execute 精确定位同一元素。
+ */
+import { estimateTabContextTokens, formatTokenEstimate } from './tab_context.js';
+
+/**
+ * 生成附件的简短标题：`<tag>` 加上内容开头的若干字符。
+ * @param {{tagName?:string, markdown?:string}} entry
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+export function describeElementAttachment(entry, maxChars = 24) {
+  const tag = (typeof entry?.tagName === 'string' && entry.tagName) ? `<${entry.tagName}>` : '<element>';
+  const text = (typeof entry?.markdown === 'string' ? entry.markdown : '')
+    .replace(/[#>*`|_~-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return tag;
+  return `${tag} ${text.length > maxChars ? `${text.slice(0, maxChars)}…` : text}`;
+}
+
+/**
+ * 生成单个元素附件的上下文块。
+ * @param {{selector?:string, tagName?:string, markdown?:string, pageTitle?:string, pageUrl?:string, hasScreenshot?:boolean}} entry
+ * @param {number} index - 从 1 开始的序号
+ * @returns {string}
+ */
+export function buildElementAttachmentBlock(entry, index) {
+  const tag = (typeof entry?.tagName === 'string' && entry.tagName) ? entry.tagName : 'element';
+  const selector = typeof entry?.selector === 'string' ? entry.selector.trim() : '';
+  const markdown = typeof entry?.markdown === 'string' ? entry.markdown.trim() : '';
+  const tokens = formatTokenEstimate(estimateTabContextTokens(markdown));
+  const title = typeof entry?.pageTitle === 'string' ? entry.pageTitle.trim() : '';
+  const url = typeof entry?.pageUrl === 'string' ? entry.pageUrl.trim() : '';
+  const lines = [
+    `--- 页面元素 ${index}：<${tag}>（${tokens} tokens${entry?.hasScreenshot ? '，附带截图' : ''}）---`,
+    `选择器：${selector}`
+  ];
+  if (title || url) lines.push(`来源：${[title, url].filter(Boolean).join(' ')}`);
+  lines.push('内容：', markdown || '(无文本内容)');
+  return lines.join('\n');
+}
+
+/**
+ * 把多个元素附件拼成一段完整的附加上下文；没有附件时返回空串。
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+export function buildElementAttachmentText(entries) {
+  const usable = (Array.isArray(entries) ? entries : [])
+    .filter(entry => (typeof entry?.markdown === 'string' && entry.markdown.trim()) || entry?.hasScreenshot);
+  if (!usable.length) return '';
+  return [
+    `已附加 ${usable.length} 个页面元素：`,
+    ...usable.map((entry, index) => buildElementAttachmentBlock(entry, index + 1)),
+    '--- 页面元素结束 ---'
+  ].join('\n\n');
+}
@@ -0,0 +1,604 @@
+/**
+ * 外部平台聊天记录导入（纯函数）：把 ChatGPT / Claude / Gemini 的导出文件转换为 Cerebr 会话记录。
+ *
+ * 支持的输入：
+ * - ChatGPT：数据导出包里的 conversations.json（mapping 消息树，含编辑/重新生成产生的分支）；
+ * - Claude：数据导出包里的 conversations.json（chat_messages；带 parent_message_uuid 时按树处理）；
+ * - Gemini：AI Studio 保存的 prompt 文件（chunkedPrompt），以及 Google Takeout 的 “我的活动” JSON。
+ *
+ * 分支的表示方式：
+ * Cerebr 单个会话只有一条主链，“分支”用独立会话 + parentConversationId / forkedFromMessageId 表示（与“创建分支对话”一致）。
+ * 因此源数据里的每个叶子都会得到一条完整的根→叶路径：当前所在分支作为主会话，其余叶子作为它的分支会话，
+ * 挂到与之共享前缀最长的那条会话下面。
+ *
+ * 会话与消息 ID 由来源 ID 推导（如 chatgpt_<conversation_id>），重复导入同一文件会命中同一批 ID，
+ * 由调用方决定覆盖还是跳过。
+ *
+ * 图片：导出包里的图片文件由调用方读取，通过 options.resolveAsset 按引用换成 image_url 对象；
+ * 找不到的图片在正文里留下占位文字并计入 stats.missingImages。
+ */
+
+export const EXTERNAL_CHAT_IMPORT_SOURCES = Object.freeze({
+  chatgpt: 'ChatGPT',
+  claude: 'Claude',
+  gemini: 'Gemini'
+});
+
+// Takeout “我的活动”没有会话边界：相邻两条提问间隔不超过该值时视为同一会话
+const GEMINI_ACTIVITY_SESSION_GAP_MS = 30 * 60 * 1000;
+const CLAUDE_ROOT_PARENT_UUID = '00000000-0000-4000-8000-000000000000';
+
+function safeString(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+function toMillis(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    // ChatGPT 用秒（带小数），其余多为毫秒
+    return value < 1e11 ? Math.round(value * 1000) : Math.round(value);
+  }
+  if (typeof value === 'string' && value.trim()) {
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+  }
+  return 0;
+}
+
+function truncateTitle(text, maxLength = 40) {
+  const flat = safeString(text).replace(/\s+/g, ' ').trim();
+  return flat.length > maxLength ? `${flat.slice(0, maxLength)}…` : flat;
+}
+
+function stripFileExtension(fileName) {
+  return safeString(fileName).replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+}
+
+/**
+ * 识别导出文件来自哪个平台。
+ * @param {any} data - 已 JSON.parse 的文件内容
+ * @returns {{source: 'chatgpt'|'claude'|'gemini', kind: string}|null}
+ */
+export function detectExternalChatExport(data) {
+  const list = Array.isArray(data) ? data : (data && typeof data === 'object' ? [data] : []);
+  const first = list.find(item => item && typeof item === 'object');
+  if (!first) return null;
+  if (first.mapping && typeof first.mapping === 'object') return { source: 'chatgpt', kind: 'conversations' };
+  if (Array.isArray(first.chat_messages)) return { source: 'claude', kind: 'conversations' };
+  if (!Array.isArray(data) && first.chunkedPrompt && Array.isArray(first.chunkedPrompt.chunks)) {
+    return { source: 'gemini', kind: 'aistudio' };
+  }
+  const isGeminiActivity = item => item
+    && typeof item.time === 'string'
+    && (/gemini|bard/i.test(safeString(item.header))
+      || (Array.isArray(item.products) && item.products.some(p => /gemini|bard/i.test(safeString(p)))));
+  if (Array.isArray(data) && list.some(isGeminiActivity)) return { source: 'gemini', kind: 'activity' };
+  return null;
+}
+
+function createImportContext(options) {
+  const stats = { conversations: 0, branches: 0, messages: 0, images: 0, missingImages: 0, skipped: 0 };
+  return {
+    stats,
+    warnings: [],
+    resolveAsset(ref) {
+      let resolved = null;
+      if (typeof options.resolveAsset === 'function') {
+        try { resolved = options.resolveAsset(ref) || null; } catch (_) { resolved = null; }
+      }
+      if (resolved && (resolved.url || resolved.path)) {
+        stats.images += 1;
+        return resolved;
+      }
+      stats.missingImages += 1;
+      return null;
+    }
+  };
+}
+
+/**
+ * 组装 Cerebr 消息 content：无图片时为字符串，有图片时为多模态数组（图片在前，与输入框发送一致）。
+ */
+function buildMessageContent(text, images) {
+  const cleanText = safeString(text);
+  if (!images.length) return cleanText;
+  const parts = images.map(image => ({ type: 'image_url', image_url: { ...image } }));
+  if (cleanText.trim()) parts.push({ type: 'text', text: cleanText });
+  return parts;
+}
+
+function joinText(a, b) {
+  const left = safeString(a).trim();
+  const right = safeString(b).trim();
+  if (!left) return right;
+  if (!right) return left;
+  return `${left}\n\n${right}`;
+}
+
+/**
+ * 把“源消息树”转换为若干条 Cerebr 会话。
+ *
+ * nodes 中每项：{ id, parentId, timestamp, entry }，entry 为 null 表示该节点不显示（系统/工具/隐藏消息），
+ * 其 thoughts 会并入下方最近的 AI 消息。entry = { role: 'user'|'ai', text, images, thoughts, model }。
+ *
+ * @returns {Array<Object>} 会话记录，第一条为主会话
+ */
+function buildConversationsFromTree(nodes, meta, context) {
+  const byId = new Map();
+  nodes.forEach(node => { if (node && node.id && !byId.has(node.id)) byId.set(node.id, node); });
+
+  // 1) 为每个可见节点找最近的可见祖先，沿途收集被跳过节点里的思考过程
+  const visible = new Map();
+  byId.forEach((node) => {
+    if (!node.entry) return;
+    let thoughts = '';
+    let visibleParentId = null;
+    let parentId = node.parentId;
+    const seen = new Set([node.id]);
+    while (parentId && byId.has(parentId) && !seen.has(parentId)) {
+      seen.add(parentId);
+      const parent = byId.get(parentId);
+      if (parent.entry) {
+        visibleParentId = parentId;
+        break;
+      }
+      thoughts = joinText(safeString(parent.thoughts), thoughts);
+      parentId = parent.parentId;
+    }
+    visible.set(node.id, {
+      id: node.id,
+      parentId: visibleParentId,
+      timestamp: node.timestamp || 0,
+      role: node.entry.role,
+      text: safeString(node.entry.text),
+      images: Array.isArray(node.entry.images) ? node.entry.images.slice() : [],
+      thoughts: joinText(thoughts, node.entry.thoughts),
+      model: safeString(node.entry.model),
+      children: []
+    });
+  });
+  context.stats.skipped += byId.size - visible.size;
+  if (!visible.size) return [];
+
+  const order = Array.from(visible.values());
+  order.forEach((node) => {
+    const parent = node.parentId ? visible.get(node.parentId) : null;
+    if (parent) parent.children.push(node);
+  });
+  const byTime = (a, b) => (a.timestamp || 0) - (b.timestamp || 0);
+  order.forEach(node => node.children.sort(byTime));
+
+  // 2) 同一轮回复被拆成多个节点（思考/工具调用/续写）时合并为一条 AI 消息；有多个子节点说明是重新生成，不合并
+  const merged = new Map();
+  const mergeChain = (node) => {
+    while (node.role === 'ai' && node.children.length === 1 && node.children[0].role === 'ai') {
+      const child = node.children[0];
+      node.text = joinText(node.text, child.text);
+      node.images.push(...child.images);
+      node.thoughts = joinText(node.thoughts, child.thoughts);
+      node.model = child.model || node.model;
+      node.timestamp = Math.max(node.timestamp, child.timestamp);
+      node.children = child.children;
+      node.children.forEach(grandchild => { grandchild.parentId = node.id; });
+      merged.set(child.id, node.id);
+      visible.delete(child.id);
+    }
+    node.children.forEach(mergeChain);
+  };
+  const roots = order.filter(node => !node.parentId).sort(byTime);
+  roots.forEach(mergeChain);
+
+  // 3) 取所有叶子的根→叶路径；当前分支排第一
+  const leaves = Array.from(visible.values()).filter(node => !node.children.length).sort(byTime);
+  const pathTo = (leaf) => {
+    const path = [];
+    const seen = new Set();
+    let node = leaf;
+    while (node && !seen.has(node.id)) {
+      seen.add(node.id);
+      path.unshift(node);
+      node = node.parentId ? visible.get(node.parentId) : null;
+    }
+    return path;
+  };
+  let currentLeafId = meta.currentNodeId || '';
+  const walked = new Set();
+  while (currentLeafId && !visible.has(currentLeafId) && !walked.has(currentLeafId)) {
+    walked.add(currentLeafId);
+    currentLeafId = merged.get(currentLeafId) || byId.get(currentLeafId)?.parentId || '';
+  }
+  if (!visible.has(currentLeafId)) currentLeafId = '';
+  let mainLeaf = currentLeafId ? visible.get(currentLeafId) : null;
+  // 当前节点若不是叶子（例如停在某条中间消息），沿最新的子节点走到底
+  while (mainLeaf && mainLeaf.children.length) mainLeaf = mainLeaf.children[mainLeaf.children.length - 1];
+  if (!mainLeaf) mainLeaf = leaves[leaves.length - 1];
+  const orderedLeaves = [mainLeaf, ...leaves.filter(leaf => leaf !== mainLeaf)];
+
+  const emitted = [];
+  orderedLeaves.forEach((leaf, index) => {
+    const path = pathTo(leaf);
+    if (!path.length) return;
+    const conversationId = index === 0 ? meta.id : `${meta.id}_b${index}`;
+    const messageIdPrefix = index === 0 ? `${meta.idPrefix}_` : `${meta.idPrefix}_b${index}_`;
+
+    let parentConversation = null;
+    let sharedLength = 0;
+    emitted.forEach((candidate) => {
+      let shared = 0;
+      while (shared < path.length && shared < candidate.path.length && path[shared] === candidate.path[shared]) shared++;
+      if (shared > sharedLength) {
+        sharedLength = shared;
+        parentConversation = candidate;
+      }
+    });
+
+    const messages = path.map((node, position) => {
+      const id = `${messageIdPrefix}${node.id}`;
+      const message = {
+        id,
+        role: node.role,
+        content: buildMessageContent(node.text, node.images),
+        parentId: position > 0 ? `${messageIdPrefix}${path[position - 1].id}` : null,
+        children: position < path.length - 1 ? [`${messageIdPrefix}${path[position + 1].id}`] : [],
+        timestamp: node.timestamp || meta.startTime || 0
+      };
+      if (node.thoughts) message.thoughtsRaw = node.thoughts;
+      if (node.role === 'ai') {
+        message.apiDisplayName = meta.sourceLabel;
+        message.apiModelId = node.model || meta.model || '';
+      }
+      return message;
+    });
+
+    const timestamps = messages.map(message => message.timestamp).filter(Boolean);
+    const startTime = meta.startTime || (timestamps.length ? Math.min(...timestamps) : 0);
+    const endTime = Math.max(meta.endTime || 0, ...timestamps, startTime);
+    const conversation = {
+      id: conversationId,
+      url: meta.url || '',
+      title: meta.title || '',
+      startTime,
+      endTime,
+      messages,
+      conversationRevision: 0,
+      summary: meta.title || truncateTitle(path[0].text) || `${meta.sourceLabel} 对话`,
+      summarySource: 'manual'
+    };
+    if (parentConversation && sharedLength > 0) {
+      conversation.parentConversationId = parentConversation.conversation.id;
+      conversation.forkedFromMessageId = parentConversation.conversation.messages[sharedLength - 1].id;
+    }
+    emitted.push({ conversation, path });
+  });
+
+  context.stats.conversations += emitted.length;
+  context.stats.branches += Math.max(0, emitted.length - 1);
+  context.stats.messages += emitted.reduce((sum, item) => sum + item.conversation.messages.length, 0);
+  return emitted.map(item => item.conversation);
+}
+
+// ---- ChatGPT ----
+
+function readChatGptAssetId(pointer) {
+  // file-service://file-XXXX 或 sediment://file_XXXX
+  return safeString(pointer).replace(/^[a-z-]+:\/\//i, '').trim();
+}
+
+function convertChatGptNode(node, context) {
+  const message = node?.message;
+  if (!message || typeof message !== 'object') return { entry: null };
+  const role = safeString(message.author?.role);
+  const content = message.content || {};
+  const contentType = safeString(content.content_type);
+  const metadata = message.metadata || {};
+
+  if (contentType === 'thoughts' && Array.isArray(content.thoughts)) {
+    const thoughts = content.thoughts
+      .map(item => joinText(item?.summary ? `**${safeString(item.summary)}**` : '', item?.content))
+      .filter(Boolean)
+      .join('\n\n');
+    return { entry: null, thoughts };
+  }
+  if (role === 'system' || metadata.is_visually_hidden_from_conversation) return { entry: null };
+  // 发给工具的调用（代码执行、搜索等）不是给用户看的回复
+  if (role === 'assistant' && message.recipient && message.recipient !== 'all') return { entry: null };
+  if (contentType !== 'text' && contentType !== 'multimodal_text') return { entry: null };
+
+  const texts = [];
+  const images = [];
+  (Array.isArray(content.parts) ? content.parts : []).forEach((part) => {
+    if (typeof part === 'string') {
+      if (part) texts.push(part);
+      return;
+    }
+    if (part && part.content_type === 'image_asset_pointer') {
+      const assetId = readChatGptAssetId(part.asset_pointer);
+      const resolved = context.resolveAsset({ source: 'chatgpt', assetId });
+      if (resolved) images.push(resolved);
+      else texts.push(`[图片：${assetId || '未知'}（导出包中未找到）]`);
+    }
+  });
+  // 工具消息只保留其中的图片（例如图像生成结果），其余输出不展示
+  if (role === 'tool') {
+    if (!images.length) return { entry: null };
+    return { entry: { role: 'ai', text: '', images, thoughts: '', model: safeString(metadata.model_slug) } };
+  }
+  const text = texts.join('\n\n');
+  if (!text.trim() && !images.length) return { entry: null };
+  return {
+    entry: {
+      role: role === 'user' ? 'user' : 'ai',
+      text,
+      images,
+      thoughts: '',
+      model: role === 'user' ? '' : safeString(metadata.model_slug)
+    }
+  };
+}
+
+function convertChatGptConversation(raw, context) {
+  const sourceId = safeString(raw.conversation_id || raw.id) || `t${toMillis(raw.create_time)}`;
+  const mapping = raw.mapping && typeof raw.mapping === 'object' ? raw.mapping : {};
+  const nodes = Object.entries(mapping).map(([key, node]) => {
+    const converted = convertChatGptNode(node, context);
+    return {
+      id: safeString(node?.id) || key,
+      parentId: safeString(node?.parent) || null,
+      timestamp: toMillis(node?.message?.create_time),
+      entry: converted.entry,
+      thoughts: converted.thoughts || ''
+    };
+  });
+  return buildConversationsFromTree(nodes, {
+    id: `chatgpt_${sourceId}`,
+    idPrefix: 'chatgpt',
+    sourceLabel: EXTERNAL_CHAT_IMPORT_SOURCES.chatgpt,
+    title: safeString(raw.title).trim(),
+    url: raw.conversation_id || raw.id ? `https://chatgpt.com/c/${sourceId}` : '',
+    model: safeString(raw.default_model_slug),
+    startTime: toMillis(raw.create_time),
+    endTime: toMillis(raw.update_time),
+    currentNodeId: safeString(raw.current_node)
+  }, context);
+}
+
+// ---- Claude ----
+
+function convertClaudeMessage(message, context) {
+  const role = message.sender === 'human' ? 'user' : 'ai';
+  const texts = [];
+  let thoughts = '';
+  const blocks = Array.isArray(message.content) && message.content.length ? message.content : null;
+  if (blocks) {
+    blocks.forEach((block) => {
+      if (block?.type === 'text' && block.text) texts.push(block.text);
+      else if (block?.type === 'thinking' && block.thinking) thoughts = joinText(thoughts, block.thinking);
+    });
+  } else if (message.text) {
+    texts.push(message.text);
+  }
+
+  (Array.isArray(message.attachments) ? message.attachments : []).forEach((attachment) => {
+    const name = safeString(attachment?.file_name) || '附件';
+    const extracted = safeString(attachment?.extracted_content);
+    texts.push(extracted.trim() ? `附件：${name}\n\n\`\`\`\n${extracted.trim()}\n\`\`\`` : `[附件：${name}]`);
+  });
+
+  const images = [];
+  (Array.isArray(message.files) ? message.files : []).forEach((file) => {
+    const fileName = safeString(file?.file_name);
+    const resolved = context.resolveAsset({ source: 'claude', fileName, assetId: safeString(file?.file_uuid) });
+    if (resolved) images.push(resolved);
+    else texts.push(`[图片：${fileName || '未知'}（导出包中未包含图片内容）]`);
+  });
+
+  const text = texts.join('\n\n');
+  if (!text.trim() && !images.length && !thoughts) return null;
+  return { role, text, images, thoughts, model: '' };
+}
+
+function convertClaudeConversation(raw, context) {
+  const sourceId = safeString(raw.uuid) || `t${toMillis(raw.created_at)}`;
+  const list = (Array.isArray(raw.chat_messages) ? raw.chat_messages : []).filter(Boolean);
+  const ids = new Set(list.map(message => safeString(message.uuid)).filter(Boolean));
+  let previousId = null;
+  const nodes = list.map((message, index) => {
+    const id = safeString(message.uuid) || `m${index}`;
+    const declaredParent = safeString(message.parent_message_uuid);
+    // 旧版导出没有 parent_message_uuid：按列表顺序串成一条链
+    const parentId = declaredParent
+      ? (declaredParent !== CLAUDE_ROOT_PARENT_UUID && ids.has(declaredParent) ? declaredParent : null)
+      : previousId;
+    previousId = id;
+    return {
+      id,
+      parentId,
+      timestamp: toMillis(message.created_at),
+      entry: convertClaudeMessage(message, context)
+    };
+  });
+  return buildConversationsFromTree(nodes, {
+    id: `claude_${sourceId}`,
+    idPrefix: 'claude',
+    sourceLabel: EXTERNAL_CHAT_IMPORT_SOURCES.claude,
+    title: safeString(raw.name).trim(),
+    url: raw.uuid ? `https://claude.ai/chat/${sourceId}` : '',
+    model: safeString(raw.model),
+    startTime: toMillis(raw.created_at),
+    endTime: toMillis(raw.updated_at),
+    currentNodeId: safeString(raw.current_leaf_message_uuid)
+  }, context);
+}
+
+// ---- Gemini ----
+
+/**
+ * 把 Takeout 里的回复 HTML 粗略转为 Markdown 风格的纯文本（不依赖 DOM）。
+ * @param {string} html
+ * @returns {string}
+ */
+export function convertActivityHtmlToText(html) {
+  return safeString(html)
+    .replace(/<\s*br\s*\/?>/gi, '\n')
+    .replace(/<\s*li[^>]*>/gi, '\n- ')
+    .replace(/<\s*h([1-6])[^>]*>/gi, (_, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<\s*\/\s*(p|div|h[1-6]|ul|ol|pre|table|tr)\s*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function convertGeminiAiStudioPrompt(raw, context, options) {
+  const title = stripFileExtension(options.fileName) || 'AI Studio';
+  const model = safeString(raw.runSettings?.model).replace(/^models\//, '');
+  const baseTime = toMillis(options.fileTime) || 0;
+  let pendingThoughts = '';
+  const nodes = [];
+  raw.chunkedPrompt.chunks.forEach((chunk, index) => {
+    if (!chunk || typeof chunk !== 'object') return;
+    const role = chunk.role === 'user' ? 'user' : 'ai';
+    if (chunk.isThought) {
+      pendingThoughts = joinText(pendingThoughts, chunk.text);
+      return;
+    }
+    const images = [];
+    const texts = [];
+    if (chunk.text) texts.push(chunk.text);
+    if (chunk.inlineImage?.data) {
+      const mimeType = safeString(chunk.inlineImage.mimeType) || 'image/png';
+      images.push({ url: `data:${mimeType};base64,${chunk.inlineImage.data}` });
+      context.stats.images += 1;
+    } else if (chunk.driveImage || chunk.driveDocument) {
+      const driveId = safeString((chunk.driveImage || chunk.driveDocument).id);
+      const resolved = context.resolveAsset({ source: 'gemini', assetId: driveId });
+      if (resolved) images.push(resolved);
+      else texts.push(`[云端硬盘文件：${driveId || '未知'}（未随导出提供）]`);
+    }
+    if (!texts.join('').trim() && !images.length) return;
+    nodes.push({
+      id: `c${index}`,
+      parentId: nodes.length ? nodes[nodes.length - 1].id : null,
+      timestamp: toMillis(chunk.createTime) || baseTime,
+      entry: { role, text: texts.join('\n\n'), images, thoughts: role === 'ai' ? pendingThoughts : '', model }
+    });
+    if (role === 'ai') pendingThoughts = '';
+  });
+  const systemInstruction = safeString(raw.systemInstruction?.text)
+    || (Array.isArray(raw.systemInstruction?.parts) ? raw.systemInstruction.parts.map(part => safeString(part?.text)).join('\n') : '');
+  if (systemInstruction.trim()) {
+    context.warnings.push(`「${title}」的系统指令未导入（Cerebr 会话不保存系统提示词）`);
+  }
+  const idSeed = `${title}_${nodes.length}_${baseTime}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < idSeed.length; i++) {
+    hash ^= idSeed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return buildConversationsFromTree(nodes, {
+    id: `gemini_aistudio_${hash.toString(16).padStart(8, '0')}`,
+    idPrefix: 'gemini',
+    sourceLabel: EXTERNAL_CHAT_IMPORT_SOURCES.gemini,
+    title,
+    url: '',
+    model,
+    startTime: baseTime,
+    endTime: baseTime
+  }, context);
+}
+
+function convertGeminiActivity(items, context) {
+  const activities = items
+    .filter(item => item && typeof item === 'object' && Array.isArray(item.safeHtmlItem) && item.safeHtmlItem.length)
+    .map(item => ({ item, time: toMillis(item.time) }))
+    .filter(entry => entry.time > 0)
+    .sort((a, b) => a.time - b.time);
+  context.stats.skipped += items.length - activities.length;
+
+  const sessions = [];
+  activities.forEach((entry) => {
+    const last = sessions[sessions.length - 1];
+    if (last && entry.time - last[last.length - 1].time <= GEMINI_ACTIVITY_SESSION_GAP_MS) last.push(entry);
+    else sessions.push([entry]);
+  });
+
+  const conversations = [];
+  sessions.forEach((session) => {
+    const nodes = [];
+    session.forEach(({ item, time }, index) => {
+      const prompt = safeString(item.title).replace(/^Prompted\s+/i, '');
+      const images = [];
+      const promptTexts = [prompt];
+      (Array.isArray(item.attachedFiles) ? item.attachedFiles : []).forEach((fileName) => {
+        const resolved = context.resolveAsset({ source: 'gemini', fileName: safeString(fileName) });
+        if (resolved) images.push(resolved);
+        else promptTexts.push(`[附件：${safeString(fileName) || '未知'}（导出包中未找到）]`);
+      });
+      const userId = `a${index}_q`;
+      nodes.push({
+        id: userId,
+        parentId: nodes.length ? nodes[nodes.length - 1].id : null,
+        timestamp: time,
+        entry: { role: 'user', text: promptTexts.filter(Boolean).join('\n\n'), images, thoughts: '', model: '' }
+      });
+      nodes.push({
+        id: `a${index}_r`,
+        parentId: userId,
+        timestamp: time,
+        entry: {
+          role: 'ai',
+          text: item.safeHtmlItem.map(part => convertActivityHtmlToText(part?.html)).filter(Boolean).join('\n\n'),
+          images: [],
+          thoughts: '',
+          model: ''
+        }
+      });
+    });
+    const firstPrompt = nodes[0]?.entry?.text || '';
+    conversations.push(...buildConversationsFromTree(nodes, {
+      id: `gemini_activity_${session[0].time}`,
+      idPrefix: 'gemini',
+      sourceLabel: EXTERNAL_CHAT_IMPORT_SOURCES.gemini,
+      title: truncateTitle(firstPrompt),
+      url: '',
+      model: '',
+      startTime: session[0].time,
+      endTime: session[session.length - 1].time
+    }, context));
+  });
+  return conversations;
+}
+
+/**
+ * 转换一个外部导出文件。只做内存转换，不写库，可直接用于“预览/试运行”。
+ * @param {any} data - 已 JSON.parse 的文件内容
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - 文件名（AI Studio 文件以此作为标题）
+ * @param {number} [options.fileTime] - 文件修改时间（AI Studio 文件没有逐条时间戳时使用）
+ * @param {(ref:{source:string, assetId?:string, fileName?:string}) => ({url?:string, path?:string}|null)} [options.resolveAsset]
+ * @returns {{source: string|null, kind: string, conversations: Object[], stats: Object, warnings: string[]}}
+ */
+export function convertExternalChatExport(data, options = {}) {
+  const detected = detectExternalChatExport(data);
+  const context = createImportContext(options);
+  if (!detected) {
+    return { source: null, kind: '', conversations: [], stats: context.stats, warnings: ['无法识别的导出文件格式'] };
+  }
+  const list = Array.isArray(data) ? data : [data];
+  const conversations = [];
+  if (detected.source === 'chatgpt') {
+    list.forEach(raw => { if (raw?.mapping) conversations.push(...convertChatGptConversation(raw, context)); });
+  } else if (detected.source === 'claude') {
+    list.forEach(raw => { if (Array.isArray(raw?.chat_messages)) conversations.push(...convertClaudeConversation(raw, context)); });
+  } else if (detected.kind === 'aistudio') {
+    conversations.push(...convertGeminiAiStudioPrompt(data, context, options));
+  } else {
+    conversations.push(...convertGeminiActivity(list, context));
+  }
+  return { source: detected.source, kind: detected.kind, conversations, stats: context.stats, warnings: context.warnings };
+}
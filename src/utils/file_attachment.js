@@ -0,0 +1,315 @@
+/**
+ * 文件附件：识别拖入/选择的文档类型、解析 CSV 与 DOCX、生成发给模型的文本块（纯函数为主）。
+ *
+ * 一个附件在侧栏、历史节点与请求之间使用同一份记录：
+ * `{ id, name, kind, mimeType, size, text, tokens, pageCount?, data? }`
+ * - text：本地抽取的纯文本（PDF 按页加 `[p. N]` 标记），任何接口都能以文本块形式发送；
+ * - data：仅 PDF 保存的 Base64 原文件，Gemini / Responses 接口发送时改用原生文件输入（inline_data / input_file）。
+ *
+ * 文本类文件（Markdown、源码、CSV）即使走原生接口也只是被当作文本读取，因此统一以文本块发送。
+ */
+import { approxTokensFromChars } from './page_content_read_tool.js';
+import { isProbablyBinary, zipToEntries } from './local_repo_packer.js';
+import { formatTokenEstimate } from './tab_context.js';
+
+// 单个附件的大小上限；Gemini inline_data 整个请求上限约 20MB，PDF 超出时只发送抽取的文本
+export const MAX_FILE_ATTACHMENT_BYTES = 50 * 1024 * 1024;
+export const MAX_NATIVE_FILE_BYTES = 15 * 1024 * 1024;
+export const MAX_TEXT_FILE_BYTES = 2 * 1024 * 1024;
+export const CSV_PREVIEW_MAX_ROWS = 20;
+export const CSV_PREVIEW_MAX_COLUMNS = 12;
+
+const TEXT_FILE_EXTENSIONS = new Set([
+  'txt', 'md', 'markdown', 'mdx', 'rst', 'adoc', 'org', 'tex', 'log',
+  'json', 'jsonl', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'env', 'properties', 'xml', 'html', 'htm', 'svg',
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte', 'css', 'scss', 'less',
+  'py', 'rb', 'php', 'java', 'kt', 'kts', 'scala', 'go', 'rs', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'swift', 'm', 'mm',
+  'sh', 'bash', 'zsh', 'fish', 'ps1', 'bat', 'sql', 'graphql', 'proto', 'lua', 'r', 'dart', 'ex', 'exs', 'erl', 'hs',
+  'clj', 'pl', 'vim', 'gradle', 'cmake', 'dockerfile', 'makefile', 'ipynb'
+]);
+const TEXT_FILE_BASENAMES = new Set(['dockerfile', 'makefile', 'license', 'readme', '.gitignore', '.editorconfig']);
+
+const KIND_LABELS = {
+  pdf: 'PDF',
+  docx: 'Word',
+  csv: 'CSV',
+  text: '文本'
+};
+
+function getExtension(name) {
+  const base = String(name || '').split(/[\\/]/).pop() || '';
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * 判断文件属于哪类附件；图片与无法识别的二进制返回 null（图片仍走原有的图片标签）。
+ * @param {{name?: string, type?: string}} file
+ * @param {Uint8Array} [bytes] - 扩展名无法判断时用于嗅探是否为文本
+ * @returns {'pdf'|'docx'|'csv'|'text'|null}
+ */
+export function getFileAttachmentKind(file, bytes) {
+  const name = String(file?.name || '');
+  const mime = String(file?.type || '').toLowerCase();
+  const ext = getExtension(name);
+  if (mime.startsWith('image/')) return null;
+  if (ext === 'pdf' || mime === 'application/pdf') return 'pdf';
+  if (ext === 'docx' || mime === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+  if (ext === 'csv' || ext === 'tsv' || mime === 'text/csv' || mime === 'text/tab-separated-values') return 'csv';
+  if (TEXT_FILE_EXTENSIONS.has(ext) || mime.startsWith('text/') || mime === 'application/json') return 'text';
+  if (!ext && TEXT_FILE_BASENAMES.has(name.toLowerCase())) return 'text';
+  if (bytes && !isProbablyBinary(name, bytes)) return 'text';
+  return null;
+}
+
+/**
+ * 猜测 CSV 的分隔符：.tsv 固定为制表符，其余取首行中出现最多的 `,` / `;` / `\t`。
+ * @param {string} text
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function detectCsvDelimiter(text, name = '') {
+  if (getExtension(name) === 'tsv') return '\t';
+  const firstLine = String(text || '').split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of [',', ';', '\t']) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * 按 RFC 4180 解析 CSV：支持双引号包裹、字段内换行与 `""` 转义；末尾空行会被忽略。
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = ',') {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * 取 CSV 的预览：首行作为表头，最多 maxRows 行、maxColumns 列。
+ * @param {string[][]} rows
+ * @param {{maxRows?: number, maxColumns?: number}} [options]
+ * @returns {{header: string[], rows: string[][], totalRows: number, totalColumns: number, truncated: boolean}}
+ */
+export function buildCsvPreview(rows, options = {}) {
+  const list = Array.isArray(rows) ? rows : [];
+  const maxRows = options.maxRows ?? CSV_PREVIEW_MAX_ROWS;
+  const maxColumns = options.maxColumns ?? CSV_PREVIEW_MAX_COLUMNS;
+  const totalColumns = list.reduce((max, cells) => Math.max(max, cells.length), 0);
+  const columns = Math.min(totalColumns, maxColumns);
+  const pad = cells => Array.from({ length: columns }, (_, index) => cells[index] ?? '');
+  const body = list.slice(1);
+  return {
+    header: pad(list[0] || []),
+    rows: body.slice(0, maxRows).map(pad),
+    totalRows: body.length,
+    totalColumns,
+    truncated: body.length > maxRows || totalColumns > maxColumns
+  };
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 把 word/document.xml 转成纯文本：段落换行、制表符与换行符保留，其余排版信息丢弃。
+ * @param {string} xml
+ * @returns {string}
+ */
+export function docxXmlToText(xml) {
+  const tokenPattern = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g;
+  let text = '';
+  let match;
+  while ((match = tokenPattern.exec(String(xml || ''))) !== null) {
+    if (match[1] !== undefined) text += match[1];
+    else if (match[0] === '<w:tab/>') text += '\t';
+    else text += '\n';
+  }
+  return decodeXmlEntities(text).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 从 .docx 文件中抽取正文文本。
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>}
+ */
+export async function extractDocxText(data) {
+  const { entries } = zipToEntries(data);
+  const documentEntry = entries.find(entry => /(^|\/)word\/document\.xml$/.test(entry.path));
+  if (!documentEntry) throw new Error('不是有效的 Word 文档（缺少 word/document.xml）');
+  return docxXmlToText(new TextDecoder().decode(await documentEntry.read()));
+}
+
+/**
+ * 把 PDF 逐页文本拼成带 `[p. N]` 标记的正文，便于模型按页引用。
+ * @param {string[]} pageTexts
+ * @returns {string}
+ */
+export function buildPdfAttachmentText(pageTexts) {
+  return (Array.isArray(pageTexts) ? pageTexts : [])
+    .map((text, index) => ({ page: index + 1, text: String(text || '').replace(/\s+/g, ' ').trim() }))
+    .filter(item => item.text)
+    .map(item => `[p. ${item.page}]\n${item.text}`)
+    .join('\n\n');
+}
+
+/**
+ * 估算附件正文的 token 数。
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateFileAttachmentTokens(text) {
+  return approxTokensFromChars(typeof text === 'string' ? text.length : 0);
+}
+
+/**
+ * 是否可以以原生文件输入发送（目前仅 PDF，且保存了原文件）。
+ * @param {Object} attachment
+ * @returns {boolean}
+ */
+export function canSendFileAttachmentNatively(attachment) {
+  return attachment?.kind === 'pdf' && typeof attachment?.data === 'string' && !!attachment.data;
+}
+
+/**
+ * 过滤掉结构不完整的附件记录（历史数据、队列快照都会经过这里）。
+ * @param {any} attachments
+ * @returns {Array<Object>}
+ */
+export function normalizeFileAttachments(attachments) {
+  return (Array.isArray(attachments) ? attachments : [])
+    .filter(item => item && typeof item === 'object' && typeof item.name === 'string' && KIND_LABELS[item.kind])
+    .map(item => ({ ...item, text: typeof item.text === 'string' ? item.text : '' }));
+}
+
+/**
+ * 生成单个附件的文本块。
+ * @param {Object} attachment
+ * @returns {string}
+ */
+export function buildFileAttachmentBlock(attachment) {
+  const label = KIND_LABELS[attachment?.kind] || '文件';
+  const text = typeof attachment?.text === 'string' ? attachment.text.trim() : '';
+  const pages = attachment?.pageCount ? `，${attachment.pageCount} 页` : '';
+  return [
+    `--- 文件：${attachment?.name || '未命名文件'}（${label}${pages}，${formatTokenEstimate(estimateFileAttachmentTokens(text))} tokens）---`,
+    text || '(未能从该文件中提取到文本)'
+  ].join('\n');
+}
+
+/**
+ * 把多个附件拼成一段放在消息正文之前的上下文；没有附件时返回空串。
+ * @param {Array<Object>} attachments
+ * @returns {string}
+ */
+export function buildFileAttachmentsText(attachments) {
+  const list = normalizeFileAttachments(attachments);
+  if (!list.length) return '';
+  return [
+    `已附加 ${list.length} 个文件：`,
+    ...list.map(buildFileAttachmentBlock),
+    '--- 文件内容结束 ---'
+  ].join('\n\n');
+}
+
+/**
+ * 在构造请求前展开消息上的 file_attachments：
+ * - nativeFileInput 为 true 时，可原生发送的附件转成 `{type:'file', file:{filename, mime_type, data}}` 内容片段，
+ *   由各接口的转换逻辑映射为 inline_data / input_file；
+ * - 其余附件以文本块放在该条消息正文之前。
+ *
+ * @param {Array<Object>} messages
+ * @param {{nativeFileInput?: boolean}} [options]
+ * @returns {Array<Object>} 新数组；未带附件的消息原样返回
+ */
+export function expandMessageFileAttachments(messages, options = {}) {
+  const nativeFileInput = options.nativeFileInput === true;
+  return (Array.isArray(messages) ? messages : []).map((msg) => {
+    if (!msg || !Array.isArray(msg.file_attachments)) return msg;
+    const { file_attachments: rawAttachments, ...rest } = msg;
+    const attachments = normalizeFileAttachments(rawAttachments);
+    if (!attachments.length) return rest;
+
+    const nativeAttachments = nativeFileInput ? attachments.filter(canSendFileAttachmentNatively) : [];
+    const textAttachments = attachments.filter(item => !nativeAttachments.includes(item));
+    const attachmentText = buildFileAttachmentsText(textAttachments);
+    const fileParts = nativeAttachments.map(item => ({
+      type: 'file',
+      file: {
+        filename: item.name,
+        mime_type: item.mimeType || 'application/pdf',
+        data: item.data
+      }
+    }));
+
+    if (!fileParts.length && typeof rest.content === 'string') {
+      return { ...rest, content: rest.content ? `${attachmentText}\n\n${rest.content}` : attachmentText };
+    }
+    const originalParts = Array.isArray(rest.content)
+      ? rest.content
+      : (typeof rest.content === 'string' && rest.content ? [{ type: 'text', text: rest.content }] : []);
+    return {
+      ...rest,
+      content: [
+        ...fileParts,
+        ...(attachmentText ? [{ type: 'text', text: attachmentText }] : []),
+        ...originalParts
+      ]
+    };
+  });
+}
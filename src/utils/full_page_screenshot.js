@@ -0,0 +1,324 @@
+/**
+ * 整页滚动截图（非模块脚本，随 content script 注入）
+ *
+ * 流程：找到真正承载滚动的元素（文档本身，或仪表盘这类“整页不滚动、内部容器滚动”的页面里最大的可滚动容器），
+ * 按视口高度逐屏滚动并调用 captureVisibleTab 截图；第一屏之后隐藏 fixed / sticky 元素，避免吸顶栏在每一屏重复出现；
+ * 最后在 canvas 上按实际滚动偏移拼接，输出一张长图，或按高度切成若干块供有图片尺寸限制的模型使用。
+ *
+ * 以全局对象 CerebrFullPageScreenshot 暴露；规划函数为纯函数，便于单测。
+ */
+(function initFullPageScreenshot() {
+  if (globalThis.CerebrFullPageScreenshot) return;
+
+  // 最多截取的屏数，防止无限滚动页面一直截下去
+  const MAX_FRAMES = 40;
+  // captureVisibleTab 每秒最多调用 2 次，两次截图之间至少间隔这么久
+  const MIN_CAPTURE_INTERVAL_MS = 550;
+  // 滚动后等待懒加载内容与重绘的时间
+  const SCROLL_SETTLE_MS = 150;
+  // 输出图片的最大宽度（像素），超出时等比缩小
+  const MAX_OUTPUT_WIDTH = 1600;
+  // 单张长图的最大高度（像素），超出时自动切块，避免超过 canvas 尺寸上限
+  const MAX_SINGLE_IMAGE_HEIGHT = 30000;
+  // 切块模式下每块的最大高度（像素）
+  const TILE_MAX_HEIGHT = 2048;
+  const OUTPUT_MIME = 'image/jpeg';
+  const OUTPUT_EXTENSION = 'jpg';
+  const OUTPUT_QUALITY = 0.92;
+
+  /**
+   * 规划逐屏滚动位置：每次前进一个视口高度，最后一屏对齐到底部。
+   * @param {number} scrollHeight - 可滚动内容总高度（CSS px）
+   * @param {number} viewportHeight - 视口（或滚动容器可视区）高度（CSS px）
+   * @param {number} [maxFrames]
+   * @returns {{positions:number[], truncated:boolean}}
+   */
+  function planScrollPositions(scrollHeight, viewportHeight, maxFrames = MAX_FRAMES) {
+    const viewport = Math.max(1, Math.floor(Number(viewportHeight) || 0));
+    const maxScroll = Math.max(0, Math.ceil(Number(scrollHeight) || 0) - viewport);
+    const positions = [];
+    for (let y = 0; y < maxScroll; y += viewport) positions.push(y);
+    positions.push(maxScroll);
+    const unique = Array.from(new Set(positions));
+    const limit = Math.max(1, Math.floor(maxFrames));
+    return {
+      positions: unique.slice(0, limit),
+      truncated: unique.length > limit
+    };
+  }
+
+  /**
+   * 根据每屏实际到达的滚动偏移，计算每屏要拼接的区域。
+   * 页面可能没有滚到请求的位置（例如最后一屏被对齐到底部），因此重叠部分只取新出现的内容。
+   * @param {number[]} offsets - 每屏截图时的实际滚动偏移（CSS px）
+   * @param {number} viewportHeight
+   * @returns {{segments:Array<{frameIndex:number, srcY:number, destY:number, height:number}>, totalHeight:number}}
+   */
+  function planStitchSegments(offsets, viewportHeight) {
+    const viewport = Math.max(1, Number(viewportHeight) || 0);
+    const segments = [];
+    let coveredUntil = 0;
+    (Array.isArray(offsets) ? offsets : []).forEach((rawOffset, frameIndex) => {
+      const offset = Math.max(0, Number(rawOffset) || 0);
+      const frameBottom = offset + viewport;
+      if (frameBottom <= coveredUntil) return;
+      const destY = Math.max(coveredUntil, offset);
+      segments.push({ frameIndex, srcY: destY - offset, destY, height: frameBottom - destY });
+      coveredUntil = frameBottom;
+    });
+    return { segments, totalHeight: coveredUntil };
+  }
+
+  /**
+   * 把总高度均匀切成不超过 maxTileHeight 的若干块（均分，避免最后剩一条很窄的块）。
+   * @param {number} totalHeight
+   * @param {number} maxTileHeight
+   * @returns {Array<{y:number, height:number}>}
+   */
+  function planTiles(totalHeight, maxTileHeight) {
+    const total = Math.max(0, Number(totalHeight) || 0);
+    if (total <= 0) return [];
+    const count = Math.max(1, Math.ceil(total / Math.max(1, Number(maxTileHeight) || total)));
+    const tileHeight = Math.ceil(total / count);
+    const tiles = [];
+    for (let y = 0; y < total; y += tileHeight) {
+      tiles.push({ y, height: Math.min(tileHeight, total - y) });
+    }
+    return tiles;
+  }
+
+  function isScrollable(element, win) {
+    if (!element || element.scrollHeight <= element.clientHeight + 1) return false;
+    const overflowY = win.getComputedStyle(element).overflowY;
+    return overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay';
+  }
+
+  /**
+   * 找到承载页面主体滚动的目标：文档可滚动时用文档，否则取可视面积最大的可滚动容器。
+   * @param {Document} doc
+   * @param {Window} win
+   * @param {Element[]} excluded - 不参与查找的元素（如侧栏）
+   * @returns {{element:Element, isDocument:boolean}}
+   */
+  function findScrollTarget(doc, win, excluded = []) {
+    const root = doc.scrollingElement || doc.documentElement;
+    if (root.scrollHeight > win.innerHeight + 1) {
+      return { element: root, isDocument: true };
+    }
+    let best = null;
+    let bestArea = 0;
+    doc.querySelectorAll('body *').forEach((element) => {
+      if (excluded.some(item => item && item.contains(element))) return;
+      if (!isScrollable(element, win)) return;
+      const rect = element.getBoundingClientRect();
+      const width = Math.max(0, Math.min(rect.right, win.innerWidth) - Math.max(rect.left, 0));
+      const height = Math.max(0, Math.min(rect.bottom, win.innerHeight) - Math.max(rect.top, 0));
+      if (width * height > bestArea) {
+        best = element;
+        bestArea = width * height;
+      }
+    });
+    return best ? { element: best, isDocument: false } : { element: root, isDocument: true };
+  }
+
+  /**
+   * 隐藏 fixed / sticky 元素，返回恢复函数。
+   * 包含滚动容器本身的祖先不能隐藏（很多仪表盘的整个应用外壳就是 fixed 的）。
+   */
+  function hideFloatingElements(doc, win, target, excluded) {
+    const hidden = [];
+    doc.querySelectorAll('body *').forEach((element) => {
+      if (excluded.some(item => item && item.contains(element))) return;
+      if (!target.isDocument && element.contains(target.element)) return;
+      const position = win.getComputedStyle(element).position;
+      if (position !== 'fixed' && position !== 'sticky') return;
+      const rect = element.getBoundingClientRect();
+      if (rect.width <= 0 || rect.height <= 0) return;
+      hidden.push({
+        element,
+        value: element.style.getPropertyValue('visibility'),
+        priority: element.style.getPropertyPriority('visibility')
+      });
+      element.style.setProperty('visibility', 'hidden', 'important');
+    });
+    return () => {
+      hidden.forEach(({ element, value, priority }) => {
+        if (value) element.style.setProperty('visibility', value, priority);
+        else element.style.removeProperty('visibility');
+      });
+    };
+  }
+
+  function getClipRect(target, win) {
+    if (target.isDocument) {
+      return { left: 0, top: 0, width: win.innerWidth, height: win.innerHeight };
+    }
+    const element = target.element;
+    const rect = element.getBoundingClientRect();
+    const left = Math.max(0, rect.left + element.clientLeft);
+    const top = Math.max(0, rect.top + element.clientTop);
+    return {
+      left,
+      top,
+      width: Math.min(element.clientWidth, win.innerWidth - left),
+      height: Math.min(element.clientHeight, win.innerHeight - top)
+    };
+  }
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  function waitForPaint(win) {
+    return new Promise(resolve => win.requestAnimationFrame(() => win.requestAnimationFrame(resolve)));
+  }
+
+  function loadImage(doc, dataUrl) {
+    return new Promise((resolve, reject) => {
+      const image = doc.createElement('img');
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('截图帧解码失败'));
+      image.src = dataUrl;
+    });
+  }
+
+  async function captureWithRetry(captureVisible) {
+    const first = await captureVisible();
+    if (first?.success && first.dataURL) return first.dataURL;
+    // 触发每秒调用次数限制时稍等再试一次
+    await sleep(1000);
+    const second = await captureVisible();
+    if (second?.success && second.dataURL) return second.dataURL;
+    throw new Error(second?.error || first?.error || '截图失败');
+  }
+
+  /**
+   * 逐屏滚动截图（会修改并在结束后恢复滚动位置、平滑滚动设置与浮动元素可见性）。
+   * @returns {Promise<{frames:Array<{offset:number, dataUrl:string}>, clip:Object, truncated:boolean}>}
+   */
+  async function captureFrames({ doc, win, target, captureVisible, excluded }) {
+    const element = target.element;
+    const clip = getClipRect(target, win);
+    const scrollHeight = target.isDocument
+      ? Math.max(element.scrollHeight, doc.body?.scrollHeight || 0)
+      : element.scrollHeight;
+    const { positions, truncated } = planScrollPositions(scrollHeight, clip.height);
+
+    const originalScrollTop = element.scrollTop;
+    const originalScrollBehavior = element.style.scrollBehavior;
+    element.style.scrollBehavior = 'auto';
+    let restoreFloating = null;
+    let lastCaptureAt = 0;
+    const frames = [];
+    try {
+      for (let index = 0; index < positions.length; index += 1) {
+        element.scrollTop = positions[index];
+        await waitForPaint(win);
+        if (index === 1) {
+          restoreFloating = hideFloatingElements(doc, win, target, excluded);
+          await waitForPaint(win);
+        }
+        const wait = Math.max(SCROLL_SETTLE_MS, MIN_CAPTURE_INTERVAL_MS - (Date.now() - lastCaptureAt));
+        await sleep(wait);
+        lastCaptureAt = Date.now();
+        const dataUrl = await captureWithRetry(captureVisible);
+        frames.push({ offset: element.scrollTop, dataUrl });
+      }
+    } finally {
+      restoreFloating?.();
+      element.scrollTop = originalScrollTop;
+      element.style.scrollBehavior = originalScrollBehavior;
+    }
+    return { frames, clip, truncated };
+  }
+
+  /**
+   * 把截到的帧拼接为一张或多张图片。
+   * @returns {Promise<{images:string[], autoTiled:boolean}>}
+   */
+  async function stitchFrames({ doc, win, frames, clip, output }) {
+    const images = await Promise.all(frames.map(frame => loadImage(doc, frame.dataUrl)));
+    // 截图像素与 CSS 像素之比（设备像素比 × 缩放）
+    const captureScale = images[0].naturalWidth / win.innerWidth;
+    const outputScale = Math.min(captureScale, MAX_OUTPUT_WIDTH / clip.width);
+    const { segments, totalHeight } = planStitchSegments(frames.map(frame => frame.offset), clip.height);
+
+    const singleFits = Math.round(totalHeight * outputScale) <= MAX_SINGLE_IMAGE_HEIGHT;
+    const useTiles = output === 'tiles' || !singleFits;
+    const tiles = useTiles
+      ? planTiles(totalHeight, TILE_MAX_HEIGHT / outputScale)
+      : [{ y: 0, height: totalHeight }];
+
+    const results = tiles.map((tile) => {
+      const canvas = doc.createElement('canvas');
+      canvas.width = Math.round(clip.width * outputScale);
+      canvas.height = Math.round(tile.height * outputScale);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      segments.forEach((segment) => {
+        const start = Math.max(segment.destY, tile.y);
+        const end = Math.min(segment.destY + segment.height, tile.y + tile.height);
+        if (end <= start) return;
+        const srcY = clip.top + segment.srcY + (start - segment.destY);
+        ctx.drawImage(
+          images[segment.frameIndex],
+          clip.left * captureScale,
+          srcY * captureScale,
+          clip.width * captureScale,
+          (end - start) * captureScale,
+          0,
+          Math.round((start - tile.y) * outputScale),
+          canvas.width,
+          Math.round((end - start) * outputScale)
+        );
+      });
+      return canvas.toDataURL(OUTPUT_MIME, OUTPUT_QUALITY);
+    });
+    return { images: results, autoTiled: useTiles && output !== 'tiles' };
+  }
+
+  /**
+   * 截取整页。
+   * @param {Object} options
+   * @param {Document} options.document
+   * @param {Window} options.window
+   * @param {() => Promise<{success:boolean, dataURL?:string, error?:string}>} options.captureVisible - 截取当前可见区域
+   * @param {Element[]} [options.exclude] - 不参与滚动容器查找、也不隐藏的元素（如侧栏）
+   * @param {'single'|'tiles'} [options.output]
+   * @returns {Promise<{images:Array<{dataURL:string, name:string}>, frameCount:number, truncated:boolean, autoTiled:boolean}>}
+   */
+  async function captureFullPage(options = {}) {
+    const doc = options.document;
+    const win = options.window;
+    const excluded = Array.isArray(options.exclude) ? options.exclude.filter(Boolean) : [];
+    const output = options.output === 'tiles' ? 'tiles' : 'single';
+    const target = findScrollTarget(doc, win, excluded);
+    const { frames, clip, truncated } = await captureFrames({
+      doc,
+      win,
+      target,
+      captureVisible: options.captureVisible,
+      excluded
+    });
+    if (!frames.length) throw new Error('没有截到任何画面');
+    const { images, autoTiled } = await stitchFrames({ doc, win, frames, clip, output });
+    return {
+      images: images.map((dataURL, index) => ({
+        dataURL,
+        name: images.length > 1
+          ? `page-screenshot-full-${index + 1}of${images.length}.${OUTPUT_EXTENSION}`
+          : `page-screenshot-full.${OUTPUT_EXTENSION}`
+      })),
+      frameCount: frames.length,
+      truncated,
+      autoTiled
+    };
+  }
+
+  globalThis.CerebrFullPageScreenshot = {
+    planScrollPositions,
+    planStitchSegments,
+    planTiles,
+    findScrollTarget,
+    captureFullPage
+  };
+})();
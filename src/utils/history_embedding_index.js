@@ -0,0 +1,424 @@
+/**
+ * 聊天记录语义索引（embeddings）相关的纯逻辑
+ *
+ * 职责：
+ * - 把会话消息切成待嵌入的文本片段，并用内容哈希判断哪些片段需要（重新）嵌入；
+ * - 构造 OpenAI 兼容 / Gemini 的 embeddings 请求并解析响应；
+ * - 对索引记录按余弦相似度排序，聚合为“会话 → 命中消息”的结果。
+ *
+ * 存储（IndexedDB）与调度由 core/history_embedding_manager.js 负责，这里不做任何 IO（requestEmbeddings 除外，
+ * 且 fetch 可注入，便于用本地替身服务测试）。
+ *
+ * 索引记录结构：
+ * {
+ *   id: `${conversationId}::${messageId}#${chunkIndex}`,
+ *   conversationId, messageId, chunkIndex, role,
+ *   hash,        // 片段文本哈希，文本不变且模型不变时复用旧向量
+ *   model,       // 生成向量的模型；不同模型的向量不可比较
+ *   vector,      // Float32Array，已归一化为单位向量（点积即余弦相似度）
+ *   preview,     // 片段开头的一小段文本，用于搜索结果摘要
+ *   updatedAt
+ * }
+ */
+
+export const HISTORY_EMBEDDING_CHUNK_CHARS = 1200;
+export const HISTORY_EMBEDDING_MAX_CHUNKS_PER_MESSAGE = 6;
+export const HISTORY_EMBEDDING_BATCH_SIZE = 32;
+export const HISTORY_EMBEDDING_PREVIEW_CHARS = 160;
+
+const MIN_CHUNK_TEXT_LENGTH = 2;
+const GEMINI_DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com';
+
+/**
+ * 32 位 FNV-1a 哈希（十六进制）。只用于判断片段是否变化，不要求抗碰撞。
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashEmbeddingText(text) {
+  const input = typeof text === 'string' ? text : '';
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i += 1) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function extractMessageText(message) {
+  const content = message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map(part => (part?.type === 'text' && typeof part.text === 'string' ? part.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+function splitTextIntoChunks(text, chunkChars, maxChunks) {
+  const chunks = [];
+  let rest = text;
+  while (rest && chunks.length < maxChunks) {
+    if (rest.length <= chunkChars) {
+      chunks.push(rest);
+      break;
+    }
+    // 尽量在段落/句子边界切分，找不到时硬切
+    const window = rest.slice(0, chunkChars);
+    const boundary = Math.max(
+      window.lastIndexOf('\n\n'),
+      window.lastIndexOf('\n'),
+      window.lastIndexOf('。'),
+      window.lastIndexOf('. ')
+    );
+    const cut = boundary > chunkChars * 0.5 ? boundary + 1 : chunkChars;
+    chunks.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  return chunks.filter(chunk => chunk.length >= MIN_CHUNK_TEXT_LENGTH);
+}
+
+/**
+ * 把会话拆成待嵌入的文本片段（主对话与划词线程消息都会参与）。
+ *
+ * @param {Object} conversation - 完整会话记录（含 messages）
+ * @param {{chunkChars?:number, maxChunksPerMessage?:number}} [options]
+ * @returns {Array<{id:string, conversationId:string, messageId:string, chunkIndex:number, role:string, text:string, hash:string}>}
+ */
+export function extractConversationEmbeddingChunks(conversation, options = {}) {
+  const conversationId = typeof conversation?.id === 'string' ? conversation.id : '';
+  const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
+  if (!conversationId) return [];
+  const chunkChars = Math.max(200, Number(options.chunkChars) || HISTORY_EMBEDDING_CHUNK_CHARS);
+  const maxChunks = Math.max(1, Number(options.maxChunksPerMessage) || HISTORY_EMBEDDING_MAX_CHUNKS_PER_MESSAGE);
+
+  const chunks = [];
+  messages.forEach((message, index) => {
+    if (!message) return;
+    const text = extractMessageText(message).replace(/\r\n/g, '\n').trim();
+    if (text.length < MIN_CHUNK_TEXT_LENGTH) return;
+    const messageId = (typeof message.id === 'string' && message.id) ? message.id : `__message_${index}`;
+    const role = typeof message.role === 'string' ? message.role : '';
+    splitTextIntoChunks(text, chunkChars, maxChunks).forEach((chunkText, chunkIndex) => {
+      chunks.push({
+        id: `${conversationId}::${messageId}#${chunkIndex}`,
+        conversationId,
+        messageId,
+        chunkIndex,
+        role,
+        text: chunkText,
+        hash: hashEmbeddingText(chunkText)
+      });
+    });
+  });
+  return chunks;
+}
+
+/**
+ * 对比现有索引与最新片段，得出增量更新计划。
+ *
+ * @param {Array<Object>} chunks - extractConversationEmbeddingChunks 的结果
+ * @param {Array<Object>} existingRecords - 该会话已有的索引记录
+ * @param {string} model - 当前使用的嵌入模型
+ * @returns {{pending:Array<Object>, reused:Array<Object>, staleIds:string[]}}
+ */
+export function planConversationEmbeddingUpdate(chunks, existingRecords, model) {
+  const existingById = new Map();
+  (Array.isArray(existingRecords) ? existingRecords : []).forEach((record) => {
+    if (record?.id) existingById.set(record.id, record);
+  });
+
+  const pending = [];
+  const reused = [];
+  const keptIds = new Set();
+  (Array.isArray(chunks) ? chunks : []).forEach((chunk) => {
+    const existing = existingById.get(chunk.id);
+    keptIds.add(chunk.id);
+    if (existing && existing.hash === chunk.hash && existing.model === model && existing.vector) {
+      reused.push(existing);
+    } else {
+      pending.push(chunk);
+    }
+  });
+  const staleIds = Array.from(existingById.keys()).filter(id => !keptIds.has(id));
+  return { pending, reused, staleIds };
+}
+
+/**
+ * 归一化为单位向量；非法输入（空、非数字、零向量）返回 null。
+ * @param {ArrayLike<number>} values
+ * @returns {Float32Array|null}
+ */
+export function normalizeEmbeddingVector(values) {
+  if (!values || typeof values.length !== 'number' || values.length === 0) return null;
+  const vector = new Float32Array(values.length);
+  let norm = 0;
+  for (let i = 0; i < values.length; i += 1) {
+    const value = Number(values[i]);
+    if (!Number.isFinite(value)) return null;
+    vector[i] = value;
+    norm += value * value;
+  }
+  if (norm <= 0) return null;
+  const scale = 1 / Math.sqrt(norm);
+  for (let i = 0; i < vector.length; i += 1) vector[i] *= scale;
+  return vector;
+}
+
+/**
+ * 增量构建单个会话的索引记录：只对新增或内容变化的片段调用 embedTexts。
+ *
+ * @param {Object} params
+ * @param {Object} params.conversation - 完整会话记录
+ * @param {Array<Object>} params.existingRecords - 该会话已有的索引记录
+ * @param {string} params.model - 嵌入模型名
+ * @param {(texts:string[]) => Promise<Array<ArrayLike<number>>>} params.embedTexts - 批量嵌入函数
+ * @param {number} [params.batchSize]
+ * @param {() => number} [params.now]
+ * @returns {Promise<{records:Array<Object>, deleteIds:string[], embeddedCount:number, reusedCount:number}>}
+ *   records 仅包含需要写入的新记录；deleteIds 为需要删除的过期记录
+ */
+export async function buildConversationEmbeddingRecords(params) {
+  const { conversation, existingRecords, model, embedTexts } = params || {};
+  if (typeof embedTexts !== 'function') throw new Error('缺少 embedTexts');
+  const batchSize = Math.max(1, Number(params.batchSize) || HISTORY_EMBEDDING_BATCH_SIZE);
+  const now = typeof params.now === 'function' ? params.now : Date.now;
+
+  const chunks = extractConversationEmbeddingChunks(conversation);
+  const plan = planConversationEmbeddingUpdate(chunks, existingRecords, model);
+  const records = [];
+
+  for (let start = 0; start < plan.pending.length; start += batchSize) {
+    const batch = plan.pending.slice(start, start + batchSize);
+    const vectors = await embedTexts(batch.map(chunk => chunk.text));
+    if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+      throw new Error(`嵌入结果数量不匹配：期望 ${batch.length}，实际 ${Array.isArray(vectors) ? vectors.length : 0}`);
+    }
+    const updatedAt = now();
+    batch.forEach((chunk, index) => {
+      const vector = normalizeEmbeddingVector(vectors[index]);
+      if (!vector) return;
+      records.push({
+        id: chunk.id,
+        conversationId: chunk.conversationId,
+        messageId: chunk.messageId,
+        chunkIndex: chunk.chunkIndex,
+        role: chunk.role,
+        hash: chunk.hash,
+        model,
+        vector,
+        preview: chunk.text.slice(0, HISTORY_EMBEDDING_PREVIEW_CHARS),
+        updatedAt
+      });
+    });
+  }
+
+  return {
+    records,
+    deleteIds: plan.staleIds,
+    embeddedCount: records.length,
+    reusedCount: plan.reused.length
+  };
+}
+
+function dotProduct(a, b) {
+  if (!a || !b || a.length !== b.length) return null;
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * 创建流式排序器：逐条喂入索引记录（可直接配合 IndexedDB cursor），最后按会话聚合输出。
+ *
+ * - 会话得分取其最相似片段的得分；
+ * - 每个会话保留得分最高的若干条消息（同一消息的多个片段只保留最高分）；
+ * - 模型不一致或维度不一致的记录直接跳过。
+ *
+ * @param {ArrayLike<number>} queryValues - 查询向量（无需预先归一化）
+ * @param {{model?:string, candidateIds?:Set<string>|null, limit?:number, minScore?:number, hitsPerConversation?:number}} [options]
+ * @returns {{add:(record:Object)=>void, finish:()=>Array<{conversationId:string, score:number, hits:Array<{messageId:string, role:string, score:number, preview:string}>}>}}
+ */
+export function createEmbeddingRanker(queryValues, options = {}) {
+  const queryVector = normalizeEmbeddingVector(queryValues);
+  const model = typeof options.model === 'string' ? options.model : '';
+  const candidateIds = options.candidateIds instanceof Set ? options.candidateIds : null;
+  const limit = Math.max(1, Number(options.limit) || 30);
+  const minScore = Number.isFinite(Number(options.minScore)) ? Number(options.minScore) : 0;
+  const hitsPerConversation = Math.max(1, Number(options.hitsPerConversation) || 3);
+  const byConversation = new Map();
+
+  const add = (record) => {
+    if (!queryVector || !record?.conversationId || !record.vector) return;
+    if (model && record.model !== model) return;
+    if (candidateIds && !candidateIds.has(record.conversationId)) return;
+    const score = dotProduct(queryVector, record.vector);
+    if (score === null || score < minScore) return;
+
+    let entry = byConversation.get(record.conversationId);
+    if (!entry) {
+      entry = { conversationId: record.conversationId, score, hitsByMessage: new Map() };
+      byConversation.set(record.conversationId, entry);
+    }
+    if (score > entry.score) entry.score = score;
+    const previous = entry.hitsByMessage.get(record.messageId);
+    if (!previous || score > previous.score) {
+      entry.hitsByMessage.set(record.messageId, {
+        messageId: record.messageId,
+        role: record.role || '',
+        score,
+        preview: typeof record.preview === 'string' ? record.preview : ''
+      });
+    }
+  };
+
+  const finish = () => Array.from(byConversation.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => ({
+      conversationId: entry.conversationId,
+      score: entry.score,
+      hits: Array.from(entry.hitsByMessage.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, hitsPerConversation)
+    }));
+
+  return { add, finish };
+}
+
+function normalizePathname(pathname) {
+  const raw = (typeof pathname === 'string') ? pathname.trim() : '';
+  if (!raw || raw === '/') return '';
+  const trimmed = raw.replace(/\/+$/, '');
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+function parseHttpUrl(raw) {
+  try {
+    const parsed = new URL(raw);
+    const protocol = String(parsed.protocol || '').toLowerCase();
+    return (protocol === 'http:' || protocol === 'https:') ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 根据连接类型构造 embeddings 请求。
+ *
+ * - openai / openai_responses：沿用 baseUrl 的版本前缀，落到 `<prefix>/v1/embeddings`；
+ * - gemini：`/v1beta/models/<model>:batchEmbedContents?key=...`；
+ * - anthropic：官方没有 embeddings 端点，直接报错。
+ *
+ * @param {{connectionType:string, baseUrl:string, apiKey?:string, model:string, texts:string[]}} options
+ * @returns {{url:string, headers:Object, body:Object}}
+ */
+export function buildEmbeddingsRequest(options) {
+  const connectionType = typeof options?.connectionType === 'string' ? options.connectionType : 'openai';
+  const model = typeof options?.model === 'string' ? options.model.trim() : '';
+  const apiKey = typeof options?.apiKey === 'string' ? options.apiKey.trim() : '';
+  const texts = Array.isArray(options?.texts) ? options.texts.map(text => String(text ?? '')) : [];
+  if (!model) throw new Error('未填写嵌入模型名');
+
+  if (connectionType === 'anthropic') {
+    throw new Error('Anthropic Messages 连接没有 embeddings 端点，请选择 OpenAI 兼容或 Gemini 的 API 配置');
+  }
+
+  if (connectionType === 'gemini') {
+    const parsed = parseHttpUrl(options?.baseUrl || GEMINI_DEFAULT_BASE_URL);
+    if (!parsed) throw new Error(`embeddings 端点无效：${options?.baseUrl || '(empty)'}`);
+    const modelName = model.replace(/^models\//i, '');
+    const prefix = normalizePathname(parsed.pathname)
+      .replace(/\/v1(?:alpha|beta)?(?:\/.*)?$/i, '')
+      .replace(/\/models(?:\/.*)?$/i, '');
+    parsed.pathname = `${prefix}/v1beta/models/${encodeURIComponent(modelName)}:batchEmbedContents`;
+    parsed.search = '';
+    parsed.hash = '';
+    if (apiKey) parsed.searchParams.set('key', apiKey);
+    return {
+      url: parsed.toString(),
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        requests: texts.map(text => ({
+          model: `models/${modelName}`,
+          content: { parts: [{ text }] }
+        }))
+      }
+    };
+  }
+
+  const parsed = parseHttpUrl(options?.baseUrl);
+  if (!parsed) throw new Error(`embeddings 端点无效：${options?.baseUrl || '(empty)'}`);
+  const basePath = normalizePathname(parsed.pathname)
+    .replace(/\/(?:chat\/completions|responses|messages|completions|embeddings|models)(?:\/.*)?$/i, '');
+  const versionMatch = basePath.match(/^(.*\/v\d+(?:alpha|beta)?)(?:\/.*)?$/i);
+  parsed.pathname = versionMatch?.[1] ? `${versionMatch[1]}/embeddings` : '/v1/embeddings';
+  parsed.search = '';
+  parsed.hash = '';
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return {
+    url: parsed.toString(),
+    headers,
+    body: { model, input: texts }
+  };
+}
+
+/**
+ * 解析 embeddings 响应为与输入同序的向量数组。
+ * @param {any} payload
+ * @param {number} expectedCount
+ * @returns {Array<number[]>}
+ */
+export function parseEmbeddingsResponse(payload, expectedCount) {
+  let vectors = [];
+  if (Array.isArray(payload?.data)) {
+    // OpenAI 兼容：data[].index 标明顺序，部分实现可能乱序返回
+    vectors = payload.data
+      .map((item, position) => ({
+        index: Number.isInteger(item?.index) ? item.index : position,
+        embedding: item?.embedding
+      }))
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  } else if (Array.isArray(payload?.embeddings)) {
+    vectors = payload.embeddings.map(item => item?.values);
+  } else if (Array.isArray(payload?.embedding?.values)) {
+    vectors = [payload.embedding.values];
+  }
+  if (vectors.length !== expectedCount || vectors.some(vector => !Array.isArray(vector) || vector.length === 0)) {
+    throw new Error(`embeddings 响应格式无法识别（期望 ${expectedCount} 个向量）`);
+  }
+  return vectors;
+}
+
+/**
+ * 发送 embeddings 请求。
+ *
+ * @param {{connectionType:string, baseUrl:string, apiKey?:string, model:string, texts:string[]}} options
+ * @param {{fetchImpl?:Function, signal?:AbortSignal}} [runtime]
+ * @returns {Promise<Array<number[]>>}
+ */
+export async function requestEmbeddings(options, runtime = {}) {
+  const texts = Array.isArray(options?.texts) ? options.texts : [];
+  if (texts.length === 0) return [];
+  const fetchImpl = typeof runtime.fetchImpl === 'function' ? runtime.fetchImpl : fetch;
+  const request = buildEmbeddingsRequest(options);
+  const response = await fetchImpl(request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal: runtime.signal
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    const detail = text ? `：${text.slice(0, 300)}` : '';
+    throw new Error(`embeddings 请求失败（HTTP ${response.status}）${detail}`);
+  }
+  let payload = null;
+  try {
+    payload = JSON.parse(text);
+  } catch (_) {
+    throw new Error('embeddings 响应不是有效 JSON');
+  }
+  return parseEmbeddingsResponse(payload, texts.length);
+}
@@ -0,0 +1,306 @@
+/**
+ * 聊天记录搜索查询语言（纯函数）
+ *
+ * 语法（优先级从高到低）：
+ * - 词条：`关键词`、`"完整短语"`、`key:value`（value 也可加引号：`title:"周报 草稿"`）；
+ * - 否定：`-词条`、`!词条`、`NOT 词条`，也可作用于括号分组 `-(a OR b)`；
+ * - 分组：`( ... )`；
+ * - AND：空格（也可显式写 `AND` / `&&`）；
+ * - OR：`OR` / `|` / `||`。
+ *
+ * 说明：
+ * - 关键字只认大写 `OR` / `AND` / `NOT`，避免吞掉正文里的 “or”；
+ * - 括号不配对、OR 两侧为空等输入中途状态不会报错，按能解析的部分处理；
+ * - `key:value` 是否是筛选条件由调用方的 parseFilter 决定，返回 null 时按普通关键词处理。
+ *
+ * 语法树节点：
+ * - `{ type: 'and' | 'or', children: Node[] }`
+ * - `{ type: 'not', child: Node }`
+ * - `{ type: 'term', value: string, lower: string, quoted: boolean }`
+ * - `{ type: 'filter', filter: Object }`
+ */
+
+const TOKEN_WORD = 'word';
+const TOKEN_OR = 'or';
+const TOKEN_AND = 'and';
+const TOKEN_NOT = 'not';
+const TOKEN_OPEN = 'open';
+const TOKEN_CLOSE = 'close';
+
+/**
+ * 把查询文本切成 token。
+ * @param {string} rawInput
+ * @returns {Array<{type:string, value?:string, quoted?:boolean}>}
+ */
+export function tokenizeHistorySearchQuery(rawInput) {
+  const input = typeof rawInput === 'string' ? rawInput : '';
+  const tokens = [];
+  let buffer = '';
+  let bufferHasContent = false;
+  let quotedOnly = true;
+  let inQuotes = false;
+  let escapeNext = false;
+
+  const flush = () => {
+    if (!bufferHasContent) return;
+    if (!quotedOnly) {
+      if (buffer === 'OR' || buffer === '|' || buffer === '||') {
+        tokens.push({ type: TOKEN_OR });
+      } else if (buffer === 'AND' || buffer === '&&') {
+        tokens.push({ type: TOKEN_AND });
+      } else if (buffer === 'NOT') {
+        tokens.push({ type: TOKEN_NOT });
+      } else {
+        tokens.push({ type: TOKEN_WORD, value: buffer, quoted: false });
+      }
+    } else {
+      tokens.push({ type: TOKEN_WORD, value: buffer, quoted: true });
+    }
+    buffer = '';
+    bufferHasContent = false;
+    quotedOnly = true;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (escapeNext) {
+      buffer += ch;
+      bufferHasContent = true;
+      quotedOnly = false;
+      escapeNext = false;
+      continue;
+    }
+    if (ch === '\\') {
+      escapeNext = true;
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    if (inQuotes) {
+      buffer += ch;
+      bufferHasContent = true;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      flush();
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      flush();
+      tokens.push({ type: ch === '(' ? TOKEN_OPEN : TOKEN_CLOSE });
+      continue;
+    }
+    // 词首的 - / ! 表示否定（“e-mail” 这类词中间的连字符不受影响）
+    if (!bufferHasContent && (ch === '-' || ch === '!')) {
+      const next = input[i + 1];
+      if (next !== undefined && !/\s/.test(next)) {
+        tokens.push({ type: TOKEN_NOT });
+        continue;
+      }
+    }
+    buffer += ch;
+    bufferHasContent = true;
+    quotedOnly = false;
+  }
+  flush();
+  return tokens.filter(token => token.type !== TOKEN_WORD || token.value.trim());
+}
+
+function simplifyGroup(type, children) {
+  const flat = [];
+  children.forEach((child) => {
+    if (!child) return;
+    if (child.type === type) {
+      flat.push(...child.children);
+    } else {
+      flat.push(child);
+    }
+  });
+  if (flat.length === 0) return null;
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+}
+
+/**
+ * 解析查询文本为语法树；空查询返回 null。
+ *
+ * @param {string} rawInput
+ * @param {{parseFilter?: (token:string) => Object|null}} [options]
+ * @returns {Object|null}
+ */
+export function parseHistorySearchQuery(rawInput, options = {}) {
+  const parseFilter = typeof options.parseFilter === 'function' ? options.parseFilter : () => null;
+  const tokens = tokenizeHistorySearchQuery(rawInput);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseLeaf = (token) => {
+    const value = token.value.trim();
+    if (!token.quoted) {
+      const filter = parseFilter(value);
+      if (filter) return { type: 'filter', filter };
+    }
+    return { type: 'term', value, lower: value.toLowerCase(), quoted: !!token.quoted };
+  };
+
+  let parseOr = null;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) return null;
+    if (token.type === TOKEN_NOT) {
+      position += 1;
+      const child = parseUnary();
+      if (!child) return null;
+      // 双重否定直接抵消
+      return child.type === 'not' ? child.child : { type: 'not', child };
+    }
+    if (token.type === TOKEN_OPEN) {
+      position += 1;
+      const inner = parseOr();
+      if (peek()?.type === TOKEN_CLOSE) position += 1;
+      return inner;
+    }
+    if (token.type === TOKEN_WORD) {
+      position += 1;
+      return parseLeaf(token);
+    }
+    return null;
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < tokens.length) {
+      const token = peek();
+      if (token.type === TOKEN_OR || token.type === TOKEN_CLOSE) break;
+      if (token.type === TOKEN_AND) {
+        position += 1;
+        continue;
+      }
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    return simplifyGroup('and', children);
+  };
+
+  parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === TOKEN_OR) {
+      position += 1;
+      children.push(parseAnd());
+    }
+    return simplifyGroup('or', children);
+  };
+
+  const parts = [];
+  while (position < tokens.length) {
+    const node = parseOr();
+    if (node) parts.push(node);
+    // 多余的右括号：跳过后继续解析
+    if (peek()?.type === TOKEN_CLOSE) position += 1;
+  }
+  return simplifyGroup('and', parts);
+}
+
+function isLeaf(node) {
+  return node?.type === 'term' || node?.type === 'filter';
+}
+
+/**
+ * 是否为旧语法可表达的形式：若干词条/筛选（可单独否定）的 AND。
+ * @param {Object|null} node
+ * @returns {boolean}
+ */
+export function isSimpleHistorySearchConjunction(node) {
+  if (!node) return true;
+  const isSimpleItem = item => isLeaf(item) || (item.type === 'not' && isLeaf(item.child));
+  if (node.type === 'and') return node.children.every(isSimpleItem);
+  return isSimpleItem(node);
+}
+
+/**
+ * 把语法树按顶层 AND 拆成条目列表（不是 AND 时返回单元素数组）。
+ * @param {Object|null} node
+ * @returns {Array<Object>}
+ */
+export function listHistorySearchConjuncts(node) {
+  if (!node) return [];
+  return node.type === 'and' ? node.children.slice() : [node];
+}
+
+/**
+ * 收集语法树中的关键词，按是否处于否定之下分组（用于高亮与旧路径的正/负向词）。
+ * @param {Object|null} node
+ * @returns {{positive: Array<Object>, negative: Array<Object>}}
+ */
+export function collectHistorySearchTerms(node) {
+  const result = { positive: [], negative: [] };
+  const visit = (current, negated) => {
+    if (!current) return;
+    if (current.type === 'term') {
+      (negated ? result.negative : result.positive).push(current);
+    } else if (current.type === 'not') {
+      visit(current.child, !negated);
+    } else if (current.type === 'and' || current.type === 'or') {
+      current.children.forEach(child => visit(child, negated));
+    }
+  };
+  visit(node, false);
+  return result;
+}
+
+/**
+ * 收集语法树中满足条件的筛选节点。
+ * @param {Object|null} node
+ * @param {(filter:Object) => boolean} predicate
+ * @returns {Array<Object>}
+ */
+export function findHistorySearchFilters(node, predicate) {
+  const found = [];
+  const visit = (current) => {
+    if (!current) return;
+    if (current.type === 'filter') {
+      if (predicate(current.filter)) found.push(current.filter);
+    } else if (current.type === 'not') {
+      visit(current.child);
+    } else if (current.type === 'and' || current.type === 'or') {
+      current.children.forEach(visit);
+    }
+  };
+  visit(node);
+  return found;
+}
+
+/**
+ * 三值求值：叶子可返回 true / false / null（暂时无法判断，例如还没读取消息正文）。
+ *
+ * - AND：任一 false 即 false，全部 true 才 true；
+ * - OR：任一 true 即 true，全部 false 才 false；
+ * - NOT：true/false 取反，null 保持 null。
+ *
+ * @param {Object|null} node
+ * @param {(leaf:Object) => (boolean|null)} resolveLeaf
+ * @returns {boolean|null} 空查询视为 true
+ */
+export function evaluateHistorySearchExpression(node, resolveLeaf) {
+  if (!node) return true;
+  if (node.type === 'not') {
+    const value = evaluateHistorySearchExpression(node.child, resolveLeaf);
+    return value === null ? null : !value;
+  }
+  if (node.type === 'and' || node.type === 'or') {
+    const shortCircuit = node.type === 'or';
+    let unknown = false;
+    for (const child of node.children) {
+      const value = evaluateHistorySearchExpression(child, resolveLeaf);
+      if (value === shortCircuit) return shortCircuit;
+      if (value === null) unknown = true;
+    }
+    return unknown ? null : !shortCircuit;
+  }
+  const value = resolveLeaf(node);
+  return (value === true || value === false) ? value : null;
+}
@@ -0,0 +1,640 @@
+/**
+ * 聊天记录双向同步（WebDAV / S3 兼容存储）。
+ *
+ * 远端布局（均位于用户配置的目录/前缀下）：
+ * - manifest.json：`{ format, version, updatedAt, entries: { [conversationId]: ManifestEntry } }`
+ * - conversations/<encodeURIComponent(id)>@<hash>.json：单个会话某一版本的完整记录（与 IndexedDB 中结构一致）。
+ *   对象按内容寻址、写入后不再覆盖，清单里的 hash 决定当前版本；下载后会校验内容哈希与清单一致。
+ *
+ * 增量与冲突判断基于三方比较：本地当前内容哈希、远端清单中的哈希、上次同步完成时记下的“基线”哈希。
+ * - 只有一方相对基线变化：单向上传/下载；
+ * - 两方都变化：下载远端后交给调用方提供的 mergeConversations（conversation_state_merge.js）合并，再双向写回；
+ * - 删除用清单中的墓碑（deleted: true）传播；对方在删除后又修改过的会话会被保留。
+ *
+ * 清单写入带 If-Match（ETag），两台设备同时同步时后写的一方会收到 412 并整体重试一次；
+ * 由于会话对象按内容寻址，败方先写入的对象不会覆盖胜方的版本，重试时仍能下载到对方的修改再合并。
+ * 被清单替换掉的旧版本对象在清单写入成功后才删除。
+ *
+ * @typedef {{hash:string, endTime:number, revision?:number, updatedAt?:number, device?:string, deleted?:boolean, deletedAt?:number}} ManifestEntry
+ * @typedef {{hash?:string, endTime?:number, deleted?:boolean}} BaseEntry
+ */
+
+export const HISTORY_SYNC_FORMAT = 'cerebr.history-sync';
+export const HISTORY_SYNC_VERSION = 1;
+export const HISTORY_SYNC_MANIFEST_KEY = 'manifest.json';
+const HISTORY_SYNC_CONVERSATION_DIR = 'conversations/';
+const MAX_MANIFEST_RETRIES = 2;
+
+/**
+ * 远端请求失败。status 为 HTTP 状态码（网络错误时为 0）。
+ */
+export class HistorySyncRequestError extends Error {
+  constructor(message, status = 0) {
+    super(message);
+    this.name = 'HistorySyncRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * 会话某一版本在远端的对象键（encodeURIComponent 会转义 @，不会与分隔符混淆）。
+ * @param {string} conversationId
+ * @param {string} hash - hashConversationForSync 的结果
+ * @returns {string}
+ */
+export function buildHistorySyncObjectKey(conversationId, hash) {
+  return `${HISTORY_SYNC_CONVERSATION_DIR}${encodeURIComponent(String(conversationId || ''))}@${String(hash || '')}.json`;
+}
+
+function fnv1a32(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * 会话内容哈希：只覆盖会在设备间同步的字段，统计类字段（messageCount 等）不参与。
+ * @param {Object} conversation
+ * @returns {string}
+ */
+export function hashConversationForSync(conversation) {
+  const conv = conversation && typeof conversation === 'object' ? conversation : {};
+  const text = JSON.stringify([
+    conv.id || '',
+    conv.url || '',
+    conv.title || '',
+    conv.summary || '',
+    conv.summarySource || '',
+    Number(conv.startTime) || 0,
+    Number(conv.endTime) || 0,
+    Number(conv.conversationRevision) || 0,
+    conv.parentConversationId || '',
+    conv.forkedFromMessageId || '',
+    conv.apiLock || null,
+    Array.isArray(conv.messages) ? conv.messages : []
+  ]);
+  // 两个种子各算一遍拼成 64 位，降低偶然碰撞的概率
+  return `${fnv1a32(text, 0x811c9dc5)}${fnv1a32(text, 0x01000193)}`;
+}
+
+/**
+ * 由会话元数据得到“是否可能变化”的指纹；指纹不变时可复用上次的内容哈希，避免每次同步都读取全部会话。
+ * @param {Object} meta - getAllConversationMetadata 返回的条目
+ * @returns {string}
+ */
+export function buildConversationSyncFingerprint(meta) {
+  return [
+    Number(meta?.endTime) || 0,
+    Number(meta?.messageCount) || 0,
+    Number(meta?.conversationRevision) || 0,
+    meta?.summary || '',
+    meta?.summarySource || '',
+    meta?.apiLock?.id || ''
+  ].join('|');
+}
+
+export function createEmptyHistorySyncManifest() {
+  return { format: HISTORY_SYNC_FORMAT, version: HISTORY_SYNC_VERSION, updatedAt: 0, entries: {} };
+}
+
+/**
+ * 解析远端清单；格式不符时抛错，避免把别的文件当成空清单覆盖掉。
+ * @param {string} body
+ * @returns {{format:string, version:number, updatedAt:number, entries:Object<string, ManifestEntry>}}
+ */
+export function parseHistorySyncManifest(body) {
+  const data = JSON.parse(body);
+  if (!data || data.format !== HISTORY_SYNC_FORMAT) {
+    throw new Error('远端目录中的 manifest.json 不是 Cerebr 同步清单');
+  }
+  if (Number(data.version) > HISTORY_SYNC_VERSION) {
+    throw new Error(`远端同步清单版本 ${data.version} 高于当前支持的 ${HISTORY_SYNC_VERSION}，请先升级扩展`);
+  }
+  const entries = {};
+  Object.entries(data.entries && typeof data.entries === 'object' ? data.entries : {}).forEach(([id, entry]) => {
+    if (id && entry && typeof entry === 'object') entries[id] = entry;
+  });
+  return { ...createEmptyHistorySyncManifest(), updatedAt: Number(data.updatedAt) || 0, entries };
+}
+
+/**
+ * 三方比较，生成每个会话的同步动作。
+ * @param {{
+ *   localEntries: Object<string, {hash:string, endTime:number}>,
+ *   remoteEntries: Object<string, ManifestEntry>,
+ *   baseEntries: Object<string, BaseEntry>,
+ *   skipIds?: Set<string>
+ * }} input
+ * @returns {Array<{id:string, action:'upload'|'download'|'merge'|'delete-local'|'delete-remote'|'in-sync'|'tombstone'}>}
+ */
+export function planHistorySync(input) {
+  const localEntries = input?.localEntries || {};
+  const remoteEntries = input?.remoteEntries || {};
+  const baseEntries = input?.baseEntries || {};
+  const skipIds = input?.skipIds instanceof Set ? input.skipIds : new Set();
+  const ids = new Set([...Object.keys(localEntries), ...Object.keys(remoteEntries)]);
+  const actions = [];
+  ids.forEach((id) => {
+    if (skipIds.has(id)) return;
+    const local = localEntries[id] || null;
+    const remote = remoteEntries[id] || null;
+    const base = baseEntries[id] && !baseEntries[id].deleted ? baseEntries[id] : null;
+    const remoteLive = !!remote && !remote.deleted;
+    let action = '';
+    if (local && !remoteLive) {
+      // 远端已删除且本地自上次同步后没动过：跟随删除；否则（含远端从未有过）上传
+      action = remote?.deleted && base && base.hash === local.hash ? 'delete-local' : 'upload';
+    } else if (!local && remoteLive) {
+      action = base && base.hash === remote.hash ? 'delete-remote' : 'download';
+    } else if (local && remoteLive) {
+      if (local.hash === remote.hash) {
+        action = 'in-sync';
+      } else {
+        const localChanged = !base || base.hash !== local.hash;
+        const remoteChanged = !base || base.hash !== remote.hash;
+        if (localChanged && !remoteChanged) action = 'upload';
+        else if (!localChanged && remoteChanged) action = 'download';
+        else action = 'merge';
+      }
+    } else if (remote?.deleted) {
+      action = 'tombstone';
+    }
+    if (action) actions.push({ id, action });
+  });
+  return actions;
+}
+
+/**
+ * 执行一次同步。
+ * @param {Object} options
+ * @param {{getObject:Function, putObject:Function, deleteObject:Function, prepare?:Function}} options.store - createWebDavSyncStore / createS3SyncStore
+ * @param {{
+ *   listEntries: () => Promise<Array<{id:string, hash:string, endTime:number}>>,
+ *   getConversation: (id:string) => Promise<Object|null>,
+ *   putConversation: (conversation:Object) => Promise<void>,
+ *   deleteConversation: (id:string) => Promise<void>
+ * }} options.local - 本地数据库适配器
+ * @param {(input:{local:Object, remote:Object, baseEndTime:number}) => {conversation:Object, conflictCopy:Object|null}} options.mergeConversations
+ * @param {{entries?: Object<string, BaseEntry>}} [options.baseState] - 上次同步完成时的基线
+ * @param {string} [options.deviceId]
+ * @param {Set<string>} [options.skipIds] - 本轮跳过的会话（例如仍在生成回复的会话）
+ * @param {() => number} [options.now]
+ * @param {(done:number, total:number) => void} [options.onProgress]
+ * @param {(summary:{deleteLocal:number, deleteRemote:number, total:number}) => Promise<boolean>} [options.confirmBulkDelete]
+ *   - 一次要删除的会话较多时询问；返回 false 则改为恢复（远端删除的重新上传，本地删除的重新下载）
+ * @returns {Promise<{baseState:{entries:Object, syncedAt:number}, counts:Object, changedLocalIds:string[], deletedLocalIds:string[], errors:Array<{id:string, message:string}>}>}
+ */
+export async function runHistorySync(options) {
+  const { store, local, mergeConversations } = options;
+  const now = typeof options.now === 'function' ? options.now : () => Date.now();
+  const deviceId = String(options.deviceId || '');
+  let baseEntries = { ...(options.baseState?.entries || {}) };
+  const counts = { uploaded: 0, downloaded: 0, merged: 0, conflicts: 0, deletedLocal: 0, deletedRemote: 0, unchanged: 0 };
+  const changedLocalIds = new Set();
+  const deletedLocalIds = new Set();
+  const errors = [];
+  // 各轮上传过的对象键：412 重试后可能不再被清单引用，成功写入清单后一并清理
+  const uploadedKeys = new Set();
+
+  if (typeof store.prepare === 'function') await store.prepare();
+
+  for (let attempt = 0; ; attempt++) {
+    const manifestObject = await store.getObject(HISTORY_SYNC_MANIFEST_KEY);
+    const manifest = manifestObject ? parseHistorySyncManifest(manifestObject.body) : createEmptyHistorySyncManifest();
+    let manifestChanged = !manifestObject;
+    const previousEntries = { ...manifest.entries };
+
+    const localList = await local.listEntries();
+    const localEntries = {};
+    localList.forEach((entry) => { if (entry?.id) localEntries[entry.id] = entry; });
+
+    const actions = planHistorySync({
+      localEntries,
+      remoteEntries: manifest.entries,
+      baseEntries,
+      skipIds: options.skipIds
+    });
+    await guardBulkDelete(actions, Object.keys(localEntries).length, options.confirmBulkDelete);
+    const nextBase = { ...baseEntries };
+    // 只有写入清单后才算数的变化（上传、合并、远端删除）；清单冲突时这些会话的基线保持不变
+    const unconfirmedIds = new Set();
+    const setManifestEntry = (conversation, hash) => {
+      manifest.entries[conversation.id] = {
+        hash,
+        endTime: Number(conversation.endTime) || 0,
+        revision: Number(conversation.conversationRevision) || 0,
+        updatedAt: now(),
+        device: deviceId
+      };
+      nextBase[conversation.id] = { hash, endTime: Number(conversation.endTime) || 0 };
+      unconfirmedIds.add(conversation.id);
+      manifestChanged = true;
+    };
+    const uploadConversation = async (conversation) => {
+      const hash = hashConversationForSync(conversation);
+      const key = buildHistorySyncObjectKey(conversation.id, hash);
+      // 同一键的内容必然相同，重复写入无害，因此不需要条件写
+      await store.putObject(key, JSON.stringify(conversation));
+      uploadedKeys.add(key);
+      setManifestEntry(conversation, hash);
+      return hash;
+    };
+    const downloadConversation = async (id) => {
+      const expectedHash = manifest.entries[id]?.hash || '';
+      const object = await store.getObject(buildHistorySyncObjectKey(id, expectedHash));
+      if (!object) return null;
+      const conversation = JSON.parse(object.body);
+      if (hashConversationForSync(conversation) !== expectedHash) {
+        throw new Error(`远端会话 ${id} 的内容与清单哈希不一致，本次跳过`);
+      }
+      return conversation;
+    };
+
+    let done = 0;
+    for (const { id, action } of actions) {
+      try {
+        if (action === 'in-sync') {
+          nextBase[id] = { hash: localEntries[id].hash, endTime: Number(localEntries[id].endTime) || 0 };
+          counts.unchanged += 1;
+        } else if (action === 'tombstone') {
+          nextBase[id] = { deleted: true };
+        } else if (action === 'upload') {
+          const conversation = await local.getConversation(id);
+          if (conversation) {
+            await uploadConversation(conversation);
+            counts.uploaded += 1;
+          }
+        } else if (action === 'download') {
+          const conversation = await downloadConversation(id);
+          if (conversation && conversation.id === id) {
+            await local.putConversation(conversation);
+            nextBase[id] = { hash: hashConversationForSync(conversation), endTime: Number(conversation.endTime) || 0 };
+            changedLocalIds.add(id);
+            counts.downloaded += 1;
+          } else {
+            // 清单里有记录但对象丢失：从清单移除，下次由仍持有它的设备重新上传
+            delete manifest.entries[id];
+            manifestChanged = true;
+          }
+        } else if (action === 'merge') {
+          const [localConversation, remoteConversation] = await Promise.all([
+            local.getConversation(id),
+            downloadConversation(id)
+          ]);
+          if (!remoteConversation) {
+            if (localConversation) await uploadConversation(localConversation);
+            counts.uploaded += 1;
+          } else if (!localConversation) {
+            await local.putConversation(remoteConversation);
+            changedLocalIds.add(id);
+            counts.downloaded += 1;
+          } else {
+            const result = mergeConversations({
+              local: localConversation,
+              remote: remoteConversation,
+              baseEndTime: Number(baseEntries[id]?.endTime) || 0
+            });
+            await local.putConversation(result.conversation);
+            await uploadConversation(result.conversation);
+            changedLocalIds.add(id);
+            counts.merged += 1;
+            if (result.conflictCopy) {
+              await local.putConversation(result.conflictCopy);
+              await uploadConversation(result.conflictCopy);
+              changedLocalIds.add(result.conflictCopy.id);
+              counts.conflicts += 1;
+            }
+          }
+        } else if (action === 'delete-local') {
+          await local.deleteConversation(id);
+          nextBase[id] = { deleted: true };
+          deletedLocalIds.add(id);
+          counts.deletedLocal += 1;
+        } else if (action === 'delete-remote') {
+          manifest.entries[id] = { hash: manifest.entries[id]?.hash || '', endTime: 0, deleted: true, deletedAt: now(), device: deviceId };
+          nextBase[id] = { deleted: true };
+          unconfirmedIds.add(id);
+          manifestChanged = true;
+          counts.deletedRemote += 1;
+        }
+      } catch (error) {
+        errors.push({ id, message: error?.message || String(error) });
+      }
+      done += 1;
+      options.onProgress?.(done, actions.length);
+    }
+
+    if (manifestChanged) {
+      manifest.updatedAt = now();
+      try {
+        await store.putObject(HISTORY_SYNC_MANIFEST_KEY, JSON.stringify(manifest), {
+          ifMatch: manifestObject?.etag || '',
+          ifNoneMatch: manifestObject ? '' : '*'
+        });
+      } catch (error) {
+        // 另一台设备刚写过清单：重读远端再来一遍。未写入清单的变化沿用旧基线，
+        // 这样对方同时修改过的会话会走 merge，而不是被误判为“仅远端变化”直接下载覆盖本地
+        if (error instanceof HistorySyncRequestError && error.status === 412 && attempt < MAX_MANIFEST_RETRIES) {
+          unconfirmedIds.forEach((id) => {
+            if (Object.prototype.hasOwnProperty.call(baseEntries, id)) nextBase[id] = baseEntries[id];
+            else delete nextBase[id];
+          });
+          baseEntries = nextBase;
+          continue;
+        }
+        throw error;
+      }
+      await removeUnreferencedObjects(store, manifest, previousEntries, uploadedKeys);
+    }
+    baseEntries = nextBase;
+    break;
+  }
+
+  return {
+    baseState: { entries: baseEntries, syncedAt: now() },
+    counts,
+    changedLocalIds: Array.from(changedLocalIds),
+    deletedLocalIds: Array.from(deletedLocalIds),
+    errors
+  };
+}
+
+/**
+ * 清单写入成功后删除不再被引用的会话对象：被替换/删除的旧版本，以及 412 重试前上传、最终未采用的版本。
+ * 删除失败只会留下不被引用的孤立对象，不影响正确性，因此忽略错误。
+ */
+async function removeUnreferencedObjects(store, manifest, previousEntries, uploadedKeys) {
+  const referenced = new Set();
+  Object.entries(manifest.entries).forEach(([id, entry]) => {
+    if (entry && !entry.deleted && entry.hash) referenced.add(buildHistorySyncObjectKey(id, entry.hash));
+  });
+  const candidates = new Set(uploadedKeys);
+  Object.entries(previousEntries).forEach(([id, entry]) => {
+    if (entry && !entry.deleted && entry.hash) candidates.add(buildHistorySyncObjectKey(id, entry.hash));
+  });
+  for (const key of candidates) {
+    if (referenced.has(key)) continue;
+    try {
+      await store.deleteObject(key);
+    } catch (_) {
+      // 忽略
+    }
+  }
+}
+
+const BULK_DELETE_MIN_COUNT = 10;
+const BULK_DELETE_MIN_RATIO = 0.3;
+
+/**
+ * 本地数据库被清空、或在另一台设备上误清空后同步，会表现为“大量会话被删除”。
+ * 超过阈值时先询问；拒绝则把删除动作改成恢复。
+ */
+async function guardBulkDelete(actions, localCount, confirmBulkDelete) {
+  const deleteLocal = actions.filter(item => item.action === 'delete-local');
+  const deleteRemote = actions.filter(item => item.action === 'delete-remote');
+  const count = deleteLocal.length + deleteRemote.length;
+  const total = Math.max(localCount + deleteRemote.length, 1);
+  if (count < BULK_DELETE_MIN_COUNT || count / total < BULK_DELETE_MIN_RATIO) return;
+  const confirmed = typeof confirmBulkDelete === 'function'
+    ? await confirmBulkDelete({ deleteLocal: deleteLocal.length, deleteRemote: deleteRemote.length, total })
+    : false;
+  if (confirmed) return;
+  deleteLocal.forEach((item) => { item.action = 'upload'; });
+  deleteRemote.forEach((item) => { item.action = 'download'; });
+}
+
+// ---- 远端存储适配 ----
+
+function joinUrl(base, key) {
+  return `${String(base || '').replace(/\/+$/, '')}/${String(key || '').replace(/^\/+/, '')}`;
+}
+
+async function readResponseOrThrow(response, label) {
+  if (response.ok) return response;
+  let detail = '';
+  try { detail = (await response.text()).slice(0, 200); } catch (_) {}
+  throw new HistorySyncRequestError(`${label} 失败：HTTP ${response.status}${detail ? ` ${detail}` : ''}`, response.status);
+}
+
+function encodeBasicAuth(username, password) {
+  const raw = `${username || ''}:${password || ''}`;
+  const bytes = new TextEncoder().encode(raw);
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+/**
+ * WebDAV 存储：url 指向一个目录（不存在时首次同步会用 MKCOL 创建）。
+ * @param {{url:string, username?:string, password?:string}} config
+ * @param {{fetchImpl?: typeof fetch}} [deps]
+ */
+export function createWebDavSyncStore(config, deps = {}) {
+  const fetchImpl = deps.fetchImpl || fetch;
+  const baseUrl = String(config?.url || '').trim();
+  if (!/^https?:\/\//i.test(baseUrl)) throw new Error('WebDAV 地址需以 http:// 或 https:// 开头');
+  const headers = {};
+  if (config.username || config.password) {
+    headers.Authorization = `Basic ${encodeBasicAuth(config.username, config.password)}`;
+  }
+  const request = (method, key, init = {}) => fetchImpl(key === null ? baseUrl : joinUrl(baseUrl, key), {
+    method,
+    ...init,
+    headers: { ...headers, ...(init.headers || {}) }
+  });
+
+  return {
+    async prepare() {
+      // 405：目录已存在；其余非 2xx 交给后续 PUT 报出更具体的错误
+      for (const key of [null, HISTORY_SYNC_CONVERSATION_DIR]) {
+        const response = await request('MKCOL', key);
+        if (response.status === 401 || response.status === 403) {
+          await readResponseOrThrow(response, 'WebDAV 认证');
+        }
+      }
+    },
+    async getObject(key) {
+      const response = await request('GET', key, { cache: 'no-store' });
+      if (response.status === 404) return null;
+      await readResponseOrThrow(response, `读取 ${key}`);
+      return { body: await response.text(), etag: response.headers.get('ETag') || '' };
+    },
+    async putObject(key, body, options = {}) {
+      const extra = { 'Content-Type': 'application/json' };
+      if (options.ifMatch) extra['If-Match'] = options.ifMatch;
+      else if (options.ifNoneMatch) extra['If-None-Match'] = options.ifNoneMatch;
+      const response = await request('PUT', key, { body, headers: extra });
+      await readResponseOrThrow(response, `写入 ${key}`);
+      return { etag: response.headers.get('ETag') || '' };
+    },
+    async deleteObject(key) {
+      const response = await request('DELETE', key);
+      if (response.status === 404) return;
+      await readResponseOrThrow(response, `删除 ${key}`);
+    }
+  };
+}
+
+// ---- AWS Signature V4（S3） ----
+
+const textEncoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? textEncoder.encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function hmacSha256(key, data) {
+  const keyBytes = typeof key === 'string' ? textEncoder.encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, textEncoder.encode(data)));
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function formatAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * 计算 S3 请求的 SigV4 签名头。
+ * @param {{
+ *   method: string,
+ *   url: string,
+ *   headers?: Object<string,string>,
+ *   payloadHash?: string,
+ *   accessKeyId: string,
+ *   secretAccessKey: string,
+ *   sessionToken?: string,
+ *   region?: string,
+ *   service?: string,
+ *   date?: Date
+ * }} input
+ * @returns {Promise<Object<string,string>>} 需要附加到请求上的头（含 Authorization）
+ */
+export async function signS3Request(input) {
+  const url = new URL(input.url);
+  const region = input.region || 'us-east-1';
+  const service = input.service || 's3';
+  const amzDate = formatAmzDate(input.date || new Date());
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = input.payloadHash || await sha256Hex('');
+
+  const signedHeaderMap = {};
+  Object.entries(input.headers || {}).forEach(([name, value]) => {
+    signedHeaderMap[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  });
+  signedHeaderMap.host = url.host;
+  signedHeaderMap['x-amz-date'] = amzDate;
+  signedHeaderMap['x-amz-content-sha256'] = payloadHash;
+  if (input.sessionToken) signedHeaderMap['x-amz-security-token'] = input.sessionToken;
+  const headerNames = Object.keys(signedHeaderMap).sort();
+
+  const canonicalUri = url.pathname
+    .split('/')
+    .map(segment => encodeRfc3986(decodeURIComponent(segment)))
+    .join('/') || '/';
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    input.method.toUpperCase(),
+    canonicalUri,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaderMap[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256Hex(canonicalRequest)].join('\n');
+  const kDate = await hmacSha256(`AWS4${input.secretAccessKey}`, dateStamp);
+  const kRegion = await hmacSha256(kDate, region);
+  const kService = await hmacSha256(kRegion, service);
+  const kSigning = await hmacSha256(kService, 'aws4_request');
+  const signature = toHex(await hmacSha256(kSigning, stringToSign));
+
+  const result = {
+    Authorization: `AWS4-HMAC-SHA256 Credential=${input.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+  if (input.sessionToken) result['x-amz-security-token'] = input.sessionToken;
+  return result;
+}
+
+/**
+ * S3 兼容存储（AWS S3 / MinIO / R2 等）。默认使用 path-style 地址，MinIO 等自建服务无需额外 DNS。
+ * @param {{endpoint:string, region?:string, bucket:string, prefix?:string, accessKeyId:string, secretAccessKey:string, sessionToken?:string, forcePathStyle?:boolean}} config
+ * @param {{fetchImpl?: typeof fetch}} [deps]
+ */
+export function createS3SyncStore(config, deps = {}) {
+  const fetchImpl = deps.fetchImpl || fetch;
+  const endpoint = String(config?.endpoint || '').trim().replace(/\/+$/, '');
+  const bucket = String(config?.bucket || '').trim();
+  if (!/^https?:\/\//i.test(endpoint)) throw new Error('S3 Endpoint 需以 http:// 或 https:// 开头');
+  if (!bucket) throw new Error('请填写 S3 Bucket');
+  if (!config.accessKeyId || !config.secretAccessKey) throw new Error('请填写 S3 Access Key');
+  const prefix = String(config.prefix || '').trim().replace(/^\/+/, '').replace(/\/*$/, '/').replace(/^\/$/, '');
+  const buildUrl = (key) => {
+    const objectPath = `${prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+    if (config.forcePathStyle === false) {
+      const parsed = new URL(endpoint);
+      return `${parsed.protocol}//${bucket}.${parsed.host}${parsed.pathname.replace(/\/+$/, '')}/${objectPath}`;
+    }
+    return `${endpoint}/${encodeRfc3986(bucket)}/${objectPath}`;
+  };
+  const request = async (method, key, { body = '', headers = {} } = {}) => {
+    const url = buildUrl(key);
+    const payloadHash = await sha256Hex(body || '');
+    const signed = await signS3Request({
+      method,
+      url,
+      headers,
+      payloadHash,
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey,
+      sessionToken: config.sessionToken,
+      region: config.region || 'us-east-1'
+    });
+    return fetchImpl(url, {
+      method,
+      headers: { ...headers, ...signed },
+      body: method === 'PUT' ? body : undefined,
+      cache: 'no-store'
+    });
+  };
+
+  return {
+    async getObject(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      await readResponseOrThrow(response, `读取 ${key}`);
+      return { body: await response.text(), etag: response.headers.get('ETag') || '' };
+    },
+    async putObject(key, body, options = {}) {
+      const headers = { 'content-type': 'application/json' };
+      if (options.ifMatch) headers['if-match'] = options.ifMatch;
+      else if (options.ifNoneMatch) headers['if-none-match'] = options.ifNoneMatch;
+      const response = await request('PUT', key, { body, headers });
+      await readResponseOrThrow(response, `写入 ${key}`);
+      return { etag: response.headers.get('ETag') || '' };
+    },
+    async deleteObject(key) {
+      const response = await request('DELETE', key);
+      if (response.status === 404) return;
+      await readResponseOrThrow(response, `删除 ${key}`);
+    }
+  };
+}
@@ -0,0 +1,604 @@
+/**
+ * 本地仓库打包：在浏览器内读取用户选择的文件夹（File System Access API / webkitdirectory）或拖入的 zip，
+ * 按 .gitignore 与 include/exclude glob 过滤后，生成与 repomix.com 接口相同风格（XML）的打包文本。
+ *
+ * 与 repomix.js 的远端打包不同，这里全程不联网：私有仓库与离线场景也能用，代码不会发给第三方。
+ * 目录树中每个文件附带 token 估算，方便用户判断哪些文件值得排除。
+ */
+import { approxTokensFromChars } from './page_content_read_tool.js';
+import { formatTokenEstimate } from './tab_context.js';
+
+/** 默认忽略：版本库元数据、依赖目录、构建产物、锁文件，以及远端打包沿用的 Unity 资源与 LICENSE */
+export const DEFAULT_LOCAL_PACK_IGNORE_PATTERNS = Object.freeze([
+  '.git',
+  '.svn',
+  '.hg',
+  'node_modules',
+  'bower_components',
+  '.venv',
+  'venv',
+  '__pycache__',
+  '.mypy_cache',
+  '.pytest_cache',
+  '.next',
+  '.nuxt',
+  '.idea',
+  '.vscode',
+  '.DS_Store',
+  'Thumbs.db',
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Cargo.lock',
+  'poetry.lock',
+  'composer.lock',
+  'Gemfile.lock',
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  '**/*.asset',
+  '**/*.prefab',
+  '**/*.unity',
+  '**/*.meta',
+  'LICENSE'
+]);
+
+/** 单个文件超过该字节数时跳过（通常是生成文件或数据文件） */
+export const MAX_LOCAL_PACK_FILE_BYTES = 512 * 1024;
+/** 最多打包的文件数，避免误选整个磁盘目录时卡死侧栏 */
+export const MAX_LOCAL_PACK_FILES = 2000;
+
+const BINARY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico', 'webp', 'avif', 'tif', 'tiff', 'psd',
+  'mp3', 'wav', 'ogg', 'flac', 'm4a', 'mp4', 'mov', 'avi', 'mkv', 'webm',
+  'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'war',
+  'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+  'exe', 'dll', 'so', 'dylib', 'bin', 'o', 'a', 'lib', 'class', 'pyc', 'wasm',
+  'woff', 'woff2', 'ttf', 'otf', 'eot',
+  'sqlite', 'db', 'dat', 'npy', 'pt', 'onnx', 'safetensors'
+]);
+
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * 把单个 glob 转成正则主体（不含锚点）。
+ * 支持 `**`、`*`、`?` 与 `[...]` 字符类；`*`/`?` 不跨越目录分隔符。
+ *
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        i += 1;
+        if (atSegmentStart && glob[i + 1] === '/') {
+          // `**/` 匹配零个或多个目录
+          i += 1;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let body = glob.slice(i + 1, end);
+        if (body[0] === '!') body = `^${body.slice(1)}`;
+        source += `[${body.replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      i += 1;
+      source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * 编译一条路径匹配规则（gitignore 与 include/exclude 共用同一套语义）：
+ * - 不含 `/` 的模式在任意层级按名字匹配（`*.md` 匹配所有 Markdown 文件）；
+ * - 含 `/` 的模式相对根目录匹配，开头的 `/` 可省略；
+ * - 命中目录时，目录下的所有文件一并命中（`src` 等价于 `src/**`）。
+ *
+ * @param {string} pattern
+ * @returns {RegExp|null}
+ */
+export function globToRegExp(pattern) {
+  let glob = String(pattern || '').trim();
+  if (!glob) return null;
+  if (glob.endsWith('/')) glob = glob.slice(0, -1);
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+  if (!glob) return null;
+  const body = globToRegExpSource(glob);
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}(?:/.*)?$`);
+}
+
+/**
+ * 把用户输入的 glob 列表（逗号、空白或换行分隔）拆成数组。
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+export function parseGlobList(value) {
+  const raw = Array.isArray(value) ? value.join('\n') : String(value || '');
+  return raw
+    .split(/[,\s]+/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 解析一个 .gitignore 文件为规则列表。
+ * @param {string} content
+ * @param {string} [baseDir] - 该 .gitignore 所在目录（相对根目录，根目录为空串）
+ * @returns {Array<{regex:RegExp, negated:boolean, dirOnly:boolean, baseDir:string}>}
+ */
+export function parseGitignore(content, baseDir = '') {
+  const rules = [];
+  String(content || '').split(/\r?\n/).forEach((line) => {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return;
+    let negated = false;
+    if (pattern.startsWith('!')) {
+      negated = true;
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+    const body = pattern.startsWith('/') ? pattern.slice(1) : pattern;
+    if (!body) return;
+    // gitignore 中中间或开头带 `/` 的模式相对所在目录匹配，否则在任意层级匹配
+    const anchored = pattern.includes('/');
+    const regex = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegExpSource(body)}$`);
+    rules.push({ regex, negated, dirOnly, baseDir });
+  });
+  return rules;
+}
+
+/**
+ * 创建 .gitignore 匹配器。规则按添加顺序求值，后命中的规则覆盖先前的结果；
+ * 与 git 一致，父目录被忽略时其下文件无法再被 `!` 规则找回。
+ *
+ * @returns {{
+ *   addGitignore: (content: string, baseDir?: string) => void,
+ *   isIgnoredEntry: (path: string, isDir: boolean) => boolean,
+ *   isIgnored: (path: string, isDir?: boolean) => boolean
+ * }}
+ */
+export function createGitignoreMatcher() {
+  const rules = [];
+
+  function addGitignore(content, baseDir = '') {
+    rules.push(...parseGitignore(content, baseDir));
+  }
+
+  /** 只看路径本身（不检查父目录） */
+  function isIgnoredEntry(path, isDir) {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      let relative = path;
+      if (rule.baseDir) {
+        if (!path.startsWith(`${rule.baseDir}/`)) continue;
+        relative = path.slice(rule.baseDir.length + 1);
+      }
+      if (rule.regex.test(relative)) ignored = !rule.negated;
+    }
+    return ignored;
+  }
+
+  function isIgnored(path, isDir = false) {
+    const segments = path.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      if (isIgnoredEntry(segments.slice(0, i).join('/'), true)) return true;
+    }
+    return isIgnoredEntry(path, isDir);
+  }
+
+  return { addGitignore, isIgnoredEntry, isIgnored };
+}
+
+/**
+ * 创建 include/exclude 过滤器。include 为空表示全部包含；exclude 包含默认忽略列表与用户追加的模式。
+ *
+ * @param {{includePatterns?: string[], ignorePatterns?: string[], useDefaultIgnore?: boolean}} [options]
+ * @returns {{isExcluded: (path: string) => boolean, isIncluded: (path: string) => boolean}}
+ */
+export function createPathFilter(options = {}) {
+  const compile = list => list.map(globToRegExp).filter(Boolean);
+  const include = compile(options.includePatterns || []);
+  const exclude = compile([
+    ...(options.useDefaultIgnore === false ? [] : DEFAULT_LOCAL_PACK_IGNORE_PATTERNS),
+    ...(options.ignorePatterns || [])
+  ]);
+  return {
+    isExcluded: path => exclude.some(regex => regex.test(path)),
+    isIncluded: path => !include.length || include.some(regex => regex.test(path))
+  };
+}
+
+/**
+ * 根据扩展名与前 8000 字节中是否出现 NUL 判断是否为二进制文件。
+ * @param {string} path
+ * @param {Uint8Array} [bytes]
+ * @returns {boolean}
+ */
+export function isProbablyBinary(path, bytes) {
+  const name = String(path || '').split('/').pop() || '';
+  const dot = name.lastIndexOf('.');
+  if (dot > 0 && BINARY_EXTENSIONS.has(name.slice(dot + 1).toLowerCase())) return true;
+  if (!bytes) return false;
+  const limit = Math.min(bytes.length, BINARY_SNIFF_BYTES);
+  for (let i = 0; i < limit; i++) {
+    if (bytes[i] === 0) return true;
+  }
+  return false;
+}
+
+/**
+ * @typedef {Object} LocalPackEntry
+ * @property {string} path - 相对根目录、以 `/` 分隔的路径
+ * @property {number} size - 字节数
+ * @property {() => Promise<Uint8Array>} read
+ */
+
+function isGitignorePath(path) {
+  return path === '.gitignore' || path.endsWith('/.gitignore');
+}
+
+function dirnameOf(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * 遍历 FileSystemDirectoryHandle。逐层先读本目录的 .gitignore 再决定是否进入子目录，
+ * 这样 node_modules 之类被忽略的大目录根本不会被枚举。
+ *
+ * @param {FileSystemDirectoryHandle} rootHandle
+ * @param {{filter: ReturnType<typeof createPathFilter>, gitignore: ReturnType<typeof createGitignoreMatcher>|null}} ctx
+ * @returns {Promise<LocalPackEntry[]>}
+ */
+async function collectDirectoryHandleEntries(rootHandle, { filter, gitignore }) {
+  const entries = [];
+  const walk = async (dirHandle, prefix) => {
+    const children = [];
+    for await (const child of dirHandle.values()) children.push(child);
+    const gitignoreHandle = children.find(child => child.kind === 'file' && child.name === '.gitignore');
+    if (gitignore && gitignoreHandle) {
+      const file = await gitignoreHandle.getFile();
+      gitignore.addGitignore(await file.text(), prefix);
+    }
+    children.sort((a, b) => a.name.localeCompare(b.name));
+    for (const child of children) {
+      const path = prefix ? `${prefix}/${child.name}` : child.name;
+      const isDir = child.kind === 'directory';
+      if (filter.isExcluded(path)) continue;
+      if (gitignore?.isIgnoredEntry(path, isDir)) continue;
+      if (isDir) {
+        await walk(child, path);
+      } else {
+        const file = await child.getFile();
+        entries.push({ path, size: file.size, read: async () => new Uint8Array(await file.arrayBuffer()) });
+      }
+    }
+  };
+  await walk(rootHandle, '');
+  return entries;
+}
+
+/**
+ * 扁平条目列表（文件选择框、zip）：先收集所有 .gitignore，再统一过滤。
+ * @param {LocalPackEntry[]} rawEntries
+ * @param {{filter: ReturnType<typeof createPathFilter>, gitignore: ReturnType<typeof createGitignoreMatcher>|null}} ctx
+ * @returns {Promise<LocalPackEntry[]>}
+ */
+async function filterFlatEntries(rawEntries, { filter, gitignore }) {
+  // 排除规则命中目录时会连同其下所有路径一起命中，因此这里只需检查文件路径本身
+  const notExcluded = path => !filter.isExcluded(path);
+  if (gitignore) {
+    const ignoreFiles = rawEntries
+      .filter(entry => isGitignorePath(entry.path) && notExcluded(entry.path))
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+    for (const entry of ignoreFiles) {
+      gitignore.addGitignore(new TextDecoder().decode(await entry.read()), dirnameOf(entry.path));
+    }
+  }
+  return rawEntries
+    .filter(entry => notExcluded(entry.path) && !gitignore?.isIgnored(entry.path, false))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * 把 `<input webkitdirectory>` 选出的 FileList 转成条目；去掉最外层的所选文件夹名。
+ * @param {ArrayLike<File>} files
+ * @returns {{name: string, entries: LocalPackEntry[]}}
+ */
+export function fileListToEntries(files) {
+  const list = Array.from(files || []);
+  let name = '';
+  const entries = list.map((file) => {
+    const relative = String(file.webkitRelativePath || file.name || '');
+    const slash = relative.indexOf('/');
+    if (!name && slash > 0) name = relative.slice(0, slash);
+    return {
+      path: slash > 0 ? relative.slice(slash + 1) : relative,
+      size: file.size,
+      read: async () => new Uint8Array(await file.arrayBuffer())
+    };
+  });
+  return { name, entries };
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 解析 zip 的中央目录，返回可按需解压的文件条目（仅支持 stored / deflate，不支持加密与 zip64）。
+ * 若所有文件都位于同一个顶层文件夹（GitHub 下载的 `repo-main/`），则去掉该层并将其作为名称。
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{name: string, entries: LocalPackEntry[]}}
+ */
+export function zipToEntries(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const minEocdOffset = Math.max(0, bytes.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= minEocdOffset; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('不是有效的 zip 文件');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('暂不支持 zip64 格式');
+
+  const decoder = new TextDecoder();
+  const rawEntries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('zip 中央目录已损坏');
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)).replace(/\\/g, '/');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const encrypted = (flags & 1) === 1;
+    if (path.endsWith('/') || encrypted || (method !== 0 && method !== 8)) continue;
+    rawEntries.push({
+      path,
+      size,
+      read: async () => {
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const start = localOffset + 30 + localNameLength + localExtraLength;
+        const payload = bytes.subarray(start, start + compressedSize);
+        return method === 0 ? payload.slice() : inflateRaw(payload);
+      }
+    });
+  }
+
+  const firstSegments = new Set(rawEntries.map(entry => (entry.path.includes('/') ? entry.path.split('/')[0] : '')));
+  const [onlyRoot] = firstSegments;
+  if (firstSegments.size === 1 && onlyRoot) {
+    rawEntries.forEach((entry) => { entry.path = entry.path.slice(onlyRoot.length + 1); });
+    return { name: onlyRoot, entries: rawEntries };
+  }
+  return { name: '', entries: rawEntries };
+}
+
+/**
+ * 生成缩进形式的目录树，文件后附带 token 估算。
+ * @param {Array<{path: string, tokens: number}>} files - 已按路径排序
+ * @returns {string}
+ */
+export function buildDirectoryTree(files) {
+  const root = { dirs: new Map(), files: [] };
+  files.forEach((file) => {
+    const segments = file.path.split('/');
+    let node = root;
+    segments.slice(0, -1).forEach((segment) => {
+      if (!node.dirs.has(segment)) node.dirs.set(segment, { dirs: new Map(), files: [] });
+      node = node.dirs.get(segment);
+    });
+    node.files.push({ name: segments[segments.length - 1], tokens: file.tokens });
+  });
+
+  const lines = [];
+  const render = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    [...node.dirs.keys()].sort((a, b) => a.localeCompare(b)).forEach((name) => {
+      lines.push(`${indent}${name}/`);
+      render(node.dirs.get(name), depth + 1);
+    });
+    node.files.slice().sort((a, b) => a.name.localeCompare(b.name)).forEach((file) => {
+      lines.push(`${indent}${file.name} (${formatTokenEstimate(file.tokens)} tokens)`);
+    });
+  };
+  render(root, 0);
+  return lines.join('\n');
+}
+
+/**
+ * 按 Repomix XML 格式拼接打包文本。
+ *
+ * @param {{
+ *   name: string,
+ *   files: Array<{path: string, content: string, tokens: number}>,
+ *   includePatterns?: string[],
+ *   ignorePatterns?: string[],
+ *   skipped?: Array<{path: string, reason: string}>
+ * }} packed
+ * @returns {string}
+ */
+export function buildPackedRepoText({ name, files, includePatterns = [], ignorePatterns = [], skipped = [] }) {
+  const totalTokens = files.reduce((sum, file) => sum + file.tokens, 0);
+  const notes = [
+    '- Some files may have been excluded based on .gitignore rules and the ignore patterns below',
+    '- Binary files are not included in this packed representation',
+    `- Files larger than ${Math.round(MAX_LOCAL_PACK_FILE_BYTES / 1024)} KB are skipped`,
+    '- Empty lines have been removed from all files'
+  ];
+  if (skipped.length) {
+    notes.push(`- ${skipped.length} file(s) skipped: ${skipped.slice(0, 20).map(item => `${item.path} (${item.reason})`).join(', ')}${skipped.length > 20 ? ', …' : ''}`);
+  }
+
+  const header = [`打包本地目录: ${name || '(未命名)'}`];
+  if (includePatterns.length) header.push(`指定包含路径: ${includePatterns.join(',')}`);
+  if (ignorePatterns.length) header.push(`额外排除路径: ${ignorePatterns.join(',')}`);
+
+  const parts = [
+    `${header.join('\n')}\n\n---\n`,
+    'This file is a merged representation of the entire codebase, combined into a single document by a local Repomix-style packer.',
+    '',
+    '<file_summary>',
+    'This section contains a summary of this file.',
+    '',
+    '<purpose>',
+    'This file contains a packed representation of the entire repository\'s contents.',
+    'It is designed to be easily consumable by AI systems for analysis, code review,',
+    'or other automated processes.',
+    '</purpose>',
+    '',
+    '<file_format>',
+    'The content is organized as follows:',
+    '1. This summary section',
+    '2. Repository information',
+    '3. Directory structure',
+    '4. Repository files, each consisting of:',
+    '  - File path as an attribute',
+    '  - Full contents of the file',
+    '</file_format>',
+    '',
+    '<notes>',
+    ...notes,
+    '</notes>',
+    '',
+    '<additional_info>',
+    `Total files: ${files.length}`,
+    `Total tokens: ${formatTokenEstimate(totalTokens)}`,
+    `Include patterns: ${includePatterns.length ? includePatterns.join(',') : '(all)'}`,
+    `Ignore patterns: ${[...DEFAULT_LOCAL_PACK_IGNORE_PATTERNS, ...ignorePatterns].join(',')}`,
+    '</additional_info>',
+    '',
+    '</file_summary>',
+    '',
+    '<directory_structure>',
+    buildDirectoryTree(files),
+    '</directory_structure>',
+    '',
+    '<files>',
+    'This section contains the contents of the repository\'s files.',
+    ''
+  ];
+  files.forEach((file) => {
+    parts.push(`<file path="${file.path}">`, file.content, '</file>', '');
+  });
+  parts.push('</files>');
+  return parts.join('\n');
+}
+
+/**
+ * 打包入口。
+ *
+ * @param {{directoryHandle?: FileSystemDirectoryHandle, entries?: LocalPackEntry[], name?: string}} source
+ *   二选一：目录句柄（边遍历边剪枝），或已展开的条目列表（文件选择框 / zip）。
+ * @param {{
+ *   includePatterns?: string[],
+ *   ignorePatterns?: string[],
+ *   useGitignore?: boolean,
+ *   removeEmptyLines?: boolean,
+ *   maxFiles?: number,
+ *   maxFileBytes?: number,
+ *   onProgress?: (done: number, total: number) => void
+ * }} [options]
+ * @returns {Promise<{name: string, text: string, files: Array<{path: string, tokens: number}>, totalTokens: number, skipped: Array<{path: string, reason: string}>}>}
+ */
+export async function packLocalRepository(source, options = {}) {
+  const includePatterns = options.includePatterns || [];
+  const ignorePatterns = options.ignorePatterns || [];
+  const maxFiles = options.maxFiles || MAX_LOCAL_PACK_FILES;
+  const maxFileBytes = options.maxFileBytes || MAX_LOCAL_PACK_FILE_BYTES;
+  const filter = createPathFilter({ includePatterns, ignorePatterns });
+  const gitignore = options.useGitignore === false ? null : createGitignoreMatcher();
+  const name = source?.name || source?.directoryHandle?.name || '';
+
+  let candidates;
+  if (source?.directoryHandle) {
+    candidates = await collectDirectoryHandleEntries(source.directoryHandle, { filter, gitignore });
+  } else if (Array.isArray(source?.entries)) {
+    candidates = await filterFlatEntries(source.entries, { filter, gitignore });
+  } else {
+    throw new Error('没有可打包的文件来源');
+  }
+  candidates = candidates.filter(entry => filter.isIncluded(entry.path) && !isGitignorePath(entry.path));
+
+  const skipped = [];
+  const files = [];
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  for (let index = 0; index < candidates.length; index++) {
+    const entry = candidates[index];
+    options.onProgress?.(index, candidates.length);
+    if (files.length >= maxFiles) {
+      skipped.push({ path: entry.path, reason: 'file limit' });
+      continue;
+    }
+    if (entry.size > maxFileBytes) {
+      skipped.push({ path: entry.path, reason: 'too large' });
+      continue;
+    }
+    if (isProbablyBinary(entry.path)) continue;
+    const bytes = await entry.read();
+    if (isProbablyBinary(entry.path, bytes)) continue;
+    let content;
+    try {
+      content = decoder.decode(bytes);
+    } catch (_) {
+      skipped.push({ path: entry.path, reason: 'not utf-8' });
+      continue;
+    }
+    if (options.removeEmptyLines !== false) {
+      content = content.split(/\r?\n/).filter(line => line.trim()).join('\n');
+    } else {
+      content = content.replace(/\r\n/g, '\n').replace(/\n+$/, '');
+    }
+    files.push({ path: entry.path, content, tokens: approxTokensFromChars(content.length) });
+  }
+  options.onProgress?.(candidates.length, candidates.length);
+
+  const text = buildPackedRepoText({ name, files, includePatterns, ignorePatterns, skipped });
+  return {
+    name,
+    text,
+    files: files.map(({ path, tokens }) => ({ path, tokens })),
+    totalTokens: files.reduce((sum, file) => sum + file.tokens, 0),
+    skipped
+  };
+}
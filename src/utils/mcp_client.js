@@ -0,0 +1,587 @@
+/**
+ * MCP（Model Context Protocol）客户端
+ *
+ * 支持两种本地传输：
+ * - streamable_http：每个 JSON-RPC 请求单独 POST，服务端可直接回 JSON，也可回一段 text/event-stream；
+ *   会话 id 通过 `Mcp-Session-Id` 响应头下发，后续请求原样带回；
+ * - sse（旧版 2024-11-05 传输）：先 GET 建立事件流，服务端用 `endpoint` 事件告知 POST 地址（须与事件流同源），
+ *   之后请求 POST 到该地址，响应以 `message` 事件从事件流返回。
+ *
+ * 另外提供把 MCP 工具映射为 Responses function tool 的纯函数。
+ *
+ * 说明：本模块不依赖扩展 API，fetch 可注入，便于在 node:test 中对本地替身服务器测试。
+ */
+
+export const MCP_TRANSPORT_STREAMABLE_HTTP = 'streamable_http';
+export const MCP_TRANSPORT_SSE = 'sse';
+export const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 60_000;
+const MAX_LIST_PAGES = 20;
+const JSON_RPC_METHOD_NOT_FOUND = -32601;
+const FUNCTION_NAME_MAX_LENGTH = 64;
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]', '::1']);
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createMcpError(message, extra = {}) {
+  const error = new Error(message);
+  error.name = 'McpError';
+  if (extra.code !== undefined) error.code = extra.code;
+  if (extra.data !== undefined) error.data = extra.data;
+  return error;
+}
+
+/**
+ * 规范化传输类型，未知值回退为 streamable_http。
+ * @param {any} value
+ * @returns {'streamable_http'|'sse'}
+ */
+export function normalizeMcpTransport(value) {
+  return value === MCP_TRANSPORT_SSE ? MCP_TRANSPORT_SSE : MCP_TRANSPORT_STREAMABLE_HTTP;
+}
+
+/**
+ * 仅允许连接本机地址：MCP 服务器通常拥有本地文件/内网数据访问能力，不应把工具调用发往任意远端。
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isLocalMcpEndpoint(url) {
+  try {
+    const parsed = new URL(String(url || '').trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+    return LOCAL_HOSTNAMES.has(parsed.hostname.toLowerCase());
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 增量 SSE 解析器。
+ * @param {(event:{event:string, data:string, id:string})=>void} onEvent
+ * @returns {{push:(text:string)=>void, flush:()=>void}}
+ */
+export function createSseParser(onEvent) {
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+  let lastEventId = '';
+
+  const dispatch = () => {
+    if (dataLines.length === 0 && !eventName) return;
+    const payload = { event: eventName || 'message', data: dataLines.join('\n'), id: lastEventId };
+    eventName = '';
+    dataLines = [];
+    onEvent(payload);
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+    else if (field === 'id') lastEventId = value;
+  };
+
+  return {
+    push(text) {
+      buffer += String(text || '');
+      let newlineIndex = buffer.search(/\r\n|\r|\n/);
+      while (newlineIndex !== -1) {
+        const line = buffer.slice(0, newlineIndex);
+        const separatorLength = buffer.startsWith('\r\n', newlineIndex) ? 2 : 1;
+        buffer = buffer.slice(newlineIndex + separatorLength);
+        processLine(line);
+        newlineIndex = buffer.search(/\r\n|\r|\n/);
+      }
+    },
+    flush() {
+      if (buffer) {
+        processLine(buffer);
+        buffer = '';
+      }
+      dispatch();
+    }
+  };
+}
+
+function parseJsonRpcPayload(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return null;
+  }
+}
+
+function findJsonRpcResponse(payload, id) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+  return messages.find(message => isPlainObject(message)
+    && message.id === id
+    && (Object.prototype.hasOwnProperty.call(message, 'result') || Object.prototype.hasOwnProperty.call(message, 'error'))) || null;
+}
+
+function unwrapJsonRpcResponse(message, method) {
+  if (isPlainObject(message?.error)) {
+    const code = message.error.code;
+    throw createMcpError(`MCP ${method} 失败：${message.error.message || code}`, {
+      code,
+      data: message.error.data
+    });
+  }
+  return isPlainObject(message?.result) ? message.result : {};
+}
+
+async function readResponseStream(response, onText) {
+  const reader = response.body?.getReader?.();
+  if (!reader) {
+    onText(await response.text());
+    return;
+  }
+  const decoder = new TextDecoder();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      if (onText(decoder.decode(value, { stream: true })) === false) {
+        await reader.cancel().catch(() => {});
+        return;
+      }
+    }
+    onText(decoder.decode());
+  } finally {
+    try { reader.releaseLock(); } catch (_) {}
+  }
+}
+
+/**
+ * 创建一个 MCP 客户端连接。
+ *
+ * @param {Object} options
+ * @param {string} options.url - streamable_http 的端点，或 sse 传输的事件流地址
+ * @param {'streamable_http'|'sse'} [options.transport]
+ * @param {Object<string,string>} [options.headers] - 额外请求头（例如本地服务要求的 token）
+ * @param {Function} [options.fetchImpl]
+ * @param {{name:string, version:string}} [options.clientInfo]
+ * @param {number} [options.requestTimeoutMs]
+ * @returns {Object}
+ */
+export function createMcpClient(options = {}) {
+  const url = String(options.url || '').trim();
+  const transport = normalizeMcpTransport(options.transport);
+  const extraHeaders = isPlainObject(options.headers) ? options.headers : {};
+  const fetchImpl = options.fetchImpl || globalThis.fetch?.bind(globalThis);
+  const clientInfo = isPlainObject(options.clientInfo) ? options.clientInfo : { name: 'Cerebr', version: '0' };
+  const requestTimeoutMs = Number(options.requestTimeoutMs) > 0 ? Number(options.requestTimeoutMs) : DEFAULT_REQUEST_TIMEOUT_MS;
+
+  let nextRequestId = 1;
+  let sessionId = '';
+  let negotiatedProtocolVersion = '';
+  let serverInfo = null;
+  let serverCapabilities = {};
+  let initialized = false;
+  let closed = false;
+
+  // 旧版 SSE 传输的长连接状态
+  let sseController = null;
+  let ssePostEndpoint = '';
+  const ssePending = new Map();
+
+  function buildHeaders(base = {}) {
+    const headers = { ...base, ...extraHeaders };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    if (negotiatedProtocolVersion) headers['MCP-Protocol-Version'] = negotiatedProtocolVersion;
+    return headers;
+  }
+
+  function withTimeout(promise, method, onTimeout = null) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        if (typeof onTimeout === 'function') onTimeout();
+        reject(createMcpError(`MCP ${method} 超时（${requestTimeoutMs}ms）`));
+      }, requestTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  function rejectAllSsePending(error) {
+    ssePending.forEach(({ reject }) => reject(error));
+    ssePending.clear();
+  }
+
+  async function openSseStream() {
+    sseController = new AbortController();
+    const response = await fetchImpl(url, {
+      method: 'GET',
+      headers: buildHeaders({ Accept: 'text/event-stream' }),
+      signal: sseController.signal
+    });
+    if (!response.ok) {
+      throw createMcpError(`MCP SSE 连接失败：HTTP ${response.status}`);
+    }
+
+    let resolveEndpoint = null;
+    let rejectEndpoint = null;
+    const endpointReady = new Promise((resolve, reject) => {
+      resolveEndpoint = resolve;
+      rejectEndpoint = reject;
+    });
+
+    const parser = createSseParser((event) => {
+      if (event.event === 'endpoint') {
+        try {
+          // 工具调用会 POST 到这个地址：只接受与事件流同源的地址，不能让服务端把请求引到别处
+          const endpoint = new URL(event.data.trim(), url);
+          const streamOrigin = new URL(url).origin;
+          if (endpoint.origin !== streamOrigin) {
+            rejectEndpoint(createMcpError(`MCP SSE 服务端返回的消息地址（${endpoint.origin}）与事件流（${streamOrigin}）不同源，已拒绝连接`));
+            return;
+          }
+          resolveEndpoint(endpoint.href);
+        } catch (error) {
+          rejectEndpoint(error);
+        }
+        return;
+      }
+      if (event.event !== 'message') return;
+      const payload = parseJsonRpcPayload(event.data);
+      (Array.isArray(payload) ? payload : [payload]).forEach((message) => {
+        if (!isPlainObject(message) || !ssePending.has(message.id)) return;
+        const pending = ssePending.get(message.id);
+        ssePending.delete(message.id);
+        pending.resolve(message);
+      });
+    });
+
+    readResponseStream(response, (text) => {
+      parser.push(text);
+      return !closed;
+    }).then(() => {
+      parser.flush();
+      const error = createMcpError('MCP SSE 事件流已断开');
+      rejectEndpoint(error);
+      rejectAllSsePending(error);
+    }).catch((error) => {
+      const normalized = closed ? createMcpError('MCP 连接已关闭') : error;
+      rejectEndpoint(normalized);
+      rejectAllSsePending(normalized);
+    });
+
+    try {
+      ssePostEndpoint = await withTimeout(endpointReady, 'endpoint');
+    } catch (error) {
+      // 拿不到可用的消息地址时连接作废，同时断开事件流
+      sseController.abort();
+      sseController = null;
+      throw error;
+    }
+  }
+
+  async function postStreamableHttp(message, signal = undefined) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: buildHeaders({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream'
+      }),
+      body: JSON.stringify(message),
+      signal
+    });
+    const headerSessionId = response.headers?.get?.('mcp-session-id');
+    if (headerSessionId) sessionId = headerSessionId;
+    return response;
+  }
+
+  async function sendRequestOverStreamableHttp(message, signal) {
+    const response = await postStreamableHttp(message, signal);
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw createMcpError(`MCP ${message.method} 失败：HTTP ${response.status}${text ? ` ${text.slice(0, 200)}` : ''}`);
+    }
+    const contentType = String(response.headers?.get?.('content-type') || '').toLowerCase();
+    if (!contentType.includes('text/event-stream')) {
+      const payload = parseJsonRpcPayload(await response.text());
+      const matched = findJsonRpcResponse(payload, message.id);
+      if (!matched) throw createMcpError(`MCP ${message.method} 返回了无法识别的响应`);
+      return matched;
+    }
+
+    let matched = null;
+    const parser = createSseParser((event) => {
+      if (matched || event.event !== 'message') return;
+      matched = findJsonRpcResponse(parseJsonRpcPayload(event.data), message.id);
+    });
+    await readResponseStream(response, (text) => {
+      parser.push(text);
+      return !matched;
+    });
+    if (!matched) parser.flush();
+    if (!matched) throw createMcpError(`MCP ${message.method} 的事件流在返回结果前结束`);
+    return matched;
+  }
+
+  async function sendRequestOverSse(message) {
+    if (!ssePostEndpoint) throw createMcpError('MCP SSE 尚未建立连接');
+    const responsePromise = new Promise((resolve, reject) => {
+      ssePending.set(message.id, { resolve, reject });
+    });
+    responsePromise.catch(() => {});
+    const response = await fetchImpl(ssePostEndpoint, {
+      method: 'POST',
+      headers: buildHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      ssePending.delete(message.id);
+      throw createMcpError(`MCP ${message.method} 失败：HTTP ${response.status}`);
+    }
+    return responsePromise;
+  }
+
+  /**
+   * 发送 JSON-RPC 请求并返回 result。
+   * @param {string} method
+   * @param {Object} [params]
+   * @returns {Promise<Object>}
+   */
+  async function request(method, params = {}) {
+    if (closed) throw createMcpError('MCP 连接已关闭');
+    if (typeof fetchImpl !== 'function') throw createMcpError('当前环境没有可用的 fetch');
+    const message = { jsonrpc: '2.0', id: nextRequestId++, method, params };
+    const controller = new AbortController();
+    const pending = transport === MCP_TRANSPORT_SSE
+      ? sendRequestOverSse(message)
+      : sendRequestOverStreamableHttp(message, controller.signal);
+    pending.catch(() => {});
+    try {
+      return unwrapJsonRpcResponse(await withTimeout(pending, method, () => controller.abort()), method);
+    } finally {
+      ssePending.delete(message.id);
+    }
+  }
+
+  async function notify(method, params = {}) {
+    const message = { jsonrpc: '2.0', method, params };
+    if (transport === MCP_TRANSPORT_SSE) {
+      await fetchImpl(ssePostEndpoint, {
+        method: 'POST',
+        headers: buildHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(message)
+      });
+      return;
+    }
+    const response = await postStreamableHttp(message);
+    await response.text().catch(() => '');
+  }
+
+  /**
+   * 建立连接并完成 initialize 握手。
+   * @returns {Promise<{serverInfo:Object|null, capabilities:Object, protocolVersion:string}>}
+   */
+  async function connect() {
+    if (!isLocalMcpEndpoint(url)) {
+      throw createMcpError('仅支持连接本机（localhost / 127.0.0.1）上的 MCP 服务器');
+    }
+    if (transport === MCP_TRANSPORT_SSE) {
+      await openSseStream();
+    }
+    const result = await request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo
+    });
+    negotiatedProtocolVersion = (typeof result.protocolVersion === 'string' && result.protocolVersion)
+      ? result.protocolVersion
+      : MCP_PROTOCOL_VERSION;
+    serverInfo = isPlainObject(result.serverInfo) ? result.serverInfo : null;
+    serverCapabilities = isPlainObject(result.capabilities) ? result.capabilities : {};
+    initialized = true;
+    await notify('notifications/initialized');
+    return { serverInfo, capabilities: serverCapabilities, protocolVersion: negotiatedProtocolVersion };
+  }
+
+  async function listPaged(method, key) {
+    const items = [];
+    let cursor = undefined;
+    for (let page = 0; page < MAX_LIST_PAGES; page += 1) {
+      let result = null;
+      try {
+        result = await request(method, cursor ? { cursor } : {});
+      } catch (error) {
+        // 服务器未实现该能力时视为空列表
+        if (error?.code === JSON_RPC_METHOD_NOT_FOUND) return items;
+        throw error;
+      }
+      if (Array.isArray(result[key])) items.push(...result[key].filter(isPlainObject));
+      cursor = (typeof result.nextCursor === 'string' && result.nextCursor) ? result.nextCursor : '';
+      if (!cursor) break;
+    }
+    return items;
+  }
+
+  async function listTools() {
+    if (initialized && !serverCapabilities.tools) return [];
+    return listPaged('tools/list', 'tools');
+  }
+
+  async function listResources() {
+    if (initialized && !serverCapabilities.resources) return [];
+    return listPaged('resources/list', 'resources');
+  }
+
+  async function callTool(name, args = {}) {
+    return request('tools/call', { name, arguments: isPlainObject(args) ? args : {} });
+  }
+
+  async function readResource(uri) {
+    return request('resources/read', { uri });
+  }
+
+  /**
+   * 关闭连接：SSE 断开事件流；streamable_http 按规范 DELETE 会话（失败忽略）。
+   */
+  async function close() {
+    if (closed) return;
+    closed = true;
+    if (sseController) {
+      sseController.abort();
+      sseController = null;
+    }
+    rejectAllSsePending(createMcpError('MCP 连接已关闭'));
+    if (transport === MCP_TRANSPORT_STREAMABLE_HTTP && sessionId && typeof fetchImpl === 'function') {
+      try {
+        await fetchImpl(url, { method: 'DELETE', headers: buildHeaders() });
+      } catch (_) {}
+    }
+  }
+
+  return {
+    connect,
+    request,
+    listTools,
+    listResources,
+    callTool,
+    readResource,
+    close,
+    getServerInfo: () => serverInfo,
+    getSessionId: () => sessionId
+  };
+}
+
+function sanitizeNameSegment(value) {
+  return String(value || '')
+    .replace(/[^a-zA-Z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i += 1) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * 生成暴露给模型的函数名：`mcp_<服务器>__<工具>`，满足函数名字符集与 64 字符上限。
+ * 超长时截断并追加哈希，保证不同工具不会撞名。
+ *
+ * @param {string} serverName
+ * @param {string} toolName
+ * @returns {string}
+ */
+export function buildMcpFunctionToolName(serverName, toolName) {
+  const server = sanitizeNameSegment(serverName).slice(0, 20) || 'server';
+  const tool = sanitizeNameSegment(toolName) || 'tool';
+  const name = `mcp_${server}__${tool}`;
+  if (name.length <= FUNCTION_NAME_MAX_LENGTH) return name;
+  const suffix = `_${hashString(`${serverName}\u0000${toolName}`)}`;
+  return `${name.slice(0, FUNCTION_NAME_MAX_LENGTH - suffix.length)}${suffix}`;
+}
+
+/**
+ * 把 MCP tools/list 中的单个工具转换为 Responses function tool 定义。
+ *
+ * @param {string} functionName - buildMcpFunctionToolName 的结果
+ * @param {Object} tool - MCP 工具描述 `{ name, title?, description?, inputSchema }`
+ * @param {string} serverName
+ * @returns {{type:'function', name:string, description:string, strict:false, parameters:Object}}
+ */
+export function buildMcpFunctionToolDefinition(functionName, tool, serverName) {
+  const schema = isPlainObject(tool?.inputSchema) && tool.inputSchema.type === 'object'
+    ? tool.inputSchema
+    : { type: 'object', properties: {} };
+  const summary = String(tool?.description || tool?.title || tool?.name || '').trim();
+  return {
+    type: 'function',
+    name: functionName,
+    description: `[MCP ${serverName}] ${summary}`.trim(),
+    strict: false,
+    parameters: schema
+  };
+}
+
+function summarizeMcpContentItem(item) {
+  if (!isPlainObject(item)) return null;
+  if (item.type === 'text') return { type: 'text', text: String(item.text ?? '') };
+  if (item.type === 'image' || item.type === 'audio') {
+    return { type: item.type, mime_type: item.mimeType || '', bytes: String(item.data || '').length };
+  }
+  if (item.type === 'resource' && isPlainObject(item.resource)) {
+    const resource = item.resource;
+    return typeof resource.text === 'string'
+      ? { type: 'resource', uri: resource.uri || '', text: resource.text }
+      : { type: 'resource', uri: resource.uri || '', mime_type: resource.mimeType || '' };
+  }
+  if (item.type === 'resource_link') {
+    return { type: 'resource_link', uri: item.uri || '', name: item.name || '' };
+  }
+  return { type: String(item.type || 'unknown') };
+}
+
+/**
+ * 把 MCP tools/call 结果整理成与内置工具一致的 `{ ok, value, items, error }` 结构。
+ *
+ * - 优先使用 structuredContent；
+ * - 只有一段文本时直接作为 value，避免多套一层结构；
+ * - isError 为 true 时把文本内容作为错误信息返回。
+ *
+ * @param {Object} result
+ * @returns {{ok:boolean, value:any, items:Array, error:Object|null}}
+ */
+export function normalizeMcpToolCallResult(result) {
+  const content = Array.isArray(result?.content)
+    ? result.content.map(summarizeMcpContentItem).filter(Boolean)
+    : [];
+  const texts = content.filter(item => item.type === 'text').map(item => item.text);
+  if (result?.isError === true) {
+    return {
+      ok: false,
+      value: null,
+      items: [],
+      error: {
+        message: texts.join('\n') || 'MCP 工具返回错误',
+        name: 'McpToolError',
+        stack: ''
+      }
+    };
+  }
+  let value = null;
+  if (result?.structuredContent !== undefined) {
+    value = result.structuredContent;
+  } else if (content.length === 1 && content[0].type === 'text') {
+    value = content[0].text;
+  } else {
+    value = content;
+  }
+  return { ok: true, value, items: [], error: null };
+}
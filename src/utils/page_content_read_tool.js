@@ -3,7 +3,8 @@
  *
  * 设计边界：
  * - 它只处理“已经抽取出来的页面文本”；
- * - 文本会做轻量归一化：逐行 trim，并把多余空白折叠成单个空格；
+ * - 纯文本（format 非 markdown）会做轻量归一化：逐行 trim，并把多余空白折叠成单个空格；
+ * - Markdown（format === 'markdown'）保留换行与结构，并按标题切出章节大纲，可按章节读取；
  * - 它适合快速通读页面 + 可访问 iframe 文本；
  * - 它不做 DOM 级结构化定位，因此不替代 js_runtime_execute。
  */
@@ -12,6 +13,8 @@ const APPROX_BYTES_PER_TOKEN = 4;
 export const PAGE_CONTENT_READ_DEFAULT_PREVIEW_CHARS = 8000;
 export const PAGE_CONTENT_READ_DEFAULT_RANGE_CHARS = 4000;
 export const PAGE_CONTENT_READ_MAX_CHARS = 20000;
+// 预览结果里附带的章节大纲上限，避免超长目录挤占正文预览
+const PAGE_CONTENT_READ_MAX_OUTLINE_SECTIONS = 200;
 
 function clampNonNegativeInt(value, fallback) {
   const numeric = Number(value);
@@ -19,7 +22,12 @@ function clampNonNegativeInt(value, fallback) {
   return Math.max(0, Math.trunc(numeric));
 }
 
-function approxTokensFromChars(chars) {
+/**
+ * 按字符数粗估 token 数（约 4 字符 / token）。
+ * @param {number} chars
+ * @returns {number}
+ */
+export function approxTokensFromChars(chars) {
   const numeric = Number(chars);
   if (!Number.isFinite(numeric) || numeric <= 0) return 0;
   return Math.ceil(numeric / APPROX_BYTES_PER_TOKEN);
@@ -52,6 +60,60 @@ export function normalizePageContentReadText(text) {
     .trim();
 }
 
+/**
+ * 归一化 Markdown 页面内容：统一换行、去掉行尾空白、把连续空行压成一行，保留缩进与代码块。
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizePageContentMarkdown(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 按 ATX 标题（# ~ ######）把 Markdown 切成连续章节，围栏代码块内的 # 不算标题。
+ * 第一个标题之前若有内容，作为 level 0 的开头章节。
+ *
+ * @param {string} markdown - 已归一化的 Markdown
+ * @returns {Array<{index:number, level:number, title:string, start:number, end:number}>}
+ */
+export function buildPageContentMarkdownOutline(markdown) {
+  const content = typeof markdown === 'string' ? markdown : '';
+  const headings = [];
+  let fence = '';
+  let offset = 0;
+  content.split('\n').forEach((line) => {
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = '';
+    } else if (!fence) {
+      const headingMatch = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+      if (headingMatch) headings.push({ level: headingMatch[1].length, title: headingMatch[2], start: offset });
+    }
+    offset += line.length + 1;
+  });
+
+  const sections = [];
+  const firstStart = headings.length ? headings[0].start : content.length;
+  if (content.slice(0, firstStart).trim()) {
+    sections.push({ level: 0, title: '（开头）', start: 0 });
+  }
+  sections.push(...headings);
+  return sections.map((section, index) => ({
+    index,
+    level: section.level,
+    title: section.title,
+    start: section.start,
+    end: index + 1 < sections.length ? sections[index + 1].start : content.length
+  }));
+}
+
 function buildMiddlePreview(text, maxChars) {
   const content = typeof text === 'string' ? text : '';
   const safeMaxChars = Math.max(1, clampNonNegativeInt(maxChars, PAGE_CONTENT_READ_DEFAULT_PREVIEW_CHARS));
@@ -87,12 +149,14 @@ function normalizePageContentReadArgs(rawArgs) {
     ? rawArgs
     : {};
   const skipChars = clampNonNegativeInt(args.skip_chars, 0);
+  const section = (args.section == null) ? null : clampNonNegativeInt(args.section, null);
   const maxChars = (args.max_chars == null)
     ? null
     : Math.max(1, Math.min(PAGE_CONTENT_READ_MAX_CHARS, clampNonNegativeInt(args.max_chars, PAGE_CONTENT_READ_DEFAULT_RANGE_CHARS)));
   return {
     skipChars,
-    maxChars
+    maxChars,
+    section
   };
 }
 
@@ -100,22 +164,37 @@ function normalizePageContentReadArgs(rawArgs) {
  * 基于抽取后的页面内容，构造给模型看的快速读取结果。
  *
  * 规则：
- * - 默认（未显式指定 skip/max）走中间截断预览；
+ * - 默认（未显式指定 skip/max/section）走中间截断预览；Markdown 内容额外附带章节大纲；
  * - 一旦显式指定 skip 或 max_chars，则按连续区间读取；
+ * - 指定 section 时只在该章节内按 skip/max 读取（仅 Markdown 内容支持）；
  * - 返回值带上总长度、跳过量、近似 token、截断比例，方便模型决定是否继续读取下一段。
  *
- * @param {{title?:string, url?:string, content?:string}|null|undefined} pageContent
+ * @param {{title?:string, url?:string, content?:string, format?:string, extractionScope?:string}|null|undefined} pageContent
  * @param {any} rawArgs
  * @returns {Object}
  */
 export function buildPageContentReadResult(pageContent, rawArgs) {
   const title = typeof pageContent?.title === 'string' ? pageContent.title.trim() : '';
   const url = typeof pageContent?.url === 'string' ? pageContent.url.trim() : '';
-  const normalizedText = normalizePageContentReadText(pageContent?.content || '');
+  const isMarkdown = pageContent?.format === 'markdown';
+  const normalizedText = isMarkdown
+    ? normalizePageContentMarkdown(pageContent?.content || '')
+    : normalizePageContentReadText(pageContent?.content || '');
   const totalChars = normalizedText.length;
   const totalApproxTokens = approxTokensFromChars(totalChars);
-  const { skipChars, maxChars } = normalizePageContentReadArgs(rawArgs);
-  const hasExplicitRange = skipChars > 0 || maxChars !== null;
+  const { skipChars, maxChars, section } = normalizePageContentReadArgs(rawArgs);
+  const hasExplicitRange = skipChars > 0 || maxChars !== null || section !== null;
+  const formatFields = isMarkdown
+    ? {
+      content_format: 'markdown',
+      normalized_whitespace: false,
+      extraction_scope: pageContent?.extractionScope === 'main_content' ? 'main_content_markdown' : 'page_markdown'
+    }
+    : {
+      content_format: 'text',
+      normalized_whitespace: true,
+      extraction_scope: 'page_plus_accessible_iframe_text'
+    };
 
   if (!normalizedText) {
     return {
@@ -131,15 +210,16 @@ export function buildPageContentReadResult(pageContent, rawArgs) {
     };
   }
 
+  const outline = isMarkdown ? buildPageContentMarkdownOutline(normalizedText) : [];
+
   if (!hasExplicitRange) {
     const preview = buildMiddlePreview(normalizedText, PAGE_CONTENT_READ_DEFAULT_PREVIEW_CHARS);
-    return {
+    const result = {
       ok: true,
       mode: 'preview',
       title,
       url,
-      normalized_whitespace: true,
-      extraction_scope: 'page_plus_accessible_iframe_text',
+      ...formatFields,
       total_chars: totalChars,
       approx_total_tokens: totalApproxTokens,
       returned_chars: preview.content.length,
@@ -150,21 +230,67 @@ export function buildPageContentReadResult(pageContent, rawArgs) {
       truncated: preview.truncated,
       content: preview.content
     };
+    if (outline.length) {
+      result.sections = outline.slice(0, PAGE_CONTENT_READ_MAX_OUTLINE_SECTIONS).map(item => ({
+        section: item.index,
+        level: item.level,
+        title: item.title,
+        chars: item.end - item.start
+      }));
+      if (outline.length > PAGE_CONTENT_READ_MAX_OUTLINE_SECTIONS) {
+        result.sections_truncated = true;
+      }
+    }
+    return result;
+  }
+
+  let scopeStart = 0;
+  let scopeEnd = totalChars;
+  let sectionFields = {};
+  if (section !== null) {
+    const target = outline[section];
+    if (!target) {
+      return {
+        ok: false,
+        title,
+        url,
+        ...formatFields,
+        total_chars: totalChars,
+        approx_total_tokens: totalApproxTokens,
+        section_count: outline.length,
+        error: {
+          message: isMarkdown
+            ? `章节 ${section} 不存在（共 ${outline.length} 个章节，编号从 0 开始）。`
+            : '当前页面内容不是 Markdown，不支持按章节读取，请改用 skip_chars/max_chars。',
+          name: 'PageContentSectionError'
+        }
+      };
+    }
+    scopeStart = target.start;
+    scopeEnd = target.end;
+    sectionFields = {
+      section: target.index,
+      section_title: target.title,
+      section_level: target.level,
+      section_chars: target.end - target.start,
+      section_count: outline.length
+    };
   }
 
   const effectiveMaxChars = maxChars ?? PAGE_CONTENT_READ_DEFAULT_RANGE_CHARS;
-  const start = Math.min(skipChars, totalChars);
-  const end = Math.min(totalChars, start + effectiveMaxChars);
-  const content = normalizedText.slice(start, end);
+  const scopeChars = scopeEnd - scopeStart;
+  const start = Math.min(skipChars, scopeChars);
+  const end = Math.min(scopeChars, start + effectiveMaxChars);
+  const content = normalizedText.slice(scopeStart + start, scopeStart + end);
   const omittedChars = Math.max(0, totalChars - content.length);
 
   return {
     ok: true,
-    mode: 'range',
+    mode: section !== null ? 'section' : 'range',
     title,
     url,
-    normalized_whitespace: true,
-    extraction_scope: 'page_plus_accessible_iframe_text',
+    ...formatFields,
+    ...sectionFields,
     total_chars: totalChars,
     approx_total_tokens: totalApproxTokens,
     skip_chars: start,
@@ -175,7 +301,7 @@ export function buildPageContentReadResult(pageContent, rawArgs) {
     omitted_pct: formatPercent(omittedChars, totalChars),
     approx_omitted_tokens: approxTokensFromChars(omittedChars),
     truncated: omittedChars > 0,
-    has_more_after_range: end < totalChars,
+    has_more_after_range: end < scopeChars,
     content
   };
 }
@@ -0,0 +1,600 @@
+/**
+ * 网页正文 Markdown 抽取（非模块脚本，随 content script 注入）
+ *
+ * - 正文识别：参考 Readability 的打分思路——按段落文本长度/逗号数给祖先节点加分，
+ *   结合 class/id 的正负面词与链接密度选出正文容器，并合并得分相近的兄弟节点；
+ *   识别不出可信的正文时回退为整页（沿用原先的导航/页眉/页脚跳过规则）。
+ * - 输出：标题、列表、表格（GFM）、围栏代码块、引用、链接（绝对 URL）等结构都保留为 Markdown。
+ * - 遍历会进入 open shadow root（按 slot 分配渲染）与同源 iframe；跨域 iframe 无法访问，直接跳过。
+ *
+ * 只依赖节点的基础属性（nodeType / nodeName / childNodes / parentNode / getAttribute / shadowRoot），
+ * 可见性判断与 iframe 文档获取由调用方注入，便于在页面之外测试。
+ * 以全局对象 CerebrPageMarkdownExtractor 暴露。
+ */
+(function initPageMarkdownExtractor() {
+  if (globalThis.CerebrPageMarkdownExtractor) return;
+
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+  const DOCUMENT_NODE = 9;
+  const DOCUMENT_FRAGMENT_NODE = 11;
+
+  // 占位字符：缩进与代码块在整体空白清理之后才还原
+  const INDENT = '\u0001';
+  const CODE_MARK = '\u0002';
+
+  const ALWAYS_SKIP_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'canvas', 'video', 'audio', 'embed', 'object',
+    'img', 'picture', 'svg', 'map', 'area', 'track', 'applet', 'head', 'link', 'meta',
+    'button', 'input', 'select', 'option', 'textarea',
+    'cerebr-root'
+  ]);
+  // 整页模式下额外跳过的页面框架区域（与旧版纯文本抽取一致）
+  const PAGE_CHROME_TAGS = new Set(['nav', 'footer', 'header', 'aside']);
+  // 正文模式下，正文容器内部仍跳过的区域（保留 header：文章标题常在其中）
+  const MAIN_CHROME_TAGS = new Set(['nav', 'footer', 'aside']);
+  const SKIP_ROLES = new Set(['navigation', 'complementary', 'banner', 'contentinfo', 'search']);
+  const SKIP_CLASS_RE = /(^|\s)(immersive-translate-target-inner|footer|header|ad|ads|advertisement)(\s|$)|advert/i;
+
+  const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul', 'body'
+  ]);
+
+  const UNLIKELY_CANDIDATE_RE = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|cookie|newsletter|subscribe/i;
+  const MAYBE_CANDIDATE_RE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE_RE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|prose|markdown/i;
+  const NEGATIVE_RE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+  const MIN_PARAGRAPH_CHARS = 25;
+  const MIN_MAIN_CONTENT_CHARS = 140;
+  const MIN_DETACHED_FRAME_CHARS = 200;
+
+  function tagOf(node) {
+    return node && node.nodeType === ELEMENT_NODE ? String(node.nodeName || '').toLowerCase() : '';
+  }
+
+  function attr(node, name) {
+    try {
+      const value = node.getAttribute ? node.getAttribute(name) : null;
+      return typeof value === 'string' ? value : '';
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function childrenOf(node) {
+    return node && node.childNodes ? Array.from(node.childNodes) : [];
+  }
+
+  function openShadowRootOf(node) {
+    const root = node && node.nodeType === ELEMENT_NODE ? node.shadowRoot : null;
+    return root && root.mode !== 'closed' ? root : null;
+  }
+
+  /**
+   * 节点在“展开 shadow DOM 后”的渲染子节点：
+   * 有 open shadow root 时渲染 shadow 树（light DOM 通过 slot 出现），否则渲染 light DOM。
+   */
+  function composedChildren(node) {
+    if (tagOf(node) === 'slot') {
+      let assigned = [];
+      try {
+        assigned = typeof node.assignedNodes === 'function' ? Array.from(node.assignedNodes({ flatten: true })) : [];
+      } catch (_) {}
+      return assigned.length ? assigned : childrenOf(node);
+    }
+    const shadowRoot = openShadowRootOf(node);
+    return shadowRoot ? childrenOf(shadowRoot) : childrenOf(node);
+  }
+
+  function composedParent(node) {
+    const parent = node ? (node.assignedSlot || node.parentNode) : null;
+    if (parent && parent.nodeType === DOCUMENT_FRAGMENT_NODE && parent.host) return parent.host;
+    return parent && parent.nodeType === ELEMENT_NODE ? parent : null;
+  }
+
+  function containsComposed(ancestor, node) {
+    for (let current = node; current; current = composedParent(current)) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  function classAndId(node) {
+    return `${attr(node, 'class')} ${attr(node, 'id')}`;
+  }
+
+  function createSkipChecker(options, chromeTags) {
+    const isHidden = typeof options.isHidden === 'function' ? options.isHidden : () => false;
+    return (node) => {
+      const tag = tagOf(node);
+      if (!tag) return false;
+      if (ALWAYS_SKIP_TAGS.has(tag) || chromeTags.has(tag)) return true;
+      if (attr(node, 'aria-hidden') === 'true' || node.getAttribute?.('hidden') != null) return true;
+      if (SKIP_ROLES.has(attr(node, 'role')) || node.getAttribute?.('data-nosnippet') != null) return true;
+      if (SKIP_CLASS_RE.test(attr(node, 'class')) || /advert/i.test(attr(node, 'id'))) return true;
+      try {
+        return !!isHidden(node);
+      } catch (_) {
+        return false;
+      }
+    };
+  }
+
+  // ---- 正文识别 ----
+
+  function collapsedText(node, shouldSkip) {
+    const parts = [];
+    const walk = (current) => {
+      if (current.nodeType === TEXT_NODE) {
+        parts.push(current.nodeValue || '');
+        return;
+      }
+      if (current.nodeType === ELEMENT_NODE && shouldSkip(current)) return;
+      composedChildren(current).forEach(walk);
+    };
+    walk(node);
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function initialCandidateScore(node) {
+    const tag = tagOf(node);
+    let score = 0;
+    if (tag === 'div' || tag === 'article' || tag === 'main' || tag === 'section') score += 5;
+    else if (tag === 'pre' || tag === 'td' || tag === 'blockquote') score += 3;
+    else if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tag)) score -= 3;
+    else if (/^h[1-6]$/.test(tag) || tag === 'th') score -= 5;
+    const descriptor = classAndId(node);
+    if (NEGATIVE_RE.test(descriptor)) score -= 25;
+    if (POSITIVE_RE.test(descriptor)) score += 25;
+    return score;
+  }
+
+  /**
+   * 在 root 下找出正文容器。
+   * @returns {{nodes: Array<Object>, element: Object}|null} nodes 为按文档顺序排列的正文节点（主候选及合并的兄弟）
+   */
+  function findMainContent(root, options = {}) {
+    const shouldSkip = createSkipChecker(options, PAGE_CHROME_TAGS);
+    const textLength = new Map();
+    const linkLength = new Map();
+    const paragraphs = [];
+    const landmarks = [];
+
+    // 后序遍历：一次算出每个元素的文本长度与链接文本长度
+    const measure = (node, insideLink) => {
+      if (node.nodeType === TEXT_NODE) {
+        const length = String(node.nodeValue || '').replace(/\s+/g, ' ').trim().length;
+        return { text: length, link: insideLink ? length : 0 };
+      }
+      if (node.nodeType !== ELEMENT_NODE && node.nodeType !== DOCUMENT_FRAGMENT_NODE && node.nodeType !== DOCUMENT_NODE) {
+        return { text: 0, link: 0 };
+      }
+      if (node.nodeType === ELEMENT_NODE) {
+        if (shouldSkip(node)) return { text: 0, link: 0 };
+        const descriptor = classAndId(node);
+        const tag = tagOf(node);
+        if (UNLIKELY_CANDIDATE_RE.test(descriptor) && !MAYBE_CANDIDATE_RE.test(descriptor)
+          && !['body', 'main', 'article', 'a', 'table', 'tbody', 'tr', 'td', 'th', 'code', 'pre'].includes(tag)) {
+          return { text: 0, link: 0 };
+        }
+      }
+      const isLink = tagOf(node) === 'a';
+      let text = 0;
+      let link = 0;
+      let hasBlockChild = false;
+      composedChildren(node).forEach((child) => {
+        if (BLOCK_TAGS.has(tagOf(child))) hasBlockChild = true;
+        const measured = measure(child, insideLink || isLink);
+        text += measured.text;
+        link += measured.link;
+      });
+      if (node.nodeType === ELEMENT_NODE) {
+        textLength.set(node, text);
+        linkLength.set(node, link);
+        const tag = tagOf(node);
+        if (['p', 'pre', 'td', 'blockquote'].includes(tag) || ((tag === 'div' || tag === 'section') && !hasBlockChild)) {
+          paragraphs.push(node);
+        }
+        if (tag === 'main' || tag === 'article' || attr(node, 'role') === 'main') landmarks.push(node);
+      }
+      return { text, link };
+    };
+    measure(root, false);
+
+    const scores = new Map();
+    paragraphs.forEach((paragraph) => {
+      const length = textLength.get(paragraph) || 0;
+      if (length < MIN_PARAGRAPH_CHARS) return;
+      const text = collapsedText(paragraph, shouldSkip);
+      const contentScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(length / 100), 3);
+      let ancestor = composedParent(paragraph);
+      for (let level = 0; ancestor && level < 3; level++) {
+        if (!textLength.has(ancestor)) break;
+        if (!scores.has(ancestor)) scores.set(ancestor, initialCandidateScore(ancestor));
+        const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        ancestor = composedParent(ancestor);
+      }
+    });
+
+    let top = null;
+    let topScore = -Infinity;
+    const finalScores = new Map();
+    scores.forEach((score, node) => {
+      const text = textLength.get(node) || 0;
+      const linkDensity = text > 0 ? (linkLength.get(node) || 0) / text : 1;
+      const finalScore = score * (1 - linkDensity);
+      finalScores.set(node, finalScore);
+      if (finalScore > topScore) {
+        top = node;
+        topScore = finalScore;
+      }
+    });
+    if (!top) return null;
+    const accept = (element, nodes) => {
+      const total = nodes.reduce((sum, node) => sum + (textLength.get(node) || 0), 0);
+      return total >= MIN_MAIN_CONTENT_CHARS ? { element, nodes } : null;
+    };
+
+    // 主候选位于唯一的 <main>/<article> 地标中，且地标不是链接聚合页时，直接以地标为正文（保留文章标题等）
+    const enclosing = landmarks.filter(landmark => landmark !== top && containsComposed(landmark, top));
+    const landmark = enclosing.length ? enclosing[enclosing.length - 1] : null;
+    if (landmark) {
+      const text = textLength.get(landmark) || 0;
+      if (text > 0 && (linkLength.get(landmark) || 0) / text < 0.4) {
+        return accept(landmark, [landmark]);
+      }
+    }
+
+    // 合并得分接近的兄弟节点（正文被拆成多个并列块的情况）
+    const parent = composedParent(top);
+    if (!parent) return accept(top, [top]);
+    const threshold = Math.max(10, topScore * 0.2);
+    const topClass = attr(top, 'class');
+    const nodes = composedChildren(parent).filter((sibling) => {
+      if (sibling === top) return true;
+      if (sibling.nodeType !== ELEMENT_NODE || !textLength.has(sibling)) return false;
+      let bonus = 0;
+      if (topClass && attr(sibling, 'class') === topClass) bonus += topScore * 0.2;
+      if (finalScores.has(sibling) && finalScores.get(sibling) + bonus >= threshold) return true;
+      if (tagOf(sibling) === 'p') {
+        const text = textLength.get(sibling) || 0;
+        const linkDensity = text > 0 ? (linkLength.get(sibling) || 0) / text : 1;
+        return (text > 80 && linkDensity < 0.25) || (text > 0 && text <= 80 && linkDensity === 0 && /\.( |$)|。/.test(collapsedText(sibling, shouldSkip)));
+      }
+      return false;
+    });
+    return accept(top, nodes);
+  }
+
+  // ---- Markdown 渲染 ----
+
+  function resolveUrl(href, baseUrl) {
+    const value = String(href || '').trim();
+    if (!value || /^(javascript|data|blob):/i.test(value)) return '';
+    try {
+      return new URL(value, baseUrl || undefined).href;
+    } catch (_) {
+      return value;
+    }
+  }
+
+  function wrapInline(inner, marker) {
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(inner);
+    if (!match || !match[2]) return inner;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+  }
+
+  function cleanBlock(text) {
+    return text
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  function block(text) {
+    const cleaned = cleanBlock(text);
+    return cleaned ? `\n\n${cleaned}\n\n` : '';
+  }
+
+  function singleLine(text) {
+    return cleanBlock(text).replace(/\s*\n+\s*/g, ' ');
+  }
+
+  function prefixLines(text, firstPrefix, restPrefix) {
+    return text.split('\n').map((line, index) => {
+      if (index === 0) return `${firstPrefix}${line}`;
+      return line ? `${restPrefix}${line}` : '';
+    }).join('\n');
+  }
+
+  function detectCodeLanguage(node) {
+    const candidates = [node, ...childrenOf(node).filter(child => tagOf(child) === 'code')];
+    for (const candidate of candidates) {
+      const className = attr(candidate, 'class');
+      const match = /(?:^|\s)(?:language|lang|highlight-source|brush:?)-?([A-Za-z0-9_+#.-]+)/.exec(className);
+      if (match) return match[1].toLowerCase();
+      const dataLang = attr(candidate, 'data-lang') || attr(candidate, 'data-language');
+      if (dataLang) return dataLang.toLowerCase();
+    }
+    return '';
+  }
+
+  function rawText(node) {
+    if (node.nodeType === TEXT_NODE) return node.nodeValue || '';
+    const tag = tagOf(node);
+    if (tag === 'br') return '\n';
+    const inner = composedChildren(node).map(rawText).join('');
+    // 逐行渲染的代码高亮（每行一个块级元素）需要补换行
+    if ((tag === 'div' || tag === 'p' || tag === 'li' || tag === 'tr') && inner && !inner.endsWith('\n')) return `${inner}\n`;
+    return inner;
+  }
+
+  function createRenderer(options, shouldSkip) {
+    const baseUrl = options.baseUrl || '';
+    const getFrameDocument = typeof options.getFrameDocument === 'function' ? options.getFrameDocument : () => null;
+    const codeBlocks = [];
+
+    const renderChildren = (node) => composedChildren(node).map(renderNode).join('');
+
+    const renderList = (node, ordered) => {
+      const startAttr = parseInt(attr(node, 'start'), 10);
+      let index = Number.isFinite(startAttr) ? startAttr : 1;
+      const items = [];
+      composedChildren(node).forEach((child) => {
+        const tag = tagOf(child);
+        if (tag === 'li') {
+          if (shouldSkip(child)) return;
+          const content = cleanBlock(renderChildren(child)).replace(/\n{2,}/g, '\n');
+          if (!content) return;
+          const marker = ordered ? `${index}.` : '-';
+          index += 1;
+          items.push(prefixLines(content, `${marker} `, INDENT.repeat(marker.length + 1)));
+        } else if (tag === 'ul' || tag === 'ol') {
+          // 不规范嵌套（列表直接套列表）：作为上一项的子列表
+          const nested = cleanBlock(renderNode(child));
+          if (nested && items.length) items[items.length - 1] += `\n${prefixLines(nested, INDENT.repeat(2), INDENT.repeat(2))}`;
+        }
+      });
+      return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+    };
+
+    const collectRows = (table) => {
+      const rows = [];
+      const walk = (node) => {
+        composedChildren(node).forEach((child) => {
+          const tag = tagOf(child);
+          if (tag === 'tr') rows.push(child);
+          else if (tag === 'thead' || tag === 'tbody' || tag === 'tfoot') walk(child);
+        });
+      };
+      walk(table);
+      return rows;
+    };
+
+    const renderTable = (node) => {
+      const rows = collectRows(node).map((row) => {
+        const cells = [];
+        let hasHeaderCell = false;
+        composedChildren(row).forEach((cell) => {
+          const tag = tagOf(cell);
+          if (tag !== 'td' && tag !== 'th') return;
+          if (tag === 'th') hasHeaderCell = true;
+          const text = singleLine(renderChildren(cell).replace(new RegExp(`${CODE_MARK}(\\d+)${CODE_MARK}`, 'g'), (_, i) => {
+            return `\`${codeBlocks[Number(i)].code.replace(/\n/g, ' ')}\``;
+          })).replace(/\|/g, '\\|');
+          const span = Math.max(1, Math.min(parseInt(attr(cell, 'colspan'), 10) || 1, 20));
+          cells.push(text);
+          for (let i = 1; i < span; i++) cells.push('');
+        });
+        return { cells, hasHeaderCell, inHead: tagOf(row.parentNode) === 'thead' };
+      }).filter(row => row.cells.length);
+      if (!rows.length) return '';
+      const columnCount = Math.max(...rows.map(row => row.cells.length));
+      // 单列表格多为排版用途：按普通块输出
+      if (columnCount < 2) return block(rows.map(row => row.cells.join(' ')).join('\n\n'));
+      const pad = cells => cells.concat(Array(columnCount - cells.length).fill(''));
+      const headerIsFirstRow = rows[0].inHead || rows[0].hasHeaderCell;
+      const header = headerIsFirstRow ? pad(rows[0].cells) : Array(columnCount).fill('');
+      const body = headerIsFirstRow ? rows.slice(1) : rows;
+      const lines = [
+        `| ${header.join(' | ')} |`,
+        `| ${Array(columnCount).fill('---').join(' | ')} |`,
+        ...body.map(row => `| ${pad(row.cells).join(' | ')} |`)
+      ];
+      return `\n\n${lines.join('\n')}\n\n`;
+    };
+
+    const renderFrame = (node) => {
+      let frameDocument = null;
+      try {
+        frameDocument = getFrameDocument(node);
+      } catch (_) {}
+      const body = frameDocument && frameDocument.body;
+      if (!body) return '';
+      const content = cleanBlock(renderChildren(body));
+      if (!content) return '';
+      const label = attr(node, 'title') || attr(node, 'src') || 'iframe';
+      return `\n\n[iframe: ${label}]\n\n${content}\n\n`;
+    };
+
+    function renderNode(node) {
+      if (!node) return '';
+      if (node.nodeType === TEXT_NODE) return String(node.nodeValue || '').replace(/\s+/g, ' ');
+      if (node.nodeType === DOCUMENT_FRAGMENT_NODE || node.nodeType === DOCUMENT_NODE) return renderChildren(node);
+      if (node.nodeType !== ELEMENT_NODE || shouldSkip(node)) return '';
+      const tag = tagOf(node);
+
+      if (/^h[1-6]$/.test(tag)) {
+        const text = singleLine(renderChildren(node));
+        return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+      }
+      switch (tag) {
+        case 'br':
+          return '\n';
+        case 'hr':
+          return '\n\n---\n\n';
+        case 'pre': {
+          const code = rawText(node).replace(/^\n+|\s+$/g, '');
+          if (!code.trim()) return '';
+          codeBlocks.push({ code, language: detectCodeLanguage(node) });
+          return `\n\n${CODE_MARK}${codeBlocks.length - 1}${CODE_MARK}\n\n`;
+        }
+        case 'code':
+        case 'kbd':
+        case 'samp':
+        case 'tt': {
+          const code = rawText(node).replace(/\s+/g, ' ');
+          if (!code.trim()) return code;
+          const fence = code.includes('`') ? '``' : '`';
+          return `${fence}${code}${fence}`;
+        }
+        case 'a': {
+          const inner = renderChildren(node);
+          const text = singleLine(inner);
+          const url = resolveUrl(attr(node, 'href'), baseUrl);
+          if (!text) return '';
+          if (!url || /^#/.test(attr(node, 'href').trim())) return inner;
+          if (text === url) return `<${url}>`;
+          return `[${text}](${url.replace(/\)/g, '%29').replace(/ /g, '%20')})`;
+        }
+        case 'strong':
+        case 'b':
+          return wrapInline(renderChildren(node), '**');
+        case 'em':
+        case 'i':
+        case 'cite':
+          return wrapInline(renderChildren(node), '*');
+        case 'del':
+        case 's':
+        case 'strike':
+          return wrapInline(renderChildren(node), '~~');
+        case 'ul':
+        case 'menu':
+        case 'dir':
+          return renderList(node, false);
+        case 'ol':
+          return renderList(node, true);
+        case 'li': {
+          const content = cleanBlock(renderChildren(node));
+          return content ? `\n\n${prefixLines(content, '- ', INDENT.repeat(2))}\n\n` : '';
+        }
+        case 'table':
+          return renderTable(node);
+        case 'blockquote': {
+          const content = cleanBlock(renderChildren(node));
+          return content ? `\n\n${prefixLines(content, '> ', '> ').replace(/\n(?=\n)/g, '\n>')}\n\n` : '';
+        }
+        case 'dt': {
+          const text = singleLine(renderChildren(node));
+          return text ? `\n\n**${text}**\n` : '';
+        }
+        case 'dd':
+          return `\n${cleanBlock(renderChildren(node))}\n\n`;
+        case 'iframe':
+        case 'frame':
+          return renderFrame(node);
+        default:
+          break;
+      }
+      const inner = renderChildren(node);
+      return BLOCK_TAGS.has(tag) ? block(inner) : inner;
+    }
+
+    function finish(text) {
+      return cleanBlock(text)
+        .replace(new RegExp(`${CODE_MARK}(\\d+)${CODE_MARK}`, 'g'), (_, index) => {
+          const { code, language } = codeBlocks[Number(index)];
+          const longestRun = Math.max(2, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+          const fence = '`'.repeat(longestRun + 1);
+          return `${fence}${language}\n${code}\n${fence}`;
+        })
+        .replace(new RegExp(INDENT, 'g'), ' ');
+    }
+
+    return { renderNode, finish };
+  }
+
+  /**
+   * 把网页转换为 Markdown。
+   *
+   * @param {Object} doc - document（或任意带 body 的根）
+   * @param {{
+   *   baseUrl?: string,
+   *   isHidden?: (element: Object) => boolean,
+   *   getFrameDocument?: (iframe: Object) => Object|null,
+   *   detectMainContent?: boolean
+   * }} [options]
+   * @returns {{content: string, scope: 'main_content'|'page'}}
+   */
+  function extractPageMarkdown(doc, options = {}) {
+    const body = doc && (doc.body || doc);
+    if (!body) return { content: '', scope: 'page' };
+    const main = options.detectMainContent === false ? null : findMainContent(body, options);
+    if (!main) {
+      const renderer = createRenderer(options, createSkipChecker(options, PAGE_CHROME_TAGS));
+      return { content: renderer.finish(renderer.renderNode(body)), scope: 'page' };
+    }
+
+    const renderer = createRenderer(options, createSkipChecker(options, MAIN_CHROME_TAGS));
+    const content = renderer.finish(main.nodes.map(node => renderer.renderNode(node)).join('\n\n'));
+
+    // 正文之外的同源 iframe（嵌入的文档、评论框架等）：内容足够多时附在末尾，避免遗漏
+    const detachedFrames = [];
+    const frameSkip = createSkipChecker(options, PAGE_CHROME_TAGS);
+    const walkFrames = (node) => {
+      if (main.nodes.includes(node)) return;
+      const tag = tagOf(node);
+      if (tag === 'iframe' || tag === 'frame') {
+        const frameRenderer = createRenderer(options, frameSkip);
+        const frameContent = frameRenderer.finish(frameRenderer.renderNode(node));
+        if (frameContent.length >= MIN_DETACHED_FRAME_CHARS) detachedFrames.push(frameContent);
+        return;
+      }
+      if (node.nodeType === ELEMENT_NODE && frameSkip(node)) return;
+      composedChildren(node).forEach(walkFrames);
+    };
+    walkFrames(body);
+
+    return {
+      content: [content, ...detachedFrames].filter(Boolean).join('\n\n---\n\n'),
+      scope: 'main_content'
+    };
+  }
+
+  /**
+   * 把用户选中的单个元素渲染为 Markdown（元素选取附件）。
+   * 区域是用户主动选的，所以不套用导航、页眉页脚、广告类名等页面框架过滤，只跳过脚本样式类标签与隐藏节点。
+   * @param {Element} element
+   * @param {Object} [options] - 同 extractPageMarkdown 的 baseUrl / isHidden / getFrameDocument
+   * @returns {string}
+   */
+  function renderElementMarkdown(element, options = {}) {
+    if (!element) return '';
+    const isHidden = typeof options.isHidden === 'function' ? options.isHidden : () => false;
+    const shouldSkip = (node) => {
+      if (node === element) return false;
+      const tag = tagOf(node);
+      if (!tag) return false;
+      if (ALWAYS_SKIP_TAGS.has(tag)) return true;
+      if (attr(node, 'aria-hidden') === 'true' || node.getAttribute?.('hidden') != null) return true;
+      try {
+        return !!isHidden(node);
+      } catch (_) {
+        return false;
+      }
+    };
+    const renderer = createRenderer(options, shouldSkip);
+    return renderer.finish(renderer.renderNode(element));
+  }
+
+  globalThis.CerebrPageMarkdownExtractor = {
+    extractPageMarkdown,
+    findMainContent,
+    renderElementMarkdown
+  };
+})();
@@ -0,0 +1,260 @@
+/**
+ * “PDF 按页读取”工具（pdf_read）的纯函数逻辑，以及回答中 `[p. N]` 页码引用的识别。
+ *
+ * content script 抽取 PDF 时保留逐页文本（pageTexts）与书签章节（chapters，仅标题与起始页），
+ * 这里负责：
+ * - 把章节树摊平并推算每章的结束页，供模型按章节编号读取；
+ * - 按页码区间读取时给每页加上 `[p. N]` 标记，模型据此在回答中引用页码；
+ * - 识别回答里的 `[p. 12]` / `[pp. 3-5]`，由侧栏渲染成可点击、跳转到对应页的链接。
+ */
+import { approxTokensFromChars } from './page_content_read_tool.js';
+
+export const PDF_READ_DEFAULT_MAX_CHARS = 12000;
+export const PDF_READ_MAX_CHARS = 20000;
+// 概览里附带的章节上限，避免超长书签挤占正文
+const PDF_READ_MAX_OUTLINE_CHAPTERS = 200;
+
+const PDF_PAGE_CITATION_PATTERN = /\[(?:pp?|pages?)\.?\s*(\d{1,5})(?:\s*[-–—]\s*(\d{1,5}))?\]/gi;
+
+function toPositiveIntOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return null;
+  const integer = Math.trunc(numeric);
+  return integer >= 1 ? integer : null;
+}
+
+function toNonNegativeIntOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return null;
+  const integer = Math.trunc(numeric);
+  return integer >= 0 ? integer : null;
+}
+
+/**
+ * 判断页面信息是否来自 PDF（content script 标注了 isPDF，或 URL 路径以 .pdf 结尾）。
+ * @param {{isPDF?: boolean, url?: string}|null|undefined} pageInfo
+ * @returns {boolean}
+ */
+export function isPdfPageInfo(pageInfo) {
+  if (pageInfo?.isPDF === true) return true;
+  const url = typeof pageInfo?.url === 'string' ? pageInfo.url : '';
+  if (!url) return false;
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch (_) {
+    return /\.pdf(?:$|[?#])/i.test(url);
+  }
+}
+
+/**
+ * 把章节树摊平为带页码区间的列表：结束页取同级下一章起始页的前一页，最后一章取父章节的结束页。
+ *
+ * @param {Array<{chapterTitle?: string, pageNumber?: number, children?: Array}>} chapters
+ * @param {number} totalPages
+ * @returns {Array<{chapter: number, title: string, level: number, start_page: number, end_page: number}>}
+ */
+export function flattenPdfChapters(chapters, totalPages) {
+  const flat = [];
+  const walk = (list, level, parentEnd) => {
+    const sorted = (Array.isArray(list) ? list : [])
+      .filter(item => toPositiveIntOrNull(item?.pageNumber) !== null)
+      .sort((a, b) => a.pageNumber - b.pageNumber);
+    sorted.forEach((item, index) => {
+      const startPage = Math.min(toPositiveIntOrNull(item.pageNumber), totalPages);
+      const next = sorted[index + 1];
+      const endPage = Math.max(startPage, next ? Math.min(next.pageNumber - 1, parentEnd) : parentEnd);
+      flat.push({
+        chapter: flat.length,
+        title: (typeof item.chapterTitle === 'string' && item.chapterTitle.trim()) || '未命名章节',
+        level,
+        start_page: startPage,
+        end_page: endPage
+      });
+      walk(item.children, level + 1, endPage);
+    });
+  };
+  walk(chapters, 1, totalPages);
+  return flat;
+}
+
+function normalizePdfPageText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 从 startPage 开始逐页拼接 `[p. N]` 块，直到 endPage 或字符上限；至少返回一页（过长时截断该页）。
+ */
+function readPdfPages(pageTexts, startPage, endPage, maxChars) {
+  const blocks = [];
+  let used = 0;
+  let lastPage = startPage - 1;
+  let truncatedPage = false;
+  for (let page = startPage; page <= endPage; page++) {
+    const text = normalizePdfPageText(pageTexts[page - 1]) || '(本页无可提取文本)';
+    const block = `[p. ${page}]\n${text}`;
+    const separator = blocks.length ? 2 : 0;
+    if (blocks.length && used + separator + block.length > maxChars) break;
+    if (!blocks.length && block.length > maxChars) {
+      blocks.push(`${block.slice(0, maxChars)}…`);
+      truncatedPage = true;
+      lastPage = page;
+      break;
+    }
+    blocks.push(block);
+    used += separator + block.length;
+    lastPage = page;
+  }
+  return { content: blocks.join('\n\n'), lastPage, truncatedPage };
+}
+
+/**
+ * 基于 content script 抽取的 PDF 结果构造 pdf_read 的返回值。
+ *
+ * 规则：
+ * - 未指定 start_page / end_page / chapter 时返回概览：总页数、章节列表，以及从第 1 页开始的正文；
+ * - 指定 chapter 时读取该章节的页码区间；指定页码时读取 [start_page, end_page]（缺省分别为 1 和最后一页）；
+ * - 每次最多返回 max_chars 个字符，未读完时给出 next_start_page 方便续读。
+ *
+ * @param {{title?: string, url?: string, isPDF?: boolean, pageTexts?: string[], chapters?: Array}|null|undefined} pdfContent
+ * @param {any} rawArgs
+ * @returns {Object}
+ */
+export function buildPdfReadResult(pdfContent, rawArgs) {
+  const args = (rawArgs && typeof rawArgs === 'object' && !Array.isArray(rawArgs)) ? rawArgs : {};
+  const title = typeof pdfContent?.title === 'string' ? pdfContent.title.trim() : '';
+  const url = typeof pdfContent?.url === 'string' ? pdfContent.url.trim() : '';
+  const pageTexts = Array.isArray(pdfContent?.pageTexts) ? pdfContent.pageTexts : [];
+
+  if (pdfContent?.isPDF !== true) {
+    return {
+      ok: false,
+      title,
+      url,
+      error: {
+        message: '当前页面不是 PDF（或 PDF 未能解析），请改用 page_content_read。',
+        name: 'NotPdfError'
+      }
+    };
+  }
+  if (!pageTexts.length) {
+    return {
+      ok: false,
+      title,
+      url,
+      total_pages: 0,
+      error: {
+        message: '未能从该 PDF 中提取到逐页文本（可能是扫描件）。',
+        name: 'EmptyPdfContentError'
+      }
+    };
+  }
+
+  const totalPages = pageTexts.length;
+  const totalChars = pageTexts.reduce((sum, text) => sum + normalizePdfPageText(text).length, 0);
+  const chapters = flattenPdfChapters(pdfContent.chapters, totalPages);
+  const maxCharsArg = toPositiveIntOrNull(args.max_chars);
+  const maxChars = Math.min(PDF_READ_MAX_CHARS, maxCharsArg ?? PDF_READ_DEFAULT_MAX_CHARS);
+  const chapterIndex = toNonNegativeIntOrNull(args.chapter);
+  const startArg = toPositiveIntOrNull(args.start_page);
+  const endArg = toPositiveIntOrNull(args.end_page);
+  const baseFields = {
+    title,
+    url,
+    total_pages: totalPages,
+    approx_total_tokens: approxTokensFromChars(totalChars),
+    citation_format: '[p. N]'
+  };
+
+  let mode = 'pages';
+  let startPage = startArg ?? 1;
+  let endPage = endArg ?? totalPages;
+  let chapterFields = {};
+  if (chapterIndex !== null) {
+    const target = chapters[chapterIndex];
+    if (!target) {
+      return {
+        ok: false,
+        ...baseFields,
+        chapter_count: chapters.length,
+        error: {
+          message: chapters.length
+            ? `章节 ${chapterIndex} 不存在（共 ${chapters.length} 个章节，编号从 0 开始）。`
+            : '该 PDF 没有书签章节，请改用 start_page / end_page 按页读取。',
+          name: 'PdfChapterError'
+        }
+      };
+    }
+    mode = 'chapter';
+    startPage = Math.max(target.start_page, startArg ?? target.start_page);
+    endPage = target.end_page;
+    chapterFields = {
+      chapter: target.chapter,
+      chapter_title: target.title,
+      chapter_start_page: target.start_page,
+      chapter_end_page: target.end_page
+    };
+  } else if (startArg === null && endArg === null) {
+    mode = 'overview';
+  }
+
+  if (startPage > totalPages) {
+    return {
+      ok: false,
+      ...baseFields,
+      error: {
+        message: `起始页 ${startPage} 超出范围（共 ${totalPages} 页）。`,
+        name: 'PdfPageRangeError'
+      }
+    };
+  }
+  endPage = Math.max(startPage, Math.min(endPage, totalPages));
+
+  const { content, lastPage, truncatedPage } = readPdfPages(pageTexts, startPage, endPage, maxChars);
+  const hasMore = lastPage < endPage;
+  const result = {
+    ok: true,
+    mode,
+    ...baseFields,
+    ...chapterFields,
+    start_page: startPage,
+    end_page: lastPage,
+    requested_end_page: endPage,
+    returned_chars: content.length,
+    approx_returned_tokens: approxTokensFromChars(content.length),
+    has_more: hasMore,
+    next_start_page: hasMore ? lastPage + 1 : null,
+    content
+  };
+  if (truncatedPage) result.page_truncated = true;
+  if (mode === 'overview' && chapters.length) {
+    result.chapters = chapters.slice(0, PDF_READ_MAX_OUTLINE_CHAPTERS);
+    if (chapters.length > PDF_READ_MAX_OUTLINE_CHAPTERS) result.chapters_truncated = true;
+  }
+  return result;
+}
+
+/**
+ * 找出文本中的页码引用，如 `[p. 12]`、`[p.3]`、`[pp. 3-5]`、`[page 7]`。
+ * @param {string} text
+ * @returns {Array<{index: number, length: number, page: number, endPage: number|null}>}
+ */
+export function findPdfPageCitations(text) {
+  const source = typeof text === 'string' ? text : '';
+  const matches = [];
+  PDF_PAGE_CITATION_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = PDF_PAGE_CITATION_PATTERN.exec(source)) !== null) {
+    const page = Number(match[1]);
+    if (page < 1) continue;
+    const endPage = match[2] ? Number(match[2]) : null;
+    matches.push({
+      index: match.index,
+      length: match[0].length,
+      page,
+      endPage: endPage && endPage >= page ? endPage : null
+    });
+  }
+  return matches;
+}
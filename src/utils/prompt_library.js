@@ -0,0 +1,172 @@
+/**
+ * 提示词库的纯函数：模板规范化、变量提取与填充、标签与搜索。
+ *
+ * 模板正文中的 {{name}} 都视为变量：
+ * - 内置变量：{{selection}}、{{page.title}}、{{page.url}}、{{clipboard}}，使用时自动取值；
+ * - 其余名称是用户变量，使用模板时在表单里填写；
+ * - {{date}}/{{time}}/{{datetime}} 与 {{system}}…{{end_system}} 等已有占位符不算变量，原样保留给后续流程处理。
+ *
+ * 每个模板带一个命令名，注册为斜杠命令 /命令名。
+ */
+
+export const PROMPT_TEMPLATE_BUILTIN_VARIABLES = Object.freeze(['selection', 'page.title', 'page.url', 'clipboard']);
+
+const RESERVED_PLACEHOLDERS = new Set(['date', 'time', 'datetime', 'system', 'end_system', 'no_system_prompt']);
+const TEMPLATE_VARIABLE_PATTERN = /{{\s*([^{}]+?)\s*}}/g;
+const MAX_TAGS_PER_TEMPLATE = 20;
+
+export function createPromptTemplateId() {
+  return `prompt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 规范化命令名：去掉开头的 "/"、转小写，只保留字母、数字、下划线与连字符。
+ * 斜杠命令解析会把命令名转为小写并按空白切分，这里保持一致。
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizePromptTemplateCommand(value) {
+  return String(value ?? '')
+    .trim()
+    .replace(/^\/+/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+/**
+ * 规范化标签：接受数组或逗号/空白分隔的字符串，去掉 "#" 前缀并去重。
+ * @param {Array<string>|string} value
+ * @returns {string[]}
+ */
+export function normalizePromptTemplateTags(value) {
+  const raw = Array.isArray(value) ? value : String(value ?? '').split(/[,，\s]+/);
+  const seen = new Set();
+  const tags = [];
+  raw.forEach((item) => {
+    const tag = String(item ?? '').trim().replace(/^#+/, '');
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key) || tags.length >= MAX_TAGS_PER_TEMPLATE) return;
+    seen.add(key);
+    tags.push(tag);
+  });
+  return tags;
+}
+
+/**
+ * @param {Object} raw
+ * @returns {{id: string, name: string, command: string, tags: string[], content: string}}
+ */
+export function normalizePromptTemplate(raw) {
+  const item = (raw && typeof raw === 'object') ? raw : {};
+  return {
+    id: (typeof item.id === 'string' && item.id.trim()) ? item.id.trim() : createPromptTemplateId(),
+    name: (typeof item.name === 'string') ? item.name.trim() : '',
+    command: normalizePromptTemplateCommand(item.command),
+    tags: normalizePromptTemplateTags(item.tags),
+    content: (typeof item.content === 'string') ? item.content : ''
+  };
+}
+
+export function normalizePromptTemplateList(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seenIds = new Set();
+  return raw
+    .filter(item => item && typeof item === 'object')
+    .map(normalizePromptTemplate)
+    .filter((item) => {
+      if (seenIds.has(item.id)) return false;
+      seenIds.add(item.id);
+      return true;
+    });
+}
+
+function isReservedPlaceholder(name) {
+  return RESERVED_PLACEHOLDERS.has(name.toLowerCase()) || /^[#/]/.test(name);
+}
+
+/**
+ * 按出现顺序列出模板用到的变量（去重）。
+ * @param {string} content
+ * @returns {{variables: string[], builtins: string[]}} variables 为需要用户填写的变量，builtins 为用到的内置变量
+ */
+export function extractPromptTemplateVariables(content) {
+  const variables = [];
+  const builtins = [];
+  const text = String(content ?? '');
+  for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    const name = match[1];
+    if (isReservedPlaceholder(name)) continue;
+    const target = PROMPT_TEMPLATE_BUILTIN_VARIABLES.includes(name) ? builtins : variables;
+    if (!target.includes(name)) target.push(name);
+  }
+  return { variables, builtins };
+}
+
+/**
+ * 用给定的值替换模板中的变量；未提供值的变量替换为空串，保留占位符原样不动。
+ * @param {string} content
+ * @param {Object<string, string>} values - 变量名（含内置变量）到取值的映射
+ * @returns {string}
+ */
+export function fillPromptTemplate(content, values = {}) {
+  const safeValues = (values && typeof values === 'object') ? values : {};
+  return String(content ?? '').replace(TEMPLATE_VARIABLE_PATTERN, (whole, name) => {
+    if (isReservedPlaceholder(name)) return whole;
+    const value = safeValues[name];
+    return (value == null) ? '' : String(value);
+  });
+}
+
+/**
+ * 校验模板能否注册为斜杠命令，返回首个问题的说明；合法时返回空串。
+ * @param {Object} template - 已规范化的模板
+ * @param {{takenCommands?: Array<string>}} [options] - 已被内置命令或前面的模板占用的命令名
+ * @returns {string}
+ */
+export function validatePromptTemplate(template, { takenCommands = [] } = {}) {
+  if (!template?.command) return '请填写命令名（字母、数字、下划线或连字符）';
+  if (!String(template.content || '').trim()) return '模板内容为空';
+  if (takenCommands.includes(template.command)) return `命令 /${template.command} 已被占用`;
+  return '';
+}
+
+/**
+ * 统计全部标签及使用次数，按次数降序、名称升序排列。
+ * @param {Array<Object>} templates
+ * @returns {Array<{tag: string, count: number}>}
+ */
+export function collectPromptTemplateTags(templates) {
+  const counts = new Map();
+  (Array.isArray(templates) ? templates : []).forEach((template) => {
+    (template?.tags || []).forEach((tag) => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+  return Array.from(counts.values()).sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * 搜索模板：按空白拆词，所有词都要命中；"#标签" 只匹配标签，其余词匹配名称、命令、标签与正文（不区分大小写）。
+ * @param {Array<Object>} templates
+ * @param {string} query
+ * @returns {Array<Object>}
+ */
+export function searchPromptTemplates(templates, query) {
+  const list = Array.isArray(templates) ? templates : [];
+  const terms = String(query ?? '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return list.slice();
+  return list.filter((template) => {
+    const tags = (template?.tags || []).map(tag => tag.toLowerCase());
+    const haystack = [template?.name, template?.command, template?.content, ...tags]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    return terms.every((term) => {
+      if (term.startsWith('#') && term.length > 1) return tags.includes(term.slice(1));
+      return haystack.includes(term.replace(/^\//, ''));
+    });
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * 多标签页上下文：把用户附加的若干标签页内容拼成带标签的上下文块（纯函数）。
+ *
+ * 每个标签页一个块，块头带序号、标题、tab id 与 token 估算，方便模型区分来源，
+ * 也方便它用 page_content_read 的 tab_id 参数回读某个标签页的其余章节。
+ */
+import { approxTokensFromChars } from './page_content_read_tool.js';
+
+/**
+ * 估算一段标签页内容的 token 数。
+ * @param {string} content
+ * @returns {number}
+ */
+export function estimateTabContextTokens(content) {
+  return approxTokensFromChars(typeof content === 'string' ? content.length : 0);
+}
+
+/**
+ * 把 token 数格式化为简短标签：860 → "~860"，12345 → "~12.3k"。
+ * @param {number} tokens
+ * @returns {string}
+ */
+export function formatTokenEstimate(tokens) {
+  const value = Math.max(0, Math.round(Number(tokens) || 0));
+  if (value < 1000) return `~${value}`;
+  const thousands = value / 1000;
+  return `~${thousands >= 100 ? Math.round(thousands) : Number(thousands.toFixed(1))}k`;
+}
+
+/**
+ * 生成单个标签页的上下文块。
+ * @param {{tabId:number, title?:string, url?:string, content?:string}} entry
+ * @param {number} index - 从 1 开始的序号
+ * @returns {string}
+ */
+export function buildTabContextBlock(entry, index) {
+  const title = (typeof entry?.title === 'string' && entry.title.trim()) ? entry.title.trim() : '(无标题)';
+  const url = typeof entry?.url === 'string' ? entry.url.trim() : '';
+  const content = typeof entry?.content === 'string' ? entry.content.trim() : '';
+  const tokens = formatTokenEstimate(estimateTabContextTokens(content));
+  return [
+    `--- 标签页 ${index}：${title}（tab_id=${entry?.tabId}，${tokens} tokens）---`,
+    `URL：${url}`,
+    '内容：',
+    content
+  ].join('\n');
+}
+
+/**
+ * 把多个标签页拼成一段完整的附加上下文；没有可用内容时返回空串。
+ * @param {Array<{tabId:number, title?:string, url?:string, content?:string}>} entries
+ * @returns {string}
+ */
+export function buildTabContextText(entries) {
+  const usable = (Array.isArray(entries) ? entries : [])
+    .filter(entry => typeof entry?.content === 'string' && entry.content.trim());
+  if (!usable.length) return '';
+  return [
+    `已附加 ${usable.length} 个标签页的网页内容：`,
+    ...usable.map((entry, index) => buildTabContextBlock(entry, index + 1)),
+    '--- 标签页内容结束 ---'
+  ].join('\n\n');
+}
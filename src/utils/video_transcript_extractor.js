@@ -0,0 +1,461 @@
+/**
+ * 视频字幕（Transcript）提取（非模块脚本，随 content script 注入）
+ *
+ * - YouTube：从播放器响应（页面内联脚本，或重新拉取 watch 页面）中找到 captionTracks，
+ *   优先人工字幕、其次自动字幕，按 json3 → vtt 的顺序下载；都失败时读取已展开的“转写文稿”面板。
+ * - 通用 HTML5：读取 <video>/<audio> 下 kind=subtitles/captions 的 <track>（WebVTT），
+ *   下载失败时退回浏览器已加载的 TextTrack cues。
+ * - 时间戳链接：YouTube 使用 ?t=83s，其它页面使用媒体片段 #t=83；
+ *   侧栏点击后经 OPEN_MARKDOWN_LINK 回到页面，由 resolveMediaSeekTarget + seekMediaToTime 完成跳转。
+ *
+ * 以全局对象 CerebrVideoTranscript 暴露。
+ */
+(function initVideoTranscriptExtractor() {
+  if (globalThis.CerebrVideoTranscript) return;
+
+  const YOUTUBE_HOST_RE = /(^|\.)youtube(-nocookie)?\.com$/i;
+  // 合并字幕行：单行最多覆盖的时长与字数，兼顾时间戳粒度与 token 开销
+  const LINE_MAX_SPAN_SECONDS = 20;
+  const LINE_MAX_CHARS = 240;
+
+  function decodeEntities(text) {
+    return String(text || '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+
+  function parseVttTimestamp(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const hours = Number(match[1] || 0);
+    const minutes = Number(match[2]);
+    const seconds = Number(match[3]);
+    const millis = Number((match[4] || '0').padEnd(3, '0'));
+    return hours * 3600 + minutes * 60 + seconds + millis / 1000;
+  }
+
+  /**
+   * 解析 WebVTT（兼容 SRT 风格的逗号毫秒），返回按开始时间排序的 cue 列表。
+   * @param {string} text
+   * @returns {Array<{start:number, end:number, text:string}>}
+   */
+  function parseWebVtt(text) {
+    const blocks = String(text || '').replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const cues = [];
+    blocks.forEach((rawBlock) => {
+      const lines = rawBlock.split('\n').filter(line => line.trim() !== '');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return; // WEBVTT 头、NOTE、STYLE、REGION 等
+      const [startPart, endPart] = lines[timingIndex].split('-->');
+      const start = parseVttTimestamp(startPart);
+      const end = parseVttTimestamp(String(endPart || '').trim().split(/\s+/)[0]);
+      if (start === null) return;
+      const cueText = lines.slice(timingIndex + 1)
+        .map(line => decodeEntities(line.replace(/<[^>]+>/g, '')).trim())
+        .filter(Boolean)
+        .join('\n');
+      if (!cueText) return;
+      cues.push({ start, end: end === null ? start : end, text: cueText });
+    });
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 解析 YouTube timedtext 的 json3 格式。
+   * @param {Object|string} json
+   * @returns {Array<{start:number, end:number, text:string}>}
+   */
+  function parseYouTubeJson3(json) {
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (_) {
+        return [];
+      }
+    }
+    const events = Array.isArray(data?.events) ? data.events : [];
+    return events
+      .filter(event => Array.isArray(event?.segs))
+      .map((event) => {
+        const start = Number(event.tStartMs || 0) / 1000;
+        const text = event.segs.map(seg => seg?.utf8 || '').join('').replace(/\s+/g, ' ').trim();
+        return { start, end: start + Number(event.dDurationMs || 0) / 1000, text };
+      })
+      .filter(cue => cue.text);
+  }
+
+  /**
+   * 把零碎 cue 合并成带起始时间的字幕行；滚动字幕里重复出现的上一行会被去掉。
+   * @param {Array<{start:number, text:string}>} cues
+   * @returns {Array<{start:number, text:string}>}
+   */
+  function groupTranscriptCues(cues) {
+    const lines = [];
+    let current = null;
+    let lastPiece = '';
+    (Array.isArray(cues) ? cues : []).forEach((cue) => {
+      String(cue?.text || '').split('\n').forEach((piece) => {
+        const normalized = piece.replace(/\s+/g, ' ').trim();
+        if (!normalized || normalized === lastPiece) return;
+        lastPiece = normalized;
+        const start = Number(cue.start) || 0;
+        if (current && start - current.start < LINE_MAX_SPAN_SECONDS
+          && current.text.length + normalized.length < LINE_MAX_CHARS) {
+          current.text += /[぀-ヿ㐀-鿿]$/.test(current.text) ? normalized : ` ${normalized}`;
+          return;
+        }
+        current = { start, text: normalized };
+        lines.push(current);
+      });
+    });
+    return lines;
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {string} m:ss 或 h:mm:ss
+   */
+  function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(Number(seconds) || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  /**
+   * 解析时间参数：83 / 83s / 1m23s / 1h2m3s / 1:23 / npt:83。
+   * @param {string} value
+   * @returns {number|null}
+   */
+  function parseMediaTime(value) {
+    const text = String(value || '').trim().replace(/^npt:/i, '').split(',')[0];
+    if (!text) return null;
+    if (/^\d+(\.\d+)?s?$/.test(text)) return Number(text.replace(/s$/, ''));
+    const unitMatch = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+    if (unitMatch && (unitMatch[1] || unitMatch[2] || unitMatch[3])) {
+      return Number(unitMatch[1] || 0) * 3600 + Number(unitMatch[2] || 0) * 60 + Number(unitMatch[3] || 0);
+    }
+    return parseVttTimestamp(text);
+  }
+
+  function safeUrl(value, base) {
+    try {
+      return new URL(value, base);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function getYouTubeVideoId(url) {
+    const parsed = safeUrl(url);
+    if (!parsed || !YOUTUBE_HOST_RE.test(parsed.hostname)) return '';
+    const fromQuery = parsed.searchParams.get('v');
+    if (fromQuery) return fromQuery;
+    const pathMatch = /^\/(?:shorts|live|embed)\/([\w-]{6,})/.exec(parsed.pathname);
+    return pathMatch ? pathMatch[1] : '';
+  }
+
+  /**
+   * 生成跳转到指定时间点的链接。
+   * @param {string} pageUrl
+   * @param {number} seconds
+   * @returns {string}
+   */
+  function buildTimestampUrl(pageUrl, seconds) {
+    const whole = Math.max(0, Math.floor(Number(seconds) || 0));
+    const videoId = getYouTubeVideoId(pageUrl);
+    if (videoId) {
+      return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${whole}s`;
+    }
+    const parsed = safeUrl(pageUrl);
+    if (!parsed) return '';
+    parsed.hash = `t=${whole}`;
+    return parsed.href;
+  }
+
+  /**
+   * 把字幕行渲染为 Markdown 列表，每行以可点击的时间戳开头。
+   * @param {Array<{start:number, text:string}>} lines
+   * @param {string} pageUrl
+   * @returns {string}
+   */
+  function formatTranscriptMarkdown(lines, pageUrl) {
+    return (Array.isArray(lines) ? lines : []).map((line) => {
+      const label = formatTimestamp(line.start);
+      const url = buildTimestampUrl(pageUrl, line.start);
+      return url ? `- [${label}](${url}) ${line.text}` : `- [${label}] ${line.text}`;
+    }).join('\n');
+  }
+
+  /**
+   * 判断链接是否指向“当前页面视频的某个时间点”，是则返回秒数。
+   * YouTube 需同一视频 ID；其它站点需同源同路径，时间取自 ?t= / ?start= / #t=。
+   * @param {string} targetUrl
+   * @param {string} currentUrl
+   * @returns {number|null}
+   */
+  function resolveMediaSeekTarget(targetUrl, currentUrl) {
+    const target = safeUrl(targetUrl, currentUrl);
+    const current = safeUrl(currentUrl);
+    if (!target || !current) return null;
+    const targetVideoId = getYouTubeVideoId(target.href);
+    const currentVideoId = getYouTubeVideoId(current.href);
+    if (targetVideoId || currentVideoId) {
+      if (!targetVideoId || targetVideoId !== currentVideoId) return null;
+    } else {
+      const normalizePath = path => (path.length > 1 ? path.replace(/\/+$/, '') : path);
+      if (target.origin !== current.origin || normalizePath(target.pathname) !== normalizePath(current.pathname)) return null;
+    }
+    const hashTime = /^#t=([^&]+)/.exec(target.hash);
+    const raw = target.searchParams.get('t') || target.searchParams.get('start') || (hashTime ? decodeURIComponent(hashTime[1]) : '');
+    const seconds = parseMediaTime(raw);
+    return Number.isFinite(seconds) ? seconds : null;
+  }
+
+  function pickMainMedia(doc) {
+    const youtubeVideo = doc.querySelector('video.html5-main-video');
+    if (youtubeVideo) return youtubeVideo;
+    let best = null;
+    let bestArea = -1;
+    doc.querySelectorAll('video, audio').forEach((media) => {
+      const rect = typeof media.getBoundingClientRect === 'function' ? media.getBoundingClientRect() : null;
+      const area = rect ? rect.width * rect.height : 0;
+      if (area > bestArea) {
+        best = media;
+        bestArea = area;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * 将页面主视频跳到指定秒数（暂停时顺带播放）。
+   * @param {Document} doc
+   * @param {number} seconds
+   * @returns {boolean} 是否找到了可跳转的媒体元素
+   */
+  function seekMediaToTime(doc, seconds) {
+    const media = doc ? pickMainMedia(doc) : null;
+    if (!media || !Number.isFinite(seconds)) return false;
+    try {
+      media.currentTime = Math.max(0, seconds);
+      if (media.paused && typeof media.play === 'function') {
+        const playing = media.play();
+        if (playing && typeof playing.catch === 'function') playing.catch(() => {});
+      }
+      media.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+    } catch (_) {
+      return false;
+    }
+    return true;
+  }
+
+  // ---- YouTube ----
+
+  /** 从一段脚本/HTML 文本中取出 "captionTracks":[...] 数组（按括号配对截取后 JSON.parse） */
+  function extractCaptionTracksFromText(text) {
+    const source = String(text || '');
+    const keyIndex = source.indexOf('"captionTracks":');
+    if (keyIndex === -1) return [];
+    const start = source.indexOf('[', keyIndex);
+    if (start === -1) return [];
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') inString = true;
+      else if (char === '[') depth++;
+      else if (char === ']') {
+        depth--;
+        if (depth === 0) {
+          try {
+            const tracks = JSON.parse(source.slice(start, i + 1));
+            return Array.isArray(tracks) ? tracks.filter(track => track && typeof track.baseUrl === 'string') : [];
+          } catch (_) {
+            return [];
+          }
+        }
+      }
+    }
+    return [];
+  }
+
+  function getTrackLabel(track) {
+    if (typeof track?.name?.simpleText === 'string') return track.name.simpleText;
+    if (Array.isArray(track?.name?.runs)) return track.name.runs.map(run => run?.text || '').join('');
+    return track?.languageCode || '';
+  }
+
+  function pickCaptionTrack(tracks, preferredLanguages) {
+    const languages = preferredLanguages.map(lang => String(lang || '').toLowerCase().split('-')[0]).filter(Boolean);
+    const rank = (track) => {
+      const lang = String(track.languageCode || '').toLowerCase().split('-')[0];
+      const languageRank = languages.indexOf(lang);
+      return (track.kind === 'asr' ? 100 : 0) + (languageRank === -1 ? 50 : languageRank);
+    };
+    return tracks.slice().sort((a, b) => rank(a) - rank(b))[0] || null;
+  }
+
+  async function findYouTubeCaptionTracks(doc, videoId, fetchImpl) {
+    const scripts = Array.from(doc.querySelectorAll('script'));
+    for (const script of scripts) {
+      const text = script.textContent || '';
+      if (!text.includes('captionTracks') || !text.includes(`"videoId":"${videoId}"`)) continue;
+      const tracks = extractCaptionTracksFromText(text);
+      if (tracks.length) return tracks;
+    }
+    // 单页应用内切换视频后，内联脚本仍是首个视频的数据，需要重新拉取 watch 页面
+    const response = await fetchImpl(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+    if (!response.ok) return [];
+    return extractCaptionTracksFromText(await response.text());
+  }
+
+  async function fetchYouTubeTrackCues(track, fetchImpl) {
+    const withFormat = (format) => {
+      const url = safeUrl(track.baseUrl, 'https://www.youtube.com');
+      if (!url) return '';
+      url.searchParams.set('fmt', format);
+      return url.href;
+    };
+    try {
+      const response = await fetchImpl(withFormat('json3'), { credentials: 'include' });
+      if (response.ok) {
+        const cues = parseYouTubeJson3(await response.text());
+        if (cues.length) return cues;
+      }
+    } catch (_) {}
+    try {
+      const response = await fetchImpl(withFormat('vtt'), { credentials: 'include' });
+      if (response.ok) return parseWebVtt(await response.text());
+    } catch (_) {}
+    return [];
+  }
+
+  /** 用户已展开的“显示转写文稿”面板 */
+  function readYouTubeTranscriptPanel(doc) {
+    return Array.from(doc.querySelectorAll('ytd-transcript-segment-renderer')).map((segment) => {
+      const stamp = segment.querySelector('.segment-timestamp')?.textContent || '';
+      const text = segment.querySelector('.segment-text')?.textContent || '';
+      return { start: parseMediaTime(stamp.trim()), text: text.replace(/\s+/g, ' ').trim() };
+    }).filter(cue => Number.isFinite(cue.start) && cue.text);
+  }
+
+  async function extractYouTubeTranscript(doc, pageUrl, fetchImpl, preferredLanguages) {
+    const videoId = getYouTubeVideoId(pageUrl);
+    if (!videoId) return null;
+    let track = null;
+    let cues = [];
+    try {
+      const tracks = await findYouTubeCaptionTracks(doc, videoId, fetchImpl);
+      track = pickCaptionTrack(tracks, preferredLanguages);
+      if (track) cues = await fetchYouTubeTrackCues(track, fetchImpl);
+    } catch (error) {
+      console.warn('获取 YouTube 字幕失败:', error);
+    }
+    if (!cues.length) {
+      cues = readYouTubeTranscriptPanel(doc);
+      if (cues.length) track = { languageCode: '', kind: 'panel' };
+    }
+    if (!cues.length) return null;
+    return {
+      source: 'youtube',
+      videoId,
+      language: track?.languageCode || '',
+      label: getTrackLabel(track),
+      autoGenerated: track?.kind === 'asr',
+      cues
+    };
+  }
+
+  // ---- HTML5 <track> ----
+
+  async function extractHtml5TrackTranscript(doc, pageUrl, fetchImpl, preferredLanguages) {
+    const tracks = Array.from(doc.querySelectorAll('video track, audio track')).filter((track) => {
+      const kind = (track.getAttribute('kind') || 'subtitles').toLowerCase();
+      return (kind === 'subtitles' || kind === 'captions') && track.getAttribute('src');
+    });
+    const languages = preferredLanguages.map(lang => String(lang || '').toLowerCase().split('-')[0]).filter(Boolean);
+    const rank = (track) => {
+      const lang = String(track.getAttribute('srclang') || '').toLowerCase().split('-')[0];
+      const languageRank = languages.indexOf(lang);
+      return (track.hasAttribute?.('default') ? 0 : 10) + (languageRank === -1 ? 50 : languageRank);
+    };
+    for (const track of tracks.sort((a, b) => rank(a) - rank(b))) {
+      let cues = [];
+      const src = safeUrl(track.getAttribute('src'), doc.baseURI || pageUrl);
+      if (src) {
+        try {
+          const response = await fetchImpl(src.href, { credentials: 'same-origin' });
+          if (response.ok) cues = parseWebVtt(await response.text());
+        } catch (_) {
+          // 跨域且无 CORS 时无法下载，尝试读取浏览器已解析的 cues
+        }
+      }
+      if (!cues.length && track.track?.cues?.length) {
+        cues = Array.from(track.track.cues).map(cue => ({
+          start: cue.startTime,
+          end: cue.endTime,
+          text: String(cue.text || '').replace(/<[^>]+>/g, '')
+        }));
+      }
+      if (cues.length) {
+        return {
+          source: 'html5_track',
+          language: track.getAttribute('srclang') || '',
+          label: track.getAttribute('label') || '',
+          autoGenerated: false,
+          cues
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 提取当前页面视频的字幕。
+   *
+   * @param {{document: Document, url: string, fetchImpl?: Function, preferredLanguages?: Array<string>}} options
+   * @returns {Promise<null|{source:string, language:string, label:string, autoGenerated:boolean, lines:Array<{start:number,text:string}>, markdown:string}>}
+   */
+  async function extractVideoTranscript(options = {}) {
+    const doc = options.document;
+    const pageUrl = options.url || '';
+    const fetchImpl = options.fetchImpl || globalThis.fetch?.bind(globalThis);
+    const preferredLanguages = Array.isArray(options.preferredLanguages) ? options.preferredLanguages : [];
+    if (!doc || typeof fetchImpl !== 'function') return null;
+
+    const transcript = await extractYouTubeTranscript(doc, pageUrl, fetchImpl, preferredLanguages)
+      || await extractHtml5TrackTranscript(doc, pageUrl, fetchImpl, preferredLanguages);
+    if (!transcript) return null;
+    const lines = groupTranscriptCues(transcript.cues);
+    if (!lines.length) return null;
+    const { cues, ...meta } = transcript;
+    return { ...meta, lines, markdown: formatTranscriptMarkdown(lines, pageUrl) };
+  }
+
+  globalThis.CerebrVideoTranscript = {
+    parseWebVtt,
+    parseYouTubeJson3,
+    groupTranscriptCues,
+    formatTimestamp,
+    parseMediaTime,
+    buildTimestampUrl,
+    formatTranscriptMarkdown,
+    resolveMediaSeekTarget,
+    seekMediaToTime,
+    extractCaptionTracksFromText,
+    extractVideoTranscript
+  };
+})();
@@ -0,0 +1,137 @@
+/**
+ * 词级差异比较的纯函数，供“对比差异”视图标出两条消息的增删内容。
+ *
+ * 分词规则：连续的字母/数字算一个词，中日韩文字逐字切分（中文没有空格分词），其余标点各自成词，
+ * 空白单独成段且不参与比较——只比较非空白 token，渲染时再把空白按两侧词的状态归并。
+ */
+
+/** 超过该规模（去掉公共首尾后的 n*m）不再做精确 LCS，整段标记为差异，避免长回答卡住界面 */
+export const MAX_WORD_DIFF_CELLS = 4_000_000;
+
+const DIFF_TOKEN_PATTERN = /\s+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}_]+|[^\s]/gu;
+
+export function isDiffWhitespace(token) {
+  return !/\S/.test(String(token || ''));
+}
+
+/**
+ * 把文本切成 token，拼接后与原文完全一致。
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeDiffText(text) {
+  return String(text || '').match(DIFF_TOKEN_PATTERN) || [];
+}
+
+/**
+ * 比较两组 token（调用方应先去掉空白 token），返回各自哪些位置属于差异。
+ * 先去掉公共前缀/后缀，再对中间部分做 LCS；规模过大时中间部分整体视为差异并标记 approximate。
+ * @param {string[]} left
+ * @param {string[]} right
+ * @param {{maxCells?: number}} [options]
+ * @returns {{left: boolean[], right: boolean[], removed: number, added: number, approximate: boolean}}
+ */
+export function diffTokenLists(left, right, options = {}) {
+  const a = Array.isArray(left) ? left : [];
+  const b = Array.isArray(right) ? right : [];
+  const leftChanged = new Array(a.length).fill(false);
+  const rightChanged = new Array(b.length).fill(false);
+  const maxCells = Number.isFinite(options.maxCells) ? options.maxCells : MAX_WORD_DIFF_CELLS;
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  let approximate = false;
+  if (n && m && n * m > maxCells) {
+    approximate = true;
+    leftChanged.fill(true, start, endA);
+    rightChanged.fill(true, start, endB);
+  } else if (n && m) {
+    // lcs[i * (m + 1) + j]：a[start+i..endA) 与 b[start+j..endB) 的最长公共子序列长度；
+    // 受 maxCells 限制，min(n, m) 不超过 2000，Uint16 足够
+    const width = m + 1;
+    const lcs = new Uint16Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        leftChanged[start + i] = true;
+        i++;
+      } else {
+        rightChanged[start + j] = true;
+        j++;
+      }
+    }
+    leftChanged.fill(true, start + i, endA);
+    rightChanged.fill(true, start + j, endB);
+  } else {
+    leftChanged.fill(true, start, endA);
+    rightChanged.fill(true, start, endB);
+  }
+
+  return {
+    left: leftChanged,
+    right: rightChanged,
+    removed: leftChanged.filter(Boolean).length,
+    added: rightChanged.filter(Boolean).length,
+    approximate
+  };
+}
+
+/**
+ * 把一段 token（含空白）按差异状态归并成连续片段，便于一次性包裹高亮。
+ * 空白夹在两个差异词之间时并入差异片段，否则算作未变化。
+ * @param {string[]} tokens - tokenizeDiffText 的结果
+ * @param {boolean[]} wordChanged - 与 tokens 中非空白 token 依次对应的差异标记
+ * @returns {Array<{text: string, changed: boolean}>}
+ */
+export function groupDiffRuns(tokens, wordChanged) {
+  const list = Array.isArray(tokens) ? tokens : [];
+  const flags = Array.isArray(wordChanged) ? wordChanged : [];
+  const states = [];
+  let wordIndex = 0;
+  list.forEach((token) => {
+    states.push(isDiffWhitespace(token) ? null : !!flags[wordIndex++]);
+  });
+  const nextWordChanged = new Array(states.length).fill(false);
+  for (let i = states.length - 2; i >= 0; i--) {
+    nextWordChanged[i] = states[i + 1] !== null ? states[i + 1] : nextWordChanged[i + 1];
+  }
+  let prevWordChanged = false;
+  for (let i = 0; i < states.length; i++) {
+    if (states[i] === null) {
+      states[i] = prevWordChanged && nextWordChanged[i];
+    } else {
+      prevWordChanged = states[i];
+    }
+  }
+
+  const runs = [];
+  list.forEach((token, index) => {
+    const last = runs[runs.length - 1];
+    if (last && last.changed === states[index]) {
+      last.text += token;
+    } else {
+      runs.push({ text: token, changed: states[index] });
+    }
+  });
+  return runs;
+}
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadAnthropicMessagesModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/anthropic_messages.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+test('isAnthropicMessagesEndpoint 识别官方域名与 /v1/messages 代理路径', async () => {
+  const { isAnthropicMessagesEndpoint } = await loadAnthropicMessagesModule();
+  assert.equal(isAnthropicMessagesEndpoint('https://api.anthropic.com/v1/messages'), true);
+  assert.equal(isAnthropicMessagesEndpoint('https://proxy.example.com/anthropic/v1/messages'), true);
+  assert.equal(isAnthropicMessagesEndpoint('https://api.openai.com/v1/chat/completions'), false);
+  assert.equal(isAnthropicMessagesEndpoint('https://example.com/messages'), false);
+});
+
+test('convertMessagesToAnthropicRequest 提升 system、合并相邻同角色消息并转换图片', async () => {
+  const { convertMessagesToAnthropicRequest } = await loadAnthropicMessagesModule();
+  const result = await convertMessagesToAnthropicRequest([
+    { role: 'system', content: '系统一' },
+    { role: 'system', content: [{ type: 'text', text: '系统二' }] },
+    { role: 'user', content: '你好' },
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: '看图' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+        { type: 'image_url', image_url: { url: 'https://example.com/a.jpg' } }
+      ]
+    },
+    { role: 'assistant', content: '好的' }
+  ]);
+
+  assert.equal(result.system, '系统一\n\n系统二');
+  assert.equal(result.messages.length, 2);
+  assert.deepEqual(result.messages[0], {
+    role: 'user',
+    content: [
+      { type: 'text', text: '你好' },
+      { type: 'text', text: '看图' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } },
+      { type: 'image', source: { type: 'url', url: 'https://example.com/a.jpg' } }
+    ]
+  });
+  assert.deepEqual(result.messages[1], { role: 'assistant', content: [{ type: 'text', text: '好的' }] });
+});
+
+test('convertMessagesToAnthropicRequest 仅在允许时回传带签名的 thinking block', async () => {
+  const { convertMessagesToAnthropicRequest } = await loadAnthropicMessagesModule();
+  const history = [
+    { role: 'user', content: 'Q' },
+    { role: 'assistant', content: 'A', reasoning_content: '思考', thoughtSignature: 'sig', thoughtSignatureSource: 'anthropic' }
+  ];
+
+  const withoutReplay = await convertMessagesToAnthropicRequest(history);
+  assert.deepEqual(withoutReplay.messages[1].content, [{ type: 'text', text: 'A' }]);
+
+  const withReplay = await convertMessagesToAnthropicRequest(history, {
+    shouldReplayThinking: (msg) => msg.thoughtSignatureSource === 'anthropic'
+  });
+  assert.deepEqual(withReplay.messages[1].content, [
+    { type: 'thinking', thinking: '思考', signature: 'sig' },
+    { type: 'text', text: 'A' }
+  ]);
+});
+
+test('applyAnthropicStreamEvent 累积正文、thinking、签名与 usage', async () => {
+  const {
+    createAnthropicStreamState,
+    applyAnthropicStreamEvent,
+    summarizeAnthropicBlocks
+  } = await loadAnthropicMessagesModule();
+  const state = createAnthropicStreamState();
+  const events = [
+    { type: 'message_start', message: { id: 'msg_1', model: 'claude', usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: '想一' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: '想二' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'SIG' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: '答' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: '案' } },
+    { type: 'content_block_stop', index: 1 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 42 } }
+  ];
+  const deltas = events.map(event => applyAnthropicStreamEvent(state, event));
+
+  assert.equal(deltas.map(d => d.thinkingDelta).join(''), '想一想二');
+  assert.equal(deltas.map(d => d.answerDelta).join(''), '答案');
+  assert.equal(state.stopReason, 'end_turn');
+  assert.deepEqual(state.usage, { input_tokens: 15, cached_input_tokens: 5, output_tokens: 42 });
+  assert.deepEqual(summarizeAnthropicBlocks(state.blocks), {
+    answer: '答案',
+    thinking: '想一想二',
+    thinkingSignature: 'SIG',
+    thinkingBlocks: [{ type: 'thinking', thinking: '想一想二', signature: 'SIG' }]
+  });
+});
+
+test('多个 thinking / redacted_thinking block 逐块保存并按原顺序原样回传', async () => {
+  const { extractAnthropicMessageOutput, convertMessagesToAnthropicRequest } = await loadAnthropicMessagesModule();
+  const output = extractAnthropicMessageOutput({
+    type: 'message',
+    content: [
+      { type: 'thinking', thinking: '第一段', signature: 'S1' },
+      { type: 'redacted_thinking', data: 'ENCRYPTED' },
+      { type: 'thinking', thinking: '第二段', signature: 'S2' },
+      { type: 'text', text: '答案' }
+    ]
+  });
+  const expectedBlocks = [
+    { type: 'thinking', thinking: '第一段', signature: 'S1' },
+    { type: 'redacted_thinking', data: 'ENCRYPTED' },
+    { type: 'thinking', thinking: '第二段', signature: 'S2' }
+  ];
+  assert.equal(output.thinking, '第一段第二段');
+  assert.equal(output.thinkingSignature, 'S2');
+  assert.deepEqual(output.thinkingBlocks, expectedBlocks);
+
+  const { messages } = await convertMessagesToAnthropicRequest([
+    { role: 'user', content: 'Q' },
+    {
+      role: 'assistant',
+      content: '答案',
+      reasoning_content: output.thinking,
+      thoughtSignature: output.thinkingSignature,
+      thoughtSignatureSource: 'anthropic',
+      anthropic_thinking_blocks: output.thinkingBlocks
+    }
+  ], { shouldReplayThinking: () => true });
+  assert.deepEqual(messages[1].content, [...expectedBlocks, { type: 'text', text: '答案' }]);
+});
+
+test('applyAnthropicStreamEvent 透出 error 事件', async () => {
+  const { createAnthropicStreamState, applyAnthropicStreamEvent } = await loadAnthropicMessagesModule();
+  const result = applyAnthropicStreamEvent(createAnthropicStreamState(), {
+    type: 'error',
+    error: { type: 'overloaded_error', message: 'Overloaded' }
+  });
+  assert.deepEqual(result.error, { type: 'overloaded_error', message: 'Overloaded' });
+});
+
+test('buildAnthropicActivityTimeline 将工具块映射为活动时间线条目', async () => {
+  const {
+    createAnthropicStreamState,
+    applyAnthropicStreamEvent,
+    buildAnthropicActivityTimeline
+  } = await loadAnthropicMessagesModule();
+  const state = createAnthropicStreamState();
+  [
+    { type: 'content_block_start', index: 0, content_block: { type: 'server_tool_use', id: 'srv_1', name: 'web_search', input: {} } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"query":' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"cerebr"}' } },
+    { type: 'content_block_stop', index: 0 },
+    {
+      type: 'content_block_start',
+      index: 1,
+      content_block: {
+        type: 'web_search_tool_result',
+        tool_use_id: 'srv_1',
+        content: [{ type: 'web_search_result', title: 'Cerebr', url: 'https://example.com' }]
+      }
+    },
+    { type: 'content_block_stop', index: 1 },
+    { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: {} } },
+    { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"id":1}' } }
+  ].forEach(event => applyAnthropicStreamEvent(state, event));
+
+  const timeline = buildAnthropicActivityTimeline(state.blocks);
+  assert.deepEqual(timeline, [
+    {
+      kind: 'tool_call',
+      type: 'web_search_call',
+      id: 'srv_1',
+      status: 'completed',
+      action_type: 'search',
+      query: 'cerebr',
+      sources: [{ type: 'url', title: 'Cerebr', url: 'https://example.com' }]
+    },
+    {
+      kind: 'tool_call',
+      type: 'function_call',
+      id: 'toolu_1',
+      call_id: 'toolu_1',
+      status: 'streaming',
+      name: 'lookup',
+      arguments: '{"id":1}'
+    }
+  ]);
+});
+
+test('extractAnthropicMessageOutput 解析非流式响应', async () => {
+  const { extractAnthropicMessageOutput, isAnthropicMessagePayload } = await loadAnthropicMessagesModule();
+  const payload = {
+    type: 'message',
+    stop_reason: 'tool_use',
+    content: [
+      { type: 'thinking', thinking: '先查一下', signature: 'S1' },
+      { type: 'text', text: '我来查询。' },
+      { type: 'tool_use', id: 'toolu_9', name: 'lookup', input: { id: 9 } }
+    ],
+    usage: { input_tokens: 3, output_tokens: 7 }
+  };
+  assert.equal(isAnthropicMessagePayload(payload), true);
+  const output = extractAnthropicMessageOutput(payload);
+  assert.equal(output.answer, '我来查询。');
+  assert.equal(output.thinking, '先查一下');
+  assert.equal(output.thinkingSignature, 'S1');
+  assert.equal(output.stopReason, 'tool_use');
+  assert.deepEqual(output.usage, { input_tokens: 3, output_tokens: 7 });
+  assert.equal(output.timeline.length, 1);
+  assert.equal(output.timeline[0].arguments, '{"id":9}');
+  assert.equal(output.timeline[0].status, 'completed');
+});
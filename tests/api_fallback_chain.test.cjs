@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadApiFallbackChainModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/api_fallback_chain.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+const CONFIGS = [
+  { id: 'main', displayName: 'Main', modelName: 'main-model', fallbackConfigIds: ['second', 'missing', 'third'] },
+  { id: 'second', displayName: 'Second', modelName: 'second-model', fallbackConfigIds: ['main'] },
+  { id: 'third', displayName: '', modelName: 'third-model' }
+];
+
+test('normalizeFallbackConfigIds 去重、去空、排除自身并限制数量', async () => {
+  const { normalizeFallbackConfigIds, MAX_FALLBACK_API_CONFIGS } = await loadApiFallbackChainModule();
+  assert.deepEqual(normalizeFallbackConfigIds([' a ', 'self', 'a', '', 42, 'b'], 'self'), ['a', 'b']);
+  assert.deepEqual(normalizeFallbackConfigIds('a,b'), []);
+  const many = Array.from({ length: 10 }, (_, i) => `id-${i}`);
+  assert.equal(normalizeFallbackConfigIds(many).length, MAX_FALLBACK_API_CONFIGS);
+});
+
+test('isFallbackEligibleError 只对限流、服务端错误与无状态错误切换', async () => {
+  const { isFallbackEligibleError, getErrorHttpStatus } = await loadApiFallbackChainModule();
+  const abort = new Error('aborted');
+  abort.name = 'AbortError';
+  assert.equal(isFallbackEligibleError(abort), false);
+  assert.equal(isFallbackEligibleError(null), false);
+  assert.equal(isFallbackEligibleError(Object.assign(new Error('x'), { httpStatus: 503 })), true);
+  assert.equal(isFallbackEligibleError(new Error('API错误 (429): too many')), true);
+  assert.equal(isFallbackEligibleError(new Error('API错误 (400): bad request')), false);
+  assert.equal(isFallbackEligibleError(Object.assign(new Error('x'), { httpStatus: 401 })), false);
+  assert.equal(isFallbackEligibleError(new Error('网络请求失败：Failed to fetch')), true);
+  assert.equal(getErrorHttpStatus(new Error('API错误 (502): gateway')), 502);
+  assert.equal(getErrorHttpStatus(new Error('no status')), null);
+});
+
+test('resolveNextFallbackConfig 按起始配置的链依次切换并跳过已删除的配置', async () => {
+  const { resolveNextFallbackConfig, formatApiFallbackPath } = await loadApiFallbackChainModule();
+  const first = resolveNextFallbackConfig({
+    state: null,
+    failedConfig: CONFIGS[0],
+    error: new Error('API错误 (503): down'),
+    configs: CONFIGS
+  });
+  assert.equal(first.config.id, 'second');
+  assert.deepEqual(first.state.origin, { apiUuid: 'main', displayName: 'Main', modelName: 'main-model' });
+  assert.equal(first.state.failures.length, 1);
+  assert.equal(first.state.failures[0].error, 'API错误 (503): down');
+
+  // 备用配置自身的链（second → main）不会被展开
+  const second = resolveNextFallbackConfig({
+    state: first.state,
+    failedConfig: first.config,
+    error: new Error('timeout'),
+    configs: CONFIGS
+  });
+  assert.equal(second.config.id, 'third');
+  assert.equal(formatApiFallbackPath(second.state), 'Main → Second');
+
+  const exhausted = resolveNextFallbackConfig({
+    state: second.state,
+    failedConfig: second.config,
+    error: new Error('timeout'),
+    configs: CONFIGS
+  });
+  assert.equal(exhausted, null);
+});
+
+test('resolveNextFallbackConfig 在未配置备用链时返回 null', async () => {
+  const { resolveNextFallbackConfig, formatApiFallbackPath, normalizeApiFallbackState } = await loadApiFallbackChainModule();
+  assert.equal(resolveNextFallbackConfig({ state: null, failedConfig: CONFIGS[2], error: new Error('x'), configs: CONFIGS }), null);
+  assert.equal(resolveNextFallbackConfig({ state: null, failedConfig: {}, error: new Error('x'), configs: CONFIGS }), null);
+  assert.equal(formatApiFallbackPath(null), '');
+  assert.equal(normalizeApiFallbackState({ origin: {} }), null);
+});
+
+test('resolveApiFallbackStep 只看链与错误：不开自动重试时两项的链也会切到备用配置', async () => {
+  const { resolveApiFallbackStep } = await loadApiFallbackChainModule();
+  // 自动重试关闭时，首次失败就会走到这里；决定是否切换不依赖任何重试设置
+  const configs = [
+    { id: 'primary', displayName: 'Primary', modelName: 'p', fallbackConfigIds: ['backup'] },
+    { id: 'backup', displayName: 'Backup', modelName: 'b' }
+  ];
+  const serverError = Object.assign(new Error('API错误 (503)'), { httpStatus: 503 });
+
+  const step = resolveApiFallbackStep({ state: null, failedConfig: configs[0], error: serverError, configs });
+  assert.equal(step.config.id, 'backup');
+  assert.deepEqual(step.state.failures.map(item => item.apiUuid), ['primary']);
+
+  // 备用配置也失败后链已耗尽
+  assert.equal(resolveApiFallbackStep({ state: step.state, failedConfig: configs[1], error: serverError, configs }), null);
+  // 请求本身的问题不切换；没有失败配置时也不切换
+  const badRequest = new Error('API错误 (400): bad request');
+  assert.equal(resolveApiFallbackStep({ state: null, failedConfig: configs[0], error: badRequest, configs }), null);
+  assert.equal(resolveApiFallbackStep({ state: null, failedConfig: null, error: serverError, configs }), null);
+});
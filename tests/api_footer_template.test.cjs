@@ -3,11 +3,16 @@ const assert = require('node:assert/strict');
 const fs = require('node:fs/promises');
 const path = require('node:path');
 
+const toDataUrl = text => `data:text/javascript;base64,${Buffer.from(text, 'utf8').toString('base64')}`;
+
 async function loadApiFooterTemplateModule() {
-  const filePath = path.resolve(__dirname, '../src/utils/api_footer_template.js');
-  const source = await fs.readFile(filePath, 'utf8');
-  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
-  return import(dataUrl);
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const costAccountingUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'cost_accounting.js'), 'utf8'));
+  const fallbackChainUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'api_fallback_chain.js'), 'utf8'));
+  const source = (await fs.readFile(path.join(utilsDir, 'api_footer_template.js'), 'utf8'))
+    .replace("'./cost_accounting.js'", `'${costAccountingUrl}'`)
+    .replace("'./api_fallback_chain.js'", `'${fallbackChainUrl}'`);
+  return import(toDataUrl(source));
 }
 
 test('normalizeApiUsageMeta keeps cached and reasoning token details', async () => {
@@ -29,6 +34,23 @@ test('normalizeApiUsageMeta keeps cached and reasoning token details', async ()
   });
 });
 
+test('sumApiUsageMeta adds tool-loop hops and keeps missing fields null', async () => {
+  const { sumApiUsageMeta } = await loadApiFooterTemplateModule();
+  assert.deepEqual(sumApiUsageMeta([
+    { prompt_tokens: 1000, completion_tokens: 40, total_tokens: 1040 },
+    null,
+    { input_tokens: 1200, output_tokens: 300, input_tokens_details: { cached_tokens: 900 } }
+  ]), {
+    promptTokens: 2200,
+    completionTokens: 340,
+    totalTokens: 2540,
+    cachedInputTokens: 900,
+    reasoningTokens: null
+  });
+  assert.equal(sumApiUsageMeta([]), null);
+  assert.equal(sumApiUsageMeta([null, {}]), null);
+});
+
 test('buildApiFooterContext exposes timing and detailed usage variables', async () => {
   const { buildApiFooterContext } = await loadApiFooterTemplateModule();
   const context = buildApiFooterContext({
@@ -66,3 +88,29 @@ test('buildApiFooterContext exposes timing and detailed usage variables', async
   assert.match(context.tooltip_timing_lines, /thinking_duration:/);
   assert.match(context.tooltip_timing_lines, /output_duration:/);
 });
+
+test('buildApiFooterContext marks answers that came from a fallback config', async () => {
+  const { buildApiFooterContext, renderApiFooterTemplate, DEFAULT_AI_FOOTER_TOOLTIP_TEMPLATE } = await loadApiFooterTemplateModule();
+  const node = {
+    role: 'assistant',
+    apiUuid: 'cfg-backup',
+    apiDisplayName: 'Backup',
+    apiModelId: 'backup-model',
+    apiFallback: {
+      origin: { apiUuid: 'cfg-main', displayName: 'Main', modelName: 'main-model' },
+      failures: [
+        { apiUuid: 'cfg-main', displayName: 'Main', modelName: 'main-model', error: 'API错误 (503)' },
+        { apiUuid: 'cfg-second', displayName: '', modelName: 'second-model', error: 'timeout' }
+      ]
+    }
+  };
+  const context = buildApiFooterContext(node, null);
+  assert.equal(context.fallback_from, 'Main → second-model');
+  assert.equal(context.display_label, '故障转移 · Backup');
+  assert.equal(context.tooltip_fallback_line, 'fallback_from: Main → second-model');
+  assert.match(renderApiFooterTemplate(DEFAULT_AI_FOOTER_TOOLTIP_TEMPLATE, context), /\nfallback_from: Main → second-model\n/);
+
+  const plain = buildApiFooterContext({ ...node, apiFallback: null }, null);
+  assert.equal(plain.fallback_from, '');
+  assert.equal(plain.display_label, 'Backup');
+});
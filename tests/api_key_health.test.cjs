@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadApiKeyHealthModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/api_key_health.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+const NOW = 1_700_000_000_000;
+
+test('fingerprintApiKey 生成稳定的 16 位指纹，maskApiKey 只保留首尾', async () => {
+  const { fingerprintApiKey, maskApiKey } = await loadApiKeyHealthModule();
+  const fingerprint = fingerprintApiKey(' sk-abcdef123456 ');
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(fingerprint, fingerprintApiKey('sk-abcdef123456'));
+  assert.notEqual(fingerprint, fingerprintApiKey('sk-abcdef123457'));
+  assert.equal(fingerprintApiKey(''), '');
+  assert.equal(maskApiKey('sk-abcdef123456'), 'sk-a…3456');
+  assert.equal(maskApiKey('short'), 'sh…');
+});
+
+test('classifyKeyFailure 区分限流、服务器错误与鉴权失败', async () => {
+  const { classifyKeyFailure } = await loadApiKeyHealthModule();
+  assert.equal(classifyKeyFailure(429), 'rate_limit');
+  assert.equal(classifyKeyFailure(503), 'server');
+  assert.equal(classifyKeyFailure(403), 'auth');
+  assert.equal(classifyKeyFailure(400), 'auth');
+  assert.equal(classifyKeyFailure(404), '');
+  assert.equal(classifyKeyFailure(0), '');
+});
+
+test('parseRetryAfterMs 支持秒数与 HTTP 日期', async () => {
+  const { parseRetryAfterMs } = await loadApiKeyHealthModule();
+  assert.equal(parseRetryAfterMs('30'), 30000);
+  assert.equal(parseRetryAfterMs(new Date(NOW + 5000).toUTCString(), NOW), 5000);
+  assert.equal(parseRetryAfterMs('', NOW), null);
+  assert.equal(parseRetryAfterMs('soon', NOW), null);
+});
+
+test('computeKeyCooldownMs 连续失败指数退避并封顶，Retry-After 优先', async () => {
+  const { computeKeyCooldownMs } = await loadApiKeyHealthModule();
+  assert.equal(computeKeyCooldownMs('rate_limit', 1), 60000);
+  assert.equal(computeKeyCooldownMs('rate_limit', 3), 240000);
+  assert.equal(computeKeyCooldownMs('rate_limit', 20), 60 * 60 * 1000);
+  assert.equal(computeKeyCooldownMs('rate_limit', 1, 10), 1000);
+  assert.equal(computeKeyCooldownMs('rate_limit', 5, 90000), 90000);
+  assert.equal(computeKeyCooldownMs('server', 1), 15000);
+  assert.equal(computeKeyCooldownMs('server', 20), 10 * 60 * 1000);
+  assert.equal(computeKeyCooldownMs('', 3), 0);
+});
+
+test('recordApiKeyFailure 对 429/5xx 冷却、对鉴权失败停用，成功后清除冷却', async () => {
+  const {
+    recordApiKeyFailure,
+    recordApiKeySuccess,
+    getApiKeyHealthStatus,
+    reenableApiKey,
+    resetApiKeyHealth
+  } = await loadApiKeyHealthModule();
+
+  let health = recordApiKeyFailure(null, { status: 429, message: 'HTTP 429: slow down', now: NOW });
+  assert.equal(health.errorCount, 1);
+  assert.equal(health.rateLimitCount, 1);
+  assert.deepEqual(health.lastError, { status: 429, message: 'HTTP 429: slow down', at: NOW });
+  assert.deepEqual(getApiKeyHealthStatus(health, NOW + 1000), { state: 'cooldown', remainingMs: 59000 });
+  assert.equal(getApiKeyHealthStatus(health, NOW + 60000).state, 'available');
+
+  health = recordApiKeyFailure(health, { status: 502, now: NOW + 1000 });
+  assert.equal(health.consecutiveFailures, 2);
+  assert.equal(health.cooldownUntil, NOW + 60000);
+
+  health = recordApiKeySuccess(health, NOW + 2000);
+  assert.equal(health.successCount, 1);
+  assert.equal(health.consecutiveFailures, 0);
+  assert.equal(getApiKeyHealthStatus(health, NOW + 2000).state, 'available');
+
+  health = recordApiKeyFailure({ ...health, weight: 3 }, { status: 403, now: NOW + 3000 });
+  assert.equal(getApiKeyHealthStatus(health, NOW + 10 * 24 * 60 * 60 * 1000).state, 'disabled');
+
+  health = recordApiKeyFailure(health, { status: 404, now: NOW + 4000 });
+  assert.equal(health.errorCount, 4);
+
+  const reenabled = reenableApiKey(health, NOW + 5000);
+  assert.equal(reenabled.disabled, false);
+  assert.equal(reenabled.errorCount, 4);
+  assert.equal(getApiKeyHealthStatus(reenabled, NOW + 5000).state, 'available');
+
+  const reset = resetApiKeyHealth(health, NOW + 6000);
+  assert.equal(reset.errorCount, 0);
+  assert.equal(reset.disabled, false);
+  assert.equal(reset.weight, 3);
+});
+
+test('mergeApiKeyHealthMaps 按 updatedAt 取较新的记录并丢弃非法指纹', async () => {
+  const { mergeApiKeyHealthMaps } = await loadApiKeyHealthModule();
+  const merged = mergeApiKeyHealthMaps(
+    {
+      aaaaaaaaaaaaaaaa: { successCount: 5, updatedAt: 200 },
+      bbbbbbbbbbbbbbbb: { successCount: 1, updatedAt: 100 }
+    },
+    {
+      aaaaaaaaaaaaaaaa: { successCount: 2, updatedAt: 100 },
+      bbbbbbbbbbbbbbbb: { successCount: 9, updatedAt: 300 },
+      'sk-plain-key': { successCount: 1, updatedAt: 400 }
+    }
+  );
+  assert.deepEqual(Object.keys(merged).sort(), ['aaaaaaaaaaaaaaaa', 'bbbbbbbbbbbbbbbb']);
+  assert.equal(merged.aaaaaaaaaaaaaaaa.successCount, 5);
+  assert.equal(merged.bbbbbbbbbbbbbbbb.successCount, 9);
+});
+
+test('selectApiKeyIndex 顺序轮换跳过冷却、停用与已尝试的 Key', async () => {
+  const { selectApiKeyIndex, fingerprintApiKey } = await loadApiKeyHealthModule();
+  const keys = ['k1', 'k2', 'k3'];
+  const healthMap = {
+    [fingerprintApiKey('k2')]: { cooldownUntil: NOW + 1000 },
+    [fingerprintApiKey('k3')]: { disabled: true }
+  };
+  assert.equal(selectApiKeyIndex(keys, { healthMap, startIndex: 1, now: NOW }), 0);
+  assert.equal(selectApiKeyIndex(keys, { healthMap, startIndex: 1, now: NOW + 1000 }), 1);
+  assert.equal(selectApiKeyIndex(keys, { healthMap, excluded: new Set(['k1']), now: NOW }), -1);
+  assert.equal(selectApiKeyIndex([], { now: NOW }), -1);
+});
+
+test('selectApiKeyIndex 加权策略按权重与成功率抽取', async () => {
+  const { selectApiKeyIndex, fingerprintApiKey } = await loadApiKeyHealthModule();
+  const keys = ['k1', 'k2', 'k3'];
+  const healthMap = {
+    // 权重 × 成功率：k1 = 1 × 0.5，k2 = 3 × 0.5，k3 = 0
+    [fingerprintApiKey('k2')]: { weight: 3 },
+    [fingerprintApiKey('k3')]: { weight: 0 }
+  };
+  const pick = value => selectApiKeyIndex(keys, { strategy: 'weighted', healthMap, now: NOW, random: () => value });
+  assert.equal(pick(0), 0);
+  assert.equal(pick(0.24), 0);
+  assert.equal(pick(0.26), 1);
+  assert.equal(pick(0.99), 1);
+
+  const onlyZero = selectApiKeyIndex(keys, {
+    strategy: 'weighted',
+    healthMap,
+    excluded: new Set(['k1', 'k2']),
+    now: NOW,
+    random: () => 0.5
+  });
+  assert.equal(onlyZero, 2);
+});
+
+test('selectApiKeyIndex 最久未失败优先选择从未失败或最早失败的 Key', async () => {
+  const { selectApiKeyIndex, fingerprintApiKey } = await loadApiKeyHealthModule();
+  const keys = ['k1', 'k2', 'k3'];
+  const healthMap = {
+    [fingerprintApiKey('k1')]: { lastFailureAt: NOW - 1000 },
+    [fingerprintApiKey('k2')]: { lastFailureAt: NOW - 5000 },
+    [fingerprintApiKey('k3')]: { lastFailureAt: NOW - 3000 }
+  };
+  assert.equal(selectApiKeyIndex(keys, { strategy: 'least_recently_failed', healthMap, now: NOW }), 1);
+  assert.equal(selectApiKeyIndex([...keys, 'k4'], { strategy: 'least_recently_failed', healthMap, now: NOW }), 3);
+  assert.equal(selectApiKeyIndex(keys, { strategy: 'unknown', healthMap, startIndex: 2, now: NOW }), 2);
+});
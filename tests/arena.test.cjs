@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadArenaModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/arena.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+function node(id, role, parentId, children, extra = {}) {
+  return { id, role, content: id, parentId, children, ...extra };
+}
+
+/** u1 → a1；u2 的竞技场回答 a2（主回答，已保留）、b2、c2 */
+function buildHistory() {
+  return {
+    root: 'u1',
+    currentNode: 'a2',
+    messages: [
+      node('u1', 'user', null, ['a1']),
+      node('a1', 'assistant', 'u1', ['u2']),
+      node('u2', 'user', 'a1', ['a2', 'b2', 'c2']),
+      node('a2', 'assistant', 'u2', [], { arenaGroupId: 'g1', arenaKept: true }),
+      node('b2', 'assistant', 'u2', [], { arenaGroupId: 'g1' }),
+      node('c2', 'assistant', 'u2', [], { arenaGroupId: 'g1' })
+    ]
+  };
+}
+
+test('placeArenaAnswer 把后完成的回答移回同组之后', async () => {
+  const { placeArenaAnswer } = await loadArenaModule();
+  const history = buildHistory();
+  history.messages.push(node('u3', 'user', 'a2', []));
+  const late = node('d2', 'assistant', 'u2', [], { arenaGroupId: 'g1' });
+  history.messages.push(late);
+  placeArenaAnswer(history.messages, late);
+  assert.deepEqual(history.messages.map(msg => msg.id), ['u1', 'a1', 'u2', 'a2', 'b2', 'c2', 'd2', 'u3']);
+
+  const first = node('x', 'assistant', 'u3', [], { arenaGroupId: 'g2' });
+  history.messages.push(node('u4', 'user', null, []), first);
+  placeArenaAnswer(history.messages, first);
+  assert.equal(history.messages[history.messages.indexOf(first) - 1].id, 'u3', '组内第一个回答紧跟在用户消息之后');
+});
+
+test('keepArenaAnswer 切换保留的回答与 currentNode，对话已继续时拒绝', async () => {
+  const { keepArenaAnswer, resolveArenaCurrentNodeId } = await loadArenaModule();
+  const history = buildHistory();
+  assert.equal(resolveArenaCurrentNodeId(history.messages, 'c2'), 'a2');
+
+  assert.deepEqual(keepArenaAnswer(history, 'b2'), { groupId: 'g1', keptMessageId: 'b2' });
+  assert.equal(history.currentNode, 'b2');
+  assert.deepEqual(history.messages.filter(msg => msg.arenaKept).map(msg => msg.id), ['b2']);
+  assert.equal(resolveArenaCurrentNodeId(history.messages, 'c2'), 'b2');
+  assert.equal(resolveArenaCurrentNodeId(history.messages, 'a1'), 'a1');
+
+  const byId = new Map(history.messages.map(msg => [msg.id, msg]));
+  byId.get('b2').children.push('u3');
+  history.messages.push(node('u3', 'user', 'b2', []));
+  assert.equal(keepArenaAnswer(history, 'c2'), null);
+  assert.equal(history.currentNode, 'b2');
+  assert.equal(keepArenaAnswer(history, 'a1'), null, '非竞技场回答不能保留');
+});
+
+test('toggleArenaVote 写入、切换与取消评价', async () => {
+  const { toggleArenaVote } = await loadArenaModule();
+  const history = buildHistory();
+  const b2 = history.messages.find(msg => msg.id === 'b2');
+
+  assert.equal(toggleArenaVote(history, 'b2', 'up'), 'up');
+  assert.equal(b2.arenaVote, 'up');
+  assert.equal(toggleArenaVote(history, 'b2', 'down'), 'down');
+  assert.equal(toggleArenaVote(history, 'b2', 'down'), null);
+  assert.equal('arenaVote' in b2, false);
+  assert.equal(toggleArenaVote(history, 'a1', 'up'), undefined);
+});
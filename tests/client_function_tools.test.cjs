@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadClientFunctionToolsModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/client_function_tools.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+const PAGE_TOOL = {
+  type: 'function',
+  name: 'page_content_read',
+  description: '读取网页',
+  strict: true,
+  parameters: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      mode: { type: 'string', enum: ['text', 'html'] },
+      frame_ids: { type: ['array', 'null'], items: { type: 'integer' } }
+    },
+    required: ['mode', 'frame_ids']
+  }
+};
+
+test('mergeChatCompletionsRequestTools 去掉 strict 并按函数名覆盖', async () => {
+  const { mergeChatCompletionsRequestTools } = await loadClientFunctionToolsModule();
+  const merged = mergeChatCompletionsRequestTools([
+    { type: 'function', function: { name: 'page_content_read', description: '旧定义' } },
+    { type: 'function', function: { name: 'other' } }
+  ], [PAGE_TOOL]);
+
+  assert.equal(merged.length, 2);
+  assert.equal(merged[0].function.description, '读取网页');
+  assert.equal('strict' in merged[0].function, false);
+  assert.deepEqual(merged[0].function.parameters.required, ['mode', 'frame_ids']);
+  assert.equal(merged[1].function.name, 'other');
+});
+
+test('mergeGeminiRequestTools 复用 functionDeclarations 组并收敛 schema', async () => {
+  const { mergeGeminiRequestTools } = await loadClientFunctionToolsModule();
+  const merged = mergeGeminiRequestTools([{ googleSearch: {} }], [PAGE_TOOL]);
+
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0], { googleSearch: {} });
+  assert.deepEqual(merged[1].functionDeclarations, [{
+    name: 'page_content_read',
+    description: '读取网页',
+    parameters: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['text', 'html'] },
+        frame_ids: { type: 'array', nullable: true, items: { type: 'integer' } }
+      },
+      required: ['mode']
+    }
+  }]);
+
+  const again = mergeGeminiRequestTools(merged, [PAGE_TOOL]);
+  assert.equal(again[1].functionDeclarations.length, 1);
+});
+
+test('buildChatCompletionsToolCallRecords 缺少 id 时按前缀与原始下标补齐', async () => {
+  const { buildChatCompletionsToolCallRecords } = await loadClientFunctionToolsModule();
+  const records = buildChatCompletionsToolCallRecords([
+    { id: '', type: 'function', function: { name: '', arguments: '' } },
+    { id: '', type: 'function', function: { name: 'page_content_read', arguments: '{"mode":"text"}' } },
+    { id: 'call_x', type: 'function', function: { name: 'js_runtime_execute', arguments: '{}' } }
+  ], { idPrefix: 'hop1' });
+
+  assert.deepEqual(records, [
+    { type: 'function_call', id: 'hop1_1', call_id: 'hop1_1', name: 'page_content_read', arguments: '{"mode":"text"}', status: 'in_progress' },
+    { type: 'function_call', id: 'call_x', call_id: 'call_x', name: 'js_runtime_execute', arguments: '{}', status: 'in_progress' }
+  ]);
+});
+
+test('buildChatCompletionsToolFollowUpRequest 追加 assistant tool_calls 与 tool 消息', async () => {
+  const { buildChatCompletionsToolFollowUpRequest } = await loadClientFunctionToolsModule();
+  const previous = { model: 'm', messages: [{ role: 'user', content: '读一下网页' }] };
+  const next = buildChatCompletionsToolFollowUpRequest(previous, {
+    answer: '',
+    reasoningContent: '需要读取',
+    idPrefix: 'hop1',
+    toolCalls: [{ id: '', type: 'function', function: { name: 'page_content_read', arguments: '{}' }, thoughtSignature: 'SIG' }],
+    outputs: [{ call_id: 'hop1_0', output: [{ type: 'input_text', text: '网页正文' }] }]
+  });
+
+  assert.equal(previous.messages.length, 1);
+  assert.deepEqual(next.messages.slice(1), [
+    {
+      role: 'assistant',
+      content: null,
+      reasoning_content: '需要读取',
+      tool_calls: [{ id: 'hop1_0', type: 'function', function: { name: 'page_content_read', arguments: '{}' }, thoughtSignature: 'SIG' }]
+    },
+    { role: 'tool', tool_call_id: 'hop1_0', content: '网页正文' }
+  ]);
+});
+
+test('buildGeminiToolFollowUpRequest 原样回放 model parts，仅对原生 id 回填 functionResponse.id', async () => {
+  const { buildGeminiToolCallRecords, buildGeminiToolFollowUpRequest } = await loadClientFunctionToolsModule();
+  const modelParts = [
+    { text: '我先看看。' },
+    { functionCall: { name: 'page_content_read', args: { mode: 'text' } }, thoughtSignature: 'G_SIG' },
+    { functionCall: { id: 'native_1', name: 'js_runtime_execute', args: { code: '1+1' } } }
+  ];
+  const records = buildGeminiToolCallRecords(modelParts, { idPrefix: 'hop2' });
+  assert.deepEqual(records.map(record => record.call_id), ['hop2_0', 'native_1']);
+  assert.equal(records[0].arguments, '{"mode":"text"}');
+
+  const next = buildGeminiToolFollowUpRequest(
+    { contents: [{ role: 'user', parts: [{ text: '问题' }] }] },
+    {
+      modelParts,
+      toolCalls: records,
+      outputs: [
+        { call_id: 'hop2_0', output: [{ type: 'input_text', text: '正文' }] },
+        { call_id: 'native_1', output: [{ type: 'input_text', text: '2' }, { type: 'input_image', image_url: 'data:' }] }
+      ]
+    }
+  );
+
+  assert.equal(next.contents.length, 3);
+  assert.deepEqual(next.contents[1], { role: 'model', parts: modelParts });
+  assert.deepEqual(next.contents[2], {
+    role: 'user',
+    parts: [
+      { functionResponse: { name: 'page_content_read', response: { output: '正文' } } },
+      { functionResponse: { name: 'js_runtime_execute', response: { output: '2\n[图片输出已省略]' }, id: 'native_1' } }
+    ]
+  });
+});
+
+test('stripClientFunctionTools 只去掉函数工具并清理 tool_choice', async () => {
+  const { stripClientFunctionTools } = await loadClientFunctionToolsModule();
+  const responsesBody = {
+    model: 'gpt',
+    tools: [{ type: 'web_search' }, PAGE_TOOL],
+    tool_choice: { type: 'function', name: 'page_content_read' }
+  };
+  assert.deepEqual(stripClientFunctionTools(responsesBody), { model: 'gpt', tools: [{ type: 'web_search' }] });
+  assert.equal(responsesBody.tools.length, 2);
+
+  assert.deepEqual(stripClientFunctionTools({
+    contents: [],
+    tools: [{ googleSearch: {} }, { functionDeclarations: [{ name: 'page_content_read' }] }],
+    toolConfig: { functionCallingConfig: { mode: 'ANY' } }
+  }), { contents: [], tools: [{ googleSearch: {} }] });
+
+  assert.deepEqual(stripClientFunctionTools({
+    messages: [],
+    tools: [{ name: 'lookup', input_schema: { type: 'object' } }]
+  }), { messages: [] });
+
+  const untouched = { model: 'gpt', tools: [{ type: 'web_search' }], tool_choice: 'auto' };
+  assert.equal(stripClientFunctionTools(untouched), untouched);
+});
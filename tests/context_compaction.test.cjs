@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const toDataUrl = text => `data:text/javascript;base64,${Buffer.from(text, 'utf8').toString('base64')}`;
+
+async function loadContextCompactionSource() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const messageContentUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'message_content.js'), 'utf8'));
+  return (await fs.readFile(path.join(utilsDir, 'context_compaction.js'), 'utf8'))
+    .replace("'./message_content.js'", `'${messageContentUrl}'`);
+}
+
+async function loadContextCompactionModule() {
+  return import(toDataUrl(await loadContextCompactionSource()));
+}
+
+async function loadMessageComposerModule() {
+  let source = await fs.readFile(path.resolve(__dirname, '../src/core/message_composer.js'), 'utf8');
+  source = source.replace(
+    "import { extractThinkingFromText } from '../utils/thoughts_parser.js';",
+    "const extractThinkingFromText = (text) => ({ cleanText: text, thoughtsText: '' });"
+  );
+  source = source.replace("'../utils/context_compaction.js'", `'${toDataUrl(await loadContextCompactionSource())}'`);
+  return import(toDataUrl(source));
+}
+
+function buildChain() {
+  return [
+    { id: 'u1', role: 'user', content: '第一个问题' },
+    { id: 'a1', role: 'assistant', content: '第一个回答', response_input_items: [{ type: 'function_call_output', output: 'x'.repeat(4000) }] },
+    { id: 'u2', role: 'user', content: '第二个问题' },
+    { id: 'a2', role: 'assistant', content: '第二个回答' },
+    { id: 'u3', role: 'user', content: '当前问题' }
+  ];
+}
+
+test('estimateTextTokens 中文逐字计数，其余按约 4 字符 1 token', async () => {
+  const { estimateTextTokens, estimateMessageTokens } = await loadContextCompactionModule();
+  assert.equal(estimateTextTokens(''), 0);
+  assert.equal(estimateTextTokens('你好'), 2);
+  assert.equal(estimateTextTokens('abcdefgh'), 2);
+  assert.equal(estimateTextTokens('你好abcd'), 3);
+  const withImage = estimateMessageTokens({
+    content: [{ type: 'text', text: 'abcd' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }]
+  });
+  assert.ok(withImage > estimateMessageTokens({ content: 'abcd' }) + 100);
+});
+
+test('truncateTextToTokenBudget 按估算 token 截断中文文本并保留首尾', async () => {
+  const { truncateTextToTokenBudget, estimateTextTokens } = await loadContextCompactionModule();
+  const text = `开头${'汉'.repeat(5000)}结尾`;
+  const truncated = truncateTextToTokenBudget(text, 1000);
+  assert.ok(estimateTextTokens(truncated) <= 1000);
+  assert.ok(truncated.startsWith('开头'));
+  assert.ok(truncated.endsWith('结尾'));
+  assert.match(truncated, /中间内容过长已省略/);
+  assert.equal(truncateTextToTokenBudget('short text', 1000), 'short text');
+});
+
+test('normalizeContextWindowTokens 与阈值规范化', async () => {
+  const { normalizeContextWindowTokens, normalizeContextCompactionThreshold } = await loadContextCompactionModule();
+  assert.equal(normalizeContextWindowTokens(''), 0);
+  assert.equal(normalizeContextWindowTokens(-5), 0);
+  assert.equal(normalizeContextWindowTokens('128000.7'), 128000);
+  assert.equal(normalizeContextCompactionThreshold(undefined), 0.8);
+  assert.equal(normalizeContextCompactionThreshold(2), 0.95);
+  assert.equal(normalizeContextCompactionThreshold(0.1), 0.3);
+});
+
+test('applyContextCompaction 以最靠后的摘要截断，并省略记录范围内的工具输出', async () => {
+  const { applyContextCompaction } = await loadContextCompactionModule();
+  const chain = buildChain();
+  chain[1].contextCompaction = { id: 'c1', mode: 'drop_tools' };
+  const dropped = applyContextCompaction(chain);
+  assert.equal(dropped.summary, null);
+  assert.equal(dropped.chain.length, 5);
+  assert.equal(dropped.chain[1].response_input_items, null);
+  assert.ok(Array.isArray(chain[1].response_input_items), '原节点不应被修改');
+
+  chain[3].contextCompaction = { id: 'c2', mode: 'summary', summary: '早先讨论了两个问题' };
+  const summarized = applyContextCompaction(chain);
+  assert.equal(summarized.summary, '早先讨论了两个问题');
+  assert.deepEqual(summarized.chain.map(node => node.id), ['u3']);
+
+  // 当前发送的消息上的记录不生效
+  const pending = buildChain();
+  pending[4].contextCompaction = { id: 'c3', mode: 'summary', summary: '不应生效' };
+  assert.equal(applyContextCompaction(pending).chain.length, 5);
+});
+
+test('planContextCompaction 先省略工具输出，足够时不再摘要', async () => {
+  const { planContextCompaction } = await loadContextCompactionModule();
+  const chain = buildChain();
+  assert.equal(planContextCompaction(chain, { currentTokens: 500, budgetTokens: 1000, mode: 'summarize' }), null);
+  const plan = planContextCompaction(chain, { currentTokens: 1100, budgetTokens: 1000, mode: 'summarize' });
+  assert.deepEqual(plan, { mode: 'drop_tools', boundaryId: 'a2' });
+});
+
+test('planContextCompaction 省略工具输出仍超出时摘要较早的消息，保留部分以用户消息开头', async () => {
+  const { planContextCompaction } = await loadContextCompactionModule();
+  const chain = buildChain();
+  const plan = planContextCompaction(chain, {
+    currentTokens: 5000,
+    budgetTokens: 40,
+    mode: 'summarize',
+    keepRecentRatio: 0.5
+  });
+  assert.equal(plan.mode, 'summary');
+  assert.equal(plan.boundaryId, 'a2');
+  assert.deepEqual(plan.coveredNodes.map(node => node.id), ['u1', 'a1', 'u2', 'a2']);
+  assert.equal(plan.previousSummary, null);
+
+  // 仅省略工具输出模式不会摘要
+  const dropOnly = planContextCompaction(chain, { currentTokens: 5000, budgetTokens: 40, mode: 'drop_tools' });
+  assert.equal(dropOnly.mode, 'drop_tools');
+
+  // 已有摘要时只覆盖其后的新消息，并带上旧摘要
+  chain[1].contextCompaction = { id: 'c1', mode: 'summary', summary: '旧摘要' };
+  const next = planContextCompaction(chain, { currentTokens: 5000, budgetTokens: 10, mode: 'summarize' });
+  assert.equal(next.mode, 'summary');
+  assert.deepEqual(next.coveredNodes.map(node => node.id), ['u2', 'a2']);
+  assert.equal(next.previousSummary, '旧摘要');
+});
+
+test('composeMessages 把压缩摘要并入系统消息并跳过被摘要的历史', async () => {
+  const { composeMessages } = await loadMessageComposerModule();
+  const chain = buildChain();
+  chain[1].contextCompaction = { id: 'c1', mode: 'summary', summary: '用户问过第一个问题' };
+  const messages = composeMessages({
+    prompts: { system: { prompt: '' } },
+    injectedSystemMessages: [],
+    pageContent: null,
+    imageContainsScreenshot: false,
+    omitDefaultSystemPrompt: true,
+    currentPromptType: 'none',
+    regenerateMode: false,
+    messageId: null,
+    conversationChain: chain,
+    sendChatHistory: true,
+    maxHistory: 16,
+    maxUserHistory: 16,
+    maxAssistantHistory: 16
+  });
+  assert.equal(messages[0].role, 'system');
+  assert.match(messages[0].content, /用户问过第一个问题/);
+  assert.deepEqual(messages.slice(1).map(msg => msg.content), ['第二个问题', '第二个回答', '当前问题']);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadConversationExportModule() {
+  const messageContentPath = path.resolve(__dirname, '../src/utils/message_content.js');
+  const messageContentUrl = toDataUrl(await fs.readFile(messageContentPath, 'utf8'));
+
+  const exportPath = path.resolve(__dirname, '../src/utils/conversation_export.js');
+  let exportSource = await fs.readFile(exportPath, 'utf8');
+  exportSource = exportSource.replace("'./message_content.js'", `'${messageContentUrl}'`);
+  return import(toDataUrl(exportSource));
+}
+
+// 主链 u1 -> a1 -> u2 -> a2；a1 上挂一个划词线程（隐藏根 t0 -> t1 -> t2）
+const PARENT = {
+  id: 'conv_root',
+  title: '质能方程',
+  url: 'https://example.com/physics',
+  startTime: 1000,
+  endTime: 5000,
+  messages: [
+    { id: 'u1', role: 'user', content: '解释一下 $E=mc^2$', parentId: null, children: ['a1'], timestamp: 1000 },
+    {
+      id: 'a1',
+      role: 'ai',
+      content: '质能等价：$$E = mc^2$$',
+      parentId: 'u1',
+      children: ['u2', 't0'],
+      timestamp: 2000,
+      apiModelId: 'gpt-test',
+      thoughtsRaw: '先回忆狭义相对论',
+      threadAnnotations: [{
+        id: 'thread_1',
+        anchorMessageId: 'a1',
+        selectionText: '质能等价',
+        rootMessageId: 't0',
+        lastMessageId: 't2',
+        createdAt: 2500
+      }]
+    },
+    { id: 't0', role: 'user', content: '> 质能等价', parentId: 'a1', children: ['t1'], threadId: 'thread_1', threadHiddenSelection: true, threadSelectionText: '质能等价' },
+    { id: 't1', role: 'user', content: '什么是静质量？', parentId: 't0', children: ['t2'], threadId: 'thread_1', timestamp: 2600 },
+    { id: 't2', role: 'ai', content: '静止时的质量。', parentId: 't1', children: [], threadId: 'thread_1', timestamp: 2700 },
+    {
+      id: 'u2',
+      role: 'user',
+      content: [
+        { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } },
+        { type: 'image_url', image_url: { url: '', path: 'Images/2026_01/user/a.png' } },
+        { type: 'text', text: '这张图呢？' }
+      ],
+      parentId: 'a1',
+      children: ['a2'],
+      timestamp: 3000
+    },
+    { id: 'a2', role: 'ai', content: '图里是公式推导。', parentId: 'u2', children: [], timestamp: 4000 }
+  ]
+};
+
+// 分支会话：复制了 u1 -> a1 两条前缀，之后追问不同问题
+const FORK = {
+  id: 'conv_fork',
+  title: '质能方程（分支）',
+  startTime: 6000,
+  parentConversationId: 'conv_root',
+  forkedFromMessageId: 'a1',
+  messages: [
+    { id: 'f1', role: 'user', content: '解释一下 $E=mc^2$', parentId: null, children: ['f2'] },
+    { id: 'f2', role: 'ai', content: '质能等价：$$E = mc^2$$', parentId: 'f1', children: ['f3'] },
+    { id: 'f3', role: 'user', content: '核裂变里怎么体现？', parentId: 'f2', children: [] }
+  ]
+};
+
+test('buildConversationExportDocument 导出主链并把划词线程嵌套到锚点消息', async () => {
+  const {
+    buildConversationExportDocument,
+    serializeConversationExportJson,
+    CONVERSATION_EXPORT_FORMAT,
+    CONVERSATION_EXPORT_VERSION
+  } = await loadConversationExportModule();
+  const doc = buildConversationExportDocument({ conversations: [PARENT], exportedAt: 10000 });
+
+  assert.equal(doc.format, CONVERSATION_EXPORT_FORMAT);
+  assert.equal(doc.version, CONVERSATION_EXPORT_VERSION);
+  assert.equal(doc.scope, 'chain');
+  assert.equal(doc.exportedAt, new Date(10000).toISOString());
+  const [conversation] = doc.conversations;
+  assert.deepEqual(conversation.messages.map(m => m.id), ['u1', 'a1', 'u2', 'a2']);
+  assert.deepEqual(conversation.messages.map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.equal(conversation.messages[1].model, 'gpt-test');
+  assert.equal(conversation.messages[1].reasoning, '先回忆狭义相对论');
+
+  const [thread] = conversation.messages[1].threads;
+  assert.equal(thread.selectionText, '质能等价');
+  assert.deepEqual(thread.messages.map(m => m.id), ['t1', 't2']);
+
+  assert.deepEqual(conversation.messages[2].imageIds, ['img-001', 'img-002']);
+  assert.deepEqual(doc.images.map(image => image.fileName), ['images/img-001.jpg', 'images/img-002.png']);
+  assert.equal(doc.images[1].path, 'Images/2026_01/user/a.png');
+
+  // 指定叶子节点时只导出到该节点
+  const partial = buildConversationExportDocument({ conversations: [PARENT], leafMessageId: 'a1' });
+  assert.deepEqual(partial.conversations[0].messages.map(m => m.id), ['u1', 'a1']);
+
+  const parsed = JSON.parse(serializeConversationExportJson(doc));
+  assert.deepEqual(parsed, doc);
+});
+
+test('tree 范围按分支点省略共有前缀', async () => {
+  const { buildConversationExportDocument, renderConversationExportMarkdown } = await loadConversationExportModule();
+  const doc = buildConversationExportDocument({ conversations: [FORK, PARENT], scope: 'tree' });
+
+  assert.deepEqual(doc.conversations.map(conv => [conv.id, conv.depth, conv.omittedPrefixCount]), [
+    ['conv_root', 0, 0],
+    ['conv_fork', 1, 2]
+  ]);
+  assert.deepEqual(doc.conversations[1].messages.map(m => m.id), ['f3']);
+
+  const markdown = renderConversationExportMarkdown(doc);
+  assert.match(markdown, /^## ↳ 分支：质能方程（分支）$/m);
+  assert.match(markdown, /从「质能方程」第 2 条消息处分出/);
+  assert.match(markdown, /^### 用户/m);
+});
+
+test('renderConversationExportMarkdown 保留 LaTeX 并以相对路径引用图片', async () => {
+  const { buildConversationExportDocument, renderConversationExportMarkdown } = await loadConversationExportModule();
+  const markdown = renderConversationExportMarkdown(buildConversationExportDocument({ conversations: [PARENT] }));
+
+  assert.match(markdown, /^# 质能方程$/m);
+  assert.match(markdown, /- 来源：<https:\/\/example\.com\/physics>/);
+  assert.ok(markdown.includes('解释一下 $E=mc^2$'));
+  assert.ok(markdown.includes('$$E = mc^2$$'));
+  assert.match(markdown, /^## 助手 · gpt-test/m);
+  assert.match(markdown, /<summary>思考过程<\/summary>\n\n先回忆狭义相对论/);
+  assert.match(markdown, /^### 划词线程：质能等价$\n\n^> 质能等价$/m);
+  assert.match(markdown, /^#### 用户 · .*\n\n什么是静质量？/m);
+  assert.ok(markdown.includes('![img-001](images/img-001.jpg)'));
+  assert.ok(markdown.includes('![img-002](images/img-002.png)'));
+  // 隐藏的线程根节点不作为消息输出
+  assert.ok(!markdown.includes('> > 质能等价'));
+});
+
+test('renderConversationExportHtml 输出独立页面并使用主题变量', async () => {
+  const { buildConversationExportDocument, renderConversationExportHtml, toOpaqueExportColor } = await loadConversationExportModule();
+  const doc = buildConversationExportDocument({
+    conversations: [{
+      ...PARENT,
+      title: '<script>alert(1)</script>'
+    }]
+  });
+  const html = renderConversationExportHtml(doc, {
+    renderMarkdown: text => `<p>${text.replace(/</g, '&lt;')}</p>`,
+    imageSources: new Map([['img-001', 'data:image/jpeg;base64,AAAA']]),
+    themeVariables: {
+      '--cerebr-bg-color': 'rgba(38, 43, 51, 0.8)',
+      '--cerebr-text-color': '#abb2bf',
+      '--not-theme': 'red'
+    },
+    colorScheme: 'dark',
+    extraCss: '.katex { font-size: 1.1em; }</style><script>'
+  });
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(html.includes('<title>&lt;script&gt;alert(1)&lt;/script&gt;</title>'));
+  assert.ok(html.includes('--cerebr-bg-color: rgb(38, 43, 51);'));
+  assert.ok(html.includes('--cerebr-text-color: #abb2bf;'));
+  assert.ok(html.includes('--cerebr-export-color-scheme: dark;'));
+  assert.ok(!html.includes('--not-theme'));
+  assert.ok(!html.includes('</style><script>'));
+  assert.ok(html.includes('<section class="message ai-message" id="msg-a1">'));
+  assert.ok(html.includes('<div class="thread">'));
+  assert.ok(html.includes('<img src="data:image/jpeg;base64,AAAA" alt="img-001">'));
+  // 没有内联数据的图片回退到原始路径
+  assert.ok(html.includes('<img src="Images/2026_01/user/a.png" alt="img-002">'));
+  assert.ok(html.includes('<p>解释一下 $E=mc^2$</p>'));
+
+  assert.equal(toOpaqueExportColor('#fff'), '#fff');
+});
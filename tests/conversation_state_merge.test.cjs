@@ -164,3 +164,83 @@ test('mergeConversationSaveMetadataState uses summaryFromExistingTitle when exis
     forkedFromMessageIdToSave: null
   });
 });
+
+test('mergeConversationSyncState prefers higher revision and drops messages deleted before last sync', async () => {
+  const { mergeConversationSyncState } = await loadMergeRulesModule();
+  const base = [
+    { id: 'u1', role: 'user', content: 'q1', parentId: null, children: ['a1'], timestamp: 100 },
+    { id: 'a1', role: 'ai', content: 'a1', parentId: 'u1', children: ['u2'], timestamp: 200 },
+    { id: 'u2', role: 'user', content: 'q2', parentId: 'a1', children: [], timestamp: 300 }
+  ];
+  // 本地删掉了 u2（版本号 +1），远端则在 u2 之后续写了 a2
+  const local = {
+    id: 'conv',
+    conversationRevision: 1,
+    endTime: 250,
+    summary: '本地标题',
+    summarySource: 'default',
+    messages: [base[0], { ...base[1], children: [] }]
+  };
+  const remote = {
+    id: 'conv',
+    conversationRevision: 0,
+    endTime: 500,
+    summary: '改过的标题',
+    summarySource: 'manual',
+    apiLock: { id: 'cfg_remote' },
+    messages: [...base, { id: 'a2', role: 'ai', content: 'a2', parentId: 'u2', children: [], timestamp: 500 }]
+  };
+
+  const result = mergeConversationSyncState({ local, remote, baseEndTime: 300 });
+  assert.equal(result.winner, 'local');
+  assert.equal(result.droppedCount, 1);
+  assert.deepEqual(result.conversation.messages.map(m => m.id), ['u1', 'a1']);
+  // 远端接在已删除消息后的续写不会静默丢失，而是另存为分支
+  assert.equal(result.conflictCopy.id, 'conv_conflict_a2');
+  assert.equal(result.conflictCopy.parentConversationId, 'conv');
+  assert.equal(result.conflictCopy.forkedFromMessageId, 'a1');
+  assert.equal(result.conflictCopy.messages.length, 4);
+  assert.equal(result.conversation.summary, '改过的标题');
+  assert.equal(result.conversation.summarySource, 'manual');
+  assert.equal(result.conversation.apiLock.id, 'cfg_remote');
+  assert.equal(result.conversation.endTime, 500);
+  assert.equal(result.conversation.conversationRevision, 1);
+});
+
+test('mergeConversationSyncState appends fresh thread replies and unions thread annotations', async () => {
+  const { mergeConversationSyncState } = await loadMergeRulesModule();
+  const anchor = { id: 'a1', role: 'ai', content: 'a1', parentId: 'u1', children: [], timestamp: 200 };
+  const local = {
+    id: 'conv',
+    endTime: 400,
+    messages: [
+      { id: 'u1', role: 'user', content: 'q1', parentId: null, children: ['a1'], timestamp: 100 },
+      { ...anchor, children: ['u2'] },
+      { id: 'u2', role: 'user', content: 'q2', parentId: 'a1', children: [], timestamp: 400 }
+    ]
+  };
+  const remote = {
+    id: 'conv',
+    endTime: 350,
+    messages: [
+      local.messages[0],
+      {
+        ...anchor,
+        children: ['t0'],
+        threadAnnotations: [{ id: 'th1', selectionText: 'a1', rootMessageId: 't0', lastMessageId: 't1' }]
+      },
+      { id: 't1', role: 'ai', content: '线程回复', parentId: 't0', children: [], threadId: 'th1', timestamp: 350 },
+      { id: 't0', role: 'user', content: '> a1', parentId: 'a1', children: ['t1'], threadId: 'th1', threadHiddenSelection: true, timestamp: 300 }
+    ]
+  };
+
+  const result = mergeConversationSyncState({ local, remote, baseEndTime: 250 });
+  assert.equal(result.winner, 'local');
+  assert.equal(result.appendedCount, 2);
+  const byId = new Map(result.conversation.messages.map(m => [m.id, m]));
+  assert.deepEqual(byId.get('a1').children, ['u2', 't0']);
+  assert.deepEqual(byId.get('t0').children, ['t1']);
+  assert.deepEqual(byId.get('a1').threadAnnotations.map(item => item.id), ['th1']);
+  // 原对象不被修改
+  assert.deepEqual(local.messages[1].children, ['u2']);
+});
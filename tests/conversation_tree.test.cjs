@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadConversationTreeModule() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const messageContentUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'message_content.js'), 'utf8'));
+  const source = (await fs.readFile(path.join(utilsDir, 'conversation_tree.js'), 'utf8'))
+    .replace("'./message_content.js'", `'${messageContentUrl}'`);
+  return import(toDataUrl(source));
+}
+
+function node(id, role, content, parentId, children, extra = {}) {
+  return { id, role, content, parentId, children, ...extra };
+}
+
+/** 主对话 u1 → a1 → u2 → a2，a1 上挂一个划词线程：隐藏引用 h1 → tu1 → ta1（ta1 另有一个被放弃的重答 ta1b） */
+function buildHistory() {
+  const thread = { threadId: 't1', threadAnchorId: 'a1', threadRootId: 'h1', threadSelectionText: '关键段落' };
+  return {
+    root: 'u1',
+    currentNode: 'a2',
+    messages: [
+      node('u1', 'user', '你好', null, ['a1']),
+      node('a1', 'assistant', '这是一段很长的回答', 'u1', ['u2', 'h1'], {
+        threadAnnotations: [{ id: 't1', anchorMessageId: 'a1', selectionText: '关键段落', rootMessageId: 'h1', lastMessageId: 'ta1' }]
+      }),
+      node('h1', 'user', '> 关键段落', 'a1', ['tu1'], { ...thread, threadHiddenSelection: true }),
+      node('tu1', 'user', '解释一下', 'h1', ['ta1', 'ta1b'], thread),
+      node('ta1', 'assistant', '解释如下', 'tu1', [], thread),
+      node('ta1b', 'assistant', '旧的解释', 'tu1', [], thread),
+      node('u2', 'user', [{ type: 'image_url', image_url: { url: 'https://example.com/a.png' } }], 'a1', ['a2']),
+      node('a2', 'assistant', '<p>图片  描述</p>', 'u2', [])
+    ]
+  };
+}
+
+test('buildConversationTreeElements 跳过隐藏引用节点，线程挂到锚点，并附加父会话与子分支对话', async () => {
+  const { buildConversationTreeElements } = await loadConversationTreeModule();
+  const history = buildHistory();
+  const elements = buildConversationTreeElements(history.messages, {
+    currentNodeId: 'a2',
+    activeThreadId: 't1',
+    parentConversation: { id: 'conv_p', summary: '父' },
+    childConversations: [
+      { id: 'conv_c', summary: '子分支', forkedFromMessageId: 'u2' },
+      { id: 'conv_orphan', summary: '孤儿', forkedFromMessageId: 'missing' }
+    ]
+  });
+  const nodes = new Map(elements.filter(el => el.group === 'nodes').map(el => [el.data.id, el.data]));
+  const edges = elements.filter(el => el.group === 'edges').map(el => `${el.data.source}->${el.data.target}:${el.data.branch}`);
+
+  assert.equal(nodes.has('h1'), false);
+  assert.deepEqual(edges.sort(), [
+    'a1->tu1:thread',
+    'a1->u2:main',
+    'conversation:conv_p->u1:fork',
+    'tu1->ta1:thread',
+    'tu1->ta1b:thread',
+    'u1->a1:main',
+    'u2->a2:main',
+    'u2->conversation:conv_c:fork'
+  ]);
+  assert.equal(nodes.get('a1').role, 'ai');
+  assert.equal(nodes.get('a1').current, true);
+  assert.equal(nodes.get('tu1').current, false);
+  assert.equal(nodes.get('tu1').active, true);
+  assert.equal(nodes.get('tu1').branch, 'thread');
+  assert.equal(nodes.get('u2').label, '[图片]');
+  assert.equal(nodes.get('a2').label, '图片 描述');
+  assert.equal(nodes.get('conversation:conv_c').kind, 'fork');
+  assert.equal(nodes.get('conversation:conv_p').label, '父对话：父');
+  assert.ok(nodes.has('conversation:conv_orphan'), '分支点已删除的子对话仍显示，只是不连线');
+});
+
+test('summarizeTreeNodeText 截断过长文本并处理空消息', async () => {
+  const { summarizeTreeNodeText } = await loadConversationTreeModule();
+  assert.equal(summarizeTreeNodeText('一二三四五六', 4), '一二三四…');
+  assert.equal(summarizeTreeNodeText(''), '（空消息）');
+  assert.equal(summarizeTreeNodeText([{ type: 'text', text: 'a\nb' }]), 'a b');
+});
+
+test('mergeThreadIntoMainChain 把线程当前链路接到主对话末尾，引用划词原文并移除线程', async () => {
+  const { mergeThreadIntoMainChain } = await loadConversationTreeModule();
+  const history = buildHistory();
+  const result = mergeThreadIntoMainChain(history, 't1');
+
+  assert.deepEqual(result, { anchorMessageId: 'a1', mergedMessageIds: ['tu1', 'ta1'], removedMessageIds: ['h1', 'ta1b'] });
+  assert.deepEqual(history.messages.map(msg => msg.id), ['u1', 'a1', 'u2', 'a2', 'tu1', 'ta1']);
+  assert.equal(history.currentNode, 'ta1');
+
+  const byId = new Map(history.messages.map(msg => [msg.id, msg]));
+  assert.deepEqual(byId.get('a1').children, ['u2']);
+  assert.deepEqual(byId.get('a1').threadAnnotations, []);
+  assert.deepEqual(byId.get('a2').children, ['tu1']);
+  assert.equal(byId.get('tu1').parentId, 'a2');
+  assert.deepEqual(byId.get('tu1').children, ['ta1']);
+  assert.equal(byId.get('tu1').content, '> 关键段落\n\n解释一下');
+  assert.equal('threadId' in byId.get('tu1'), false);
+  assert.equal('threadAnchorId' in byId.get('ta1'), false);
+
+  assert.equal(mergeThreadIntoMainChain(history, 't1'), null, '线程已合并后不能重复合并');
+  assert.equal(mergeThreadIntoMainChain(buildHistory(), 'unknown'), null);
+});
+
+test('pruneMessageSubtree 剪掉重答分支及其线程，并把 currentNode 移到剩余分支末端', async () => {
+  const { pruneMessageSubtree } = await loadConversationTreeModule();
+  // a1 下另有一个重新生成的回答 a1b（当前所在分支），其下还有后续消息
+  const history = buildHistory();
+  history.messages[0].children.push('a1b');
+  history.messages.push(
+    node('a1b', 'assistant', '重新生成的回答', 'u1', ['u3']),
+    node('u3', 'user', '继续', 'a1b', [])
+  );
+  history.currentNode = 'u3';
+
+  const result = pruneMessageSubtree(history, 'a1b');
+  assert.deepEqual(result, { parentId: 'u1', removedMessageIds: ['a1b', 'u3'], currentNode: 'a2' });
+  assert.deepEqual(history.messages.find(msg => msg.id === 'u1').children, ['a1']);
+  assert.equal(history.messages.some(msg => msg.id === 'a1b' || msg.id === 'u3'), false);
+
+  // 剪掉带线程的 a1：线程消息一并删除，currentNode 退回父节点
+  const second = pruneMessageSubtree(history, 'a1');
+  assert.deepEqual(second.removedMessageIds, ['a1', 'h1', 'tu1', 'ta1', 'ta1b', 'u2', 'a2']);
+  assert.equal(history.currentNode, 'u1');
+  assert.deepEqual(history.messages.map(msg => msg.id), ['u1']);
+
+  // currentNode 不在被剪子树里时保持不变；根消息与线程消息不能剪
+  const other = buildHistory();
+  other.currentNode = 'ta1';
+  assert.equal(pruneMessageSubtree(other, 'a2').currentNode, 'ta1');
+  const kept = buildHistory();
+  assert.equal(pruneMessageSubtree(kept, 'ta1b'), null);
+  assert.equal(pruneMessageSubtree(kept, 'u1'), null);
+  assert.equal(pruneMessageSubtree(kept, 'missing'), null);
+});
+
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadCostAccountingModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/cost_accounting.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('parseModelPriceTable 解析模型价格并报告无法解析的行', async () => {
+  const { parseModelPriceTable, formatModelPriceTable } = await loadCostAccountingModule();
+  const { entries, invalidLines } = parseModelPriceTable('# 注释\ngpt-4o = 2.5, 1.25, 10\n\nclaude-* = 3 / 15\n1, 2\nbad = x, 1\nonly = 1');
+  assert.deepEqual(entries, [
+    { model: 'gpt-4o', input: 2.5, cachedInput: 1.25, output: 10 },
+    { model: 'claude-*', input: 3, cachedInput: null, output: 15 },
+    { model: '', input: 1, cachedInput: null, output: 2 }
+  ]);
+  assert.deepEqual(invalidLines, [6, 7]);
+  assert.equal(formatModelPriceTable(entries), 'gpt-4o = 2.5, 1.25, 10\nclaude-* = 3, 15\n1, 2');
+});
+
+test('findModelPrice 精确匹配优先，其次通配，最后默认价格', async () => {
+  const { findModelPrice } = await loadCostAccountingModule();
+  const table = [
+    { model: '', input: 1, output: 1 },
+    { model: 'gpt-*', input: 2, output: 2 },
+    { model: 'GPT-4o', input: 3, output: 3 }
+  ];
+  assert.equal(findModelPrice(table, 'gpt-4o').input, 3);
+  assert.equal(findModelPrice(table, 'gpt-4.1').input, 2);
+  assert.equal(findModelPrice(table, 'gemini').input, 1);
+  assert.equal(findModelPrice([{ model: 'a', input: 1, output: 1 }], 'b'), null);
+});
+
+test('computeUsageCost 按每 1M tokens 计费，缓存命中部分使用缓存单价', async () => {
+  const { computeUsageCost, computeApiUsageCost } = await loadCostAccountingModule();
+  const price = { input: 2, cachedInput: 0.5, output: 8 };
+  assert.deepEqual(
+    computeUsageCost({ promptTokens: 1000000, completionTokens: 500000, cachedInputTokens: 400000 }, price),
+    { total: 5.4, input: 1.2, cachedInput: 0.2, output: 4 }
+  );
+  // 缺少 completionTokens 时由 total - prompt 推算
+  assert.equal(computeUsageCost({ promptTokens: 1000000, totalTokens: 1250000 }, price).output, 2);
+  assert.equal(computeUsageCost({ promptTokens: 0, completionTokens: 0 }, price), null);
+  assert.equal(computeUsageCost({ promptTokens: 10 }, null), null);
+  assert.equal(
+    computeApiUsageCost({ promptTokens: 1000000, completionTokens: 0 }, { modelName: 'm', modelPrices: [{ model: 'm', input: 3, output: 9 }] }).total,
+    3
+  );
+});
+
+test('formatCostAmount 按金额大小选择精度', async () => {
+  const { formatCostAmount } = await loadCostAccountingModule();
+  assert.equal(formatCostAmount(0), '$0');
+  assert.equal(formatCostAmount(0.00001), '<$0.0001');
+  assert.equal(formatCostAmount(0.01234), '$0.0123');
+  assert.equal(formatCostAmount(12.345), '$12.35');
+});
+
+test('花费账本按消息覆盖、合并多标签页记录并汇总今日与本月', async () => {
+  const { recordSpendLedgerEntry, mergeSpendLedgers, summarizeSpendLedger, getSpendDayKey } = await loadCostAccountingModule();
+  const now = new Date(2026, 9, 19, 12).getTime();
+  let ledger = recordSpendLedgerEntry(null, { messageId: 'm1', amount: 0.5, timestamp: now });
+  ledger = recordSpendLedgerEntry(ledger, { messageId: 'm1', amount: 0.75, timestamp: now });
+  ledger = recordSpendLedgerEntry(ledger, { messageId: 'm2', amount: 1, timestamp: now - 2 * DAY_MS });
+  assert.deepEqual(summarizeSpendLedger(ledger, now), { today: 0.75, month: 1.75 });
+
+  const otherTab = recordSpendLedgerEntry(null, { messageId: 'm3', amount: 0.25, timestamp: now });
+  const merged = mergeSpendLedgers(ledger, otherTab);
+  assert.deepEqual(summarizeSpendLedger(merged, now), { today: 1, month: 2 });
+
+  // 超过保留期限的日期被清理
+  const pruned = recordSpendLedgerEntry(merged, { messageId: 'm4', amount: 1, timestamp: now + 70 * DAY_MS });
+  assert.deepEqual(Object.keys(pruned.days), [getSpendDayKey(now + 70 * DAY_MS)]);
+});
+
+test('evaluateSpendBudget 预算为 0 不限制，每日预算优先报告', async () => {
+  const { evaluateSpendBudget } = await loadCostAccountingModule();
+  assert.equal(evaluateSpendBudget({ today: 100, month: 100 }, {}).exceeded, false);
+  assert.deepEqual(
+    evaluateSpendBudget({ today: 2, month: 40 }, { daily: 1, monthly: 30, mode: 'block' }),
+    { exceeded: true, period: 'daily', spent: 2, limit: 1, block: true }
+  );
+  const monthly = evaluateSpendBudget({ today: 0.5, month: 40 }, { daily: 1, monthly: 30 });
+  assert.equal(monthly.period, 'monthly');
+  assert.equal(monthly.block, false);
+});
+
+test('accumulateConversationCost 按模型、API、日期与对话汇总费用', async () => {
+  const { createCostSummary, accumulateConversationCost, finalizeCostSummary } = await loadCostAccountingModule();
+  const summary = createCostSummary();
+  const day1 = new Date(2026, 9, 18, 10).getTime();
+  const day2 = new Date(2026, 9, 19, 10).getTime();
+  accumulateConversationCost(summary, {
+    id: 'c1',
+    title: '对话一',
+    messages: [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', apiUuid: 'a', apiDisplayName: 'API A', apiModelId: 'm1', timestamp: day1, apiCost: { total: 1 } },
+      { role: 'assistant', apiUuid: 'b', apiDisplayName: 'API B', apiModelId: 'm2', timestamp: day2, apiCost: { total: 2 } }
+    ]
+  });
+  accumulateConversationCost(summary, {
+    id: 'c2',
+    messages: [{ role: 'assistant', apiUuid: 'a', apiDisplayName: 'API A', apiModelId: 'm1', timestamp: day2, apiCost: { total: 0.5 } }]
+  });
+  const result = finalizeCostSummary(summary);
+  assert.equal(result.total, 3.5);
+  assert.equal(result.pricedMessages, 3);
+  assert.deepEqual(result.byModel.map(item => [item.label, item.total]), [['m2', 2], ['m1', 1.5]]);
+  assert.deepEqual(result.byApi.map(item => [item.label, item.count]), [['API B', 1], ['API A', 2]]);
+  assert.deepEqual(result.byDay.map(item => item.key), ['2026-10-19', '2026-10-18']);
+  assert.deepEqual(result.byConversation.map(item => item.label), ['对话一', 'c2']);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadCustomFunctionToolsModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/custom_function_tools.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+const RESERVED = ['js_runtime_execute', 'page_content_read'];
+
+test('normalizeCustomFunctionToolList 补齐字段并丢弃重复 id', async () => {
+  const { normalizeCustomFunctionToolList } = await loadCustomFunctionToolsModule();
+  const list = normalizeCustomFunctionToolList([
+    { id: 't1', name: ' get_title ', code: 'return document.title;' },
+    { id: 't1', name: 'dup' },
+    null,
+    { name: 'legacy', parameters: { type: 'object', properties: {} }, enabled: false }
+  ]);
+
+  assert.equal(list.length, 2);
+  assert.deepEqual(list[0], {
+    id: 't1',
+    name: 'get_title',
+    description: '',
+    parametersSchema: '',
+    code: 'return document.title;',
+    enabled: true
+  });
+  assert.match(list[1].id, /^ctool_/);
+  assert.equal(list[1].enabled, false);
+  assert.deepEqual(JSON.parse(list[1].parametersSchema), { type: 'object', properties: {} });
+});
+
+test('validateCustomFunctionTool 校验函数名、保留名、重名、函数体与 Schema', async () => {
+  const { validateCustomFunctionTool } = await loadCustomFunctionToolsModule();
+  const base = { name: 'get_title', code: 'return 1;', parametersSchema: '' };
+
+  assert.equal(validateCustomFunctionTool(base, { reservedNames: RESERVED }), '');
+  assert.match(validateCustomFunctionTool({ ...base, name: 'bad name' }), /函数名只能包含/);
+  assert.match(validateCustomFunctionTool({ ...base, name: 'page_content_read' }, { reservedNames: RESERVED }), /内置工具冲突/);
+  assert.match(validateCustomFunctionTool(base, { takenNames: ['get_title'] }), /已被其它自定义工具使用/);
+  assert.match(validateCustomFunctionTool({ ...base, code: '  ' }), /函数体不能为空/);
+  assert.match(validateCustomFunctionTool({ ...base, parametersSchema: '{' }), /不是合法 JSON/);
+  assert.match(validateCustomFunctionTool({ ...base, parametersSchema: '{"type":"string"}' }), /type 必须为 "object"/);
+});
+
+test('buildCustomFunctionToolDefinition 生成非 strict 的 Responses 函数定义', async () => {
+  const { buildCustomFunctionToolDefinition } = await loadCustomFunctionToolsModule();
+  const definition = buildCustomFunctionToolDefinition({
+    name: 'query_selector',
+    description: '  按选择器读取文本  ',
+    parametersSchema: '{"type":"object","properties":{"selector":{"type":"string"}},"required":["selector"]}',
+    code: 'return document.querySelector(args.selector)?.textContent;'
+  });
+
+  assert.deepEqual(definition, {
+    type: 'function',
+    name: 'query_selector',
+    description: '按选择器读取文本',
+    strict: false,
+    parameters: {
+      type: 'object',
+      properties: { selector: { type: 'string' } },
+      required: ['selector']
+    }
+  });
+  assert.equal(buildCustomFunctionToolDefinition({ name: 'x', parametersSchema: '[]' }), null);
+});
+
+test('resolveActiveCustomFunctionTools 对话开关覆盖默认启用并跳过非法与重名条目', async () => {
+  const { resolveActiveCustomFunctionTools } = await loadCustomFunctionToolsModule();
+  const tools = [
+    { id: 'a', name: 'alpha', code: 'return 1;', enabled: true },
+    { id: 'b', name: 'beta', code: 'return 2;', enabled: false },
+    { id: 'c', name: 'alpha', code: 'return 3;', enabled: true },
+    { id: 'd', name: 'page_content_read', code: 'return 4;', enabled: true },
+    { id: 'e', name: 'gamma', code: '', enabled: true }
+  ];
+
+  const defaults = resolveActiveCustomFunctionTools(tools, null, { reservedNames: RESERVED });
+  assert.deepEqual(defaults.map(tool => tool.id), ['a']);
+
+  const overridden = resolveActiveCustomFunctionTools(tools, { a: false, b: true }, { reservedNames: RESERVED });
+  assert.deepEqual(overridden.map(tool => tool.id), ['b', 'c']);
+});
+
+test('buildCustomFunctionToolRuntimeCode 以 args 形参包装函数体', async () => {
+  const { buildCustomFunctionToolRuntimeCode } = await loadCustomFunctionToolsModule();
+  const code = buildCustomFunctionToolRuntimeCode(
+    { code: 'const args2 = args.a + 1;\nreturn args2; // 注释' },
+    { a: 41 }
+  );
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+  assert.equal(await new AsyncFunction(code)(), 42);
+
+  const withoutArgs = buildCustomFunctionToolRuntimeCode({ code: 'return args;' }, 'oops');
+  assert.deepEqual(await new AsyncFunction(withoutArgs)(), {});
+});
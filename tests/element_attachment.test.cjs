@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadElementAttachmentModule() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const read = name => fs.readFile(path.join(utilsDir, name), 'utf8');
+  const readToolUrl = toDataUrl(await read('page_content_read_tool.js'));
+  const tabContextUrl = toDataUrl((await read('tab_context.js')).replace("'./page_content_read_tool.js'", `'${readToolUrl}'`));
+  const source = (await read('element_attachment.js')).replace("'./tab_context.js'", `'${tabContextUrl}'`);
+  return import(toDataUrl(source));
+}
+
+test('buildElementAttachmentText 为每个元素生成带选择器、来源与 token 估算的块', async () => {
+  const { buildElementAttachmentText } = await loadElementAttachmentModule();
+  const text = buildElementAttachmentText([
+    {
+      tagName: 'table',
+      selector: 'div#report > table.data',
+      markdown: '| a | b |\n| --- | --- |\n| 1 | 2 |',
+      pageTitle: '周报',
+      pageUrl: 'https://example.com/report'
+    },
+    { tagName: 'div', selector: 'div.empty', markdown: '  ' },
+    { tagName: 'canvas', selector: 'canvas#chart', markdown: '', hasScreenshot: true }
+  ]);
+
+  assert.equal(text.split('\n\n')[0], '已附加 2 个页面元素：');
+  assert.ok(text.includes([
+    '--- 页面元素 1：<table>（~9 tokens）---',
+    '选择器：div#report > table.data',
+    '来源：周报 https://example.com/report',
+    '内容：',
+    '| a | b |'
+  ].join('\n')), text);
+  assert.ok(text.includes('--- 页面元素 2：<canvas>（~0 tokens，附带截图）---\n选择器：canvas#chart\n内容：\n(无文本内容)'), text);
+  assert.ok(!text.includes('div.empty'));
+  assert.ok(text.endsWith('--- 页面元素结束 ---'));
+  assert.equal(buildElementAttachmentText([]), '');
+});
+
+test('describeElementAttachment 去掉 Markdown 标记并截断为简短标题', async () => {
+  const { describeElementAttachment } = await loadElementAttachmentModule();
+  assert.equal(describeElementAttachment({ tagName: 'pre', markdown: '```js\nconst value = computeSomethingLong();\n```' }), '<pre> js const value = compute…');
+  assert.equal(describeElementAttachment({ tagName: 'img', markdown: '' }), '<img>');
+});
+
+test('renderElementMarkdown 渲染用户选中的元素本身，不套用页面框架过滤', async () => {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/page_markdown_extractor.js'), 'utf8');
+  const context = vm.createContext({ URL });
+  vm.runInContext(source, context);
+  const { renderElementMarkdown } = context.CerebrPageMarkdownExtractor;
+
+  const element = (tag, attributes, children) => {
+    const node = {
+      nodeType: 1,
+      nodeName: tag.toUpperCase(),
+      attributes,
+      childNodes: children,
+      parentNode: null,
+      getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+      }
+    };
+    children.forEach((child) => { child.parentNode = node; });
+    return node;
+  };
+  const text = value => ({ nodeType: 3, nodeValue: value, parentNode: null });
+  const picked = element('footer', { class: 'comment-footer' }, [
+    element('h4', {}, [text('评论')]),
+    element('div', { class: 'header' }, [text('作者：Alice')]),
+    element('script', {}, [text('ignored()')])
+  ]);
+
+  assert.equal(renderElementMarkdown(picked, {}), '#### 评论\n\n作者：Alice');
+});
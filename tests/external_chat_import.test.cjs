@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadExternalChatImportModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/external_chat_import.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+function chatGptNode(id, parent, children, role, parts, extra = {}) {
+  return {
+    id,
+    parent,
+    children,
+    message: role ? {
+      id,
+      author: { role },
+      create_time: extra.time ?? null,
+      content: extra.content || { content_type: 'text', parts },
+      metadata: extra.metadata || {},
+      recipient: extra.recipient || 'all'
+    } : null
+  };
+}
+
+// root(system) -> u1 -> a1 -> u2 -> [thoughts -> a2a]（旧回答）/ [a2b]（重新生成后当前分支）
+// u1 还有一个被编辑前的兄弟版本 u1old -> a1old
+const CHATGPT_EXPORT = [{
+  conversation_id: 'abc-123',
+  title: '旅行计划',
+  create_time: 1700000000.5,
+  update_time: 1700000500,
+  default_model_slug: 'gpt-4o',
+  current_node: 'a2b',
+  mapping: {
+    root: chatGptNode('root', null, ['sys'], null),
+    sys: chatGptNode('sys', 'root', ['u1', 'u1old'], 'system', [''], { metadata: { is_visually_hidden_from_conversation: true } }),
+    u1old: chatGptNode('u1old', 'sys', ['a1old'], 'user', ['去哪玩？'], { time: 1700000001 }),
+    a1old: chatGptNode('a1old', 'u1old', [], 'assistant', ['看你预算。'], { time: 1700000002, metadata: { model_slug: 'gpt-4o' } }),
+    u1: chatGptNode('u1', 'sys', ['a1'], 'user', ['五月去哪玩？'], { time: 1700000010 }),
+    a1: chatGptNode('a1', 'u1', ['u2'], 'assistant', ['推荐京都。'], { time: 1700000011, metadata: { model_slug: 'gpt-4o' } }),
+    u2: chatGptNode('u2', 'a1', ['think', 'a2b'], 'user', null, {
+      time: 1700000020,
+      content: {
+        content_type: 'multimodal_text',
+        parts: [
+          { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-IMG1', width: 10, height: 10 },
+          { content_type: 'image_asset_pointer', asset_pointer: 'sediment://file_missing' },
+          '这张地图上哪里住？'
+        ]
+      }
+    }),
+    think: chatGptNode('think', 'u2', ['tool'], 'assistant', null, {
+      time: 1700000021,
+      content: { content_type: 'thoughts', thoughts: [{ summary: '看地图', content: '地图标了祇园。' }] }
+    }),
+    tool: chatGptNode('tool', 'think', ['a2a'], 'assistant', null, {
+      time: 1700000022,
+      recipient: 'python',
+      content: { content_type: 'code', text: 'print(1)' }
+    }),
+    a2a: chatGptNode('a2a', 'tool', ['a2a_more'], 'assistant', ['住祇园。'], { time: 1700000023, metadata: { model_slug: 'o3' } }),
+    a2a_more: chatGptNode('a2a_more', 'a2a', [], 'assistant', ['交通也方便。'], { time: 1700000024, metadata: { model_slug: 'o3' } }),
+    a2b: chatGptNode('a2b', 'u2', [], 'assistant', ['住京都站附近。'], { time: 1700000030, metadata: { model_slug: 'gpt-4o' } })
+  }
+}];
+
+test('detectExternalChatExport 识别三种来源', async () => {
+  const { detectExternalChatExport } = await loadExternalChatImportModule();
+  assert.deepEqual(detectExternalChatExport(CHATGPT_EXPORT), { source: 'chatgpt', kind: 'conversations' });
+  assert.deepEqual(detectExternalChatExport([{ uuid: 'x', chat_messages: [] }]), { source: 'claude', kind: 'conversations' });
+  assert.deepEqual(detectExternalChatExport({ runSettings: {}, chunkedPrompt: { chunks: [] } }), { source: 'gemini', kind: 'aistudio' });
+  assert.deepEqual(detectExternalChatExport([{ header: 'Gemini Apps', title: 'Prompted hi', time: '2024-05-01T00:00:00Z' }]), { source: 'gemini', kind: 'activity' });
+  assert.equal(detectExternalChatExport([{ id: 'conv_1', messages: [] }]), null);
+  assert.equal(detectExternalChatExport('oops'), null);
+});
+
+test('ChatGPT 消息树：当前分支为主会话，其余叶子成为分支会话', async () => {
+  const { convertExternalChatExport } = await loadExternalChatImportModule();
+  const resolved = [];
+  const result = convertExternalChatExport(CHATGPT_EXPORT, {
+    resolveAsset(ref) {
+      resolved.push(ref);
+      return ref.assetId === 'file-IMG1' ? { url: 'data:image/png;base64,AAAA' } : null;
+    }
+  });
+
+  assert.equal(result.source, 'chatgpt');
+  assert.deepEqual(result.conversations.map(conv => conv.id), ['chatgpt_abc-123', 'chatgpt_abc-123_b1', 'chatgpt_abc-123_b2']);
+  assert.deepEqual(result.stats, { conversations: 3, branches: 2, messages: 10, images: 1, missingImages: 1, skipped: 4 });
+
+  const [main, oldEdit, regenerated] = result.conversations;
+  assert.equal(main.summary, '旅行计划');
+  assert.equal(main.url, 'https://chatgpt.com/c/abc-123');
+  assert.equal(main.startTime, 1700000000500);
+  assert.equal(main.endTime, 1700000500000);
+  assert.deepEqual(main.messages.map(m => m.id), ['chatgpt_u1', 'chatgpt_a1', 'chatgpt_u2', 'chatgpt_a2b']);
+  assert.equal(main.messages[0].parentId, null);
+  assert.deepEqual(main.messages[0].children, ['chatgpt_a1']);
+  assert.equal(main.messages[3].parentId, 'chatgpt_u2');
+  assert.equal(main.messages[1].role, 'ai');
+  assert.equal(main.messages[1].apiModelId, 'gpt-4o');
+  assert.equal(main.messages[1].apiDisplayName, 'ChatGPT');
+  assert.equal(main.messages[1].timestamp, 1700000011000);
+
+  // 图片：找到的转成 image_url，找不到的留占位文字
+  const userImageMessage = main.messages[2].content;
+  assert.deepEqual(userImageMessage[0], { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } });
+  assert.match(userImageMessage[1].text, /\[图片：file_missing（导出包中未找到）\]\n\n这张地图上哪里住？/);
+
+  // 编辑前的版本与主会话没有共同可见前缀，作为独立根
+  assert.deepEqual(oldEdit.messages.map(m => m.id), ['chatgpt_b1_u1old', 'chatgpt_b1_a1old']);
+  assert.equal(oldEdit.parentConversationId, undefined);
+
+  // 重新生成前的回答：思考过程并入、工具调用跳过、续写节点合并
+  assert.equal(regenerated.parentConversationId, 'chatgpt_abc-123');
+  assert.equal(regenerated.forkedFromMessageId, 'chatgpt_u2');
+  const lastReply = regenerated.messages[regenerated.messages.length - 1];
+  assert.equal(lastReply.id, 'chatgpt_b2_a2a');
+  assert.equal(lastReply.content, '住祇园。\n\n交通也方便。');
+  assert.equal(lastReply.thoughtsRaw, '**看地图**\n\n地图标了祇园。');
+  assert.equal(lastReply.apiModelId, 'o3');
+});
+
+test('Claude：旧版线性导出与带 parent_message_uuid 的树', async () => {
+  const { convertExternalChatExport } = await loadExternalChatImportModule();
+  const linear = convertExternalChatExport([{
+    uuid: 'c-1',
+    name: '代码评审',
+    created_at: '2024-03-01T10:00:00Z',
+    updated_at: '2024-03-01T10:05:00Z',
+    chat_messages: [
+      {
+        uuid: 'm1',
+        sender: 'human',
+        text: '看看这段代码',
+        created_at: '2024-03-01T10:00:00Z',
+        attachments: [{ file_name: 'main.py', extracted_content: 'print(1)' }],
+        files: [{ file_name: 'screen.png' }]
+      },
+      {
+        uuid: 'm2',
+        sender: 'assistant',
+        content: [{ type: 'thinking', thinking: '先读代码' }, { type: 'text', text: '没问题。' }, { type: 'tool_use', name: 'x' }],
+        created_at: '2024-03-01T10:01:00Z'
+      }
+    ]
+  }], { resolveAsset: ref => (ref.fileName === 'screen.png' ? { url: 'data:image/png;base64,BB' } : null) });
+
+  const [conv] = linear.conversations;
+  assert.equal(conv.id, 'claude_c-1');
+  assert.equal(conv.url, 'https://claude.ai/chat/c-1');
+  assert.equal(conv.startTime, Date.parse('2024-03-01T10:00:00Z'));
+  assert.deepEqual(conv.messages.map(m => [m.id, m.role, m.parentId]), [
+    ['claude_m1', 'user', null],
+    ['claude_m2', 'ai', 'claude_m1']
+  ]);
+  assert.equal(conv.messages[0].content[0].image_url.url, 'data:image/png;base64,BB');
+  assert.match(conv.messages[0].content[1].text, /附件：main\.py\n\n```\nprint\(1\)\n```/);
+  assert.equal(conv.messages[1].content, '没问题。');
+  assert.equal(conv.messages[1].thoughtsRaw, '先读代码');
+
+  const branched = convertExternalChatExport([{
+    uuid: 'c-2',
+    name: '分支',
+    current_leaf_message_uuid: 'm3',
+    chat_messages: [
+      { uuid: 'm1', sender: 'human', text: '问', parent_message_uuid: '00000000-0000-4000-8000-000000000000', created_at: '2024-03-01T10:00:00Z' },
+      { uuid: 'm2', sender: 'assistant', text: '答一', parent_message_uuid: 'm1', created_at: '2024-03-01T10:01:00Z' },
+      { uuid: 'm3', sender: 'assistant', text: '答二', parent_message_uuid: 'm1', created_at: '2024-03-01T10:02:00Z' }
+    ]
+  }]);
+  assert.deepEqual(branched.conversations.map(c => c.messages.map(m => m.content)), [['问', '答二'], ['问', '答一']]);
+  assert.equal(branched.conversations[1].forkedFromMessageId, 'claude_m1');
+});
+
+test('Gemini：AI Studio 文件与 Takeout 活动记录', async () => {
+  const { convertExternalChatExport, convertActivityHtmlToText } = await loadExternalChatImportModule();
+  const studio = convertExternalChatExport({
+    runSettings: { model: 'models/gemini-2.5-pro' },
+    systemInstruction: { text: '你是助手' },
+    chunkedPrompt: {
+      chunks: [
+        { text: '1+1=?', role: 'user' },
+        { text: '简单加法', role: 'model', isThought: true },
+        { text: '等于 2', role: 'model' },
+        { role: 'user', inlineImage: { mimeType: 'image/jpeg', data: 'CC' } }
+      ]
+    }
+  }, { fileName: '数学练习', fileTime: 1710000000000 });
+  const [conv] = studio.conversations;
+  assert.match(conv.id, /^gemini_aistudio_[0-9a-f]{8}$/);
+  assert.equal(conv.summary, '数学练习');
+  assert.deepEqual(conv.messages.map(m => m.role), ['user', 'ai', 'user']);
+  assert.equal(conv.messages[1].thoughtsRaw, '简单加法');
+  assert.equal(conv.messages[1].apiModelId, 'gemini-2.5-pro');
+  assert.deepEqual(conv.messages[2].content, [{ type: 'image_url', image_url: { url: 'data:image/jpeg;base64,CC' } }]);
+  assert.equal(studio.warnings.length, 1);
+
+  const activity = convertExternalChatExport([
+    { header: 'Gemini Apps', title: 'Prompted 第二个问题', time: '2024-05-01T10:20:00Z', safeHtmlItem: [{ html: '<p>回答&amp;二</p>' }] },
+    { header: 'Gemini Apps', title: 'Prompted 第一个问题', time: '2024-05-01T10:00:00Z', safeHtmlItem: [{ html: '<ul><li>甲</li><li>乙</li></ul>' }] },
+    { header: 'Gemini Apps', title: 'Prompted 隔天的问题', time: '2024-05-02T10:00:00Z', safeHtmlItem: [{ html: '好' }] },
+    { header: 'Gemini Apps', title: 'Used Gemini Apps', time: '2024-05-02T11:00:00Z' }
+  ]);
+  assert.equal(activity.stats.skipped, 1);
+  assert.deepEqual(activity.conversations.map(c => c.messages.length), [4, 2]);
+  assert.equal(activity.conversations[0].messages[0].content, '第一个问题');
+  assert.equal(activity.conversations[0].messages[1].content, '- 甲\n- 乙');
+  assert.equal(activity.conversations[0].messages[3].content, '回答&二');
+
+  assert.equal(convertActivityHtmlToText('<h2>标题</h2><p>a<br>b</p>'), '## 标题\n\na\nb');
+});
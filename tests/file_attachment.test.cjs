@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadFileAttachmentModule() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const readToolUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'page_content_read_tool.js'), 'utf8'));
+  const tabContextUrl = toDataUrl((await fs.readFile(path.join(utilsDir, 'tab_context.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${readToolUrl}'`));
+  const packerUrl = toDataUrl((await fs.readFile(path.join(utilsDir, 'local_repo_packer.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${readToolUrl}'`)
+    .replace("'./tab_context.js'", `'${tabContextUrl}'`));
+  const source = (await fs.readFile(path.join(utilsDir, 'file_attachment.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${readToolUrl}'`)
+    .replace("'./local_repo_packer.js'", `'${packerUrl}'`)
+    .replace("'./tab_context.js'", `'${tabContextUrl}'`);
+  return import(toDataUrl(source));
+}
+
+/** 生成只含 deflate 条目的最小 zip，用来模拟 .docx */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const raw = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, compressed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+  const centralBuffer = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralBuffer.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralBuffer, eocd]);
+}
+
+test('getFileAttachmentKind 按扩展名与 MIME 区分 PDF、Word、CSV 与文本，图片和二进制返回 null', async () => {
+  const { getFileAttachmentKind } = await loadFileAttachmentModule();
+  assert.equal(getFileAttachmentKind({ name: 'paper.PDF' }), 'pdf');
+  assert.equal(getFileAttachmentKind({ name: 'download', type: 'application/pdf' }), 'pdf');
+  assert.equal(getFileAttachmentKind({ name: 'report.docx' }), 'docx');
+  assert.equal(getFileAttachmentKind({ name: 'data.tsv' }), 'csv');
+  assert.equal(getFileAttachmentKind({ name: 'README.md' }), 'text');
+  assert.equal(getFileAttachmentKind({ name: 'main.rs' }), 'text');
+  assert.equal(getFileAttachmentKind({ name: 'Dockerfile' }), 'text');
+  assert.equal(getFileAttachmentKind({ name: 'photo.png', type: 'image/png' }), null);
+  assert.equal(getFileAttachmentKind({ name: 'archive.bin' }), null);
+  assert.equal(getFileAttachmentKind({ name: 'notes' }, new Uint8Array([0x68, 0x69])), 'text');
+  assert.equal(getFileAttachmentKind({ name: 'blob' }, new Uint8Array([0x68, 0x00])), null);
+});
+
+test('parseCsv 处理引号、字段内换行、转义引号与 BOM，buildCsvPreview 截断行列', async () => {
+  const { parseCsv, detectCsvDelimiter, buildCsvPreview } = await loadFileAttachmentModule();
+  const text = '\uFEFFname,comment,score\r\n"Doe, J.","line1\nline2",90\r\nAmy,"say ""hi""",85\r\n\r\n';
+  assert.equal(detectCsvDelimiter(text, 'scores.csv'), ',');
+  assert.equal(detectCsvDelimiter('a;b;c\n1;2;3', 'x.csv'), ';');
+  assert.equal(detectCsvDelimiter('a,b', 'x.tsv'), '\t');
+  assert.deepEqual(parseCsv(text), [
+    ['name', 'comment', 'score'],
+    ['Doe, J.', 'line1\nline2', '90'],
+    ['Amy', 'say "hi"', '85']
+  ]);
+
+  const rows = [['a', 'b', 'c'], ['1', '2'], ['3', '4', '5'], ['6', '7', '8']];
+  const preview = buildCsvPreview(rows, { maxRows: 2, maxColumns: 2 });
+  assert.deepEqual(preview.header, ['a', 'b']);
+  assert.deepEqual(preview.rows, [['1', '2'], ['3', '4']]);
+  assert.equal(preview.totalRows, 3);
+  assert.equal(preview.totalColumns, 3);
+  assert.equal(preview.truncated, true);
+  assert.equal(buildCsvPreview(rows).truncated, false);
+});
+
+test('extractDocxText 从 word/document.xml 抽取段落、制表符与实体，缺少正文时报错', async () => {
+  const { extractDocxText } = await loadFileAttachmentModule();
+  const documentXml = [
+    '<?xml version="1.0"?><w:document><w:body>',
+    '<w:p><w:r><w:t>Hello</w:t></w:r><w:r><w:t xml:space="preserve"> world</w:t></w:r></w:p>',
+    '<w:p><w:r><w:t>A</w:t><w:tab/><w:t>B &amp; C</w:t><w:br/><w:t>&lt;end&gt;</w:t></w:r></w:p>',
+    '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>cell</w:t></w:r></w:p></w:tc></w:tr></w:tbl>',
+    '</w:body></w:document>'
+  ].join('');
+  const docx = buildZip({
+    '[Content_Types].xml': '<Types/>',
+    'word/document.xml': documentXml
+  });
+  assert.equal(await extractDocxText(docx), 'Hello world\nA\tB & C\n<end>\ncell');
+  await assert.rejects(() => extractDocxText(buildZip({ 'a.txt': 'x', 'b/c.txt': 'y' })), /word\/document\.xml/);
+});
+
+test('expandMessageFileAttachments：原生接口发送 PDF 文件片段，其余附件与接口展开为正文前的文本块', async () => {
+  const { expandMessageFileAttachments, buildPdfAttachmentText } = await loadFileAttachmentModule();
+  const pdf = {
+    id: 'f1',
+    name: 'paper.pdf',
+    kind: 'pdf',
+    mimeType: 'application/pdf',
+    pageCount: 2,
+    text: buildPdfAttachmentText(['First  page', '', 'Third']),
+    data: 'JVBERi0='
+  };
+  const notes = { id: 'f2', name: 'notes.md', kind: 'text', text: '# Notes' };
+  const messages = [
+    { role: 'system', content: 'sys' },
+    { role: 'user', content: '总结一下', file_attachments: [pdf, notes] }
+  ];
+
+  const native = expandMessageFileAttachments(messages, { nativeFileInput: true });
+  assert.equal(native[0], messages[0]);
+  assert.equal('file_attachments' in native[1], false);
+  assert.deepEqual(native[1].content[0], {
+    type: 'file',
+    file: { filename: 'paper.pdf', mime_type: 'application/pdf', data: 'JVBERi0=' }
+  });
+  assert.equal(native[1].content[1].type, 'text');
+  assert.ok(native[1].content[1].text.startsWith('已附加 1 个文件：\n\n--- 文件：notes.md（文本，~2 tokens）---\n# Notes'));
+  assert.deepEqual(native[1].content[2], { type: 'text', text: '总结一下' });
+
+  const fallback = expandMessageFileAttachments(messages, { nativeFileInput: false });
+  assert.equal(typeof fallback[1].content, 'string');
+  assert.ok(fallback[1].content.includes('--- 文件：paper.pdf（PDF，2 页，'));
+  assert.ok(fallback[1].content.includes('[p. 1]\nFirst page\n\n[p. 3]\nThird'));
+  assert.ok(fallback[1].content.endsWith('--- 文件内容结束 ---\n\n总结一下'));
+  assert.equal(messages[1].file_attachments.length, 2, '不修改传入的消息');
+});
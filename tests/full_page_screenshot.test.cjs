@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const vm = require('node:vm');
+
+async function loadScreenshotApi() {
+  const filePath = path.resolve(__dirname, '../src/utils/full_page_screenshot.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const context = vm.createContext({ console, setTimeout });
+  vm.runInContext(source, context);
+  return context.CerebrFullPageScreenshot;
+}
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('planScrollPositions 按视口高度逐屏前进、最后一屏对齐底部，并在超过上限时标记截断', async () => {
+  const { planScrollPositions } = await loadScreenshotApi();
+  assert.deepEqual(plain(planScrollPositions(2500, 1000)), { positions: [0, 1000, 1500], truncated: false });
+  assert.deepEqual(plain(planScrollPositions(800, 1000)), { positions: [0], truncated: false });
+  assert.deepEqual(plain(planScrollPositions(3000, 1000)), { positions: [0, 1000, 2000], truncated: false });
+  assert.deepEqual(plain(planScrollPositions(10000, 1000, 3)), { positions: [0, 1000, 2000], truncated: true });
+});
+
+test('planStitchSegments 按实际滚动偏移只拼接新出现的部分', async () => {
+  const { planStitchSegments } = await loadScreenshotApi();
+  const { segments, totalHeight } = planStitchSegments([0, 1000, 1500, 1500], 1000);
+  assert.equal(totalHeight, 2500);
+  assert.deepEqual(plain(segments), [
+    { frameIndex: 0, srcY: 0, destY: 0, height: 1000 },
+    { frameIndex: 1, srcY: 0, destY: 1000, height: 1000 },
+    { frameIndex: 2, srcY: 500, destY: 2000, height: 500 }
+  ]);
+});
+
+test('planTiles 均分高度，每块不超过上限', async () => {
+  const { planTiles } = await loadScreenshotApi();
+  assert.deepEqual(plain(planTiles(5000, 2048)), [
+    { y: 0, height: 1667 },
+    { y: 1667, height: 1667 },
+    { y: 3334, height: 1666 }
+  ]);
+  assert.deepEqual(plain(planTiles(900, 2048)), [{ y: 0, height: 900 }]);
+  assert.deepEqual(plain(planTiles(0, 2048)), []);
+});
+
+test('findScrollTarget 文档不可滚动时选取可视面积最大的内部滚动容器，并跳过侧栏', async () => {
+  const { findScrollTarget } = await loadScreenshotApi();
+  const makeElement = (rect, { scrollHeight, clientHeight, overflowY }) => ({
+    rect,
+    scrollHeight,
+    clientHeight,
+    overflowY,
+    getBoundingClientRect() { return this.rect; },
+    contains(other) { return other === this; }
+  });
+  const root = { scrollHeight: 800, clientHeight: 800 };
+  const smallPanel = makeElement({ left: 0, top: 0, right: 200, bottom: 800 }, { scrollHeight: 3000, clientHeight: 800, overflowY: 'auto' });
+  const mainPanel = makeElement({ left: 200, top: 60, right: 1200, bottom: 800 }, { scrollHeight: 6000, clientHeight: 740, overflowY: 'scroll' });
+  const hiddenOverflow = makeElement({ left: 0, top: 0, right: 1200, bottom: 800 }, { scrollHeight: 9000, clientHeight: 800, overflowY: 'hidden' });
+  const sidebar = makeElement({ left: 0, top: 0, right: 1200, bottom: 800 }, { scrollHeight: 9000, clientHeight: 800, overflowY: 'auto' });
+  const doc = {
+    scrollingElement: root,
+    querySelectorAll: () => [smallPanel, mainPanel, hiddenOverflow, sidebar]
+  };
+  const win = {
+    innerWidth: 1200,
+    innerHeight: 800,
+    getComputedStyle: element => ({ overflowY: element.overflowY })
+  };
+
+  const target = findScrollTarget(doc, win, [sidebar]);
+  assert.equal(target.isDocument, false);
+  assert.equal(target.element, mainPanel);
+
+  root.scrollHeight = 5000;
+  const documentTarget = findScrollTarget(doc, win, [sidebar]);
+  assert.equal(documentTarget.isDocument, true);
+  assert.equal(documentTarget.element, root);
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const http = require('node:http');
+const path = require('node:path');
+
+async function loadHistoryEmbeddingIndexModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/history_embedding_index.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+// 替身嵌入：按几个主题词出现与否生成 3 维向量，足以区分“相关/无关”
+const TOPICS = [['代理', 'vpn', '翻墙'], ['猫', '宠物'], ['发票', '报销']];
+function fakeEmbedding(text) {
+  const lower = String(text).toLowerCase();
+  return TOPICS.map(words => (words.some(word => lower.includes(word)) ? 1 : 0.01));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+/**
+ * 本地替身 embeddings 服务：同时响应 OpenAI 兼容与 Gemini 两种路径，并记录收到的请求。
+ */
+async function startEmbeddingsServer() {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const body = JSON.parse(await readBody(req) || '{}');
+    requests.push({ url: req.url, headers: req.headers, body });
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/v1/embeddings') {
+      // 故意倒序返回，验证按 index 还原顺序
+      const data = body.input.map((text, index) => ({ index, embedding: fakeEmbedding(text) })).reverse();
+      res.end(JSON.stringify({ object: 'list', data }));
+      return;
+    }
+    if (req.url.startsWith('/v1beta/models/text-embedding-004:batchEmbedContents')) {
+      res.end(JSON.stringify({ embeddings: body.requests.map(item => ({ values: fakeEmbedding(item.content.parts[0].text) })) }));
+      return;
+    }
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: 'not found' }));
+  });
+  const port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  return { server, port, requests };
+}
+
+const CONVERSATION = {
+  id: 'conv_1',
+  messages: [
+    { id: 'm1', role: 'user', content: '公司网络连不上外网，怎么设置代理？' },
+    { id: 'm2', role: 'ai', content: [{ type: 'text', text: '可以在系统设置里配置 VPN。' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AA' } }] },
+    { id: 'm3', role: 'user', content: '   ' }
+  ]
+};
+
+test('buildEmbeddingsRequest 按连接类型推导端点', async () => {
+  const { buildEmbeddingsRequest } = await loadHistoryEmbeddingIndexModule();
+  const openai = buildEmbeddingsRequest({
+    connectionType: 'openai',
+    baseUrl: 'https://openrouter.ai/api/v1/chat/completions',
+    apiKey: 'sk-1',
+    model: 'text-embedding-3-small',
+    texts: ['a']
+  });
+  assert.equal(openai.url, 'https://openrouter.ai/api/v1/embeddings');
+  assert.equal(openai.headers.Authorization, 'Bearer sk-1');
+  assert.deepEqual(openai.body, { model: 'text-embedding-3-small', input: ['a'] });
+
+  const gemini = buildEmbeddingsRequest({
+    connectionType: 'gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiKey: 'g-key',
+    model: 'models/text-embedding-004',
+    texts: ['a']
+  });
+  assert.equal(gemini.url, 'https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:batchEmbedContents?key=g-key');
+  assert.equal(gemini.body.requests[0].model, 'models/text-embedding-004');
+
+  assert.throws(() => buildEmbeddingsRequest({ connectionType: 'anthropic', baseUrl: 'https://api.anthropic.com', model: 'x', texts: [] }), /Anthropic/);
+});
+
+test('buildConversationEmbeddingRecords 经本地替身服务增量构建索引', async () => {
+  const {
+    buildConversationEmbeddingRecords,
+    requestEmbeddings,
+    extractConversationEmbeddingChunks
+  } = await loadHistoryEmbeddingIndexModule();
+  const { server, port, requests } = await startEmbeddingsServer();
+  try {
+    const embedTexts = texts => requestEmbeddings({
+      connectionType: 'openai',
+      baseUrl: `http://127.0.0.1:${port}/v1/chat/completions`,
+      apiKey: 'sk-test',
+      model: 'fake-embed',
+      texts
+    });
+
+    const chunks = extractConversationEmbeddingChunks(CONVERSATION);
+    assert.deepEqual(chunks.map(chunk => chunk.id), ['conv_1::m1#0', 'conv_1::m2#0']);
+
+    const first = await buildConversationEmbeddingRecords({
+      conversation: CONVERSATION,
+      existingRecords: [],
+      model: 'fake-embed',
+      embedTexts,
+      now: () => 1000
+    });
+    assert.equal(first.embeddedCount, 2);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(requests[0].body.input, ['公司网络连不上外网，怎么设置代理？', '可以在系统设置里配置 VPN。']);
+    assert.ok(first.records[0].vector instanceof Float32Array);
+    assert.ok(Math.abs(first.records[0].vector[0] - 1) < 0.01);
+
+    // 追加一条消息并删除 m2：只嵌入新消息，m1 复用，m2 的记录被清理
+    const updated = {
+      ...CONVERSATION,
+      messages: [CONVERSATION.messages[0], { id: 'm4', role: 'user', content: '猫咪打疫苗要注意什么' }]
+    };
+    const second = await buildConversationEmbeddingRecords({
+      conversation: updated,
+      existingRecords: first.records,
+      model: 'fake-embed',
+      embedTexts
+    });
+    assert.equal(requests.length, 2);
+    assert.deepEqual(requests[1].body.input, ['猫咪打疫苗要注意什么']);
+    assert.equal(second.reusedCount, 1);
+    assert.deepEqual(second.deleteIds, ['conv_1::m2#0']);
+
+    // 更换模型后全部重建
+    const third = await buildConversationEmbeddingRecords({
+      conversation: updated,
+      existingRecords: [...first.records.slice(0, 1), ...second.records],
+      model: 'another-model',
+      embedTexts
+    });
+    assert.equal(third.embeddedCount, 2);
+    assert.equal(third.reusedCount, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('Gemini 批量嵌入与非 2xx 响应', async () => {
+  const { requestEmbeddings } = await loadHistoryEmbeddingIndexModule();
+  const { server, port, requests } = await startEmbeddingsServer();
+  try {
+    const vectors = await requestEmbeddings({
+      connectionType: 'gemini',
+      baseUrl: `http://127.0.0.1:${port}`,
+      apiKey: 'g-key',
+      model: 'text-embedding-004',
+      texts: ['报销发票', '宠物']
+    });
+    assert.equal(vectors.length, 2);
+    assert.equal(vectors[0][2], 1);
+    assert.match(requests[0].url, /key=g-key$/);
+
+    await assert.rejects(requestEmbeddings({
+      connectionType: 'openai',
+      baseUrl: `http://127.0.0.1:${port}/v2/unknown/path`,
+      model: 'fake-embed',
+      texts: ['x']
+    }), /HTTP 404/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('createEmbeddingRanker 按会话聚合并按相似度排序', async () => {
+  const { createEmbeddingRanker, normalizeEmbeddingVector } = await loadHistoryEmbeddingIndexModule();
+  const record = (conversationId, messageId, text, model = 'fake-embed') => ({
+    conversationId,
+    messageId,
+    role: 'user',
+    model,
+    preview: text,
+    vector: normalizeEmbeddingVector(fakeEmbedding(text))
+  });
+  const ranker = createEmbeddingRanker(fakeEmbedding('怎么翻墙'), {
+    model: 'fake-embed',
+    candidateIds: new Set(['a', 'b', 'c']),
+    minScore: 0.2
+  });
+  [
+    record('a', 'a1', '猫粮推荐'),
+    record('b', 'b1', 'VPN 连接失败'),
+    record('b', 'b2', '代理设置'),
+    record('a', 'a2', '公司代理和发票'),
+    record('c', 'c1', 'vpn', 'other-model'),
+    record('d', 'd1', 'vpn')
+  ].forEach(item => ranker.add(item));
+
+  const results = ranker.finish();
+  assert.deepEqual(results.map(item => item.conversationId), ['b', 'a']);
+  assert.deepEqual(results[0].hits.map(hit => hit.messageId).sort(), ['b1', 'b2']);
+  assert.deepEqual(results[1].hits.map(hit => hit.messageId), ['a2']);
+});
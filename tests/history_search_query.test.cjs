@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadHistorySearchQueryModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/history_search_query.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+// 简化版筛选解析：只认 model: 与 has:
+function parseFilter(token) {
+  const match = token.match(/^(model|has):(.+)$/i);
+  return match ? { key: match[1].toLowerCase(), value: match[2].toLowerCase() } : null;
+}
+
+function describe(node) {
+  if (!node) return '';
+  if (node.type === 'term') return node.quoted ? `"${node.value}"` : node.value;
+  if (node.type === 'filter') return `${node.filter.key}:${node.filter.value}`;
+  if (node.type === 'not') return `-${describe(node.child)}`;
+  return `${node.type.toUpperCase()}(${node.children.map(describe).join(' ')})`;
+}
+
+test('tokenizeHistorySearchQuery 识别短语、括号、否定与大写关键字', async () => {
+  const { tokenizeHistorySearchQuery } = await loadHistorySearchQueryModule();
+  const tokens = tokenizeHistorySearchQuery('-(a OR "b c") e-mail or !x title:"周报 草稿"');
+  assert.deepEqual(tokens, [
+    { type: 'not' },
+    { type: 'open' },
+    { type: 'word', value: 'a', quoted: false },
+    { type: 'or' },
+    { type: 'word', value: 'b c', quoted: true },
+    { type: 'close' },
+    { type: 'word', value: 'e-mail', quoted: false },
+    { type: 'word', value: 'or', quoted: false },
+    { type: 'not' },
+    { type: 'word', value: 'x', quoted: false },
+    { type: 'word', value: 'title:周报 草稿', quoted: false }
+  ]);
+});
+
+test('parseHistorySearchQuery 按 NOT > AND > OR 的优先级构建语法树', async () => {
+  const { parseHistorySearchQuery } = await loadHistorySearchQueryModule();
+  assert.equal(parseHistorySearchQuery('   '), null);
+  assert.equal(describe(parseHistorySearchQuery('a b OR c', { parseFilter })), 'OR(AND(a b) c)');
+  assert.equal(
+    describe(parseHistorySearchQuery('model:gpt (vpn | "代理 设置") -has:image', { parseFilter })),
+    'AND(model:gpt OR(vpn "代理 设置") -has:image)'
+  );
+  // 引号包裹的 key:value 按短语处理；双重否定抵消
+  assert.equal(describe(parseHistorySearchQuery('"model:gpt" --x', { parseFilter })), 'AND("model:gpt" x)');
+  // 不配对的括号、悬空的 OR 不报错
+  assert.equal(describe(parseHistorySearchQuery('(a OR', { parseFilter })), 'a');
+  assert.equal(describe(parseHistorySearchQuery('a ) b', { parseFilter })), 'AND(a b)');
+});
+
+test('isSimpleHistorySearchConjunction 与 collectHistorySearchTerms', async () => {
+  const {
+    parseHistorySearchQuery,
+    isSimpleHistorySearchConjunction,
+    collectHistorySearchTerms,
+    findHistorySearchFilters
+  } = await loadHistorySearchQueryModule();
+  assert.equal(isSimpleHistorySearchConjunction(parseHistorySearchQuery('a -b model:x', { parseFilter })), true);
+  assert.equal(isSimpleHistorySearchConjunction(parseHistorySearchQuery('a OR b')), false);
+  assert.equal(isSimpleHistorySearchConjunction(parseHistorySearchQuery('-(a b)')), false);
+
+  const tree = parseHistorySearchQuery('a -(b OR -c) has:image', { parseFilter });
+  const terms = collectHistorySearchTerms(tree);
+  assert.deepEqual(terms.positive.map(term => term.value), ['a', 'c']);
+  assert.deepEqual(terms.negative.map(term => term.value), ['b']);
+  assert.deepEqual(findHistorySearchFilters(tree, filter => filter.key === 'has'), [{ key: 'has', value: 'image' }]);
+});
+
+test('evaluateHistorySearchExpression 支持三值短路', async () => {
+  const { parseHistorySearchQuery, evaluateHistorySearchExpression } = await loadHistorySearchQueryModule();
+  const tree = parseHistorySearchQuery('(a OR b) -c');
+  const resolveWith = values => leaf => (leaf.value in values ? values[leaf.value] : null);
+
+  assert.equal(evaluateHistorySearchExpression(tree, resolveWith({ a: true, c: false })), true);
+  assert.equal(evaluateHistorySearchExpression(tree, resolveWith({ a: false, b: false })), false);
+  assert.equal(evaluateHistorySearchExpression(tree, resolveWith({ c: true })), false);
+  // a 未知、c 已知为假：整体仍未知
+  assert.equal(evaluateHistorySearchExpression(tree, resolveWith({ c: false })), null);
+  assert.equal(evaluateHistorySearchExpression(null, () => false), true);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadPackerModule() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const readToolSource = await fs.readFile(path.join(utilsDir, 'page_content_read_tool.js'), 'utf8');
+  const readToolUrl = toDataUrl(readToolSource);
+  const tabContextSource = (await fs.readFile(path.join(utilsDir, 'tab_context.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${readToolUrl}'`);
+  const source = (await fs.readFile(path.join(utilsDir, 'local_repo_packer.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${readToolUrl}'`)
+    .replace("'./tab_context.js'", `'${toDataUrl(tabContextSource)}'`);
+  return import(toDataUrl(source));
+}
+
+function makeEntries(files) {
+  return Object.entries(files).map(([filePath, content]) => {
+    const bytes = typeof content === 'string' ? Buffer.from(content, 'utf8') : content;
+    return { path: filePath, size: bytes.length, read: async () => new Uint8Array(bytes) };
+  });
+}
+
+/** 用 zlib 生成一个最小 zip（deflate），用于验证中央目录解析 */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const raw = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, compressed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+  const centralBuffer = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralBuffer.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralBuffer, eocd]);
+}
+
+test('globToRegExp：无斜杠的模式在任意层级匹配，命中目录时连同子路径一起命中', async () => {
+  const { globToRegExp } = await loadPackerModule();
+  const md = globToRegExp('*.md');
+  assert.ok(md.test('README.md'));
+  assert.ok(md.test('docs/guide/intro.md'));
+  assert.ok(!md.test('docs/md/file.txt'));
+
+  const src = globToRegExp('src');
+  assert.ok(src.test('src/index.js'));
+  assert.ok(src.test('packages/a/src/index.js'));
+
+  const nested = globToRegExp('src/**/*.js');
+  assert.ok(nested.test('src/index.js'));
+  assert.ok(nested.test('src/a/b/c.js'));
+  assert.ok(!nested.test('lib/src/index.js'));
+  assert.ok(!nested.test('src/index.ts'));
+
+  assert.ok(globToRegExp('/build/').test('build/out.js'));
+  assert.ok(!globToRegExp('/build/').test('tools/build/out.js'));
+  assert.ok(globToRegExp('file?.[jt]s').test('file1.ts'));
+});
+
+test('createGitignoreMatcher 支持子目录 .gitignore、目录专属规则与取反，父目录被忽略时无法找回', async () => {
+  const { createGitignoreMatcher } = await loadPackerModule();
+  const matcher = createGitignoreMatcher();
+  matcher.addGitignore('# comment\n*.log\n!keep.log\ndist/\n/tmp\nsecret/\n!secret/public.txt\n');
+  matcher.addGitignore('*.generated.ts\n', 'packages/app');
+
+  assert.equal(matcher.isIgnored('error.log'), true);
+  assert.equal(matcher.isIgnored('logs/keep.log'), false);
+  assert.equal(matcher.isIgnored('dist/bundle.js'), true);
+  assert.equal(matcher.isIgnored('src/dist'), false, 'dist/ 只匹配目录');
+  assert.equal(matcher.isIgnored('tmp/a.txt'), true);
+  assert.equal(matcher.isIgnored('src/tmp/a.txt'), false, '/tmp 只匹配根目录');
+  assert.equal(matcher.isIgnored('secret/public.txt'), true);
+  assert.equal(matcher.isIgnored('packages/app/src/api.generated.ts'), true);
+  assert.equal(matcher.isIgnored('packages/lib/api.generated.ts'), false);
+});
+
+test('packLocalRepository 应用默认忽略、.gitignore 与 include/exclude，输出 Repomix 风格文本与逐文件 token', async () => {
+  const { packLocalRepository } = await loadPackerModule();
+  const entries = makeEntries({
+    '.gitignore': 'coverage/\n*.env\n',
+    'README.md': '# Demo\n\nHello\n',
+    'src/index.js': 'export const a = 1;\n\n\nexport const b = 2;\n',
+    'src/util/helper.js': 'export function helper() {}\n',
+    'src/index.test.js': 'test();\n',
+    'coverage/report.txt': 'ignored',
+    'node_modules/lib/index.js': 'ignored',
+    'package-lock.json': '{}',
+    '.env': 'SECRET=1',
+    'assets/logo.bin': Buffer.from([0x89, 0x50, 0x00, 0x01]),
+    'data/blob.txt': Buffer.from([0x61, 0x00, 0x62])
+  });
+
+  const result = await packLocalRepository({ name: 'demo', entries }, {
+    includePatterns: ['src', '*.md', 'data'],
+    ignorePatterns: ['*.test.js']
+  });
+
+  assert.deepEqual(result.files.map(file => file.path), ['README.md', 'src/index.js', 'src/util/helper.js']);
+  assert.equal(result.totalTokens, result.files.reduce((sum, file) => sum + file.tokens, 0));
+  assert.ok(result.text.startsWith('打包本地目录: demo\n指定包含路径: src,*.md,data\n额外排除路径: *.test.js\n\n---\n'), result.text);
+  assert.ok(result.text.includes('<directory_structure>\nsrc/\n  util/\n    helper.js (~7 tokens)\n  index.js (~10 tokens)\nREADME.md (~3 tokens)\n</directory_structure>'), result.text);
+  assert.ok(result.text.includes('<file path="src/index.js">\nexport const a = 1;\nexport const b = 2;\n</file>'), result.text);
+  assert.ok(result.text.includes('Total files: 3'));
+  assert.ok(!result.text.includes('SECRET'));
+  assert.ok(!result.text.includes('node_modules/lib'));
+});
+
+test('zipToEntries 解析 deflate 压缩的 zip，并去掉 GitHub 下载包的顶层文件夹', async () => {
+  const { zipToEntries, packLocalRepository } = await loadPackerModule();
+  const zip = buildZip({
+    'repo-main/.gitignore': 'build\n',
+    'repo-main/src/main.py': 'print("hi")\n',
+    'repo-main/build/out.txt': 'ignored\n'
+  });
+
+  const { name, entries } = zipToEntries(zip);
+  assert.equal(name, 'repo-main');
+  assert.deepEqual(entries.map(entry => entry.path), ['.gitignore', 'src/main.py', 'build/out.txt']);
+  assert.equal(new TextDecoder().decode(await entries[1].read()), 'print("hi")\n');
+
+  const result = await packLocalRepository({ name, entries });
+  assert.deepEqual(result.files.map(file => file.path), ['src/main.py']);
+  assert.throws(() => zipToEntries(Buffer.from('not a zip at all, definitely not')), /不是有效的 zip 文件/);
+});
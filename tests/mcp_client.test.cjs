@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const http = require('node:http');
+const path = require('node:path');
+
+async function loadMcpClientModule() {
+  const filePath = path.resolve(__dirname, '../src/utils/mcp_client.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+  return import(dataUrl);
+}
+
+const TOOLS = [
+  {
+    name: 'search_docs',
+    description: '搜索内部文档',
+    inputSchema: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] }
+  },
+  { name: 'ping', inputSchema: { type: 'object', properties: {} } }
+];
+
+/**
+ * 本地替身 MCP 服务器：按 JSON-RPC 方法返回固定结果。
+ * tools/list 分两页返回，tools/call 以事件流回包，用于覆盖两种响应格式。
+ */
+function handleRpc(message) {
+  switch (message.method) {
+    case 'initialize':
+      return {
+        protocolVersion: '2025-03-26',
+        capabilities: { tools: {}, resources: {} },
+        serverInfo: { name: 'stand-in', version: '1.0.0' }
+      };
+    case 'tools/list':
+      return message.params?.cursor === 'page2'
+        ? { tools: [TOOLS[1]] }
+        : { tools: [TOOLS[0]], nextCursor: 'page2' };
+    case 'resources/list':
+      return { resources: [{ uri: 'docs://readme', name: 'README', mimeType: 'text/markdown' }] };
+    case 'tools/call':
+      if (message.params?.name === 'search_docs') {
+        return { content: [{ type: 'text', text: `命中：${message.params.arguments.query}` }] };
+      }
+      return { isError: true, content: [{ type: 'text', text: '未知工具' }] };
+    default:
+      return null;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  server.closeAllConnections?.();
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+test('isLocalMcpEndpoint 只接受本机 http(s) 地址', async () => {
+  const { isLocalMcpEndpoint } = await loadMcpClientModule();
+  assert.equal(isLocalMcpEndpoint('http://localhost:3000/mcp'), true);
+  assert.equal(isLocalMcpEndpoint('http://127.0.0.1:8080/sse'), true);
+  assert.equal(isLocalMcpEndpoint('http://[::1]:8080/mcp'), true);
+  assert.equal(isLocalMcpEndpoint('https://mcp.example.com/mcp'), false);
+  assert.equal(isLocalMcpEndpoint('file:///tmp/mcp'), false);
+});
+
+test('createSseParser 处理分块、CRLF 与多行 data', async () => {
+  const { createSseParser } = await loadMcpClientModule();
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  parser.push('event: endpoint\r\ndata: /messages?sid=1\r\n\r\n: 心跳\n');
+  parser.push('data: {"a":\ndata: 1}\n');
+  parser.push('\n');
+  parser.flush();
+  assert.deepEqual(events, [
+    { event: 'endpoint', data: '/messages?sid=1', id: '' },
+    { event: 'message', data: '{"a":\n1}', id: '' }
+  ]);
+});
+
+test('createMcpClient 通过 streamable HTTP 握手、分页列出工具并调用工具', async () => {
+  const { createMcpClient } = await loadMcpClientModule();
+  const seenSessionIds = [];
+  const notifications = [];
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'DELETE') {
+      res.writeHead(204).end();
+      return;
+    }
+    const message = JSON.parse(await readBody(req));
+    seenSessionIds.push(req.headers['mcp-session-id'] || '');
+    if (message.id === undefined) {
+      notifications.push(message.method);
+      res.writeHead(202).end();
+      return;
+    }
+    const response = { jsonrpc: '2.0', id: message.id, result: handleRpc(message) };
+    if (message.method === 'tools/call') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: message\ndata: {"jsonrpc":"2.0","method":"notifications/progress","params":{}}\n\n');
+      res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      return;
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (message.method === 'initialize') headers['Mcp-Session-Id'] = 'session-1';
+    res.writeHead(200, headers).end(JSON.stringify(response));
+  });
+  const port = await listen(server);
+  const client = createMcpClient({ url: `http://127.0.0.1:${port}/mcp` });
+  try {
+    const info = await client.connect();
+    assert.equal(info.serverInfo.name, 'stand-in');
+    assert.deepEqual(notifications, ['notifications/initialized']);
+
+    const tools = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['search_docs', 'ping']);
+    const resources = await client.listResources();
+    assert.equal(resources[0].uri, 'docs://readme');
+
+    const result = await client.callTool('search_docs', { query: 'vpn' });
+    assert.deepEqual(result.content, [{ type: 'text', text: '命中：vpn' }]);
+    assert.equal(seenSessionIds[0], '');
+    assert.ok(seenSessionIds.slice(1).every(id => id === 'session-1'));
+  } finally {
+    await client.close();
+    await close(server);
+  }
+});
+
+test('createMcpClient 支持旧版 SSE 传输', async () => {
+  const { createMcpClient } = await loadMcpClientModule();
+  let stream = null;
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/sse') {
+      stream = res;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: endpoint\ndata: /messages?session=abc\n\n');
+      return;
+    }
+    if (req.method === 'POST' && req.url === '/messages?session=abc') {
+      const message = JSON.parse(await readBody(req));
+      res.writeHead(202).end('Accepted');
+      if (message.id !== undefined) {
+        stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: handleRpc(message) })}\n\n`);
+      }
+      return;
+    }
+    res.writeHead(404).end();
+  });
+  const port = await listen(server);
+  const client = createMcpClient({ url: `http://localhost:${port}/sse`, transport: 'sse' });
+  try {
+    await client.connect();
+    const tools = await client.listTools();
+    assert.equal(tools.length, 2);
+    const failed = await client.callTool('missing', {});
+    assert.equal(failed.isError, true);
+  } finally {
+    await client.close();
+    await close(server);
+  }
+});
+
+test('createMcpClient 拒绝与事件流不同源的 SSE 消息地址', async () => {
+  const { createMcpClient } = await loadMcpClientModule();
+  let postCount = 0;
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/sse') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      // 同为本机，但主机名不同即不同源
+      res.write(`event: endpoint\ndata: http://127.0.0.1:${server.address().port}/messages\n\n`);
+      return;
+    }
+    postCount += 1;
+    res.writeHead(202).end('Accepted');
+  });
+  const port = await listen(server);
+  const client = createMcpClient({ url: `http://localhost:${port}/sse`, transport: 'sse' });
+  try {
+    await assert.rejects(client.connect(), /不同源，已拒绝连接/);
+    assert.equal(postCount, 0);
+  } finally {
+    await client.close();
+    await close(server);
+  }
+});
+
+test('createMcpClient 拒绝非本机地址', async () => {
+  const { createMcpClient } = await loadMcpClientModule();
+  const client = createMcpClient({ url: 'https://mcp.example.com/mcp', fetchImpl: () => { throw new Error('不应发请求'); } });
+  await assert.rejects(client.connect(), /仅支持连接本机/);
+});
+
+test('buildMcpFunctionToolName 与 normalizeMcpToolCallResult', async () => {
+  const {
+    buildMcpFunctionToolName,
+    buildMcpFunctionToolDefinition,
+    normalizeMcpToolCallResult
+  } = await loadMcpClientModule();
+
+  assert.equal(buildMcpFunctionToolName('Internal Docs', 'search.docs'), 'mcp_Internal_Docs__search_docs');
+  const longName = buildMcpFunctionToolName('tickets', 'x'.repeat(80));
+  assert.equal(longName.length, 64);
+  assert.notEqual(longName, buildMcpFunctionToolName('tickets', `${'x'.repeat(79)}y`));
+
+  assert.deepEqual(buildMcpFunctionToolDefinition('mcp_docs__ping', TOOLS[1], 'docs'), {
+    type: 'function',
+    name: 'mcp_docs__ping',
+    description: '[MCP docs] ping',
+    strict: false,
+    parameters: { type: 'object', properties: {} }
+  });
+
+  assert.deepEqual(normalizeMcpToolCallResult({ content: [{ type: 'text', text: 'ok' }] }), {
+    ok: true, value: 'ok', items: [], error: null
+  });
+  assert.deepEqual(normalizeMcpToolCallResult({ content: [], structuredContent: { n: 1 } }).value, { n: 1 });
+  const mixed = normalizeMcpToolCallResult({
+    content: [{ type: 'text', text: '图' }, { type: 'image', mimeType: 'image/png', data: 'AAAA' }]
+  });
+  assert.deepEqual(mixed.value, [{ type: 'text', text: '图' }, { type: 'image', mime_type: 'image/png', bytes: 4 }]);
+  const failed = normalizeMcpToolCallResult({ isError: true, content: [{ type: 'text', text: '权限不足' }] });
+  assert.equal(failed.ok, false);
+  assert.equal(failed.error.message, '权限不足');
+});
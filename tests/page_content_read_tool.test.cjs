@@ -56,3 +56,51 @@ test('buildPageContentReadResult 在无内容时返回明确错误', async () =>
   assert.equal(result.ok, false);
   assert.equal(result.error.name, 'EmptyPageContentError');
 });
+
+test('buildPageContentReadResult 对 Markdown 内容保留换行并在预览中附带章节大纲', async () => {
+  const { buildPageContentReadResult } = await loadPageContentReadToolModule();
+  const result = buildPageContentReadResult({
+    title: 'Doc',
+    url: 'https://example.com/doc',
+    format: 'markdown',
+    extractionScope: 'main_content',
+    content: '导语\n\n\n\n# 安装\n\n```sh\n# 不是标题\nnpm i\n```\n\n## 配置   \n\n| a | b |\n| --- | --- |\n| 1 | 2 |'
+  }, {});
+
+  assert.equal(result.ok, true);
+  assert.equal(result.mode, 'preview');
+  assert.equal(result.content_format, 'markdown');
+  assert.equal(result.normalized_whitespace, false);
+  assert.equal(result.extraction_scope, 'main_content_markdown');
+  assert.ok(result.content.startsWith('导语\n\n# 安装'));
+  assert.deepEqual(result.sections.map(item => [item.section, item.level, item.title]), [
+    [0, 0, '（开头）'],
+    [1, 1, '安装'],
+    [2, 2, '配置']
+  ]);
+});
+
+test('buildPageContentReadResult 支持按 section 读取章节并在章节内分段', async () => {
+  const { buildPageContentReadResult } = await loadPageContentReadToolModule();
+  const pageContent = {
+    title: 'Doc',
+    url: 'https://example.com/doc',
+    format: 'markdown',
+    content: '# 一\n\n第一节正文\n\n# 二\n\n0123456789'
+  };
+
+  const whole = buildPageContentReadResult(pageContent, { skip_chars: null, max_chars: null, section: 2 });
+  assert.equal(whole.ok, false);
+  assert.equal(whole.error.name, 'PageContentSectionError');
+
+  const section = buildPageContentReadResult(pageContent, { skip_chars: null, max_chars: null, section: 1 });
+  assert.equal(section.ok, true);
+  assert.equal(section.mode, 'section');
+  assert.equal(section.section_title, '二');
+  assert.equal(section.content, '# 二\n\n0123456789');
+  assert.equal(section.has_more_after_range, false);
+
+  const slice = buildPageContentReadResult(pageContent, { skip_chars: 5, max_chars: 4, section: 1 });
+  assert.equal(slice.content, '0123');
+  assert.equal(slice.has_more_after_range, true);
+});
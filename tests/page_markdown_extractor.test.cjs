@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const vm = require('node:vm');
+
+async function loadExtractor() {
+  const filePath = path.resolve(__dirname, '../src/utils/page_markdown_extractor.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const context = vm.createContext({ URL });
+  vm.runInContext(source, context);
+  return context.CerebrPageMarkdownExtractor;
+}
+
+// ---- 极简 DOM：只实现抽取器用到的节点属性 ----
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link']);
+
+function createElement(tagName, attributes = {}) {
+  return {
+    nodeType: 1,
+    nodeName: tagName.toUpperCase(),
+    childNodes: [],
+    parentNode: null,
+    attributes,
+    shadowRoot: null,
+    getAttribute(name) {
+      return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+  };
+}
+
+function appendChild(parent, child) {
+  child.parentNode = parent;
+  parent.childNodes.push(child);
+  return child;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/** 解析测试用的规整 HTML 片段（不处理注释、自闭合省略等复杂情况） */
+function parseHtml(html) {
+  const root = createElement('body');
+  const stack = [root];
+  const tokenRe = /<\/([a-zA-Z0-9-]+)\s*>|<([a-zA-Z0-9-]+)((?:\s+[a-zA-Z-:]+(?:="[^"]*")?)*)\s*\/?>|([^<]+)/g;
+  let match;
+  while ((match = tokenRe.exec(html))) {
+    const current = stack[stack.length - 1];
+    if (match[1]) {
+      const tag = match[1].toLowerCase();
+      while (stack.length > 1 && stack.pop().nodeName.toLowerCase() !== tag) { /* 弹出到匹配的开标签 */ }
+    } else if (match[2]) {
+      const attributes = {};
+      (match[3] || '').replace(/([a-zA-Z-:]+)(?:="([^"]*)")?/g, (_, name, value) => {
+        attributes[name] = value ?? '';
+      });
+      const element = appendChild(current, createElement(match[2].toLowerCase(), attributes));
+      if (!VOID_TAGS.has(match[2].toLowerCase())) stack.push(element);
+    } else if (match[4]) {
+      appendChild(current, { nodeType: 3, nodeValue: decodeEntities(match[4]), parentNode: null });
+    }
+  }
+  return root;
+}
+
+function findByTag(node, tag) {
+  if (node.nodeType === 1 && node.nodeName.toLowerCase() === tag) return node;
+  for (const child of node.childNodes || []) {
+    const found = findByTag(child, tag);
+    if (found) return found;
+  }
+  return null;
+}
+
+const ARTICLE_PARAGRAPH = '这是正文段落，包含足够多的文字，用来模拟真实文章里的内容，逗号也不少，方便打分，同时让链接密度保持在很低的水平。';
+
+function buildArticlePage() {
+  return parseHtml(`
+    <nav><a href="/">首页</a> <a href="/about">关于</a></nav>
+    <div class="sidebar"><ul><li><a href="/x">推荐一</a></li><li><a href="/y">推荐二</a></li></ul></div>
+    <div class="post-content">
+      <h1>标题 One</h1>
+      <p>${ARTICLE_PARAGRAPH}参见 <a href="/docs/guide?a=1">指南</a>。</p>
+      <h2>代码</h2>
+      <pre><code class="language-js">const a = 1;
+if (a) {
+  console.log(a);
+}</code></pre>
+      <p>${ARTICLE_PARAGRAPH}行内 <code>npm test</code> 与 <strong> 强调 </strong>。</p>
+      <h2>表格</h2>
+      <table><thead><tr><th>名称</th><th>值</th></tr></thead><tbody><tr><td>a|b</td><td>1</td></tr><tr><td>c</td><td>2</td></tr></tbody></table>
+      <ol><li>第一步<ul><li>细节</li></ul></li><li>第二步</li></ol>
+    </div>
+    <footer>版权所有</footer>
+  `);
+}
+
+test('extractPageMarkdown 识别正文并输出标题、代码块、表格、列表与绝对链接', async () => {
+  const { extractPageMarkdown } = await loadExtractor();
+  const body = buildArticlePage();
+  const result = extractPageMarkdown({ body }, { baseUrl: 'https://example.com/blog/post' });
+
+  assert.equal(result.scope, 'main_content');
+  const md = result.content;
+  assert.match(md, /^# 标题 One/);
+  assert.match(md, /\[指南\]\(https:\/\/example\.com\/docs\/guide\?a=1\)/);
+  assert.ok(md.includes('```js\nconst a = 1;\nif (a) {\n  console.log(a);\n}\n```'), md);
+  assert.ok(md.includes('`npm test`'));
+  assert.ok(md.includes(' **强调** '));
+  assert.ok(md.includes('| 名称 | 值 |\n| --- | --- |\n| a\\|b | 1 |\n| c | 2 |'), md);
+  assert.ok(md.includes('1. 第一步\n   - 细节\n2. 第二步'), md);
+  assert.ok(!md.includes('推荐一'), '侧栏不应出现在正文中');
+  assert.ok(!md.includes('首页'), '导航不应出现在正文中');
+  assert.ok(!md.includes('版权所有'), '页脚不应出现在正文中');
+});
+
+test('extractPageMarkdown 在识别不出正文时回退为整页并跳过导航与页脚', async () => {
+  const { extractPageMarkdown } = await loadExtractor();
+  const body = parseHtml('<nav>菜单</nav><div><h2>短页面</h2><p>只有一句话。</p></div><footer>页脚</footer>');
+  const result = extractPageMarkdown({ body }, {});
+  assert.equal(result.scope, 'page');
+  assert.equal(result.content, '## 短页面\n\n只有一句话。');
+});
+
+test('extractPageMarkdown 展开 open shadow root（含 slot）与同源 iframe，并尊重可见性回调', async () => {
+  const { extractPageMarkdown } = await loadExtractor();
+  const body = parseHtml('<div><my-card><span>插槽文本</span></my-card><p class="secret">隐藏段落</p><iframe title="嵌入"></iframe></div>');
+  const host = findByTag(body, 'my-card');
+  const shadowRoot = { nodeType: 11, mode: 'open', host, childNodes: [] };
+  const heading = createElement('h3');
+  appendChild(heading, { nodeType: 3, nodeValue: '影子标题' });
+  const slot = createElement('slot');
+  slot.assignedNodes = () => host.childNodes;
+  [heading, slot].forEach((child) => {
+    child.parentNode = shadowRoot;
+    shadowRoot.childNodes.push(child);
+  });
+  host.shadowRoot = shadowRoot;
+
+  const frameBody = parseHtml('<p>来自 iframe 的内容</p>');
+  const result = extractPageMarkdown({ body }, {
+    isHidden: element => element.getAttribute('class') === 'secret',
+    getFrameDocument: () => ({ body: frameBody })
+  });
+
+  assert.ok(result.content.includes('### 影子标题'), result.content);
+  assert.ok(result.content.includes('插槽文本'));
+  assert.ok(result.content.includes('[iframe: 嵌入]\n\n来自 iframe 的内容'), result.content);
+  assert.ok(!result.content.includes('隐藏段落'));
+});
+
+test('findMainContent 合并同级的正文分块并优先采用包含主候选的 <article>', async () => {
+  const { extractPageMarkdown } = await loadExtractor();
+  const body = parseHtml(`
+    <div class="menu"><a href="/a">A</a><a href="/b">B</a></div>
+    <article>
+      <header><h1>文章标题</h1></header>
+      <div class="chunk"><p>${ARTICLE_PARAGRAPH}</p><p>${ARTICLE_PARAGRAPH}</p></div>
+      <div class="chunk"><p>第二块。${ARTICLE_PARAGRAPH}</p></div>
+    </article>
+  `);
+  const result = extractPageMarkdown({ body }, {});
+  assert.equal(result.scope, 'main_content');
+  assert.match(result.content, /^# 文章标题/);
+  assert.ok(result.content.includes('第二块。'));
+  assert.ok(!result.content.includes('[A]'), '菜单链接不应出现在正文中');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadPdfReadModule() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const readToolSource = await fs.readFile(path.join(utilsDir, 'page_content_read_tool.js'), 'utf8');
+  const source = (await fs.readFile(path.join(utilsDir, 'pdf_read_tool.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${toDataUrl(readToolSource)}'`);
+  return import(toDataUrl(source));
+}
+
+const samplePdf = {
+  title: '示例论文',
+  url: 'https://example.com/paper.pdf',
+  isPDF: true,
+  pageTexts: ['Abstract  text', 'Intro one', 'Intro two', 'Method   details', 'Results', 'Appendix'],
+  chapters: [
+    { chapterTitle: 'Introduction', pageNumber: 2, children: [{ chapterTitle: 'Background', pageNumber: 3, children: [] }] },
+    { chapterTitle: 'Method', pageNumber: 4, children: [] },
+    { chapterTitle: 'Results', pageNumber: 5, children: [] }
+  ]
+};
+
+test('flattenPdfChapters 摊平章节树并推算每章结束页', async () => {
+  const { flattenPdfChapters } = await loadPdfReadModule();
+  assert.deepEqual(JSON.parse(JSON.stringify(flattenPdfChapters(samplePdf.chapters, 6))), [
+    { chapter: 0, title: 'Introduction', level: 1, start_page: 2, end_page: 3 },
+    { chapter: 1, title: 'Background', level: 2, start_page: 3, end_page: 3 },
+    { chapter: 2, title: 'Method', level: 1, start_page: 4, end_page: 4 },
+    { chapter: 3, title: 'Results', level: 1, start_page: 5, end_page: 6 }
+  ]);
+});
+
+test('buildPdfReadResult 概览附带章节，按页码与章节读取时每页带 [p. N] 标记', async () => {
+  const { buildPdfReadResult } = await loadPdfReadModule();
+
+  const overview = buildPdfReadResult(samplePdf, {});
+  assert.equal(overview.mode, 'overview');
+  assert.equal(overview.total_pages, 6);
+  assert.equal(overview.chapters.length, 4);
+  assert.ok(overview.content.startsWith('[p. 1]\nAbstract text\n\n[p. 2]\nIntro one'));
+
+  const range = buildPdfReadResult(samplePdf, { start_page: 3, end_page: 4 });
+  assert.equal(range.mode, 'pages');
+  assert.equal(range.content, '[p. 3]\nIntro two\n\n[p. 4]\nMethod details');
+  assert.equal(range.has_more, false);
+  assert.equal(range.next_start_page, null);
+
+  const chapter = buildPdfReadResult(samplePdf, { chapter: 3 });
+  assert.equal(chapter.mode, 'chapter');
+  assert.equal(chapter.chapter_title, 'Results');
+  assert.equal(chapter.content, '[p. 5]\nResults\n\n[p. 6]\nAppendix');
+});
+
+test('buildPdfReadResult 超出字符上限时分页续读，并对非 PDF、越界与无效章节返回错误', async () => {
+  const { buildPdfReadResult } = await loadPdfReadModule();
+
+  const limited = buildPdfReadResult(samplePdf, { start_page: 1, max_chars: 40 });
+  assert.equal(limited.end_page, 2);
+  assert.equal(limited.has_more, true);
+  assert.equal(limited.next_start_page, 3);
+
+  const longPage = buildPdfReadResult({ ...samplePdf, pageTexts: ['x'.repeat(100)] }, { start_page: 1, max_chars: 20 });
+  assert.equal(longPage.page_truncated, true);
+  assert.equal(longPage.end_page, 1);
+
+  assert.equal(buildPdfReadResult({ title: 'HTML', content: 'hi' }, {}).error.name, 'NotPdfError');
+  assert.equal(buildPdfReadResult(samplePdf, { start_page: 9 }).error.name, 'PdfPageRangeError');
+  assert.equal(buildPdfReadResult(samplePdf, { chapter: 8 }).error.name, 'PdfChapterError');
+});
+
+test('findPdfPageCitations 识别 [p. N] 与 [pp. N-M] 引用，isPdfPageInfo 依据 isPDF 或 URL 判断', async () => {
+  const { findPdfPageCitations, isPdfPageInfo } = await loadPdfReadModule();
+  const text = '结论见 [p. 12]，方法见 [pp. 3-5] 与 [p.7]；[x. 1] 与 [p. 0] 不算。';
+  assert.deepEqual(findPdfPageCitations(text).map(item => [text.substr(item.index, item.length), item.page, item.endPage]), [
+    ['[p. 12]', 12, null],
+    ['[pp. 3-5]', 3, 5],
+    ['[p.7]', 7, null]
+  ]);
+
+  assert.equal(isPdfPageInfo({ isPDF: true, url: 'https://example.com/viewer' }), true);
+  assert.equal(isPdfPageInfo({ url: 'https://example.com/a/paper.PDF?download=1' }), true);
+  assert.equal(isPdfPageInfo({ url: 'https://example.com/pdf-tools' }), false);
+  assert.equal(isPdfPageInfo(null), false);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadPromptLibraryModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/prompt_library.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+test('normalizePromptTemplate 规范化命令名与标签', async () => {
+  const { normalizePromptTemplate, normalizePromptTemplateList } = await loadPromptLibraryModule();
+  const template = normalizePromptTemplate({
+    id: 't1',
+    name: '  翻译 ',
+    command: '/Translate It!',
+    tags: '#写作, 翻译 写作',
+    content: '把 {{selection}} 翻译成 {{lang}}'
+  });
+  assert.equal(template.name, '翻译');
+  assert.equal(template.command, 'translateit');
+  assert.deepEqual(template.tags, ['写作', '翻译']);
+  assert.equal(normalizePromptTemplate({ command: '润色' }).command, '润色');
+
+  const list = normalizePromptTemplateList([{ id: 'a' }, null, { id: 'a' }, { id: 'b' }]);
+  assert.deepEqual(list.map(item => item.id), ['a', 'b']);
+});
+
+test('extractPromptTemplateVariables 区分用户变量与内置变量，忽略已有占位符', async () => {
+  const { extractPromptTemplateVariables } = await loadPromptLibraryModule();
+  const result = extractPromptTemplateVariables(
+    '{{system}}你是{{ role }}{{end_system}}\n标题：{{page.title}}（{{page.url}}）\n{{selection}}\n语言：{{lang}}，再次 {{role}}，今天 {{date}} {{#user}}'
+  );
+  assert.deepEqual(result.variables, ['role', 'lang']);
+  assert.deepEqual(result.builtins, ['page.title', 'page.url', 'selection']);
+});
+
+test('fillPromptTemplate 替换变量并保留占位符', async () => {
+  const { fillPromptTemplate } = await loadPromptLibraryModule();
+  const text = fillPromptTemplate('{{system}}简洁{{end_system}}把“{{selection}}”译成{{lang}}，{{missing}}完成于 {{date}}', {
+    selection: 'hello',
+    lang: '中文'
+  });
+  assert.equal(text, '{{system}}简洁{{end_system}}把“hello”译成中文，完成于 {{date}}');
+});
+
+test('validatePromptTemplate 检查命令名、内容与重名', async () => {
+  const { validatePromptTemplate } = await loadPromptLibraryModule();
+  assert.match(validatePromptTemplate({ command: '', content: 'x' }), /命令名/);
+  assert.match(validatePromptTemplate({ command: 'a', content: '  ' }), /内容为空/);
+  assert.match(validatePromptTemplate({ command: 'clear', content: 'x' }, { takenCommands: ['clear'] }), /已被占用/);
+  assert.equal(validatePromptTemplate({ command: 'a', content: 'x' }), '');
+});
+
+test('searchPromptTemplates 支持多词与 #标签 过滤，collectPromptTemplateTags 统计标签', async () => {
+  const { searchPromptTemplates, collectPromptTemplateTags } = await loadPromptLibraryModule();
+  const templates = [
+    { id: '1', name: '翻译', command: 'tr', tags: ['写作', '语言'], content: 'Translate {{selection}}' },
+    { id: '2', name: '代码审查', command: 'review', tags: ['代码'], content: 'Review this code' },
+    { id: '3', name: '润色', command: 'polish', tags: ['写作'], content: 'Polish the text' }
+  ];
+  assert.deepEqual(searchPromptTemplates(templates, '').map(t => t.id), ['1', '2', '3']);
+  assert.deepEqual(searchPromptTemplates(templates, '#写作').map(t => t.id), ['1', '3']);
+  assert.deepEqual(searchPromptTemplates(templates, '#写作 polish').map(t => t.id), ['3']);
+  assert.deepEqual(searchPromptTemplates(templates, '/review').map(t => t.id), ['2']);
+  assert.deepEqual(collectPromptTemplateTags(templates), [
+    { tag: '写作', count: 2 },
+    { tag: '代码', count: 1 },
+    { tag: '语言', count: 1 }
+  ]);
+});
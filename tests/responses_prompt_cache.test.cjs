@@ -24,6 +24,12 @@ async function loadMessageComposerModule() {
     "import { extractThinkingFromText } from '../utils/thoughts_parser.js';",
     "const extractThinkingFromText = (text) => ({ cleanText: text, thoughtsText: '' });"
   );
+  const toDataUrl = text => `data:text/javascript;base64,${Buffer.from(text, 'utf8').toString('base64')}`;
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const messageContentUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'message_content.js'), 'utf8'));
+  const contextCompactionSource = (await fs.readFile(path.join(utilsDir, 'context_compaction.js'), 'utf8'))
+    .replace("'./message_content.js'", `'${messageContentUrl}'`);
+  source = source.replace("'../utils/context_compaction.js'", `'${toDataUrl(contextCompactionSource)}'`);
   const dataUrl = `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
   return import(dataUrl);
 }
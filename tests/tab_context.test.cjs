@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadTabContextModule() {
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const readToolSource = await fs.readFile(path.join(utilsDir, 'page_content_read_tool.js'), 'utf8');
+  const source = (await fs.readFile(path.join(utilsDir, 'tab_context.js'), 'utf8'))
+    .replace("'./page_content_read_tool.js'", `'${toDataUrl(readToolSource)}'`);
+  return import(toDataUrl(source));
+}
+
+test('formatTokenEstimate 对千以上的估算使用 k 单位', async () => {
+  const { formatTokenEstimate, estimateTabContextTokens } = await loadTabContextModule();
+  assert.equal(formatTokenEstimate(0), '~0');
+  assert.equal(formatTokenEstimate(860), '~860');
+  assert.equal(formatTokenEstimate(12345), '~12.3k');
+  assert.equal(formatTokenEstimate(2000), '~2k');
+  assert.equal(formatTokenEstimate(123456), '~123k');
+  assert.equal(estimateTabContextTokens('A'.repeat(400)), 100);
+  assert.equal(estimateTabContextTokens(null), 0);
+});
+
+test('buildTabContextText 为每个标签页生成带序号、tab_id 与 token 估算的块，并跳过空内容', async () => {
+  const { buildTabContextText } = await loadTabContextModule();
+  const text = buildTabContextText([
+    { tabId: 11, title: ' 文档 A ', url: 'https://a.example/doc', content: ' 第一页内容 ' },
+    { tabId: 12, title: '空页面', url: 'https://b.example/', content: '   ' },
+    { tabId: 13, title: '', url: 'https://c.example/', content: 'C'.repeat(8000) }
+  ]);
+
+  assert.equal(text.split('\n\n')[0], '已附加 2 个标签页的网页内容：');
+  assert.ok(text.includes('--- 标签页 1：文档 A（tab_id=11，~2 tokens）---\nURL：https://a.example/doc\n内容：\n第一页内容'), text);
+  assert.ok(text.includes('--- 标签页 2：(无标题)（tab_id=13，~2k tokens）---'), text);
+  assert.ok(!text.includes('空页面'));
+  assert.ok(text.endsWith('--- 标签页内容结束 ---'));
+  assert.equal(buildTabContextText([]), '');
+});
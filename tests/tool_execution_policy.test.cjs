@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+function toDataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`;
+}
+
+async function loadToolExecutionPolicyModule() {
+  const promptResolverPath = path.resolve(__dirname, '../src/core/prompt_resolver.js');
+  const promptResolverUrl = toDataUrl(await fs.readFile(promptResolverPath, 'utf8'));
+
+  const policyPath = path.resolve(__dirname, '../src/core/tool_execution_policy.js');
+  let policySource = await fs.readFile(policyPath, 'utf8');
+  policySource = policySource.replace("'./prompt_resolver.js'", `'${promptResolverUrl}'`);
+  return import(toDataUrl(policySource));
+}
+
+test('normalizeToolExecutionPolicySettings 丢弃非法策略并补全通配工具名', async () => {
+  const { normalizeToolExecutionPolicySettings } = await loadToolExecutionPolicyModule();
+  assert.deepEqual(normalizeToolExecutionPolicySettings({
+    tools: { js_runtime_execute: 'ASK', page_content_read: 'maybe', '': 'deny' },
+    urlRules: [
+      { pattern: ' https://bank.example.com/* ', policy: 'deny' },
+      { pattern: 'https://a.example.com/*', tool: 'js_runtime_execute', policy: 'nope' },
+      null
+    ]
+  }), {
+    tools: { js_runtime_execute: 'ask' },
+    urlRules: [{ pattern: 'https://bank.example.com/*', tool: '*', policy: 'deny' }]
+  });
+  assert.deepEqual(normalizeToolExecutionPolicySettings(undefined), { tools: {}, urlRules: [] });
+});
+
+test('resolveToolExecutionPolicy 按 URL 规则 → 工具策略 → 默认策略解析', async () => {
+  const { resolveToolExecutionPolicy } = await loadToolExecutionPolicyModule();
+  const settings = {
+    tools: { '*': 'ask', page_content_read: 'allow' },
+    urlRules: [
+      { pattern: 'https://admin.example.com/*', tool: '*', policy: 'deny' },
+      { pattern: 'https://admin.example.com/reports/*', tool: 'page_content_read', policy: 'allow' }
+    ]
+  };
+
+  assert.equal(resolveToolExecutionPolicy('js_runtime_execute', 'https://news.example.com/a', settings).policy, 'ask');
+  assert.equal(resolveToolExecutionPolicy('page_content_read', 'https://news.example.com/a', settings).source, 'tool');
+
+  const denied = resolveToolExecutionPolicy('js_runtime_execute', 'https://admin.example.com/users', settings);
+  assert.equal(denied.policy, 'deny');
+  assert.equal(denied.source, 'url_rule');
+  assert.equal(denied.rule.pattern, 'https://admin.example.com/*');
+
+  // 后添加的规则优先，且只对指定工具生效
+  assert.equal(resolveToolExecutionPolicy('page_content_read', 'https://admin.example.com/reports/q1', settings).policy, 'allow');
+  assert.equal(resolveToolExecutionPolicy('js_runtime_execute', 'https://admin.example.com/reports/q1', settings).policy, 'deny');
+
+  // URL 未知时只看工具策略
+  assert.equal(resolveToolExecutionPolicy('js_runtime_execute', '', settings).policy, 'ask');
+  assert.deepEqual(resolveToolExecutionPolicy('js_runtime_execute', 'https://x.test/', null), {
+    policy: 'allow',
+    source: 'default',
+    rule: null
+  });
+});
+
+test('resolveToolExecutionPolicy 遇到无法编译的 URL 规则时收紧而不是放行', async () => {
+  const { resolveToolExecutionPolicy, validateToolPolicyUrlPattern } = await loadToolExecutionPolicyModule();
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  try {
+    const denied = resolveToolExecutionPolicy('js_runtime_execute', 'https://bank.example.com/login', {
+      urlRules: [{ pattern: 'https://bank.example.com/[*', policy: 'deny' }]
+    });
+    assert.equal(denied.policy, 'deny');
+    assert.equal(denied.source, 'url_rule');
+    assert.ok(denied.rule.error);
+
+    const asked = resolveToolExecutionPolicy('js_runtime_execute', 'https://x.test/', {
+      tools: { '*': 'allow' },
+      urlRules: [{ pattern: 'https://x.test/[*', policy: 'allow' }]
+    });
+    assert.equal(asked.policy, 'ask');
+    assert.equal(asked.source, 'url_rule');
+  } finally {
+    console.error = originalConsoleError;
+  }
+
+  assert.ok(validateToolPolicyUrlPattern('https://x.test/[*'));
+  assert.equal(validateToolPolicyUrlPattern('https://x.test/*'), '');
+  assert.equal(validateToolPolicyUrlPattern('  '), '');
+});
+
+test('matchesUrlPattern 与提示词 URL 规则使用相同的通配语义', async () => {
+  const promptResolverPath = path.resolve(__dirname, '../src/core/prompt_resolver.js');
+  const { matchesUrlPattern, getMatchingUrlRule } = await import(toDataUrl(await fs.readFile(promptResolverPath, 'utf8')));
+  assert.equal(matchesUrlPattern('https://bank.example.com/login', 'https://bank.example.com/*'), true);
+  assert.equal(matchesUrlPattern('https://bankXexample.com/login', 'https://bank.example.com/*'), false);
+  assert.equal(matchesUrlPattern('https://a.example.com/p1', 'https://a.example.com/p?'), true);
+  assert.equal(
+    getMatchingUrlRule('https://a.example.com/x', 'system', [{ pattern: 'https://a.example.com/*', type: 'system', prompt: 'hi' }]),
+    'hi'
+  );
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadPromptResolverModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/core/prompt_resolver.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+test('normalizeUrlRule 补全默认值并钳制温度', async () => {
+  const { normalizeUrlRule } = await loadPromptResolverModule();
+  assert.deepEqual(normalizeUrlRule({ pattern: ' https://a.com/* ', prompt: 'p' }), {
+    pattern: 'https://a.com/*',
+    patternType: 'glob',
+    priority: 0,
+    type: 'system',
+    prompt: 'p',
+    apiConfig: '',
+    extractionMode: '',
+    temperature: null,
+    enableTools: false
+  });
+  const rule = normalizeUrlRule({ patternType: 'regex', priority: '3.7', temperature: 5, extractionMode: 'bogus', enableTools: 'yes' });
+  assert.equal(rule.patternType, 'regex');
+  assert.equal(rule.priority, 3);
+  assert.equal(rule.temperature, 2);
+  assert.equal(rule.extractionMode, '');
+  assert.equal(rule.enableTools, false);
+  assert.equal(normalizeUrlRule({ temperature: '' }).temperature, null);
+});
+
+test('resolveUrlRuleSettings 按优先级逐字段合并，同优先级靠后的规则优先', async () => {
+  const { resolveUrlRuleSettings } = await loadPromptResolverModule();
+  const rules = [
+    { pattern: 'https://docs.example.com/*', prompt: '文档', apiConfig: 'api-a', temperature: 0.2 },
+    { pattern: '^https://docs\\.example\\.com/api/', patternType: 'regex', priority: 5, apiConfig: 'api-b', extractionMode: 'markdown_page' },
+    { pattern: 'https://docs.example.com/*', type: 'summary', prompt: '总结', enableTools: true }
+  ];
+  assert.deepEqual(resolveUrlRuleSettings('https://docs.example.com/api/v1', rules), {
+    systemPrompt: '文档',
+    summaryPrompt: '总结',
+    apiConfig: 'api-b',
+    extractionMode: 'markdown_page',
+    temperature: 0.2,
+    enableTools: true
+  });
+  assert.equal(resolveUrlRuleSettings('https://docs.example.com/guide', rules).apiConfig, 'api-a');
+  assert.equal(resolveUrlRuleSettings('https://other.com/', rules).systemPrompt, null);
+});
+
+test('explainUrlRuleMatches 说明命中原因、生效与被覆盖的字段，并报告无效正则', async () => {
+  const { explainUrlRuleMatches } = await loadPromptResolverModule();
+  const rules = [
+    { pattern: 'https://a.com/*', prompt: '低优先级', apiConfig: 'x' },
+    { pattern: 'a\\.com/p', patternType: 'regex', priority: 1, prompt: '高优先级' },
+    { pattern: '([', patternType: 'regex' },
+    { pattern: 'https://b.com/*', prompt: '不相关' }
+  ];
+  const entries = explainUrlRuleMatches('https://a.com/page', rules);
+  assert.deepEqual(entries.map(entry => entry.index), [1, 3, 2, 0]);
+
+  const [regexEntry, unrelated, invalid, globEntry] = entries;
+  assert.equal(regexEntry.matched, true);
+  assert.match(regexEntry.reason, /a\.com\/p/);
+  assert.deepEqual(regexEntry.applied, ['systemPrompt']);
+  assert.equal(unrelated.matched, false);
+  assert.ok(invalid.error);
+  assert.equal(invalid.matched, false);
+  assert.deepEqual(globEntry.applied, ['apiConfig']);
+  assert.deepEqual(globEntry.shadowed, ['systemPrompt']);
+});
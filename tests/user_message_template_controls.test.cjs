@@ -23,9 +23,16 @@ async function loadMessageComposerModule() {
   const thoughtsParserSource = await fs.readFile(thoughtsParserPath, 'utf8');
   const thoughtsParserUrl = toDataUrl(thoughtsParserSource);
 
+  const utilsDir = path.resolve(__dirname, '../src/utils');
+  const messageContentUrl = toDataUrl(await fs.readFile(path.join(utilsDir, 'message_content.js'), 'utf8'));
+  const contextCompactionUrl = toDataUrl((await fs.readFile(path.join(utilsDir, 'context_compaction.js'), 'utf8'))
+    .replace("'./message_content.js'", `'${messageContentUrl}'`));
+
   const composerPath = path.resolve(__dirname, '../src/core/message_composer.js');
   let composerSource = await fs.readFile(composerPath, 'utf8');
-  composerSource = composerSource.replace("'../utils/thoughts_parser.js'", `'${thoughtsParserUrl}'`);
+  composerSource = composerSource
+    .replace("'../utils/thoughts_parser.js'", `'${thoughtsParserUrl}'`)
+    .replace("'../utils/context_compaction.js'", `'${contextCompactionUrl}'`);
   return import(toDataUrl(composerSource));
 }
 
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const vm = require('node:vm');
+
+async function loadTranscriptApi() {
+  const filePath = path.resolve(__dirname, '../src/utils/video_transcript_extractor.js');
+  const source = await fs.readFile(filePath, 'utf8');
+  const context = vm.createContext({ URL, console });
+  vm.runInContext(source, context);
+  return context.CerebrVideoTranscript;
+}
+
+function createFakeDocument({ scripts = [], tracks = [], videos = [] } = {}) {
+  return {
+    baseURI: 'https://example.com/talks/intro',
+    querySelector(selector) {
+      if (selector === 'video.html5-main-video') return videos.find(video => video.isYouTubeMain) || null;
+      return null;
+    },
+    querySelectorAll(selector) {
+      if (selector === 'script') return scripts.map(textContent => ({ textContent }));
+      if (selector === 'video track, audio track') return tracks;
+      if (selector === 'video, audio') return videos;
+      return [];
+    }
+  };
+}
+
+function createFakeTrack(attributes) {
+  return {
+    getAttribute: name => (Object.prototype.hasOwnProperty.call(attributes, name) ? attributes[name] : null),
+    hasAttribute: name => Object.prototype.hasOwnProperty.call(attributes, name)
+  };
+}
+
+function createFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    const key = Object.keys(routes).find(prefix => url.startsWith(prefix));
+    if (!key) return { ok: false, status: 404, text: async () => '' };
+    return { ok: true, status: 200, text: async () => routes[key] };
+  };
+  return { fetchImpl, calls };
+}
+
+test('parseWebVtt 解析时间轴、去掉样式标签并跳过 NOTE/STYLE 块', async () => {
+  const { parseWebVtt } = await loadTranscriptApi();
+  const cues = parseWebVtt([
+    'WEBVTT',
+    '',
+    'NOTE 这是注释',
+    '',
+    'STYLE',
+    '::cue { color: red }',
+    '',
+    'intro',
+    '00:00:01.500 --> 00:00:03.000 align:start',
+    '<v Alice>Hello &amp; <b>welcome</b></v>',
+    '',
+    '01:02.000 --> 01:04,250',
+    'Second line'
+  ].join('\r\n'));
+
+  assert.deepEqual(JSON.parse(JSON.stringify(cues)), [
+    { start: 1.5, end: 3, text: 'Hello & welcome' },
+    { start: 62, end: 64.25, text: 'Second line' }
+  ]);
+});
+
+test('groupTranscriptCues 去掉滚动字幕的重复行并按时间窗口合并，时间戳格式化为 m:ss / h:mm:ss', async () => {
+  const { groupTranscriptCues, formatTimestamp, parseMediaTime } = await loadTranscriptApi();
+  const lines = groupTranscriptCues([
+    { start: 0, text: 'first part' },
+    { start: 2, text: 'first part\nsecond part' },
+    { start: 30, text: 'later words' }
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(lines)), [
+    { start: 0, text: 'first part second part' },
+    { start: 30, text: 'later words' }
+  ]);
+  assert.equal(formatTimestamp(83.9), '1:23');
+  assert.equal(formatTimestamp(3725), '1:02:05');
+  assert.equal(parseMediaTime('1m23s'), 83);
+  assert.equal(parseMediaTime('83s'), 83);
+  assert.equal(parseMediaTime('1:02:05'), 3725);
+  assert.equal(parseMediaTime('npt:12.5,20'), 12.5);
+});
+
+test('extractVideoTranscript 从 YouTube captionTracks 选人工字幕并生成带时间戳链接的 Markdown', async () => {
+  const { extractVideoTranscript } = await loadTranscriptApi();
+  const playerResponse = JSON.stringify({
+    videoDetails: { videoId: 'abc123XYZ' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123XYZ&lang=en&kind=asr', languageCode: 'en', kind: 'asr', name: { simpleText: 'English (auto)' } },
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123XYZ&lang=en', languageCode: 'en', name: { simpleText: 'English [x]' } }
+        ]
+      }
+    }
+  });
+  const doc = createFakeDocument({
+    scripts: [`var ytInitialPlayerResponse = ${playerResponse};`]
+  });
+  const json3 = JSON.stringify({
+    events: [
+      { tStartMs: 0, dDurationMs: 2000, segs: [{ utf8: 'Hello' }, { utf8: ' world' }] },
+      { tStartMs: 83000, dDurationMs: 1000, segs: [{ utf8: 'Key point' }] },
+      { tStartMs: 84000 }
+    ]
+  });
+  const { fetchImpl, calls } = createFetch({
+    'https://www.youtube.com/api/timedtext?v=abc123XYZ&lang=en&fmt=json3': json3
+  });
+
+  const transcript = await extractVideoTranscript({
+    document: doc,
+    url: 'https://www.youtube.com/watch?v=abc123XYZ&list=PL1',
+    fetchImpl,
+    preferredLanguages: ['en-US']
+  });
+
+  assert.equal(calls.length, 1, '内联脚本中已有 captionTracks，不应再拉取 watch 页面');
+  assert.equal(transcript.source, 'youtube');
+  assert.equal(transcript.label, 'English [x]');
+  assert.equal(transcript.autoGenerated, false);
+  assert.equal(transcript.markdown, [
+    '- [0:00](https://www.youtube.com/watch?v=abc123XYZ&t=0s) Hello world',
+    '- [1:23](https://www.youtube.com/watch?v=abc123XYZ&t=83s) Key point'
+  ].join('\n'));
+});
+
+test('extractVideoTranscript 在单页切换视频后重新拉取 watch 页面，并回退到 vtt 格式', async () => {
+  const { extractVideoTranscript } = await loadTranscriptApi();
+  const doc = createFakeDocument({ scripts: ['ytInitialPlayerResponse = {"videoId":"oldVideo01","captionTracks":[]}'] });
+  const { fetchImpl, calls } = createFetch({
+    'https://www.youtube.com/watch?v=newVideo02': '<script>{"videoId":"newVideo02","captionTracks":[{"baseUrl":"https://www.youtube.com/api/timedtext?v=newVideo02\\u0026lang=ja","languageCode":"ja","kind":"asr"}]}</script>',
+    'https://www.youtube.com/api/timedtext?v=newVideo02&lang=ja&fmt=vtt': 'WEBVTT\n\n00:00:05.000 --> 00:00:06.000\nこんにちは'
+  });
+
+  const transcript = await extractVideoTranscript({
+    document: doc,
+    url: 'https://www.youtube.com/watch?v=newVideo02',
+    fetchImpl
+  });
+
+  assert.ok(calls[0].startsWith('https://www.youtube.com/watch?v=newVideo02'));
+  assert.ok(calls.some(url => url.includes('fmt=json3')), '应先尝试 json3');
+  assert.equal(transcript.language, 'ja');
+  assert.equal(transcript.autoGenerated, true);
+  assert.equal(transcript.markdown, '- [0:05](https://www.youtube.com/watch?v=newVideo02&t=5s) こんにちは');
+});
+
+test('extractVideoTranscript 读取 HTML5 <track> 字幕并用 #t= 媒体片段生成链接', async () => {
+  const { extractVideoTranscript } = await loadTranscriptApi();
+  const doc = createFakeDocument({
+    tracks: [
+      createFakeTrack({ kind: 'chapters', src: '/chapters.vtt' }),
+      createFakeTrack({ kind: 'subtitles', src: '/subs/fr.vtt', srclang: 'fr', label: 'Français' }),
+      createFakeTrack({ kind: 'captions', src: '/subs/zh.vtt', srclang: 'zh', label: '中文' })
+    ]
+  });
+  const { fetchImpl } = createFetch({
+    'https://example.com/subs/zh.vtt': 'WEBVTT\n\n00:00:10.000 --> 00:00:12.000\n大家好'
+  });
+
+  const transcript = await extractVideoTranscript({
+    document: doc,
+    url: 'https://example.com/talks/intro?ref=home',
+    fetchImpl,
+    preferredLanguages: ['zh-CN']
+  });
+
+  assert.equal(transcript.source, 'html5_track');
+  assert.equal(transcript.label, '中文');
+  assert.equal(transcript.markdown, '- [0:10](https://example.com/talks/intro?ref=home#t=10) 大家好');
+});
+
+test('resolveMediaSeekTarget 只对同一视频的时间戳返回秒数，seekMediaToTime 跳转主视频', async () => {
+  const { resolveMediaSeekTarget, seekMediaToTime } = await loadTranscriptApi();
+  const current = 'https://www.youtube.com/watch?v=abc123XYZ&list=PL1';
+  assert.equal(resolveMediaSeekTarget('https://www.youtube.com/watch?v=abc123XYZ&t=83s', current), 83);
+  assert.equal(resolveMediaSeekTarget('https://www.youtube.com/watch?v=other00000&t=83s', current), null);
+  assert.equal(resolveMediaSeekTarget('https://www.youtube.com/watch?v=abc123XYZ', current), null);
+  assert.equal(resolveMediaSeekTarget('https://example.com/talks/intro#t=10', 'https://example.com/talks/intro/'), 10);
+  assert.equal(resolveMediaSeekTarget('https://example.com/other#t=10', 'https://example.com/talks/intro'), null);
+
+  const played = [];
+  const smallVideo = { getBoundingClientRect: () => ({ width: 10, height: 10 }), paused: false };
+  const mainVideo = {
+    isYouTubeMain: true,
+    paused: true,
+    currentTime: 0,
+    play() { played.push(this.currentTime); return Promise.resolve(); }
+  };
+  assert.equal(seekMediaToTime(createFakeDocument({ videos: [smallVideo, mainVideo] }), 83), true);
+  assert.equal(mainVideo.currentTime, 83);
+  assert.deepEqual(played, [83]);
+  assert.equal(seekMediaToTime(createFakeDocument(), 83), false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+async function loadWordDiffModule() {
+  const source = await fs.readFile(path.resolve(__dirname, '../src/utils/word_diff.js'), 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source, 'utf8').toString('base64')}`);
+}
+
+test('tokenizeDiffText 英文按词、中文逐字切分，拼接后还原原文', async () => {
+  const { tokenizeDiffText } = await loadWordDiffModule();
+  const text = 'Hello, world 42!\n中文分词abc';
+  const tokens = tokenizeDiffText(text);
+  assert.deepEqual(tokens, ['Hello', ',', ' ', 'world', ' ', '42', '!', '\n', '中', '文', '分', '词', 'abc']);
+  assert.equal(tokens.join(''), text);
+  assert.deepEqual(tokenizeDiffText(''), []);
+});
+
+test('diffTokenLists 标出增删的词并统计数量', async () => {
+  const { diffTokenLists } = await loadWordDiffModule();
+  const result = diffTokenLists(['the', 'quick', 'brown', 'fox'], ['the', 'slow', 'brown', 'dog', 'fox']);
+  assert.deepEqual(result.left, [false, true, false, false]);
+  assert.deepEqual(result.right, [false, true, false, true, false]);
+  assert.equal(result.removed, 1);
+  assert.equal(result.added, 2);
+  assert.equal(result.approximate, false);
+
+  const same = diffTokenLists(['a', 'b'], ['a', 'b']);
+  assert.equal(same.removed + same.added, 0);
+  assert.deepEqual(diffTokenLists([], ['x']).right, [true]);
+});
+
+test('diffTokenLists 超出规模时保留公共首尾，中间整段标记为差异', async () => {
+  const { diffTokenLists } = await loadWordDiffModule();
+  const result = diffTokenLists(['s', 'a', 'b', 'c', 'e'], ['s', 'c', 'b', 'a', 'e'], { maxCells: 4 });
+  assert.equal(result.approximate, true);
+  assert.deepEqual(result.left, [false, true, true, true, false]);
+  assert.deepEqual(result.right, [false, true, true, true, false]);
+});
+
+test('groupDiffRuns 把差异词之间的空白并入同一片段', async () => {
+  const { groupDiffRuns } = await loadWordDiffModule();
+  const tokens = ['a', ' ', 'b', ' ', 'c', ' ', 'd', ' '];
+  assert.deepEqual(groupDiffRuns(tokens, [false, true, true, false]), [
+    { text: 'a ', changed: false },
+    { text: 'b c', changed: true },
+    { text: ' d ', changed: false }
+  ]);
+});